@@ -7,6 +7,7 @@
 
 import React, { useState, useEffect } from "react";
 import { bookingAPI } from "@/lib/api";
+import AdminFleetTimeline from "@/components/admin-fleet-timeline";
 import {
   Card,
   CardContent,
@@ -30,9 +31,35 @@ import {
   AlertCircle,
   X,
   Filter,
+  Send,
+  PackageCheck,
+  UserX,
   BarChart3,
+  List,
+  GanttChart,
 } from "lucide-react";
 
+/**
+ * Lifecycle steps offered for each booking status
+ * @constant {Object<string, Array<Object>>}
+ */
+const LIFECYCLE_ACTIONS = {
+  confirmed: [
+    { action: "dispatch", label: "Dispatch" },
+    { action: "no-show", label: "No Show", requiresStart: true },
+  ],
+  dispatched: [
+    { action: "in-transit", label: "Start Transit" },
+    { action: "no-show", label: "No Show", requiresStart: true },
+    { action: "fail", label: "Mark Failed", requiresNote: true },
+  ],
+  in_transit: [
+    { action: "deliver", label: "Mark Delivered" },
+    { action: "fail", label: "Mark Failed", requiresNote: true },
+  ],
+  delivered: [{ action: "complete", label: "Complete" }],
+};
+
 /**
  * Admin booking management component
  * @returns {JSX.Element} Admin booking management page
@@ -42,7 +69,9 @@ const AdminBookingManagement = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState("all");
+  const [view, setView] = useState("list");
   const [stats, setStats] = useState(null);
+  const [updatingId, setUpdatingId] = useState(null);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -106,6 +135,52 @@ const AdminBookingManagement = () => {
     fetchBookings(status, page);
   };
 
+  /**
+   * Get the lifecycle steps available for a booking right now
+   * @param {Object} booking - Booking object
+   * @returns {Array<Object>} Available actions
+   */
+  const getLifecycleActions = (booking) => {
+    const hasStarted = new Date(booking.times.start) <= new Date();
+    return (LIFECYCLE_ACTIONS[booking.status] || []).filter(
+      (step) => !step.requiresStart || hasStarted
+    );
+  };
+
+  /**
+   * Move a booking to its next lifecycle status
+   * @param {Object} booking - Booking object
+   * @param {Object} step - Entry from LIFECYCLE_ACTIONS
+   */
+  const runLifecycleAction = async (booking, step) => {
+    let note;
+    if (step.requiresNote) {
+      note = window.prompt("Why did this booking fail?");
+      if (!note || !note.trim()) return;
+    }
+
+    try {
+      setUpdatingId(booking._id);
+      setError(null);
+      await bookingAPI.transitionBooking(booking._id, step.action, note);
+      await Promise.all([
+        fetchBookings(
+          activeTab === "all" ? null : activeTab,
+          pagination.currentPage
+        ),
+        fetchStats(),
+      ]);
+    } catch (error) {
+      setError(
+        error.response?.data?.message ||
+          "Failed to update booking. Please try again."
+      );
+      console.error("Update booking status error:", error);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
   /**
    * Get status badge
    * @param {string} status - Booking status
@@ -113,11 +188,49 @@ const AdminBookingManagement = () => {
    */
   const getStatusBadge = (status) => {
     switch (status) {
-      case "active":
+      case "pending":
+        return (
+          <Badge className="bg-amber-100 text-amber-800 border-amber-200">
+            <Clock className="h-3 w-3 mr-1" />
+            Awaiting Approval
+          </Badge>
+        );
+      case "rejected":
+        return (
+          <Badge
+            variant="destructive"
+            className="bg-red-100 text-red-800 border-red-200"
+          >
+            <X className="h-3 w-3 mr-1" />
+            Rejected
+          </Badge>
+        );
+      case "confirmed":
         return (
           <Badge className="bg-green-100 text-green-800 border-green-200">
             <CheckCircle className="h-3 w-3 mr-1" />
-            Active
+            Confirmed
+          </Badge>
+        );
+      case "dispatched":
+        return (
+          <Badge className="bg-indigo-100 text-indigo-800 border-indigo-200">
+            <Send className="h-3 w-3 mr-1" />
+            Dispatched
+          </Badge>
+        );
+      case "in_transit":
+        return (
+          <Badge className="bg-sky-100 text-sky-800 border-sky-200">
+            <Truck className="h-3 w-3 mr-1" />
+            In Transit
+          </Badge>
+        );
+      case "delivered":
+        return (
+          <Badge className="bg-teal-100 text-teal-800 border-teal-200">
+            <PackageCheck className="h-3 w-3 mr-1" />
+            Delivered
           </Badge>
         );
       case "completed":
@@ -140,6 +253,26 @@ const AdminBookingManagement = () => {
             Cancelled
           </Badge>
         );
+      case "no_show":
+        return (
+          <Badge
+            variant="secondary"
+            className="bg-slate-100 text-slate-800 border-slate-200"
+          >
+            <UserX className="h-3 w-3 mr-1" />
+            No Show
+          </Badge>
+        );
+      case "failed":
+        return (
+          <Badge
+            variant="destructive"
+            className="bg-red-100 text-red-800 border-red-200"
+          >
+            <AlertCircle className="h-3 w-3 mr-1" />
+            Failed
+          </Badge>
+        );
       default:
         return <Badge variant="outline">{status}</Badge>;
     }
@@ -180,20 +313,38 @@ const AdminBookingManagement = () => {
                 Monitor and manage all system bookings
               </p>
             </div>
-            <Button
-              onClick={() => {
-                fetchBookings();
-                fetchStats();
-              }}
-              variant="outline"
-              className="flex items-center space-x-2"
-              disabled={isLoading}
-            >
-              <RefreshCw
-                className={`h-4 w-4 ${isLoading ? "animate-spin" : ""}`}
-              />
-              <span>Refresh</span>
-            </Button>
+            <div className="flex items-center space-x-2">
+              <Button
+                onClick={() => setView("list")}
+                variant={view === "list" ? "default" : "outline"}
+                className="flex items-center space-x-2"
+              >
+                <List className="h-4 w-4" />
+                <span>List</span>
+              </Button>
+              <Button
+                onClick={() => setView("timeline")}
+                variant={view === "timeline" ? "default" : "outline"}
+                className="flex items-center space-x-2"
+              >
+                <GanttChart className="h-4 w-4" />
+                <span>Timeline</span>
+              </Button>
+              <Button
+                onClick={() => {
+                  fetchBookings();
+                  fetchStats();
+                }}
+                variant="outline"
+                className="flex items-center space-x-2"
+                disabled={isLoading}
+              >
+                <RefreshCw
+                  className={`h-4 w-4 ${isLoading ? "animate-spin" : ""}`}
+                />
+                <span>Refresh</span>
+              </Button>
+            </div>
           </div>
         </div>
 
@@ -216,13 +367,13 @@ const AdminBookingManagement = () => {
             <Card className="border-0 shadow-lg">
               <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
                 <CardTitle className="text-sm font-medium text-slate-600">
-                  Active Bookings
+                  Confirmed Bookings
                 </CardTitle>
                 <CheckCircle className="h-4 w-4 text-green-600" />
               </CardHeader>
               <CardContent>
                 <div className="text-2xl font-bold text-slate-800">
-                  {stats.active}
+                  {stats.confirmed}
                 </div>
               </CardContent>
             </Card>
@@ -265,208 +416,240 @@ const AdminBookingManagement = () => {
           </Alert>
         )}
 
+        {/* Fleet Timeline */}
+        {view === "timeline" && <AdminFleetTimeline />}
+
         {/* Booking Tabs */}
-        <Tabs
-          value={activeTab}
-          onValueChange={handleTabChange}
-          className="w-full"
-        >
-          <TabsList className="grid w-full grid-cols-4 bg-white shadow-sm">
-            <TabsTrigger value="all" className="flex items-center space-x-2">
-              <Filter className="h-4 w-4" />
-              <span>All</span>
-            </TabsTrigger>
-            <TabsTrigger value="active" className="flex items-center space-x-2">
-              <CheckCircle className="h-4 w-4" />
-              <span>Active</span>
-            </TabsTrigger>
-            <TabsTrigger
-              value="completed"
-              className="flex items-center space-x-2"
-            >
-              <CheckCircle className="h-4 w-4" />
-              <span>Completed</span>
-            </TabsTrigger>
-            <TabsTrigger
-              value="cancelled"
-              className="flex items-center space-x-2"
-            >
-              <X className="h-4 w-4" />
-              <span>Cancelled</span>
-            </TabsTrigger>
-          </TabsList>
+        {view === "list" && (
+          <Tabs
+            value={activeTab}
+            onValueChange={handleTabChange}
+            className="w-full"
+          >
+            <TabsList className="grid w-full grid-cols-4 bg-white shadow-sm">
+              <TabsTrigger value="all" className="flex items-center space-x-2">
+                <Filter className="h-4 w-4" />
+                <span>All</span>
+              </TabsTrigger>
+              <TabsTrigger value="confirmed" className="flex items-center space-x-2">
+                <CheckCircle className="h-4 w-4" />
+                <span>Confirmed</span>
+              </TabsTrigger>
+              <TabsTrigger
+                value="completed"
+                className="flex items-center space-x-2"
+              >
+                <CheckCircle className="h-4 w-4" />
+                <span>Completed</span>
+              </TabsTrigger>
+              <TabsTrigger
+                value="cancelled"
+                className="flex items-center space-x-2"
+              >
+                <X className="h-4 w-4" />
+                <span>Cancelled</span>
+              </TabsTrigger>
+            </TabsList>
 
-          <TabsContent value={activeTab} className="mt-6">
-            {/* Loading State */}
-            {isLoading ? (
-              <div className="flex items-center justify-center py-12">
-                <div className="text-center">
-                  <Loader2 className="h-8 w-8 animate-spin text-blue-600 mx-auto mb-4" />
-                  <p className="text-slate-600">Loading bookings...</p>
+            <TabsContent value={activeTab} className="mt-6">
+              {/* Loading State */}
+              {isLoading ? (
+                <div className="flex items-center justify-center py-12">
+                  <div className="text-center">
+                    <Loader2 className="h-8 w-8 animate-spin text-blue-600 mx-auto mb-4" />
+                    <p className="text-slate-600">Loading bookings...</p>
+                  </div>
                 </div>
-              </div>
-            ) : (
-              <>
-                {/* Bookings List */}
-                {bookings.length > 0 ? (
-                  <div className="space-y-4">
-                    {bookings.map((booking) => (
-                      <Card
-                        key={booking._id}
-                        className="border-0 shadow-lg hover:shadow-xl transition-all duration-300"
-                      >
-                        <CardContent className="p-6">
-                          <div className="flex items-center justify-between mb-4">
-                            <div className="flex items-center space-x-4">
-                              <div className="p-2 bg-blue-100 rounded-lg">
-                                <Truck className="h-5 w-5 text-blue-600" />
-                              </div>
-                              <div>
-                                <h3 className="text-lg font-semibold text-slate-800">
-                                  {booking.vehicle?.name || "Unknown Vehicle"}
-                                </h3>
-                                <p className="text-sm text-slate-600">
-                                  Booking #{booking._id.slice(-8)}
-                                </p>
+              ) : (
+                <>
+                  {/* Bookings List */}
+                  {bookings.length > 0 ? (
+                    <div className="space-y-4">
+                      {bookings.map((booking) => (
+                        <Card
+                          key={booking._id}
+                          className="border-0 shadow-lg hover:shadow-xl transition-all duration-300"
+                        >
+                          <CardContent className="p-6">
+                            <div className="flex items-center justify-between mb-4">
+                              <div className="flex items-center space-x-4">
+                                <div className="p-2 bg-blue-100 rounded-lg">
+                                  <Truck className="h-5 w-5 text-blue-600" />
+                                </div>
+                                <div>
+                                  <h3 className="text-lg font-semibold text-slate-800">
+                                    {booking.vehicle?.name || "Unknown Vehicle"}
+                                  </h3>
+                                  <p className="text-sm text-slate-600">
+                                    Booking #{booking._id.slice(-8)}
+                                  </p>
+                                </div>
                               </div>
+                              {getStatusBadge(booking.status)}
                             </div>
-                            {getStatusBadge(booking.status)}
-                          </div>
 
-                          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-                            {/* User Information */}
-                            <div className="flex items-center space-x-3">
-                              <User className="h-4 w-4 text-slate-500" />
-                              <div>
-                                <p className="text-sm font-medium text-slate-800">
-                                  {booking.user?.name || "Unknown User"}
-                                </p>
-                                <p className="text-xs text-slate-500">
-                                  {booking.user?.email || "No email"}
-                                </p>
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                              {/* User Information */}
+                              <div className="flex items-center space-x-3">
+                                <User className="h-4 w-4 text-slate-500" />
+                                <div>
+                                  <p className="text-sm font-medium text-slate-800">
+                                    {booking.user?.name || "Unknown User"}
+                                  </p>
+                                  <p className="text-xs text-slate-500">
+                                    {booking.user?.email || "No email"}
+                                  </p>
+                                </div>
                               </div>
-                            </div>
 
-                            {/* Route Information */}
-                            <div className="flex items-center space-x-3">
-                              <MapPin className="h-4 w-4 text-slate-500" />
-                              <div>
-                                <p className="text-sm font-medium text-slate-800">
-                                  {booking.pincodes.start} →{" "}
-                                  {booking.pincodes.end}
-                                </p>
-                                <p className="text-xs text-slate-500">Route</p>
+                              {/* Route Information */}
+                              <div className="flex items-center space-x-3">
+                                <MapPin className="h-4 w-4 text-slate-500" />
+                                <div>
+                                  <p className="text-sm font-medium text-slate-800">
+                                    {booking.pincodes.start} →{" "}
+                                    {booking.pincodes.end}
+                                  </p>
+                                  <p className="text-xs text-slate-500">Route</p>
+                                </div>
                               </div>
-                            </div>
 
-                            {/* Time Information */}
-                            <div className="flex items-center space-x-3">
-                              <Clock className="h-4 w-4 text-slate-500" />
-                              <div>
-                                <p className="text-sm font-medium text-slate-800">
-                                  {formatDate(booking.times.start)}
-                                </p>
-                                <p className="text-xs text-slate-500">
-                                  Duration:{" "}
-                                  {Math.round(
-                                    (new Date(booking.times.end) -
-                                      new Date(booking.times.start)) /
-                                      (1000 * 60 * 60)
-                                  )}{" "}
-                                  hours
-                                </p>
+                              {/* Time Information */}
+                              <div className="flex items-center space-x-3">
+                                <Clock className="h-4 w-4 text-slate-500" />
+                                <div>
+                                  <p className="text-sm font-medium text-slate-800">
+                                    {formatDate(booking.times.start)}
+                                  </p>
+                                  <p className="text-xs text-slate-500">
+                                    Duration:{" "}
+                                    {Math.round(
+                                      (new Date(booking.times.end) -
+                                        new Date(booking.times.start)) /
+                                        (1000 * 60 * 60)
+                                    )}{" "}
+                                    hours
+                                  </p>
+                                </div>
                               </div>
                             </div>
-                          </div>
 
-                          {/* Vehicle Details */}
-                          <div className="mt-4 pt-4 border-t border-slate-200">
-                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                              <div>
-                                <p className="text-xs text-slate-500">
-                                  Vehicle ID
-                                </p>
-                                <p className="text-sm font-medium text-slate-800">
-                                  {booking.vehicle?._id?.slice(-8) || "N/A"}
-                                </p>
-                              </div>
-                              <div>
-                                <p className="text-xs text-slate-500">
-                                  Capacity
-                                </p>
-                                <p className="text-sm font-medium text-slate-800">
-                                  {booking.vehicle?.capacityKg || "N/A"} kg
-                                </p>
-                              </div>
-                              <div>
-                                <p className="text-xs text-slate-500">Tyres</p>
-                                <p className="text-sm font-medium text-slate-800">
-                                  {booking.vehicle?.tyres || "N/A"}
-                                </p>
-                              </div>
-                              <div>
-                                <p className="text-xs text-slate-500">
-                                  Created
-                                </p>
-                                <p className="text-sm font-medium text-slate-800">
-                                  {formatDate(booking.createdAt)}
-                                </p>
+                            {/* Vehicle Details */}
+                            <div className="mt-4 pt-4 border-t border-slate-200">
+                              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                <div>
+                                  <p className="text-xs text-slate-500">
+                                    Vehicle ID
+                                  </p>
+                                  <p className="text-sm font-medium text-slate-800">
+                                    {booking.vehicle?._id?.slice(-8) || "N/A"}
+                                  </p>
+                                </div>
+                                <div>
+                                  <p className="text-xs text-slate-500">
+                                    Capacity
+                                  </p>
+                                  <p className="text-sm font-medium text-slate-800">
+                                    {booking.vehicle?.capacityKg || "N/A"} kg
+                                  </p>
+                                </div>
+                                <div>
+                                  <p className="text-xs text-slate-500">Tyres</p>
+                                  <p className="text-sm font-medium text-slate-800">
+                                    {booking.vehicle?.tyres || "N/A"}
+                                  </p>
+                                </div>
+                                <div>
+                                  <p className="text-xs text-slate-500">
+                                    Created
+                                  </p>
+                                  <p className="text-sm font-medium text-slate-800">
+                                    {formatDate(booking.createdAt)}
+                                  </p>
+                                </div>
                               </div>
                             </div>
-                          </div>
-                        </CardContent>
-                      </Card>
-                    ))}
-                  </div>
-                ) : (
-                  /* No Bookings State */
-                  <Card className="border-0 shadow-lg">
-                    <CardContent className="text-center py-12">
-                      <Calendar className="h-16 w-16 text-slate-300 mx-auto mb-4" />
-                      <h3 className="text-xl font-semibold text-slate-600 mb-2">
-                        {activeTab === "all"
-                          ? "No Bookings Yet"
-                          : `No ${activeTab} bookings`}
-                      </h3>
-                      <p className="text-slate-500">
-                        {activeTab === "all"
-                          ? "No bookings have been made in the system yet."
-                          : `There are no ${activeTab} bookings at the moment.`}
-                      </p>
-                    </CardContent>
-                  </Card>
-                )}
 
-                {/* Pagination */}
-                {pagination.totalPages > 1 && (
-                  <div className="flex items-center justify-center space-x-2 mt-8">
-                    <Button
-                      variant="outline"
-                      onClick={() =>
-                        handlePageChange(pagination.currentPage - 1)
-                      }
-                      disabled={!pagination.hasPrev}
-                    >
-                      Previous
-                    </Button>
-                    <span className="text-sm text-slate-600">
-                      Page {pagination.currentPage} of {pagination.totalPages}
-                    </span>
-                    <Button
-                      variant="outline"
-                      onClick={() =>
-                        handlePageChange(pagination.currentPage + 1)
-                      }
-                      disabled={!pagination.hasNext}
-                    >
-                      Next
-                    </Button>
-                  </div>
-                )}
-              </>
-            )}
-          </TabsContent>
-        </Tabs>
+                            {/* Lifecycle Actions */}
+                            {getLifecycleActions(booking).length > 0 && (
+                              <div className="mt-4 pt-4 border-t border-slate-200 flex flex-wrap gap-2">
+                                {getLifecycleActions(booking).map((step) => (
+                                  <Button
+                                    key={step.action}
+                                    size="sm"
+                                    variant={
+                                      step.action === "fail" ||
+                                      step.action === "no-show"
+                                        ? "outline"
+                                        : "default"
+                                    }
+                                    onClick={() =>
+                                      runLifecycleAction(booking, step)
+                                    }
+                                    disabled={updatingId === booking._id}
+                                  >
+                                    {updatingId === booking._id && (
+                                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                                    )}
+                                    {step.label}
+                                  </Button>
+                                ))}
+                              </div>
+                            )}
+                          </CardContent>
+                        </Card>
+                      ))}
+                    </div>
+                  ) : (
+                    /* No Bookings State */
+                    <Card className="border-0 shadow-lg">
+                      <CardContent className="text-center py-12">
+                        <Calendar className="h-16 w-16 text-slate-300 mx-auto mb-4" />
+                        <h3 className="text-xl font-semibold text-slate-600 mb-2">
+                          {activeTab === "all"
+                            ? "No Bookings Yet"
+                            : `No ${activeTab} bookings`}
+                        </h3>
+                        <p className="text-slate-500">
+                          {activeTab === "all"
+                            ? "No bookings have been made in the system yet."
+                            : `There are no ${activeTab} bookings at the moment.`}
+                        </p>
+                      </CardContent>
+                    </Card>
+                  )}
+
+                  {/* Pagination */}
+                  {pagination.totalPages > 1 && (
+                    <div className="flex items-center justify-center space-x-2 mt-8">
+                      <Button
+                        variant="outline"
+                        onClick={() =>
+                          handlePageChange(pagination.currentPage - 1)
+                        }
+                        disabled={!pagination.hasPrev}
+                      >
+                        Previous
+                      </Button>
+                      <span className="text-sm text-slate-600">
+                        Page {pagination.currentPage} of {pagination.totalPages}
+                      </span>
+                      <Button
+                        variant="outline"
+                        onClick={() =>
+                          handlePageChange(pagination.currentPage + 1)
+                        }
+                        disabled={!pagination.hasNext}
+                      >
+                        Next
+                      </Button>
+                    </div>
+                  )}
+                </>
+              )}
+            </TabsContent>
+          </Tabs>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,640 @@
+"use client";
+
+/**
+ * Admin Fleet Timeline Component for FleetLink
+ * @fileoverview One row per vehicle with bookings drawn as bars across days, and drag to reschedule
+ */
+
+import React, { useState, useEffect } from "react";
+import { format } from "date-fns";
+import { bookingAPI } from "@/lib/api";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  AlertCircle,
+  ChevronLeft,
+  ChevronRight,
+  Loader2,
+  Truck,
+  X,
+} from "lucide-react";
+import { toast } from "sonner";
+
+/**
+ * Days shown at once
+ * @constant {number}
+ */
+const TIMELINE_DAYS = 7;
+
+/**
+ * Dragged bars snap to this many minutes
+ * @constant {number}
+ */
+const SNAP_MINUTES = 15;
+
+/**
+ * Vehicle rows per page
+ * @constant {number}
+ */
+const TIMELINE_ROW_LIMIT = 25;
+
+/**
+ * Booking statuses with their labels and bar colours
+ * @constant {Array<Object>}
+ */
+const STATUS_OPTIONS = [
+  { value: "pending", label: "Awaiting Approval", bar: "bg-amber-400" },
+  { value: "confirmed", label: "Confirmed", bar: "bg-green-500" },
+  { value: "dispatched", label: "Dispatched", bar: "bg-indigo-500" },
+  { value: "in_transit", label: "In Transit", bar: "bg-sky-500" },
+  { value: "delivered", label: "Delivered", bar: "bg-teal-500" },
+  { value: "completed", label: "Completed", bar: "bg-blue-500" },
+  { value: "cancelled", label: "Cancelled", bar: "bg-red-300" },
+  { value: "rejected", label: "Rejected", bar: "bg-red-300" },
+  { value: "no_show", label: "No Show", bar: "bg-slate-400" },
+  { value: "failed", label: "Failed", bar: "bg-red-500" },
+];
+
+/**
+ * Statuses shown until the admin changes the filter: everything except bookings that never ran
+ * @constant {Array<string>}
+ */
+const DEFAULT_STATUSES = STATUS_OPTIONS.map((option) => option.value).filter(
+  (status) => status !== "cancelled" && status !== "rejected"
+);
+
+/**
+ * Local midnight of today
+ * @returns {Date} Start of today
+ */
+const startOfToday = () => {
+  const today = new Date();
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+};
+
+/**
+ * Fleet timeline for administrators
+ * @returns {JSX.Element} Timeline with filters
+ */
+const AdminFleetTimeline = () => {
+  const [rangeStart, setRangeStart] = useState(startOfToday);
+  const [statuses, setStatuses] = useState(DEFAULT_STATUSES);
+  const [ownerId, setOwnerId] = useState("");
+  const [page, setPage] = useState(1);
+  const [timeline, setTimeline] = useState({
+    rows: [],
+    owners: [],
+    pagination: null,
+  });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const [conflicts, setConflicts] = useState({});
+
+  const rangeEnd = new Date(
+    rangeStart.getFullYear(),
+    rangeStart.getMonth(),
+    rangeStart.getDate() + TIMELINE_DAYS
+  );
+  const rangeMs = rangeEnd - rangeStart;
+  const days = Array.from(
+    { length: TIMELINE_DAYS },
+    (_, index) =>
+      new Date(
+        rangeStart.getFullYear(),
+        rangeStart.getMonth(),
+        rangeStart.getDate() + index
+      )
+  );
+
+  /**
+   * Load the timeline for the current range and filters
+   */
+  const fetchTimeline = async () => {
+    if (statuses.length === 0) {
+      setTimeline((prev) => ({ ...prev, rows: [], pagination: null }));
+      setIsLoading(false);
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await bookingAPI.getFleetTimeline({
+        from: rangeStart.toISOString(),
+        to: rangeEnd.toISOString(),
+        statuses,
+        ownerId,
+        page,
+        limit: TIMELINE_ROW_LIMIT,
+      });
+      setTimeline({
+        rows: response.rows || [],
+        owners: response.owners || [],
+        pagination: response.pagination || null,
+      });
+    } catch (error) {
+      setError(
+        error.response?.data?.message ||
+          "Failed to load the fleet timeline. Please try again."
+      );
+      console.error("Fetch fleet timeline error:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTimeline();
+  }, [rangeStart, statuses, ownerId, page]);
+
+  /**
+   * Move the visible range by a number of days
+   * @param {number} offsetDays - Days to move, negative for earlier
+   */
+  const shiftRange = (offsetDays) => {
+    setRangeStart(
+      (prev) =>
+        new Date(
+          prev.getFullYear(),
+          prev.getMonth(),
+          prev.getDate() + offsetDays
+        )
+    );
+    setConflicts({});
+  };
+
+  /**
+   * Show or hide a booking status
+   * @param {string} status - Booking status
+   * @param {boolean} checked - Whether the status is shown
+   */
+  const toggleStatus = (status, checked) => {
+    setStatuses((prev) =>
+      checked ? [...prev, status] : prev.filter((value) => value !== status)
+    );
+    setPage(1);
+  };
+
+  /**
+   * Position of an interval on the track, as CSS percentages
+   * @param {string|Date} start - Interval start
+   * @param {string|Date} end - Interval end
+   * @returns {Object|null} { left, width } or null when the interval is outside the range
+   */
+  const barPosition = (start, end) => {
+    const startOffset = (new Date(start) - rangeStart) / rangeMs;
+    const endOffset = (new Date(end) - rangeStart) / rangeMs;
+    if (endOffset <= 0 || startOffset >= 1) return null;
+
+    const left = Math.max(startOffset, 0) * 100;
+    const right = Math.min(endOffset, 1) * 100;
+    return { left: `${left}%`, width: `${Math.max(right - left, 0.5)}%` };
+  };
+
+  /**
+   * Start dragging a booking bar
+   * @param {PointerEvent} event - Pointer down event
+   * @param {Object} booking - Timeline booking
+   */
+  const handlePointerDown = (event, booking) => {
+    if (!booking.canReschedule || savingId) return;
+
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDrag({
+      bookingId: booking.id,
+      originX: event.clientX,
+      trackWidth: event.currentTarget.parentElement.getBoundingClientRect()
+        .width,
+      deltaMs: 0,
+    });
+  };
+
+  /**
+   * Follow the pointer, snapping the bar to quarter hours
+   * @param {PointerEvent} event - Pointer move event
+   * @param {Object} booking - Timeline booking
+   */
+  const handlePointerMove = (event, booking) => {
+    if (drag?.bookingId !== booking.id) return;
+
+    const snapMs = SNAP_MINUTES * 60 * 1000;
+    const rawMs =
+      ((event.clientX - drag.originX) / drag.trackWidth) * rangeMs;
+    const deltaMs = Math.round(rawMs / snapMs) * snapMs;
+    if (deltaMs !== drag.deltaMs) {
+      setDrag((prev) => ({ ...prev, deltaMs }));
+    }
+  };
+
+  /**
+   * Drop a dragged bar and reschedule its booking
+   * @param {Object} booking - Timeline booking
+   */
+  const handlePointerUp = async (booking) => {
+    if (drag?.bookingId !== booking.id) return;
+
+    const { deltaMs } = drag;
+    setDrag(null);
+    if (deltaMs === 0) return;
+
+    const newStart = new Date(new Date(booking.start).getTime() + deltaMs);
+    const durationMs = new Date(booking.end) - new Date(booking.start);
+
+    try {
+      setSavingId(booking.id);
+      dismissConflict(booking.id);
+      await bookingAPI.rescheduleBooking(booking.id, {
+        startTime: newStart.toISOString(),
+      });
+      toast.success(
+        `Booking moved to ${format(newStart, "EEE d MMM, p")}`
+      );
+      await fetchTimeline();
+    } catch (error) {
+      const details = error.response?.data?.conflictDetails;
+      setConflicts((prev) => ({
+        ...prev,
+        [booking.id]: {
+          message:
+            error.response?.data?.message ||
+            "Failed to reschedule booking. Please try again.",
+          requestedStart: details?.requestedStart ?? newStart,
+          requestedEnd:
+            details?.requestedEnd ??
+            new Date(newStart.getTime() + durationMs),
+          bookings: details?.conflictingBookings ?? [],
+          downtime: details?.conflictingDowntime ?? [],
+        },
+      }));
+      console.error("Reschedule booking error:", error);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  /**
+   * Dismiss a conflict message
+   * @param {string} bookingId - Booking the conflict belongs to
+   */
+  const dismissConflict = (bookingId) => {
+    setConflicts((prev) => {
+      const remaining = { ...prev };
+      delete remaining[bookingId];
+      return remaining;
+    });
+  };
+
+  /**
+   * Format an interval for conflict messages and tooltips
+   * @param {string|Date} start - Interval start
+   * @param {string|Date} end - Interval end
+   * @returns {string} e.g. "Mon 15 Jan, 10:00 AM – 4:00 PM"
+   */
+  const formatInterval = (start, end) =>
+    `${format(new Date(start), "EEE d MMM, p")} – ${format(
+      new Date(end),
+      "p"
+    )}`;
+
+  /**
+   * Bar colour for a booking status
+   * @param {string} status - Booking status
+   * @returns {string} Tailwind background class
+   */
+  const statusBar = (status) =>
+    STATUS_OPTIONS.find((option) => option.value === status)?.bar ||
+    "bg-slate-400";
+  const pagination = timeline.pagination;
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <Card className="border-0 shadow-lg">
+        <CardContent className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center space-x-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => shiftRange(-TIMELINE_DAYS)}
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => {
+                  setRangeStart(startOfToday());
+                  setConflicts({});
+                }}
+              >
+                Today
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => shiftRange(TIMELINE_DAYS)}
+              >
+                <ChevronRight className="h-4 w-4" />
+              </Button>
+              <span className="text-sm font-medium text-slate-700">
+                {format(rangeStart, "d MMM")} –{" "}
+                {format(new Date(rangeEnd - 1), "d MMM yyyy")}
+              </span>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Label htmlFor="timelineOwner" className="text-sm">
+                Owner
+              </Label>
+              <select
+                id="timelineOwner"
+                value={ownerId}
+                onChange={(event) => {
+                  setOwnerId(event.target.value);
+                  setPage(1);
+                }}
+                className="px-3 py-2 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">All owners</option>
+                {timeline.owners.map((owner) => (
+                  <option key={owner.id} value={owner.id}>
+                    {owner.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-4">
+            {STATUS_OPTIONS.map((option) => (
+              <div key={option.value} className="flex items-center space-x-2">
+                <Checkbox
+                  id={`timeline-status-${option.value}`}
+                  checked={statuses.includes(option.value)}
+                  onCheckedChange={(checked) =>
+                    toggleStatus(option.value, checked === true)
+                  }
+                />
+                <Label
+                  htmlFor={`timeline-status-${option.value}`}
+                  className="flex items-center text-sm font-normal"
+                >
+                  <span
+                    className={`inline-block h-3 w-3 rounded mr-1 ${option.bar}`}
+                  />
+                  {option.label}
+                </Label>
+              </div>
+            ))}
+          </div>
+
+          <p className="text-xs text-slate-500">
+            Drag an active booking that has not started to move it. The move
+            is checked against the vehicle&apos;s other bookings, downtime and
+            operating hours, and conflicts are shown under the vehicle.
+          </p>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert className="bg-red-50 border-red-200">
+          <AlertCircle className="h-4 w-4 text-red-600" />
+          <AlertDescription className="text-red-800">{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Timeline */}
+      <Card className="border-0 shadow-lg">
+        <CardContent className="p-0 overflow-x-auto">
+          <div className="min-w-[900px]">
+            <div className="flex border-b border-slate-200 bg-slate-50">
+              <div className="w-48 shrink-0 px-4 py-2 text-xs font-medium text-slate-500">
+                Vehicle
+              </div>
+              <div className="flex flex-1">
+                {days.map((day) => (
+                  <div
+                    key={day.toISOString()}
+                    className="flex-1 border-l border-slate-200 px-2 py-2 text-xs font-medium text-slate-500"
+                  >
+                    {format(day, "EEE d MMM")}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {isLoading ? (
+              <div className="flex items-center justify-center py-12">
+                <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+              </div>
+            ) : timeline.rows.length === 0 ? (
+              <div className="text-center py-12">
+                <Truck className="h-12 w-12 text-slate-300 mx-auto mb-2" />
+                <p className="text-slate-500">No vehicles to show.</p>
+              </div>
+            ) : (
+              timeline.rows.map((row) => {
+                const rowConflicts = row.bookings.filter(
+                  (booking) => conflicts[booking.id]
+                );
+
+                return (
+                  <div
+                    key={row.vehicle.id}
+                    className="border-b border-slate-100"
+                  >
+                    <div className="flex">
+                      <div className="w-48 shrink-0 px-4 py-2">
+                        <p className="text-sm font-medium text-slate-800 truncate">
+                          {row.vehicle.name}
+                        </p>
+                        <p className="text-xs text-slate-500 truncate">
+                          {row.vehicle.owner?.name || "Unknown owner"} ·{" "}
+                          {row.vehicle.capacityKg} kg
+                        </p>
+                      </div>
+                      <div className="relative flex-1 h-14">
+                        {/* Day gridlines */}
+                        <div className="absolute inset-0 flex pointer-events-none">
+                          {days.map((day) => (
+                            <div
+                              key={day.toISOString()}
+                              className="flex-1 border-l border-slate-100"
+                            />
+                          ))}
+                        </div>
+
+                        {row.downtime.map((block) => {
+                          const position = barPosition(block.start, block.end);
+                          return (
+                            position && (
+                              <div
+                                key={block.id}
+                                className="absolute top-2 bottom-2 rounded bg-[repeating-linear-gradient(45deg,#cbd5e1_0,#cbd5e1_4px,#e2e8f0_4px,#e2e8f0_8px)]"
+                                style={position}
+                                title={`Downtime: ${
+                                  block.reason
+                                } (${formatInterval(block.start, block.end)})`}
+                              />
+                            )
+                          );
+                        })}
+
+                        {rowConflicts.map((booking) => {
+                          const conflict = conflicts[booking.id];
+                          const position = barPosition(
+                            conflict.requestedStart,
+                            conflict.requestedEnd
+                          );
+                          return (
+                            position && (
+                              <div
+                                key={`conflict-${booking.id}`}
+                                className="absolute top-1 bottom-1 rounded border-2 border-dashed border-red-500 bg-red-50/60 pointer-events-none"
+                                style={position}
+                              />
+                            )
+                          );
+                        })}
+
+                        {row.bookings.map((booking) => {
+                          const offsetMs =
+                            drag?.bookingId === booking.id ? drag.deltaMs : 0;
+                          const position = barPosition(
+                            new Date(booking.start).getTime() + offsetMs,
+                            new Date(booking.end).getTime() + offsetMs
+                          );
+                          if (!position) return null;
+
+                          return (
+                            <div
+                              key={booking.id}
+                              className={`absolute top-3 bottom-3 rounded px-2 text-xs text-white truncate leading-8 select-none touch-none ${statusBar(
+                                booking.status
+                              )} ${
+                                booking.canReschedule
+                                  ? "cursor-grab active:cursor-grabbing"
+                                  : "opacity-80"
+                              } ${
+                                conflicts[booking.id]
+                                  ? "ring-2 ring-red-500"
+                                  : ""
+                              } ${
+                                drag?.bookingId === booking.id
+                                  ? "shadow-lg z-10"
+                                  : ""
+                              }`}
+                              style={position}
+                              title={`${
+                                booking.customer?.name || "Unknown customer"
+                              }: ${booking.pincodes.start} → ${
+                                booking.pincodes.end
+                              } (${formatInterval(
+                                booking.start,
+                                booking.end
+                              )})`}
+                              onPointerDown={(event) =>
+                                handlePointerDown(event, booking)
+                              }
+                              onPointerMove={(event) =>
+                                handlePointerMove(event, booking)
+                              }
+                              onPointerUp={() => handlePointerUp(booking)}
+                              onPointerCancel={() => setDrag(null)}
+                            >
+                              {savingId === booking.id ? (
+                                <Loader2 className="inline h-3 w-3 animate-spin" />
+                              ) : (
+                                booking.customer?.name ||
+                                `#${booking.id.slice(-8)}`
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+
+                    {/* Conflicts from the last move of each booking in this row */}
+                    {rowConflicts.map((booking) => {
+                      const conflict = conflicts[booking.id];
+                      return (
+                        <div
+                          key={`conflict-message-${booking.id}`}
+                          className="flex items-start justify-between mx-4 mb-2 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800"
+                        >
+                          <div>
+                            <p className="font-medium">
+                              Could not move #{booking.id.slice(-8)} to{" "}
+                              {formatInterval(
+                                conflict.requestedStart,
+                                conflict.requestedEnd
+                              )}
+                              : {conflict.message}
+                            </p>
+                            {conflict.bookings.map((other) => (
+                              <p key={other.id}>
+                                Booking #{String(other.id).slice(-8)}:{" "}
+                                {formatInterval(other.start, other.end)}
+                                {other.conflictType === "turnaround" &&
+                                  ` (needs ${other.requiredGapMinutes} min between bookings)`}
+                              </p>
+                            ))}
+                            {conflict.downtime.map((block) => (
+                              <p key={block.id}>
+                                Downtime: {block.reason},{" "}
+                                {formatInterval(block.start, block.end)}
+                              </p>
+                            ))}
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => dismissConflict(booking.id)}
+                            className="text-red-600 hover:text-red-800"
+                            aria-label="Dismiss"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Pagination */}
+      {pagination?.totalPages > 1 && (
+        <div className="flex items-center justify-center space-x-2">
+          <Button
+            variant="outline"
+            onClick={() => setPage(page - 1)}
+            disabled={!pagination.hasPrevPage}
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-slate-600">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <Button
+            variant="outline"
+            onClick={() => setPage(page + 1)}
+            disabled={!pagination.hasNextPage}
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminFleetTimeline;
@@ -236,7 +236,7 @@ const AdminStats = () => {
                   <Card className="border-0 shadow-lg hover:shadow-xl transition-all duration-300">
                     <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
                       <CardTitle className="text-sm font-medium text-slate-600">
-                        Active Bookings
+                        Confirmed Bookings
                       </CardTitle>
                       <div className="p-2 bg-green-100 rounded-lg">
                         <CheckCircle className="h-4 w-4 text-green-600" />
@@ -244,7 +244,7 @@ const AdminStats = () => {
                     </CardHeader>
                     <CardContent>
                       <div className="text-3xl font-bold text-slate-800">
-                        {bookingStats.active}
+                        {bookingStats.confirmed}
                       </div>
                       <p className="text-xs text-slate-500 flex items-center mt-1">
                         <Clock className="h-3 w-3 mr-1 text-green-500" />
@@ -28,6 +28,21 @@ import {
   DialogTrigger,
 } from "@/components/ui/dialog";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import VehicleSpecFields, {
+  EMPTY_VEHICLE_SPECS,
+  buildVehicleSpecs,
+  vehicleSpecsToForm,
+} from "@/components/vehicle-spec-fields";
+import ServiceAreaFields, {
+  EMPTY_SERVICE_AREA,
+  buildServiceArea,
+  serviceAreaToForm,
+} from "@/components/service-area-fields";
+import {
+  VEHICLE_TYPE_LABELS,
+  BODY_TYPE_LABELS,
+  VEHICLE_FEATURE_LABELS,
+} from "@/lib/validations";
 import {
   Truck,
   Plus,
@@ -62,6 +77,8 @@ const AdminVehicleManagement = () => {
     name: "",
     capacityKg: "",
     tyres: "",
+    ...EMPTY_VEHICLE_SPECS,
+    ...EMPTY_SERVICE_AREA,
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -106,6 +123,18 @@ const AdminVehicleManagement = () => {
     }));
   };
 
+  /**
+   * Update one vehicle specification field
+   * @param {string} name - Field name
+   * @param {*} value - New value
+   */
+  const handleSpecChange = (name, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
   /**
    * Handle add vehicle
    */
@@ -118,6 +147,8 @@ const AdminVehicleManagement = () => {
         name: formData.name,
         capacityKg: parseInt(formData.capacityKg),
         tyres: parseInt(formData.tyres),
+        ...buildVehicleSpecs(formData),
+        ...buildServiceArea(formData),
       };
 
       await vehicleAPI.addVehicle(vehicleData);
@@ -125,7 +156,13 @@ const AdminVehicleManagement = () => {
       await fetchStats();
 
       setIsAddDialogOpen(false);
-      setFormData({ name: "", capacityKg: "", tyres: "" });
+      setFormData({
+        name: "",
+        capacityKg: "",
+        tyres: "",
+        ...EMPTY_VEHICLE_SPECS,
+        ...EMPTY_SERVICE_AREA,
+      });
       alert("Vehicle added successfully!");
     } catch (error) {
       console.error("Add vehicle error:", error);
@@ -147,6 +184,8 @@ const AdminVehicleManagement = () => {
         name: formData.name,
         capacityKg: parseInt(formData.capacityKg),
         tyres: parseInt(formData.tyres),
+        ...buildVehicleSpecs(formData),
+        ...buildServiceArea(formData),
       };
 
       await vehicleAPI.updateVehicle(editingVehicle._id, vehicleData);
@@ -155,7 +194,13 @@ const AdminVehicleManagement = () => {
 
       setIsEditDialogOpen(false);
       setEditingVehicle(null);
-      setFormData({ name: "", capacityKg: "", tyres: "" });
+      setFormData({
+        name: "",
+        capacityKg: "",
+        tyres: "",
+        ...EMPTY_VEHICLE_SPECS,
+        ...EMPTY_SERVICE_AREA,
+      });
       alert("Vehicle updated successfully!");
     } catch (error) {
       console.error("Edit vehicle error:", error);
@@ -199,6 +244,8 @@ const AdminVehicleManagement = () => {
       name: vehicle.name,
       capacityKg: vehicle.capacityKg.toString(),
       tyres: vehicle.tyres.toString(),
+      ...vehicleSpecsToForm(vehicle),
+      ...serviceAreaToForm(vehicle),
     });
     setIsEditDialogOpen(true);
   };
@@ -292,7 +339,7 @@ const AdminVehicleManagement = () => {
                     Add Vehicle
                   </Button>
                 </DialogTrigger>
-                <DialogContent>
+                <DialogContent className="max-h-[90vh] overflow-y-auto">
                   <DialogHeader>
                     <DialogTitle>Add New Vehicle</DialogTitle>
                     <DialogDescription>
@@ -335,6 +382,16 @@ const AdminVehicleManagement = () => {
                         required
                       />
                     </div>
+                    <VehicleSpecFields
+                      values={formData}
+                      onChange={handleSpecChange}
+                      idPrefix="add-"
+                    />
+                    <ServiceAreaFields
+                      values={formData}
+                      onChange={handleSpecChange}
+                      idPrefix="add-"
+                    />
                     <div className="flex justify-end space-x-2">
                       <Button
                         type="button"
@@ -512,8 +569,36 @@ const AdminVehicleManagement = () => {
                             {vehicle.tyres}
                           </p>
                         </div>
+                        {vehicle.vehicleType && (
+                          <div>
+                            <p className="text-xs text-slate-500">Type</p>
+                            <p className="text-sm font-medium text-slate-800">
+                              {VEHICLE_TYPE_LABELS[vehicle.vehicleType]}
+                              {vehicle.bodyType &&
+                                ` · ${BODY_TYPE_LABELS[vehicle.bodyType]}`}
+                            </p>
+                          </div>
+                        )}
+                        {vehicle.volumeM3 > 0 && (
+                          <div>
+                            <p className="text-xs text-slate-500">Volume</p>
+                            <p className="text-sm font-medium text-slate-800">
+                              {vehicle.volumeM3} m³
+                            </p>
+                          </div>
+                        )}
                       </div>
 
+                      {vehicle.features?.length > 0 && (
+                        <div className="flex flex-wrap gap-1">
+                          {vehicle.features.map((feature) => (
+                            <Badge key={feature} variant="outline">
+                              {VEHICLE_FEATURE_LABELS[feature]}
+                            </Badge>
+                          ))}
+                        </div>
+                      )}
+
                       <div className="pt-4 border-t border-slate-200 flex space-x-2">
                         <Button
                           onClick={() => openEditDialog(vehicle)}
@@ -567,7 +652,7 @@ const AdminVehicleManagement = () => {
 
         {/* Edit Vehicle Dialog */}
         <Dialog open={isEditDialogOpen} onOpenChange={setIsEditDialogOpen}>
-          <DialogContent>
+          <DialogContent className="max-h-[90vh] overflow-y-auto">
             <DialogHeader>
               <DialogTitle>Edit Vehicle</DialogTitle>
               <DialogDescription>Update vehicle information</DialogDescription>
@@ -608,6 +693,16 @@ const AdminVehicleManagement = () => {
                   required
                 />
               </div>
+              <VehicleSpecFields
+                values={formData}
+                onChange={handleSpecChange}
+                idPrefix="edit-"
+              />
+              <ServiceAreaFields
+                values={formData}
+                onChange={handleSpecChange}
+                idPrefix="edit-"
+              />
               <div className="flex justify-end space-x-2">
                 <Button
                   type="button"
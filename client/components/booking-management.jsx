@@ -7,7 +7,7 @@
 
 import React, { useState, useEffect } from "react";
 import { useAuth } from "@/contexts/AuthContext";
-import { bookingAPI } from "@/lib/api";
+import { bookingAPI, bookingSeriesAPI, bookingGroupAPI } from "@/lib/api";
 import {
   Card,
   CardContent,
@@ -17,8 +17,16 @@ import {
 } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
 import {
   Calendar,
   Truck,
@@ -30,6 +38,12 @@ import {
   Loader2,
   RefreshCw,
   Filter,
+  Send,
+  PackageCheck,
+  UserX,
+  Repeat,
+  Layers,
+  Package,
 } from "lucide-react";
 
 /**
@@ -43,6 +57,11 @@ const BookingManagement = () => {
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState("all");
   const [cancellingId, setCancellingId] = useState(null);
+  const [cancelPreview, setCancelPreview] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [answeringId, setAnsweringId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectReason, setRejectReason] = useState("");
 
   /**
    * Fetch user's bookings
@@ -62,6 +81,77 @@ const BookingManagement = () => {
     }
   };
 
+  /**
+   * Fetch pending booking requests for the user's own vehicles
+   */
+  const fetchRequests = async () => {
+    try {
+      const response = await bookingAPI.getBookingRequests();
+      setRequests(response.bookings || []);
+    } catch (error) {
+      console.error("Fetch booking requests error:", error);
+    }
+  };
+
+  /**
+   * Approve a booking request for one of the user's vehicles
+   * @param {string} bookingId - Booking ID to approve
+   */
+  const approveRequest = async (bookingId) => {
+    try {
+      setAnsweringId(bookingId);
+      await bookingAPI.approveBooking(bookingId);
+      await fetchRequests();
+      alert("Booking approved!");
+    } catch (error) {
+      console.error("Approve booking error:", error);
+      alert(
+        error.response?.data?.message ||
+          "Failed to approve booking. Please try again."
+      );
+    } finally {
+      setAnsweringId(null);
+    }
+  };
+
+  /**
+   * Reject the booking request open in the reject dialog
+   */
+  const rejectRequest = async () => {
+    try {
+      setAnsweringId(rejecting._id);
+      await bookingAPI.rejectBooking(rejecting._id, rejectReason);
+      setRejecting(null);
+      setRejectReason("");
+      await fetchRequests();
+    } catch (error) {
+      console.error("Reject booking error:", error);
+      alert(
+        error.response?.data?.message ||
+          "Failed to reject booking. Please try again."
+      );
+    } finally {
+      setAnsweringId(null);
+    }
+  };
+
+  /**
+   * Load the cancellation policy and fee before asking the user to confirm
+   * @param {Object} booking - Booking to cancel
+   */
+  const openCancelDialog = async (booking) => {
+    try {
+      setCancellingId(booking._id);
+      const response = await bookingAPI.getCancellationPreview(booking._id);
+      setCancelPreview({ booking, ...response.cancellation });
+    } catch (error) {
+      console.error("Cancellation preview error:", error);
+      alert("Failed to load the cancellation policy. Please try again.");
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
   /**
    * Cancel a booking
    * @param {string} bookingId - Booking ID to cancel
@@ -69,16 +159,92 @@ const BookingManagement = () => {
   const cancelBooking = async (bookingId) => {
     try {
       setCancellingId(bookingId);
-      await bookingAPI.cancelBooking(bookingId);
+      const response = await bookingAPI.cancelBooking(bookingId);
+      setCancelPreview(null);
 
       // Refresh bookings after cancellation
       await fetchBookings();
 
       // Show success message (you could add a toast here)
-      alert("Booking cancelled successfully!");
+      alert(response.message || "Booking cancelled successfully!");
     } catch (error) {
       console.error("Cancel booking error:", error);
-      alert("Failed to cancel booking. Please try again.");
+      alert(
+        error.response?.data?.message ||
+          "Failed to cancel booking. Please try again."
+      );
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  /**
+   * Cancel every vehicle of a split shipment
+   * @param {Object} booking - Any booking of the group
+   */
+  const cancelGroup = async (booking) => {
+    if (
+      !window.confirm(
+        "Cancel every vehicle of this split shipment? The cancellation policy applies to each vehicle."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setCancellingId(booking._id);
+      const response = await bookingGroupAPI.cancelGroup(booking.groupId);
+      await fetchBookings();
+
+      const fee =
+        response.totalFee > 0
+          ? ` Fees: ${response.currency} ${response.totalFee.toFixed(2)}.`
+          : "";
+      alert(`${response.message}.${fee}`);
+    } catch (error) {
+      console.error("Cancel group error:", error);
+      alert(
+        error.response?.data?.message ||
+          "Failed to cancel split shipment. Please try again."
+      );
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  /**
+   * Cancel every upcoming trip of a recurring booking
+   * @param {Object} booking - Any occurrence of the series
+   */
+  const cancelSeries = async (booking) => {
+    if (
+      !window.confirm(
+        "Cancel all upcoming trips of this recurring booking? The cancellation policy applies to each trip."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setCancellingId(booking._id);
+      const response = await bookingSeriesAPI.cancelSeries(booking.seriesId);
+      await fetchBookings();
+
+      const kept =
+        response.kept.length > 0
+          ? ` ${response.kept.length} trips could not be cancelled: ${response.kept[0].reason}`
+          : "";
+      const fee =
+        response.totalFee > 0
+          ? ` Fees: ${response.currency} ${response.totalFee.toFixed(2)}.`
+          : "";
+      alert(`${response.message}.${fee}${kept}`);
+    } catch (error) {
+      console.error("Cancel series error:", error);
+      alert(
+        error.response?.data?.message ||
+          "Failed to cancel recurring booking. Please try again."
+      );
     } finally {
       setCancellingId(null);
     }
@@ -123,11 +289,49 @@ const BookingManagement = () => {
    */
   const getStatusBadge = (status) => {
     switch (status) {
-      case "active":
+      case "pending":
+        return (
+          <Badge className="bg-amber-100 text-amber-800 border-amber-200">
+            <Clock className="h-3 w-3 mr-1" />
+            Awaiting Approval
+          </Badge>
+        );
+      case "rejected":
+        return (
+          <Badge
+            variant="destructive"
+            className="bg-red-100 text-red-800 border-red-200"
+          >
+            <X className="h-3 w-3 mr-1" />
+            Rejected
+          </Badge>
+        );
+      case "confirmed":
         return (
           <Badge className="bg-green-100 text-green-800 border-green-200">
             <CheckCircle className="h-3 w-3 mr-1" />
-            Active
+            Confirmed
+          </Badge>
+        );
+      case "dispatched":
+        return (
+          <Badge className="bg-indigo-100 text-indigo-800 border-indigo-200">
+            <Send className="h-3 w-3 mr-1" />
+            Dispatched
+          </Badge>
+        );
+      case "in_transit":
+        return (
+          <Badge className="bg-sky-100 text-sky-800 border-sky-200">
+            <Truck className="h-3 w-3 mr-1" />
+            In Transit
+          </Badge>
+        );
+      case "delivered":
+        return (
+          <Badge className="bg-teal-100 text-teal-800 border-teal-200">
+            <PackageCheck className="h-3 w-3 mr-1" />
+            Delivered
           </Badge>
         );
       case "completed":
@@ -150,6 +354,26 @@ const BookingManagement = () => {
             Cancelled
           </Badge>
         );
+      case "no_show":
+        return (
+          <Badge
+            variant="secondary"
+            className="bg-slate-100 text-slate-800 border-slate-200"
+          >
+            <UserX className="h-3 w-3 mr-1" />
+            No Show
+          </Badge>
+        );
+      case "failed":
+        return (
+          <Badge
+            variant="destructive"
+            className="bg-red-100 text-red-800 border-red-200"
+          >
+            <AlertCircle className="h-3 w-3 mr-1" />
+            Failed
+          </Badge>
+        );
       default:
         return <Badge variant="outline">{status}</Badge>;
     }
@@ -176,7 +400,7 @@ const BookingManagement = () => {
    * @returns {boolean} True if booking can be cancelled
    */
   const canCancelBooking = (booking) => {
-    if (booking.status !== "active") return false;
+    if (!["confirmed", "pending"].includes(booking.status)) return false;
     const startTime = new Date(booking.times.start);
     const now = new Date();
     return startTime > now;
@@ -188,10 +412,8 @@ const BookingManagement = () => {
    * @returns {boolean} True if booking can be completed
    */
   const canCompleteBooking = (booking) => {
-    if (booking.status !== "active") return false;
-    const startTime = new Date(booking.times.start);
-    const now = new Date();
-    return startTime <= now; // Can complete if booking has started
+    // Only deliveries the vehicle owner has marked delivered can be closed
+    return booking.status === "delivered";
   };
 
   /**
@@ -206,6 +428,7 @@ const BookingManagement = () => {
   // Load bookings on component mount
   useEffect(() => {
     fetchBookings();
+    fetchRequests();
   }, []);
 
   return (
@@ -246,20 +469,80 @@ const BookingManagement = () => {
           </Alert>
         )}
 
+        {/* Booking Requests for the user's own vehicles */}
+        {requests.length > 0 && (
+          <Card className="mb-6 border-0 shadow-lg">
+            <CardHeader>
+              <CardTitle className="text-lg text-slate-800">
+                Requests for Your Vehicles
+              </CardTitle>
+              <CardDescription>
+                These bookings hold the slot until you answer or they expire
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {requests.map((request) => (
+                <div
+                  key={request._id}
+                  className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-3 rounded-lg bg-slate-50"
+                >
+                  <div>
+                    <p className="text-sm font-medium text-slate-800">
+                      {request.vehicle?.name || "Unknown Vehicle"} ·{" "}
+                      {request.pincodes.start} → {request.pincodes.end}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {request.user?.name} · {formatDate(request.times.start)}
+                      {" · "}expires {formatDate(request.approval.expiresAt)}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <Button
+                      size="sm"
+                      className="bg-green-600 hover:bg-green-700"
+                      onClick={() => approveRequest(request._id)}
+                      disabled={answeringId === request._id}
+                    >
+                      <CheckCircle className="mr-2 h-4 w-4" />
+                      Approve
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => setRejecting(request)}
+                      disabled={answeringId === request._id}
+                    >
+                      <X className="mr-2 h-4 w-4" />
+                      Decline
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
         {/* Booking Tabs */}
         <Tabs
           value={activeTab}
           onValueChange={handleTabChange}
           className="w-full"
         >
-          <TabsList className="grid w-full grid-cols-4 bg-white shadow-sm">
+          <TabsList className="grid w-full grid-cols-5 bg-white shadow-sm">
             <TabsTrigger value="all" className="flex items-center space-x-2">
               <Filter className="h-4 w-4" />
               <span>All</span>
             </TabsTrigger>
-            <TabsTrigger value="active" className="flex items-center space-x-2">
+            <TabsTrigger
+              value="pending"
+              className="flex items-center space-x-2"
+            >
+              <Clock className="h-4 w-4" />
+              <span>Pending</span>
+            </TabsTrigger>
+            <TabsTrigger value="confirmed" className="flex items-center space-x-2">
               <CheckCircle className="h-4 w-4" />
-              <span>Active</span>
+              <span>Confirmed</span>
             </TabsTrigger>
             <TabsTrigger
               value="completed"
@@ -311,10 +594,47 @@ const BookingManagement = () => {
                                 </CardDescription>
                               </div>
                             </div>
-                            {getStatusBadge(booking.status)}
+                            <div className="flex items-center space-x-2">
+                              {booking.seriesId && (
+                                <Badge variant="outline">
+                                  <Repeat className="h-3 w-3 mr-1" />
+                                  Recurring
+                                </Badge>
+                              )}
+                              {booking.loadType === "shared" && (
+                                <Badge variant="outline">
+                                  Shared · {booking.loadKg} kg
+                                </Badge>
+                              )}
+                              {booking.groupId && (
+                                <Badge variant="outline">
+                                  <Layers className="h-3 w-3 mr-1" />
+                                  Split Shipment
+                                </Badge>
+                              )}
+                              {getStatusBadge(booking.status)}
+                            </div>
                           </div>
                         </CardHeader>
                         <CardContent className="space-y-4">
+                          {/* Approval Outcome */}
+                          {booking.status === "rejected" &&
+                            booking.approval?.reason && (
+                              <Alert className="bg-red-50 border-red-200">
+                                <AlertCircle className="h-4 w-4 text-red-600" />
+                                <AlertDescription className="text-red-800">
+                                  {booking.approval.reason}
+                                </AlertDescription>
+                              </Alert>
+                            )}
+                          {booking.status === "pending" &&
+                            booking.approval?.expiresAt && (
+                              <p className="text-xs text-amber-700">
+                                Waiting for the owner until{" "}
+                                {formatDate(booking.approval.expiresAt)}
+                              </p>
+                            )}
+
                           {/* Route Information */}
                           <div className="flex items-center space-x-2 p-3 rounded-lg bg-slate-50">
                             <MapPin className="h-4 w-4 text-slate-500" />
@@ -327,6 +647,68 @@ const BookingManagement = () => {
                             </div>
                           </div>
 
+                          {/* Itinerary */}
+                          {booking.stops?.length > 0 && (
+                            <div className="p-3 rounded-lg bg-slate-50">
+                              <p className="text-xs text-slate-500 mb-2">
+                                Itinerary
+                              </p>
+                              <ol className="space-y-1 text-sm text-slate-700">
+                                <li>
+                                  {booking.pincodes.start}: depart{" "}
+                                  {formatDate(booking.times.start)}
+                                </li>
+                                {booking.stops.map((stop, stopIndex) => (
+                                  <li key={`${stop.pincode}-${stopIndex}`}>
+                                    {stop.pincode}:{" "}
+                                    {formatDate(stop.arrivalTime)}
+                                    {stop.dwellMinutes > 0 &&
+                                      ` (${stop.dwellMinutes} min)`}
+                                    {stop.dropKg > 0 && `, drop ${stop.dropKg} kg`}
+                                    {stop.pickupKg > 0 &&
+                                      `, pick up ${stop.pickupKg} kg`}
+                                  </li>
+                                ))}
+                                <li>
+                                  {booking.pincodes.end}: arrive{" "}
+                                  {formatDate(booking.times.end)}
+                                </li>
+                              </ol>
+                            </div>
+                          )}
+
+                          {/* Cargo Manifest */}
+                          {booking.cargo?.category && (
+                            <div className="flex items-start space-x-2 p-3 rounded-lg bg-slate-50">
+                              <Package className="h-4 w-4 text-slate-500 mt-0.5" />
+                              <div className="flex-1">
+                                <p className="text-sm font-medium text-slate-800 capitalize">
+                                  {booking.cargo.category} goods
+                                </p>
+                                {booking.cargo.items?.length > 0 && (
+                                  <>
+                                    <ul className="text-sm text-slate-700">
+                                      {booking.cargo.items.map(
+                                        (item, itemIndex) => (
+                                          <li key={itemIndex}>
+                                            {`${item.quantity} × ${item.description}, ${item.weightKg} kg`}
+                                          </li>
+                                        )
+                                      )}
+                                    </ul>
+                                    <p className="text-xs text-slate-500">
+                                      {booking.cargo.totalWeightKg} kg
+                                      {booking.cargo.totalVolumeM3 > 0 &&
+                                        `, ${booking.cargo.totalVolumeM3} m³`}
+                                      {booking.cargo.declaredValue > 0 &&
+                                        `, declared value ${booking.cargo.declaredValue}`}
+                                    </p>
+                                  </>
+                                )}
+                              </div>
+                            </div>
+                          )}
+
                           {/* Time Information */}
                           <div className="flex items-center space-x-2 p-3 rounded-lg bg-slate-50">
                             <Clock className="h-4 w-4 text-slate-500" />
@@ -360,15 +742,35 @@ const BookingManagement = () => {
                                 {booking.vehicle?.tyres || "N/A"}
                               </p>
                             </div>
+                            {booking.cancellation?.fee > 0 && (
+                              <div>
+                                <p className="text-xs text-slate-500">
+                                  Cancellation Fee
+                                </p>
+                                <p className="text-sm font-medium text-red-700">
+                                  {booking.cancellation.currency}{" "}
+                                  {booking.cancellation.fee.toFixed(2)}
+                                </p>
+                              </div>
+                            )}
+                            {booking.price?.total != null && (
+                              <div>
+                                <p className="text-xs text-slate-500">Fare</p>
+                                <p className="text-sm font-medium text-slate-800">
+                                  {booking.price.currency}{" "}
+                                  {booking.price.total.toFixed(2)}
+                                </p>
+                              </div>
+                            )}
                           </div>
 
                           {/* Action Buttons */}
                           {(canCancelBooking(booking) ||
                             canCompleteBooking(booking)) && (
                             <div className="pt-4 border-t border-slate-200 space-y-2">
-                              {canCancelBooking(booking) && (
+                              {canCancelBooking(booking) && !booking.groupId && (
                                 <Button
-                                  onClick={() => cancelBooking(booking._id)}
+                                  onClick={() => openCancelDialog(booking)}
                                   variant="destructive"
                                   size="sm"
                                   className="w-full"
@@ -377,7 +779,7 @@ const BookingManagement = () => {
                                   {cancellingId === booking._id ? (
                                     <>
                                       <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                                      Cancelling...
+                                      Loading...
                                     </>
                                   ) : (
                                     <>
@@ -387,6 +789,30 @@ const BookingManagement = () => {
                                   )}
                                 </Button>
                               )}
+                              {canCancelBooking(booking) && booking.seriesId && (
+                                <Button
+                                  onClick={() => cancelSeries(booking)}
+                                  variant="outline"
+                                  size="sm"
+                                  className="w-full text-red-600 border-red-200 hover:bg-red-50"
+                                  disabled={cancellingId === booking._id}
+                                >
+                                  <Repeat className="mr-2 h-4 w-4" />
+                                  Cancel Series
+                                </Button>
+                              )}
+                              {canCancelBooking(booking) && booking.groupId && (
+                                <Button
+                                  onClick={() => cancelGroup(booking)}
+                                  variant="destructive"
+                                  size="sm"
+                                  className="w-full"
+                                  disabled={cancellingId === booking._id}
+                                >
+                                  <Layers className="mr-2 h-4 w-4" />
+                                  Cancel Group
+                                </Button>
+                              )}
                               {canCompleteBooking(booking) && (
                                 <Button
                                   onClick={() => completeBooking(booking._id)}
@@ -444,6 +870,134 @@ const BookingManagement = () => {
             )}
           </TabsContent>
         </Tabs>
+
+        {/* Reject Request Dialog */}
+        <Dialog
+          open={rejecting !== null}
+          onOpenChange={(open) => !open && setRejecting(null)}
+        >
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Decline Booking Request</DialogTitle>
+              <DialogDescription>
+                The customer sees this reason in their bookings
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-4">
+              <Textarea
+                value={rejectReason}
+                onChange={(e) => setRejectReason(e.target.value)}
+                placeholder="e.g., Vehicle reserved for a regular customer that day"
+                maxLength={300}
+              />
+              <div className="flex justify-end space-x-2">
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => setRejecting(null)}
+                >
+                  Back
+                </Button>
+                <Button
+                  variant="destructive"
+                  onClick={rejectRequest}
+                  disabled={
+                    !rejectReason.trim() || answeringId === rejecting?._id
+                  }
+                >
+                  Decline Request
+                </Button>
+              </div>
+            </div>
+          </DialogContent>
+        </Dialog>
+
+        {/* Cancellation Confirmation Dialog */}
+        <Dialog
+          open={cancelPreview !== null}
+          onOpenChange={(open) => !open && setCancelPreview(null)}
+        >
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Cancel Booking</DialogTitle>
+              <DialogDescription>
+                Review the vehicle&apos;s cancellation policy before confirming
+              </DialogDescription>
+            </DialogHeader>
+            {cancelPreview && (
+              <div className="space-y-4">
+                {cancelPreview.policy && (
+                  <ul className="text-sm text-slate-700 space-y-1">
+                    <li>
+                      Free cancellation until{" "}
+                      {formatDate(cancelPreview.freeUntil)}
+                    </li>
+                    {cancelPreview.policy.lateCancellationFeePercent > 0 && (
+                      <li>
+                        {cancelPreview.policy.lateCancellationFeePercent}% of
+                        the fare after that
+                      </li>
+                    )}
+                    {cancelPreview.policy.noCancellationHours > 0 && (
+                      <li>
+                        No cancellations after{" "}
+                        {formatDate(cancelPreview.cutoffAt)}
+                      </li>
+                    )}
+                  </ul>
+                )}
+                {cancelPreview.allowed ? (
+                  <Alert
+                    className={
+                      cancelPreview.fee > 0
+                        ? "bg-amber-50 border-amber-200"
+                        : "bg-green-50 border-green-200"
+                    }
+                  >
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>
+                      {cancelPreview.fee > 0
+                        ? `Cancelling now costs ${cancelPreview.currency} ${cancelPreview.fee.toFixed(2)} (${cancelPreview.feePercent}% of the fare).`
+                        : "Cancelling now is free of charge."}
+                    </AlertDescription>
+                  </Alert>
+                ) : (
+                  <Alert className="bg-red-50 border-red-200">
+                    <AlertCircle className="h-4 w-4 text-red-600" />
+                    <AlertDescription className="text-red-800">
+                      {cancelPreview.reason}
+                    </AlertDescription>
+                  </Alert>
+                )}
+                <div className="flex justify-end space-x-2">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    onClick={() => setCancelPreview(null)}
+                  >
+                    Keep Booking
+                  </Button>
+                  {cancelPreview.allowed && (
+                    <Button
+                      variant="destructive"
+                      onClick={() => cancelBooking(cancelPreview.booking._id)}
+                      disabled={cancellingId === cancelPreview.booking._id}
+                    >
+                      {cancellingId === cancelPreview.booking._id ? (
+                        <>
+                          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          Cancelling...
+                        </>
+                      ) : (
+                        "Confirm Cancellation"
+                      )}
+                    </Button>
+                  )}
+                </div>
+              </div>
+            )}
+          </DialogContent>
+        </Dialog>
       </div>
     </div>
   );
@@ -75,10 +75,13 @@ const Dashboard = () => {
             futureEnd.setDate(futureEnd.getDate() + 2); // Day after tomorrow
 
             const availableVehiclesResponse =
-              await vehicleAPI.getAvailableVehicles({
-                startTime: futureStart.toISOString(),
-                endTime: futureEnd.toISOString(),
-              });
+              await vehicleAPI.searchAvailable(
+                {
+                  startTime: futureStart.toISOString(),
+                  endTime: futureEnd.toISOString(),
+                },
+                { limit: 1, includeUnavailable: false }
+              );
             const availableCount =
               availableVehiclesResponse.availableCount || 0;
             vehicleStats = {
@@ -115,8 +118,8 @@ const Dashboard = () => {
 
         // Calculate stats based on user role
         const activeBookings = isAdmin()
-          ? bookingStats.active || 0
-          : userBookings.filter((booking) => booking.status === "active")
+          ? bookingStats.confirmed || 0
+          : userBookings.filter((booking) => booking.status === "confirmed")
               .length;
 
         const completedToday = isAdmin()
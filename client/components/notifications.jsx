@@ -30,6 +30,7 @@ import {
   Loader2,
   RefreshCw,
   Check,
+  ShieldAlert,
 } from "lucide-react";
 import { toast } from "sonner";
 
@@ -123,6 +124,26 @@ const Notifications = () => {
         return <Calendar className="h-5 w-5 text-orange-600" />;
       case "booking_completed":
         return <Check className="h-5 w-5 text-green-600" />;
+      case "booking_requested":
+        return <Clock className="h-5 w-5 text-amber-600" />;
+      case "booking_approved":
+        return <Check className="h-5 w-5 text-green-600" />;
+      case "booking_rejected":
+      case "booking_expired":
+      case "booking_no_show":
+      case "booking_failed":
+        return <Calendar className="h-5 w-5 text-red-600" />;
+      case "booking_dispatched":
+      case "booking_in_transit":
+        return <Truck className="h-5 w-5 text-indigo-600" />;
+      case "booking_delivered":
+        return <Check className="h-5 w-5 text-teal-600" />;
+      case "waitlist_offered":
+        return <BellRing className="h-5 w-5 text-green-600" />;
+      case "compliance_expiring":
+        return <ShieldAlert className="h-5 w-5 text-amber-600" />;
+      case "compliance_expired":
+        return <ShieldAlert className="h-5 w-5 text-red-600" />;
       default:
         return <Bell className="h-5 w-5 text-gray-600" />;
     }
@@ -142,6 +163,7 @@ const Notifications = () => {
         toPincode,
         startTime,
         endTime,
+        stops,
       } = notification.data;
       return (
         <div className="space-y-2">
@@ -153,7 +175,11 @@ const Notifications = () => {
             <div className="flex items-center gap-1">
               <MapPin className="h-3 w-3" />
               <span>
-                {fromPincode} → {toPincode}
+                {[
+                  fromPincode,
+                  ...(stops || []).map((stop) => stop.pincode),
+                  toPincode,
+                ].join(" → ")}
               </span>
             </div>
             <div className="flex items-center gap-1">
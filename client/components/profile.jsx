@@ -62,7 +62,7 @@ const Profile = () => {
         // Count bookings by status
         const totalBookings = bookings.length;
         const activeBookings = bookings.filter(
-          (b) => b.status === "active"
+          (b) => b.status === "confirmed"
         ).length;
         const completedBookings = bookings.filter(
           (b) => b.status === "completed"
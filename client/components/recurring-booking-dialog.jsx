@@ -0,0 +1,284 @@
+"use client";
+
+/**
+ * Recurring Booking Dialog for FleetLink
+ * @fileoverview Books a vehicle on a repeating schedule after checking every occurrence
+ */
+
+import React, { useState } from "react";
+import { bookingSeriesAPI } from "@/lib/api";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { AlertCircle, CheckCircle, Loader2, Repeat } from "lucide-react";
+
+/**
+ * Repeat options offered in the dialog
+ * @constant {Object<string, Object>}
+ */
+const REPEAT_OPTIONS = {
+  daily: { label: "Every day", recurrence: { frequency: "daily" } },
+  weekdays: {
+    label: "Every weekday (Mon-Fri)",
+    recurrence: {
+      frequency: "weekly",
+      byWeekday: ["MO", "TU", "WE", "TH", "FR"],
+    },
+  },
+  weekly: { label: "Every week", recurrence: { frequency: "weekly" } },
+};
+
+/**
+ * Recurring booking dialog
+ * @param {Object} props - Component props
+ * @param {Object|null} props.vehicle - Vehicle to book; the dialog is open while set
+ * @param {Object} props.route - { fromPincode, toPincode, startTime } from the search form
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @param {Function} props.onBooked - Called after the series is booked
+ * @returns {JSX.Element} Recurring booking dialog
+ */
+const RecurringBookingDialog = ({ vehicle, route, onClose, onBooked }) => {
+  const [repeat, setRepeat] = useState("weekdays");
+  const [endType, setEndType] = useState("count");
+  const [count, setCount] = useState("10");
+  const [until, setUntil] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isBooking, setIsBooking] = useState(false);
+
+  /**
+   * Build the request body from the form
+   * @returns {Object} Series data for the API
+   */
+  const buildSeriesData = () => ({
+    vehicleId: vehicle._id || vehicle.id,
+    fromPincode: route.fromPincode,
+    toPincode: route.toPincode,
+    startTime: new Date(route.startTime).toISOString(),
+    recurrence: {
+      ...REPEAT_OPTIONS[repeat].recurrence,
+      ...(endType === "count" ? { count: Number(count) } : { until }),
+    },
+  });
+
+  /**
+   * Forget the last availability check when the schedule changes
+   * @param {Function} setter - State setter
+   * @returns {Function} Change handler
+   */
+  const changeSchedule = (setter) => (value) => {
+    setter(value);
+    setPreview(null);
+  };
+
+  /**
+   * Check every occurrence for conflicts
+   */
+  const checkAvailability = async () => {
+    try {
+      setIsChecking(true);
+      const response = await bookingSeriesAPI.previewSeries(buildSeriesData());
+      setPreview(response);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to check availability"
+      );
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  /**
+   * Book the series, skipping unavailable occurrences when there are any
+   */
+  const bookSeries = async () => {
+    try {
+      setIsBooking(true);
+      const response = await bookingSeriesAPI.createSeries({
+        ...buildSeriesData(),
+        skipUnavailable: preview.availableCount < preview.occurrences.length,
+      });
+      toast.success(response.message);
+      setPreview(null);
+      onBooked();
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data.occurrences) {
+        setPreview({
+          occurrences: error.response.data.occurrences,
+          availableCount: error.response.data.occurrences.filter(
+            (occurrence) => occurrence.available
+          ).length,
+        });
+      }
+      toast.error(error.response?.data?.message || "Failed to book series");
+    } finally {
+      setIsBooking(false);
+    }
+  };
+
+  /**
+   * Format date for display
+   * @param {string} dateString - ISO date string
+   * @returns {string} Formatted date
+   */
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  };
+
+  return (
+    <Dialog
+      open={vehicle !== null}
+      onOpenChange={(open) => {
+        if (!open) {
+          setPreview(null);
+          onClose();
+        }
+      }}
+    >
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <Repeat className="h-5 w-5 text-blue-600" />
+            <span>Recurring Booking</span>
+          </DialogTitle>
+          <DialogDescription>
+            {vehicle?.name}: {route.fromPincode} → {route.toPincode}, first
+            trip {route.startTime ? formatDate(route.startTime) : ""}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="repeat">Repeat</Label>
+            <select
+              id="repeat"
+              value={repeat}
+              onChange={(e) => changeSchedule(setRepeat)(e.target.value)}
+              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(REPEAT_OPTIONS).map(([value, option]) => (
+                <option key={value} value={value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="endType">Ends</Label>
+              <select
+                id="endType"
+                value={endType}
+                onChange={(e) => changeSchedule(setEndType)(e.target.value)}
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="count">After a number of trips</option>
+                <option value="until">On a date</option>
+              </select>
+            </div>
+            <div className="space-y-2">
+              {endType === "count" ? (
+                <>
+                  <Label htmlFor="count">Trips</Label>
+                  <Input
+                    id="count"
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={count}
+                    onChange={(e) => changeSchedule(setCount)(e.target.value)}
+                  />
+                </>
+              ) : (
+                <>
+                  <Label htmlFor="until">Last day</Label>
+                  <Input
+                    id="until"
+                    type="date"
+                    value={until}
+                    onChange={(e) => changeSchedule(setUntil)(e.target.value)}
+                  />
+                </>
+              )}
+            </div>
+          </div>
+
+          {preview && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-slate-800">
+                {preview.availableCount} of {preview.occurrences.length} trips
+                available
+              </p>
+              <ul className="max-h-48 overflow-y-auto text-sm border border-slate-200 rounded-md divide-y divide-slate-100">
+                {preview.occurrences.map((occurrence) => (
+                  <li
+                    key={occurrence.index}
+                    className="flex items-start justify-between px-3 py-2"
+                  >
+                    <span className="text-slate-700">
+                      {formatDate(occurrence.start)}
+                    </span>
+                    {occurrence.available ? (
+                      <CheckCircle className="h-4 w-4 text-green-600" />
+                    ) : (
+                      <span className="text-xs text-red-700 text-right ml-2">
+                        {occurrence.reason}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {preview.availableCount < preview.occurrences.length &&
+                preview.availableCount > 0 && (
+                  <Alert className="bg-amber-50 border-amber-200">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>
+                      Only the available trips will be booked.
+                    </AlertDescription>
+                  </Alert>
+                )}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={checkAvailability}
+              disabled={isChecking || (endType === "until" && !until)}
+            >
+              {isChecking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Check Availability
+            </Button>
+            <Button
+              onClick={bookSeries}
+              disabled={!preview || preview.availableCount === 0 || isBooking}
+              className="bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              {isBooking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Book {preview ? preview.availableCount : ""} Trips
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RecurringBookingDialog;
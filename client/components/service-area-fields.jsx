@@ -0,0 +1,138 @@
+"use client";
+
+/**
+ * Service Area Fields for FleetLink
+ * @fileoverview Home base and service area inputs shared by the vehicle forms
+ */
+
+import React from "react";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { getFieldError } from "@/lib/validations";
+
+/**
+ * Empty home base and service area values for a new vehicle
+ */
+export const EMPTY_SERVICE_AREA = {
+  homePincode: "",
+  servicePrefixes: "",
+  serviceStates: "",
+  serviceRadiusKm: "",
+};
+
+/**
+ * Split a comma-separated input into trimmed entries
+ * @param {string} value - e.g. "110, 122"
+ * @returns {Array<string>} Non-empty entries
+ */
+const splitList = (value) =>
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Turn a vehicle from the API into form values
+ * @param {Object} vehicle - Vehicle summary
+ * @returns {Object} Home base and service area form values
+ */
+export const serviceAreaToForm = (vehicle) => ({
+  homePincode: vehicle.homePincode || "",
+  servicePrefixes: (vehicle.serviceArea?.pincodePrefixes || []).join(", "),
+  serviceStates: (vehicle.serviceArea?.states || []).join(", "),
+  serviceRadiusKm: vehicle.serviceArea?.radiusKm?.toString() || "",
+});
+
+/**
+ * Turn form values into the fields the vehicle API expects
+ * @param {Object} values - Home base and service area form values
+ * @returns {Object} homePincode and serviceArea
+ */
+export const buildServiceArea = (values) => ({
+  homePincode: values.homePincode || null,
+  serviceArea: {
+    pincodePrefixes: splitList(values.servicePrefixes),
+    states: splitList(values.serviceStates),
+    radiusKm:
+      values.serviceRadiusKm !== "" ? parseFloat(values.serviceRadiusKm) : null,
+  },
+});
+
+/**
+ * Home base and service area fields
+ * @param {Object} props - Component props
+ * @param {Object} props.values - Home base and service area form values
+ * @param {Function} props.onChange - Called with (name, value) when a field changes
+ * @param {Object} [props.errors] - Validation errors by field path
+ * @param {string} [props.idPrefix=""] - Prefix for input ids when a page shows several forms
+ * @returns {JSX.Element} Service area fields
+ */
+const ServiceAreaFields = ({
+  values,
+  onChange,
+  errors = {},
+  idPrefix = "",
+}) => {
+  const homeError = getFieldError(errors, "homePincode");
+  const radiusError = getFieldError(errors, "serviceArea.radiusKm");
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}homePincode`}>Home Base Pincode</Label>
+          <Input
+            id={`${idPrefix}homePincode`}
+            placeholder="e.g., 110001"
+            maxLength={6}
+            value={values.homePincode}
+            onChange={(e) => onChange("homePincode", e.target.value)}
+            className={homeError ? "border-red-500" : ""}
+          />
+          {homeError && <p className="text-xs text-red-600">{homeError}</p>}
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}serviceRadiusKm`}>
+            Service Radius (km)
+          </Label>
+          <Input
+            id={`${idPrefix}serviceRadiusKm`}
+            type="number"
+            min="1"
+            placeholder="Around the home base"
+            value={values.serviceRadiusKm}
+            onChange={(e) => onChange("serviceRadiusKm", e.target.value)}
+            className={radiusError ? "border-red-500" : ""}
+          />
+          {radiusError && <p className="text-xs text-red-600">{radiusError}</p>}
+        </div>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}servicePrefixes`}>Pincode Prefixes</Label>
+          <Input
+            id={`${idPrefix}servicePrefixes`}
+            placeholder="e.g., 110, 122"
+            value={values.servicePrefixes}
+            onChange={(e) => onChange("servicePrefixes", e.target.value)}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}serviceStates`}>States</Label>
+          <Input
+            id={`${idPrefix}serviceStates`}
+            placeholder="e.g., Delhi, Haryana"
+            value={values.serviceStates}
+            onChange={(e) => onChange("serviceStates", e.target.value)}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-slate-500">
+        Trips must start, stop and end in the service area. Leave everything
+        empty to accept trips anywhere.
+      </p>
+    </div>
+  );
+};
+
+export default ServiceAreaFields;
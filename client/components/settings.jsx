@@ -29,6 +29,7 @@ import {
   DialogTrigger,
 } from "@/components/ui/dialog";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import VehicleComplianceDialog from "@/components/vehicle-compliance-dialog";
 import {
   Settings as SettingsIcon,
   User,
@@ -185,7 +186,7 @@ const Settings = () => {
       const bookingsResponse = await bookingAPI.getUserBookings();
       const activeBookings = bookingsResponse.bookings?.filter(
         (booking) =>
-          booking.vehicleId === vehicleId && booking.status === "active"
+          booking.vehicleId === vehicleId && booking.status === "confirmed"
       );
 
       if (activeBookings && activeBookings.length > 0) {
@@ -524,6 +525,7 @@ const Settings = () => {
                           </div>
                         </div>
                         <div className="flex items-center space-x-2">
+                          <VehicleComplianceDialog vehicle={vehicle} />
                           <Dialog>
                             <DialogTrigger asChild>
                               <Button
@@ -0,0 +1,206 @@
+"use client";
+
+/**
+ * Split Shipment Dialog for FleetLink
+ * @fileoverview Books several vehicles together for a load no single vehicle can carry
+ */
+
+import React, { useEffect, useState } from "react";
+import { bookingGroupAPI } from "@/lib/api";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { AlertCircle, Layers, Loader2, Truck } from "lucide-react";
+
+/**
+ * Split shipment dialog
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Object} props.shipment - { capacityRequired, fromPincode, toPincode, startTime } from the search form
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @param {Function} props.onBooked - Called after the shipment is booked
+ * @returns {JSX.Element} Split shipment dialog
+ */
+const SplitShipmentDialog = ({ open, shipment, onClose, onBooked }) => {
+  const [plan, setPlan] = useState(null);
+  const [planError, setPlanError] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [isBooking, setIsBooking] = useState(false);
+
+  /**
+   * Build the request body from the search form
+   * @returns {Object} Shipment data for the API
+   */
+  const buildShipmentData = () => ({
+    capacityRequired: Number(shipment.capacityRequired),
+    fromPincode: shipment.fromPincode,
+    toPincode: shipment.toPincode,
+    startTime: new Date(shipment.startTime).toISOString(),
+  });
+
+  /**
+   * Ask the server for vehicles that carry the load together
+   */
+  const planShipment = async () => {
+    try {
+      setIsPlanning(true);
+      setPlanError(null);
+      const response = await bookingGroupAPI.planGroup(buildShipmentData());
+      setPlan(response.plan);
+    } catch (error) {
+      setPlan(null);
+      setPlanError(
+        error.response?.data?.message || "Failed to find vehicles"
+      );
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      planShipment();
+    }
+  }, [open]);
+
+  /**
+   * Book every vehicle of the plan together
+   */
+  const bookShipment = async () => {
+    try {
+      setIsBooking(true);
+      const response = await bookingGroupAPI.createGroup({
+        ...buildShipmentData(),
+        vehicleIds: plan.vehicles.map((vehicle) => vehicle.id),
+      });
+      toast.success(response.message);
+      setPlan(null);
+      onBooked();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to book the shipment"
+      );
+      if (error.response?.status === 409) {
+        planShipment();
+      }
+    } finally {
+      setIsBooking(false);
+    }
+  };
+
+  /**
+   * Format date for display
+   * @param {string} dateString - ISO date string
+   * @returns {string} Formatted date
+   */
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(isOpen) => {
+        if (!isOpen) {
+          setPlan(null);
+          setPlanError(null);
+          onClose();
+        }
+      }}
+    >
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <Layers className="h-5 w-5 text-blue-600" />
+            <span>Split Across Vehicles</span>
+          </DialogTitle>
+          <DialogDescription>
+            {shipment.capacityRequired} kg: {shipment.fromPincode} →{" "}
+            {shipment.toPincode}
+            {shipment.startTime ? `, ${formatDate(shipment.startTime)}` : ""}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {isPlanning && (
+            <div className="flex items-center justify-center py-6 text-slate-500">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Finding vehicles...
+            </div>
+          )}
+
+          {!isPlanning && planError && (
+            <Alert className="bg-red-50 border-red-200">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{planError}</AlertDescription>
+            </Alert>
+          )}
+
+          {!isPlanning && plan && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-slate-800">
+                {plan.vehicles.length} vehicles carrying {plan.totalCapacityKg}{" "}
+                kg together
+              </p>
+              <ul className="text-sm border border-slate-200 rounded-md divide-y divide-slate-100">
+                {plan.vehicles.map((vehicle) => (
+                  <li
+                    key={vehicle.id}
+                    className="flex items-center justify-between px-3 py-2"
+                  >
+                    <span className="flex items-center text-slate-700">
+                      <Truck className="mr-2 h-4 w-4 text-slate-400" />
+                      {vehicle.name} ({vehicle.capacityKg} kg)
+                    </span>
+                    <span className="text-slate-600">
+                      {vehicle.price.currency} {vehicle.price.total}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-sm text-slate-600 text-right">
+                Total: {plan.currency} {plan.total}
+              </p>
+              <Alert className="bg-blue-50 border-blue-200">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  All vehicles are booked together and can only be cancelled
+                  together.
+                </AlertDescription>
+              </Alert>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Close
+            </Button>
+            <Button
+              onClick={bookShipment}
+              disabled={!plan || isPlanning || isBooking}
+              className="bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              {isBooking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Book {plan ? plan.vehicles.length : ""} Vehicles
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SplitShipmentDialog;
@@ -9,6 +9,7 @@ import React, { useState } from "react";
 import { useRouter } from "next/navigation";
 import { vehicleAPI } from "@/lib/api";
 import {
+  GOODS_CATEGORIES,
   vehicleFormSchema,
   validateFormData,
   getFieldError,
@@ -24,7 +25,16 @@ import {
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
 import { Alert, AlertDescription } from "@/components/ui/alert";
+import VehicleSpecFields, {
+  EMPTY_VEHICLE_SPECS,
+  buildVehicleSpecs,
+} from "@/components/vehicle-spec-fields";
+import ServiceAreaFields, {
+  EMPTY_SERVICE_AREA,
+  buildServiceArea,
+} from "@/components/service-area-fields";
 import {
   Truck,
   Plus,
@@ -44,6 +54,11 @@ const UserVehicleForm = () => {
     name: "",
     capacityKg: "",
     tyres: "",
+    turnaroundMinutes: "",
+    requiresApproval: false,
+    acceptedGoodsCategories: ["general"],
+    ...EMPTY_VEHICLE_SPECS,
+    ...EMPTY_SERVICE_AREA,
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
@@ -70,6 +85,20 @@ const UserVehicleForm = () => {
     }
   };
 
+  /**
+   * Add or remove a goods category the vehicle accepts
+   * @param {string} category - Goods category
+   * @param {boolean} accepted - Whether the vehicle accepts it
+   */
+  const toggleGoodsCategory = (category, accepted) => {
+    setFormData((prev) => ({
+      ...prev,
+      acceptedGoodsCategories: accepted
+        ? [...prev.acceptedGoodsCategories, category]
+        : prev.acceptedGoodsCategories.filter((item) => item !== category),
+    }));
+  };
+
   /**
    * Test toast notification
    */
@@ -94,6 +123,13 @@ const UserVehicleForm = () => {
         name: formData.name,
         capacityKg: parseInt(formData.capacityKg),
         tyres: parseInt(formData.tyres),
+        ...(formData.turnaroundMinutes !== "" && {
+          turnaroundMinutes: parseInt(formData.turnaroundMinutes),
+        }),
+        requiresApproval: formData.requiresApproval,
+        acceptedGoodsCategories: formData.acceptedGoodsCategories,
+        ...buildVehicleSpecs(formData),
+        ...buildServiceArea(formData),
       };
 
       // Validate form data
@@ -107,7 +143,16 @@ const UserVehicleForm = () => {
       const response = await vehicleAPI.addVehicle(validation.data);
 
       setSuccess(true);
-      setFormData({ name: "", capacityKg: "", tyres: "" });
+      setFormData({
+        name: "",
+        capacityKg: "",
+        tyres: "",
+        turnaroundMinutes: "",
+        requiresApproval: false,
+        acceptedGoodsCategories: ["general"],
+        ...EMPTY_VEHICLE_SPECS,
+        ...EMPTY_SERVICE_AREA,
+      });
 
       // Show success toast
       toast.success("Vehicle added successfully!");
@@ -290,6 +335,119 @@ const UserVehicleForm = () => {
                 </p>
               </div>
 
+              <VehicleSpecFields
+                values={formData}
+                onChange={(name, value) =>
+                  setFormData((prev) => ({ ...prev, [name]: value }))
+                }
+                errors={validationErrors}
+              />
+
+              <ServiceAreaFields
+                values={formData}
+                onChange={(name, value) =>
+                  setFormData((prev) => ({ ...prev, [name]: value }))
+                }
+                errors={validationErrors}
+              />
+
+              <div className="space-y-2">
+                <Label
+                  htmlFor="turnaroundMinutes"
+                  className="text-sm font-medium text-slate-700"
+                >
+                  Turnaround Time (minutes)
+                </Label>
+                <Input
+                  id="turnaroundMinutes"
+                  name="turnaroundMinutes"
+                  type="number"
+                  placeholder="e.g., 60"
+                  value={formData.turnaroundMinutes}
+                  onChange={handleInputChange}
+                  min="0"
+                  max="1440"
+                  className={`w-full ${
+                    getFieldError(validationErrors, "turnaroundMinutes")
+                      ? "border-red-500"
+                      : ""
+                  }`}
+                />
+                {getFieldError(validationErrors, "turnaroundMinutes") && (
+                  <p className="text-xs text-red-600">
+                    {getFieldError(validationErrors, "turnaroundMinutes")}
+                  </p>
+                )}
+                <p className="text-xs text-slate-500">
+                  Time needed between trips for unloading and checks; driving
+                  to the next pickup is added automatically
+                </p>
+              </div>
+
+              <div className="flex items-start space-x-3">
+                <Checkbox
+                  id="requiresApproval"
+                  checked={formData.requiresApproval}
+                  onCheckedChange={(checked) =>
+                    setFormData((prev) => ({
+                      ...prev,
+                      requiresApproval: checked === true,
+                    }))
+                  }
+                />
+                <div className="space-y-1">
+                  <Label
+                    htmlFor="requiresApproval"
+                    className="text-sm font-medium text-slate-700"
+                  >
+                    Approve bookings manually
+                  </Label>
+                  <p className="text-xs text-slate-500">
+                    Bookings wait for your approval and hold the slot; requests
+                    you do not answer within 24 hours expire
+                  </p>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label className="text-sm font-medium text-slate-700">
+                  Accepted Goods
+                </Label>
+                <div className="flex flex-wrap gap-4">
+                  {GOODS_CATEGORIES.map((category) => (
+                    <div
+                      key={category}
+                      className="flex items-center space-x-2"
+                    >
+                      <Checkbox
+                        id={`goods-${category}`}
+                        checked={formData.acceptedGoodsCategories.includes(
+                          category
+                        )}
+                        onCheckedChange={(checked) =>
+                          toggleGoodsCategory(category, checked === true)
+                        }
+                      />
+                      <Label
+                        htmlFor={`goods-${category}`}
+                        className="text-sm text-slate-700 capitalize"
+                      >
+                        {category}
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+                {getFieldError(validationErrors, "acceptedGoodsCategories") && (
+                  <p className="text-xs text-red-600">
+                    {getFieldError(validationErrors, "acceptedGoodsCategories")}
+                  </p>
+                )}
+                <p className="text-xs text-slate-500">
+                  Customers only find your vehicle when searching for goods it
+                  accepts
+                </p>
+              </div>
+
               <div className="pt-4 border-t border-slate-200">
                 <div className="flex flex-col sm:flex-row gap-4">
                   <Button
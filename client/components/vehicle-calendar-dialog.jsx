@@ -0,0 +1,300 @@
+"use client";
+
+/**
+ * Vehicle Calendar Dialog for FleetLink
+ * @fileoverview Month view of a vehicle's bookings, downtime and free time, for picking a start time
+ */
+
+import React, { useState } from "react";
+import { format } from "date-fns";
+import { vehicleAPI } from "@/lib/api";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { CalendarDays, Clock, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the local day a date falls on
+ * @param {Date} date - Any time on the day
+ * @returns {Date} Local midnight
+ */
+const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Check whether an interval overlaps a local day
+ * @param {Object} interval - { start, end } as ISO strings
+ * @param {Date} day - Local midnight of the day
+ * @returns {boolean} True when part of the interval falls on the day
+ */
+const overlapsDay = (interval, day) =>
+  new Date(interval.start) < new Date(day.getTime() + DAY_MS) &&
+  new Date(interval.end) > day;
+
+/**
+ * Every local day of a month from today on
+ * @param {Date} month - Any date in the month
+ * @returns {Array<Date>} Local midnights
+ */
+const upcomingDaysOfMonth = (month) => {
+  const today = startOfDay(new Date());
+  const days = [];
+  for (
+    let day = new Date(month.getFullYear(), month.getMonth(), 1);
+    day.getMonth() === month.getMonth();
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)
+  ) {
+    if (day >= today) {
+      days.push(day);
+    }
+  }
+  return days;
+};
+
+/**
+ * Vehicle availability calendar in a dialog
+ * @param {Object} props - Component props
+ * @param {Object} props.vehicle - Vehicle summary with id and name
+ * @param {Function} [props.onPickSlot] - Called with a start time (ISO string) chosen from a free gap
+ * @returns {JSX.Element} Dialog with its trigger button
+ */
+const VehicleCalendarDialog = ({ vehicle, onPickSlot }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [month, setMonth] = useState(new Date());
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [schedule, setSchedule] = useState({ busy: [], free: [] });
+  const [isLoading, setIsLoading] = useState(false);
+
+  /**
+   * Load the schedule for a month
+   * @param {Date} visibleMonth - Any date in the month
+   */
+  const loadMonth = async (visibleMonth) => {
+    const year = visibleMonth.getFullYear();
+    const from = new Date(year, visibleMonth.getMonth(), 1);
+    const to = new Date(year, visibleMonth.getMonth() + 1, 1);
+
+    try {
+      setIsLoading(true);
+      const response = await vehicleAPI.getVehicleCalendar(vehicle.id, {
+        from: from.toISOString(),
+        to: to.toISOString(),
+      });
+      setSchedule({ busy: response.busy || [], free: response.free || [] });
+    } catch (error) {
+      console.error("Failed to load vehicle calendar:", error);
+      toast.error(
+        error.response?.data?.message || "Failed to load vehicle calendar"
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Load the current month whenever the dialog opens
+   * @param {boolean} open - Whether the dialog is open
+   */
+  const handleOpenChange = (open) => {
+    setIsOpen(open);
+    if (open) {
+      const today = new Date();
+      setMonth(today);
+      setSelectedDay(startOfDay(today));
+      loadMonth(today);
+    }
+  };
+
+  /**
+   * Show another month
+   * @param {Date} visibleMonth - First day of the month shown
+   */
+  const handleMonthChange = (visibleMonth) => {
+    setMonth(visibleMonth);
+    setSelectedDay(null);
+    loadMonth(visibleMonth);
+  };
+
+  /**
+   * Use the start of a free gap as the search start time
+   * @param {Object} gap - Free gap { start, end }
+   */
+  const pickGap = (gap) => {
+    const start = new Date(
+      Math.max(new Date(gap.start).getTime(), selectedDay.getTime())
+    );
+    onPickSlot(start.toISOString());
+    setIsOpen(false);
+  };
+
+  // Upcoming days with no free time at all, and days that are partly taken
+  const upcomingDays = upcomingDaysOfMonth(month);
+  const fullyBooked = upcomingDays.filter(
+    (day) => !schedule.free.some((gap) => overlapsDay(gap, day))
+  );
+  const partlyBooked = upcomingDays.filter(
+    (day) =>
+      !fullyBooked.includes(day) &&
+      schedule.busy.some((interval) => overlapsDay(interval, day))
+  );
+
+  const dayBusy = selectedDay
+    ? schedule.busy.filter((interval) => overlapsDay(interval, selectedDay))
+    : [];
+  const dayFree = selectedDay
+    ? schedule.free.filter((gap) => overlapsDay(gap, selectedDay))
+    : [];
+
+  /**
+   * Format an interval's times, showing dates when it runs past the selected day
+   * @param {Object} interval - { start, end } as ISO strings
+   * @returns {string} e.g. "10:00 AM – 4:00 PM"
+   */
+  const formatInterval = (interval) => {
+    const start = new Date(interval.start);
+    const end = new Date(interval.end);
+    const sameDay = (date) =>
+      startOfDay(date).getTime() === selectedDay.getTime();
+    return `${format(start, sameDay(start) ? "p" : "MMM d, p")} – ${format(
+      end,
+      sameDay(end) ? "p" : "MMM d, p"
+    )}`;
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" className="w-full mt-2">
+          <CalendarDays className="mr-2 h-4 w-4" />
+          View Schedule
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{vehicle.name} Schedule</DialogTitle>
+          <DialogDescription>
+            Pick a day to see when the vehicle is free, then choose a free
+            slot to search from that time.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Calendar
+              mode="single"
+              selected={selectedDay}
+              onSelect={(day) => setSelectedDay(day ? startOfDay(day) : null)}
+              month={month}
+              onMonthChange={handleMonthChange}
+              disabled={{ before: startOfDay(new Date()) }}
+              modifiers={{ fullyBooked, partlyBooked }}
+              modifiersClassNames={{
+                fullyBooked: "bg-red-100 text-red-700 rounded-md",
+                partlyBooked: "bg-amber-50 rounded-md",
+              }}
+              className="rounded-md border"
+            />
+            <div className="flex items-center space-x-4 mt-2 text-xs text-slate-500">
+              <span className="flex items-center">
+                <span className="inline-block h-3 w-3 rounded bg-amber-50 border border-amber-200 mr-1" />
+                Partly booked
+              </span>
+              <span className="flex items-center">
+                <span className="inline-block h-3 w-3 rounded bg-red-100 mr-1" />
+                Fully booked
+              </span>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            {isLoading ? (
+              <div className="flex justify-center py-6">
+                <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+              </div>
+            ) : !selectedDay ? (
+              <p className="text-sm text-slate-500">
+                Select a day to see its schedule.
+              </p>
+            ) : (
+              <>
+                <div>
+                  <h4 className="text-sm font-medium text-slate-700 mb-2">
+                    Busy on {format(selectedDay, "EEE, MMM d")}
+                  </h4>
+                  {dayBusy.length === 0 ? (
+                    <p className="text-sm text-slate-500">Nothing booked.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {dayBusy.map((interval, index) => (
+                        <div
+                          key={interval.id || `busy-${index}`}
+                          className="flex items-center justify-between p-2 bg-slate-50 rounded"
+                        >
+                          <span className="text-sm text-slate-700">
+                            {formatInterval(interval)}
+                          </span>
+                          <Badge variant="outline" className="capitalize">
+                            {interval.type === "downtime"
+                              ? interval.reason || "Downtime"
+                              : "Booked"}
+                          </Badge>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <h4 className="text-sm font-medium text-slate-700 mb-2">
+                    Free
+                  </h4>
+                  {dayFree.length === 0 ? (
+                    <p className="text-sm text-slate-500">
+                      No free time on this day.
+                    </p>
+                  ) : (
+                    <div className="space-y-2">
+                      {dayFree.map((gap) => (
+                        <div
+                          key={gap.start}
+                          className="flex items-center justify-between p-2 bg-green-50 rounded"
+                        >
+                          <span className="flex items-center text-sm text-green-800">
+                            <Clock className="mr-1 h-3 w-3" />
+                            {formatInterval(gap)}
+                          </span>
+                          {onPickSlot && (
+                            <Button size="sm" onClick={() => pickGap(gap)}>
+                              Use
+                            </Button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <p className="text-xs text-slate-500 mt-2">
+                    The ride still has to fit the gap and the vehicle&apos;s
+                    operating hours when you book.
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default VehicleCalendarDialog;
@@ -0,0 +1,399 @@
+"use client";
+
+/**
+ * Vehicle Compliance Dialog for FleetLink
+ * @fileoverview Lets owners record registration, insurance, permit, fitness and PUC documents
+ */
+
+import React, { useState } from "react";
+import { vehicleAPI } from "@/lib/api";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import {
+  FileText,
+  Download,
+  Trash2,
+  Upload,
+  ShieldCheck,
+  ShieldAlert,
+  Loader2,
+} from "lucide-react";
+import {
+  DOCUMENT_TYPE_LABELS,
+  complianceDocumentSchema,
+  validateFormData,
+  getFieldError,
+} from "@/lib/validations";
+import { toast } from "sonner";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_DOCUMENT = {
+  type: "",
+  documentNumber: "",
+  issuedAt: "",
+  expiresAt: "",
+};
+
+/**
+ * Read a file as a data URL for the JSON upload
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} { name, mimeType, content }
+ */
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () =>
+      resolve({ name: file.name, mimeType: file.type, content: reader.result });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+/**
+ * Badge describing how long a document stays valid
+ * @param {Object} props - Component props
+ * @param {string} props.expiresAt - Expiry date (ISO string)
+ * @returns {JSX.Element} Expiry badge
+ */
+const ExpiryBadge = ({ expiresAt }) => {
+  const daysLeft = Math.ceil((new Date(expiresAt) - Date.now()) / DAY_MS);
+
+  if (daysLeft <= 0) {
+    return <Badge variant="destructive">Expired</Badge>;
+  }
+  if (daysLeft <= 30) {
+    return (
+      <Badge className="bg-amber-100 text-amber-800 hover:bg-amber-100">
+        Expires in {daysLeft} day{daysLeft === 1 ? "" : "s"}
+      </Badge>
+    );
+  }
+  return (
+    <Badge className="bg-green-100 text-green-800 hover:bg-green-100">
+      Valid
+    </Badge>
+  );
+};
+
+/**
+ * Compliance documents dialog for one vehicle
+ * @param {Object} props - Component props
+ * @param {Object} props.vehicle - Vehicle summary with id and name
+ * @returns {JSX.Element} Dialog with its trigger button
+ */
+const VehicleComplianceDialog = ({ vehicle }) => {
+  const [documents, setDocuments] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [form, setForm] = useState(EMPTY_DOCUMENT);
+  const [file, setFile] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  /**
+   * Load the vehicle's documents and compliance status
+   */
+  const loadDocuments = async () => {
+    try {
+      setIsLoading(true);
+      const response = await vehicleAPI.getVehicleCompliance(vehicle.id);
+      setDocuments(response.documents || []);
+      setStatus(response.status);
+    } catch (error) {
+      console.error("Failed to load compliance documents:", error);
+      toast.error("Failed to load compliance documents");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Load documents whenever the dialog opens
+   * @param {boolean} open - Whether the dialog is open
+   */
+  const handleOpenChange = (open) => {
+    if (open) {
+      loadDocuments();
+    }
+  };
+
+  /**
+   * Add a document, uploading the selected file with it
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = validateFormData(form, complianceDocumentSchema);
+    if (!validation.success) {
+      setErrors(validation.errors);
+      return;
+    }
+    setErrors({});
+
+    try {
+      setIsSaving(true);
+      const response = await vehicleAPI.addComplianceDocument(vehicle.id, {
+        type: form.type,
+        documentNumber: form.documentNumber,
+        ...(form.issuedAt && { issuedAt: form.issuedAt }),
+        expiresAt: form.expiresAt,
+        ...(file && { file: await readFile(file) }),
+      });
+      toast.success(response.message);
+      setForm(EMPTY_DOCUMENT);
+      setFile(null);
+      setFileInputKey((key) => key + 1);
+      await loadDocuments();
+    } catch (error) {
+      console.error("Failed to add compliance document:", error);
+      toast.error(
+        error.response?.data?.message || "Failed to add compliance document"
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Remove a document
+   * @param {string} documentId - Compliance document ID
+   */
+  const handleDelete = async (documentId) => {
+    try {
+      await vehicleAPI.deleteComplianceDocument(vehicle.id, documentId);
+      toast.success("Document removed");
+      await loadDocuments();
+    } catch (error) {
+      console.error("Failed to remove compliance document:", error);
+      toast.error("Failed to remove compliance document");
+    }
+  };
+
+  /**
+   * Download the uploaded copy of a document
+   * @param {Object} record - Compliance document summary
+   */
+  const handleDownload = async (record) => {
+    try {
+      const blob = await vehicleAPI.downloadComplianceFile(
+        vehicle.id,
+        record.id
+      );
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = record.file.originalName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Failed to download compliance file:", error);
+      toast.error("Failed to download file");
+    }
+  };
+
+  return (
+    <Dialog onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <FileText className="mr-1 h-4 w-4" />
+          Documents
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Compliance Documents</DialogTitle>
+          <DialogDescription>
+            Vehicles with an expired document are hidden from search and cannot
+            be dispatched. Add the renewed document before the old one expires.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {status &&
+              (status.isCompliant ? (
+                <Alert className="border-green-200 bg-green-50">
+                  <ShieldCheck className="h-4 w-4 text-green-600" />
+                  <AlertDescription className="text-green-800">
+                    {vehicle.name} is compliant and can be booked
+                  </AlertDescription>
+                </Alert>
+              ) : (
+                <Alert variant="destructive">
+                  <ShieldAlert className="h-4 w-4" />
+                  <AlertDescription>{status.reason}</AlertDescription>
+                </Alert>
+              ))}
+
+            {documents.length === 0 ? (
+              <p className="text-sm text-slate-500">
+                No documents recorded yet.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {documents.map((record) => (
+                  <div
+                    key={record.id}
+                    className="flex items-center justify-between p-3 border border-slate-200 rounded-lg"
+                  >
+                    <div>
+                      <p className="font-medium text-slate-800">
+                        {DOCUMENT_TYPE_LABELS[record.type]}{" "}
+                        <span className="text-sm text-slate-500">
+                          {record.documentNumber}
+                        </span>
+                      </p>
+                      <p className="text-xs text-slate-500">
+                        {`Expires ${new Date(record.expiresAt).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <ExpiryBadge expiresAt={record.expiresAt} />
+                      {record.file && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDownload(record)}
+                          aria-label={`Download ${record.file.originalName}`}
+                        >
+                          <Download className="h-4 w-4" />
+                        </Button>
+                      )}
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-red-600 hover:text-red-700"
+                        onClick={() => handleDelete(record.id)}
+                        aria-label="Remove document"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <form
+              onSubmit={handleSubmit}
+              className="space-y-3 border-t border-slate-200 pt-4"
+            >
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor={`${vehicle.id}-documentType`}>Document</Label>
+                  <select
+                    id={`${vehicle.id}-documentType`}
+                    value={form.type}
+                    onChange={(e) => setForm({ ...form, type: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Select a document</option>
+                    {Object.entries(DOCUMENT_TYPE_LABELS).map(
+                      ([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      )
+                    )}
+                  </select>
+                  {getFieldError(errors, "type") && (
+                    <p className="text-xs text-red-600">
+                      Select a document type
+                    </p>
+                  )}
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`${vehicle.id}-documentNumber`}>Number</Label>
+                  <Input
+                    id={`${vehicle.id}-documentNumber`}
+                    value={form.documentNumber}
+                    onChange={(e) =>
+                      setForm({ ...form, documentNumber: e.target.value })
+                    }
+                    placeholder="e.g. DL01AB1234"
+                  />
+                  {getFieldError(errors, "documentNumber") && (
+                    <p className="text-xs text-red-600">
+                      {getFieldError(errors, "documentNumber")}
+                    </p>
+                  )}
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`${vehicle.id}-issuedAt`}>Issued</Label>
+                  <Input
+                    id={`${vehicle.id}-issuedAt`}
+                    type="date"
+                    value={form.issuedAt}
+                    onChange={(e) =>
+                      setForm({ ...form, issuedAt: e.target.value })
+                    }
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`${vehicle.id}-expiresAt`}>Expires</Label>
+                  <Input
+                    id={`${vehicle.id}-expiresAt`}
+                    type="date"
+                    value={form.expiresAt}
+                    onChange={(e) =>
+                      setForm({ ...form, expiresAt: e.target.value })
+                    }
+                  />
+                  {getFieldError(errors, "expiresAt") && (
+                    <p className="text-xs text-red-600">
+                      {getFieldError(errors, "expiresAt")}
+                    </p>
+                  )}
+                </div>
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor={`${vehicle.id}-documentFile`}>
+                  Copy (PDF, JPEG or PNG, up to 5 MB)
+                </Label>
+                <Input
+                  key={fileInputKey}
+                  id={`${vehicle.id}-documentFile`}
+                  type="file"
+                  accept=".pdf,.jpg,.jpeg,.png"
+                  onChange={(e) => setFile(e.target.files?.[0] || null)}
+                />
+              </div>
+              <Button type="submit" disabled={isSaving}>
+                {isSaving ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : (
+                  <>
+                    <Upload className="mr-2 h-4 w-4" />
+                    Add Document
+                  </>
+                )}
+              </Button>
+            </form>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default VehicleComplianceDialog;
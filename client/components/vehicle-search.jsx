@@ -7,8 +7,12 @@
 
 import React, { useState, useEffect } from "react";
 import { useAuth } from "@/contexts/AuthContext";
-import { vehicleAPI, bookingAPI } from "@/lib/api";
+import { vehicleAPI, bookingAPI, waitlistAPI } from "@/lib/api";
 import {
+  GOODS_CATEGORIES,
+  VEHICLE_TYPE_LABELS,
+  BODY_TYPE_LABELS,
+  VEHICLE_FEATURE_LABELS,
   vehicleSearchSchema,
   bookingFormSchema,
   validateFormData,
@@ -26,6 +30,7 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import {
   Search,
@@ -38,13 +43,32 @@ import {
   Loader2,
   CheckCircle,
   AlertCircle,
+  Package,
 } from "lucide-react";
 import { SimpleDateTimePicker } from "@/components/ui/simple-time-picker";
+import RecurringBookingDialog from "@/components/recurring-booking-dialog";
+import SplitShipmentDialog from "@/components/split-shipment-dialog";
+import VehicleCalendarDialog from "@/components/vehicle-calendar-dialog";
 
 /**
  * Vehicle search component
  * @returns {JSX.Element} Vehicle search page
  */
+/**
+ * Vehicles shown per page of search results
+ */
+const SEARCH_PAGE_SIZE = 12;
+
+/**
+ * Sort options for search results, as sortBy:sortOrder
+ */
+const SORT_OPTIONS = {
+  "capacity:asc": "Capacity (smallest first)",
+  "capacity:desc": "Capacity (largest first)",
+  "name:asc": "Vehicle name",
+  "owner:asc": "Owner name",
+};
+
 const VehicleSearch = () => {
   const { user } = useAuth();
   const [vehicles, setVehicles] = useState([]);
@@ -52,15 +76,31 @@ const VehicleSearch = () => {
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     capacityRequired: "",
+    maxCapacity: "",
+    minTyres: "",
+    maxTyres: "",
     fromPincode: "",
     toPincode: "",
     startTime: "",
+    goodsCategory: "",
+    vehicleType: "",
+    minVolumeM3: "",
+    features: [],
+    loadType: "full",
+    sort: "capacity:asc",
   });
   const [searchResults, setSearchResults] = useState({
     vehicles: [],
+    unavailable: [],
+    suggestions: null,
     estimatedRideDurationHours: 0,
+    estimatedDistanceKm: null,
+    total: 0,
+    pagination: null,
   });
   const [validationErrors, setValidationErrors] = useState({});
+  const [recurringVehicle, setRecurringVehicle] = useState(null);
+  const [isSplitOpen, setIsSplitOpen] = useState(false);
 
   /**
    * Handle filter change with real-time validation
@@ -148,18 +188,21 @@ const VehicleSearch = () => {
 
   /**
    * Search for available vehicles
+   * @param {Object} [overrides] - Filters to use instead of the current ones, e.g. a new start time
+   * @param {number} [page=1] - Page of results to load
    */
-  const searchVehicles = async () => {
+  const searchVehicles = async (overrides = {}, page = 1) => {
+    const current = { ...filters, ...overrides };
     setIsLoading(true);
     setError(null);
     setValidationErrors({});
 
     // Check if at least one filter is provided
     const hasFilters =
-      filters.capacityRequired ||
-      filters.fromPincode ||
-      filters.toPincode ||
-      filters.startTime;
+      current.capacityRequired ||
+      current.fromPincode ||
+      current.toPincode ||
+      current.startTime;
     if (!hasFilters) {
       toast.warning("Please provide at least one search filter");
       setIsLoading(false);
@@ -169,12 +212,24 @@ const VehicleSearch = () => {
     try {
       // Prepare data for validation
       const searchData = {
-        capacityRequired: filters.capacityRequired
-          ? parseInt(filters.capacityRequired)
+        capacityRequired: current.capacityRequired
+          ? parseInt(current.capacityRequired)
+          : undefined,
+        maxCapacity: current.maxCapacity
+          ? parseInt(current.maxCapacity)
           : undefined,
-        fromPincode: filters.fromPincode || undefined,
-        toPincode: filters.toPincode || undefined,
-        startTime: filters.startTime || undefined,
+        minTyres: current.minTyres ? parseInt(current.minTyres) : undefined,
+        maxTyres: current.maxTyres ? parseInt(current.maxTyres) : undefined,
+        fromPincode: current.fromPincode || undefined,
+        toPincode: current.toPincode || undefined,
+        startTime: current.startTime || undefined,
+        goodsCategory: current.goodsCategory || undefined,
+        vehicleType: current.vehicleType || undefined,
+        minVolumeM3: current.minVolumeM3
+          ? parseFloat(current.minVolumeM3)
+          : undefined,
+        features: current.features.length > 0 ? current.features : undefined,
+        loadType: current.loadType,
       };
 
       // Validate form data
@@ -195,6 +250,10 @@ const VehicleSearch = () => {
           } else {
             toast.error("Invalid capacity value. Please enter a valid number");
           }
+        } else if (errors.maxCapacity || errors.minTyres || errors.maxTyres) {
+          toast.error(
+            errors.maxCapacity || errors.minTyres || errors.maxTyres
+          );
         } else if (errors.fromPincode || errors.toPincode) {
           toast.error("Invalid pincode format! Must be exactly 6 digits");
         } else if (errors.startTime) {
@@ -222,6 +281,12 @@ const VehicleSearch = () => {
       const searchFilters = {};
       if (validation.data.capacityRequired)
         searchFilters.capacityRequired = validation.data.capacityRequired;
+      if (validation.data.maxCapacity)
+        searchFilters.maxCapacity = validation.data.maxCapacity;
+      if (validation.data.minTyres)
+        searchFilters.minTyres = validation.data.minTyres;
+      if (validation.data.maxTyres)
+        searchFilters.maxTyres = validation.data.maxTyres;
       if (validation.data.fromPincode)
         searchFilters.fromPincode = validation.data.fromPincode;
       if (validation.data.toPincode)
@@ -230,8 +295,24 @@ const VehicleSearch = () => {
         searchFilters.startTime = new Date(
           validation.data.startTime
         ).toISOString();
+      if (validation.data.goodsCategory)
+        searchFilters.goodsCategory = validation.data.goodsCategory;
+      if (validation.data.vehicleType)
+        searchFilters.vehicleType = validation.data.vehicleType;
+      if (validation.data.minVolumeM3)
+        searchFilters.minVolumeM3 = validation.data.minVolumeM3;
+      if (validation.data.features)
+        searchFilters.features = validation.data.features;
+      if (validation.data.loadType)
+        searchFilters.loadType = validation.data.loadType;
 
-      const response = await vehicleAPI.getAvailableVehicles(searchFilters);
+      const [sortBy, sortOrder] = current.sort.split(":");
+      const response = await vehicleAPI.searchAvailable(searchFilters, {
+        page,
+        limit: SEARCH_PAGE_SIZE,
+        sortBy,
+        sortOrder,
+      });
       // Only show truly available vehicles
       const availableVehicles = response.vehicles?.available || [];
       // Filter to ensure only vehicles with isAvailable: true are shown
@@ -241,14 +322,19 @@ const VehicleSearch = () => {
       setVehicles(trulyAvailableVehicles);
       setSearchResults({
         vehicles: trulyAvailableVehicles,
+        unavailable: response.vehicles?.unavailable || [],
+        suggestions: response.suggestions || null,
         estimatedRideDurationHours: response.estimatedRideDurationHours || 0,
+        estimatedDistanceKm: response.estimatedDistanceKm ?? null,
+        total: response.total || 0,
+        pagination: response.pagination || null,
       });
 
-      // Show success message if vehicles found
-      if (trulyAvailableVehicles.length > 0) {
-        toast.success(
-          `Found ${trulyAvailableVehicles.length} available vehicle(s)`
-        );
+      // Show success message if vehicles found; paging through results stays quiet
+      if (page > 1) {
+        window.scrollTo({ top: 0, behavior: "smooth" });
+      } else if (trulyAvailableVehicles.length > 0) {
+        toast.success(`Found ${response.total} available vehicle(s)`);
       } else {
         toast.info("No vehicles found matching your criteria");
       }
@@ -269,6 +355,38 @@ const VehicleSearch = () => {
     }
   };
 
+  /**
+   * Search again at a suggested start time
+   * @param {string} startTime - Suggested start time (ISO string)
+   */
+  const searchAtTime = (startTime) => {
+    setFilters((prev) => ({ ...prev, startTime }));
+    searchVehicles({ startTime });
+  };
+
+  /**
+   * Load another page of results for the current search
+   * @param {number} page - Page number
+   */
+  const handlePageChange = (page) => {
+    searchVehicles({}, page);
+  };
+
+  /**
+   * Format a suggested start time
+   * @param {string} dateString - ISO date string
+   * @returns {string} Formatted date and time
+   */
+  const formatSuggestion = (dateString) => {
+    return new Date(dateString).toLocaleString("en-US", {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  };
+
   /**
    * Handle search form submission
    * @param {Event} e - Form submit event
@@ -291,12 +409,29 @@ const VehicleSearch = () => {
   const clearFilters = () => {
     setFilters({
       capacityRequired: "",
+      maxCapacity: "",
+      minTyres: "",
+      maxTyres: "",
       fromPincode: "",
       toPincode: "",
       startTime: "",
+      goodsCategory: "",
+      vehicleType: "",
+      minVolumeM3: "",
+      features: [],
+      loadType: "full",
+      sort: "capacity:asc",
     });
     setVehicles([]);
-    setSearchResults({ vehicles: [], estimatedRideDurationHours: 0 });
+    setSearchResults({
+      vehicles: [],
+      unavailable: [],
+      suggestions: null,
+      estimatedRideDurationHours: 0,
+      estimatedDistanceKm: null,
+      total: 0,
+      pagination: null,
+    });
     setError(null);
     setValidationErrors({});
     toast.info("Search filters cleared");
@@ -306,8 +441,9 @@ const VehicleSearch = () => {
    * Book a vehicle
    * @param {string} vehicleId - Vehicle ID to book
    * @param {string} createdBy - Vehicle owner ID
+   * @param {boolean} [shared=false] - Book the searched capacity as a shared load
    */
-  const bookVehicle = async (vehicleId, createdBy) => {
+  const bookVehicle = async (vehicleId, createdBy, shared = false) => {
     // Check if user is trying to book their own vehicle
     if (user && createdBy && user.id === createdBy) {
       toast.error("You cannot book your own vehicle");
@@ -322,12 +458,24 @@ const VehicleSearch = () => {
       return;
     }
 
+    if (shared && !filters.capacityRequired) {
+      toast.error("Enter your load in Capacity Required to book a shared load");
+      return;
+    }
+
     try {
       const bookingData = {
         vehicleId,
         fromPincode: filters.fromPincode,
         toPincode: filters.toPincode,
         startTime: new Date(filters.startTime).toISOString(),
+        ...(shared && {
+          loadType: "shared",
+          loadKg: Number(filters.capacityRequired),
+        }),
+        ...(filters.goodsCategory && {
+          cargo: { category: filters.goodsCategory },
+        }),
       };
 
       // Validate booking data
@@ -342,7 +490,11 @@ const VehicleSearch = () => {
       const response = await bookingAPI.createBooking(validation.data);
 
       if (response.success) {
-        toast.success("Vehicle booked successfully!");
+        toast.success(
+          response.booking?.status === "pending"
+            ? "Booking request sent! The owner has to approve it."
+            : "Vehicle booked successfully!"
+        );
 
         // Refresh the search results to update availability
         await searchVehicles();
@@ -352,7 +504,13 @@ const VehicleSearch = () => {
 
       if (error.response?.status === 409) {
         toast.error(
-          "Vehicle is no longer available for the selected time slot"
+          "Vehicle is no longer available for the selected time slot",
+          {
+            action: {
+              label: "Join Waitlist",
+              onClick: () => joinWaitlist({ vehicleId }),
+            },
+          }
         );
         // Refresh search results to show updated availability
         await searchVehicles();
@@ -364,6 +522,43 @@ const VehicleSearch = () => {
     }
   };
 
+  /**
+   * Join the waitlist for the searched slot
+   * @param {Object} target - { vehicleId } or { capacityRequired } for any vehicle
+   */
+  const joinWaitlist = async (target) => {
+    try {
+      const response = await waitlistAPI.joinWaitlist({
+        ...target,
+        fromPincode: filters.fromPincode,
+        toPincode: filters.toPincode,
+        startTime: new Date(filters.startTime).toISOString(),
+      });
+      toast.success(
+        `You're #${response.position} on the waitlist. We'll notify you if the slot frees up.`
+      );
+    } catch (error) {
+      console.error("Join waitlist error:", error);
+      toast.error(
+        error.response?.data?.message || "Failed to join the waitlist"
+      );
+    }
+  };
+
+  /**
+   * Open the recurring booking dialog for a vehicle
+   * @param {Object} vehicle - Vehicle to book
+   */
+  const openRecurringBooking = (vehicle) => {
+    if (!filters.fromPincode || !filters.toPincode || !filters.startTime) {
+      toast.error(
+        "Please complete the search form with pincodes and start time before booking"
+      );
+      return;
+    }
+    setRecurringVehicle(vehicle);
+  };
+
   /**
    * Get vehicle status badge
    * @param {string} status - Vehicle status
@@ -552,6 +747,210 @@ const VehicleSearch = () => {
                     When do you need the vehicle?
                   </p>
                 </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="goodsCategory" className="text-slate-700">
+                    Goods
+                  </Label>
+                  <div className="relative">
+                    <Package className="absolute left-3 top-3 h-4 w-4 text-slate-400" />
+                    <select
+                      id="goodsCategory"
+                      name="goodsCategory"
+                      value={filters.goodsCategory}
+                      onChange={handleFilterChange}
+                      className="w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md capitalize focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Any goods</option>
+                      {GOODS_CATEGORIES.map((category) => (
+                        <option key={category} value={category}>
+                          {category}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <p className="text-xs text-slate-500">
+                    Only vehicles that accept these goods are shown
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="vehicleType" className="text-slate-700">
+                    Vehicle Type
+                  </Label>
+                  <div className="relative">
+                    <Truck className="absolute left-3 top-3 h-4 w-4 text-slate-400" />
+                    <select
+                      id="vehicleType"
+                      name="vehicleType"
+                      value={filters.vehicleType}
+                      onChange={handleFilterChange}
+                      className="w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Any type</option>
+                      {Object.entries(VEHICLE_TYPE_LABELS).map(
+                        ([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        )
+                      )}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="loadType" className="text-slate-700">
+                    Load
+                  </Label>
+                  <div className="relative">
+                    <Package className="absolute left-3 top-3 h-4 w-4 text-slate-400" />
+                    <select
+                      id="loadType"
+                      name="loadType"
+                      value={filters.loadType}
+                      onChange={handleFilterChange}
+                      className="w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="full">Whole vehicle</option>
+                      <option value="shared">Shared (part load)</option>
+                    </select>
+                  </div>
+                  <p className="text-xs text-slate-500">
+                    Shared loads can join other shared loads on the same trip
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="minVolumeM3" className="text-slate-700">
+                    Minimum Volume (m³)
+                  </Label>
+                  <Input
+                    id="minVolumeM3"
+                    name="minVolumeM3"
+                    type="number"
+                    step="0.1"
+                    min="0.1"
+                    placeholder="e.g., 12"
+                    value={filters.minVolumeM3}
+                    onChange={handleFilterChange}
+                    className={
+                      getFieldError(validationErrors, "minVolumeM3")
+                        ? "border-red-500"
+                        : ""
+                    }
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="maxCapacity" className="text-slate-700">
+                    Maximum Capacity (kg)
+                  </Label>
+                  <Input
+                    id="maxCapacity"
+                    name="maxCapacity"
+                    type="number"
+                    min="1"
+                    max="3000"
+                    placeholder="Any"
+                    value={filters.maxCapacity}
+                    onChange={handleFilterChange}
+                    className={
+                      getFieldError(validationErrors, "maxCapacity")
+                        ? "border-red-500"
+                        : ""
+                    }
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label className="text-slate-700">Tyres</Label>
+                  <div className="flex items-center space-x-2">
+                    <Input
+                      id="minTyres"
+                      name="minTyres"
+                      type="number"
+                      min="2"
+                      max="18"
+                      placeholder="Min"
+                      aria-label="Minimum tyres"
+                      value={filters.minTyres}
+                      onChange={handleFilterChange}
+                    />
+                    <span className="text-slate-400">–</span>
+                    <Input
+                      id="maxTyres"
+                      name="maxTyres"
+                      type="number"
+                      min="2"
+                      max="18"
+                      placeholder="Max"
+                      aria-label="Maximum tyres"
+                      value={filters.maxTyres}
+                      onChange={handleFilterChange}
+                      className={
+                        getFieldError(validationErrors, "maxTyres")
+                          ? "border-red-500"
+                          : ""
+                      }
+                    />
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="sort" className="text-slate-700">
+                    Sort By
+                  </Label>
+                  <select
+                    id="sort"
+                    name="sort"
+                    value={filters.sort}
+                    onChange={handleFilterChange}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label className="text-slate-700">Features</Label>
+                  <div className="flex flex-wrap gap-4 pt-2">
+                    {Object.entries(VEHICLE_FEATURE_LABELS).map(
+                      ([feature, label]) => (
+                        <div
+                          key={feature}
+                          className="flex items-center space-x-2"
+                        >
+                          <Checkbox
+                            id={`filter-${feature}`}
+                            checked={filters.features.includes(feature)}
+                            onCheckedChange={(checked) =>
+                              setFilters((prev) => ({
+                                ...prev,
+                                features:
+                                  checked === true
+                                    ? [...prev.features, feature]
+                                    : prev.features.filter(
+                                        (item) => item !== feature
+                                      ),
+                              }))
+                            }
+                          />
+                          <Label
+                            htmlFor={`filter-${feature}`}
+                            className="text-sm font-normal text-slate-700"
+                          >
+                            {label}
+                          </Label>
+                        </div>
+                      )
+                    )}
+                  </div>
+                </div>
               </div>
 
               <div className="flex space-x-4">
@@ -598,15 +997,25 @@ const VehicleSearch = () => {
           <div className="mb-6">
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-2xl font-semibold text-slate-800">
-                Available Vehicles ({vehicles.length})
+                Available Vehicles ({searchResults.total})
               </h2>
               {searchResults.estimatedRideDurationHours > 0 && (
-                <div className="flex items-center space-x-2 bg-blue-50 px-4 py-2 rounded-lg">
-                  <Clock className="h-4 w-4 text-blue-600" />
-                  <span className="text-sm font-medium text-blue-800">
-                    Estimated Ride Duration:{" "}
-                    {searchResults.estimatedRideDurationHours} hours
-                  </span>
+                <div className="flex items-center space-x-4 bg-blue-50 px-4 py-2 rounded-lg">
+                  {searchResults.estimatedDistanceKm !== null && (
+                    <div className="flex items-center space-x-2">
+                      <MapPin className="h-4 w-4 text-blue-600" />
+                      <span className="text-sm font-medium text-blue-800">
+                        Distance: {searchResults.estimatedDistanceKm} km
+                      </span>
+                    </div>
+                  )}
+                  <div className="flex items-center space-x-2">
+                    <Clock className="h-4 w-4 text-blue-600" />
+                    <span className="text-sm font-medium text-blue-800">
+                      Estimated Ride Duration:{" "}
+                      {searchResults.estimatedRideDurationHours} hours
+                    </span>
+                  </div>
                 </div>
               )}
             </div>
@@ -625,6 +1034,16 @@ const VehicleSearch = () => {
                 : "unavailable";
               const createdBy = vehicle.createdBy;
 
+              // Shared searches book part of the vehicle, possibly alongside other shared loads
+              // on this trip; full searches only return vehicles with nothing else on board
+              const remainingCapacityKg =
+                vehicle.availability?.remainingCapacityKg ?? vehicle.capacityKg;
+              const isSharedTrip = vehicle.availability?.sharedLoadKg > 0;
+              const isSharedSearch = filters.loadType === "shared";
+              const canShare =
+                Boolean(filters.capacityRequired) &&
+                Number(filters.capacityRequired) <= remainingCapacityKg;
+
               // Check if this is the user's own vehicle
               const isOwnVehicle = user && createdBy && user.id === createdBy;
 
@@ -688,6 +1107,33 @@ const VehicleSearch = () => {
                       </div>
                     </div>
 
+                    {isSharedTrip && (
+                      <p className="text-xs text-slate-600">
+                        Shared trip: {remainingCapacityKg} kg of space left
+                      </p>
+                    )}
+
+                    {(vehicle.vehicleType || vehicle.volumeM3 > 0) && (
+                      <p className="text-xs text-slate-600">
+                        {[
+                          VEHICLE_TYPE_LABELS[vehicle.vehicleType],
+                          BODY_TYPE_LABELS[vehicle.bodyType],
+                          vehicle.volumeM3 > 0 && `${vehicle.volumeM3} m³`,
+                          ...(vehicle.features || []).map(
+                            (feature) => VEHICLE_FEATURE_LABELS[feature]
+                          ),
+                        ]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </p>
+                    )}
+
+                    {vehicle.acceptedGoodsCategories?.length > 0 && (
+                      <p className="text-xs text-slate-600 capitalize">
+                        Accepts: {vehicle.acceptedGoodsCategories.join(", ")}
+                      </p>
+                    )}
+
                     <div className="pt-4 border-t border-slate-200">
                       {isOwnVehicle ? (
                         <div className="text-center">
@@ -699,16 +1145,53 @@ const VehicleSearch = () => {
                           </p>
                         </div>
                       ) : (
-                        <Button
-                          onClick={() => bookVehicle(vehicleId, createdBy)}
-                          className="w-full bg-blue-600 hover:bg-blue-700 text-white"
-                          disabled={vehicleStatus !== "available"}
-                        >
-                          {vehicleStatus === "available"
-                            ? "Book Vehicle"
-                            : "Not Available"}
-                        </Button>
+                        <>
+                          {vehicle.requiresApproval && (
+                            <p className="text-xs text-amber-700 mb-2 text-center">
+                              The owner approves bookings for this vehicle
+                            </p>
+                          )}
+                          <Button
+                            onClick={() =>
+                              bookVehicle(vehicleId, createdBy, isSharedSearch)
+                            }
+                            className="w-full bg-blue-600 hover:bg-blue-700 text-white"
+                            disabled={vehicleStatus !== "available"}
+                          >
+                            {vehicleStatus !== "available"
+                              ? "Not Available"
+                              : isSharedSearch
+                                ? `Book ${filters.capacityRequired} kg Shared`
+                                : "Book Vehicle"}
+                          </Button>
+                          {vehicleStatus === "available" &&
+                            !isSharedSearch &&
+                            canShare && (
+                              <Button
+                                onClick={() =>
+                                  bookVehicle(vehicleId, createdBy, true)
+                                }
+                                variant="outline"
+                                className="w-full mt-2"
+                              >
+                                Share the Truck ({filters.capacityRequired} kg)
+                              </Button>
+                            )}
+                          {vehicleStatus === "available" && !isSharedSearch && (
+                            <Button
+                              onClick={() => openRecurringBooking(vehicle)}
+                              variant="outline"
+                              className="w-full mt-2"
+                            >
+                              Book Recurring
+                            </Button>
+                          )}
+                        </>
                       )}
+                      <VehicleCalendarDialog
+                        vehicle={{ id: vehicleId, name: vehicle.name }}
+                        onPickSlot={searchAtTime}
+                      />
                     </div>
                   </CardContent>
                 </Card>
@@ -717,6 +1200,150 @@ const VehicleSearch = () => {
             .filter(Boolean)}
         </div>
 
+        {/* Pagination */}
+        {searchResults.pagination?.totalPages > 1 && (
+          <div className="flex items-center justify-center space-x-2 mt-8 mb-6">
+            <Button
+              variant="outline"
+              onClick={() =>
+                handlePageChange(searchResults.pagination.currentPage - 1)
+              }
+              disabled={isLoading || !searchResults.pagination.hasPrevPage}
+            >
+              Previous
+            </Button>
+            <span className="text-sm text-slate-600">
+              Page {searchResults.pagination.currentPage} of{" "}
+              {searchResults.pagination.totalPages}
+            </span>
+            <Button
+              variant="outline"
+              onClick={() =>
+                handlePageChange(searchResults.pagination.currentPage + 1)
+              }
+              disabled={isLoading || !searchResults.pagination.hasNextPage}
+            >
+              Next
+            </Button>
+          </div>
+        )}
+
+        {/* Other Start Times */}
+        {!isLoading &&
+          (searchResults.suggestions ||
+            searchResults.unavailable.some(
+              (vehicle) =>
+                vehicle.availability?.suggestions?.earlier ||
+                vehicle.availability?.suggestions?.later
+            )) && (
+            <Card className="border-0 shadow-lg">
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2">
+                  <Clock className="h-5 w-5 text-blue-600" />
+                  <span>Other Start Times</span>
+                </CardTitle>
+                <CardDescription>
+                  Nearest times these vehicles are free for the same ride
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {searchResults.suggestions && (
+                  <div className="flex flex-wrap gap-2">
+                    {["earlier", "later"].map(
+                      (direction) =>
+                        searchResults.suggestions[direction] && (
+                          <Button
+                            key={direction}
+                            onClick={() =>
+                              searchAtTime(
+                                searchResults.suggestions[direction].startTime
+                              )
+                            }
+                            className="bg-blue-600 hover:bg-blue-700 text-white"
+                          >
+                            {direction === "earlier" ? "Earlier" : "Later"}:{" "}
+                            {formatSuggestion(
+                              searchResults.suggestions[direction].startTime
+                            )}
+                          </Button>
+                        )
+                    )}
+                  </div>
+                )}
+                <ul className="divide-y divide-slate-100">
+                  {searchResults.unavailable
+                    .filter(
+                      (vehicle) =>
+                        vehicle.availability?.suggestions?.earlier ||
+                        vehicle.availability?.suggestions?.later
+                    )
+                    .map((vehicle) => (
+                      <li
+                        key={vehicle.id}
+                        className="flex flex-wrap items-center justify-between gap-2 py-2"
+                      >
+                        <span className="text-sm font-medium text-slate-800">
+                          {vehicle.name}
+                        </span>
+                        <div className="flex flex-wrap gap-2">
+                          {["earlier", "later"].map((direction) => {
+                            const slot =
+                              vehicle.availability.suggestions[direction];
+                            return (
+                              slot && (
+                                <Button
+                                  key={direction}
+                                  onClick={() => searchAtTime(slot.startTime)}
+                                  variant="outline"
+                                  size="sm"
+                                >
+                                  {formatSuggestion(slot.startTime)}
+                                </Button>
+                              )
+                            );
+                          })}
+                        </div>
+                      </li>
+                    ))}
+                </ul>
+              </CardContent>
+            </Card>
+          )}
+
+        {/* Vehicles Not Serving This Route */}
+        {!isLoading &&
+          searchResults.unavailable.some(
+            (vehicle) => vehicle.availability?.outsideServiceArea
+          ) && (
+            <Card className="border-0 shadow-lg">
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2">
+                  <MapPin className="h-5 w-5 text-slate-500" />
+                  <span>Outside Service Area</span>
+                </CardTitle>
+                <CardDescription>
+                  These vehicles only operate in their own area
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <ul className="divide-y divide-slate-100">
+                  {searchResults.unavailable
+                    .filter((vehicle) => vehicle.availability?.outsideServiceArea)
+                    .map((vehicle) => (
+                      <li key={vehicle.id} className="py-2">
+                        <p className="text-sm font-medium text-slate-800">
+                          {vehicle.name}
+                        </p>
+                        <p className="text-xs text-slate-500">
+                          {vehicle.availability.outsideServiceArea}
+                        </p>
+                      </li>
+                    ))}
+                </ul>
+              </CardContent>
+            </Card>
+          )}
+
         {/* No Results */}
         {!isLoading && vehicles.length === 0 && !error && (
           <Card className="border-0 shadow-lg">
@@ -729,13 +1356,58 @@ const VehicleSearch = () => {
                 Try adjusting your search filters or check back later for new
                 vehicles.
               </p>
-              <Button onClick={searchVehicles} variant="outline">
-                <Search className="mr-2 h-4 w-4" />
-                Search Again
-              </Button>
+              <div className="flex justify-center space-x-2">
+                <Button onClick={() => searchVehicles()} variant="outline">
+                  <Search className="mr-2 h-4 w-4" />
+                  Search Again
+                </Button>
+                {filters.capacityRequired &&
+                  filters.fromPincode &&
+                  filters.toPincode &&
+                  filters.startTime && (
+                    <>
+                      <Button
+                        onClick={() => setIsSplitOpen(true)}
+                        variant="outline"
+                      >
+                        Split Across Vehicles
+                      </Button>
+                      <Button
+                        onClick={() =>
+                          joinWaitlist({
+                            capacityRequired: Number(filters.capacityRequired),
+                          })
+                        }
+                        className="bg-blue-600 hover:bg-blue-700 text-white"
+                      >
+                        Join Waitlist
+                      </Button>
+                    </>
+                  )}
+              </div>
             </CardContent>
           </Card>
         )}
+
+        <RecurringBookingDialog
+          vehicle={recurringVehicle}
+          route={filters}
+          onClose={() => setRecurringVehicle(null)}
+          onBooked={() => {
+            setRecurringVehicle(null);
+            searchVehicles();
+          }}
+        />
+
+        <SplitShipmentDialog
+          open={isSplitOpen}
+          shipment={filters}
+          onClose={() => setIsSplitOpen(false)}
+          onBooked={() => {
+            setIsSplitOpen(false);
+            searchVehicles();
+          }}
+        />
       </div>
     </div>
   );
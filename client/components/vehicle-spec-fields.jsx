@@ -0,0 +1,211 @@
+"use client";
+
+/**
+ * Vehicle Specification Fields for FleetLink
+ * @fileoverview Vehicle type, body type, cargo bed and feature inputs shared by the vehicle forms
+ */
+
+import React from "react";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  VEHICLE_TYPE_LABELS,
+  BODY_TYPE_LABELS,
+  VEHICLE_FEATURE_LABELS,
+  getFieldError,
+} from "@/lib/validations";
+
+/**
+ * Empty specification values for a new vehicle
+ */
+export const EMPTY_VEHICLE_SPECS = {
+  vehicleType: "",
+  bodyType: "",
+  lengthM: "",
+  widthM: "",
+  heightM: "",
+  volumeM3: "",
+  features: [],
+};
+
+/**
+ * Turn a vehicle from the API into form values
+ * @param {Object} vehicle - Vehicle summary
+ * @returns {Object} Specification form values
+ */
+export const vehicleSpecsToForm = (vehicle) => ({
+  vehicleType: vehicle.vehicleType || "",
+  bodyType: vehicle.bodyType || "",
+  lengthM: vehicle.bedDimensions?.lengthM?.toString() || "",
+  widthM: vehicle.bedDimensions?.widthM?.toString() || "",
+  heightM: vehicle.bedDimensions?.heightM?.toString() || "",
+  volumeM3: vehicle.volumeM3?.toString() || "",
+  features: vehicle.features || [],
+});
+
+/**
+ * Turn form values into the fields the vehicle API expects
+ * @param {Object} values - Specification form values
+ * @returns {Object} vehicleType, bodyType, bedDimensions or volumeM3, and features
+ */
+export const buildVehicleSpecs = (values) => {
+  const hasBed =
+    values.lengthM !== "" && values.widthM !== "" && values.heightM !== "";
+
+  return {
+    ...(values.vehicleType && { vehicleType: values.vehicleType }),
+    ...(values.bodyType && { bodyType: values.bodyType }),
+    ...(hasBed && {
+      bedDimensions: {
+        lengthM: parseFloat(values.lengthM),
+        widthM: parseFloat(values.widthM),
+        heightM: parseFloat(values.heightM),
+      },
+    }),
+    ...(!hasBed &&
+      values.volumeM3 !== "" && { volumeM3: parseFloat(values.volumeM3) }),
+    features: values.features,
+  };
+};
+
+/**
+ * Vehicle specification fields
+ * @param {Object} props - Component props
+ * @param {Object} props.values - Specification form values
+ * @param {Function} props.onChange - Called with (name, value) when a field changes
+ * @param {Object} [props.errors] - Validation errors by field path
+ * @param {string} [props.idPrefix=""] - Prefix for input ids when a page shows several forms
+ * @returns {JSX.Element} Specification fields
+ */
+const VehicleSpecFields = ({ values, onChange, errors = {}, idPrefix = "" }) => {
+  const hasBed = Boolean(values.lengthM && values.widthM && values.heightM);
+  const bedError =
+    getFieldError(errors, "bedDimensions.lengthM") ||
+    getFieldError(errors, "bedDimensions.widthM") ||
+    getFieldError(errors, "bedDimensions.heightM");
+
+  /**
+   * Add or remove a feature
+   * @param {string} feature - Feature key
+   * @param {boolean} enabled - Whether the vehicle has it
+   */
+  const toggleFeature = (feature, enabled) => {
+    onChange(
+      "features",
+      enabled
+        ? [...values.features, feature]
+        : values.features.filter((item) => item !== feature)
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}vehicleType`}>Vehicle Type</Label>
+          <select
+            id={`${idPrefix}vehicleType`}
+            value={values.vehicleType}
+            onChange={(e) => onChange("vehicleType", e.target.value)}
+            className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Not specified</option>
+            {Object.entries(VEHICLE_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}bodyType`}>Body Type</Label>
+          <select
+            id={`${idPrefix}bodyType`}
+            value={values.bodyType}
+            onChange={(e) => onChange("bodyType", e.target.value)}
+            className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Not specified</option>
+            {Object.entries(BODY_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Cargo Bed (m)</Label>
+        <div className="grid grid-cols-3 gap-2">
+          {[
+            ["lengthM", "Length"],
+            ["widthM", "Width"],
+            ["heightM", "Height"],
+          ].map(([name, label]) => (
+            <Input
+              key={name}
+              id={`${idPrefix}${name}`}
+              type="number"
+              step="0.1"
+              min="0.1"
+              placeholder={label}
+              aria-label={`Bed ${label.toLowerCase()} in metres`}
+              value={values[name]}
+              onChange={(e) => onChange(name, e.target.value)}
+              className={bedError ? "border-red-500" : ""}
+            />
+          ))}
+        </div>
+        {bedError && <p className="text-xs text-red-600">{bedError}</p>}
+        <Input
+          id={`${idPrefix}volumeM3`}
+          type="number"
+          step="0.1"
+          min="0.1"
+          placeholder="Volume (m³)"
+          aria-label="Volume in cubic metres"
+          value={values.volumeM3}
+          onChange={(e) => onChange("volumeM3", e.target.value)}
+          disabled={hasBed}
+          className={getFieldError(errors, "volumeM3") ? "border-red-500" : ""}
+        />
+        {getFieldError(errors, "volumeM3") && (
+          <p className="text-xs text-red-600">
+            {getFieldError(errors, "volumeM3")}
+          </p>
+        )}
+        <p className="text-xs text-slate-500">
+          The volume is worked out from the bed; without a box, e.g. for a
+          tanker, enter the volume instead
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Features</Label>
+        <div className="flex flex-wrap gap-4">
+          {Object.entries(VEHICLE_FEATURE_LABELS).map(([feature, label]) => (
+            <div key={feature} className="flex items-center space-x-2">
+              <Checkbox
+                id={`${idPrefix}feature-${feature}`}
+                checked={values.features.includes(feature)}
+                onCheckedChange={(checked) =>
+                  toggleFeature(feature, checked === true)
+                }
+              />
+              <Label
+                htmlFor={`${idPrefix}feature-${feature}`}
+                className="text-sm font-normal"
+              >
+                {label}
+              </Label>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VehicleSpecFields;
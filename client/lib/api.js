@@ -132,20 +132,49 @@ export const authAPI = {
  */
 export const vehicleAPI = {
     /**
-     * Get available vehicles with filtering
+     * Search available vehicles, one page at a time
      * @param {Object} filters - Search filters
      * @param {number} filters.capacityRequired - Minimum capacity
+     * @param {number} [filters.maxCapacity] - Maximum capacity
+     * @param {number} [filters.minTyres] - Fewest tyres
+     * @param {number} [filters.maxTyres] - Most tyres
      * @param {string} filters.fromPincode - Starting location pincode
      * @param {string} filters.toPincode - Destination pincode
      * @param {string} filters.startTime - Start time (ISO string)
-     * @returns {Promise<Object>} Available vehicles
+     * @param {string} [filters.goodsCategory] - Only vehicles accepting this goods category
+     * @param {string} [filters.vehicleType] - Only vehicles of this type
+     * @param {number} [filters.minVolumeM3] - Minimum cargo volume in cubic metres
+     * @param {Array<string>} [filters.features] - Features every vehicle must have
+     * @param {string} [filters.loadType] - "shared" to join shared loads on the same trip; full loads need the vehicle to themselves
+     * @param {Object} [options] - Paging options
+     * @param {number} [options.page] - Page number
+     * @param {number} [options.limit] - Vehicles per page
+     * @param {string} [options.sortBy] - capacity, name or owner
+     * @param {string} [options.sortOrder] - asc or desc
+     * @param {boolean} [options.includeUnavailable] - Also return unavailable vehicles (the default)
+     * @returns {Promise<Object>} Available vehicles with pagination
      */
-    getAvailableVehicles: async (filters) => {
+    searchAvailable: async (filters, options = {}) => {
         const params = new URLSearchParams();
         if (filters.capacityRequired) params.append('capacityRequired', filters.capacityRequired);
+        if (filters.maxCapacity) params.append('maxCapacity', filters.maxCapacity);
+        if (filters.minTyres) params.append('minTyres', filters.minTyres);
+        if (filters.maxTyres) params.append('maxTyres', filters.maxTyres);
         if (filters.fromPincode) params.append('fromPincode', filters.fromPincode);
         if (filters.toPincode) params.append('toPincode', filters.toPincode);
         if (filters.startTime) params.append('startTime', filters.startTime);
+        if (filters.goodsCategory) params.append('goodsCategory', filters.goodsCategory);
+        if (filters.vehicleType) params.append('vehicleType', filters.vehicleType);
+        if (filters.minVolumeM3) params.append('minVolumeM3', filters.minVolumeM3);
+        if (filters.features?.length) params.append('features', filters.features.join(','));
+        if (filters.loadType) params.append('loadType', filters.loadType);
+        if (options.page) params.append('page', options.page);
+        if (options.limit) params.append('limit', options.limit);
+        if (options.sortBy) params.append('sortBy', options.sortBy);
+        if (options.sortOrder) params.append('sortOrder', options.sortOrder);
+        if (options.includeUnavailable !== undefined) {
+            params.append('includeUnavailable', String(options.includeUnavailable));
+        }
 
         const response = await api.get(`/vehicles/available?${params.toString()}`);
         return response.data;
@@ -223,6 +252,136 @@ export const vehicleAPI = {
         return response.data;
     },
 
+    /**
+     * Get downtime blocks for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} [from] - Only blocks ending after this time (ISO string)
+     * @returns {Promise<Object>} Downtime blocks
+     */
+    getVehicleDowntime: async (vehicleId, from) => {
+        const params = new URLSearchParams();
+        if (from) params.append('from', from);
+
+        const response = await api.get(`/vehicles/${vehicleId}/downtime?${params.toString()}`);
+        return response.data;
+    },
+
+    /**
+     * Get a vehicle's busy intervals and free gaps
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} [range] - Calendar range
+     * @param {string} [range.from] - Range start (ISO string), defaults to now
+     * @param {string} [range.to] - Range end (ISO string), at most 62 days after from
+     * @returns {Promise<Object>} busy and free intervals
+     */
+    getVehicleCalendar: async (vehicleId, range = {}) => {
+        const params = new URLSearchParams();
+        if (range.from) params.append('from', range.from);
+        if (range.to) params.append('to', range.to);
+
+        const response = await api.get(`/vehicles/${vehicleId}/calendar?${params.toString()}`);
+        return response.data;
+    },
+
+    /**
+     * Schedule downtime for a vehicle (Owner or Admin)
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} downtime - Downtime block
+     * @param {string} downtime.start - Start time (ISO string)
+     * @param {string} downtime.end - End time (ISO string)
+     * @param {string} downtime.reason - Reason for the downtime
+     * @returns {Promise<Object>} Created downtime and collision warning
+     */
+    addVehicleDowntime: async (vehicleId, downtime) => {
+        const response = await api.post(`/vehicles/${vehicleId}/downtime`, downtime);
+        return response.data;
+    },
+
+    /**
+     * Update a downtime block (Owner or Admin)
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} downtimeId - Downtime ID
+     * @param {Object} changes - Fields to change (start, end, reason)
+     * @returns {Promise<Object>} Updated downtime and collision warning
+     */
+    updateVehicleDowntime: async (vehicleId, downtimeId, changes) => {
+        const response = await api.put(`/vehicles/${vehicleId}/downtime/${downtimeId}`, changes);
+        return response.data;
+    },
+
+    /**
+     * Remove a downtime block (Owner or Admin)
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} downtimeId - Downtime ID
+     * @returns {Promise<Object>} Deletion result
+     */
+    deleteVehicleDowntime: async (vehicleId, downtimeId) => {
+        const response = await api.delete(`/vehicles/${vehicleId}/downtime/${downtimeId}`);
+        return response.data;
+    },
+
+    /**
+     * Get compliance documents and current status for a vehicle (Owner or Admin)
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Promise<Object>} Documents and compliance status
+     */
+    getVehicleCompliance: async (vehicleId) => {
+        const response = await api.get(`/vehicles/${vehicleId}/compliance`);
+        return response.data;
+    },
+
+    /**
+     * Add a compliance document to a vehicle (Owner or Admin)
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} document - Compliance document
+     * @param {string} document.type - registration, insurance, permit, fitness or puc
+     * @param {string} document.documentNumber - Registration, policy or certificate number
+     * @param {string} [document.issuedAt] - Issue date (ISO string)
+     * @param {string} document.expiresAt - Expiry date (ISO string)
+     * @param {Object} [document.file] - Uploaded copy: { name, mimeType, content } with base64 content
+     * @returns {Promise<Object>} Created document and compliance status
+     */
+    addComplianceDocument: async (vehicleId, document) => {
+        const response = await api.post(`/vehicles/${vehicleId}/compliance`, document);
+        return response.data;
+    },
+
+    /**
+     * Update a compliance document (Owner or Admin)
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} documentId - Compliance document ID
+     * @param {Object} changes - Fields to change (documentNumber, issuedAt, expiresAt, file)
+     * @returns {Promise<Object>} Updated document and compliance status
+     */
+    updateComplianceDocument: async (vehicleId, documentId, changes) => {
+        const response = await api.put(`/vehicles/${vehicleId}/compliance/${documentId}`, changes);
+        return response.data;
+    },
+
+    /**
+     * Remove a compliance document (Owner or Admin)
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} documentId - Compliance document ID
+     * @returns {Promise<Object>} Deletion result
+     */
+    deleteComplianceDocument: async (vehicleId, documentId) => {
+        const response = await api.delete(`/vehicles/${vehicleId}/compliance/${documentId}`);
+        return response.data;
+    },
+
+    /**
+     * Download the uploaded copy of a compliance document (Owner or Admin)
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} documentId - Compliance document ID
+     * @returns {Promise<Blob>} File contents
+     */
+    downloadComplianceFile: async (vehicleId, documentId) => {
+        const response = await api.get(`/vehicles/${vehicleId}/compliance/${documentId}/file`, {
+            responseType: 'blob'
+        });
+        return response.data;
+    },
+
     /**
      * Get vehicle statistics (Admin only)
      * @returns {Promise<Object>} Vehicle statistics
@@ -253,6 +412,8 @@ export const bookingAPI = {
      * @param {string} bookingData.fromPincode - Starting location pincode
      * @param {string} bookingData.toPincode - Destination pincode
      * @param {string} bookingData.startTime - Booking start time (ISO string)
+     * @param {string} [bookingData.loadType] - "shared" to book part of the vehicle
+     * @param {number} [bookingData.loadKg] - Cargo weight; required for shared loads
      * @returns {Promise<Object>} Created booking
      */
     createBooking: async (bookingData) => {
@@ -260,6 +421,28 @@ export const bookingAPI = {
         return response.data;
     },
 
+    /**
+     * Get an itemised fare quote
+     * @param {Object} filters - Same inputs as the vehicle search
+     * @param {number} filters.capacityRequired - Capacity used when no vehicle is given
+     * @param {string} filters.fromPincode - Starting location pincode
+     * @param {string} filters.toPincode - Destination pincode
+     * @param {string} filters.startTime - Start time (ISO string)
+     * @param {string} [filters.vehicleId] - Price with this vehicle's tariff and capacity
+     * @returns {Promise<Object>} Fare quote
+     */
+    getQuote: async (filters) => {
+        const params = new URLSearchParams();
+        if (filters.capacityRequired) params.append('capacityRequired', filters.capacityRequired);
+        if (filters.fromPincode) params.append('fromPincode', filters.fromPincode);
+        if (filters.toPincode) params.append('toPincode', filters.toPincode);
+        if (filters.startTime) params.append('startTime', filters.startTime);
+        if (filters.vehicleId) params.append('vehicleId', filters.vehicleId);
+
+        const response = await api.get(`/bookings/quote?${params.toString()}`);
+        return response.data;
+    },
+
     /**
      * Get user's bookings
      * @param {string} status - Optional status filter
@@ -271,16 +454,40 @@ export const bookingAPI = {
         return response.data;
     },
 
+    /**
+     * Preview cancelling a booking
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} Cancellation policy, whether cancelling is allowed and the fee
+     */
+    getCancellationPreview: async (bookingId) => {
+        const response = await api.get(`/bookings/${bookingId}/cancellation`);
+        return response.data;
+    },
+
     /**
      * Cancel booking
      * @param {string} bookingId - Booking ID
-     * @returns {Promise<Object>} Cancellation response
+     * @returns {Promise<Object>} Cancellation response with the fee charged
      */
     cancelBooking: async (bookingId) => {
         const response = await api.delete(`/bookings/${bookingId}`);
         return response.data;
     },
 
+    /**
+     * Reschedule booking
+     * @param {string} bookingId - Booking ID
+     * @param {Object} changes - Fields to change (at least one)
+     * @param {string} [changes.startTime] - New start time (ISO string)
+     * @param {string} [changes.fromPincode] - New starting location pincode
+     * @param {string} [changes.toPincode] - New destination pincode
+     * @returns {Promise<Object>} Rescheduled booking
+     */
+    rescheduleBooking: async (bookingId, changes) => {
+        const response = await api.put(`/bookings/${bookingId}`, changes);
+        return response.data;
+    },
+
     /**
      * Complete booking
      * @param {string} bookingId - Booking ID
@@ -291,6 +498,66 @@ export const bookingAPI = {
         return response.data;
     },
 
+    /**
+     * Move a booking to its next lifecycle status
+     * @param {string} bookingId - Booking ID
+     * @param {string} action - Lifecycle endpoint: dispatch, in-transit, deliver, no-show or fail
+     * @param {string} [note] - Note stored with the step (required for fail)
+     * @returns {Promise<Object>} Booking with its transition history
+     */
+    transitionBooking: async (bookingId, action, note) => {
+        const response = await api.put(`/bookings/${bookingId}/${action}`, { note });
+        return response.data;
+    },
+
+    /**
+     * Get pending booking requests for the current user's vehicles
+     * @returns {Promise<Object>} Pending requests, soonest expiry first
+     */
+    getBookingRequests: async () => {
+        const response = await api.get('/bookings/requests');
+        return response.data;
+    },
+
+    /**
+     * Approve a pending booking request (Vehicle owner)
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} Approved booking
+     */
+    approveBooking: async (bookingId) => {
+        const response = await api.put(`/bookings/${bookingId}/approve`);
+        return response.data;
+    },
+
+    /**
+     * Reject a pending booking request (Vehicle owner)
+     * @param {string} bookingId - Booking ID
+     * @param {string} reason - Reason shown to the customer
+     * @returns {Promise<Object>} Rejected booking
+     */
+    rejectBooking: async (bookingId, reason) => {
+        const response = await api.put(`/bookings/${bookingId}/reject`, { reason });
+        return response.data;
+    },
+
+    /**
+     * Get all bookings (Admin only)
+     * @param {Object} options - Query options
+     * @param {string} [options.status] - Status filter
+     * @param {number} [options.page] - Page number
+     * @param {number} [options.limit] - Items per page
+     * @returns {Promise<Object>} Bookings with pagination
+     */
+    getAllBookings: async (options = {}) => {
+        const params = new URLSearchParams();
+        if (options.status) params.append('status', options.status);
+        if (options.page) params.append('page', options.page);
+        if (options.limit) params.append('limit', options.limit);
+
+        const response = await api.get(`/bookings?${params.toString()}`);
+        return response.data;
+    },
+
     /**
      * Get booking statistics (Admin only)
      * @returns {Promise<Object>} Booking statistics
@@ -298,6 +565,185 @@ export const bookingAPI = {
     getBookingStats: async () => {
         const response = await api.get('/bookings/stats');
         return response.data;
+    },
+
+    /**
+     * Get the fleet timeline: one row per vehicle with its bookings and downtime (Admin only)
+     * @param {Object} filters - Timeline filters
+     * @param {string} [filters.from] - Range start (ISO string)
+     * @param {string} [filters.to] - Range end (ISO string), at most 62 days after the start
+     * @param {Array<string>} [filters.statuses] - Booking statuses to draw
+     * @param {string} [filters.ownerId] - Only this owner's vehicles
+     * @param {number} [filters.page] - Page of vehicle rows
+     * @param {number} [filters.limit] - Vehicle rows per page
+     * @returns {Promise<Object>} Vehicle rows, owners and pagination
+     */
+    getFleetTimeline: async (filters = {}) => {
+        const params = new URLSearchParams();
+        if (filters.from) params.append('from', filters.from);
+        if (filters.to) params.append('to', filters.to);
+        if (filters.statuses?.length) params.append('status', filters.statuses.join(','));
+        if (filters.ownerId) params.append('ownerId', filters.ownerId);
+        if (filters.page) params.append('page', filters.page);
+        if (filters.limit) params.append('limit', filters.limit);
+
+        const response = await api.get(`/bookings/timeline?${params.toString()}`);
+        return response.data;
+    }
+};
+
+/**
+ * Recurring booking series API methods
+ */
+export const bookingSeriesAPI = {
+    /**
+     * Check every occurrence of a series without booking
+     * @param {Object} seriesData - Series data
+     * @param {string} seriesData.vehicleId - Vehicle ID
+     * @param {string} seriesData.fromPincode - Starting location pincode
+     * @param {string} seriesData.toPincode - Destination pincode
+     * @param {string} seriesData.startTime - First occurrence start (ISO string)
+     * @param {Object} seriesData.recurrence - { frequency, byWeekday, count, until } or { rule }
+     * @returns {Promise<Object>} Per-occurrence availability report
+     */
+    previewSeries: async (seriesData) => {
+        const response = await api.post('/booking-series/preview', seriesData);
+        return response.data;
+    },
+
+    /**
+     * Book a recurring series
+     * @param {Object} seriesData - Same fields as previewSeries
+     * @param {boolean} [seriesData.skipUnavailable] - Book only the available occurrences
+     * @returns {Promise<Object>} Created series and per-occurrence report
+     */
+    createSeries: async (seriesData) => {
+        const response = await api.post('/booking-series', seriesData);
+        return response.data;
+    },
+
+    /**
+     * Get the current user's series
+     * @returns {Promise<Object>} Series with upcoming occurrence counts
+     */
+    getMySeries: async () => {
+        const response = await api.get('/booking-series');
+        return response.data;
+    },
+
+    /**
+     * Edit every upcoming occurrence of a series
+     * @param {string} seriesId - Series ID
+     * @param {Object} changes - { startTime, fromPincode, toPincode } (at least one)
+     * @returns {Promise<Object>} Updated series and per-occurrence report
+     */
+    updateSeries: async (seriesId, changes) => {
+        const response = await api.put(`/booking-series/${seriesId}`, changes);
+        return response.data;
+    },
+
+    /**
+     * Cancel every upcoming occurrence of a series
+     * @param {string} seriesId - Series ID
+     * @returns {Promise<Object>} Cancelled count, fees and occurrences kept
+     */
+    cancelSeries: async (seriesId) => {
+        const response = await api.delete(`/booking-series/${seriesId}`);
+        return response.data;
+    }
+};
+
+/**
+ * Booking group (split shipment) API methods
+ */
+export const bookingGroupAPI = {
+    /**
+     * Propose vehicles that carry a load together, without booking
+     * @param {Object} shipment - Shipment details
+     * @param {number} shipment.capacityRequired - Load of the whole shipment in kilograms
+     * @param {string} shipment.fromPincode - Starting location pincode
+     * @param {string} shipment.toPincode - Destination pincode
+     * @param {string} shipment.startTime - Shared start time (ISO string)
+     * @returns {Promise<Object>} Proposed vehicles with rides and prices
+     */
+    planGroup: async (shipment) => {
+        const params = new URLSearchParams();
+        params.append('capacityRequired', shipment.capacityRequired);
+        params.append('fromPincode', shipment.fromPincode);
+        params.append('toPincode', shipment.toPincode);
+        params.append('startTime', shipment.startTime);
+
+        const response = await api.get(`/booking-groups/plan?${params.toString()}`);
+        return response.data;
+    },
+
+    /**
+     * Book a split shipment; nothing is booked unless every vehicle is free
+     * @param {Object} shipment - Same fields as planGroup
+     * @param {Array<string>} [shipment.vehicleIds] - Vehicles from a plan
+     * @returns {Promise<Object>} Created group and its bookings
+     */
+    createGroup: async (shipment) => {
+        const response = await api.post('/booking-groups', shipment);
+        return response.data;
+    },
+
+    /**
+     * Get the current user's split shipments
+     * @returns {Promise<Object>} Groups with their vehicles
+     */
+    getMyGroups: async () => {
+        const response = await api.get('/booking-groups');
+        return response.data;
+    },
+
+    /**
+     * Cancel every booking of a split shipment
+     * @param {string} groupId - Group ID
+     * @returns {Promise<Object>} Cancelled count and total fee
+     */
+    cancelGroup: async (groupId) => {
+        const response = await api.delete(`/booking-groups/${groupId}`);
+        return response.data;
+    }
+};
+
+/**
+ * Waitlist API methods
+ */
+export const waitlistAPI = {
+    /**
+     * Join the waitlist for a fully booked slot
+     * @param {Object} waitlistData - Waitlist request
+     * @param {string} [waitlistData.vehicleId] - Vehicle to wait for
+     * @param {number} [waitlistData.capacityRequired] - Wait for any vehicle with this capacity instead
+     * @param {string} waitlistData.fromPincode - Starting location pincode
+     * @param {string} waitlistData.toPincode - Destination pincode
+     * @param {string} waitlistData.startTime - Requested start time (ISO string)
+     * @returns {Promise<Object>} Created entry and its position
+     */
+    joinWaitlist: async (waitlistData) => {
+        const response = await api.post('/waitlist', waitlistData);
+        return response.data;
+    },
+
+    /**
+     * Get the current user's waitlist entries
+     * @returns {Promise<Object>} Entries, including open offers
+     */
+    getMyWaitlist: async () => {
+        const response = await api.get('/waitlist');
+        return response.data;
+    },
+
+    /**
+     * Leave the waitlist
+     * @param {string} entryId - Waitlist entry ID
+     * @returns {Promise<Object>} Success message
+     */
+    leaveWaitlist: async (entryId) => {
+        const response = await api.delete(`/waitlist/${entryId}`);
+        return response.data;
     }
 };
 
@@ -5,6 +5,115 @@
 
 import { z } from 'zod';
 
+/**
+ * Goods categories cargo can be classified as
+ */
+export const GOODS_CATEGORIES = ['general', 'fragile', 'perishable', 'hazardous'];
+
+/**
+ * Vehicle types with display labels
+ */
+export const VEHICLE_TYPE_LABELS = {
+    mini_truck: 'Mini Truck',
+    lcv: 'LCV',
+    trailer: 'Trailer',
+    reefer: 'Reefer',
+    tanker: 'Tanker',
+};
+
+/**
+ * Cargo body types with display labels
+ */
+export const BODY_TYPE_LABELS = {
+    open: 'Open',
+    closed: 'Closed',
+    flatbed: 'Flatbed',
+    container: 'Container',
+    tank: 'Tank',
+};
+
+/**
+ * Vehicle features with display labels
+ */
+export const VEHICLE_FEATURE_LABELS = {
+    tail_lift: 'Tail Lift',
+    refrigeration: 'Refrigeration',
+};
+
+/**
+ * Vehicle compliance document types with display labels
+ */
+export const DOCUMENT_TYPE_LABELS = {
+    registration: 'Registration Certificate',
+    insurance: 'Insurance',
+    permit: 'Permit',
+    fitness: 'Fitness Certificate',
+    puc: 'PUC Certificate',
+};
+
+const vehicleTypeEnum = z.enum(Object.keys(VEHICLE_TYPE_LABELS));
+const vehicleFeatureEnum = z.enum(Object.keys(VEHICLE_FEATURE_LABELS));
+
+/**
+ * Vehicle type, body, bed dimensions and features shared by the add and update forms
+ */
+const vehicleSpecFields = {
+    vehicleType: vehicleTypeEnum.optional(),
+    bodyType: z
+        .enum(Object.keys(BODY_TYPE_LABELS))
+        .optional(),
+    bedDimensions: z
+        .object({
+            lengthM: z
+                .number()
+                .positive('Bed length must be positive')
+                .max(25, 'Bed length cannot exceed 25 m'),
+            widthM: z
+                .number()
+                .positive('Bed width must be positive')
+                .max(3, 'Bed width cannot exceed 3 m'),
+            heightM: z
+                .number()
+                .positive('Bed height must be positive')
+                .max(5, 'Bed height cannot exceed 5 m'),
+        })
+        .optional(),
+    volumeM3: z
+        .number()
+        .positive('Volume must be positive')
+        .max(200, 'Volume cannot exceed 200 m³')
+        .optional(),
+    features: z
+        .array(vehicleFeatureEnum)
+        .optional(),
+};
+
+/**
+ * Home base and service area shared by the add and update forms
+ */
+const serviceAreaFields = {
+    homePincode: z
+        .string()
+        .regex(/^\d{6}$/, 'Home base must be a 6-digit pincode')
+        .nullable()
+        .optional(),
+    serviceArea: z
+        .object({
+            pincodePrefixes: z
+                .array(z.string().regex(/^\d{1,6}$/, 'Pincode prefixes must be 1 to 6 digits'))
+                .max(50, 'List at most 50 pincode prefixes'),
+            states: z
+                .array(z.string().min(1))
+                .max(50, 'List at most 50 states'),
+            radiusKm: z
+                .number()
+                .min(1, 'Service radius must be at least 1 km')
+                .max(3000, 'Service radius cannot exceed 3,000 km')
+                .nullable(),
+        })
+        .optional(),
+};
+
 /**
  * Vehicle form validation schema
  */
@@ -24,6 +133,21 @@ export const vehicleFormSchema = z.object({
         .int('Number of tyres must be a whole number')
         .min(2, 'Vehicle must have at least 2 tyres')
         .max(18, 'Vehicle cannot have more than 18 tyres'),
+    turnaroundMinutes: z
+        .number()
+        .int('Turnaround time must be a whole number of minutes')
+        .min(0, 'Turnaround time cannot be negative')
+        .max(1440, 'Turnaround time cannot exceed 24 hours')
+        .optional(),
+    requiresApproval: z
+        .boolean()
+        .optional(),
+    acceptedGoodsCategories: z
+        .array(z.enum(GOODS_CATEGORIES))
+        .min(1, 'Select at least one goods category')
+        .optional(),
+    ...vehicleSpecFields,
+    ...serviceAreaFields,
 });
 
 /**
@@ -36,6 +160,23 @@ export const vehicleSearchSchema = z.object({
         .min(1, 'Capacity must be at least 1 kg')
         .max(3000, 'Capacity cannot exceed 3,000 kg')
         .optional(),
+    maxCapacity: z
+        .number()
+        .int('Maximum capacity must be a whole number')
+        .min(1, 'Maximum capacity must be at least 1 kg')
+        .optional(),
+    minTyres: z
+        .number()
+        .int('Number of tyres must be a whole number')
+        .min(2, 'Vehicles have at least 2 tyres')
+        .max(18, 'Vehicles have at most 18 tyres')
+        .optional(),
+    maxTyres: z
+        .number()
+        .int('Number of tyres must be a whole number')
+        .min(2, 'Vehicles have at least 2 tyres')
+        .max(18, 'Vehicles have at most 18 tyres')
+        .optional(),
     fromPincode: z
         .string()
         .regex(/^\d{6}$/, 'Pincode must be exactly 6 digits')
@@ -55,6 +196,20 @@ export const vehicleSearchSchema = z.object({
             const date = new Date(val);
             return date > new Date();
         }, 'Start time must be in the future'),
+    goodsCategory: z
+        .enum(GOODS_CATEGORIES)
+        .optional(),
+    vehicleType: vehicleTypeEnum.optional(),
+    minVolumeM3: z
+        .number()
+        .positive('Minimum volume must be positive')
+        .optional(),
+    features: z
+        .array(vehicleFeatureEnum)
+        .optional(),
+    loadType: z
+        .enum(['full', 'shared'])
+        .optional(),
 }).refine((data) => {
     // If pincodes are provided, both must be provided
     if (data.fromPincode || data.toPincode) {
@@ -64,6 +219,12 @@ export const vehicleSearchSchema = z.object({
 }, {
     message: 'Both from and to pincodes are required if either is provided',
     path: ['toPincode'],
+}).refine((data) => !data.maxCapacity || !data.capacityRequired || data.maxCapacity >= data.capacityRequired, {
+    message: 'Maximum capacity cannot be less than the capacity required',
+    path: ['maxCapacity'],
+}).refine((data) => !data.minTyres || !data.maxTyres || data.minTyres <= data.maxTyres, {
+    message: 'Minimum tyres cannot be more than maximum tyres',
+    path: ['maxTyres'],
 });
 
 /**
@@ -90,6 +251,19 @@ export const bookingFormSchema = z.object({
             const date = new Date(val);
             return date > new Date();
         }, 'Start time must be in the future'),
+    loadType: z
+        .enum(['full', 'shared'])
+        .optional(),
+    loadKg: z
+        .number()
+        .int('Load must be a whole number of kg')
+        .min(1, 'Load must be at least 1 kg')
+        .optional(),
+    cargo: z
+        .object({
+            category: z.enum(GOODS_CATEGORIES),
+        })
+        .optional(),
 });
 
 /**
@@ -149,11 +323,43 @@ export const vehicleUpdateSchema = z.object({
         .min(2, 'Vehicle must have at least 2 tyres')
         .max(18, 'Vehicle cannot have more than 18 tyres')
         .optional(),
+    turnaroundMinutes: z
+        .number()
+        .int('Turnaround time must be a whole number of minutes')
+        .min(0, 'Turnaround time cannot be negative')
+        .max(1440, 'Turnaround time cannot exceed 24 hours')
+        .optional(),
+    requiresApproval: z
+        .boolean()
+        .optional(),
+    acceptedGoodsCategories: z
+        .array(z.enum(GOODS_CATEGORIES))
+        .min(1, 'Select at least one goods category')
+        .optional(),
+    ...vehicleSpecFields,
+    ...serviceAreaFields,
     isActive: z
         .boolean()
         .optional(),
 });
 
+/**
+ * Compliance document validation schema
+ */
+export const complianceDocumentSchema = z.object({
+    type: z.enum(Object.keys(DOCUMENT_TYPE_LABELS)),
+    documentNumber: z
+        .string()
+        .trim()
+        .min(1, 'Document number is required')
+        .max(50, 'Document number cannot exceed 50 characters'),
+    issuedAt: z.string().optional(),
+    expiresAt: z.string().min(1, 'Expiry date is required'),
+}).refine((data) => !data.issuedAt || data.issuedAt < data.expiresAt, {
+    message: 'Expiry date must be after the issue date',
+    path: ['expiresAt'],
+});
+
 /**
  * Helper function to validate form data
  * @param {Object} data - Data to validate
@@ -8,6 +8,22 @@ const cors = require('cors');
 require('dotenv').config({ path: './.env' });
 
 const { connectDB } = require('./config/database');
+const { Booking } = require('./src/models/Booking');
+const { expirePendingBookings } = require('./src/controllers/bookingController');
+const { expireWaitlistOffers } = require('./src/controllers/waitlistController');
+const { sendComplianceExpiryWarnings } = require('./src/controllers/complianceController');
+
+/**
+ * How often unanswered booking requests and unclaimed waitlist offers are checked for expiry
+ * @constant {number}
+ */
+const PENDING_BOOKING_EXPIRY_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * How often compliance documents are checked for upcoming expiry
+ * @constant {number}
+ */
+const COMPLIANCE_WARNING_INTERVAL_MS = 60 * 60 * 1000;
 
 // Initialize Express app
 const app = express();
@@ -40,13 +56,21 @@ app.get('/health', (req, res) => {
 const authRoutes = require('./src/routes/authRoutes');
 const vehicleRoutes = require('./src/routes/vehicleRoutes');
 const bookingRoutes = require('./src/routes/bookingRoutes');
+const bookingSeriesRoutes = require('./src/routes/bookingSeriesRoutes');
+const bookingGroupRoutes = require('./src/routes/bookingGroupRoutes');
 const notificationRoutes = require('./src/routes/notificationRoutes');
+const tariffRoutes = require('./src/routes/tariffRoutes');
+const waitlistRoutes = require('./src/routes/waitlistRoutes');
 
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/booking-series', bookingSeriesRoutes);
+app.use('/api/booking-groups', bookingGroupRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/tariffs', tariffRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 
 
 
@@ -72,6 +96,27 @@ const startServer = async () => {
         // Connect to database
         await connectDB();
 
+        // Rename booking statuses stored by earlier versions before any request reads them
+        const renamedBookings = await Booking.migrateLegacyStatuses();
+        if (renamedBookings > 0) {
+            console.log(`Renamed the status of ${renamedBookings} bookings from an earlier version`);
+        }
+
+        // Reject booking requests the vehicle owner did not answer in time
+        setInterval(() => {
+            expirePendingBookings().catch(error => console.error('Expire pending bookings error:', error));
+        }, PENDING_BOOKING_EXPIRY_INTERVAL_MS).unref();
+
+        // Pass unclaimed waitlist offers on to the next customer
+        setInterval(() => {
+            expireWaitlistOffers().catch(error => console.error('Expire waitlist offers error:', error));
+        }, PENDING_BOOKING_EXPIRY_INTERVAL_MS).unref();
+
+        // Warn vehicle owners about compliance documents nearing expiry
+        setInterval(() => {
+            sendComplianceExpiryWarnings().catch(error => console.error('Compliance expiry warnings error:', error));
+        }, COMPLIANCE_WARNING_INTERVAL_MS).unref();
+
         // Start server
         app.listen(PORT, () => {
             console.log(`🚀 FleetLink server running on port ${PORT}`);
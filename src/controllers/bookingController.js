@@ -3,10 +3,150 @@
  * @fileoverview Handles booking creation, retrieval, and management with race condition prevention
  */
 
-const { Booking } = require('../models/Booking');
+const { Booking, BOOKING_STATUS, SLOT_HOLDING_STATUSES, LOAD_TYPES, canTransition } = require('../models/Booking');
 const Vehicle = require('../models/Vehicle');
 const { Notification } = require('../models/Notification');
-const { calculateRideDuration, calculateEndTime, checkTimeOverlap } = require('../utils/rideCalculations');
+const { VehicleLock, VehicleLockedError } = require('../models/VehicleLock');
+const Downtime = require('../models/Downtime');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const { Tariff, DEFAULT_TARIFF } = require('../models/Tariff');
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const {
+    estimateRide,
+    estimateRoute,
+    calculateEndTime,
+    checkTimeOverlap,
+    checkBookingConflict
+} = require('../utils/rideCalculations');
+const { checkOperatingHours } = require('../utils/operatingHours');
+const { calculateFare } = require('../utils/fareCalculator');
+const { evaluateCancellation } = require('../utils/cancellationPolicy');
+const { splitSharedLoads, calculateRemainingCapacity } = require('../utils/sharedLoads');
+const { normalizeStops, calculateLoadProfile, scheduleStops } = require('../utils/routeStops');
+const { normalizeManifest, acceptsCategory } = require('../utils/cargoManifest');
+const { checkServiceArea } = require('../utils/serviceArea');
+const { offerFreedSlot, claimWaitlistOffer } = require('./waitlistController');
+
+/**
+ * Build the conflict details returned with a 409 response
+ * @function buildConflictDetails
+ * @param {Date} requestedStart - Requested start time
+ * @param {Date} requestedEnd - Requested end time
+ * @param {Object} conflictCheck - Result of checkBookingConflict
+ * @returns {Object} Conflict details
+ */
+const buildConflictDetails = (requestedStart, requestedEnd, conflictCheck) => ({
+    requestedStart,
+    requestedEnd,
+    conflictingBookings: conflictCheck.conflictingBookings.map(conflict => ({
+        id: conflict.bookingId,
+        start: conflict.startTime,
+        end: conflict.endTime,
+        conflictType: conflict.conflictType,
+        requiredGapMinutes: conflict.requiredGapMinutes
+    })),
+    conflictingDowntime: conflictCheck.conflictingDowntime.map(block => ({
+        id: block.downtimeId,
+        start: block.startTime,
+        end: block.endTime,
+        reason: block.reason
+    }))
+});
+
+/**
+ * Pick the 409 message for a conflict check
+ * @function getConflictMessage
+ * @param {Object} conflictCheck - Result of checkBookingConflict
+ * @param {string} unavailableMessage - Message used when another booking overlaps the slot
+ * @param {string} slotDescription - How the requested slot is referred to, e.g. 'the new time slot'
+ * @returns {string} Conflict message
+ */
+const getConflictMessage = (conflictCheck, unavailableMessage, slotDescription) => {
+    const { conflictingBookings } = conflictCheck;
+
+    if (conflictingBookings.some(conflict => conflict.conflictType !== 'turnaround')) {
+        return unavailableMessage;
+    }
+
+    if (conflictingBookings.length > 0) {
+        return `Vehicle needs more time to turn around and reposition between bookings for ${slotDescription}`;
+    }
+
+    return `Vehicle is out of service for maintenance during ${slotDescription}`;
+};
+
+/**
+ * Price a ride on a vehicle using its tariff
+ * @async
+ * @function priceRide
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} ride - Ride estimate from estimateRide
+ * @param {Date} startTime - Ride start
+ * @returns {Promise<Object>} Itemised fare with the time it was quoted
+ */
+const priceRide = async (vehicle, ride, startTime) => {
+    const [price] = await priceRides(vehicle, ride, [startTime]);
+    return price;
+};
+
+/**
+ * Price the same ride on a vehicle at several start times, looking up its tariff once
+ * @async
+ * @function priceRides
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} ride - Ride estimate from estimateRide
+ * @param {Array<Date>} startTimes - Ride starts
+ * @returns {Promise<Array<Object>>} Itemised fares in the order of startTimes
+ * @example
+ * // Price every occurrence of a series before taking the vehicle lock
+ * const prices = await priceRides(vehicle, ride, starts);
+ */
+const priceRides = async (vehicle, ride, startTimes) => {
+    const tariff = (await Tariff.findForVehicle(vehicle._id)) || DEFAULT_TARIFF;
+    const quotedAt = new Date();
+
+    return startTimes.map(startTime => ({
+        ...calculateFare(tariff, {
+            durationHours: ride.durationHours,
+            distanceKm: ride.distanceKm,
+            capacityKg: vehicle.capacityKg,
+            startTime,
+            timezone: vehicle.operatingHours && vehicle.operatingHours.timezone
+        }),
+        quotedAt
+    }));
+};
+
+/**
+ * Work out when an unanswered booking request expires
+ * @function getApprovalExpiry
+ * @param {Object} vehicle - Vehicle document
+ * @param {Date} startTime - Ride start
+ * @returns {Date} The vehicle's approval timeout from now, but no later than the ride start
+ */
+const getApprovalExpiry = (vehicle, startTime) => {
+    const timeout = new Date(Date.now() + vehicle.approvalTimeoutHours * 60 * 60 * 1000);
+    return timeout < startTime ? timeout : startTime;
+};
+
+/**
+ * Separate the bookings a booking's load can share the vehicle with from those that block it
+ * @function checkSharedLoad
+ * @param {Object} booking - Booking being made or moved, with loadType, pincodes and times
+ * @param {Array<Object>} existingBookings - Bookings and held offers around its time slot
+ * @returns {Object} { blocking, loadedKg }; full loads are blocked by everything
+ */
+const checkSharedLoad = (booking, existingBookings) => {
+    if (booking.loadType !== LOAD_TYPES.SHARED) {
+        return { blocking: existingBookings, loadedKg: 0 };
+    }
+
+    return splitSharedLoads(existingBookings, {
+        fromPincode: booking.pincodes.start,
+        toPincode: booking.pincodes.end,
+        startTime: booking.times.start
+    });
+};
 
 /**
  * Create a new booking with race condition prevention
@@ -18,9 +158,19 @@ const { calculateRideDuration, calculateEndTime, checkTimeOverlap } = require('.
  * @param {string} req.body.startPincode - Starting location pincode
  * @param {string} req.body.endPincode - Destination pincode
  * @param {string} req.body.startTime - Booking start time (ISO string)
+ * @param {string} [req.body.loadType='full'] - `shared` to book part of the vehicle
+ * @param {number} [req.body.loadKg] - Cargo weight in kilograms; required for shared loads
+ * @param {Array<Object>} [req.body.stops] - Ordered intermediate stops, each { pincode, pickupKg, dropKg, dwellMinutes }
+ * @param {Object} [req.body.cargo] - Goods category and manifest lines, each { description, quantity, weightKg, volumeM3, declaredValue }
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Created booking or error response
+ * @description Shared loads may ride along with other shared loads on the same corridor and
+ * departure as long as their combined weight stays within the vehicle's capacity. With stops,
+ * the duration is estimated leg by leg plus the dwell at each stop, and the load on board
+ * (loadKg from the origin, then each stop's drop and pickup) must stay within capacity. The
+ * vehicle must accept the cargo's goods category, and the manifest's total weight, which stands
+ * in for loadKg when that is omitted, and total volume must fit the vehicle.
  * 
  * @example
  * // Request body
@@ -45,22 +195,27 @@ const { calculateRideDuration, calculateEndTime, checkTimeOverlap } = require('.
  *     },
  *     "times": {
  *       "start": "2024-01-15T10:00:00.000Z",
- *       "end": "2024-01-15T22:00:00.000Z"
+ *       "end": "2024-01-16T09:30:00.000Z"
  *     },
- *     "status": "active",
+ *     "distanceKm": 1166.3,
+ *     "estimatedRideDurationHours": 23.5,
+ *     "price": { "currency": "INR", "items": [...], "subtotal": 22045.6, "total": 22045.6 },
+ *     "status": "confirmed",
  *     "createdAt": "2024-01-10T08:00:00.000Z"
  *   }
  * }
  * 
+ * // Vehicles with requiresApproval answer 201 with "status": "pending" and "approval": { "expiresAt": ... }
+ * 
  * // Error responses
- * // 400 - Validation error
+ * // 400 - Validation error or ride outside operating hours
  * // 404 - Vehicle not found
- * // 409 - Vehicle not available (race condition)
+ * // 409 - Vehicle not available, not enough capacity left, or another booking for it is in progress
  * // 500 - Server error
  */
 const createBooking = async (req, res) => {
     try {
-        const { vehicleId, fromPincode, toPincode, startTime } = req.body;
+        const { vehicleId, fromPincode, toPincode, startTime, loadType = LOAD_TYPES.FULL, loadKg } = req.body;
         const userId = req.user.id;
 
         // Input validation
@@ -97,6 +252,61 @@ const createBooking = async (req, res) => {
             });
         }
 
+        if (!Object.values(LOAD_TYPES).includes(loadType)) {
+            return res.status(400).json({
+                success: false,
+                message: `Load type must be one of: ${Object.values(LOAD_TYPES).join(', ')}`
+            });
+        }
+
+        const { cargo, error: cargoError } = normalizeManifest(req.body.cargo);
+        if (cargoError) {
+            return res.status(400).json({
+                success: false,
+                message: cargoError
+            });
+        }
+
+        // Without an explicit load weight, the manifest lines give it
+        const manifestKg = cargo && cargo.items.length > 0 ? cargo.totalWeightKg : null;
+        const load = loadKg !== undefined && loadKg !== null ? Number(loadKg) : manifestKg;
+        if (loadType === LOAD_TYPES.SHARED && load === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Load weight is required for shared loads'
+            });
+        }
+
+        if (load !== null && (isNaN(load) || load < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Load weight must be a positive number'
+            });
+        }
+
+        if (manifestKg !== null && manifestKg > load) {
+            return res.status(400).json({
+                success: false,
+                message: `The manifest weighs ${manifestKg} kg, more than the declared load of ${load} kg`
+            });
+        }
+
+        const { stops, error: stopsError } = normalizeStops(req.body.stops);
+        if (stopsError) {
+            return res.status(400).json({
+                success: false,
+                message: stopsError
+            });
+        }
+
+        // Loads sharing a vehicle must all run the same trip, so they stay point to point
+        if (loadType === LOAD_TYPES.SHARED && stops.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Shared loads cannot have intermediate stops'
+            });
+        }
+
         // Find the vehicle
         const vehicle = await Vehicle.findById(vehicleId);
         if (!vehicle) {
@@ -114,39 +324,97 @@ const createBooking = async (req, res) => {
             });
         }
 
-        // Calculate ride duration and end time
-        const duration = calculateRideDuration(fromPincode, toPincode);
-        const endTime = calculateEndTime(startDateTime, duration);
+        const serviceAreaCheck = checkServiceArea(vehicle, [fromPincode, ...stops.map(stop => stop.pincode), toPincode]);
+        if (!serviceAreaCheck.isWithin) {
+            return res.status(400).json({
+                success: false,
+                message: serviceAreaCheck.reason
+            });
+        }
 
-        // RACE CONDITION PREVENTION: Re-check availability just before creating booking
-        const existingBookings = await Booking.find({
-            vehicleId,
-            status: 'active',
-            $or: [
-                {
-                    'times.start': { $lt: endTime },
-                    'times.end': { $gt: startDateTime }
-                }
-            ]
-        });
+        if (cargo && !acceptsCategory(vehicle, cargo.category)) {
+            return res.status(400).json({
+                success: false,
+                message: `This vehicle does not accept ${cargo.category} goods`
+            });
+        }
 
-        if (existingBookings.length > 0) {
-            return res.status(409).json({
+        if (manifestKg !== null && manifestKg > vehicle.capacityKg) {
+            return res.status(400).json({
                 success: false,
-                message: 'Vehicle is no longer available for the selected time slot',
-                conflictDetails: {
-                    requestedStart: startDateTime,
-                    requestedEnd: endTime,
-                    conflictingBookings: existingBookings.map(booking => ({
-                        id: booking._id,
-                        start: booking.times.start,
-                        end: booking.times.end
-                    }))
-                }
+                message: `Cargo weighs ${manifestKg} kg, above the vehicle capacity of ${vehicle.capacityKg} kg`
+            });
+        }
+
+        if (cargo && vehicle.volumeM3 && cargo.totalVolumeM3 > vehicle.volumeM3) {
+            return res.status(400).json({
+                success: false,
+                message: `Cargo takes ${cargo.totalVolumeM3} m³, more than the vehicle's ${vehicle.volumeM3} m³`
+            });
+        }
+
+        if (load !== null && load > vehicle.capacityKg) {
+            return res.status(400).json({
+                success: false,
+                message: `Load exceeds the vehicle capacity of ${vehicle.capacityKg} kg`
+            });
+        }
+
+        if (stops.length > 0) {
+            const loadProfile = calculateLoadProfile(load, stops);
+            if (loadProfile.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: loadProfile.error
+                });
+            }
+
+            if (loadProfile.peakKg > vehicle.capacityKg) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Load on board reaches ${loadProfile.peakKg} kg, above the vehicle capacity of ${vehicle.capacityKg} kg`
+                });
+            }
+        }
+
+        // Calculate ride duration and end time, leg by leg through any stops
+        let ride;
+        try {
+            ride = estimateRoute(fromPincode, toPincode, stops, { vehicleType: vehicle.vehicleType });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        const endTime = calculateEndTime(startDateTime, ride.durationHours);
+
+        // The whole ride must fall inside the vehicle's operating windows
+        const operatingCheck = checkOperatingHours(vehicle.operatingHours, startDateTime, endTime);
+        if (!operatingCheck.isWithin) {
+            return res.status(400).json({
+                success: false,
+                message: operatingCheck.reason
             });
         }
 
-        // Create the booking
+        // The vehicle's documents must stay valid until the ride ends
+        const compliance = await ComplianceDocument.checkVehicle(vehicle._id, endTime);
+        if (!compliance.isCompliant) {
+            return res.status(400).json({
+                success: false,
+                message: `Vehicle cannot be booked: ${compliance.reason}`
+            });
+        }
+
+        // Snapshot the fare so later tariff changes do not affect this booking
+        const price = await priceRide(vehicle, ride, startDateTime);
+
+        // Vehicles in approval mode hold the slot as a pending request until the owner answers
+        const needsApproval = vehicle.requiresApproval && vehicle.createdBy.toString() !== userId;
+
+        // RACE CONDITION PREVENTION: the overlap check and the insert run while holding the
+        // per-vehicle lock, so concurrent requests for the same vehicle are serialised
         const booking = new Booking({
             vehicleId,
             userId,
@@ -158,10 +426,64 @@ const createBooking = async (req, res) => {
                 start: startDateTime,
                 end: endTime
             },
-            status: 'active'
+            stops: scheduleStops(startDateTime, ride.stops),
+            distanceKm: ride.distanceKm,
+            loadType,
+            ...(load !== null && { loadKg: load }),
+            ...(cargo && { cargo }),
+            price,
+            status: needsApproval ? BOOKING_STATUS.PENDING : BOOKING_STATUS.CONFIRMED,
+            ...(needsApproval && {
+                approval: { expiresAt: getApprovalExpiry(vehicle, startDateTime) }
+            })
         });
 
-        await booking.save();
+        // Slots offered to a waitlisted customer stay held for them until the offer expires
+        const conflictCheck = await VehicleLock.withLock(vehicleId, async () => {
+            const [existingBookings, downtimeBlocks, heldOffers] = await Promise.all([
+                Booking.findActiveBookingsForVehicle(vehicleId, startDateTime, endTime, { includeAdjacent: true }),
+                Downtime.findOverlapping(vehicleId, startDateTime, endTime),
+                WaitlistEntry.findHeldOffers(vehicleId, startDateTime, endTime, { excludeUserId: userId })
+            ]);
+            const { blocking, loadedKg } = checkSharedLoad(booking, [...existingBookings, ...heldOffers]);
+            const check = checkBookingConflict(blocking, startDateTime, endTime, downtimeBlocks, {
+                turnaroundMinutes: vehicle.turnaroundMinutes,
+                fromPincode,
+                toPincode
+            });
+            const remainingCapacityKg = calculateRemainingCapacity(vehicle.capacityKg, loadedKg);
+            const exceedsCapacity = !check.hasConflict && booking.loadKg > remainingCapacityKg;
+            if (!check.hasConflict && !exceedsCapacity) {
+                await booking.save();
+            }
+            return { ...check, remainingCapacityKg, exceedsCapacity };
+        });
+
+        if (conflictCheck.exceedsCapacity) {
+            return res.status(409).json({
+                success: false,
+                message: `Only ${conflictCheck.remainingCapacityKg} kg of capacity is left on this trip`,
+                remainingCapacityKg: conflictCheck.remainingCapacityKg
+            });
+        }
+
+        if (conflictCheck.hasConflict) {
+            return res.status(409).json({
+                success: false,
+                message: getConflictMessage(
+                    conflictCheck,
+                    'Vehicle is no longer available for the selected time slot',
+                    'the selected time slot'
+                ),
+                conflictDetails: buildConflictDetails(startDateTime, endTime, conflictCheck)
+            });
+        }
+
+        try {
+            await claimWaitlistOffer(booking);
+        } catch (waitlistError) {
+            console.error('Failed to claim waitlist offer:', waitlistError);
+        }
 
         // Populate the booking with vehicle and user details
         await booking.populate([
@@ -181,7 +503,9 @@ const createBooking = async (req, res) => {
                     fromPincode: booking.pincodes.start,
                     toPincode: booking.pincodes.end,
                     startTime: booking.times.start,
-                    endTime: booking.times.end
+                    endTime: booking.times.end,
+                    stops: booking.stops,
+                    ...(needsApproval && { type: 'booking_requested' })
                 });
             }
         } catch (notificationError) {
@@ -191,19 +515,36 @@ const createBooking = async (req, res) => {
 
         res.status(201).json({
             success: true,
-            message: 'Booking created successfully',
+            message: needsApproval
+                ? 'Booking request sent to the vehicle owner for approval'
+                : 'Booking created successfully',
             booking: {
                 _id: booking._id,
                 vehicle: booking.vehicleId,
                 user: booking.userId,
                 pincodes: booking.pincodes,
                 times: booking.times,
+                stops: booking.stops,
+                distanceKm: booking.distanceKm,
+                estimatedRideDurationHours: ride.durationHours,
+                loadType: booking.loadType,
+                loadKg: booking.loadKg,
+                cargo: booking.cargo,
+                price: booking.price,
+                approval: needsApproval ? booking.approval : undefined,
                 status: booking.status,
                 createdAt: booking.createdAt
             }
         });
 
     } catch (error) {
+        if (error instanceof VehicleLockedError) {
+            return res.status(409).json({
+                success: false,
+                message: 'Vehicle is being booked by another request, please retry'
+            });
+        }
+
         console.error('Create booking error:', error);
         res.status(500).json({
             success: false,
@@ -213,6 +554,144 @@ const createBooking = async (req, res) => {
     }
 };
 
+/**
+ * Get an itemised price quote for a ride
+ * @async
+ * @function getQuote
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Same inputs as the availability search, plus an optional vehicle
+ * @param {string} req.query.startTime - Ride start time (ISO string)
+ * @param {string} [req.query.fromPincode] - Starting pincode (6 digits)
+ * @param {string} [req.query.toPincode] - Destination pincode (6 digits)
+ * @param {number} [req.query.capacityRequired] - Capacity to price when no vehicle is given
+ * @param {string} [req.query.vehicleId] - Vehicle to quote with its own tariff and capacity
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Quote or error response
+ * @description Prices a ride without booking it, using the vehicle's tariff when a vehicle is
+ * given and the default tariff otherwise
+ * @example
+ * // GET /api/bookings/quote?fromPincode=110001&toPincode=400001&startTime=2024-01-15T10:00:00Z&vehicleId=...
+ * {
+ *   "success": true,
+ *   "quote": {
+ *     "vehicleId": "60f7b3b3b3b3b3b3b3b3b3b3",
+ *     "currency": "INR",
+ *     "items": [
+ *       { "code": "base", "label": "Base fare", "quantity": 1, "rate": 500, "amount": 500 },
+ *       { "code": "duration", "label": "Duration (23.5 h)", "quantity": 23.5, "rate": 300, "amount": 7050 },
+ *       ...
+ *     ],
+ *     "subtotal": 22045.6,
+ *     "total": 22045.6,
+ *     "ride": { "durationHours": 23.5, "distanceKm": 1166.3, "strategy": "distance", "endTime": "..." }
+ *   }
+ * }
+ */
+const getQuote = async (req, res) => {
+    try {
+        const { capacityRequired, fromPincode, toPincode, startTime, vehicleId } = req.query;
+
+        if (!startTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start time is required'
+            });
+        }
+
+        if (fromPincode && toPincode) {
+            const pincodeRegex = /^\d{6}$/;
+            if (!pincodeRegex.test(fromPincode) || !pincodeRegex.test(toPincode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Pincodes must be 6 digits'
+                });
+            }
+        }
+
+        const startDateTime = new Date(startTime);
+        if (isNaN(startDateTime.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start time format'
+            });
+        }
+
+        let capacityKg = null;
+        if (capacityRequired) {
+            capacityKg = parseInt(capacityRequired, 10);
+            if (isNaN(capacityKg) || capacityKg < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Capacity must be a positive number'
+                });
+            }
+        }
+
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Vehicle not found'
+                });
+            }
+        }
+
+        // Without pincodes the search assumes an 8 hour ride, so the quote does too
+        let ride = { durationHours: 8, distanceKm: null, strategy: null };
+        if (fromPincode && toPincode) {
+            try {
+                ride = estimateRide(fromPincode, toPincode, { vehicleType: vehicle && vehicle.vehicleType });
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        }
+
+        const fare = vehicle
+            ? await priceRide(vehicle, ride, startDateTime)
+            : calculateFare((await Tariff.findForVehicle(null)) || DEFAULT_TARIFF, {
+                durationHours: ride.durationHours,
+                distanceKm: ride.distanceKm,
+                capacityKg,
+                startTime: startDateTime
+            });
+
+        res.json({
+            success: true,
+            quote: {
+                vehicleId: vehicle ? vehicle._id : null,
+                currency: fare.currency,
+                items: fare.items,
+                subtotal: fare.subtotal,
+                total: fare.total,
+                ride: {
+                    ...ride,
+                    endTime: calculateEndTime(startDateTime, ride.durationHours).toISOString()
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get quote error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to calculate quote'
+        });
+    }
+};
+
 /**
  * Get user's bookings with optional status filter
  * @async
@@ -226,7 +705,7 @@ const createBooking = async (req, res) => {
  * 
  * @example
  * // GET /bookings/my-bookings
- * // GET /bookings/my-bookings?status=active
+ * // GET /bookings/my-bookings?status=confirmed
  * 
  * // Success response (200)
  * {
@@ -248,7 +727,7 @@ const createBooking = async (req, res) => {
  *         "start": "2024-01-15T10:00:00.000Z",
  *         "end": "2024-01-15T22:00:00.000Z"
  *       },
- *       "status": "active",
+ *       "status": "confirmed",
  *       "createdAt": "2024-01-10T08:00:00.000Z"
  *     }
  *   ]
@@ -277,6 +756,17 @@ const getUserBookings = async (req, res) => {
                 vehicle: booking.vehicleId,
                 pincodes: booking.pincodes,
                 times: booking.times,
+                stops: booking.stops,
+                distanceKm: booking.distanceKm,
+                loadType: booking.loadType,
+                loadKg: booking.loadKg,
+                cargo: booking.cargo,
+                price: booking.price,
+                cancellation: booking.cancellation,
+                approval: booking.approval,
+                seriesId: booking.seriesId,
+                occurrenceIndex: booking.occurrenceIndex,
+                groupId: booking.groupId,
                 status: booking.status,
                 createdAt: booking.createdAt
             }))
@@ -293,36 +783,55 @@ const getUserBookings = async (req, res) => {
 };
 
 /**
- * Cancel a booking
+ * Evaluate the cancellation policy of a booking's vehicle
  * @async
- * @function cancelBooking
+ * @function evaluateBookingCancellation
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Result of evaluateCancellation; pending requests and vehicles removed
+ * since booking use the default policy
+ */
+const evaluateBookingCancellation = async (booking) => {
+    // Requests the owner has not accepted yet can always be withdrawn for free
+    if (booking.status === BOOKING_STATUS.PENDING) {
+        return evaluateCancellation(null, booking);
+    }
+
+    const vehicle = await Vehicle.findById(booking.vehicleId);
+    return evaluateCancellation(vehicle && vehicle.cancellationPolicy, booking);
+};
+
+/**
+ * Preview cancelling a booking
+ * @async
+ * @function getCancellationPreview
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Booking ID
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Cancellation result or error response
- * 
+ * @returns {Promise<Object>} Policy and the fee that cancelling now would charge
+ *
  * @example
- * // DELETE /bookings/60f7b3b3b3b3b3b3b3b3b3b4
- * 
+ * // GET /bookings/60f7b3b3b3b3b3b3b3b3b3b4/cancellation
+ *
  * // Success response (200)
  * {
  *   "success": true,
- *   "message": "Booking cancelled successfully"
+ *   "cancellation": {
+ *     "allowed": true,
+ *     "reason": null,
+ *     "policy": { "freeCancellationHours": 24, "lateCancellationFeePercent": 20, "noCancellationHours": 2 },
+ *     "hoursBeforeStart": 10.5,
+ *     "feePercent": 20,
+ *     "fee": 1000,
+ *     "currency": "INR"
+ *   }
  * }
- * 
- * // Error responses
- * // 404 - Booking not found
- * // 403 - Not authorized to cancel this booking
- * // 400 - Booking cannot be cancelled (already completed/cancelled)
  */
-const cancelBooking = async (req, res) => {
+const getCancellationPreview = async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.id;
 
-        // Find the booking
         const booking = await Booking.findById(id);
         if (!booking) {
             return res.status(404).json({
@@ -331,41 +840,32 @@ const cancelBooking = async (req, res) => {
             });
         }
 
-        // Check if user owns the booking
-        if (booking.userId.toString() !== userId) {
+        if (booking.userId.toString() !== req.user.id) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to cancel this booking'
             });
         }
 
-        // Check if booking can be cancelled
-        if (booking.status !== 'active') {
-            return res.status(400).json({
-                success: false,
-                message: `Booking cannot be cancelled. Current status: ${booking.status}`
-            });
-        }
-
-        // Check if booking has already started
-        if (new Date() >= booking.times.start) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot cancel booking that has already started'
-            });
-        }
-
-        // Update booking status
-        booking.status = 'cancelled';
-        await booking.save();
+        const cancellation = canTransition(booking.status, BOOKING_STATUS.CANCELLED)
+            ? await evaluateBookingCancellation(booking)
+            : { allowed: false, reason: `Booking cannot be cancelled. Current status: ${booking.status}` };
 
         res.json({
             success: true,
-            message: 'Booking cancelled successfully'
+            cancellation
         });
 
     } catch (error) {
-        console.error('Cancel booking error:', error);
+        console.error('Get cancellation preview error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -375,60 +875,1095 @@ const cancelBooking = async (req, res) => {
 };
 
 /**
- * Get all bookings (Admin only)
+ * Store a status change made with transitionTo, unless the booking's status changed since it was loaded
+ * @function saveTransition
+ * @param {Object} booking - Booking after transitionTo, not yet saved
+ * @param {string} from - Status the booking was loaded with
+ * @param {Object} [fields] - Other fields to set along with the status
+ * @returns {Query} Resolves to the updated booking, or null when its status changed meanwhile
+ */
+const saveTransition = (booking, from, fields = {}) => {
+    const transition = booking.transitions[booking.transitions.length - 1];
+
+    // Conditional update so a concurrent cancellation or lifecycle step cannot be overwritten
+    return Booking.findOneAndUpdate(
+        { _id: booking._id, status: from },
+        { $set: { status: booking.status, ...fields }, $push: { transitions: transition.toObject() } },
+        { new: true }
+    );
+};
+
+/**
+ * Cancel a booking
  * @async
- * @function getAllBookings
+ * @function cancelBooking
  * @param {Object} req - Express request object
- * @param {Object} req.query - Query parameters
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Booking ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Cancellation result or error response
+ * 
+ * @example
+ * // DELETE /bookings/60f7b3b3b3b3b3b3b3b3b3b4
+ * 
+ * // Success response (200)
+ * {
+ *   "success": true,
+ *   "message": "Booking cancelled successfully",
+ *   "cancellation": { "cancelledAt": "...", "feePercent": 20, "fee": 1000, "currency": "INR" }
+ * }
+ * 
+ * // Error responses
+ * // 404 - Booking not found
+ * // 403 - Not authorized to cancel this booking
+ * // 400 - Booking cannot be cancelled (already completed/cancelled, started, or inside the no-cancel window)
+ * // 409 - Booking status changed in the meantime
+ */
+const cancelBooking = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        // Find the booking
+        const booking = await Booking.findById(id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        // Check if user owns the booking
+        if (booking.userId.toString() !== userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this booking'
+            });
+        }
+
+        // Split shipments are cancelled together through their group
+        if (booking.groupId) {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking is part of a split shipment; cancel the whole group instead'
+            });
+        }
+
+        // Check if booking can be cancelled (pending requests can be withdrawn)
+        if (!canTransition(booking.status, BOOKING_STATUS.CANCELLED)) {
+            return res.status(400).json({
+                success: false,
+                message: `Booking cannot be cancelled. Current status: ${booking.status}`
+            });
+        }
+
+        // Apply the vehicle's cancellation policy as of now
+        const evaluation = await evaluateBookingCancellation(booking);
+        if (!evaluation.allowed) {
+            return res.status(400).json({
+                success: false,
+                message: evaluation.reason
+            });
+        }
+
+        // Update booking status and record the fee charged
+        const loadedStatus = booking.status;
+        booking.transitionTo(BOOKING_STATUS.CANCELLED, { by: req.user._id });
+        const cancelled = await saveTransition(booking, loadedStatus, {
+            cancellation: {
+                cancelledAt: new Date(),
+                cancelledBy: req.user._id,
+                hoursBeforeStart: evaluation.hoursBeforeStart,
+                feePercent: evaluation.feePercent,
+                fee: evaluation.fee,
+                currency: evaluation.currency
+            }
+        });
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Booking status changed in the meantime, please reload and try again'
+            });
+        }
+
+        // Offer the freed slot to the first customer waiting for it
+        try {
+            await offerFreedSlot(cancelled.vehicleId, cancelled.times);
+        } catch (waitlistError) {
+            console.error('Failed to offer freed slot to the waitlist:', waitlistError);
+        }
+
+        res.json({
+            success: true,
+            message: evaluation.fee > 0
+                ? `Booking cancelled with a fee of ${evaluation.currency} ${evaluation.fee}`
+                : 'Booking cancelled successfully',
+            cancellation: cancelled.cancellation
+        });
+
+    } catch (error) {
+        console.error('Cancel booking error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Reschedule a booking
+ * @async
+ * @function rescheduleBooking
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Booking ID
+ * @param {Object} req.body - Fields to change (at least one)
+ * @param {string} [req.body.startTime] - New start time (ISO string)
+ * @param {string} [req.body.fromPincode] - New starting location pincode
+ * @param {string} [req.body.toPincode] - New destination pincode
+ * @param {Array<Object>} [req.body.stops] - New intermediate stops; an empty array removes them
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Rescheduled booking or error response
+ * @description Recomputes the end time for the new route and start, then re-checks overlaps
+ * against the vehicle's other bookings while holding the vehicle lock so the slot cannot be
+ * taken between the check and the update. The booking keeps its slot if the move fails.
+ *
+ * @example
+ * // PUT /bookings/60f7b3b3b3b3b3b3b3b3b3b4
+ * // Body: { "startTime": "2024-01-16T10:00:00.000Z" }
+ *
+ * // Success response (200)
+ * {
+ *   "success": true,
+ *   "message": "Booking rescheduled successfully",
+ *   "booking": {
+ *     "_id": "60f7b3b3b3b3b3b3b3b3b3b4",
+ *     "pincodes": { "start": "110001", "end": "400001" },
+ *     "times": { "start": "2024-01-16T10:00:00.000Z", "end": "2024-01-17T09:30:00.000Z" },
+ *     "previous": {
+ *       "pincodes": { "start": "110001", "end": "400001" },
+ *       "times": { "start": "2024-01-15T10:00:00.000Z", "end": "2024-01-16T09:30:00.000Z" }
+ *     },
+ *     "status": "confirmed"
+ *   }
+ * }
+ *
+ * // Error responses
+ * // 400 - Validation error or booking cannot be rescheduled
+ * // 403 - Not authorized to reschedule this booking
+ * // 404 - Booking not found
+ * // 409 - New time slot conflicts with another booking
+ */
+const rescheduleBooking = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { startTime, fromPincode, toPincode } = req.body;
+        const userId = req.user.id;
+
+        if (!startTime && !fromPincode && !toPincode && req.body.stops === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide at least one of: startTime, fromPincode, toPincode, stops'
+            });
+        }
+
+        // Validate pincode format (6 digits)
+        const pincodeRegex = /^\d{6}$/;
+        if ((fromPincode && !pincodeRegex.test(fromPincode)) || (toPincode && !pincodeRegex.test(toPincode))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Pincodes must be 6 digits'
+            });
+        }
+
+        // Find the booking
+        const booking = await Booking.findById(id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        // Booking owner or admin may reschedule
+        if (booking.userId.toString() !== userId && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reschedule this booking'
+            });
+        }
+
+        if (booking.groupId) {
+            return res.status(400).json({
+                success: false,
+                message: 'A booking that is part of a split shipment cannot be rescheduled on its own'
+            });
+        }
+
+        if (booking.status !== BOOKING_STATUS.CONFIRMED) {
+            return res.status(400).json({
+                success: false,
+                message: `Booking cannot be rescheduled. Current status: ${booking.status}`
+            });
+        }
+
+        if (new Date() >= booking.times.start) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot reschedule booking that has already started'
+            });
+        }
+
+        const startDateTime = startTime ? new Date(startTime) : booking.times.start;
+        if (isNaN(startDateTime.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start time format'
+            });
+        }
+
+        if (startDateTime <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start time must be in the future'
+            });
+        }
+
+        const newPincodes = {
+            start: fromPincode || booking.pincodes.start,
+            end: toPincode || booking.pincodes.end
+        };
+
+        // Stops stay as they are unless new ones are given; their times are always recomputed
+        const { stops, error: stopsError } = req.body.stops !== undefined
+            ? normalizeStops(req.body.stops)
+            : normalizeStops(booking.stops.map(({ pincode, pickupKg, dropKg, dwellMinutes }) => ({
+                pincode, pickupKg, dropKg, dwellMinutes
+            })));
+        if (stopsError) {
+            return res.status(400).json({
+                success: false,
+                message: stopsError
+            });
+        }
+
+        if (booking.loadType === LOAD_TYPES.SHARED && stops.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Shared loads cannot have intermediate stops'
+            });
+        }
+
+        const vehicle = await Vehicle.findById(booking.vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        if (!vehicle.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vehicle is not available for booking'
+            });
+        }
+
+        const serviceAreaCheck = checkServiceArea(
+            vehicle,
+            [newPincodes.start, ...stops.map(stop => stop.pincode), newPincodes.end]
+        );
+        if (!serviceAreaCheck.isWithin) {
+            return res.status(400).json({
+                success: false,
+                message: serviceAreaCheck.reason
+            });
+        }
+
+        if (stops.length > 0) {
+            const loadProfile = calculateLoadProfile(booking.loadKg, stops);
+            if (loadProfile.error || loadProfile.peakKg > vehicle.capacityKg) {
+                return res.status(400).json({
+                    success: false,
+                    message: loadProfile.error ||
+                        `Load on board reaches ${loadProfile.peakKg} kg, above the vehicle capacity of ${vehicle.capacityKg} kg`
+                });
+            }
+        }
+
+        // Recalculate ride duration and end time for the new route
+        let ride;
+        try {
+            ride = estimateRoute(newPincodes.start, newPincodes.end, stops, { vehicleType: vehicle.vehicleType });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        const endTime = calculateEndTime(startDateTime, ride.durationHours);
+
+        // The whole ride must fall inside the vehicle's operating windows
+        const operatingCheck = checkOperatingHours(vehicle.operatingHours, startDateTime, endTime);
+        if (!operatingCheck.isWithin) {
+            return res.status(400).json({
+                success: false,
+                message: operatingCheck.reason
+            });
+        }
+
+        // The vehicle's documents must stay valid until the moved ride ends
+        const compliance = await ComplianceDocument.checkVehicle(vehicle._id, endTime);
+        if (!compliance.isCompliant) {
+            return res.status(400).json({
+                success: false,
+                message: `Vehicle cannot be booked: ${compliance.reason}`
+            });
+        }
+
+        const price = await priceRide(vehicle, ride, startDateTime);
+
+        const previous = {
+            pincodes: { start: booking.pincodes.start, end: booking.pincodes.end },
+            times: { start: booking.times.start, end: booking.times.end }
+        };
+
+        // Re-check overlaps and move the booking without another write interleaving
+        const conflictCheck = await VehicleLock.withLock(booking.vehicleId, async () => {
+            // The owner may have deactivated the vehicle since it was loaded
+            if (!(await Vehicle.exists({ _id: booking.vehicleId, isActive: true }))) {
+                return { inactive: true };
+            }
+
+            const [existingBookings, downtimeBlocks, heldOffers] = await Promise.all([
+                Booking.findActiveBookingsForVehicle(
+                    booking.vehicleId,
+                    startDateTime,
+                    endTime,
+                    { excludeBookingId: booking._id, includeAdjacent: true }
+                ),
+                Downtime.findOverlapping(booking.vehicleId, startDateTime, endTime),
+                WaitlistEntry.findHeldOffers(booking.vehicleId, startDateTime, endTime, {
+                    excludeUserId: booking.userId
+                })
+            ]);
+            // A shared load moves onto whichever trip it lands on, if there is room
+            const { blocking, loadedKg } = checkSharedLoad(
+                { loadType: booking.loadType, pincodes: newPincodes, times: { start: startDateTime } },
+                [...existingBookings, ...heldOffers]
+            );
+            const check = checkBookingConflict(blocking, startDateTime, endTime, downtimeBlocks, {
+                turnaroundMinutes: vehicle.turnaroundMinutes,
+                fromPincode: newPincodes.start,
+                toPincode: newPincodes.end
+            });
+            const remainingCapacityKg = calculateRemainingCapacity(vehicle.capacityKg, loadedKg);
+            const exceedsCapacity = !check.hasConflict && booking.loadKg > remainingCapacityKg;
+
+            if (!check.hasConflict && !exceedsCapacity) {
+                booking.pincodes = newPincodes;
+                booking.times = { start: startDateTime, end: endTime };
+                booking.stops = scheduleStops(startDateTime, ride.stops);
+                booking.distanceKm = ride.distanceKm;
+                booking.price = price;
+                await booking.save();
+            }
+            return { ...check, remainingCapacityKg, exceedsCapacity };
+        });
+
+        if (conflictCheck.inactive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vehicle is not available for booking'
+            });
+        }
+
+        if (conflictCheck.exceedsCapacity) {
+            return res.status(409).json({
+                success: false,
+                message: `Only ${conflictCheck.remainingCapacityKg} kg of capacity is left on the new trip`,
+                remainingCapacityKg: conflictCheck.remainingCapacityKg
+            });
+        }
+
+        if (conflictCheck.hasConflict) {
+            return res.status(409).json({
+                success: false,
+                message: getConflictMessage(
+                    conflictCheck,
+                    'Vehicle is not available for the new time slot',
+                    'the new time slot'
+                ),
+                conflictDetails: buildConflictDetails(startDateTime, endTime, conflictCheck)
+            });
+        }
+
+        await booking.populate([
+            { path: 'vehicleId', select: 'name capacityKg tyres createdBy' },
+            { path: 'userId', select: 'name email' }
+        ]);
+
+        // Let the vehicle owner know the slot moved (if different from the booking user)
+        try {
+            const vehicleOwnerId = booking.vehicleId.createdBy;
+            if (vehicleOwnerId && vehicleOwnerId.toString() !== userId) {
+                await Notification.createBookingNotification(vehicleOwnerId, booking._id, {
+                    type: 'booking_rescheduled',
+                    vehicleId: booking.vehicleId._id,
+                    vehicleName: booking.vehicleId.name,
+                    customerName: booking.userId.name,
+                    customerEmail: booking.userId.email,
+                    fromPincode: booking.pincodes.start,
+                    toPincode: booking.pincodes.end,
+                    startTime: booking.times.start,
+                    endTime: booking.times.end,
+                    stops: booking.stops,
+                    previous
+                });
+            }
+        } catch (notificationError) {
+            console.error('Failed to create reschedule notification:', notificationError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Booking rescheduled successfully',
+            booking: {
+                _id: booking._id,
+                vehicle: booking.vehicleId,
+                user: booking.userId,
+                pincodes: booking.pincodes,
+                times: booking.times,
+                stops: booking.stops,
+                distanceKm: booking.distanceKm,
+                estimatedRideDurationHours: ride.durationHours,
+                price: booking.price,
+                previous,
+                status: booking.status,
+                createdAt: booking.createdAt
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof VehicleLockedError) {
+            return res.status(409).json({
+                success: false,
+                message: 'Vehicle is being booked by another request, please retry'
+            });
+        }
+
+        console.error('Reschedule booking error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get all bookings (Admin only)
+ * @async
+ * @function getAllBookings
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
  * @param {string} [req.query.status] - Filter by booking status
  * @param {number} [req.query.page=1] - Page number
  * @param {number} [req.query.limit=10] - Items per page
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} All bookings with pagination or error response
- * 
+ * @returns {Promise<Object>} All bookings with pagination or error response
+ * 
+ * @example
+ * // GET /bookings?status=confirmed&page=1&limit=10
+ * 
+ * // Success response (200)
+ * {
+ *   "success": true,
+ *   "bookings": [...],
+ *   "pagination": {
+ *     "currentPage": 1,
+ *     "totalPages": 5,
+ *     "totalBookings": 50,
+ *     "hasNext": true,
+ *     "hasPrev": false
+ *   }
+ * }
+ */
+const getAllBookings = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 10 } = req.query;
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+
+        // Build query
+        const query = {};
+        if (status) {
+            query.status = status;
+        }
+
+        // Calculate pagination
+        const skip = (pageNum - 1) * limitNum;
+
+        // Get bookings with pagination
+        const [bookings, totalBookings] = await Promise.all([
+            Booking.find(query)
+                .populate('vehicleId', 'name capacityKg tyres')
+                .populate('userId', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limitNum),
+            Booking.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalBookings / limitNum);
+
+        res.json({
+            success: true,
+            bookings: bookings.map(booking => ({
+                _id: booking._id,
+                vehicle: booking.vehicleId,
+                user: booking.userId,
+                pincodes: booking.pincodes,
+                times: booking.times,
+                distanceKm: booking.distanceKm,
+                price: booking.price,
+                status: booking.status,
+                createdAt: booking.createdAt
+            })),
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalBookings,
+                hasNext: pageNum < totalPages,
+                hasPrev: pageNum > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get all bookings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get booking statistics (Admin only)
+ * @async
+ * @function getBookingStats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Booking statistics or error response
+ * 
+ * @example
+ * // GET /bookings/stats
+ * 
+ * // Success response (200)
+ * {
+ *   "success": true,
+ *   "stats": {
+ *     "total": 150,
+ *     "pending": 3,
+ *     "confirmed": 20,
+ *     "dispatched": 2,
+ *     "in_transit": 3,
+ *     "delivered": 0,
+ *     "completed": 118,
+ *     "cancelled": 5,
+ *     "rejected": 2,
+ *     "no_show": 1,
+ *     "failed": 1,
+ *     "todayBookings": 8,
+ *     "thisWeekBookings": 45
+ *   }
+ * }
+ */
+const getBookingStats = async (req, res) => {
+    try {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const thisWeek = new Date();
+        thisWeek.setDate(thisWeek.getDate() - 7);
+
+        const [
+            statusCounts,
+            todayBookings,
+            thisWeekBookings
+        ] = await Promise.all([
+            Booking.getStats(),
+            Booking.countDocuments({
+                createdAt: { $gte: today },
+                status: { $in: SLOT_HOLDING_STATUSES }
+            }),
+            Booking.countDocuments({
+                createdAt: { $gte: thisWeek },
+                status: { $in: SLOT_HOLDING_STATUSES }
+            })
+        ]);
+
+        res.json({
+            success: true,
+            stats: {
+                ...statusCounts,
+                todayBookings,
+                thisWeekBookings
+            }
+        });
+
+    } catch (error) {
+        console.error('Get booking stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Lifecycle steps reachable through the transition endpoints
+ * @constant {Object<string, Object>}
+ * @property {string} notification - Notification type sent to the other parties
+ * @property {string} message - Success message
+ * @property {boolean} customerAllowed - Whether the customer may take this step
+ * @property {boolean} requiresStart - Whether the booking must have started
+ * @property {boolean} requiresNote - Whether a note explaining the step is required
+ * @property {boolean} requiresCompliance - Whether the vehicle's documents must be valid until the ride ends
+ */
+const LIFECYCLE_STEPS = {
+    [BOOKING_STATUS.DISPATCHED]: {
+        notification: 'booking_dispatched',
+        message: 'Booking dispatched successfully',
+        requiresCompliance: true
+    },
+    [BOOKING_STATUS.IN_TRANSIT]: {
+        notification: 'booking_in_transit',
+        message: 'Booking marked as in transit'
+    },
+    [BOOKING_STATUS.DELIVERED]: {
+        notification: 'booking_delivered',
+        message: 'Booking marked as delivered'
+    },
+    [BOOKING_STATUS.COMPLETED]: {
+        notification: 'booking_completed',
+        message: 'Booking completed successfully',
+        customerAllowed: true,
+        requiresStart: true
+    },
+    [BOOKING_STATUS.NO_SHOW]: {
+        notification: 'booking_no_show',
+        message: 'Booking marked as no-show',
+        requiresStart: true
+    },
+    [BOOKING_STATUS.FAILED]: {
+        notification: 'booking_failed',
+        message: 'Booking marked as failed',
+        requiresNote: true
+    }
+};
+
+/**
+ * Notify the customer and the vehicle owner of a lifecycle step, except whoever took it
+ * @async
+ * @function notifyLifecycleStep
+ * @param {Object} booking - Booking populated with vehicleId and userId
+ * @param {string} type - Notification type
+ * @param {string} actorId - ID of the user who took the step
+ * @param {string} [note] - Note recorded with the step
+ */
+const notifyLifecycleStep = async (booking, type, actorId, note) => {
+    const recipients = [booking.userId._id.toString(), booking.vehicleId.createdBy.toString()]
+        .filter((recipient, index, all) => recipient !== actorId && all.indexOf(recipient) === index);
+
+    try {
+        for (const recipient of recipients) {
+            await Notification.createBookingNotification(recipient, booking._id, {
+                type,
+                vehicleId: booking.vehicleId._id,
+                vehicleName: booking.vehicleId.name,
+                customerName: booking.userId.name,
+                fromPincode: booking.pincodes.start,
+                toPincode: booking.pincodes.end,
+                startTime: booking.times.start,
+                endTime: booking.times.end,
+                reason: note
+            });
+        }
+    } catch (notificationError) {
+        console.error('Failed to create lifecycle notification:', notificationError);
+    }
+};
+
+/**
+ * Move a booking to the next lifecycle status on behalf of the current user
+ * @async
+ * @function transitionBooking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} targetStatus - Status to move to; a key of LIFECYCLE_STEPS
+ * @description Shared by the lifecycle endpoints. The vehicle owner or an admin may take every step;
+ * the customer may also complete. BOOKING_TRANSITIONS decides which steps the current status allows.
+ * The step is stored only if the status is still the one loaded; otherwise the response is 409.
+ */
+const transitionBooking = async (req, res, targetStatus) => {
+    const step = LIFECYCLE_STEPS[targetStatus];
+
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        const note = req.body && typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+        if (step.requiresNote && !note) {
+            return res.status(400).json({
+                success: false,
+                message: `A note is required to mark a booking as ${targetStatus}`
+            });
+        }
+
+        const booking = await Booking.findById(id)
+            .populate('vehicleId', 'createdBy name')
+            .populate('userId', 'name email');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const isVehicleOwner = booking.vehicleId.createdBy.toString() === userId;
+        const isBookingOwner = booking.userId._id.toString() === userId;
+        const isAdmin = req.user.role === 'admin';
+
+        if (!isVehicleOwner && !isAdmin && !(step.customerAllowed && isBookingOwner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not authorized to update this booking'
+            });
+        }
+
+        const now = new Date();
+        if (step.requiresStart && now < booking.times.start) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot mark booking as ${targetStatus} before it has started`
+            });
+        }
+
+        if (step.requiresCompliance) {
+            const compliance = await ComplianceDocument.checkVehicle(booking.vehicleId._id, booking.times.end);
+            if (!compliance.isCompliant) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Vehicle cannot be dispatched: ${compliance.reason}`
+                });
+            }
+        }
+
+        const loadedStatus = booking.status;
+        booking.transitionTo(targetStatus, { by: req.user._id, note: note || undefined, at: now });
+        const updated = await saveTransition(booking, loadedStatus)
+            .populate('vehicleId', 'createdBy name')
+            .populate('userId', 'name email');
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                message: 'Booking status changed in the meantime, please reload and try again'
+            });
+        }
+
+        await notifyLifecycleStep(updated, step.notification, userId, note || undefined);
+
+        res.json({
+            success: true,
+            message: step.message,
+            booking: {
+                _id: updated._id,
+                status: updated.status,
+                transitions: updated.transitions,
+                vehicle: updated.vehicleId,
+                user: updated.userId,
+                pincodes: updated.pincodes,
+                times: updated.times
+            }
+        });
+
+    } catch (error) {
+        console.error(`Booking ${targetStatus} error:`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
+        if (error.name === 'BookingTransitionError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Dispatch a confirmed booking (vehicle owner or admin)
+ * @async
+ * @function dispatchBooking
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {string} [req.body.note] - Optional note, e.g. driver details
+ * @param {Object} res - Express response object
+ * @example
+ * // PUT /bookings/60f7b3b3b3b3b3b3b3b3b3b4/dispatch
+ * // Response: { success: true, message: "Booking dispatched successfully", booking: { status: "dispatched", transitions: [...] } }
+ */
+const dispatchBooking = (req, res) => transitionBooking(req, res, BOOKING_STATUS.DISPATCHED);
+
+/**
+ * Mark a dispatched booking as in transit once the cargo is loaded (vehicle owner or admin)
+ * @async
+ * @function startTransit
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {Object} res - Express response object
+ * @example
+ * // PUT /bookings/60f7b3b3b3b3b3b3b3b3b3b4/in-transit
+ * // Response: { success: true, message: "Booking marked as in transit", booking: { status: "in_transit", ... } }
+ */
+const startTransit = (req, res) => transitionBooking(req, res, BOOKING_STATUS.IN_TRANSIT);
+
+/**
+ * Mark an in-transit booking as delivered (vehicle owner or admin)
+ * @async
+ * @function deliverBooking
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {Object} res - Express response object
+ * @example
+ * // PUT /bookings/60f7b3b3b3b3b3b3b3b3b3b4/deliver
+ * // Response: { success: true, message: "Booking marked as delivered", booking: { status: "delivered", ... } }
+ */
+const deliverBooking = (req, res) => transitionBooking(req, res, BOOKING_STATUS.DELIVERED);
+
+/**
+ * Complete a delivered booking
+ * @async
+ * @function completeBooking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @route PUT /api/bookings/:id/complete
+ * @access Private
+ * @description Close a delivered booking. The vehicle owner, the customer or an admin can complete bookings.
+ * @param {string} req.params.id - Booking ID
+ * @returns {Object} 200 - Booking completed successfully
+ * @returns {Object} 400 - Booking is not delivered yet or has not started
+ * @returns {Object} 403 - Not authorized
+ * @returns {Object} 404 - Booking not found
+ * @returns {Object} 500 - Internal server error
  * @example
- * // GET /bookings?status=active&page=1&limit=10
- * 
- * // Success response (200)
+ * PUT /api/bookings/507f1f77bcf86cd799439011/complete
+ * Response:
  * {
  *   "success": true,
- *   "bookings": [...],
- *   "pagination": {
- *     "currentPage": 1,
- *     "totalPages": 5,
- *     "totalBookings": 50,
- *     "hasNext": true,
- *     "hasPrev": false
+ *   "message": "Booking completed successfully",
+ *   "booking": {
+ *     "_id": "507f1f77bcf86cd799439011",
+ *     "status": "completed",
+ *     "transitions": [{ "from": "delivered", "to": "completed", "at": "2023-12-01T10:30:00.000Z", "by": "..." }]
  *   }
  * }
  */
-const getAllBookings = async (req, res) => {
-    try {
-        const { status, page = 1, limit = 10 } = req.query;
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
+const completeBooking = (req, res) => transitionBooking(req, res, BOOKING_STATUS.COMPLETED);
 
-        // Build query
-        const query = {};
-        if (status) {
-            query.status = status;
-        }
+/**
+ * Mark a booking as a no-show after its start time (vehicle owner or admin)
+ * @async
+ * @function markNoShow
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {string} [req.body.note] - Optional note
+ * @param {Object} res - Express response object
+ * @example
+ * // PUT /bookings/60f7b3b3b3b3b3b3b3b3b3b4/no-show
+ * // Response: { success: true, message: "Booking marked as no-show", booking: { status: "no_show", ... } }
+ */
+const markNoShow = (req, res) => transitionBooking(req, res, BOOKING_STATUS.NO_SHOW);
 
-        // Calculate pagination
-        const skip = (pageNum - 1) * limitNum;
+/**
+ * Mark a dispatched or in-transit booking as failed (vehicle owner or admin)
+ * @async
+ * @function failBooking
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {string} req.body.note - Why the delivery failed (shown to the customer)
+ * @param {Object} res - Express response object
+ * @example
+ * // PUT /bookings/60f7b3b3b3b3b3b3b3b3b3b4/fail
+ * // Body: { "note": "Vehicle broke down on NH48" }
+ * // Response: { success: true, message: "Booking marked as failed", booking: { status: "failed", ... } }
+ */
+const failBooking = (req, res) => transitionBooking(req, res, BOOKING_STATUS.FAILED);
 
-        // Get bookings with pagination
-        const [bookings, totalBookings] = await Promise.all([
-            Booking.find(query)
-                .populate('vehicleId', 'name capacityKg tyres')
-                .populate('userId', 'name email')
-                .sort({ createdAt: -1 })
-                .skip(skip)
-                .limit(limitNum),
-            Booking.countDocuments(query)
-        ]);
+/**
+ * Reason recorded when a booking request expires unanswered
+ * @constant {string}
+ */
+const APPROVAL_EXPIRED_REASON = 'Request expired without a response from the vehicle owner';
 
-        const totalPages = Math.ceil(totalBookings / limitNum);
+/**
+ * Load a pending booking request the current user may answer
+ * @async
+ * @function loadBookingRequest
+ * @param {string} bookingId - Booking ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { booking } or { status, message } when not allowed
+ */
+const loadBookingRequest = async (bookingId, user) => {
+    const booking = await Booking.findById(bookingId)
+        .populate('vehicleId', 'createdBy name')
+        .populate('userId', 'name email');
+    if (!booking) {
+        return { status: 404, message: 'Booking not found' };
+    }
+
+    const isVehicleOwner = booking.vehicleId && booking.vehicleId.createdBy.toString() === user.id;
+    if (!isVehicleOwner && user.role !== 'admin') {
+        return { status: 403, message: 'Only the vehicle owner can answer booking requests' };
+    }
+
+    if (booking.status !== BOOKING_STATUS.PENDING) {
+        return { status: 400, message: `Booking is not awaiting approval. Current status: ${booking.status}` };
+    }
+
+    if (booking.approval.expiresAt <= new Date()) {
+        return { status: 400, message: 'Booking request has expired' };
+    }
+
+    return { booking };
+};
+
+/**
+ * Record the owner's answer to a booking request
+ * @async
+ * @function answerBookingRequest
+ * @param {Object} booking - Pending booking loaded by loadBookingRequest
+ * @param {string} status - BOOKING_STATUS.CONFIRMED or BOOKING_STATUS.REJECTED
+ * @param {Object} user - Authenticated user answering the request
+ * @param {string} [reason] - Note recorded with the answer
+ * @returns {Promise<Object|null>} Updated booking, or null when the request was answered or
+ * expired since it was loaded
+ */
+const answerBookingRequest = (booking, status, user, reason) => {
+    const now = new Date();
+    const transition = { from: BOOKING_STATUS.PENDING, to: status, at: now, by: user._id };
+    const update = {
+        $set: {
+            status,
+            'approval.decidedAt': now,
+            'approval.decidedBy': user._id
+        },
+        $push: { transitions: transition }
+    };
+    if (reason) {
+        update.$set['approval.reason'] = reason;
+        if (status === BOOKING_STATUS.REJECTED) transition.note = reason;
+    }
+
+    // Conditional update so a second answer or the expiry sweep cannot overwrite this one
+    return Booking.findOneAndUpdate(
+        { _id: booking._id, status: BOOKING_STATUS.PENDING, 'approval.expiresAt': { $gt: now } },
+        update,
+        { new: true }
+    )
+        .populate('vehicleId', 'createdBy name')
+        .populate('userId', 'name email');
+};
+
+/**
+ * Notify the customer that their booking request was answered
+ * @async
+ * @function notifyRequestAnswered
+ * @param {Object} booking - Booking populated with vehicleId and userId
+ * @param {string} type - 'booking_approved' or 'booking_rejected'
+ */
+const notifyRequestAnswered = async (booking, type) => {
+    try {
+        await Notification.createBookingNotification(booking.userId._id, booking._id, {
+            type,
+            vehicleId: booking.vehicleId._id,
+            vehicleName: booking.vehicleId.name,
+            fromPincode: booking.pincodes.start,
+            toPincode: booking.pincodes.end,
+            startTime: booking.times.start,
+            endTime: booking.times.end,
+            reason: booking.approval.reason
+        });
+    } catch (notificationError) {
+        console.error('Failed to create approval notification:', notificationError);
+    }
+};
+
+/**
+ * Get pending booking requests for the current user's vehicles
+ * @async
+ * @function getBookingRequests
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Unexpired pending requests, soonest expiry first
+ *
+ * @example
+ * // GET /bookings/requests
+ *
+ * // Success response (200)
+ * {
+ *   "success": true,
+ *   "bookings": [
+ *     {
+ *       "_id": "60f7b3b3b3b3b3b3b3b3b3b4",
+ *       "vehicle": { "_id": "60f7b3b3b3b3b3b3b3b3b3b3", "name": "Truck-001" },
+ *       "user": { "name": "Jane", "email": "jane@example.com" },
+ *       "status": "pending",
+ *       "approval": { "expiresAt": "2024-01-11T08:00:00.000Z" }
+ *     }
+ *   ]
+ * }
+ */
+const getBookingRequests = async (req, res) => {
+    try {
+        const vehicles = await Vehicle.find({ createdBy: req.user.id }).select('_id');
+
+        const bookings = await Booking.find({
+            vehicleId: { $in: vehicles.map(vehicle => vehicle._id) },
+            status: BOOKING_STATUS.PENDING,
+            'approval.expiresAt': { $gt: new Date() }
+        })
+            .populate('vehicleId', 'name capacityKg tyres')
+            .populate('userId', 'name email')
+            .sort({ 'approval.expiresAt': 1 });
 
         res.json({
             success: true,
@@ -438,20 +1973,16 @@ const getAllBookings = async (req, res) => {
                 user: booking.userId,
                 pincodes: booking.pincodes,
                 times: booking.times,
+                distanceKm: booking.distanceKm,
+                price: booking.price,
+                approval: booking.approval,
                 status: booking.status,
                 createdAt: booking.createdAt
-            })),
-            pagination: {
-                currentPage: pageNum,
-                totalPages,
-                totalBookings,
-                hasNext: pageNum < totalPages,
-                hasPrev: pageNum > 1
-            }
+            }))
         });
 
     } catch (error) {
-        console.error('Get all bookings error:', error);
+        console.error('Get booking requests error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -461,73 +1992,81 @@ const getAllBookings = async (req, res) => {
 };
 
 /**
- * Get booking statistics (Admin only)
+ * Approve a pending booking request
  * @async
- * @function getBookingStats
+ * @function approveBooking
  * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Booking ID
+ * @param {Object} [req.body] - Optional note
+ * @param {string} [req.body.reason] - Note passed on to the customer
+ * @param {Object} req.user - Authenticated user object (vehicle owner or admin)
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Booking statistics or error response
- * 
+ * @returns {Promise<Object>} Approved booking or error response
+ *
  * @example
- * // GET /bookings/stats
- * 
+ * // PUT /bookings/60f7b3b3b3b3b3b3b3b3b3b4/approve
+ *
  * // Success response (200)
  * {
  *   "success": true,
- *   "stats": {
- *     "total": 150,
- *     "active": 25,
- *     "completed": 120,
- *     "cancelled": 5,
- *     "todayBookings": 8,
- *     "thisWeekBookings": 45
- *   }
+ *   "message": "Booking approved successfully",
+ *   "booking": { "_id": "...", "status": "confirmed", "approval": { "decidedAt": "...", ... } }
  * }
+ *
+ * // Error responses
+ * // 400 - Booking is not pending, or the request has expired
+ * // 403 - Not the vehicle owner
+ * // 404 - Booking not found
+ * // 409 - The request was answered or expired while this answer was being made
  */
-const getBookingStats = async (req, res) => {
+const approveBooking = async (req, res) => {
     try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const { booking, status, message } = await loadBookingRequest(req.params.id, req.user);
+        if (!booking) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
 
-        const thisWeek = new Date();
-        thisWeek.setDate(thisWeek.getDate() - 7);
+        // The pending request already holds the slot, so no conflict re-check is needed
+        const approved = await answerBookingRequest(
+            booking, BOOKING_STATUS.CONFIRMED, req.user, req.body && req.body.reason
+        );
+        if (!approved) {
+            return res.status(409).json({
+                success: false,
+                message: 'Booking request was answered or expired in the meantime'
+            });
+        }
 
-        const [
-            total,
-            active,
-            completed,
-            cancelled,
-            todayBookings,
-            thisWeekBookings
-        ] = await Promise.all([
-            Booking.countDocuments(),
-            Booking.countDocuments({ status: 'active' }),
-            Booking.countDocuments({ status: 'completed' }),
-            Booking.countDocuments({ status: 'cancelled' }),
-            Booking.countDocuments({
-                createdAt: { $gte: today },
-                status: 'active'
-            }),
-            Booking.countDocuments({
-                createdAt: { $gte: thisWeek },
-                status: 'active'
-            })
-        ]);
+        await notifyRequestAnswered(approved, 'booking_approved');
 
         res.json({
             success: true,
-            stats: {
-                total,
-                active,
-                completed,
-                cancelled,
-                todayBookings,
-                thisWeekBookings
+            message: 'Booking approved successfully',
+            booking: {
+                _id: approved._id,
+                vehicle: approved.vehicleId,
+                user: approved.userId,
+                pincodes: approved.pincodes,
+                times: approved.times,
+                approval: approved.approval,
+                status: approved.status
             }
         });
 
     } catch (error) {
-        console.error('Get booking stats error:', error);
+        console.error('Approve booking error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -537,116 +2076,90 @@ const getBookingStats = async (req, res) => {
 };
 
 /**
- * Complete a booking
+ * Decline a pending booking request
  * @async
- * @function completeBooking
+ * @function rejectBooking
  * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @route PUT /api/bookings/:id/complete
- * @access Private
- * @description Mark a booking as completed. Only the vehicle owner or admin can complete bookings.
+ * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Booking ID
- * @returns {Object} 200 - Booking completed successfully
- * @returns {Object} 400 - Invalid request or booking cannot be completed
- * @returns {Object} 401 - Unauthorized
- * @returns {Object} 404 - Booking not found
- * @returns {Object} 500 - Internal server error
+ * @param {Object} req.body - Decision
+ * @param {string} req.body.reason - Why the request was declined (shown to the customer)
+ * @param {Object} req.user - Authenticated user object (vehicle owner or admin)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Rejected booking or error response
+ *
  * @example
- * PUT /api/bookings/507f1f77bcf86cd799439011/complete
- * Response:
+ * // PUT /bookings/60f7b3b3b3b3b3b3b3b3b3b4/reject
+ * // Body: { "reason": "Vehicle reserved for a regular customer that day" }
+ *
+ * // Success response (200)
  * {
  *   "success": true,
- *   "message": "Booking completed successfully",
- *   "booking": {
- *     "_id": "507f1f77bcf86cd799439011",
- *     "status": "completed",
- *     "completedAt": "2023-12-01T10:30:00.000Z"
- *   }
+ *   "message": "Booking rejected",
+ *   "booking": { "_id": "...", "status": "rejected", "approval": { "reason": "...", ... } }
  * }
  */
-const completeBooking = async (req, res) => {
+const rejectBooking = async (req, res) => {
     try {
-        const { id } = req.params;
-        const userId = req.user.id;
-        const userRole = req.user.role;
-
-        // Find the booking
-        const booking = await Booking.findById(id)
-            .populate('vehicleId', 'createdBy name')
-            .populate('userId', 'name email');
-
-        if (!booking) {
-            return res.status(404).json({
-                success: false,
-                message: 'Booking not found'
-            });
-        }
-
-        // Check if user can complete this booking
-        const isVehicleOwner = booking.vehicleId.createdBy.toString() === userId;
-        const isBookingOwner = booking.userId._id.toString() === userId;
-        const isAdmin = userRole === 'admin';
-
-        if (!isVehicleOwner && !isBookingOwner && !isAdmin) {
-            return res.status(403).json({
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({
                 success: false,
-                message: 'You are not authorized to complete this booking'
+                message: 'A reason is required to reject a booking'
             });
         }
 
-        // Check if booking can be completed
-        if (booking.status !== 'active') {
-            return res.status(400).json({
+        const { booking, status, message } = await loadBookingRequest(req.params.id, req.user);
+        if (!booking) {
+            return res.status(status).json({
                 success: false,
-                message: `Cannot complete booking with status: ${booking.status}`
+                message
             });
         }
 
-        // Check if booking has started
-        const now = new Date();
-        if (now < booking.times.start) {
-            return res.status(400).json({
+        const rejected = await answerBookingRequest(booking, BOOKING_STATUS.REJECTED, req.user, reason);
+        if (!rejected) {
+            return res.status(409).json({
                 success: false,
-                message: 'Cannot complete booking before it has started'
+                message: 'Booking request was answered or expired in the meantime'
             });
         }
 
-        // Complete the booking
-        booking.status = 'completed';
-        booking.completedAt = now;
-        await booking.save();
-
-        // Create notification for the customer
-        try {
-            if (isVehicleOwner && booking.userId._id.toString() !== userId) {
-                await Notification.createBookingNotification(booking.userId._id, booking._id, {
-                    vehicleId: booking.vehicleId._id,
-                    vehicleName: booking.vehicleId.name,
-                    type: 'booking_completed',
-                    message: `Your booking for vehicle "${booking.vehicleId.name}" has been completed`,
-                    completedAt: now
-                });
-            }
-        } catch (notificationError) {
-            console.error('Failed to create completion notification:', notificationError);
-        }
+        await notifyRequestAnswered(rejected, 'booking_rejected');
 
         res.json({
             success: true,
-            message: 'Booking completed successfully',
+            message: 'Booking rejected',
             booking: {
-                _id: booking._id,
-                status: booking.status,
-                completedAt: booking.completedAt,
-                vehicle: booking.vehicleId,
-                user: booking.userId,
-                pincodes: booking.pincodes,
-                times: booking.times
+                _id: rejected._id,
+                vehicle: rejected.vehicleId,
+                user: rejected.userId,
+                pincodes: rejected.pincodes,
+                times: rejected.times,
+                approval: rejected.approval,
+                status: rejected.status
             }
         });
 
     } catch (error) {
-        console.error('Complete booking error:', error);
+        console.error('Reject booking error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: messages
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -655,11 +2168,99 @@ const completeBooking = async (req, res) => {
     }
 };
 
+/**
+ * Reject booking requests whose approval window has passed and notify both parties
+ * @async
+ * @function expirePendingBookings
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of requests expired
+ * @description Run periodically by the server; requests past their expiry stop holding the slot
+ * even before this runs
+ * @example
+ * const expired = await expirePendingBookings();
+ */
+const expirePendingBookings = async (now = new Date()) => {
+    const expiredRequests = await Booking.find({
+        status: BOOKING_STATUS.PENDING,
+        'approval.expiresAt': { $lte: now }
+    })
+        .populate('vehicleId', 'createdBy name')
+        .populate('userId', 'name email');
+
+    let expiredCount = 0;
+    for (const booking of expiredRequests) {
+        // Conditional update so an answer arriving at the same moment wins
+        const result = await Booking.updateOne(
+            { _id: booking._id, status: BOOKING_STATUS.PENDING },
+            {
+                $set: {
+                    status: BOOKING_STATUS.REJECTED,
+                    'approval.decidedAt': now,
+                    'approval.reason': APPROVAL_EXPIRED_REASON,
+                    'approval.expired': true
+                },
+                $push: {
+                    transitions: {
+                        from: BOOKING_STATUS.PENDING,
+                        to: BOOKING_STATUS.REJECTED,
+                        at: now,
+                        note: APPROVAL_EXPIRED_REASON
+                    }
+                }
+            }
+        );
+        if (result.modifiedCount === 0) {
+            continue;
+        }
+        expiredCount++;
+
+        try {
+            const bookingData = {
+                type: 'booking_expired',
+                vehicleId: booking.vehicleId && booking.vehicleId._id,
+                vehicleName: booking.vehicleId ? booking.vehicleId.name : 'Unknown Vehicle',
+                customerName: booking.userId && booking.userId.name,
+                fromPincode: booking.pincodes.start,
+                toPincode: booking.pincodes.end,
+                startTime: booking.times.start,
+                endTime: booking.times.end,
+                reason: APPROVAL_EXPIRED_REASON
+            };
+            await Notification.createBookingNotification(booking.userId._id, booking._id, bookingData);
+            if (booking.vehicleId) {
+                await Notification.createBookingNotification(booking.vehicleId.createdBy, booking._id, bookingData);
+            }
+        } catch (notificationError) {
+            console.error('Failed to create expiry notification:', notificationError);
+        }
+    }
+
+    return expiredCount;
+};
+
 module.exports = {
+    priceRide,
+    priceRides,
+    getApprovalExpiry,
+    getConflictMessage,
+    buildConflictDetails,
+    evaluateBookingCancellation,
     createBooking,
+    getQuote,
     getUserBookings,
     cancelBooking,
+    getCancellationPreview,
+    rescheduleBooking,
     getAllBookings,
     getBookingStats,
-    completeBooking
+    dispatchBooking,
+    startTransit,
+    deliverBooking,
+    completeBooking,
+    markNoShow,
+    failBooking,
+    getBookingRequests,
+    approveBooking,
+    rejectBooking,
+    expirePendingBookings
 };
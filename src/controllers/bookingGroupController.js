@@ -0,0 +1,708 @@
+/**
+ * Booking Group Controller for FleetLink
+ * @fileoverview Handles split shipments: planning vehicle combinations, booking them together and cancelling them together
+ */
+
+const { Booking, BOOKING_STATUS, canTransition } = require('../models/Booking');
+const { BookingGroup, GROUP_STATUS } = require('../models/BookingGroup');
+const Vehicle = require('../models/Vehicle');
+const User = require('../models/User');
+const { Notification } = require('../models/Notification');
+const { VehicleLock, VehicleLockedError } = require('../models/VehicleLock');
+const Downtime = require('../models/Downtime');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const { estimateRide, calculateEndTime, checkBookingConflict } = require('../utils/rideCalculations');
+const { checkOperatingHours } = require('../utils/operatingHours');
+const { MAX_VEHICLES_PER_GROUP, planSplitShipment } = require('../utils/shipmentSplitting');
+const { checkServiceArea } = require('../utils/serviceArea');
+const { checkCompliance } = require('../utils/compliance');
+const { SUGGESTION_HORIZON_HOURS } = require('../utils/slotSuggestions');
+const { selectBookingsAround } = require('../utils/vehicleSearch');
+const {
+    priceRide,
+    getConflictMessage,
+    buildConflictDetails,
+    evaluateBookingCancellation
+} = require('./bookingController');
+const { offerFreedSlot } = require('./waitlistController');
+
+/**
+ * Pincode format (6 digits)
+ * @constant {RegExp}
+ */
+const PINCODE_REGEX = /^\d{6}$/;
+
+/**
+ * Check whether a vehicle can carry its part of a shipment
+ * @function checkVehicle
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} pincodes - { start, end } route of the shipment
+ * @param {Date} start - Shared start time
+ * @param {Object} schedule - The vehicle's bookings, downtime, held offers and compliance documents, from loadSchedules
+ * @returns {Object} { vehicle, ride, end, available, reason, conflictDetails }
+ */
+const checkVehicle = (vehicle, pincodes, start, schedule) => {
+    const serviceAreaCheck = checkServiceArea(vehicle, [pincodes.start, pincodes.end]);
+    if (!serviceAreaCheck.isWithin) {
+        return { vehicle, available: false, reason: serviceAreaCheck.reason };
+    }
+
+    let ride;
+    try {
+        ride = estimateRide(pincodes.start, pincodes.end, { vehicleType: vehicle.vehicleType });
+    } catch (error) {
+        return { vehicle, available: false, reason: error.message };
+    }
+    const end = calculateEndTime(start, ride.durationHours);
+
+    const operatingCheck = checkOperatingHours(vehicle.operatingHours, start, end);
+    if (!operatingCheck.isWithin) {
+        return { vehicle, ride, end, available: false, reason: operatingCheck.reason };
+    }
+
+    // The vehicle's documents must stay valid until its part of the shipment is delivered
+    const compliance = checkCompliance(schedule.documents, end);
+    if (!compliance.isCompliant) {
+        return { vehicle, ride, end, available: false, reason: `Vehicle cannot be booked: ${compliance.reason}` };
+    }
+
+    const existingBookings = selectBookingsAround(schedule.bookings, start, end);
+    const heldOffers = schedule.heldOffers.filter(offer => offer.times.start < end && offer.times.end > start);
+    const downtimeBlocks = schedule.downtime.filter(block => block.times.start < end && block.times.end > start);
+    const conflictCheck = checkBookingConflict([...existingBookings, ...heldOffers], start, end, downtimeBlocks, {
+        turnaroundMinutes: vehicle.turnaroundMinutes,
+        fromPincode: pincodes.start,
+        toPincode: pincodes.end
+    });
+    if (conflictCheck.hasConflict) {
+        return {
+            vehicle,
+            ride,
+            end,
+            available: false,
+            reason: getConflictMessage(conflictCheck, 'Vehicle is not available for the selected time slot', 'the selected time slot'),
+            conflictDetails: buildConflictDetails(start, end, conflictCheck)
+        };
+    }
+
+    return { vehicle, ride, end, available: true, reason: null };
+};
+
+/**
+ * Load the bookings, downtime, held offers and compliance documents of several vehicles, one query each
+ * @async
+ * @function loadSchedules
+ * @param {Array<Object>} vehicles - Vehicle documents
+ * @param {Date} start - Shared start time
+ * @param {Date} end - Latest end of any vehicle's ride
+ * @param {string} [userId] - Requesting user, whose own waitlist offers do not hold the vehicles against them
+ * @returns {Promise<Map<string, Object>>} { bookings, downtime, heldOffers, documents } keyed by vehicle ID
+ * @description Bookings are loaded a suggestion horizon either side of the ride so the neighbours
+ * that decide turnaround time are there, as in the availability search.
+ */
+const loadSchedules = async (vehicles, start, end, userId) => {
+    const vehicleIds = vehicles.map(vehicle => vehicle._id);
+    const horizonMs = SUGGESTION_HORIZON_HOURS * 60 * 60 * 1000;
+    const [bookingsByVehicle, downtimeBlocks, heldOffers, documentsByVehicle] = await Promise.all([
+        Booking.findActiveBookingsByVehicle(
+            vehicleIds,
+            new Date(start.getTime() - horizonMs),
+            new Date(end.getTime() + horizonMs)
+        ),
+        Downtime.findOverlapping(vehicleIds, start, end),
+        WaitlistEntry.findHeldOffers(vehicleIds, start, end, { excludeUserId: userId }),
+        ComplianceDocument.findByVehicle(vehicleIds)
+    ]);
+
+    const schedules = new Map(vehicleIds.map(vehicleId => [vehicleId.toString(), {
+        bookings: bookingsByVehicle.get(vehicleId.toString()) || [],
+        downtime: [],
+        heldOffers: [],
+        documents: documentsByVehicle.get(vehicleId.toString()) || []
+    }]));
+    for (const block of downtimeBlocks) {
+        schedules.get(block.vehicleId.toString()).downtime.push(block);
+    }
+    for (const offer of heldOffers) {
+        schedules.get(offer.offer.vehicleId.toString()).heldOffers.push(offer);
+    }
+    return schedules;
+};
+
+/**
+ * Check several vehicles for their part of a shipment, loading their schedules together
+ * @async
+ * @function checkVehicles
+ * @param {Array<Object>} vehicles - Vehicle documents
+ * @param {Object} pincodes - { start, end } route of the shipment
+ * @param {Date} start - Shared start time
+ * @param {string} [userId] - Requesting user, passed to loadSchedules
+ * @returns {Promise<Array<Object>>} One checkVehicle result per vehicle, in the same order
+ */
+const checkVehicles = async (vehicles, pincodes, start, userId) => {
+    if (vehicles.length === 0) {
+        return [];
+    }
+
+    // Rides differ by vehicle type, so the schedules cover the longest of them
+    let latestEnd = start;
+    for (const vehicle of vehicles) {
+        try {
+            const { durationHours } = estimateRide(pincodes.start, pincodes.end, { vehicleType: vehicle.vehicleType });
+            const end = calculateEndTime(start, durationHours);
+            latestEnd = end > latestEnd ? end : latestEnd;
+        } catch (error) {
+            // checkVehicle reports the vehicle as unavailable with the reason
+        }
+    }
+
+    const schedules = await loadSchedules(vehicles, start, latestEnd, userId);
+    return vehicles.map(vehicle => checkVehicle(vehicle, pincodes, start, schedules.get(vehicle._id.toString())));
+};
+
+/**
+ * Shape a vehicle check for a response
+ * @function describeCheck
+ * @param {Object} check - Result of checkVehicle
+ * @returns {Object} Vehicle summary with its ride and availability
+ */
+const describeCheck = (check) => ({
+    ...check.vehicle.getSummary(),
+    ride: check.ride
+        ? { durationHours: check.ride.durationHours, distanceKm: check.ride.distanceKm, endTime: check.end }
+        : null,
+    available: check.available,
+    reason: check.reason,
+    conflictDetails: check.conflictDetails
+});
+
+/**
+ * Validate a split shipment request
+ * @function parseGroupRequest
+ * @param {Object} input - Query or body
+ * @returns {Object} { capacity, pincodes, start, vehicleIds } or { status, message } when invalid
+ */
+const parseGroupRequest = (input) => {
+    const { capacityRequired, fromPincode, toPincode, startTime, vehicleIds } = input;
+
+    if (!capacityRequired || !fromPincode || !toPincode || !startTime) {
+        return { status: 400, message: 'All fields are required: capacityRequired, fromPincode, toPincode, startTime' };
+    }
+
+    const capacity = parseInt(capacityRequired, 10);
+    if (isNaN(capacity) || capacity < 1) {
+        return { status: 400, message: 'Capacity must be a positive number' };
+    }
+
+    if (!PINCODE_REGEX.test(fromPincode) || !PINCODE_REGEX.test(toPincode)) {
+        return { status: 400, message: 'Pincodes must be 6 digits' };
+    }
+
+    const start = new Date(startTime);
+    if (isNaN(start.getTime())) {
+        return { status: 400, message: 'Invalid start time format' };
+    }
+
+    if (start <= new Date()) {
+        return { status: 400, message: 'Start time must be in the future' };
+    }
+
+    if (vehicleIds !== undefined && (!Array.isArray(vehicleIds) || vehicleIds.length === 0)) {
+        return { status: 400, message: 'vehicleIds must be a non-empty array' };
+    }
+
+    if (vehicleIds && vehicleIds.length > MAX_VEHICLES_PER_GROUP) {
+        return { status: 400, message: `A shipment can be split across at most ${MAX_VEHICLES_PER_GROUP} vehicles` };
+    }
+
+    return {
+        capacity,
+        pincodes: { start: fromPincode, end: toPincode },
+        start,
+        vehicleIds: vehicleIds ? [...new Set(vehicleIds.map(String))] : null
+    };
+};
+
+/**
+ * Choose and check the vehicles for a split shipment
+ * @async
+ * @function planGroup
+ * @param {Object} request - Result of parseGroupRequest
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} { checks, totalCapacityKg } or { status, message, vehicles } when no plan works
+ * @description Chosen vehicleIds are checked as given. Otherwise every active vehicle that does
+ * not need owner approval is checked, with their schedules loaded in one query per kind, and
+ * planSplitShipment picks among the available ones.
+ * Vehicles in approval mode are left out because a shipment is booked all at once.
+ */
+const planGroup = async ({ capacity, pincodes, start, vehicleIds }, userId) => {
+    if (vehicleIds) {
+        const vehicles = await Vehicle.find({ _id: { $in: vehicleIds } });
+        if (vehicles.length !== vehicleIds.length) {
+            return { status: 404, message: 'Vehicle not found' };
+        }
+
+        if (vehicles.some(vehicle => !vehicle.isActive)) {
+            return { status: 400, message: 'Vehicle is not available for booking' };
+        }
+
+        if (vehicles.some(vehicle => vehicle.requiresApproval)) {
+            return { status: 400, message: 'Vehicles that need owner approval cannot be part of a split shipment' };
+        }
+
+        const totalCapacityKg = vehicles.reduce((sum, vehicle) => sum + vehicle.capacityKg, 0);
+        if (totalCapacityKg < capacity) {
+            return { status: 400, message: `The chosen vehicles cannot carry ${capacity} kg together` };
+        }
+
+        const checks = await checkVehicles(vehicles, pincodes, start, userId);
+        if (checks.some(check => !check.available)) {
+            return {
+                status: 409,
+                message: 'Some of the chosen vehicles are not available',
+                vehicles: checks.map(describeCheck)
+            };
+        }
+
+        return { checks, totalCapacityKg };
+    }
+
+    const candidates = await Vehicle.find({ isActive: true, requiresApproval: { $ne: true } });
+    const checks = await checkVehicles(candidates, pincodes, start, userId);
+
+    const plan = planSplitShipment(
+        checks
+            .filter(check => check.available)
+            .map(check => ({ id: check.vehicle._id.toString(), capacityKg: check.vehicle.capacityKg, check })),
+        capacity
+    );
+    if (!plan) {
+        return { status: 409, message: `No combination of available vehicles can carry ${capacity} kg` };
+    }
+
+    return { checks: plan.vehicles.map(entry => entry.check), totalCapacityKg: plan.totalCapacityKg };
+};
+
+/**
+ * Load a group the current user may manage
+ * @async
+ * @function loadGroup
+ * @param {string} groupId - Group ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { group } or { status, message } when not allowed
+ */
+const loadGroup = async (groupId, user) => {
+    const group = await BookingGroup.findById(groupId);
+    if (!group) {
+        return { status: 404, message: 'Booking group not found' };
+    }
+
+    if (group.userId.toString() !== user.id && user.role !== 'admin') {
+        return { status: 403, message: 'Not authorized to manage this booking group' };
+    }
+
+    return { group };
+};
+
+/**
+ * Send the response for an error thrown by a group handler
+ * @function sendGroupError
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} label - Log label
+ */
+const sendGroupError = (res, error, label) => {
+    if (error instanceof VehicleLockedError) {
+        return res.status(409).json({
+            success: false,
+            message: 'Vehicle is being booked by another request, please retry'
+        });
+    }
+
+    console.error(`${label} error:`, error);
+
+    if (error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid ID'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+/**
+ * Propose vehicles to split a shipment across without booking anything
+ * @async
+ * @function planBookingGroup
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Same fields as createBookingGroup
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Proposed vehicles with their rides and prices
+ *
+ * @example
+ * // GET /booking-groups/plan?capacityRequired=7000&fromPincode=110001&toPincode=400001&startTime=2024-01-15T10:00:00Z
+ *
+ * // Success response (200)
+ * {
+ *   "success": true,
+ *   "plan": {
+ *     "capacityRequired": 7000,
+ *     "totalCapacityKg": 7000,
+ *     "vehicles": [{ "id": "...", "name": "Truck-001", "capacityKg": 5000, "ride": {...}, "price": {...} }],
+ *     "total": 44091.2,
+ *     "currency": "INR"
+ *   }
+ * }
+ *
+ * // Error responses
+ * // 400 - Validation error
+ * // 409 - No combination of available vehicles carries the load
+ */
+const planBookingGroup = async (req, res) => {
+    try {
+        const request = parseGroupRequest(req.query);
+        if (!request.pincodes) {
+            return res.status(request.status).json({
+                success: false,
+                message: request.message
+            });
+        }
+
+        const plan = await planGroup(request, req.user.id);
+        if (!plan.checks) {
+            return res.status(plan.status).json({
+                success: false,
+                message: plan.message,
+                vehicles: plan.vehicles
+            });
+        }
+
+        const vehicles = await Promise.all(plan.checks.map(async (check) => ({
+            ...describeCheck(check),
+            price: await priceRide(check.vehicle, check.ride, request.start)
+        })));
+
+        res.json({
+            success: true,
+            plan: {
+                capacityRequired: request.capacity,
+                totalCapacityKg: plan.totalCapacityKg,
+                vehicles,
+                total: Math.round(vehicles.reduce((sum, vehicle) => sum + vehicle.price.total, 0) * 100) / 100,
+                currency: vehicles[0].price.currency
+            }
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Plan booking group');
+    }
+};
+
+/**
+ * Book a split shipment on several vehicles, all or nothing
+ * @async
+ * @function createBookingGroup
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Shipment data
+ * @param {number} req.body.capacityRequired - Load of the whole shipment in kilograms
+ * @param {string} req.body.fromPincode - Starting location pincode
+ * @param {string} req.body.toPincode - Destination pincode
+ * @param {string} req.body.startTime - Shared start time (ISO string)
+ * @param {Array<string>} [req.body.vehicleIds] - Vehicles to use, e.g. from a plan; chosen automatically when omitted
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Created group and one booking per vehicle
+ * @description Every vehicle is re-checked while holding all of their locks. If any of them is
+ * taken, nothing is booked.
+ *
+ * @example
+ * // POST /booking-groups
+ * // Body: { "capacityRequired": 7000, "fromPincode": "110001", "toPincode": "400001", "startTime": "2024-01-15T10:00:00.000Z" }
+ *
+ * // Success response (201)
+ * {
+ *   "success": true,
+ *   "message": "Booked 2 vehicles for 7000 kg",
+ *   "group": { "id": "...", "vehicleIds": [...], "totalCapacityKg": 7000, "status": "active" },
+ *   "bookings": [{ "id": "...", "vehicleId": "...", "groupId": "...", "status": "confirmed", ... }]
+ * }
+ *
+ * // Error responses
+ * // 400 - Validation error
+ * // 404 - Vehicle not found
+ * // 409 - No combination available, or one of the vehicles was taken meanwhile
+ */
+const createBookingGroup = async (req, res) => {
+    try {
+        const request = parseGroupRequest(req.body);
+        if (!request.pincodes) {
+            return res.status(request.status).json({
+                success: false,
+                message: request.message
+            });
+        }
+
+        const userId = req.user.id;
+        const plan = await planGroup(request, userId);
+        if (!plan.checks) {
+            return res.status(plan.status).json({
+                success: false,
+                message: plan.message,
+                vehicles: plan.vehicles
+            });
+        }
+
+        const vehicles = plan.checks.map(check => check.vehicle);
+
+        const result = await VehicleLock.withLocks(vehicles.map(vehicle => vehicle._id), async () => {
+            const checks = await checkVehicles(vehicles, request.pincodes, request.start, userId);
+            if (checks.some(check => !check.available)) {
+                return { checks, group: null };
+            }
+
+            const group = await BookingGroup.create({
+                userId,
+                vehicleIds: vehicles.map(vehicle => vehicle._id),
+                capacityRequired: request.capacity,
+                totalCapacityKg: plan.totalCapacityKg,
+                pincodes: request.pincodes,
+                times: {
+                    start: request.start,
+                    end: new Date(Math.max(...checks.map(check => check.end.getTime())))
+                }
+            });
+
+            const bookings = [];
+            try {
+                for (const check of checks) {
+                    bookings.push(await Booking.create({
+                        vehicleId: check.vehicle._id,
+                        userId,
+                        pincodes: request.pincodes,
+                        times: { start: request.start, end: check.end },
+                        distanceKm: check.ride.distanceKm,
+                        price: await priceRide(check.vehicle, check.ride, request.start),
+                        groupId: group._id,
+                        status: BOOKING_STATUS.CONFIRMED
+                    }));
+                }
+            } catch (error) {
+                // All or nothing: undo the part of the shipment already booked
+                await Booking.deleteMany({ groupId: group._id });
+                await BookingGroup.deleteOne({ _id: group._id });
+                throw error;
+            }
+
+            return { checks, group, bookings };
+        });
+
+        if (!result.group) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some vehicles of the split shipment are no longer available',
+                vehicles: result.checks.map(describeCheck)
+            });
+        }
+
+        // Notify each vehicle owner (other than the customer) of their part of the shipment
+        try {
+            const customer = await User.findById(userId).select('name email');
+            for (const booking of result.bookings) {
+                const vehicle = vehicles.find(entry => entry._id.equals(booking.vehicleId));
+                if (vehicle.createdBy.toString() === userId) {
+                    continue;
+                }
+                await Notification.createBookingNotification(vehicle.createdBy, booking._id, {
+                    vehicleId: vehicle._id,
+                    vehicleName: vehicle.name,
+                    customerName: customer && customer.name,
+                    customerEmail: customer && customer.email,
+                    fromPincode: booking.pincodes.start,
+                    toPincode: booking.pincodes.end,
+                    startTime: booking.times.start,
+                    endTime: booking.times.end
+                });
+            }
+        } catch (notificationError) {
+            console.error('Failed to create notification:', notificationError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Booked ${result.bookings.length} vehicles for ${request.capacity} kg`,
+            group: result.group.getSummary(),
+            bookings: result.bookings.map(booking => booking.getSummary())
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Create booking group');
+    }
+};
+
+/**
+ * Get the current user's split shipments
+ * @async
+ * @function getUserBookingGroups
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Groups, newest first
+ */
+const getUserBookingGroups = async (req, res) => {
+    try {
+        const groups = await BookingGroup.find({ userId: req.user.id })
+            .populate('vehicleIds', 'name capacityKg tyres')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            groups: groups.map(group => ({
+                ...group.getSummary(),
+                vehicles: group.vehicleIds
+            }))
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Get booking groups');
+    }
+};
+
+/**
+ * Get a split shipment with its bookings
+ * @async
+ * @function getBookingGroup
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Group ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Group and its bookings
+ */
+const getBookingGroup = async (req, res) => {
+    try {
+        const { group, status, message } = await loadGroup(req.params.id, req.user);
+        if (!group) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const bookings = await Booking.find({ groupId: group._id })
+            .populate('vehicleId', 'name capacityKg tyres');
+
+        res.json({
+            success: true,
+            group: group.getSummary(),
+            bookings: bookings.map(booking => ({
+                ...booking.getSummary(),
+                vehicle: booking.vehicleId
+            }))
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Get booking group');
+    }
+};
+
+/**
+ * Cancel every booking of a split shipment together
+ * @async
+ * @function cancelBookingGroup
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Group ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Cancelled count and the total fee
+ * @description The cancellation policy of each vehicle is evaluated first; if any booking can
+ * no longer be cancelled, none of them is.
+ *
+ * @example
+ * // DELETE /booking-groups/60f7b3b3b3b3b3b3b3b3b3b6
+ * // Response: { success: true, message: "Cancelled 2 bookings", cancelledCount: 2, totalFee: 0, currency: "INR" }
+ */
+const cancelBookingGroup = async (req, res) => {
+    try {
+        const { group, status, message } = await loadGroup(req.params.id, req.user);
+        if (!group) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        if (group.status !== GROUP_STATUS.ACTIVE) {
+            return res.status(400).json({
+                success: false,
+                message: `Booking group cannot be cancelled. Current status: ${group.status}`
+            });
+        }
+
+        const bookings = await Booking.find({ groupId: group._id, status: { $ne: BOOKING_STATUS.CANCELLED } });
+
+        const evaluations = [];
+        for (const booking of bookings) {
+            const evaluation = canTransition(booking.status, BOOKING_STATUS.CANCELLED)
+                ? await evaluateBookingCancellation(booking)
+                : { allowed: false, reason: `Booking cannot be cancelled. Current status: ${booking.status}` };
+
+            if (!evaluation.allowed) {
+                return res.status(400).json({
+                    success: false,
+                    message: evaluation.reason
+                });
+            }
+            evaluations.push(evaluation);
+        }
+
+        let totalFee = 0;
+        const now = new Date();
+        for (const [index, booking] of bookings.entries()) {
+            const evaluation = evaluations[index];
+            booking.transitionTo(BOOKING_STATUS.CANCELLED, { by: req.user._id, at: now });
+            booking.cancellation = {
+                cancelledAt: now,
+                cancelledBy: req.user._id,
+                hoursBeforeStart: evaluation.hoursBeforeStart,
+                feePercent: evaluation.feePercent,
+                fee: evaluation.fee,
+                currency: evaluation.currency
+            };
+            await booking.save();
+            totalFee += evaluation.fee;
+
+            try {
+                await offerFreedSlot(booking.vehicleId, booking.times);
+            } catch (waitlistError) {
+                console.error('Failed to offer freed slot to the waitlist:', waitlistError);
+            }
+        }
+
+        group.status = GROUP_STATUS.CANCELLED;
+        group.cancelledAt = now;
+        await group.save();
+
+        res.json({
+            success: true,
+            message: `Cancelled ${bookings.length} bookings`,
+            cancelledCount: bookings.length,
+            totalFee: Math.round(totalFee * 100) / 100,
+            currency: evaluations.length > 0 ? evaluations[0].currency : null
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Cancel booking group');
+    }
+};
+
+module.exports = {
+    planBookingGroup,
+    createBookingGroup,
+    getUserBookingGroups,
+    getBookingGroup,
+    cancelBookingGroup
+};
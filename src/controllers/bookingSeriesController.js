@@ -0,0 +1,853 @@
+/**
+ * Booking Series Controller for FleetLink
+ * @fileoverview Handles recurring booking series: conflict previews, creation, editing and cancellation
+ */
+
+const { Booking, BOOKING_STATUS, SLOT_HOLDING_STATUSES, canTransition } = require('../models/Booking');
+const { BookingSeries, SERIES_STATUS } = require('../models/BookingSeries');
+const Vehicle = require('../models/Vehicle');
+const { Notification } = require('../models/Notification');
+const { VehicleLock, VehicleLockedError } = require('../models/VehicleLock');
+const Downtime = require('../models/Downtime');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const { estimateRide, calculateEndTime, checkBookingConflict } = require('../utils/rideCalculations');
+const { DEFAULT_TIMEZONE, checkOperatingHours } = require('../utils/operatingHours');
+const { normalizeRecurrence, expandRecurrence } = require('../utils/recurrence');
+const { checkServiceArea } = require('../utils/serviceArea');
+const { checkCompliance } = require('../utils/compliance');
+const {
+    priceRides,
+    getApprovalExpiry,
+    getConflictMessage,
+    buildConflictDetails,
+    evaluateBookingCancellation
+} = require('./bookingController');
+const { offerFreedSlot } = require('./waitlistController');
+
+/**
+ * Pincode format (6 digits)
+ * @constant {RegExp}
+ */
+const PINCODE_REGEX = /^\d{6}$/;
+
+/**
+ * Check every occurrence of a series against the vehicle's bookings, downtime, operating hours and documents
+ * @async
+ * @function checkOccurrences
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} pincodes - { start, end } route of every occurrence
+ * @param {Object} ride - Ride estimate from estimateRide
+ * @param {Array<Date>} starts - Occurrence start times in order
+ * @param {Object} [options] - Check options
+ * @param {Array<ObjectId>} [options.excludeBookingIds] - Occurrences of the series that are being moved
+ * @param {ObjectId|string} [options.userId] - Customer booking the series, whose own waitlist offers do not count against them
+ * @returns {Promise<Array<Object>>} Per-occurrence report { index, start, end, available, reason, conflictDetails }
+ * @description Existing bookings, downtime, slots held for waitlisted customers and the vehicle's
+ * compliance documents are loaded once for the whole span. Earlier occurrences count as bookings
+ * for later ones, so the series cannot collide with itself. Occurrences ending after a document
+ * lapses are reported unavailable, so a long series can be booked up to the expiry.
+ */
+const checkOccurrences = async (vehicle, pincodes, ride, starts, options = {}) => {
+    const ends = starts.map(start => calculateEndTime(start, ride.durationHours));
+    const spanStart = starts[0];
+    const spanEnd = ends[ends.length - 1];
+
+    const [existingBookings, downtimeBlocks, heldOffers, documentsByVehicle] = await Promise.all([
+        Booking.findActiveBookingsForVehicle(vehicle._id, spanStart, spanEnd, {
+            includeAdjacent: true,
+            excludeBookingIds: options.excludeBookingIds
+        }),
+        Downtime.findOverlapping(vehicle._id, spanStart, spanEnd),
+        WaitlistEntry.findHeldOffers(vehicle._id, spanStart, spanEnd, { excludeUserId: options.userId }),
+        ComplianceDocument.findByVehicle([vehicle._id])
+    ]);
+    const documents = documentsByVehicle.get(vehicle._id.toString()) || [];
+
+    const scheduled = [...existingBookings, ...heldOffers];
+    return starts.map((start, index) => {
+        const end = ends[index];
+        const report = { index, start, end, available: true, reason: null };
+
+        const operatingCheck = checkOperatingHours(vehicle.operatingHours, start, end);
+        if (!operatingCheck.isWithin) {
+            return { ...report, available: false, reason: operatingCheck.reason };
+        }
+
+        const compliance = checkCompliance(documents, end);
+        if (!compliance.isCompliant) {
+            return { ...report, available: false, reason: `Vehicle cannot be booked: ${compliance.reason}` };
+        }
+
+        const conflictCheck = checkBookingConflict(scheduled, start, end, downtimeBlocks, {
+            turnaroundMinutes: vehicle.turnaroundMinutes,
+            fromPincode: pincodes.start,
+            toPincode: pincodes.end
+        });
+        if (conflictCheck.hasConflict) {
+            return {
+                ...report,
+                available: false,
+                reason: getConflictMessage(conflictCheck, 'Vehicle is not available for this occurrence', 'this occurrence'),
+                conflictDetails: buildConflictDetails(start, end, conflictCheck)
+            };
+        }
+
+        scheduled.push({ times: { start, end }, pincodes });
+        return report;
+    });
+};
+
+/**
+ * Validate a series request and expand its recurrence
+ * @async
+ * @function resolveSeriesRequest
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { vehicle, pincodes, ride, recurrence, timezone, starts } or { status, message } when invalid
+ */
+const resolveSeriesRequest = async (body) => {
+    const { vehicleId, fromPincode, toPincode, startTime, recurrence: recurrenceInput } = body;
+
+    if (!vehicleId || !fromPincode || !toPincode || !startTime || !recurrenceInput) {
+        return { status: 400, message: 'All fields are required: vehicleId, fromPincode, toPincode, startTime, recurrence' };
+    }
+
+    if (!PINCODE_REGEX.test(fromPincode) || !PINCODE_REGEX.test(toPincode)) {
+        return { status: 400, message: 'Pincodes must be 6 digits' };
+    }
+
+    const firstStart = new Date(startTime);
+    if (isNaN(firstStart.getTime())) {
+        return { status: 400, message: 'Invalid start time format' };
+    }
+
+    if (firstStart <= new Date()) {
+        return { status: 400, message: 'Start time must be in the future' };
+    }
+
+    let recurrence;
+    try {
+        recurrence = normalizeRecurrence(recurrenceInput);
+    } catch (error) {
+        return { status: 400, message: error.message };
+    }
+
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+        return { status: 404, message: 'Vehicle not found' };
+    }
+
+    if (!vehicle.isActive) {
+        return { status: 400, message: 'Vehicle is not available for booking' };
+    }
+
+    const serviceAreaCheck = checkServiceArea(vehicle, [fromPincode, toPincode]);
+    if (!serviceAreaCheck.isWithin) {
+        return { status: 400, message: serviceAreaCheck.reason };
+    }
+
+    const timezone = (vehicle.operatingHours && vehicle.operatingHours.timezone) || DEFAULT_TIMEZONE;
+
+    let ride;
+    let starts;
+    try {
+        ride = estimateRide(fromPincode, toPincode, { vehicleType: vehicle.vehicleType });
+        starts = expandRecurrence(recurrence, firstStart, timezone);
+    } catch (error) {
+        return { status: 400, message: error.message };
+    }
+
+    if (starts.length === 0) {
+        return { status: 400, message: 'Recurrence does not produce any occurrences' };
+    }
+
+    return {
+        vehicle,
+        pincodes: { start: fromPincode, end: toPincode },
+        firstStart,
+        ride,
+        recurrence,
+        timezone,
+        starts
+    };
+};
+
+/**
+ * Load a series the current user may manage
+ * @async
+ * @function loadSeries
+ * @param {string} seriesId - Series ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { series } or { status, message } when not allowed
+ */
+const loadSeries = async (seriesId, user) => {
+    const series = await BookingSeries.findById(seriesId);
+    if (!series) {
+        return { status: 404, message: 'Booking series not found' };
+    }
+
+    if (series.userId.toString() !== user.id && user.role !== 'admin') {
+        return { status: 403, message: 'Not authorized to manage this booking series' };
+    }
+
+    return { series };
+};
+
+/**
+ * Find the occurrences of a series that have not started and still hold their slot
+ * @function findUpcomingOccurrences
+ * @param {ObjectId} seriesId - Series ID
+ * @param {Array<string>} [statuses] - Statuses to include; defaults to pending and slot-holding ones
+ * @returns {Promise<Array>} Upcoming occurrences, soonest first
+ * @example
+ * // Only the occurrences an edit may move, as for rescheduling a single booking
+ * const movable = await findUpcomingOccurrences(series._id, [BOOKING_STATUS.CONFIRMED]);
+ */
+const findUpcomingOccurrences = (seriesId, statuses = [BOOKING_STATUS.PENDING, ...SLOT_HOLDING_STATUSES]) => Booking.find({
+    seriesId,
+    status: { $in: statuses },
+    'times.start': { $gt: new Date() }
+}).sort({ 'times.start': 1 });
+
+/**
+ * Send a series notification to the vehicle owner unless they booked it themselves
+ * @async
+ * @function notifyVehicleOwner
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} series - Series document
+ * @param {ObjectId} bookingId - Occurrence the notification links to
+ * @param {string} userId - ID of the user acting on the series
+ * @param {Object} details - Notification type, message and counts
+ */
+const notifyVehicleOwner = async (vehicle, series, bookingId, userId, details) => {
+    if (!vehicle || vehicle.createdBy.toString() === userId) {
+        return;
+    }
+
+    try {
+        await Notification.createBookingNotification(vehicle.createdBy, bookingId, {
+            vehicleId: vehicle._id,
+            vehicleName: vehicle.name,
+            fromPincode: series.pincodes.start,
+            toPincode: series.pincodes.end,
+            seriesId: series._id,
+            ...details
+        });
+    } catch (notificationError) {
+        console.error('Failed to create series notification:', notificationError);
+    }
+};
+
+/**
+ * Send the response for an error thrown by a series handler
+ * @function sendSeriesError
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} label - Log label
+ */
+const sendSeriesError = (res, error, label) => {
+    if (error instanceof VehicleLockedError) {
+        return res.status(409).json({
+            success: false,
+            message: 'Vehicle is being booked by another request, please retry'
+        });
+    }
+
+    console.error(`${label} error:`, error);
+
+    if (error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid booking series ID'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+/**
+ * Check every occurrence of a recurring series without booking anything
+ * @async
+ * @function previewBookingSeries
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Same body as createBookingSeries
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Per-occurrence availability report
+ *
+ * @example
+ * // POST /booking-series/preview
+ * // Body: { "vehicleId": "...", "fromPincode": "110001", "toPincode": "110025",
+ * //         "startTime": "2024-01-15T02:30:00.000Z",
+ * //         "recurrence": { "rule": "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=10" } }
+ *
+ * // Success response (200)
+ * {
+ *   "success": true,
+ *   "estimatedRideDurationHours": 1.5,
+ *   "availableCount": 9,
+ *   "occurrences": [
+ *     { "index": 0, "start": "...", "end": "...", "available": true, "reason": null },
+ *     { "index": 3, "start": "...", "end": "...", "available": false,
+ *       "reason": "Vehicle is not available for this occurrence", "conflictDetails": {...} }
+ *   ]
+ * }
+ */
+const previewBookingSeries = async (req, res) => {
+    try {
+        const request = await resolveSeriesRequest(req.body);
+        if (!request.vehicle) {
+            return res.status(request.status).json({
+                success: false,
+                message: request.message
+            });
+        }
+
+        const { vehicle, pincodes, ride, starts } = request;
+        const occurrences = await checkOccurrences(vehicle, pincodes, ride, starts, { userId: req.user.id });
+
+        res.json({
+            success: true,
+            estimatedRideDurationHours: ride.durationHours,
+            availableCount: occurrences.filter(occurrence => occurrence.available).length,
+            occurrences
+        });
+
+    } catch (error) {
+        sendSeriesError(res, error, 'Preview booking series');
+    }
+};
+
+/**
+ * Book a recurring series, one booking per occurrence
+ * @async
+ * @function createBookingSeries
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Series data
+ * @param {string} req.body.vehicleId - Vehicle ID to book
+ * @param {string} req.body.fromPincode - Starting location pincode
+ * @param {string} req.body.toPincode - Destination pincode
+ * @param {string} req.body.startTime - Start of the first occurrence (ISO string); sets the time of day
+ * @param {Object} req.body.recurrence - { frequency, interval, byWeekday, count, until } or { rule }
+ * @param {boolean} [req.body.skipUnavailable=false] - Book the available occurrences when some conflict
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Created series and per-occurrence report
+ * @description Every occurrence is checked before anything is booked. By default one unavailable
+ * occurrence refuses the whole series with 409 and the report. The occurrences are written in one
+ * insert; if it fails, the series and any occurrences already written are removed.
+ *
+ * @example
+ * // POST /booking-series
+ * // Body: { "vehicleId": "...", "fromPincode": "110001", "toPincode": "110025",
+ * //         "startTime": "2024-01-15T02:30:00.000Z",
+ * //         "recurrence": { "frequency": "weekly", "byWeekday": ["MO", "WE", "FR"], "until": "2024-03-31" } }
+ *
+ * // Success response (201)
+ * {
+ *   "success": true,
+ *   "message": "Booked 33 occurrences",
+ *   "series": { "id": "...", "recurrence": {...}, "occurrenceCount": 33, "status": "active" },
+ *   "occurrences": [{ "index": 0, "start": "...", "end": "...", "available": true, "bookingId": "..." }]
+ * }
+ *
+ * // Error responses
+ * // 400 - Validation error or invalid recurrence
+ * // 404 - Vehicle not found
+ * // 409 - Some occurrences conflict (report included), or the vehicle is locked by another request
+ */
+const createBookingSeries = async (req, res) => {
+    try {
+        const request = await resolveSeriesRequest(req.body);
+        if (!request.vehicle) {
+            return res.status(request.status).json({
+                success: false,
+                message: request.message
+            });
+        }
+
+        const { vehicle, pincodes, firstStart, ride, recurrence, timezone, starts } = request;
+        const userId = req.user.id;
+        const skipUnavailable = req.body.skipUnavailable === true;
+        const needsApproval = vehicle.requiresApproval && vehicle.createdBy.toString() !== userId;
+
+        // Price every occurrence up front so the lock is only held for the check and the writes
+        const prices = await priceRides(vehicle, ride, starts);
+
+        // Check and book every occurrence while holding the vehicle lock
+        const result = await VehicleLock.withLock(vehicle._id, async () => {
+            const occurrences = await checkOccurrences(vehicle, pincodes, ride, starts, { userId });
+            const available = occurrences.filter(occurrence => occurrence.available);
+
+            if (available.length === 0 || (available.length < occurrences.length && !skipUnavailable)) {
+                return { occurrences, series: null };
+            }
+
+            const series = await BookingSeries.create({
+                userId,
+                vehicleId: vehicle._id,
+                pincodes,
+                firstStart,
+                timezone,
+                recurrence,
+                occurrenceCount: available.length
+            });
+
+            let bookings;
+            try {
+                bookings = await Booking.insertMany(available.map(occurrence => ({
+                    vehicleId: vehicle._id,
+                    userId,
+                    pincodes,
+                    times: { start: occurrence.start, end: occurrence.end },
+                    distanceKm: ride.distanceKm,
+                    price: prices[occurrence.index],
+                    seriesId: series._id,
+                    occurrenceIndex: occurrence.index,
+                    status: needsApproval ? BOOKING_STATUS.PENDING : BOOKING_STATUS.CONFIRMED,
+                    ...(needsApproval && {
+                        approval: { expiresAt: getApprovalExpiry(vehicle, occurrence.start) }
+                    })
+                })));
+            } catch (error) {
+                // All or nothing: undo the occurrences already booked and the series itself
+                await Booking.deleteMany({ seriesId: series._id });
+                await BookingSeries.deleteOne({ _id: series._id });
+                throw error;
+            }
+
+            bookings.forEach((booking, index) => {
+                available[index].bookingId = booking._id;
+            });
+            return { occurrences, series };
+        });
+
+        const { occurrences, series } = result;
+        if (!series) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some occurrences of the series are not available',
+                occurrences
+            });
+        }
+
+        const booked = occurrences.filter(occurrence => occurrence.bookingId);
+        await notifyVehicleOwner(vehicle, series, booked[0].bookingId, userId, {
+            type: 'booking_series_created',
+            customerName: req.user.name,
+            customerEmail: req.user.email,
+            startTime: booked[0].start,
+            endTime: booked[booked.length - 1].end,
+            occurrences: booked.length
+        });
+
+        res.status(201).json({
+            success: true,
+            message: needsApproval
+                ? `Requested ${booked.length} occurrences from the vehicle owner`
+                : `Booked ${booked.length} occurrences`,
+            series: series.getSummary(),
+            occurrences
+        });
+
+    } catch (error) {
+        sendSeriesError(res, error, 'Create booking series');
+    }
+};
+
+/**
+ * Get the current user's booking series
+ * @async
+ * @function getUserBookingSeries
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Series, newest first, with their upcoming occurrence counts
+ *
+ * @example
+ * // GET /booking-series
+ * // Response: { success: true, series: [{ id, vehicle, recurrence, occurrenceCount, upcomingCount, nextStart, status }] }
+ */
+const getUserBookingSeries = async (req, res) => {
+    try {
+        const seriesList = await BookingSeries.find({ userId: req.user.id })
+            .populate('vehicleId', 'name capacityKg tyres')
+            .sort({ createdAt: -1 });
+
+        const series = await Promise.all(seriesList.map(async (entry) => {
+            const upcoming = await findUpcomingOccurrences(entry._id);
+            return {
+                ...entry.getSummary(),
+                vehicle: entry.vehicleId,
+                upcomingCount: upcoming.length,
+                nextStart: upcoming.length > 0 ? upcoming[0].times.start : null
+            };
+        }));
+
+        res.json({
+            success: true,
+            series
+        });
+
+    } catch (error) {
+        sendSeriesError(res, error, 'Get booking series');
+    }
+};
+
+/**
+ * Get a booking series with all of its occurrences
+ * @async
+ * @function getBookingSeries
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Series ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Series and its occurrences in order
+ *
+ * @example
+ * // GET /booking-series/60f7b3b3b3b3b3b3b3b3b3b5
+ * // Response: { success: true, series: {...}, occurrences: [{ _id, occurrenceIndex, times, status, ... }] }
+ */
+const getBookingSeries = async (req, res) => {
+    try {
+        const { series, status, message } = await loadSeries(req.params.id, req.user);
+        if (!series) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const occurrences = await Booking.find({ seriesId: series._id }).sort({ 'times.start': 1 });
+
+        res.json({
+            success: true,
+            series: series.getSummary(),
+            occurrences: occurrences.map(booking => booking.getSummary())
+        });
+
+    } catch (error) {
+        sendSeriesError(res, error, 'Get booking series');
+    }
+};
+
+/**
+ * Edit every upcoming occurrence of a series
+ * @async
+ * @function updateBookingSeries
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Series ID
+ * @param {Object} req.body - Changes (at least one)
+ * @param {string} [req.body.startTime] - New start of the next occurrence; later ones move by the same amount
+ * @param {string} [req.body.fromPincode] - New starting location pincode
+ * @param {string} [req.body.toPincode] - New destination pincode
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Updated series and per-occurrence report
+ * @description Only confirmed occurrences that have not started move; pending, dispatched and
+ * in-transit ones keep their times and are checked against like any other booking. The moved
+ * occurrences are re-checked first; if any would conflict nothing is changed and 409 returns the
+ * report. The occurrences are written together and put back if one changed status meanwhile or a
+ * write fails. Single occurrences are edited or cancelled through
+ * PUT/DELETE /api/bookings/:id.
+ *
+ * @example
+ * // PUT /booking-series/60f7b3b3b3b3b3b3b3b3b3b5
+ * // Body: { "startTime": "2024-01-22T04:00:00.000Z" }
+ * // Response: { success: true, message: "Updated 8 occurrences", series: {...}, occurrences: [...] }
+ */
+const updateBookingSeries = async (req, res) => {
+    try {
+        const { startTime, fromPincode, toPincode } = req.body;
+
+        if (!startTime && !fromPincode && !toPincode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide at least one of: startTime, fromPincode, toPincode'
+            });
+        }
+
+        if ((fromPincode && !PINCODE_REGEX.test(fromPincode)) || (toPincode && !PINCODE_REGEX.test(toPincode))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Pincodes must be 6 digits'
+            });
+        }
+
+        const { series, status, message } = await loadSeries(req.params.id, req.user);
+        if (!series) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        if (series.status !== SERIES_STATUS.ACTIVE) {
+            return res.status(400).json({
+                success: false,
+                message: `Booking series cannot be edited. Current status: ${series.status}`
+            });
+        }
+
+        // Like rescheduling a single booking, only confirmed occurrences that have not started move
+        const upcoming = await findUpcomingOccurrences(series._id, [BOOKING_STATUS.CONFIRMED]);
+        if (upcoming.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking series has no upcoming occurrences that can be moved'
+            });
+        }
+
+        const nextStart = startTime ? new Date(startTime) : upcoming[0].times.start;
+        if (isNaN(nextStart.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start time format'
+            });
+        }
+
+        if (nextStart <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start time must be in the future'
+            });
+        }
+
+        const vehicle = await Vehicle.findById(series.vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const pincodes = {
+            start: fromPincode || series.pincodes.start,
+            end: toPincode || series.pincodes.end
+        };
+
+        const serviceAreaCheck = checkServiceArea(vehicle, [pincodes.start, pincodes.end]);
+        if (!serviceAreaCheck.isWithin) {
+            return res.status(400).json({
+                success: false,
+                message: serviceAreaCheck.reason
+            });
+        }
+
+        let ride;
+        try {
+            ride = estimateRide(pincodes.start, pincodes.end, { vehicleType: vehicle.vehicleType });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const shiftMs = nextStart.getTime() - upcoming[0].times.start.getTime();
+        const starts = upcoming.map(booking => new Date(booking.times.start.getTime() + shiftMs));
+
+        // Price every occurrence up front so the lock is only held for the check and the writes
+        const prices = await priceRides(vehicle, ride, starts);
+
+        const occurrences = await VehicleLock.withLock(vehicle._id, async () => {
+            const report = await checkOccurrences(vehicle, pincodes, ride, starts, {
+                excludeBookingIds: upcoming.map(booking => booking._id),
+                userId: series.userId
+            });
+            if (report.some(occurrence => !occurrence.available)) {
+                return report;
+            }
+
+            // Only move occurrences still confirmed; put every one back if any write fails
+            const moves = upcoming.map((booking, index) => ({
+                updateOne: {
+                    filter: { _id: booking._id, status: BOOKING_STATUS.CONFIRMED },
+                    update: {
+                        $set: {
+                            pincodes,
+                            times: { start: report[index].start, end: report[index].end },
+                            distanceKm: ride.distanceKm,
+                            price: prices[index]
+                        }
+                    }
+                }
+            }));
+            const restores = upcoming.map((booking) => {
+                const original = booking.toObject();
+                return {
+                    updateOne: {
+                        filter: { _id: booking._id },
+                        update: {
+                            $set: {
+                                pincodes: original.pincodes,
+                                times: original.times,
+                                distanceKm: original.distanceKm,
+                                price: original.price
+                            }
+                        }
+                    }
+                };
+            });
+
+            try {
+                const result = await Booking.bulkWrite(moves);
+                if (result.matchedCount < upcoming.length) {
+                    await Booking.bulkWrite(restores);
+                    return null;
+                }
+
+                series.pincodes = pincodes;
+                await series.save();
+            } catch (error) {
+                await Booking.bulkWrite(restores);
+                throw error;
+            }
+
+            upcoming.forEach((booking, index) => {
+                report[index].bookingId = booking._id;
+            });
+            return report;
+        });
+
+        if (!occurrences) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some occurrences changed status while the series was being edited; please try again'
+            });
+        }
+
+        if (occurrences.some(occurrence => !occurrence.available)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some occurrences cannot be moved',
+                occurrences
+            });
+        }
+
+        await notifyVehicleOwner(vehicle, series, upcoming[0]._id, req.user.id, {
+            type: 'booking_rescheduled',
+            message: `The recurring booking for your vehicle "${vehicle.name}" was changed: ${upcoming.length} upcoming occurrences now start ${starts[0].toISOString()}`,
+            startTime: occurrences[0].start,
+            endTime: occurrences[occurrences.length - 1].end,
+            occurrences: upcoming.length
+        });
+
+        res.json({
+            success: true,
+            message: `Updated ${upcoming.length} occurrences`,
+            series: series.getSummary(),
+            occurrences
+        });
+
+    } catch (error) {
+        sendSeriesError(res, error, 'Update booking series');
+    }
+};
+
+/**
+ * Cancel every upcoming occurrence of a series
+ * @async
+ * @function cancelBookingSeries
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Series ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Cancelled count, total fee and occurrences the policy kept
+ * @description Each occurrence goes through the vehicle's cancellation policy. Occurrences inside
+ * the no-cancellation window stay booked and are listed in `kept`.
+ *
+ * @example
+ * // DELETE /booking-series/60f7b3b3b3b3b3b3b3b3b3b5
+ * // Response: { success: true, message: "Cancelled 9 occurrences", cancelledCount: 9, totalFee: 0,
+ * //             kept: [{ bookingId: "...", start: "...", reason: "Bookings cannot be cancelled within 2 hours of the start time" }] }
+ */
+const cancelBookingSeries = async (req, res) => {
+    try {
+        const { series, status, message } = await loadSeries(req.params.id, req.user);
+        if (!series) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        if (series.status !== SERIES_STATUS.ACTIVE) {
+            return res.status(400).json({
+                success: false,
+                message: `Booking series cannot be cancelled. Current status: ${series.status}`
+            });
+        }
+
+        const upcoming = await findUpcomingOccurrences(series._id);
+        const kept = [];
+        let cancelledCount = 0;
+        let totalFee = 0;
+        let currency = null;
+
+        for (const booking of upcoming) {
+            const evaluation = canTransition(booking.status, BOOKING_STATUS.CANCELLED)
+                ? await evaluateBookingCancellation(booking)
+                : { allowed: false, reason: `Booking cannot be cancelled. Current status: ${booking.status}` };
+
+            if (!evaluation.allowed) {
+                kept.push({ bookingId: booking._id, start: booking.times.start, reason: evaluation.reason });
+                continue;
+            }
+
+            booking.transitionTo(BOOKING_STATUS.CANCELLED, { by: req.user._id });
+            booking.cancellation = {
+                cancelledAt: new Date(),
+                cancelledBy: req.user._id,
+                hoursBeforeStart: evaluation.hoursBeforeStart,
+                feePercent: evaluation.feePercent,
+                fee: evaluation.fee,
+                currency: evaluation.currency
+            };
+            await booking.save();
+
+            try {
+                await offerFreedSlot(booking.vehicleId, booking.times);
+            } catch (waitlistError) {
+                console.error('Failed to offer freed slot to the waitlist:', waitlistError);
+            }
+
+            cancelledCount++;
+            totalFee += evaluation.fee;
+            currency = currency || evaluation.currency;
+        }
+
+        series.status = SERIES_STATUS.CANCELLED;
+        series.cancelledAt = new Date();
+        await series.save();
+
+        if (cancelledCount > 0) {
+            const vehicle = await Vehicle.findById(series.vehicleId);
+            await notifyVehicleOwner(vehicle, series, upcoming[0]._id, req.user.id, {
+                type: 'booking_series_cancelled',
+                occurrences: cancelledCount
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Cancelled ${cancelledCount} occurrences`,
+            cancelledCount,
+            totalFee: Math.round(totalFee * 100) / 100,
+            currency,
+            kept
+        });
+
+    } catch (error) {
+        sendSeriesError(res, error, 'Cancel booking series');
+    }
+};
+
+module.exports = {
+    previewBookingSeries,
+    createBookingSeries,
+    getUserBookingSeries,
+    getBookingSeries,
+    updateBookingSeries,
+    cancelBookingSeries
+};
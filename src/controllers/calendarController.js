@@ -0,0 +1,218 @@
+/**
+ * Calendar Controller for FleetLink
+ * @fileoverview Serves a vehicle's busy intervals and free gaps for the availability calendar, and
+ * the admin fleet timeline
+ */
+
+const Vehicle = require('../models/Vehicle');
+const User = require('../models/User');
+const Downtime = require('../models/Downtime');
+const { Booking, BOOKING_STATUS, slotHoldingCondition } = require('../models/Booking');
+const { parseCalendarRange, findFreeGaps } = require('../utils/vehicleCalendar');
+const { parseTimelineFilters, buildTimelineRows } = require('../utils/fleetTimeline');
+
+/**
+ * Statuses the fleet timeline draws unless asked otherwise: everything except bookings that never ran
+ * @constant {Array<string>}
+ */
+const TIMELINE_DEFAULT_STATUSES = Object.values(BOOKING_STATUS).filter(
+    status => status !== BOOKING_STATUS.CANCELLED && status !== BOOKING_STATUS.REJECTED
+);
+
+/**
+ * Get a vehicle's schedule in a range
+ * @async
+ * @function getVehicleCalendar
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Lists the bookings (confirmed, in progress and unexpired pending requests) and downtime
+ * blocks overlapping the range as busy intervals, and the time between them as free gaps. Free gaps
+ * keep the vehicle's turnaround buffer clear around bookings and never start in the past. Owners
+ * and admins also see booking IDs and statuses and downtime reasons; other users only see when the
+ * vehicle is busy.
+ * @example
+ * // GET /api/vehicles/:id/calendar?from=2024-01-15T00:00:00Z&to=2024-01-22T00:00:00Z
+ * // Response: { success: true, vehicle: {...}, range: { from, to },
+ * //   busy: [{ type: 'booking', start, end }, { type: 'downtime', start, end }],
+ * //   free: [{ start, end, durationHours }] }
+ */
+const getVehicleCalendar = async (req, res) => {
+    try {
+        const range = parseCalendarRange(req.query.from, req.query.to);
+        if (range.error) {
+            return res.status(400).json({
+                success: false,
+                message: range.error
+            });
+        }
+
+        const vehicle = await Vehicle.findById(req.params.id);
+        if (!vehicle || !vehicle.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const isManager = vehicle.createdBy.toString() === req.user.id || req.user.role === 'admin';
+
+        // Bookings just outside the range still keep their turnaround buffer inside it
+        const bufferMs = (vehicle.turnaroundMinutes || 0) * 60 * 1000;
+        const [bookings, downtime] = await Promise.all([
+            Booking.find({
+                vehicleId: vehicle._id,
+                ...slotHoldingCondition(),
+                'times.start': { $lt: new Date(range.to.getTime() + bufferMs) },
+                'times.end': { $gt: new Date(range.from.getTime() - bufferMs) }
+            }).sort({ 'times.start': 1 }),
+            Downtime.findOverlapping(vehicle._id, range.from, range.to)
+        ]);
+
+        const busy = [
+            ...bookings.map(booking => ({
+                type: 'booking',
+                start: booking.times.start,
+                end: booking.times.end,
+                ...(isManager && { id: booking._id.toString(), status: booking.status })
+            })),
+            ...downtime.map(block => ({
+                type: 'downtime',
+                start: block.times.start,
+                end: block.times.end,
+                ...(isManager && { id: block._id.toString(), reason: block.reason })
+            }))
+        ].sort((a, b) => a.start - b.start);
+
+        res.status(200).json({
+            success: true,
+            vehicle: {
+                id: vehicle._id.toString(),
+                name: vehicle.name,
+                capacityKg: vehicle.capacityKg,
+                turnaroundMinutes: vehicle.turnaroundMinutes || 0,
+                operatingHours: vehicle.operatingHours
+            },
+            range,
+            busy,
+            free: findFreeGaps(busy, range.from, range.to, {
+                turnaroundMinutes: vehicle.turnaroundMinutes,
+                now: new Date()
+            })
+        });
+    } catch (error) {
+        console.error('Get vehicle calendar error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get vehicle calendar'
+        });
+    }
+};
+
+/**
+ * Get the fleet timeline (Admin only)
+ * @async
+ * @function getFleetTimeline
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - Range start (ISO string), defaults to now
+ * @param {string} [req.query.to] - Range end (ISO string), defaults to 7 days after the start, at most 62 days
+ * @param {string} [req.query.status] - Comma-separated booking statuses, defaults to all but cancelled and rejected
+ * @param {string} [req.query.ownerId] - Only this owner's vehicles
+ * @param {number} [req.query.page=1] - Page of vehicle rows
+ * @param {number} [req.query.limit=25] - Vehicle rows per page, at most 100
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} One row per active vehicle with its bookings and downtime in the range
+ * @description Rows are sorted by vehicle name and include vehicles with nothing booked, so there is
+ * always a row to read free time from. Bookings marked canReschedule can be moved with
+ * PUT /api/bookings/:id, which re-checks conflicts. The owners list covers everyone with an active
+ * vehicle, for the owner filter.
+ * @example
+ * // GET /api/bookings/timeline?from=2024-01-15T00:00:00Z&to=2024-01-22T00:00:00Z&status=confirmed
+ * // Response: { success: true, range: { from, to }, statuses: ['confirmed'],
+ * //   rows: [{ vehicle: { id, name, owner }, bookings: [{ id, status, start, end, canReschedule }], downtime: [...] }],
+ * //   owners: [{ id, name, email }], pagination: {...} }
+ */
+const getFleetTimeline = async (req, res) => {
+    try {
+        const { filters, error } = parseTimelineFilters(req.query, {
+            allowed: Object.values(BOOKING_STATUS),
+            defaults: TIMELINE_DEFAULT_STATUSES
+        });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const vehicleQuery = { isActive: true };
+        if (filters.ownerId) {
+            vehicleQuery.createdBy = filters.ownerId;
+        }
+
+        const [vehicles, totalVehicles, ownerIds] = await Promise.all([
+            Vehicle.find(vehicleQuery)
+                .populate('createdBy', 'name')
+                .sort({ name: 1, _id: 1 })
+                .skip((filters.page - 1) * filters.limit)
+                .limit(filters.limit),
+            Vehicle.countDocuments(vehicleQuery),
+            Vehicle.distinct('createdBy', { isActive: true })
+        ]);
+
+        const vehicleIds = vehicles.map(vehicle => vehicle._id);
+        const [bookings, downtime, owners] = await Promise.all([
+            Booking.find({
+                vehicleId: { $in: vehicleIds },
+                status: { $in: filters.statuses },
+                'times.start': { $lt: filters.to },
+                'times.end': { $gt: filters.from }
+            })
+                .populate('userId', 'name email')
+                .sort({ 'times.start': 1 }),
+            Downtime.findOverlapping(vehicleIds, filters.from, filters.to),
+            User.find({ _id: { $in: ownerIds } }).select('name email').sort({ name: 1 })
+        ]);
+
+        const totalPages = Math.ceil(totalVehicles / filters.limit);
+
+        res.status(200).json({
+            success: true,
+            range: { from: filters.from, to: filters.to },
+            statuses: filters.statuses,
+            rows: buildTimelineRows(vehicles, bookings, downtime),
+            owners: owners.map(owner => ({
+                id: owner._id.toString(),
+                name: owner.name,
+                email: owner.email
+            })),
+            pagination: {
+                currentPage: filters.page,
+                totalPages,
+                totalItems: totalVehicles,
+                itemsPerPage: filters.limit,
+                hasNextPage: filters.page < totalPages,
+                hasPrevPage: filters.page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get fleet timeline error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get fleet timeline'
+        });
+    }
+};
+
+module.exports = {
+    getVehicleCalendar,
+    getFleetTimeline
+};
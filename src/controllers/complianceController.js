@@ -0,0 +1,522 @@
+/**
+ * Compliance Controller for FleetLink
+ * @fileoverview Handles vehicle compliance documents, uploaded copies and expiry warnings
+ */
+
+const Vehicle = require('../models/Vehicle');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const { Notification } = require('../models/Notification');
+const {
+    DOCUMENT_TYPES,
+    DOCUMENT_LABELS,
+    EXPIRY_WARNING_DAYS,
+    isDocumentType,
+    checkCompliance,
+    getDueWarning
+} = require('../utils/compliance');
+const { decodeUpload, saveUpload, resolveStoredFile, removeStoredFile } = require('../utils/documentStorage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a vehicle the current user may manage
+ * @async
+ * @function loadManagedVehicle
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { vehicle } or { status, message } when not allowed
+ */
+const loadManagedVehicle = async (vehicleId, user) => {
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+        return { status: 404, message: 'Vehicle not found' };
+    }
+
+    const isOwner = vehicle.createdBy.toString() === user.id;
+    if (!isOwner && user.role !== 'admin') {
+        return { status: 403, message: 'You can only manage compliance documents for your own vehicles' };
+    }
+
+    return { vehicle };
+};
+
+/**
+ * Parse an optional date field from a request body
+ * @function parseOptionalDate
+ * @param {*} value - Date string or empty
+ * @returns {Object} { date } (null when empty) or { invalid: true }
+ */
+const parseOptionalDate = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { date: null };
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? { invalid: true } : { date };
+};
+
+/**
+ * Build the error response for a failed document write
+ * @function sendWriteError
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown while saving
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @param {string} castMessage - Message for malformed IDs
+ * @returns {Object} Express response
+ */
+const sendWriteError = (res, error, fallbackMessage, castMessage) => {
+    if (error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: castMessage
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: messages
+        });
+    }
+
+    if (error.message === 'Expiry date must be after the issue date') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Get a vehicle's compliance documents and current status (Owner or Admin)
+ * @async
+ * @function getVehicleCompliance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Lists every document on file, newest expiry first within each type, and
+ * whether the vehicle is compliant right now
+ * @example
+ * // GET /api/vehicles/:id/compliance
+ * // Response: { success: true, documents: [...], status: { isCompliant: true, reason: null, expired: [], missing: [] } }
+ */
+const getVehicleCompliance = async (req, res) => {
+    try {
+        const { vehicle, status, message } = await loadManagedVehicle(req.params.id, req.user);
+        if (!vehicle) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const documents = await ComplianceDocument.find({ vehicleId: vehicle._id }).sort({ type: 1, expiresAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            documents: documents.map(document => document.getSummary()),
+            status: checkCompliance(documents, new Date())
+        });
+    } catch (error) {
+        console.error('Get vehicle compliance error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get compliance documents'
+        });
+    }
+};
+
+/**
+ * Add a compliance document to a vehicle (Owner or Admin)
+ * @async
+ * @function addComplianceDocument
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Records a document and stores the uploaded copy, if one is sent. Adding a
+ * newer document of the same type renews it; the older one is kept as history.
+ * @example
+ * // POST /api/vehicles/:id/compliance
+ * // Body: { type: "insurance", documentNumber: "POL-123", expiresAt: "2025-03-31",
+ * //         file: { name: "policy.pdf", mimeType: "application/pdf", content: "<base64>" } }
+ * // Response: { success: true, document: {...}, status: {...} }
+ */
+const addComplianceDocument = async (req, res) => {
+    let storedFile = null;
+
+    try {
+        const { id } = req.params;
+        const { type, documentNumber, issuedAt, expiresAt, file } = req.body;
+
+        if (!type || !documentNumber || !expiresAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Type, document number and expiry date are required'
+            });
+        }
+
+        if (!isDocumentType(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Document type must be one of: ${Object.values(DOCUMENT_TYPES).join(', ')}`
+            });
+        }
+
+        const issued = parseOptionalDate(issuedAt);
+        const expiry = parseOptionalDate(expiresAt);
+        if (issued.invalid || expiry.invalid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid issue or expiry date format'
+            });
+        }
+
+        let upload = null;
+        if (file) {
+            const decoded = decodeUpload(file);
+            if (decoded.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: decoded.error
+                });
+            }
+            upload = decoded.upload;
+        }
+
+        const { vehicle, status, message } = await loadManagedVehicle(id, req.user);
+        if (!vehicle) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        if (upload) {
+            storedFile = await saveUpload(upload);
+        }
+
+        const document = await ComplianceDocument.create({
+            vehicleId: vehicle._id,
+            type,
+            documentNumber,
+            issuedAt: issued.date,
+            expiresAt: expiry.date,
+            file: storedFile,
+            createdBy: req.user._id
+        });
+
+        const documents = await ComplianceDocument.find({ vehicleId: vehicle._id }).select('type expiresAt');
+
+        res.status(201).json({
+            success: true,
+            message: `${DOCUMENT_LABELS[type]} added successfully`,
+            document: document.getSummary(),
+            status: checkCompliance(documents, new Date())
+        });
+    } catch (error) {
+        console.error('Add compliance document error:', error);
+
+        if (storedFile) {
+            await removeStoredFile(storedFile.storedName).catch(() => {});
+        }
+
+        sendWriteError(res, error, 'Failed to add compliance document', 'Invalid vehicle ID');
+    }
+};
+
+/**
+ * Update a compliance document (Owner or Admin)
+ * @async
+ * @function updateComplianceDocument
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Changes the number, dates or uploaded copy. Changing the expiry date
+ * resets the warnings already sent for the document.
+ * @example
+ * // PUT /api/vehicles/:id/compliance/:documentId
+ * // Body: { expiresAt: "2026-03-31" }
+ * // Response: { success: true, document: {...}, status: {...} }
+ */
+const updateComplianceDocument = async (req, res) => {
+    let storedFile = null;
+
+    try {
+        const { id, documentId } = req.params;
+        const { documentNumber, issuedAt, expiresAt, file } = req.body;
+
+        const issued = parseOptionalDate(issuedAt);
+        const expiry = parseOptionalDate(expiresAt);
+        if (issued.invalid || expiry.invalid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid issue or expiry date format'
+            });
+        }
+
+        let upload = null;
+        if (file) {
+            const decoded = decodeUpload(file);
+            if (decoded.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: decoded.error
+                });
+            }
+            upload = decoded.upload;
+        }
+
+        const { vehicle, status, message } = await loadManagedVehicle(id, req.user);
+        if (!vehicle) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const document = await ComplianceDocument.findOne({ _id: documentId, vehicleId: vehicle._id });
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Compliance document not found'
+            });
+        }
+
+        if (documentNumber !== undefined) document.documentNumber = documentNumber;
+        if (issuedAt !== undefined) document.issuedAt = issued.date;
+        if (expiry.date && expiry.date.getTime() !== document.expiresAt.getTime()) {
+            document.expiresAt = expiry.date;
+            document.warningsSent = [];
+        }
+
+        const previousFile = document.file && document.file.storedName;
+        if (upload) {
+            storedFile = await saveUpload(upload);
+            document.file = storedFile;
+        }
+
+        await document.save();
+
+        if (storedFile && previousFile) {
+            await removeStoredFile(previousFile).catch(fileError => {
+                console.error('Failed to remove replaced compliance file:', fileError);
+            });
+        }
+
+        const documents = await ComplianceDocument.find({ vehicleId: vehicle._id }).select('type expiresAt');
+
+        res.status(200).json({
+            success: true,
+            message: 'Compliance document updated successfully',
+            document: document.getSummary(),
+            status: checkCompliance(documents, new Date())
+        });
+    } catch (error) {
+        console.error('Update compliance document error:', error);
+
+        if (storedFile) {
+            await removeStoredFile(storedFile.storedName).catch(() => {});
+        }
+
+        sendWriteError(res, error, 'Failed to update compliance document', 'Invalid vehicle or document ID');
+    }
+};
+
+/**
+ * Delete a compliance document and its uploaded copy (Owner or Admin)
+ * @async
+ * @function deleteComplianceDocument
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @example
+ * // DELETE /api/vehicles/:id/compliance/:documentId
+ * // Response: { success: true, message: "Compliance document removed successfully" }
+ */
+const deleteComplianceDocument = async (req, res) => {
+    try {
+        const { id, documentId } = req.params;
+
+        const { vehicle, status, message } = await loadManagedVehicle(id, req.user);
+        if (!vehicle) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const document = await ComplianceDocument.findOneAndDelete({ _id: documentId, vehicleId: vehicle._id });
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Compliance document not found'
+            });
+        }
+
+        if (document.file && document.file.storedName) {
+            await removeStoredFile(document.file.storedName).catch(fileError => {
+                console.error('Failed to remove compliance file:', fileError);
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Compliance document removed successfully'
+        });
+    } catch (error) {
+        console.error('Delete compliance document error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle or document ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove compliance document'
+        });
+    }
+};
+
+/**
+ * Download the uploaded copy of a compliance document (Owner or Admin)
+ * @async
+ * @function downloadComplianceFile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @example
+ * // GET /api/vehicles/:id/compliance/:documentId/file
+ * // Response: the stored PDF or image as an attachment
+ */
+const downloadComplianceFile = async (req, res) => {
+    try {
+        const { id, documentId } = req.params;
+
+        const { vehicle, status, message } = await loadManagedVehicle(id, req.user);
+        if (!vehicle) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const document = await ComplianceDocument.findOne({ _id: documentId, vehicleId: vehicle._id });
+        if (!document || !document.file || !document.file.storedName) {
+            return res.status(404).json({
+                success: false,
+                message: 'No file uploaded for this document'
+            });
+        }
+
+        res.download(resolveStoredFile(document.file.storedName), document.file.originalName, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Stored file not found'
+                });
+            }
+        });
+    } catch (error) {
+        console.error('Download compliance file error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle or document ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download compliance file'
+        });
+    }
+};
+
+/**
+ * Warn vehicle owners about documents that are about to expire or have expired
+ * @async
+ * @function sendComplianceExpiryWarnings
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of warnings sent
+ * @description Run periodically by the server. Owners are warned 30, 7 and 1 day(s) ahead
+ * and once more on expiry. Documents already renewed by a later one are skipped.
+ * @example
+ * const sent = await sendComplianceExpiryWarnings();
+ */
+const sendComplianceExpiryWarnings = async (now = new Date()) => {
+    const horizon = new Date(now.getTime() + Math.max(...EXPIRY_WARNING_DAYS) * DAY_MS);
+
+    const documents = await ComplianceDocument.find({
+        expiresAt: { $lte: horizon },
+        warningsSent: { $ne: 0 }
+    }).populate('vehicleId', 'name createdBy isActive');
+
+    let sentCount = 0;
+    for (const document of documents) {
+        const vehicle = document.vehicleId;
+        if (!vehicle || !vehicle.isActive) {
+            continue;
+        }
+
+        const threshold = getDueWarning(document, now);
+        if (threshold === null) {
+            continue;
+        }
+
+        const renewed = await ComplianceDocument.exists({
+            vehicleId: vehicle._id,
+            type: document.type,
+            expiresAt: { $gt: document.expiresAt }
+        });
+        if (renewed) {
+            continue;
+        }
+
+        // Record every threshold passed so an earlier one is not sent after a later one
+        const passed = EXPIRY_WARNING_DAYS.filter(days => days >= threshold);
+        await ComplianceDocument.updateOne(
+            { _id: document._id },
+            { $addToSet: { warningsSent: { $each: passed } } }
+        );
+
+        try {
+            await Notification.createComplianceNotification(vehicle.createdBy, {
+                documentId: document._id,
+                documentType: document.type,
+                documentLabel: DOCUMENT_LABELS[document.type],
+                vehicleId: vehicle._id,
+                vehicleName: vehicle.name,
+                expiresAt: document.expiresAt,
+                daysLeft: threshold
+            });
+            sentCount++;
+        } catch (notificationError) {
+            console.error('Failed to create compliance notification:', notificationError);
+        }
+    }
+
+    return sentCount;
+};
+
+module.exports = {
+    getVehicleCompliance,
+    addComplianceDocument,
+    updateComplianceDocument,
+    deleteComplianceDocument,
+    downloadComplianceFile,
+    sendComplianceExpiryWarnings
+};
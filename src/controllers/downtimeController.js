@@ -0,0 +1,378 @@
+/**
+ * Downtime Controller for FleetLink
+ * @fileoverview Handles maintenance and downtime blocks for vehicles
+ */
+
+const Vehicle = require('../models/Vehicle');
+const Downtime = require('../models/Downtime');
+const { Booking, slotHoldingCondition } = require('../models/Booking');
+
+/**
+ * Load a vehicle the current user may manage
+ * @async
+ * @function loadManagedVehicle
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { vehicle } or { status, message } when not allowed
+ */
+const loadManagedVehicle = async (vehicleId, user) => {
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+        return { status: 404, message: 'Vehicle not found' };
+    }
+
+    const isOwner = vehicle.createdBy.toString() === user.id;
+    if (!isOwner && user.role !== 'admin') {
+        return { status: 403, message: 'You can only manage downtime for your own vehicles' };
+    }
+
+    return { vehicle };
+};
+
+/**
+ * Validate downtime start and end times
+ * @function validateDowntimeTimes
+ * @param {Date} start - Block start
+ * @param {Date} end - Block end
+ * @returns {string|null} Error message or null when valid
+ */
+const validateDowntimeTimes = (start, end) => {
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return 'Invalid start or end time format';
+    }
+
+    if (end <= start) {
+        return 'End time must be after start time';
+    }
+
+    if (end <= new Date()) {
+        return 'Downtime must end in the future';
+    }
+
+    return null;
+};
+
+/**
+ * Find active bookings and pending requests colliding with a downtime block
+ * @async
+ * @function findCollidingBookings
+ * @param {ObjectId} vehicleId - Vehicle ID
+ * @param {Date} start - Block start
+ * @param {Date} end - Block end
+ * @returns {Promise<Array>} Colliding bookings in response format
+ */
+const findCollidingBookings = async (vehicleId, start, end) => {
+    const bookings = await Booking.find({
+        vehicleId,
+        ...slotHoldingCondition(),
+        'times.start': { $lt: end },
+        'times.end': { $gt: start }
+    }).sort({ 'times.start': 1 });
+
+    return bookings.map(booking => ({
+        id: booking._id,
+        userId: booking.userId,
+        start: booking.times.start,
+        end: booking.times.end,
+        status: booking.status
+    }));
+};
+
+/**
+ * Build the warning returned when bookings collide with a block
+ * @function buildCollisionWarning
+ * @param {Array} collidingBookings - Colliding bookings
+ * @returns {Object|null} Warning or null when nothing collides
+ */
+const buildCollisionWarning = (collidingBookings) => {
+    if (collidingBookings.length === 0) {
+        return null;
+    }
+
+    return {
+        message: `${collidingBookings.length} existing booking(s) overlap this downtime and were not changed`,
+        collidingBookings
+    };
+};
+
+/**
+ * Get downtime blocks for a vehicle
+ * @async
+ * @function getVehicleDowntime
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Lists downtime blocks, optionally only those ending after `from`
+ * @example
+ * // GET /api/vehicles/:id/downtime?from=2024-01-01T00:00:00Z
+ * // Response: { success: true, downtime: [...] }
+ */
+const getVehicleDowntime = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from } = req.query;
+
+        const vehicle = await Vehicle.findById(id);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const query = { vehicleId: id };
+        if (from) {
+            const fromDate = new Date(from);
+            if (isNaN(fromDate.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid from date'
+                });
+            }
+            query['times.end'] = { $gt: fromDate };
+        }
+
+        const downtime = await Downtime.find(query).sort({ 'times.start': 1 });
+
+        res.status(200).json({
+            success: true,
+            downtime: downtime.map(block => block.getSummary())
+        });
+    } catch (error) {
+        console.error('Get vehicle downtime error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get vehicle downtime'
+        });
+    }
+};
+
+/**
+ * Add a downtime block to a vehicle (Owner or Admin)
+ * @async
+ * @function addVehicleDowntime
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Creates a downtime block; existing bookings in the range are kept and reported as a warning
+ * @example
+ * // POST /api/vehicles/:id/downtime
+ * // Body: { start: "2024-01-20T00:00:00Z", end: "2024-01-22T00:00:00Z", reason: "Annual service" }
+ * // Response: { success: true, downtime: {...}, warning: null }
+ */
+const addVehicleDowntime = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { start, end, reason } = req.body;
+
+        if (!start || !end || !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start, end and reason are required'
+            });
+        }
+
+        const startDate = new Date(start);
+        const endDate = new Date(end);
+        const timeError = validateDowntimeTimes(startDate, endDate);
+        if (timeError) {
+            return res.status(400).json({
+                success: false,
+                message: timeError
+            });
+        }
+
+        const { vehicle, status, message } = await loadManagedVehicle(id, req.user);
+        if (!vehicle) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const downtime = await Downtime.create({
+            vehicleId: vehicle._id,
+            times: { start: startDate, end: endDate },
+            reason,
+            createdBy: req.user._id
+        });
+
+        const collidingBookings = await findCollidingBookings(vehicle._id, startDate, endDate);
+
+        res.status(201).json({
+            success: true,
+            message: 'Downtime scheduled successfully',
+            downtime: downtime.getSummary(),
+            warning: buildCollisionWarning(collidingBookings)
+        });
+    } catch (error) {
+        console.error('Add vehicle downtime error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to schedule downtime'
+        });
+    }
+};
+
+/**
+ * Update a downtime block (Owner or Admin)
+ * @async
+ * @function updateVehicleDowntime
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Changes start, end or reason; reports bookings colliding with the updated range
+ * @example
+ * // PUT /api/vehicles/:id/downtime/:downtimeId
+ * // Body: { end: "2024-01-23T00:00:00Z" }
+ * // Response: { success: true, downtime: {...}, warning: {...} }
+ */
+const updateVehicleDowntime = async (req, res) => {
+    try {
+        const { id, downtimeId } = req.params;
+        const { start, end, reason } = req.body;
+
+        const { vehicle, status, message } = await loadManagedVehicle(id, req.user);
+        if (!vehicle) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const downtime = await Downtime.findOne({ _id: downtimeId, vehicleId: vehicle._id });
+        if (!downtime) {
+            return res.status(404).json({
+                success: false,
+                message: 'Downtime not found'
+            });
+        }
+
+        const startDate = start ? new Date(start) : downtime.times.start;
+        const endDate = end ? new Date(end) : downtime.times.end;
+        const timeError = validateDowntimeTimes(startDate, endDate);
+        if (timeError) {
+            return res.status(400).json({
+                success: false,
+                message: timeError
+            });
+        }
+
+        downtime.times = { start: startDate, end: endDate };
+        if (reason !== undefined) downtime.reason = reason;
+        await downtime.save();
+
+        const collidingBookings = await findCollidingBookings(vehicle._id, startDate, endDate);
+
+        res.status(200).json({
+            success: true,
+            message: 'Downtime updated successfully',
+            downtime: downtime.getSummary(),
+            warning: buildCollisionWarning(collidingBookings)
+        });
+    } catch (error) {
+        console.error('Update vehicle downtime error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle or downtime ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update downtime'
+        });
+    }
+};
+
+/**
+ * Delete a downtime block (Owner or Admin)
+ * @async
+ * @function deleteVehicleDowntime
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Removes a downtime block, returning the vehicle to service for that range
+ * @example
+ * // DELETE /api/vehicles/:id/downtime/:downtimeId
+ * // Response: { success: true, message: "Downtime removed successfully" }
+ */
+const deleteVehicleDowntime = async (req, res) => {
+    try {
+        const { id, downtimeId } = req.params;
+
+        const { vehicle, status, message } = await loadManagedVehicle(id, req.user);
+        if (!vehicle) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const downtime = await Downtime.findOneAndDelete({ _id: downtimeId, vehicleId: vehicle._id });
+        if (!downtime) {
+            return res.status(404).json({
+                success: false,
+                message: 'Downtime not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Downtime removed successfully'
+        });
+    } catch (error) {
+        console.error('Delete vehicle downtime error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle or downtime ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove downtime'
+        });
+    }
+};
+
+module.exports = {
+    getVehicleDowntime,
+    addVehicleDowntime,
+    updateVehicleDowntime,
+    deleteVehicleDowntime
+};
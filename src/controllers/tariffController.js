@@ -0,0 +1,300 @@
+/**
+ * Tariff Controller for FleetLink
+ * @fileoverview Handles the default tariff and per-vehicle tariffs
+ */
+
+const Vehicle = require('../models/Vehicle');
+const { Tariff, DEFAULT_TARIFF } = require('../models/Tariff');
+
+/**
+ * Tariff fields that may be changed through the API
+ * @constant {Array<string>}
+ */
+const TARIFF_FIELDS = [
+    'currency',
+    'baseFare',
+    'perHour',
+    'perKgCapacity',
+    'perKm',
+    'nightSurchargePercent',
+    'weekendSurchargePercent'
+];
+
+/**
+ * Pick the tariff fields present in a request body
+ * @function pickTariffFields
+ * @param {Object} body - Request body
+ * @returns {Object} Tariff rates to save
+ */
+const pickTariffFields = (body) => {
+    const rates = {};
+    for (const field of TARIFF_FIELDS) {
+        if (body[field] !== undefined) rates[field] = body[field];
+    }
+    return rates;
+};
+
+/**
+ * Save a tariff, creating it with default rates when missing
+ * @async
+ * @function upsertTariff
+ * @param {ObjectId|null} vehicleId - Vehicle ID, or null for the default tariff
+ * @param {Object} rates - Rates to change
+ * @param {ObjectId} userId - User making the change
+ * @returns {Promise<Object>} Saved tariff
+ */
+const upsertTariff = async (vehicleId, rates, userId) => {
+    const tariff = (await Tariff.findOne({ vehicleId })) || new Tariff({ vehicleId });
+    Object.assign(tariff, rates, { updatedBy: userId });
+    return tariff.save();
+};
+
+/**
+ * Send a validation error response for a failed tariff save
+ * @function sendTariffValidationError
+ * @param {Object} res - Express response object
+ * @param {Error} error - Mongoose validation error
+ */
+const sendTariffValidationError = (res, error) => {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+    });
+};
+
+/**
+ * Get the default tariff
+ * @async
+ * @function getDefaultTariff
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Returns the admin-configured default tariff, or the built-in rates when none is saved
+ * @example
+ * // GET /api/tariffs/default
+ * // Response: { success: true, tariff: { scope: "default", baseFare: 500, perHour: 300, ... } }
+ */
+const getDefaultTariff = async (req, res) => {
+    try {
+        const tariff = await Tariff.findForVehicle(null);
+
+        res.status(200).json({
+            success: true,
+            tariff: tariff ? tariff.getSummary() : { id: null, vehicleId: null, scope: 'default', ...DEFAULT_TARIFF }
+        });
+    } catch (error) {
+        console.error('Get default tariff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get default tariff'
+        });
+    }
+};
+
+/**
+ * Update the default tariff (Admin only)
+ * @async
+ * @function updateDefaultTariff
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Changes the rates used by vehicles without their own tariff
+ * @example
+ * // PUT /api/tariffs/default
+ * // Body: { perHour: 350, nightSurchargePercent: 20 }
+ * // Response: { success: true, tariff: {...} }
+ */
+const updateDefaultTariff = async (req, res) => {
+    try {
+        const tariff = await upsertTariff(null, pickTariffFields(req.body), req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Default tariff updated successfully',
+            tariff: tariff.getSummary()
+        });
+    } catch (error) {
+        console.error('Update default tariff error:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendTariffValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update default tariff'
+        });
+    }
+};
+
+/**
+ * Get the tariff that prices a vehicle
+ * @async
+ * @function getVehicleTariff
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Returns the vehicle's own tariff, falling back to the default tariff
+ * @example
+ * // GET /api/tariffs/vehicles/:vehicleId
+ * // Response: { success: true, tariff: { scope: "vehicle", ... } }
+ */
+const getVehicleTariff = async (req, res) => {
+    try {
+        const { vehicleId } = req.params;
+
+        const vehicle = await Vehicle.findById(vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const tariff = await Tariff.findForVehicle(vehicle._id);
+
+        res.status(200).json({
+            success: true,
+            tariff: tariff ? tariff.getSummary() : { id: null, vehicleId: null, scope: 'default', ...DEFAULT_TARIFF }
+        });
+    } catch (error) {
+        console.error('Get vehicle tariff error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get vehicle tariff'
+        });
+    }
+};
+
+/**
+ * Set a vehicle's own tariff (Owner or Admin)
+ * @async
+ * @function updateVehicleTariff
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description Creates or changes the vehicle tariff; unset rates start from the built-in defaults
+ * @example
+ * // PUT /api/tariffs/vehicles/:vehicleId
+ * // Body: { baseFare: 800, perKm: 15 }
+ * // Response: { success: true, tariff: { scope: "vehicle", ... } }
+ */
+const updateVehicleTariff = async (req, res) => {
+    try {
+        const { vehicleId } = req.params;
+
+        const vehicle = await Vehicle.findById(vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        if (vehicle.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only set tariffs for your own vehicles'
+            });
+        }
+
+        const tariff = await upsertTariff(vehicle._id, pickTariffFields(req.body), req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Vehicle tariff updated successfully',
+            tariff: tariff.getSummary()
+        });
+    } catch (error) {
+        console.error('Update vehicle tariff error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return sendTariffValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update vehicle tariff'
+        });
+    }
+};
+
+/**
+ * Remove a vehicle's own tariff (Owner or Admin)
+ * @async
+ * @function deleteVehicleTariff
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description The vehicle is priced with the default tariff afterwards
+ * @example
+ * // DELETE /api/tariffs/vehicles/:vehicleId
+ * // Response: { success: true, message: "Vehicle tariff removed, default tariff applies" }
+ */
+const deleteVehicleTariff = async (req, res) => {
+    try {
+        const { vehicleId } = req.params;
+
+        const vehicle = await Vehicle.findById(vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        if (vehicle.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only set tariffs for your own vehicles'
+            });
+        }
+
+        const tariff = await Tariff.findOneAndDelete({ vehicleId: vehicle._id });
+        if (!tariff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle has no tariff of its own'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Vehicle tariff removed, default tariff applies'
+        });
+    } catch (error) {
+        console.error('Delete vehicle tariff error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove vehicle tariff'
+        });
+    }
+};
+
+module.exports = {
+    getDefaultTariff,
+    updateDefaultTariff,
+    getVehicleTariff,
+    updateVehicleTariff,
+    deleteVehicleTariff
+};
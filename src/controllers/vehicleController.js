@@ -4,8 +4,25 @@
  */
 
 const Vehicle = require('../models/Vehicle');
-const { Booking, BOOKING_STATUS } = require('../models/Booking');
-const { checkBookingConflict, validateBookingTimes, calculateRideDuration, calculateEndTime } = require('../utils/rideCalculations');
+const { Booking, BOOKING_STATUS, SLOT_HOLDING_STATUSES } = require('../models/Booking');
+const Downtime = require('../models/Downtime');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const { checkBookingConflict, validateBookingTimes, estimateRide, calculateEndTime } = require('../utils/rideCalculations');
+const { checkOperatingHours } = require('../utils/operatingHours');
+const { SUGGESTION_HORIZON_HOURS, findNearestSlots, findNearestFleetSlots } = require('../utils/slotSuggestions');
+const { LOAD_TYPES, splitSharedLoads, calculateRemainingCapacity } = require('../utils/sharedLoads');
+const { GOODS_CATEGORIES, DEFAULT_ACCEPTED_CATEGORIES, isGoodsCategory } = require('../utils/cargoManifest');
+const { VEHICLE_TYPES, calculateBedVolume, parseFeatureList } = require('../utils/vehicleSpecs');
+const { checkCompliance } = require('../utils/compliance');
+const { normalizeServiceArea, checkServiceArea } = require('../utils/serviceArea');
+const {
+    SEARCH_COLLATION,
+    parseSearchPaging,
+    selectBookingsAround,
+    sortSearchResults,
+    getSearchSort,
+    paginate
+} = require('../utils/vehicleSearch');
 
 /**
  * Add a new vehicle (Admin only)
@@ -17,12 +34,34 @@ const { checkBookingConflict, validateBookingTimes, calculateRideDuration, calcu
  * @example
  * // POST /api/vehicles
  * // Headers: { Authorization: "Bearer jwt_token" }
- * // Body: { name: "Truck-001", capacityKg: 5000, tyres: 6 }
- * // Response: { success: true, vehicle: { id, name, capacityKg, tyres, createdBy } }
+ * // Body: { name: "Truck-001", capacityKg: 5000, tyres: 6, turnaroundMinutes: 60, requiresApproval: true,
+ * //         acceptedGoodsCategories: ["general", "fragile"], vehicleType: "reefer", bodyType: "closed",
+ * //         bedDimensions: { lengthM: 4.3, widthM: 1.8, heightM: 1.8 }, features: ["refrigeration"],
+ * //         homePincode: "110001", serviceArea: { states: ["Delhi", "Haryana"], radiusKm: 150 },
+ * //         cancellationPolicy: { freeCancellationHours: 24, lateCancellationFeePercent: 20, noCancellationHours: 2 },
+ * //         operatingHours: { weekly: [{ day: 1, open: "06:00", close: "22:00" }], holidays: [] } }
+ * // Response: { success: true, vehicle: { id, name, capacityKg, tyres, operatingHours, createdBy } }
  */
 const addVehicle = async (req, res) => {
     try {
-        const { name, capacityKg, tyres } = req.body;
+        const {
+            name,
+            capacityKg,
+            tyres,
+            operatingHours,
+            turnaroundMinutes,
+            cancellationPolicy,
+            requiresApproval,
+            approvalTimeoutHours,
+            acceptedGoodsCategories,
+            vehicleType,
+            bodyType,
+            bedDimensions,
+            volumeM3,
+            features,
+            homePincode,
+            serviceArea
+        } = req.body;
         const createdBy = req.user._id;
 
         // Validate required fields
@@ -49,11 +88,32 @@ const addVehicle = async (req, res) => {
             });
         }
 
+        const area = normalizeServiceArea(serviceArea, homePincode);
+        if (area.error) {
+            return res.status(400).json({
+                success: false,
+                message: area.error
+            });
+        }
+
         // Create vehicle
         const vehicle = await Vehicle.create({
             name,
             capacityKg,
             tyres,
+            operatingHours,
+            turnaroundMinutes,
+            cancellationPolicy,
+            requiresApproval,
+            approvalTimeoutHours,
+            acceptedGoodsCategories,
+            vehicleType,
+            bodyType,
+            bedDimensions,
+            volumeM3,
+            features,
+            homePincode,
+            serviceArea: area.serviceArea,
             createdBy
         });
 
@@ -99,14 +159,47 @@ const addVehicle = async (req, res) => {
  * @function getAvailableVehicles
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @description Finds available vehicles based on capacity and time constraints
+ * @description Finds available vehicles based on capacity and time constraints. Unavailable
+ * vehicles on the returned page carry the nearest earlier and later start times that would fit in
+ * availability.suggestions; when no vehicle is available, the top-level suggestions give the
+ * nearest of those across all unavailable vehicles, found in one pass over the fleet. Each vehicle
+ * reports availability.remainingCapacityKg: its whole capacity when free, what shared loads on the same trip leave over, or 0 when it is
+ * blocked; a vehicle is available when that covers capacityRequired. With goodsCategory, only
+ * vehicles that accept that category are considered; vehicleType, minVolumeM3 and features
+ * (comma-separated, all required) narrow the search further. Vehicles whose compliance documents
+ * expire before the ride ends are excluded and only counted in nonCompliantCount. Vehicles whose
+ * service area does not cover both pincodes are unavailable with availability.outsideServiceArea.
+ * Bookings and downtime for all candidates are loaded in one query each, so the number of queries
+ * does not grow with the fleet. Available vehicles are sorted by sortBy (capacity, name or owner)
+ * and sortOrder, and paged with page and limit; pagination describes the page returned. Capacity
+ * and name are sorted by the database and owners are only loaded for the vehicles returned. A
+ * vehicle whose type's duration strategy fails on the route is logged and left out.
+ * maxCapacity, minTyres and maxTyres bound capacity and tyre count. Unavailable vehicles are paged
+ * the same way and left out entirely with includeUnavailable=false; unavailableCount always counts
+ * all of them.
  * @example
- * // GET /api/vehicles/available?capacityRequired=3000&fromPincode=110001&toPincode=400001&startTime=2024-01-15T10:00:00Z
- * // Response: { success: true, vehicles: [...], total: 5, estimatedRideDurationHours: 2 }
+ * // GET /api/vehicles/available?capacityRequired=3000&fromPincode=110001&toPincode=400001&startTime=2024-01-15T10:00:00Z&goodsCategory=fragile
+ * //     &vehicleType=reefer&minVolumeM3=12&features=tail_lift,refrigeration&sortBy=owner&page=1&limit=20
+ * // Response: { success: true, vehicles: [...], total: 5, pagination: {...}, estimatedRideDurationHours: 23.5, estimatedDistanceKm: 1166.3 }
+ * // With no vehicle free: { ..., total: 0, suggestions: {
+ * //   earlier: { startTime, endTime, vehicleId, vehicleName }, later: { startTime, endTime, vehicleId, vehicleName } } }
  */
 const getAvailableVehicles = async (req, res) => {
     try {
-        const { capacityRequired, fromPincode, toPincode, startTime } = req.query;
+        const {
+            capacityRequired,
+            maxCapacity,
+            minTyres,
+            maxTyres,
+            fromPincode,
+            toPincode,
+            startTime,
+            goodsCategory,
+            vehicleType,
+            minVolumeM3,
+            features,
+            loadType = LOAD_TYPES.FULL
+        } = req.query;
 
         // Validate required parameters
         if (!startTime) {
@@ -127,6 +220,21 @@ const getAvailableVehicles = async (req, res) => {
             }
         }
 
+        if (!Object.values(LOAD_TYPES).includes(loadType)) {
+            return res.status(400).json({
+                success: false,
+                message: `Load type must be one of: ${Object.values(LOAD_TYPES).join(', ')}`
+            });
+        }
+
+        const { paging, error: pagingError } = parseSearchPaging(req.query);
+        if (pagingError) {
+            return res.status(400).json({
+                success: false,
+                message: pagingError
+            });
+        }
+
         // Validate start time
         const startDateTime = new Date(startTime);
         if (isNaN(startDateTime.getTime())) {
@@ -137,13 +245,12 @@ const getAvailableVehicles = async (req, res) => {
         }
 
         // Calculate ride duration and end time if pincodes are provided
-        let estimatedRideDurationHours = 0;
-        let endTime = startDateTime;
+        const hasRoute = Boolean(fromPincode && toPincode);
+        let ride;
 
-        if (fromPincode && toPincode) {
+        if (hasRoute) {
             try {
-                estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
-                endTime = calculateEndTime(startDateTime, estimatedRideDurationHours);
+                ride = estimateRide(fromPincode, toPincode);
             } catch (error) {
                 return res.status(400).json({
                     success: false,
@@ -152,10 +259,13 @@ const getAvailableVehicles = async (req, res) => {
             }
         } else {
             // If no pincodes provided, use a default duration of 8 hours
-            estimatedRideDurationHours = 8;
-            endTime = calculateEndTime(startDateTime, estimatedRideDurationHours);
+            ride = { durationHours: 8, distanceKm: null, strategy: null };
         }
 
+        const estimatedRideDurationHours = ride.durationHours;
+        const estimatedDistanceKm = ride.distanceKm;
+        const endTime = calculateEndTime(startDateTime, estimatedRideDurationHours);
+
         // Convert to Date objects
         const start = startDateTime;
 
@@ -163,8 +273,8 @@ const getAvailableVehicles = async (req, res) => {
         const vehicleQuery = { isActive: true };
 
         // Add capacity filter if provided
+        const capacity = capacityRequired ? parseInt(capacityRequired, 10) : null;
         if (capacityRequired) {
-            const capacity = parseInt(capacityRequired, 10);
             if (isNaN(capacity) || capacity < 1) {
                 return res.status(400).json({
                     success: false,
@@ -174,69 +284,284 @@ const getAvailableVehicles = async (req, res) => {
             vehicleQuery.capacityKg = { $gte: capacity };
         }
 
-        // Get all active vehicles that meet capacity requirements
-        const vehicles = await Vehicle.find(vehicleQuery).populate('createdBy', 'name email');
+        const maxCapacityKg = maxCapacity ? parseInt(maxCapacity, 10) : null;
+        if (maxCapacity) {
+            if (isNaN(maxCapacityKg) || maxCapacityKg < (capacity || 1)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Maximum capacity must be a positive number no less than the capacity required'
+                });
+            }
+            vehicleQuery.capacityKg = { ...vehicleQuery.capacityKg, $lte: maxCapacityKg };
+        }
+
+        // Tyre count range, either end optional
+        const tyreRange = {};
+        if (minTyres) tyreRange.$gte = parseInt(minTyres, 10);
+        if (maxTyres) tyreRange.$lte = parseInt(maxTyres, 10);
+        if (Object.values(tyreRange).some(count => isNaN(count) || count < 1) ||
+            (tyreRange.$gte && tyreRange.$lte && tyreRange.$gte > tyreRange.$lte)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tyre counts must be positive numbers with minTyres no more than maxTyres'
+            });
+        }
+        if (Object.keys(tyreRange).length > 0) {
+            vehicleQuery.tyres = tyreRange;
+        }
+
+        // Only vehicles that accept the goods; vehicles that never declared any take the defaults
+        if (goodsCategory) {
+            if (!isGoodsCategory(goodsCategory)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Goods category must be one of: ${Object.values(GOODS_CATEGORIES).join(', ')}`
+                });
+            }
+            vehicleQuery.acceptedGoodsCategories = DEFAULT_ACCEPTED_CATEGORIES.includes(goodsCategory)
+                ? { $in: [goodsCategory, null] }
+                : goodsCategory;
+        }
+
+        if (vehicleType) {
+            if (!Object.values(VEHICLE_TYPES).includes(vehicleType)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Vehicle type must be one of: ${Object.values(VEHICLE_TYPES).join(', ')}`
+                });
+            }
+            vehicleQuery.vehicleType = vehicleType;
+        }
+
+        const minVolume = minVolumeM3 ? Number(minVolumeM3) : null;
+        if (minVolumeM3) {
+            if (isNaN(minVolume) || minVolume <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Minimum volume must be a positive number'
+                });
+            }
+            vehicleQuery.volumeM3 = { $gte: minVolume };
+        }
 
-        // Check availability for each vehicle
-        const availableVehicles = [];
+        const requiredFeatures = features ? parseFeatureList(features) : { features: [] };
+        if (requiredFeatures.error) {
+            return res.status(400).json({
+                success: false,
+                message: requiredFeatures.error
+            });
+        }
+        if (requiredFeatures.features.length > 0) {
+            vehicleQuery.features = { $all: requiredFeatures.features };
+        }
 
+        // Get all active vehicles that meet the filters, sorted by the database when the sort key
+        // is a vehicle field; owners are only populated for the vehicles returned. Sorting by
+        // owner needs every owner, so those vehicles are populated and sorted here instead.
+        const querySort = getSearchSort(paging.sortBy, paging.sortOrder);
+        const vehicles = querySort
+            ? await Vehicle.find(vehicleQuery).sort(querySort).collation(SEARCH_COLLATION)
+            : sortSearchResults(
+                await Vehicle.find(vehicleQuery).populate('createdBy', 'name email'),
+                paging.sortBy,
+                paging.sortOrder
+            );
+
+        // Vehicle types may be assigned their own duration strategy
+        const routedVehicles = [];
         for (const vehicle of vehicles) {
+            let vehicleRide = ride;
+            if (hasRoute && vehicle.vehicleType) {
+                try {
+                    vehicleRide = estimateRide(fromPincode, toPincode, { vehicleType: vehicle.vehicleType });
+                } catch (error) {
+                    // The vehicle cannot be booked on this route, but the rest of the fleet can
+                    console.error(`Error estimating the ride for vehicle ${vehicle._id}:`, error);
+                    continue;
+                }
+            }
+            const vehicleEndTime = vehicleRide === ride
+                ? endTime
+                : calculateEndTime(start, vehicleRide.durationHours);
+            routedVehicles.push({ vehicle, vehicleRide, vehicleEndTime });
+        }
+
+        // Vehicles with documents lapsing before the ride ends cannot be dispatched, so are left out
+        const documentsByVehicle = await ComplianceDocument.findByVehicle(vehicles.map(vehicle => vehicle._id));
+        const candidates = routedVehicles.filter(({ vehicle, vehicleEndTime }) => checkCompliance(
+            documentsByVehicle.get(vehicle._id.toString()) || [],
+            vehicleEndTime
+        ).isCompliant);
+
+        // Load downtime and bookings for every candidate in one query each, grouped by vehicle;
+        // the range also covers the suggestion horizon so unavailable vehicles can be offered
+        // other times
+        const latestEndTime = candidates.reduce(
+            (latest, { vehicleEndTime }) => (vehicleEndTime > latest ? vehicleEndTime : latest),
+            endTime
+        );
+        const horizonMs = SUGGESTION_HORIZON_HOURS * 60 * 60 * 1000;
+        const suggestionStart = new Date(start.getTime() - horizonMs);
+        const suggestionEnd = new Date(latestEndTime.getTime() + horizonMs);
+        const candidateIds = candidates.map(({ vehicle }) => vehicle._id);
+        const downtimeBlocks = await Downtime.findOverlapping(candidateIds, suggestionStart, suggestionEnd);
+        // Bookings reach one more horizon out so the neighbours that decide turnaround time are
+        // there even for suggestions at the edge of the range
+        const bookingsByVehicle = await Booking.findActiveBookingsByVehicle(
+            candidateIds,
+            new Date(suggestionStart.getTime() - horizonMs),
+            new Date(suggestionEnd.getTime() + horizonMs)
+        );
+        const downtimeByVehicle = new Map();
+        for (const block of downtimeBlocks) {
+            const key = block.vehicleId.toString();
+            if (!downtimeByVehicle.has(key)) downtimeByVehicle.set(key, []);
+            downtimeByVehicle.get(key).push(block);
+        }
+
+        // Check availability for each vehicle, keeping the sort order
+        const results = [];
+        // Schedules of the unavailable vehicles that another time could suit, for suggestions
+        const suggestionSchedules = new Map();
+
+        for (const { vehicle, vehicleRide, vehicleEndTime } of candidates) {
             try {
-                // Get existing bookings for this vehicle in the time range
-                const existingBookings = await Booking.findActiveBookingsForVehicle(
-                    vehicle._id,
-                    start,
-                    endTime
-                );
+                const vehicleDowntime = downtimeByVehicle.get(vehicle._id.toString()) || [];
+                const vehicleBookings = bookingsByVehicle.get(vehicle._id.toString()) || [];
+
+                // Existing bookings in the time range and either side of it
+                const existingBookings = selectBookingsAround(vehicleBookings, start, vehicleEndTime);
+
+                // Shared loads on the same trip leave room for another shared load; everything
+                // else, and anything at all for a full load, blocks
+                const { blocking, loadedKg } = hasRoute && loadType === LOAD_TYPES.SHARED
+                    ? splitSharedLoads(existingBookings, { fromPincode, toPincode, startTime: start })
+                    : { blocking: existingBookings, loadedKg: 0 };
 
-                // Check for conflicts
+                // Check for conflicts with bookings, turnaround time and downtime
                 const conflictCheck = checkBookingConflict(
-                    existingBookings,
+                    blocking,
                     start,
-                    endTime
+                    vehicleEndTime,
+                    vehicleDowntime,
+                    { turnaroundMinutes: vehicle.turnaroundMinutes, fromPincode, toPincode }
                 );
 
-                // If no conflicts, vehicle is available
-                if (!conflictCheck.hasConflict) {
-                    availableVehicles.push({
-                        ...vehicle.getSummary(),
-                        availability: {
-                            isAvailable: true,
-                            conflictingBookings: []
-                        }
-                    });
-                } else {
-                    // Vehicle has conflicts, but include it with conflict info
-                    availableVehicles.push({
-                        ...vehicle.getSummary(),
-                        availability: {
-                            isAvailable: false,
-                            conflictingBookings: conflictCheck.conflictingBookings
-                        }
+                const rideSummary = {
+                    durationHours: vehicleRide.durationHours,
+                    distanceKm: vehicleRide.distanceKm,
+                    strategy: vehicleRide.strategy,
+                    endTime: vehicleEndTime.toISOString()
+                };
+
+                // Rides running outside the vehicle's operating windows or service area are flagged with the reason
+                const operatingCheck = checkOperatingHours(vehicle.operatingHours, start, vehicleEndTime);
+                const serviceAreaCheck = hasRoute
+                    ? checkServiceArea(vehicle, [fromPincode, toPincode])
+                    : { isWithin: true, reason: null };
+                const remainingCapacityKg = !conflictCheck.hasConflict && operatingCheck.isWithin && serviceAreaCheck.isWithin
+                    ? calculateRemainingCapacity(vehicle.capacityKg, loadedKg)
+                    : 0;
+                const isAvailable = remainingCapacityKg >= (capacity || 1);
+
+                // Unavailable vehicles may fit at another time; no other time helps a trip
+                // outside the service area
+                if (!isAvailable && serviceAreaCheck.isWithin) {
+                    suggestionSchedules.set(vehicle._id.toString(), {
+                        vehicleId: vehicle._id.toString(),
+                        vehicleName: vehicle.name,
+                        durationHours: vehicleRide.durationHours,
+                        bookings: vehicleBookings,
+                        downtime: vehicleDowntime,
+                        operatingHours: vehicle.operatingHours,
+                        turnaroundMinutes: vehicle.turnaroundMinutes,
+                        fromPincode,
+                        toPincode
                     });
                 }
+
+                results.push({
+                    vehicle,
+                    ride: rideSummary,
+                    availability: {
+                        isAvailable,
+                        remainingCapacityKg,
+                        sharedLoadKg: loadedKg,
+                        conflictingBookings: conflictCheck.conflictingBookings,
+                        conflictingDowntime: conflictCheck.conflictingDowntime,
+                        outsideOperatingHours: operatingCheck.reason,
+                        outsideServiceArea: serviceAreaCheck.reason
+                    }
+                });
             } catch (error) {
                 console.error(`Error checking availability for vehicle ${vehicle._id}:`, error);
                 // Continue with other vehicles
             }
         }
 
-        // Separate available and unavailable vehicles
-        const available = availableVehicles.filter(v => v.availability.isAvailable);
-        const unavailable = availableVehicles.filter(v => !v.availability.isAvailable);
+        // Separate available and unavailable vehicles, already in the requested order
+        const available = results.filter(result => result.availability.isAvailable);
+        const unavailable = results.filter(result => !result.availability.isAvailable);
+        const page = paginate(available, paging.page, paging.limit);
+        const unavailablePage = paginate(unavailable, paging.page, paging.limit);
+        const returned = paging.includeUnavailable ? [...page.items, ...unavailablePage.items] : page.items;
+
+        // Searching for other start times is the costly part, so it is only done for the
+        // unavailable vehicles returned, which get their nearest start times that would fit
+        if (paging.includeUnavailable) {
+            for (const result of unavailablePage.items) {
+                const schedule = suggestionSchedules.get(result.vehicle.id);
+                if (schedule) {
+                    result.availability.suggestions = findNearestSlots(start, schedule.durationHours, schedule);
+                }
+            }
+        }
+
+        // With nothing free at the requested time, suggest the nearest times any vehicle is,
+        // stepping through the times once for the whole fleet
+        const suggestions = available.length === 0
+            ? findNearestFleetSlots(start, unavailable
+                .map(result => suggestionSchedules.get(result.vehicle.id))
+                .filter(Boolean))
+            : null;
+
+        if (querySort) {
+            await Vehicle.populate(returned.map(result => result.vehicle), { path: 'createdBy', select: 'name email' });
+        }
+        const summarize = ({ vehicle, ride: rideSummary, availability }) => ({
+            ...vehicle.getSummary(),
+            ride: rideSummary,
+            availability
+        });
 
         res.status(200).json({
             success: true,
             vehicles: {
-                available, // Only truly available vehicles
-                unavailable // Keep unavailable for debugging/admin purposes
+                available: page.items.map(summarize), // Only truly available vehicles, one page of them
+                // The same page of unavailable vehicles, unless includeUnavailable=false
+                unavailable: paging.includeUnavailable ? unavailablePage.items.map(summarize) : []
             },
             total: available.length, // Only count available vehicles
+            pagination: page.pagination,
             availableCount: available.length,
             unavailableCount: unavailable.length,
+            nonCompliantCount: routedVehicles.length - candidates.length,
             estimatedRideDurationHours,
+            estimatedDistanceKm,
+            durationStrategy: ride.strategy,
+            suggestions,
             searchCriteria: {
-                capacityRequired: capacityRequired ? parseInt(capacityRequired, 10) : null,
+                capacityRequired: capacity,
+                maxCapacity: maxCapacityKg,
+                minTyres: tyreRange.$gte || null,
+                maxTyres: tyreRange.$lte || null,
+                goodsCategory: goodsCategory || null,
+                vehicleType: vehicleType || null,
+                minVolumeM3: minVolume,
+                features: requiredFeatures.features,
+                loadType,
+                sortBy: paging.sortBy,
+                sortOrder: paging.sortOrder,
                 fromPincode,
                 toPincode,
                 startTime,
@@ -378,13 +703,31 @@ const getVehicleById = async (req, res) => {
  * @example
  * // PUT /api/vehicles/:id
  * // Headers: { Authorization: "Bearer jwt_token" }
- * // Body: { name: "Updated Truck", capacityKg: 6000 }
+ * // Body: { name: "Updated Truck", capacityKg: 6000, operatingHours: { holidays: [{ date: "2024-01-26", reason: "Republic Day" }] } }
  * // Response: { success: true, vehicle: {...} }
  */
 const updateVehicle = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, capacityKg, tyres, isActive } = req.body;
+        const {
+            name,
+            capacityKg,
+            tyres,
+            isActive,
+            operatingHours,
+            turnaroundMinutes,
+            cancellationPolicy,
+            requiresApproval,
+            approvalTimeoutHours,
+            acceptedGoodsCategories,
+            vehicleType,
+            bodyType,
+            bedDimensions,
+            volumeM3,
+            features,
+            homePincode,
+            serviceArea
+        } = req.body;
 
         // Validate capacity if provided
         if (capacityKg !== undefined && (capacityKg < 1 || capacityKg > 50000)) {
@@ -408,6 +751,47 @@ const updateVehicle = async (req, res) => {
         if (capacityKg !== undefined) updateData.capacityKg = capacityKg;
         if (tyres !== undefined) updateData.tyres = tyres;
         if (isActive !== undefined) updateData.isActive = isActive;
+        if (operatingHours !== undefined) updateData.operatingHours = operatingHours;
+        if (turnaroundMinutes !== undefined) updateData.turnaroundMinutes = turnaroundMinutes;
+        if (cancellationPolicy !== undefined) updateData.cancellationPolicy = cancellationPolicy;
+        if (requiresApproval !== undefined) updateData.requiresApproval = requiresApproval;
+        if (approvalTimeoutHours !== undefined) updateData.approvalTimeoutHours = approvalTimeoutHours;
+        if (acceptedGoodsCategories !== undefined) updateData.acceptedGoodsCategories = acceptedGoodsCategories;
+        if (vehicleType !== undefined) updateData.vehicleType = vehicleType;
+        if (bodyType !== undefined) updateData.bodyType = bodyType;
+        if (volumeM3 !== undefined) updateData.volumeM3 = volumeM3;
+        if (features !== undefined) updateData.features = features;
+        if (bedDimensions !== undefined) {
+            updateData.bedDimensions = bedDimensions;
+            // Updates skip the model's validate hook, so derive the volume here
+            const bedVolume = calculateBedVolume(bedDimensions);
+            if (bedVolume !== null) updateData.volumeM3 = bedVolume;
+        }
+
+        // The service radius is measured from the home base, which may already be stored
+        if (serviceArea !== undefined || homePincode !== undefined) {
+            const current = await Vehicle.findById(id).select('homePincode serviceArea');
+            if (!current) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Vehicle not found'
+                });
+            }
+
+            const area = normalizeServiceArea(
+                serviceArea !== undefined ? serviceArea : current.serviceArea,
+                homePincode !== undefined ? homePincode : current.homePincode
+            );
+            if (area.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: area.error
+                });
+            }
+
+            if (serviceArea !== undefined) updateData.serviceArea = area.serviceArea;
+            if (homePincode !== undefined) updateData.homePincode = homePincode || null;
+        }
 
         const vehicle = await Vehicle.findByIdAndUpdate(
             id,
@@ -472,7 +856,7 @@ const deleteVehicle = async (req, res) => {
         // Check if vehicle has active bookings
         const activeBookings = await Booking.countDocuments({
             vehicleId: id,
-            status: BOOKING_STATUS.ACTIVE
+            status: { $in: [...SLOT_HOLDING_STATUSES, BOOKING_STATUS.PENDING] }
         });
 
         if (activeBookings > 0) {
@@ -617,7 +1001,7 @@ const deleteUserVehicle = async (req, res) => {
         // Check for active bookings
         const activeBookings = await Booking.find({
             vehicleId: vehicleId,
-            status: 'active'
+            status: { $in: [...SLOT_HOLDING_STATUSES, BOOKING_STATUS.PENDING] }
         });
 
         if (activeBookings.length > 0) {
@@ -0,0 +1,479 @@
+/**
+ * Waitlist Controller for FleetLink
+ * @fileoverview Waitlists for fully booked time slots and offering freed slots to waiting customers
+ */
+
+const { Booking } = require('../models/Booking');
+const Vehicle = require('../models/Vehicle');
+const Downtime = require('../models/Downtime');
+const ComplianceDocument = require('../models/ComplianceDocument');
+const { Notification } = require('../models/Notification');
+const { VehicleLock } = require('../models/VehicleLock');
+const { WaitlistEntry, WAITLIST_STATUS, OFFER_CLAIM_MINUTES } = require('../models/WaitlistEntry');
+const { estimateRide, calculateEndTime, checkBookingConflict } = require('../utils/rideCalculations');
+const { checkOperatingHours } = require('../utils/operatingHours');
+const { checkServiceArea } = require('../utils/serviceArea');
+
+/**
+ * Check whether a vehicle can take a waitlisted request right now and, if so, offer it
+ * @async
+ * @function offerToEntry
+ * @param {Object} entry - Waiting entry
+ * @param {Object} vehicle - Vehicle document
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} Offered entry, or null when the vehicle cannot take the request
+ */
+const offerToEntry = async (entry, vehicle, now) => {
+    if (!checkServiceArea(vehicle, [entry.pincodes.start, entry.pincodes.end]).isWithin) {
+        return null;
+    }
+
+    let ride;
+    try {
+        ride = estimateRide(entry.pincodes.start, entry.pincodes.end, { vehicleType: vehicle.vehicleType });
+    } catch (error) {
+        return null;
+    }
+    const start = entry.times.start;
+    const end = calculateEndTime(start, ride.durationHours);
+
+    if (!checkOperatingHours(vehicle.operatingHours, start, end).isWithin) {
+        return null;
+    }
+
+    // The customer could not book a vehicle whose documents lapse before the ride ends
+    const compliance = await ComplianceDocument.checkVehicle(vehicle._id, end);
+    if (!compliance.isCompliant) {
+        return null;
+    }
+
+    const claimDeadline = new Date(now.getTime() + OFFER_CLAIM_MINUTES * 60 * 1000);
+
+    return VehicleLock.withLock(vehicle._id, async () => {
+        const [existingBookings, downtimeBlocks, heldOffers] = await Promise.all([
+            Booking.findActiveBookingsForVehicle(vehicle._id, start, end, { includeAdjacent: true }),
+            Downtime.findOverlapping(vehicle._id, start, end),
+            WaitlistEntry.findHeldOffers(vehicle._id, start, end)
+        ]);
+        const conflictCheck = checkBookingConflict([...existingBookings, ...heldOffers], start, end, downtimeBlocks, {
+            turnaroundMinutes: vehicle.turnaroundMinutes,
+            fromPincode: entry.pincodes.start,
+            toPincode: entry.pincodes.end
+        });
+        if (conflictCheck.hasConflict) {
+            return null;
+        }
+
+        // Conditional update so an entry left at the same moment is not offered
+        return WaitlistEntry.findOneAndUpdate(
+            { _id: entry._id, status: WAITLIST_STATUS.WAITING },
+            {
+                status: WAITLIST_STATUS.OFFERED,
+                'times.end': end,
+                offer: {
+                    vehicleId: vehicle._id,
+                    offeredAt: now,
+                    expiresAt: claimDeadline < start ? claimDeadline : start
+                }
+            },
+            { new: true }
+        );
+    });
+};
+
+/**
+ * Offer a freed time slot to the first eligible waitlisted request
+ * @async
+ * @function offerFreedSlot
+ * @param {ObjectId|string} vehicleId - Vehicle whose slot was freed
+ * @param {Object} times - { start, end } of the freed slot
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object|null>} Offered entry, or null when nobody could take the slot
+ * @description Waiting requests for this vehicle, or for any vehicle with no more capacity than it
+ * has, that overlap the freed slot are tried oldest first. The first one the vehicle can now serve
+ * holds the slot for OFFER_CLAIM_MINUTES and its customer is notified. Callers should not fail when
+ * this does; the offer is a courtesy on top of the cancellation.
+ * @example
+ * await offerFreedSlot(booking.vehicleId, booking.times);
+ */
+const offerFreedSlot = async (vehicleId, times, now = new Date()) => {
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle || !vehicle.isActive) {
+        return null;
+    }
+
+    const candidates = await WaitlistEntry.find({
+        status: WAITLIST_STATUS.WAITING,
+        'times.start': { $gt: now, $lt: times.end },
+        'times.end': { $gt: times.start },
+        $or: [
+            { vehicleId: vehicle._id },
+            { vehicleId: null, capacityRequired: { $lte: vehicle.capacityKg } }
+        ]
+    }).sort({ createdAt: 1 });
+
+    for (const candidate of candidates) {
+        const entry = await offerToEntry(candidate, vehicle, now);
+        if (!entry) {
+            continue;
+        }
+
+        try {
+            await Notification.createBookingNotification(entry.userId, null, {
+                type: 'waitlist_offered',
+                vehicleId: vehicle._id,
+                vehicleName: vehicle.name,
+                fromPincode: entry.pincodes.start,
+                toPincode: entry.pincodes.end,
+                startTime: entry.times.start,
+                endTime: entry.times.end,
+                waitlistEntryId: entry._id,
+                expiresAt: entry.offer.expiresAt
+            });
+        } catch (notificationError) {
+            console.error('Failed to create waitlist offer notification:', notificationError);
+        }
+
+        return entry;
+    }
+
+    return null;
+};
+
+/**
+ * Mark the customer's offer for a slot as claimed once they have booked it
+ * @async
+ * @function claimWaitlistOffer
+ * @param {Object} booking - Booking the customer just made
+ * @returns {Promise<Object>} Update result
+ */
+const claimWaitlistOffer = (booking) => WaitlistEntry.updateMany(
+    {
+        userId: booking.userId,
+        status: WAITLIST_STATUS.OFFERED,
+        'offer.vehicleId': booking.vehicleId,
+        'times.start': booking.times.start
+    },
+    { status: WAITLIST_STATUS.CLAIMED, bookingId: booking._id }
+);
+
+/**
+ * Join the waitlist for a fully booked time slot
+ * @async
+ * @function joinWaitlist
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Waitlist request
+ * @param {string} [req.body.vehicleId] - Vehicle to wait for
+ * @param {number} [req.body.capacityRequired] - Wait for any vehicle with this capacity instead
+ * @param {string} req.body.fromPincode - Starting location pincode
+ * @param {string} req.body.toPincode - Destination pincode
+ * @param {string} req.body.startTime - Requested start time (ISO string)
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Created entry and its place in the queue
+ *
+ * @example
+ * // POST /waitlist
+ * // Body: { "vehicleId": "...", "fromPincode": "110001", "toPincode": "400001", "startTime": "2024-01-15T10:00:00.000Z" }
+ *
+ * // Success response (201)
+ * {
+ *   "success": true,
+ *   "message": "Added to the waitlist",
+ *   "entry": { "id": "...", "vehicleId": "...", "times": {...}, "status": "waiting" },
+ *   "position": 2
+ * }
+ *
+ * // Error responses
+ * // 400 - Validation error
+ * // 404 - Vehicle not found
+ * // 409 - Already on the waitlist for this slot
+ */
+const joinWaitlist = async (req, res) => {
+    try {
+        const { vehicleId, capacityRequired, fromPincode, toPincode, startTime } = req.body;
+        const userId = req.user.id;
+
+        if ((!vehicleId && !capacityRequired) || !fromPincode || !toPincode || !startTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'All fields are required: vehicleId or capacityRequired, fromPincode, toPincode, startTime'
+            });
+        }
+
+        const pincodeRegex = /^\d{6}$/;
+        if (!pincodeRegex.test(fromPincode) || !pincodeRegex.test(toPincode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Pincodes must be 6 digits'
+            });
+        }
+
+        const startDateTime = new Date(startTime);
+        if (isNaN(startDateTime.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start time format'
+            });
+        }
+
+        if (startDateTime <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start time must be in the future'
+            });
+        }
+
+        let vehicle = null;
+        let capacity = null;
+        if (vehicleId) {
+            vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Vehicle not found'
+                });
+            }
+            if (!vehicle.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Vehicle is not available for booking'
+                });
+            }
+        } else {
+            capacity = parseInt(capacityRequired, 10);
+            if (isNaN(capacity) || capacity < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Capacity must be a positive number'
+                });
+            }
+        }
+
+        let ride;
+        try {
+            ride = estimateRide(fromPincode, toPincode, { vehicleType: vehicle && vehicle.vehicleType });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const slotQuery = {
+            vehicleId: vehicle ? vehicle._id : null,
+            'times.start': startDateTime,
+            status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+        };
+        if (await WaitlistEntry.exists({ ...slotQuery, userId })) {
+            return res.status(409).json({
+                success: false,
+                message: 'You are already on the waitlist for this time slot'
+            });
+        }
+
+        const entry = await WaitlistEntry.create({
+            userId,
+            vehicleId: vehicle ? vehicle._id : undefined,
+            capacityRequired: capacity || undefined,
+            pincodes: { start: fromPincode, end: toPincode },
+            times: {
+                start: startDateTime,
+                end: calculateEndTime(startDateTime, ride.durationHours)
+            }
+        });
+
+        const ahead = await WaitlistEntry.countDocuments({
+            ...slotQuery,
+            status: WAITLIST_STATUS.WAITING,
+            createdAt: { $lt: entry.createdAt }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to the waitlist',
+            entry: entry.getSummary(),
+            position: ahead + 1
+        });
+
+    } catch (error) {
+        console.error('Join waitlist error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vehicle ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get the current user's waitlist entries
+ * @async
+ * @function getUserWaitlist
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Entries, newest first
+ */
+const getUserWaitlist = async (req, res) => {
+    try {
+        const entries = await WaitlistEntry.find({ userId: req.user.id })
+            .populate('vehicleId', 'name capacityKg tyres')
+            .populate('offer.vehicleId', 'name capacityKg tyres')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            entries: entries.map(entry => ({
+                ...entry.getSummary(),
+                vehicle: entry.vehicleId || (entry.offer && entry.offer.vehicleId) || null
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get user waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Leave the waitlist, passing an offered slot on to the next customer
+ * @async
+ * @function leaveWaitlist
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Waitlist entry ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Success or error response
+ */
+const leaveWaitlist = async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        if (entry.userId.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to manage this waitlist entry'
+            });
+        }
+
+        if (![WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED].includes(entry.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Waitlist entry is already ${entry.status}`
+            });
+        }
+
+        const wasOffered = entry.status === WAITLIST_STATUS.OFFERED;
+        entry.status = WAITLIST_STATUS.CANCELLED;
+        await entry.save();
+
+        if (wasOffered) {
+            try {
+                await offerFreedSlot(entry.offer.vehicleId, entry.times);
+            } catch (offerError) {
+                console.error('Failed to offer freed slot to the waitlist:', offerError);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Removed from the waitlist'
+        });
+
+    } catch (error) {
+        console.error('Leave waitlist error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid waitlist entry ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Expire unclaimed offers and entries whose slot has started
+ * @async
+ * @function expireWaitlistOffers
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of offers expired
+ * @description Run periodically by the server. Each expired offer is passed on to the next
+ * eligible request; offers past their deadline stop holding the slot even before this runs.
+ * @example
+ * const expired = await expireWaitlistOffers();
+ */
+const expireWaitlistOffers = async (now = new Date()) => {
+    await WaitlistEntry.updateMany(
+        { status: WAITLIST_STATUS.WAITING, 'times.start': { $lte: now } },
+        { status: WAITLIST_STATUS.EXPIRED }
+    );
+
+    const expiredOffers = await WaitlistEntry.find({
+        status: WAITLIST_STATUS.OFFERED,
+        'offer.expiresAt': { $lte: now }
+    });
+
+    let expiredCount = 0;
+    for (const entry of expiredOffers) {
+        // Conditional update so a claim arriving at the same moment wins
+        const result = await WaitlistEntry.updateOne(
+            { _id: entry._id, status: WAITLIST_STATUS.OFFERED },
+            { status: WAITLIST_STATUS.EXPIRED }
+        );
+        if (result.modifiedCount === 0) {
+            continue;
+        }
+        expiredCount++;
+
+        try {
+            await offerFreedSlot(entry.offer.vehicleId, entry.times, now);
+        } catch (offerError) {
+            console.error('Failed to offer freed slot to the waitlist:', offerError);
+        }
+    }
+
+    return expiredCount;
+};
+
+module.exports = {
+    offerFreedSlot,
+    claimWaitlistOffer,
+    joinWaitlist,
+    getUserWaitlist,
+    leaveWaitlist,
+    expireWaitlistOffers
+};
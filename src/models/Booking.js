@@ -4,18 +4,172 @@
  */
 
 const mongoose = require('mongoose');
+const { LOAD_TYPES } = require('../utils/sharedLoads');
+const { GOODS_CATEGORIES } = require('../utils/cargoManifest');
 
 /**
- * Booking status enum
+ * Booking status enum; `confirmed` bookings are awaiting dispatch. Bookings stored as `active` by
+ * earlier versions are renamed by migrateLegacyStatuses
  * @readonly
  * @enum {string}
  */
 const BOOKING_STATUS = {
-    ACTIVE: 'active',
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    DISPATCHED: 'dispatched',
+    IN_TRANSIT: 'in_transit',
+    DELIVERED: 'delivered',
     COMPLETED: 'completed',
-    CANCELLED: 'cancelled'
+    CANCELLED: 'cancelled',
+    REJECTED: 'rejected',
+    NO_SHOW: 'no_show',
+    FAILED: 'failed'
 };
 
+/**
+ * Allowed status transitions; statuses without an entry are final
+ * @constant {Object<string, Array<string>>}
+ */
+const BOOKING_TRANSITIONS = Object.freeze({
+    [BOOKING_STATUS.PENDING]: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.REJECTED, BOOKING_STATUS.CANCELLED],
+    [BOOKING_STATUS.CONFIRMED]: [BOOKING_STATUS.DISPATCHED, BOOKING_STATUS.CANCELLED, BOOKING_STATUS.NO_SHOW],
+    [BOOKING_STATUS.DISPATCHED]: [BOOKING_STATUS.IN_TRANSIT, BOOKING_STATUS.NO_SHOW, BOOKING_STATUS.FAILED],
+    [BOOKING_STATUS.IN_TRANSIT]: [BOOKING_STATUS.DELIVERED, BOOKING_STATUS.FAILED],
+    [BOOKING_STATUS.DELIVERED]: [BOOKING_STATUS.COMPLETED]
+});
+
+/**
+ * Confirmed bookings that keep the vehicle reserved for their time range
+ * @constant {Array<string>}
+ */
+const SLOT_HOLDING_STATUSES = [
+    BOOKING_STATUS.CONFIRMED,
+    BOOKING_STATUS.DISPATCHED,
+    BOOKING_STATUS.IN_TRANSIT,
+    BOOKING_STATUS.DELIVERED
+];
+
+/**
+ * Error raised when a booking is moved to a status its current status does not allow
+ * @class BookingTransitionError
+ * @extends Error
+ */
+class BookingTransitionError extends Error {
+    constructor(from, to) {
+        super(`Cannot change booking status from ${from} to ${to}`);
+        this.name = 'BookingTransitionError';
+        this.status = 400;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Check whether a booking may move from one status to another
+ * @function canTransition
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True when BOOKING_TRANSITIONS allows the move
+ */
+const canTransition = (from, to) => (BOOKING_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Build the query condition matching bookings that hold their slot: confirmed bookings and
+ * pending requests that have not expired yet
+ * @function slotHoldingCondition
+ * @param {Date} [now=new Date()] - Reference time for request expiry
+ * @returns {Object} MongoDB query condition
+ */
+const slotHoldingCondition = (now = new Date()) => ({
+    $or: [
+        { status: { $in: SLOT_HOLDING_STATUSES } },
+        { status: BOOKING_STATUS.PENDING, 'approval.expiresAt': { $gt: now } }
+    ]
+});
+
+/**
+ * Status transition history entry
+ * @typedef {Object} StatusTransitionSchema
+ * @property {string} from - Status before the transition
+ * @property {string} to - Status after the transition
+ * @property {Date} at - When the transition happened
+ * @property {ObjectId} by - User who made the transition; absent for automatic transitions
+ * @property {string} note - Optional remark, e.g. why a delivery failed
+ */
+const statusTransitionSchema = new mongoose.Schema({
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    at: { type: Date, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Transition note cannot exceed 300 characters']
+    }
+}, { _id: false });
+
+/**
+ * Intermediate stop schema
+ * @typedef {Object} RouteStopSchema
+ * @property {string} pincode - Stop pincode
+ * @property {number} pickupKg - Cargo loaded at the stop
+ * @property {number} dropKg - Cargo unloaded at the stop
+ * @property {number} dwellMinutes - Time the vehicle waits at the stop
+ * @property {Date} arrivalTime - Scheduled arrival
+ * @property {Date} departureTime - Scheduled departure, after the dwell time
+ */
+const routeStopSchema = new mongoose.Schema({
+    pincode: {
+        type: String,
+        required: [true, 'Stop pincode is required'],
+        match: [/^\d{6}$/, 'Stop pincode must be 6 digits']
+    },
+    pickupKg: { type: Number, min: [0, 'Pickup weight cannot be negative'], default: 0 },
+    dropKg: { type: Number, min: [0, 'Drop weight cannot be negative'], default: 0 },
+    dwellMinutes: { type: Number, min: [0, 'Dwell time cannot be negative'], default: 0 },
+    arrivalTime: { type: Date, required: true },
+    departureTime: { type: Date, required: true }
+}, { _id: false });
+
+/**
+ * Cargo manifest line schema; weight, volume and value are totals for the line
+ * @typedef {Object} ManifestItemSchema
+ * @property {string} description - What the line contains
+ * @property {number} quantity - Number of units
+ * @property {number} weightKg - Weight of the line in kilograms
+ * @property {number} volumeM3 - Volume of the line in cubic metres
+ * @property {number} declaredValue - Declared value of the line
+ */
+const manifestItemSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: [true, 'Item description is required'],
+        trim: true,
+        maxlength: [200, 'Item description cannot exceed 200 characters']
+    },
+    quantity: { type: Number, min: [1, 'Quantity must be at least 1'], default: 1 },
+    weightKg: { type: Number, required: true, min: [0, 'Item weight cannot be negative'] },
+    volumeM3: { type: Number, min: [0, 'Item volume cannot be negative'], default: 0 },
+    declaredValue: { type: Number, min: [0, 'Declared value cannot be negative'], default: 0 }
+}, { _id: false });
+
+/**
+ * Fare line item schema
+ * @typedef {Object} FareItemSchema
+ * @property {string} code - Item code (base, duration, capacity, distance, night, weekend)
+ * @property {string} label - Human readable description
+ * @property {number} quantity - Units charged
+ * @property {number} rate - Rate per unit
+ * @property {number} amount - Line total
+ */
+const fareItemSchema = new mongoose.Schema({
+    code: { type: String, required: true },
+    label: { type: String, required: true },
+    quantity: { type: Number, required: true },
+    rate: { type: Number, required: true },
+    amount: { type: Number, required: true }
+}, { _id: false });
+
 /**
  * Booking schema definition
  * @typedef {Object} BookingSchema
@@ -23,6 +177,18 @@ const BOOKING_STATUS = {
  * @property {ObjectId} userId - Reference to User
  * @property {Object} pincodes - Start and end pincodes
  * @property {Object} times - Start and end times
+ * @property {Array<Object>} stops - Ordered intermediate stops between the start and end pincodes
+ * @property {number} distanceKm - Great-circle distance between the pincodes, when known
+ * @property {string} loadType - Whole vehicle (`full`) or a part-truck load sharing it (`shared`)
+ * @property {number} loadKg - Cargo weight in kilograms; required for shared loads
+ * @property {Object} cargo - Goods category, manifest lines and their totals
+ * @property {Object} price - Fare agreed when the booking was made or last rescheduled
+ * @property {Object} cancellation - When and by whom the booking was cancelled, and the fee charged
+ * @property {Object} approval - Owner approval request: expiry, decision and reason
+ * @property {Array<Object>} transitions - Status changes with timestamp and actor
+ * @property {ObjectId} seriesId - Recurring series this booking is an occurrence of
+ * @property {number} occurrenceIndex - Position of the occurrence in its series, from 0
+ * @property {ObjectId} groupId - Split shipment this booking carries part of
  * @property {string} status - Booking status
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
@@ -60,13 +226,94 @@ const bookingSchema = new mongoose.Schema({
             required: [true, 'End time is required']
         }
     },
+    stops: {
+        type: [routeStopSchema],
+        default: []
+    },
+    distanceKm: {
+        type: Number,
+        min: [0, 'Distance cannot be negative'],
+        default: null
+    },
+    loadType: {
+        type: String,
+        enum: {
+            values: Object.values(LOAD_TYPES),
+            message: `Load type must be one of: ${Object.values(LOAD_TYPES).join(', ')}`
+        },
+        default: LOAD_TYPES.FULL
+    },
+    loadKg: {
+        type: Number,
+        min: [1, 'Load must be at least 1 kg'],
+        required: [
+            function () { return this.loadType === LOAD_TYPES.SHARED; },
+            'Load weight is required for shared loads'
+        ]
+    },
+    cargo: {
+        category: {
+            type: String,
+            enum: {
+                values: Object.values(GOODS_CATEGORIES),
+                message: `Goods category must be one of: ${Object.values(GOODS_CATEGORIES).join(', ')}`
+            }
+        },
+        items: { type: [manifestItemSchema], default: undefined },
+        totalWeightKg: { type: Number, min: [0, 'Cargo weight cannot be negative'] },
+        totalVolumeM3: { type: Number, min: [0, 'Cargo volume cannot be negative'] },
+        declaredValue: { type: Number, min: [0, 'Declared value cannot be negative'] }
+    },
+    price: {
+        currency: { type: String },
+        items: { type: [fareItemSchema], default: undefined },
+        subtotal: { type: Number, min: [0, 'Subtotal cannot be negative'] },
+        total: { type: Number, min: [0, 'Total cannot be negative'] },
+        tariffId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tariff' },
+        quotedAt: { type: Date }
+    },
+    cancellation: {
+        cancelledAt: { type: Date },
+        cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        hoursBeforeStart: { type: Number },
+        feePercent: { type: Number, min: [0, 'Cancellation fee cannot be negative'] },
+        fee: { type: Number, min: [0, 'Cancellation fee cannot be negative'] },
+        currency: { type: String }
+    },
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookingSeries'
+    },
+    occurrenceIndex: {
+        type: Number,
+        min: [0, 'Occurrence index cannot be negative']
+    },
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookingGroup'
+    },
+    approval: {
+        expiresAt: { type: Date },
+        decidedAt: { type: Date },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Approval reason cannot exceed 300 characters']
+        },
+        expired: { type: Boolean }
+    },
+    transitions: {
+        type: [statusTransitionSchema],
+        default: []
+    },
     status: {
         type: String,
         enum: {
             values: Object.values(BOOKING_STATUS),
             message: `Status must be one of: ${Object.values(BOOKING_STATUS).join(', ')}`
         },
-        default: BOOKING_STATUS.ACTIVE
+        default: BOOKING_STATUS.CONFIRMED
     }
 }, {
     timestamps: true,
@@ -80,6 +327,9 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ vehicleId: 1, 'times.start': 1, 'times.end': 1 });
 bookingSchema.index({ userId: 1, status: 1 });
 bookingSchema.index({ status: 1, 'times.start': 1 });
+bookingSchema.index({ status: 1, 'approval.expiresAt': 1 });
+bookingSchema.index({ seriesId: 1, 'times.start': 1 }, { sparse: true });
+bookingSchema.index({ groupId: 1 }, { sparse: true });
 
 /**
  * Virtual for booking duration in hours
@@ -96,9 +346,16 @@ bookingSchema.virtual('durationHours').get(function () {
  */
 bookingSchema.virtual('statusDisplay').get(function () {
     const statusMap = {
-        [BOOKING_STATUS.ACTIVE]: 'Active',
+        [BOOKING_STATUS.PENDING]: 'Awaiting Approval',
+        [BOOKING_STATUS.CONFIRMED]: 'Confirmed',
+        [BOOKING_STATUS.DISPATCHED]: 'Dispatched',
+        [BOOKING_STATUS.IN_TRANSIT]: 'In Transit',
+        [BOOKING_STATUS.DELIVERED]: 'Delivered',
         [BOOKING_STATUS.COMPLETED]: 'Completed',
-        [BOOKING_STATUS.CANCELLED]: 'Cancelled'
+        [BOOKING_STATUS.CANCELLED]: 'Cancelled',
+        [BOOKING_STATUS.REJECTED]: 'Rejected',
+        [BOOKING_STATUS.NO_SHOW]: 'No Show',
+        [BOOKING_STATUS.FAILED]: 'Failed'
     };
     return statusMap[this.status] || 'Unknown';
 });
@@ -110,6 +367,30 @@ bookingSchema.virtual('url').get(function () {
     return `/api/bookings/${this._id}`;
 });
 
+/**
+ * Remember the stored status so saves can check the transition
+ */
+bookingSchema.post('init', function () {
+    this.$locals.storedStatus = this.status;
+});
+
+bookingSchema.post('save', function () {
+    this.$locals.storedStatus = this.status;
+});
+
+/**
+ * Pre-save middleware to reject status changes outside BOOKING_TRANSITIONS
+ */
+bookingSchema.pre('save', function (next) {
+    const storedStatus = this.$locals.storedStatus;
+    if (!this.isNew && storedStatus && this.isModified('status') && storedStatus !== this.status &&
+        !canTransition(storedStatus, this.status)) {
+        return next(new BookingTransitionError(storedStatus, this.status));
+    }
+
+    next();
+});
+
 /**
  * Pre-save middleware to validate booking times
  */
@@ -128,13 +409,18 @@ bookingSchema.pre('save', function (next) {
 });
 
 /**
- * Static method to find active bookings for a vehicle in a time range
+ * Static method to find bookings holding a vehicle's slot in a time range
  * @async
  * @function findActiveBookingsForVehicle
  * @param {ObjectId} vehicleId - Vehicle ID
  * @param {Date} startTime - Start time
  * @param {Date} endTime - End time
- * @returns {Promise<Array>} Array of active bookings
+ * @param {Object} [options] - Query options
+ * @param {ObjectId|string} [options.excludeBookingId] - Booking to leave out, e.g. the one being rescheduled
+ * @param {Array<ObjectId|string>} [options.excludeBookingIds] - Bookings to leave out, e.g. the series occurrences being moved
+ * @param {boolean} [options.includeAdjacent] - Also return the last booking ending before the range and
+ * the first starting after it, which decide whether turnaround time fits
+ * @returns {Promise<Array>} Active bookings and unexpired pending requests
  * @example
  * // Find active bookings for a vehicle
  * const bookings = await Booking.findActiveBookingsForVehicle(
@@ -142,20 +428,110 @@ bookingSchema.pre('save', function (next) {
  *   new Date('2024-01-15T10:00:00Z'),
  *   new Date('2024-01-15T16:00:00Z')
  * );
+ *
+ * // Ignore the booking being moved
+ * const others = await Booking.findActiveBookingsForVehicle(vehicleId, start, end, {
+ *   excludeBookingId: booking._id
+ * });
+ *
+ * // Include the neighbouring bookings for turnaround checks
+ * const nearby = await Booking.findActiveBookingsForVehicle(vehicleId, start, end, {
+ *   includeAdjacent: true
+ * });
  */
-bookingSchema.statics.findActiveBookingsForVehicle = function (vehicleId, startTime, endTime) {
-    return this.find({
+bookingSchema.statics.findActiveBookingsForVehicle = function (vehicleId, startTime, endTime, options = {}) {
+    // Pending requests hold the slot until the owner answers or the request expires
+    const baseQuery = { vehicleId, ...slotHoldingCondition() };
+    const query = {
         vehicleId,
-        status: BOOKING_STATUS.ACTIVE,
-        $or: [
-            // Booking starts within the time range
-            { 'times.start': { $gte: startTime, $lt: endTime } },
-            // Booking ends within the time range
-            { 'times.end': { $gt: startTime, $lte: endTime } },
-            // Booking completely encompasses the time range
-            { 'times.start': { $lte: startTime }, 'times.end': { $gte: endTime } }
+        $and: [
+            slotHoldingCondition(),
+            {
+                $or: [
+                    // Booking starts within the time range
+                    { 'times.start': { $gte: startTime, $lt: endTime } },
+                    // Booking ends within the time range
+                    { 'times.end': { $gt: startTime, $lte: endTime } },
+                    // Booking completely encompasses the time range
+                    { 'times.start': { $lte: startTime }, 'times.end': { $gte: endTime } }
+                ]
+            }
         ]
-    }).populate('userId', 'name email');
+    };
+
+    // Both exclusion options may be given together, so they share one list
+    const excluded = [
+        ...(options.excludeBookingId ? [options.excludeBookingId] : []),
+        ...(options.excludeBookingIds || [])
+    ];
+    if (excluded.length > 0) {
+        query._id = { $nin: excluded };
+        baseQuery._id = { $nin: excluded };
+    }
+
+    if (!options.includeAdjacent) {
+        return this.find(query).populate('userId', 'name email');
+    }
+
+    return Promise.all([
+        this.findOne({ ...baseQuery, 'times.end': { $lte: startTime } })
+            .sort({ 'times.end': -1 })
+            .populate('userId', 'name email'),
+        this.find(query).populate('userId', 'name email'),
+        this.findOne({ ...baseQuery, 'times.start': { $gte: endTime } })
+            .sort({ 'times.start': 1 })
+            .populate('userId', 'name email')
+    ]).then(([previous, overlapping, next]) => [previous, ...overlapping, next].filter(Boolean));
+};
+
+/**
+ * Static method to load the bookings holding any of several vehicles in a time range, in a
+ * single aggregation grouped by vehicle
+ * @async
+ * @function findActiveBookingsByVehicle
+ * @param {Array<ObjectId>} vehicleIds - Vehicle IDs
+ * @param {Date} startTime - Start of the range
+ * @param {Date} endTime - End of the range
+ * @returns {Promise<Map<string, Array<Object>>>} Plain bookings (times, pincodes, status, load)
+ * sorted by start time and keyed by vehicle ID; vehicles without bookings have no entry
+ * @example
+ * // Every booking around a search, one query however many vehicles match
+ * const bookingsByVehicle = await Booking.findActiveBookingsByVehicle(
+ *   vehicles.map(vehicle => vehicle._id),
+ *   suggestionStart,
+ *   suggestionEnd
+ * );
+ * const bookings = bookingsByVehicle.get(vehicle._id.toString()) || [];
+ */
+bookingSchema.statics.findActiveBookingsByVehicle = async function (vehicleIds, startTime, endTime) {
+    const groups = await this.aggregate([
+        {
+            $match: {
+                vehicleId: { $in: vehicleIds },
+                'times.start': { $lt: endTime },
+                'times.end': { $gt: startTime },
+                ...slotHoldingCondition()
+            }
+        },
+        { $sort: { 'times.start': 1 } },
+        {
+            $group: {
+                _id: '$vehicleId',
+                bookings: {
+                    $push: {
+                        _id: '$_id',
+                        status: '$status',
+                        times: '$times',
+                        pincodes: '$pincodes',
+                        loadType: '$loadType',
+                        loadKg: '$loadKg'
+                    }
+                }
+            }
+        }
+    ]);
+
+    return new Map(groups.map(group => [group._id.toString(), group.bookings]));
 };
 
 /**
@@ -169,8 +545,8 @@ bookingSchema.statics.findActiveBookingsForVehicle = function (vehicleId, startT
  * // Find all user bookings
  * const bookings = await Booking.findUserBookings(userId);
  * 
- * // Find only active bookings
- * const activeBookings = await Booking.findUserBookings(userId, 'active');
+ * // Find only confirmed bookings
+ * const confirmedBookings = await Booking.findUserBookings(userId, 'confirmed');
  */
 bookingSchema.statics.findUserBookings = function (userId, status = null) {
     const query = { userId };
@@ -191,32 +567,73 @@ bookingSchema.statics.findUserBookings = function (userId, status = null) {
  * @example
  * // Get booking statistics
  * const stats = await Booking.getStats();
- * // Returns: { total: 100, active: 20, completed: 70, cancelled: 10 }
+ * // Returns: { total: 100, pending: 2, confirmed: 18, dispatched: 1, in_transit: 1, delivered: 0,
+ * //            completed: 70, cancelled: 6, rejected: 2, no_show: 0, failed: 0 }
  */
 bookingSchema.statics.getStats = async function () {
-    const total = await this.countDocuments();
-    const active = await this.countDocuments({ status: BOOKING_STATUS.ACTIVE });
-    const completed = await this.countDocuments({ status: BOOKING_STATUS.COMPLETED });
-    const cancelled = await this.countDocuments({ status: BOOKING_STATUS.CANCELLED });
+    const counts = await this.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
 
-    return {
-        total,
-        active,
-        completed,
-        cancelled
-    };
+    const stats = { total: 0 };
+    for (const status of Object.values(BOOKING_STATUS)) {
+        stats[status] = 0;
+    }
+    for (const { _id, count } of counts) {
+        stats[_id] = count;
+        stats.total += count;
+    }
+
+    return stats;
+};
+
+/**
+ * Status values stored by earlier versions, mapped to their current name
+ * @constant {Object<string, string>}
+ */
+const LEGACY_STATUSES = Object.freeze({
+    active: BOOKING_STATUS.CONFIRMED
+});
+
+/**
+ * Static method to rename statuses stored by earlier versions, in both the booking status and
+ * its recorded transitions
+ * @async
+ * @function migrateLegacyStatuses
+ * @returns {Promise<number>} Number of bookings whose status was renamed
+ * @description Safe to run repeatedly; the server runs it on start before serving requests
+ * @example
+ * // Bookings saved as 'active' become 'confirmed'
+ * const renamed = await Booking.migrateLegacyStatuses();
+ */
+bookingSchema.statics.migrateLegacyStatuses = async function () {
+    let renamed = 0;
+    for (const [legacy, current] of Object.entries(LEGACY_STATUSES)) {
+        const result = await this.collection.updateMany({ status: legacy }, { $set: { status: current } });
+        renamed += result.modifiedCount;
+
+        for (const field of ['from', 'to']) {
+            await this.collection.updateMany(
+                { [`transitions.${field}`]: legacy },
+                { $set: { [`transitions.$[entry].${field}`]: current } },
+                { arrayFilters: [{ [`entry.${field}`]: legacy }] }
+            );
+        }
+    }
+
+    return renamed;
 };
 
 /**
- * Instance method to check if booking is active
+ * Instance method to check if booking is confirmed and awaiting dispatch
  * @function isActive
- * @returns {boolean} True if booking is active
+ * @returns {boolean} True if booking is confirmed
  * @example
  * // Check if booking is active
  * const isActive = booking.isActive();
  */
 bookingSchema.methods.isActive = function () {
-    return this.status === BOOKING_STATUS.ACTIVE;
+    return this.status === BOOKING_STATUS.CONFIRMED;
 };
 
 /**
@@ -228,41 +645,87 @@ bookingSchema.methods.isActive = function () {
  * const canCancel = booking.canBeCancelled();
  */
 bookingSchema.methods.canBeCancelled = function () {
-    // Can only cancel active bookings that haven't started yet
-    return this.status === BOOKING_STATUS.ACTIVE && this.times.start > new Date();
+    // Can only cancel bookings the state machine allows that haven't started yet
+    return canTransition(this.status, BOOKING_STATUS.CANCELLED) && this.times.start > new Date();
+};
+
+/**
+ * Instance method to check if booking can be rescheduled
+ * @function canBeRescheduled
+ * @returns {boolean} True if booking can be rescheduled
+ * @example
+ * // Only draggable bars on the fleet timeline
+ * const canMove = booking.canBeRescheduled();
+ */
+bookingSchema.methods.canBeRescheduled = function () {
+    // Confirmed bookings that haven't started, and not one part of a split shipment
+    return this.status === BOOKING_STATUS.CONFIRMED && !this.groupId && this.times.start > new Date();
+};
+
+/**
+ * Instance method to move the booking to another status
+ * @function transitionTo
+ * @param {string} status - Target status
+ * @param {Object} [options] - Transition details
+ * @param {ObjectId|string} [options.by] - User making the change
+ * @param {string} [options.note] - Optional remark stored with the transition
+ * @param {Date} [options.at=new Date()] - When the transition happened
+ * @returns {Booking} The booking, not yet saved
+ * @throws {BookingTransitionError} When the current status does not allow the move
+ * @example
+ * // Dispatch a confirmed booking
+ * booking.transitionTo(BOOKING_STATUS.DISPATCHED, { by: req.user._id });
+ * await booking.save();
+ */
+bookingSchema.methods.transitionTo = function (status, options = {}) {
+    if (!canTransition(this.status, status)) {
+        throw new BookingTransitionError(this.status, status);
+    }
+
+    this.transitions.push({
+        from: this.status,
+        to: status,
+        at: options.at || new Date(),
+        by: options.by,
+        note: options.note
+    });
+    this.status = status;
+    return this;
 };
 
 /**
  * Instance method to cancel booking
  * @function cancel
+ * @param {ObjectId|string} [by] - User cancelling the booking
  * @returns {Promise<Booking>} Updated booking
  * @example
  * // Cancel booking
  * const cancelledBooking = await booking.cancel();
  */
-bookingSchema.methods.cancel = function () {
+bookingSchema.methods.cancel = function (by) {
     if (!this.canBeCancelled()) {
         throw new Error('Booking cannot be cancelled');
     }
 
-    this.status = BOOKING_STATUS.CANCELLED;
+    this.transitionTo(BOOKING_STATUS.CANCELLED, { by });
     return this.save();
 };
 
 /**
  * Instance method to complete booking
  * @function complete
+ * @param {ObjectId|string} [by] - User completing the booking
  * @returns {Promise<Booking>} Updated booking
  * @example
- * // Complete booking
+ * // Complete a delivered booking
  * const completedBooking = await booking.complete();
  */
-bookingSchema.methods.complete = function () {
-    if (this.status !== BOOKING_STATUS.ACTIVE) {
-        throw new Error('Only active bookings can be completed');
+bookingSchema.methods.complete = function (by) {
+    if (this.status !== BOOKING_STATUS.DELIVERED) {
+        throw new Error('Only delivered bookings can be completed');
     }
 
-    this.status = BOOKING_STATUS.COMPLETED;
+    this.transitionTo(BOOKING_STATUS.COMPLETED, { by });
     return this.save();
 };
 
@@ -281,6 +744,18 @@ bookingSchema.methods.getSummary = function () {
         userId: this.userId,
         pincodes: this.pincodes,
         times: this.times,
+        stops: this.stops,
+        distanceKm: this.distanceKm,
+        loadType: this.loadType,
+        loadKg: this.loadKg,
+        cargo: this.cargo,
+        price: this.price,
+        cancellation: this.cancellation,
+        approval: this.approval,
+        transitions: this.transitions,
+        seriesId: this.seriesId,
+        occurrenceIndex: this.occurrenceIndex,
+        groupId: this.groupId,
         durationHours: this.durationHours,
         status: this.status,
         statusDisplay: this.statusDisplay,
@@ -301,4 +776,13 @@ bookingSchema.methods.toJSON = function () {
 
 const Booking = mongoose.model('Booking', bookingSchema);
 
-module.exports = { Booking, BOOKING_STATUS };
+module.exports = {
+    Booking,
+    BOOKING_STATUS,
+    BOOKING_TRANSITIONS,
+    SLOT_HOLDING_STATUSES,
+    LOAD_TYPES,
+    BookingTransitionError,
+    canTransition,
+    slotHoldingCondition
+};
@@ -0,0 +1,120 @@
+/**
+ * Booking Group Model for FleetLink
+ * @fileoverview Split shipments carried by several vehicles; each vehicle is booked as its own Booking
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Booking group status enum
+ * @readonly
+ * @enum {string}
+ */
+const GROUP_STATUS = {
+    ACTIVE: 'active',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Booking group schema definition
+ * @typedef {Object} BookingGroupSchema
+ * @property {ObjectId} userId - Customer who booked the shipment
+ * @property {Array<ObjectId>} vehicleIds - Vehicles carrying the shipment
+ * @property {number} capacityRequired - Load of the whole shipment in kilograms
+ * @property {number} totalCapacityKg - Combined capacity of the vehicles
+ * @property {Object} pincodes - Route every vehicle drives
+ * @property {Object} times - Shared start and the latest vehicle's end
+ * @property {string} status - Group status
+ * @property {Date} cancelledAt - When the group was cancelled
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+const bookingGroupSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    vehicleIds: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' }],
+        validate: {
+            validator: (ids) => ids.length >= 1,
+            message: 'A booking group needs at least one vehicle'
+        }
+    },
+    capacityRequired: {
+        type: Number,
+        required: [true, 'Required capacity is required'],
+        min: [1, 'Capacity must be at least 1 kg']
+    },
+    totalCapacityKg: {
+        type: Number,
+        required: [true, 'Total capacity is required'],
+        min: [1, 'Capacity must be at least 1 kg']
+    },
+    pincodes: {
+        start: {
+            type: String,
+            required: [true, 'Start pincode is required'],
+            match: [/^\d{6}$/, 'Start pincode must be 6 digits']
+        },
+        end: {
+            type: String,
+            required: [true, 'End pincode is required'],
+            match: [/^\d{6}$/, 'End pincode must be 6 digits']
+        }
+    },
+    times: {
+        start: {
+            type: Date,
+            required: [true, 'Start time is required']
+        },
+        end: {
+            type: Date,
+            required: [true, 'End time is required']
+        }
+    },
+    status: {
+        type: String,
+        enum: {
+            values: Object.values(GROUP_STATUS),
+            message: `Status must be one of: ${Object.values(GROUP_STATUS).join(', ')}`
+        },
+        default: GROUP_STATUS.ACTIVE
+    },
+    cancelledAt: { type: Date }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for efficient queries
+ */
+bookingGroupSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Instance method to get booking group summary
+ * @function getSummary
+ * @returns {Object} Booking group summary
+ */
+bookingGroupSchema.methods.getSummary = function () {
+    return {
+        id: this._id.toString(),
+        userId: this.userId,
+        vehicleIds: this.vehicleIds,
+        capacityRequired: this.capacityRequired,
+        totalCapacityKg: this.totalCapacityKg,
+        pincodes: this.pincodes,
+        times: this.times,
+        status: this.status,
+        cancelledAt: this.cancelledAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+const BookingGroup = mongoose.model('BookingGroup', bookingGroupSchema);
+
+module.exports = { BookingGroup, GROUP_STATUS };
@@ -0,0 +1,141 @@
+/**
+ * Booking Series Model for FleetLink
+ * @fileoverview Recurring bookings for a scheduled route; each occurrence is stored as its own Booking
+ */
+
+const mongoose = require('mongoose');
+const { RECURRENCE_FREQUENCIES, WEEKDAY_CODES, MAX_OCCURRENCES } = require('../utils/recurrence');
+
+/**
+ * Booking series status enum
+ * @readonly
+ * @enum {string}
+ */
+const SERIES_STATUS = {
+    ACTIVE: 'active',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Booking series schema definition
+ * @typedef {Object} BookingSeriesSchema
+ * @property {ObjectId} userId - Customer who booked the series
+ * @property {ObjectId} vehicleId - Reference to Vehicle
+ * @property {Object} pincodes - Route of every occurrence unless edited individually
+ * @property {Date} firstStart - Start time the recurrence was expanded from
+ * @property {string} timezone - Time zone weekdays and the time of day are taken in
+ * @property {Object} recurrence - { frequency, interval, byWeekday, count, until, rule }
+ * @property {number} occurrenceCount - Occurrences booked when the series was created
+ * @property {string} status - Series status
+ * @property {Date} cancelledAt - When the whole series was cancelled
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+const bookingSeriesSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: [true, 'Vehicle ID is required']
+    },
+    pincodes: {
+        start: {
+            type: String,
+            required: [true, 'Start pincode is required'],
+            match: [/^\d{6}$/, 'Start pincode must be 6 digits']
+        },
+        end: {
+            type: String,
+            required: [true, 'End pincode is required'],
+            match: [/^\d{6}$/, 'End pincode must be 6 digits']
+        }
+    },
+    firstStart: {
+        type: Date,
+        required: [true, 'First start time is required']
+    },
+    timezone: {
+        type: String,
+        required: [true, 'Time zone is required']
+    },
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: {
+                values: RECURRENCE_FREQUENCIES,
+                message: `Frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`
+            },
+            required: [true, 'Recurrence frequency is required']
+        },
+        interval: {
+            type: Number,
+            min: [1, 'Interval must be at least 1'],
+            default: 1
+        },
+        byWeekday: {
+            type: [{ type: String, enum: WEEKDAY_CODES }],
+            default: []
+        },
+        count: {
+            type: Number,
+            min: [1, 'Count must be at least 1'],
+            max: [MAX_OCCURRENCES, `Count cannot exceed ${MAX_OCCURRENCES}`]
+        },
+        until: { type: Date },
+        rule: { type: String, trim: true }
+    },
+    occurrenceCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: {
+            values: Object.values(SERIES_STATUS),
+            message: `Status must be one of: ${Object.values(SERIES_STATUS).join(', ')}`
+        },
+        default: SERIES_STATUS.ACTIVE
+    },
+    cancelledAt: { type: Date }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for efficient queries
+ */
+bookingSeriesSchema.index({ userId: 1, createdAt: -1 });
+bookingSeriesSchema.index({ vehicleId: 1 });
+
+/**
+ * Instance method to get booking series summary
+ * @function getSummary
+ * @returns {Object} Booking series summary
+ */
+bookingSeriesSchema.methods.getSummary = function () {
+    return {
+        id: this._id.toString(),
+        userId: this.userId,
+        vehicleId: this.vehicleId,
+        pincodes: this.pincodes,
+        firstStart: this.firstStart,
+        timezone: this.timezone,
+        recurrence: this.recurrence,
+        occurrenceCount: this.occurrenceCount,
+        status: this.status,
+        cancelledAt: this.cancelledAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+module.exports = { BookingSeries, SERIES_STATUS };
@@ -0,0 +1,151 @@
+/**
+ * Compliance Document Model for FleetLink
+ * @fileoverview Registration, insurance, permit, fitness and PUC records for vehicles
+ */
+
+const mongoose = require('mongoose');
+const { DOCUMENT_TYPES, checkCompliance } = require('../utils/compliance');
+
+/**
+ * Compliance document schema definition
+ * @typedef {Object} ComplianceDocumentSchema
+ * @property {ObjectId} vehicleId - Reference to Vehicle
+ * @property {string} type - Document type (registration, insurance, permit, fitness, puc)
+ * @property {string} documentNumber - Registration, policy or certificate number
+ * @property {Date} issuedAt - When the document was issued
+ * @property {Date} expiresAt - When the document stops being valid
+ * @property {Object} file - Reference to the uploaded copy, if any
+ * @property {Array<number>} warningsSent - Expiry warning thresholds (days) already sent to the owner
+ * @property {ObjectId} createdBy - User who added the document
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+const complianceDocumentSchema = new mongoose.Schema({
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: [true, 'Vehicle ID is required']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: Object.values(DOCUMENT_TYPES),
+            message: `Document type must be one of: ${Object.values(DOCUMENT_TYPES).join(', ')}`
+        },
+        required: [true, 'Document type is required']
+    },
+    documentNumber: {
+        type: String,
+        required: [true, 'Document number is required'],
+        trim: true,
+        uppercase: true,
+        maxlength: [50, 'Document number cannot exceed 50 characters']
+    },
+    issuedAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    file: {
+        storedName: String,
+        originalName: String,
+        mimeType: String,
+        sizeBytes: Number
+    },
+    warningsSent: {
+        type: [Number],
+        default: []
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Created by user is required']
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for efficient queries
+ */
+complianceDocumentSchema.index({ vehicleId: 1, type: 1, expiresAt: -1 });
+complianceDocumentSchema.index({ expiresAt: 1 });
+
+/**
+ * Pre-save middleware to validate issue and expiry dates
+ */
+complianceDocumentSchema.pre('save', function (next) {
+    if (this.issuedAt && this.issuedAt >= this.expiresAt) {
+        return next(new Error('Expiry date must be after the issue date'));
+    }
+
+    next();
+});
+
+/**
+ * Static method to check whether a vehicle's documents stay valid until a given time
+ * @async
+ * @function checkVehicle
+ * @param {ObjectId} vehicleId - Vehicle ID
+ * @param {Date} until - Time the documents must cover, e.g. the end of a ride
+ * @returns {Promise<Object>} Result of checkCompliance: { isCompliant, reason, expired, missing }
+ * @example
+ * const { isCompliant, reason } = await ComplianceDocument.checkVehicle(vehicleId, booking.times.end);
+ */
+complianceDocumentSchema.statics.checkVehicle = async function (vehicleId, until) {
+    const documents = await this.find({ vehicleId }).select('type expiresAt');
+    return checkCompliance(documents, until);
+};
+
+/**
+ * Static method to group documents by vehicle for a search
+ * @async
+ * @function findByVehicle
+ * @param {Array<ObjectId>} vehicleIds - Vehicle IDs
+ * @returns {Promise<Map<string, Array>>} Documents keyed by vehicle ID
+ */
+complianceDocumentSchema.statics.findByVehicle = async function (vehicleIds) {
+    const documents = await this.find({ vehicleId: { $in: vehicleIds } }).select('vehicleId type expiresAt');
+
+    const byVehicle = new Map();
+    for (const document of documents) {
+        const key = document.vehicleId.toString();
+        if (!byVehicle.has(key)) {
+            byVehicle.set(key, []);
+        }
+        byVehicle.get(key).push(document);
+    }
+    return byVehicle;
+};
+
+/**
+ * Instance method to get compliance document summary
+ * @function getSummary
+ * @returns {Object} Document summary; the stored file name is not exposed
+ */
+complianceDocumentSchema.methods.getSummary = function () {
+    return {
+        id: this._id.toString(),
+        vehicleId: this.vehicleId,
+        type: this.type,
+        documentNumber: this.documentNumber,
+        issuedAt: this.issuedAt,
+        expiresAt: this.expiresAt,
+        file: this.file && this.file.storedName ? {
+            originalName: this.file.originalName,
+            mimeType: this.file.mimeType,
+            sizeBytes: this.file.sizeBytes
+        } : null,
+        createdBy: this.createdBy,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+const ComplianceDocument = mongoose.model('ComplianceDocument', complianceDocumentSchema);
+
+module.exports = ComplianceDocument;
@@ -0,0 +1,109 @@
+/**
+ * Downtime Model for FleetLink
+ * @fileoverview Maintenance and downtime blocks taking a vehicle out of service for a time range
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Downtime schema definition
+ * @typedef {Object} DowntimeSchema
+ * @property {ObjectId} vehicleId - Reference to Vehicle
+ * @property {Object} times - Start and end of the block
+ * @property {string} reason - Why the vehicle is out of service
+ * @property {ObjectId} createdBy - User who scheduled the block
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+const downtimeSchema = new mongoose.Schema({
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: [true, 'Vehicle ID is required']
+    },
+    times: {
+        start: {
+            type: Date,
+            required: [true, 'Start time is required']
+        },
+        end: {
+            type: Date,
+            required: [true, 'End time is required']
+        }
+    },
+    reason: {
+        type: String,
+        required: [true, 'Reason is required'],
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Created by user is required']
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for efficient queries
+ */
+downtimeSchema.index({ vehicleId: 1, 'times.start': 1, 'times.end': 1 });
+
+/**
+ * Pre-save middleware to validate downtime times
+ */
+downtimeSchema.pre('save', function (next) {
+    if (this.times.start >= this.times.end) {
+        return next(new Error('End time must be after start time'));
+    }
+
+    next();
+});
+
+/**
+ * Static method to find downtime blocks overlapping a time range
+ * @async
+ * @function findOverlapping
+ * @param {ObjectId|Array<ObjectId>} vehicleIds - Vehicle ID or IDs
+ * @param {Date} startTime - Start time
+ * @param {Date} endTime - End time
+ * @returns {Promise<Array>} Overlapping downtime blocks
+ * @example
+ * // Downtime for one vehicle
+ * const blocks = await Downtime.findOverlapping(vehicleId, start, end);
+ *
+ * // Downtime for every vehicle in a search
+ * const blocks = await Downtime.findOverlapping(vehicles.map(v => v._id), start, end);
+ */
+downtimeSchema.statics.findOverlapping = function (vehicleIds, startTime, endTime) {
+    return this.find({
+        vehicleId: Array.isArray(vehicleIds) ? { $in: vehicleIds } : vehicleIds,
+        'times.start': { $lt: endTime },
+        'times.end': { $gt: startTime }
+    }).sort({ 'times.start': 1 });
+};
+
+/**
+ * Instance method to get downtime summary
+ * @function getSummary
+ * @returns {Object} Downtime summary
+ */
+downtimeSchema.methods.getSummary = function () {
+    return {
+        id: this._id.toString(),
+        vehicleId: this.vehicleId,
+        times: this.times,
+        reason: this.reason,
+        createdBy: this.createdBy,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+const Downtime = mongoose.model('Downtime', downtimeSchema);
+
+module.exports = Downtime;
@@ -14,8 +14,23 @@ const NOTIFICATION_TYPE = {
     BOOKING_CREATED: 'booking_created',
     BOOKING_CANCELLED: 'booking_cancelled',
     BOOKING_COMPLETED: 'booking_completed',
+    BOOKING_RESCHEDULED: 'booking_rescheduled',
+    BOOKING_REQUESTED: 'booking_requested',
+    BOOKING_APPROVED: 'booking_approved',
+    BOOKING_REJECTED: 'booking_rejected',
+    BOOKING_EXPIRED: 'booking_expired',
+    BOOKING_DISPATCHED: 'booking_dispatched',
+    BOOKING_IN_TRANSIT: 'booking_in_transit',
+    BOOKING_DELIVERED: 'booking_delivered',
+    BOOKING_NO_SHOW: 'booking_no_show',
+    BOOKING_FAILED: 'booking_failed',
+    BOOKING_SERIES_CREATED: 'booking_series_created',
+    BOOKING_SERIES_CANCELLED: 'booking_series_cancelled',
+    WAITLIST_OFFERED: 'waitlist_offered',
     VEHICLE_ADDED: 'vehicle_added',
-    VEHICLE_UPDATED: 'vehicle_updated'
+    VEHICLE_UPDATED: 'vehicle_updated',
+    COMPLIANCE_EXPIRING: 'compliance_expiring',
+    COMPLIANCE_EXPIRED: 'compliance_expired'
 };
 
 /**
@@ -87,15 +102,70 @@ notificationSchema.index({ type: 1, createdAt: -1 });
 notificationSchema.statics.createBookingNotification = async function (recipientId, bookingId, bookingData) {
     // Determine notification type and content based on bookingData.type
     let type, title, message;
+    const via = bookingData.stops && bookingData.stops.length > 0
+        ? ` via ${bookingData.stops.map(stop => stop.pincode).join(', ')}`
+        : '';
 
     if (bookingData.type === 'booking_completed') {
         type = NOTIFICATION_TYPE.BOOKING_COMPLETED;
         title = 'Booking Completed';
         message = bookingData.message || `Your booking for vehicle "${bookingData.vehicleName}" has been completed`;
+    } else if (bookingData.type === 'booking_rescheduled') {
+        type = NOTIFICATION_TYPE.BOOKING_RESCHEDULED;
+        title = 'Booking Rescheduled';
+        message = bookingData.message || `The booking for your vehicle "${bookingData.vehicleName}" has been moved to ${bookingData.startTime} to ${bookingData.endTime}${via}`;
+    } else if (bookingData.type === 'booking_requested') {
+        type = NOTIFICATION_TYPE.BOOKING_REQUESTED;
+        title = 'Booking Request';
+        message = bookingData.message || `"${bookingData.customerName}" requested your vehicle "${bookingData.vehicleName}" for ${bookingData.startTime} to ${bookingData.endTime}${via}`;
+    } else if (bookingData.type === 'booking_approved') {
+        type = NOTIFICATION_TYPE.BOOKING_APPROVED;
+        title = 'Booking Approved';
+        message = bookingData.message || `Your booking request for vehicle "${bookingData.vehicleName}" has been approved`;
+    } else if (bookingData.type === 'booking_rejected') {
+        type = NOTIFICATION_TYPE.BOOKING_REJECTED;
+        title = 'Booking Rejected';
+        message = bookingData.message || `Your booking request for vehicle "${bookingData.vehicleName}" was declined: ${bookingData.reason}`;
+    } else if (bookingData.type === 'booking_expired') {
+        type = NOTIFICATION_TYPE.BOOKING_EXPIRED;
+        title = 'Booking Request Expired';
+        message = bookingData.message || `The booking request for vehicle "${bookingData.vehicleName}" expired without a response`;
+    } else if (bookingData.type === 'booking_dispatched') {
+        type = NOTIFICATION_TYPE.BOOKING_DISPATCHED;
+        title = 'Vehicle Dispatched';
+        message = bookingData.message || `Vehicle "${bookingData.vehicleName}" has been dispatched for the booking from ${bookingData.fromPincode} to ${bookingData.toPincode}`;
+    } else if (bookingData.type === 'booking_in_transit') {
+        type = NOTIFICATION_TYPE.BOOKING_IN_TRANSIT;
+        title = 'Booking In Transit';
+        message = bookingData.message || `Vehicle "${bookingData.vehicleName}" is on its way to ${bookingData.toPincode}`;
+    } else if (bookingData.type === 'booking_delivered') {
+        type = NOTIFICATION_TYPE.BOOKING_DELIVERED;
+        title = 'Booking Delivered';
+        message = bookingData.message || `Vehicle "${bookingData.vehicleName}" has delivered to ${bookingData.toPincode}`;
+    } else if (bookingData.type === 'booking_no_show') {
+        type = NOTIFICATION_TYPE.BOOKING_NO_SHOW;
+        title = 'Booking No-Show';
+        message = bookingData.message || `The booking for vehicle "${bookingData.vehicleName}" starting ${bookingData.startTime} was marked as a no-show`;
+    } else if (bookingData.type === 'booking_failed') {
+        type = NOTIFICATION_TYPE.BOOKING_FAILED;
+        title = 'Booking Failed';
+        message = bookingData.message || `The booking for vehicle "${bookingData.vehicleName}" could not be delivered: ${bookingData.reason}`;
+    } else if (bookingData.type === 'booking_series_created') {
+        type = NOTIFICATION_TYPE.BOOKING_SERIES_CREATED;
+        title = 'Recurring Booking Created';
+        message = bookingData.message || `Your vehicle "${bookingData.vehicleName}" has been booked for ${bookingData.occurrences} recurring trips from ${bookingData.fromPincode} to ${bookingData.toPincode}`;
+    } else if (bookingData.type === 'booking_series_cancelled') {
+        type = NOTIFICATION_TYPE.BOOKING_SERIES_CANCELLED;
+        title = 'Recurring Booking Cancelled';
+        message = bookingData.message || `A recurring booking for your vehicle "${bookingData.vehicleName}" was cancelled, releasing ${bookingData.occurrences} upcoming trips`;
+    } else if (bookingData.type === 'waitlist_offered') {
+        type = NOTIFICATION_TYPE.WAITLIST_OFFERED;
+        title = 'Waitlisted Slot Available';
+        message = bookingData.message || `Vehicle "${bookingData.vehicleName}" is now free for ${bookingData.startTime}. Book it before ${bookingData.expiresAt} to claim the slot`;
     } else {
         type = NOTIFICATION_TYPE.BOOKING_CREATED;
         title = 'New Booking Created';
-        message = `Your vehicle "${bookingData.vehicleName}" has been booked for ${bookingData.startTime} to ${bookingData.endTime}`;
+        message = `Your vehicle "${bookingData.vehicleName}" has been booked for ${bookingData.startTime} to ${bookingData.endTime}${via}`;
     }
 
     const notification = new this({
@@ -113,7 +183,59 @@ notificationSchema.statics.createBookingNotification = async function (recipient
             toPincode: bookingData.toPincode,
             startTime: bookingData.startTime,
             endTime: bookingData.endTime,
-            completedAt: bookingData.completedAt
+            stops: bookingData.stops && bookingData.stops.map(stop => ({
+                pincode: stop.pincode,
+                pickupKg: stop.pickupKg,
+                dropKg: stop.dropKg,
+                arrivalTime: stop.arrivalTime,
+                departureTime: stop.departureTime
+            })),
+            completedAt: bookingData.completedAt,
+            previous: bookingData.previous,
+            reason: bookingData.reason,
+            seriesId: bookingData.seriesId,
+            occurrences: bookingData.occurrences,
+            waitlistEntryId: bookingData.waitlistEntryId,
+            expiresAt: bookingData.expiresAt
+        }
+    });
+
+    return await notification.save();
+};
+
+/**
+ * Static method to warn a vehicle owner about an expiring compliance document
+ * @async
+ * @function createComplianceNotification
+ * @param {ObjectId} recipientId - Vehicle owner ID
+ * @param {Object} documentData - Document data
+ * @param {ObjectId} documentData.documentId - Compliance document ID
+ * @param {ObjectId} documentData.vehicleId - Vehicle ID
+ * @param {string} documentData.vehicleName - Vehicle name
+ * @param {string} documentData.documentLabel - Document name, e.g. "Insurance"
+ * @param {Date} documentData.expiresAt - Expiry date
+ * @param {number} documentData.daysLeft - Warning threshold reached; 0 once expired
+ * @returns {Promise<Object>} Created notification
+ */
+notificationSchema.statics.createComplianceNotification = async function (recipientId, documentData) {
+    const { documentLabel, vehicleName, daysLeft } = documentData;
+    const expiryDate = new Date(documentData.expiresAt).toISOString().slice(0, 10);
+    const isExpired = daysLeft === 0;
+
+    const notification = new this({
+        userId: recipientId,
+        type: isExpired ? NOTIFICATION_TYPE.COMPLIANCE_EXPIRED : NOTIFICATION_TYPE.COMPLIANCE_EXPIRING,
+        title: isExpired ? 'Vehicle Document Expired' : 'Vehicle Document Expiring',
+        message: isExpired
+            ? `${documentLabel} for "${vehicleName}" expired on ${expiryDate}. The vehicle cannot be booked or dispatched until it is renewed`
+            : `${documentLabel} for "${vehicleName}" expires on ${expiryDate}, in ${daysLeft} day(s). Upload the renewed document to keep the vehicle bookable`,
+        data: {
+            documentId: documentData.documentId,
+            documentType: documentData.documentType,
+            vehicleId: documentData.vehicleId,
+            vehicleName,
+            expiresAt: documentData.expiresAt,
+            daysLeft
         }
     });
 
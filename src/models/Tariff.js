@@ -0,0 +1,136 @@
+/**
+ * Tariff Model for FleetLink
+ * @fileoverview Fare rates configured per vehicle, with an admin-managed default tariff
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Rates used when neither the vehicle nor the admin has configured a tariff
+ * @constant {Object}
+ */
+const DEFAULT_TARIFF = Object.freeze({
+    currency: 'INR',
+    baseFare: 500,
+    perHour: 300,
+    perKgCapacity: 0.5,
+    perKm: 12,
+    nightSurchargePercent: 15,
+    weekendSurchargePercent: 10
+});
+
+/**
+ * Tariff schema definition
+ * @typedef {Object} TariffSchema
+ * @property {ObjectId|null} vehicleId - Vehicle the tariff applies to; null for the default tariff
+ * @property {string} currency - ISO currency code
+ * @property {number} baseFare - Flat fare per booking
+ * @property {number} perHour - Rate per hour of estimated ride duration
+ * @property {number} perKgCapacity - Rate per kg of vehicle capacity
+ * @property {number} perKm - Rate per km, charged when the ride distance is known
+ * @property {number} nightSurchargePercent - Surcharge for rides starting at night
+ * @property {number} weekendSurchargePercent - Surcharge for rides starting on a weekend
+ * @property {ObjectId} updatedBy - User who last changed the tariff
+ */
+const tariffSchema = new mongoose.Schema({
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        default: null
+    },
+    currency: {
+        type: String,
+        default: DEFAULT_TARIFF.currency,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    baseFare: {
+        type: Number,
+        min: [0, 'Base fare cannot be negative'],
+        default: DEFAULT_TARIFF.baseFare
+    },
+    perHour: {
+        type: Number,
+        min: [0, 'Hourly rate cannot be negative'],
+        default: DEFAULT_TARIFF.perHour
+    },
+    perKgCapacity: {
+        type: Number,
+        min: [0, 'Capacity rate cannot be negative'],
+        default: DEFAULT_TARIFF.perKgCapacity
+    },
+    perKm: {
+        type: Number,
+        min: [0, 'Distance rate cannot be negative'],
+        default: DEFAULT_TARIFF.perKm
+    },
+    nightSurchargePercent: {
+        type: Number,
+        min: [0, 'Night surcharge cannot be negative'],
+        max: [200, 'Night surcharge cannot exceed 200%'],
+        default: DEFAULT_TARIFF.nightSurchargePercent
+    },
+    weekendSurchargePercent: {
+        type: Number,
+        min: [0, 'Weekend surcharge cannot be negative'],
+        max: [200, 'Weekend surcharge cannot exceed 200%'],
+        default: DEFAULT_TARIFF.weekendSurchargePercent
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * One tariff per vehicle, and a single default tariff (vehicleId null)
+ */
+tariffSchema.index({ vehicleId: 1 }, { unique: true });
+
+/**
+ * Static method to find the tariff that prices a vehicle
+ * @async
+ * @function findForVehicle
+ * @param {ObjectId|string|null} vehicleId - Vehicle ID, or null for the default tariff
+ * @returns {Promise<Object|null>} Vehicle tariff, else the default tariff, else null
+ * @example
+ * // Falls back to the admin default when the vehicle has no tariff
+ * const tariff = await Tariff.findForVehicle(vehicle._id);
+ */
+tariffSchema.statics.findForVehicle = async function (vehicleId) {
+    if (vehicleId) {
+        const vehicleTariff = await this.findOne({ vehicleId });
+        if (vehicleTariff) {
+            return vehicleTariff;
+        }
+    }
+
+    return this.findOne({ vehicleId: null });
+};
+
+/**
+ * Instance method to get tariff summary
+ * @function getSummary
+ * @returns {Object} Tariff summary
+ */
+tariffSchema.methods.getSummary = function () {
+    return {
+        id: this._id.toString(),
+        vehicleId: this.vehicleId,
+        scope: this.vehicleId ? 'vehicle' : 'default',
+        currency: this.currency,
+        baseFare: this.baseFare,
+        perHour: this.perHour,
+        perKgCapacity: this.perKgCapacity,
+        perKm: this.perKm,
+        nightSurchargePercent: this.nightSurchargePercent,
+        weekendSurchargePercent: this.weekendSurchargePercent,
+        updatedAt: this.updatedAt
+    };
+};
+
+const Tariff = mongoose.model('Tariff', tariffSchema);
+
+module.exports = { Tariff, DEFAULT_TARIFF };
@@ -4,6 +4,62 @@
  */
 
 const mongoose = require('mongoose');
+const {
+    DEFAULT_TIMEZONE,
+    CLOCK_TIME_REGEX,
+    HOLIDAY_DATE_REGEX,
+    clockTimeToMinutes,
+    isValidTimeZone
+} = require('../utils/operatingHours');
+const { DEFAULT_CANCELLATION_POLICY } = require('../utils/cancellationPolicy');
+const { GOODS_CATEGORIES, DEFAULT_ACCEPTED_CATEGORIES } = require('../utils/cargoManifest');
+const { VEHICLE_TYPES, BODY_TYPES, VEHICLE_FEATURES, calculateBedVolume } = require('../utils/vehicleSpecs');
+const { MAX_SERVICE_RADIUS_KM } = require('../utils/serviceArea');
+
+/**
+ * Weekly operating window schema
+ * @typedef {Object} OperatingWindowSchema
+ * @property {number} day - Day of week (0 = Sunday)
+ * @property {string} open - Opening time 'HH:MM'
+ * @property {string} close - Closing time 'HH:MM' ('24:00' for midnight)
+ */
+const operatingWindowSchema = new mongoose.Schema({
+    day: {
+        type: Number,
+        required: [true, 'Day of week is required'],
+        min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+    },
+    open: {
+        type: String,
+        required: [true, 'Opening time is required'],
+        match: [CLOCK_TIME_REGEX, 'Opening time must be in HH:MM format']
+    },
+    close: {
+        type: String,
+        required: [true, 'Closing time is required'],
+        match: [CLOCK_TIME_REGEX, 'Closing time must be in HH:MM format']
+    }
+}, { _id: false });
+
+/**
+ * Holiday exception schema
+ * @typedef {Object} HolidaySchema
+ * @property {string} date - Local calendar date 'YYYY-MM-DD'
+ * @property {string} reason - Holiday name or reason
+ */
+const holidaySchema = new mongoose.Schema({
+    date: {
+        type: String,
+        required: [true, 'Holiday date is required'],
+        match: [HOLIDAY_DATE_REGEX, 'Holiday date must be in YYYY-MM-DD format']
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Holiday reason cannot exceed 100 characters']
+    }
+}, { _id: false });
 
 /**
  * Vehicle schema definition
@@ -11,8 +67,21 @@ const mongoose = require('mongoose');
  * @property {string} name - Vehicle name/identifier
  * @property {number} capacityKg - Vehicle capacity in kilograms
  * @property {number} tyres - Number of tyres
+ * @property {string} vehicleType - Mini truck, LCV, trailer, reefer or tanker
+ * @property {string} bodyType - Cargo body: open, closed, flatbed, container or tank
+ * @property {Object} bedDimensions - Cargo bed length, width and height in metres
+ * @property {number} volumeM3 - Cargo volume in cubic metres; derived from bedDimensions when complete
+ * @property {Array<string>} features - Equipment such as a tail lift or refrigeration
+ * @property {string} homePincode - Pincode the vehicle is based at
+ * @property {Object} serviceArea - Pincode prefixes, states and radius around the home base it serves (empty means anywhere)
  * @property {ObjectId} createdBy - User who created the vehicle
  * @property {boolean} isActive - Vehicle status
+ * @property {Object} operatingHours - Weekly windows, holidays and time zone (empty means 24/7)
+ * @property {number} turnaroundMinutes - Buffer required between consecutive bookings
+ * @property {Object} cancellationPolicy - Free window, late fee and no-cancel window for bookings
+ * @property {boolean} requiresApproval - Bookings by other users wait for the owner to accept them
+ * @property {number} approvalTimeoutHours - Hours the owner has to answer a booking request
+ * @property {Array<string>} acceptedGoodsCategories - Goods categories the vehicle may carry
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  */
@@ -36,6 +105,74 @@ const vehicleSchema = new mongoose.Schema({
         min: [2, 'Vehicle must have at least 2 tyres'],
         max: [18, 'Vehicle cannot have more than 18 tyres']
     },
+    vehicleType: {
+        type: String,
+        enum: {
+            values: Object.values(VEHICLE_TYPES),
+            message: `Vehicle type must be one of: ${Object.values(VEHICLE_TYPES).join(', ')}`
+        }
+    },
+    bodyType: {
+        type: String,
+        enum: {
+            values: Object.values(BODY_TYPES),
+            message: `Body type must be one of: ${Object.values(BODY_TYPES).join(', ')}`
+        }
+    },
+    bedDimensions: {
+        lengthM: {
+            type: Number,
+            min: [0.1, 'Bed length must be at least 0.1 m'],
+            max: [25, 'Bed length cannot exceed 25 m']
+        },
+        widthM: {
+            type: Number,
+            min: [0.1, 'Bed width must be at least 0.1 m'],
+            max: [3, 'Bed width cannot exceed 3 m']
+        },
+        heightM: {
+            type: Number,
+            min: [0.1, 'Bed height must be at least 0.1 m'],
+            max: [5, 'Bed height cannot exceed 5 m']
+        }
+    },
+    volumeM3: {
+        type: Number,
+        min: [0.1, 'Volume must be at least 0.1 m³'],
+        max: [200, 'Volume cannot exceed 200 m³']
+    },
+    features: {
+        type: [{
+            type: String,
+            enum: {
+                values: Object.values(VEHICLE_FEATURES),
+                message: `Vehicle feature must be one of: ${Object.values(VEHICLE_FEATURES).join(', ')}`
+            }
+        }],
+        default: []
+    },
+    homePincode: {
+        type: String,
+        match: [/^\d{6}$/, 'Home base must be a 6-digit pincode']
+    },
+    serviceArea: {
+        pincodePrefixes: {
+            type: [{
+                type: String,
+                match: [/^\d{1,6}$/, 'Pincode prefix must be 1 to 6 digits']
+            }],
+            default: []
+        },
+        states: {
+            type: [{ type: String, trim: true }],
+            default: []
+        },
+        radiusKm: {
+            type: Number,
+            min: [1, 'Service radius must be at least 1 km'],
+            max: [MAX_SERVICE_RADIUS_KM, `Service radius cannot exceed ${MAX_SERVICE_RADIUS_KM} km`]
+        }
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -44,6 +181,80 @@ const vehicleSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    turnaroundMinutes: {
+        type: Number,
+        min: [0, 'Turnaround time cannot be negative'],
+        max: [1440, 'Turnaround time cannot exceed 24 hours'],
+        default: 0
+    },
+    requiresApproval: {
+        type: Boolean,
+        default: false
+    },
+    approvalTimeoutHours: {
+        type: Number,
+        min: [1, 'Approval timeout must be at least 1 hour'],
+        max: [168, 'Approval timeout cannot exceed 7 days'],
+        default: 24
+    },
+    acceptedGoodsCategories: {
+        type: [{
+            type: String,
+            enum: {
+                values: Object.values(GOODS_CATEGORIES),
+                message: `Goods category must be one of: ${Object.values(GOODS_CATEGORIES).join(', ')}`
+            }
+        }],
+        default: () => [...DEFAULT_ACCEPTED_CATEGORIES],
+        validate: {
+            validator: categories => categories.length > 0,
+            message: 'A vehicle must accept at least one goods category'
+        }
+    },
+    cancellationPolicy: {
+        freeCancellationHours: {
+            type: Number,
+            min: [0, 'Free cancellation window cannot be negative'],
+            max: [720, 'Free cancellation window cannot exceed 30 days'],
+            default: DEFAULT_CANCELLATION_POLICY.freeCancellationHours
+        },
+        lateCancellationFeePercent: {
+            type: Number,
+            min: [0, 'Cancellation fee cannot be negative'],
+            max: [100, 'Cancellation fee cannot exceed 100%'],
+            default: DEFAULT_CANCELLATION_POLICY.lateCancellationFeePercent
+        },
+        noCancellationHours: {
+            type: Number,
+            min: [0, 'No-cancellation window cannot be negative'],
+            max: [720, 'No-cancellation window cannot exceed 30 days'],
+            default: DEFAULT_CANCELLATION_POLICY.noCancellationHours
+        }
+    },
+    operatingHours: {
+        timezone: {
+            type: String,
+            default: DEFAULT_TIMEZONE,
+            validate: {
+                validator: isValidTimeZone,
+                message: 'Operating hours time zone must be a valid IANA time zone'
+            }
+        },
+        weekly: {
+            type: [operatingWindowSchema],
+            default: [],
+            validate: {
+                validator: windows => windows.every(
+                    window => clockTimeToMinutes(window.open) < clockTimeToMinutes(window.close)
+                ),
+                message: 'Operating window closing time must be after opening time'
+            }
+        },
+        holidays: {
+            type: [holidaySchema],
+            default: []
+        }
     }
 }, {
     timestamps: true,
@@ -57,6 +268,17 @@ const vehicleSchema = new mongoose.Schema({
 vehicleSchema.index({ isActive: 1, capacityKg: 1 });
 vehicleSchema.index({ createdBy: 1 });
 
+/**
+ * Derive the volume from complete bed dimensions; vehicles without a box, like tankers, give it directly
+ */
+vehicleSchema.pre('validate', function (next) {
+    const volume = calculateBedVolume(this.bedDimensions);
+    if (volume !== null) {
+        this.volumeM3 = volume;
+    }
+    next();
+});
+
 /**
  * Virtual for vehicle's capacity in tons
  */
@@ -148,7 +370,20 @@ vehicleSchema.methods.getSummary = function () {
         capacityKg: this.capacityKg,
         capacityTons: this.capacityTons,
         tyres: this.tyres,
+        vehicleType: this.vehicleType,
+        bodyType: this.bodyType,
+        bedDimensions: this.bedDimensions,
+        volumeM3: this.volumeM3,
+        features: this.features,
+        homePincode: this.homePincode,
+        serviceArea: this.serviceArea,
         status: this.isActive ? 'Active' : 'Inactive',
+        operatingHours: this.operatingHours,
+        turnaroundMinutes: this.turnaroundMinutes,
+        cancellationPolicy: this.cancellationPolicy,
+        requiresApproval: this.requiresApproval,
+        approvalTimeoutHours: this.approvalTimeoutHours,
+        acceptedGoodsCategories: this.acceptedGoodsCategories,
         createdBy: this.createdBy,
         createdAt: this.createdAt
     };
@@ -0,0 +1,205 @@
+/**
+ * Vehicle Lock Model for FleetLink
+ * @fileoverview Per-vehicle lock documents serialising booking writes for a vehicle
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * How long a lock is held before other requests may take it over, in milliseconds.
+ * Guards against locks left behind by a crashed request; well above the slowest locked section
+ * (checking and writing a 100-occurrence series), and renewed while the holder is still running.
+ * @constant {number}
+ */
+const LOCK_TTL_MS = 60 * 1000;
+
+/**
+ * How often a held lock is extended by another LOCK_TTL_MS, in milliseconds
+ * @constant {number}
+ */
+const LOCK_RENEW_INTERVAL_MS = 20 * 1000;
+
+/**
+ * Delay between acquisition attempts, in milliseconds
+ * @constant {number}
+ */
+const LOCK_RETRY_DELAY_MS = 25;
+
+/**
+ * Maximum time spent waiting for a lock, in milliseconds
+ * @constant {number}
+ */
+const LOCK_WAIT_TIMEOUT_MS = 5 * 1000;
+
+/**
+ * Vehicle lock schema definition
+ * @typedef {Object} VehicleLockSchema
+ * @property {ObjectId} vehicleId - Locked vehicle (unique)
+ * @property {string} token - Random token identifying the holder
+ * @property {Date} lockedUntil - Expiry of the lock
+ */
+const vehicleLockSchema = new mongoose.Schema({
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: [true, 'Vehicle ID is required'],
+        unique: true
+    },
+    token: {
+        type: String,
+        required: [true, 'Lock token is required']
+    },
+    lockedUntil: {
+        type: Date,
+        required: [true, 'Lock expiry is required']
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Error raised when a vehicle lock cannot be acquired in time
+ * @class VehicleLockedError
+ * @extends Error
+ */
+class VehicleLockedError extends Error {
+    constructor(vehicleId) {
+        super(`Vehicle ${vehicleId} is being booked by another request`);
+        this.name = 'VehicleLockedError';
+        this.status = 409;
+    }
+}
+
+/**
+ * Static method to try to acquire the lock for a vehicle once
+ * @async
+ * @function tryAcquire
+ * @param {ObjectId|string} vehicleId - Vehicle ID
+ * @returns {Promise<string|null>} Lock token, or null when another request holds the lock
+ * @description Takes over a missing or expired lock in one upsert; the unique index on
+ * vehicleId makes a concurrent upsert fail with a duplicate key error instead
+ */
+vehicleLockSchema.statics.tryAcquire = async function (vehicleId) {
+    // Make sure the unique index exists before relying on it
+    await this.init();
+
+    const now = new Date();
+    const token = crypto.randomBytes(16).toString('hex');
+
+    try {
+        await this.findOneAndUpdate(
+            { vehicleId, lockedUntil: { $lte: now } },
+            { $set: { token, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+            { upsert: true, new: true }
+        );
+        return token;
+    } catch (error) {
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Static method to extend a lock held with the given token
+ * @async
+ * @function renew
+ * @param {ObjectId|string} vehicleId - Vehicle ID
+ * @param {string} token - Token returned by tryAcquire
+ * @returns {Promise<boolean>} False when the lock was taken over by another request
+ */
+vehicleLockSchema.statics.renew = async function (vehicleId, token) {
+    const result = await this.updateOne(
+        { vehicleId, token },
+        { $set: { lockedUntil: new Date(Date.now() + LOCK_TTL_MS) } }
+    );
+    return result.matchedCount > 0;
+};
+
+/**
+ * Static method to release a lock held with the given token
+ * @async
+ * @function release
+ * @param {ObjectId|string} vehicleId - Vehicle ID
+ * @param {string} token - Token returned by tryAcquire
+ * @returns {Promise<Object>} Delete result
+ */
+vehicleLockSchema.statics.release = function (vehicleId, token) {
+    return this.deleteOne({ vehicleId, token });
+};
+
+/**
+ * Static method to run a function while holding the lock for a vehicle
+ * @async
+ * @function withLock
+ * @param {ObjectId|string} vehicleId - Vehicle ID
+ * @param {Function} fn - Async function to run while the lock is held
+ * @returns {Promise<*>} Result of fn
+ * @throws {VehicleLockedError} When the lock cannot be acquired within LOCK_WAIT_TIMEOUT_MS
+ * @description The lock is renewed every LOCK_RENEW_INTERVAL_MS while fn runs, so a slow
+ * section cannot outlive it and let another request in
+ * @example
+ * // Check overlaps and save without another request interleaving
+ * const booking = await VehicleLock.withLock(vehicleId, async () => {
+ *   const conflicts = await Booking.findActiveBookingsForVehicle(vehicleId, start, end);
+ *   if (conflicts.length > 0) return null;
+ *   return Booking.create({ ... });
+ * });
+ */
+vehicleLockSchema.statics.withLock = async function (vehicleId, fn) {
+    const deadline = Date.now() + LOCK_WAIT_TIMEOUT_MS;
+    let token = await this.tryAcquire(vehicleId);
+
+    while (!token) {
+        if (Date.now() >= deadline) {
+            throw new VehicleLockedError(vehicleId);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
+        token = await this.tryAcquire(vehicleId);
+    }
+
+    // Keep the lock for as long as fn runs, however slow the database is
+    const renewal = setInterval(() => {
+        this.renew(vehicleId, token)
+            .then(held => {
+                if (!held) console.error(`Vehicle lock for ${vehicleId} was taken over while held`);
+            })
+            .catch(error => console.error('Renew vehicle lock error:', error));
+    }, LOCK_RENEW_INTERVAL_MS);
+
+    try {
+        return await fn();
+    } finally {
+        clearInterval(renewal);
+        await this.release(vehicleId, token);
+    }
+};
+
+/**
+ * Static method to run a function while holding the locks for several vehicles
+ * @async
+ * @function withLocks
+ * @param {Array<ObjectId|string>} vehicleIds - Vehicle IDs
+ * @param {Function} fn - Async function to run while every lock is held
+ * @returns {Promise<*>} Result of fn
+ * @throws {VehicleLockedError} When one of the locks cannot be acquired within LOCK_WAIT_TIMEOUT_MS
+ * @description Locks are taken in ID order, so two requests locking overlapping sets of
+ * vehicles cannot wait on each other
+ * @example
+ * await VehicleLock.withLocks(vehicleIds, async () => {
+ *   // check and book every vehicle
+ * });
+ */
+vehicleLockSchema.statics.withLocks = function (vehicleIds, fn) {
+    const ordered = [...new Set(vehicleIds.map(id => id.toString()))].sort();
+    return ordered.reduceRight(
+        (next, vehicleId) => () => this.withLock(vehicleId, next),
+        fn
+    )();
+};
+
+const VehicleLock = mongoose.model('VehicleLock', vehicleLockSchema);
+
+module.exports = { VehicleLock, VehicleLockedError };
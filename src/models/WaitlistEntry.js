@@ -0,0 +1,168 @@
+/**
+ * Waitlist Entry Model for FleetLink
+ * @fileoverview Requests waiting for a fully booked time slot to free up
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Waitlist entry status enum
+ * @readonly
+ * @enum {string}
+ */
+const WAITLIST_STATUS = {
+    WAITING: 'waiting',
+    OFFERED: 'offered',
+    CLAIMED: 'claimed',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Minutes a waitlisted customer has to claim an offered slot
+ * @constant {number}
+ */
+const OFFER_CLAIM_MINUTES = 30;
+
+/**
+ * Waitlist entry schema definition
+ * @typedef {Object} WaitlistEntrySchema
+ * @property {ObjectId} userId - Customer waiting for the slot
+ * @property {ObjectId} vehicleId - Vehicle wanted; absent when any vehicle with enough capacity will do
+ * @property {number} capacityRequired - Capacity any vehicle must offer when no vehicle is given
+ * @property {Object} pincodes - Requested route
+ * @property {Object} times - Requested window; the end is recomputed for the vehicle offered
+ * @property {string} status - Entry status
+ * @property {Object} offer - Vehicle offered, when, and until when the offer holds the slot
+ * @property {ObjectId} bookingId - Booking made when the offer was claimed
+ * @property {Date} createdAt - Creation timestamp; earlier entries are offered first
+ * @property {Date} updatedAt - Last update timestamp
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle'
+    },
+    capacityRequired: {
+        type: Number,
+        min: [1, 'Capacity must be a positive number'],
+        required: [
+            function () { return !this.vehicleId; },
+            'A vehicle or the required capacity is needed'
+        ]
+    },
+    pincodes: {
+        start: {
+            type: String,
+            required: [true, 'Start pincode is required'],
+            match: [/^\d{6}$/, 'Start pincode must be 6 digits']
+        },
+        end: {
+            type: String,
+            required: [true, 'End pincode is required'],
+            match: [/^\d{6}$/, 'End pincode must be 6 digits']
+        }
+    },
+    times: {
+        start: {
+            type: Date,
+            required: [true, 'Start time is required']
+        },
+        end: {
+            type: Date,
+            required: [true, 'End time is required']
+        }
+    },
+    status: {
+        type: String,
+        enum: {
+            values: Object.values(WAITLIST_STATUS),
+            message: `Status must be one of: ${Object.values(WAITLIST_STATUS).join(', ')}`
+        },
+        default: WAITLIST_STATUS.WAITING
+    },
+    offer: {
+        vehicleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vehicle'
+        },
+        offeredAt: { type: Date },
+        expiresAt: { type: Date }
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+/**
+ * Indexes for efficient queries
+ */
+waitlistEntrySchema.index({ status: 1, 'times.start': 1, createdAt: 1 });
+waitlistEntrySchema.index({ 'offer.vehicleId': 1, status: 1, 'offer.expiresAt': 1 });
+waitlistEntrySchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Static method to find offers still holding a vehicle's slot in a time range
+ * @function findHeldOffers
+ * @param {ObjectId|Array<ObjectId>} vehicleId - Vehicle ID or IDs
+ * @param {Date} startTime - Start time
+ * @param {Date} endTime - End time
+ * @param {Object} [options] - Query options
+ * @param {ObjectId|string} [options.excludeUserId] - Leave out offers made to this customer, who may claim them
+ * @returns {Promise<Array>} Unexpired offers overlapping the range
+ * @example
+ * const held = await WaitlistEntry.findHeldOffers(vehicleId, start, end, { excludeUserId: req.user.id });
+ *
+ * // Offers held on any of several vehicles
+ * const offers = await WaitlistEntry.findHeldOffers(vehicles.map(v => v._id), start, end);
+ */
+waitlistEntrySchema.statics.findHeldOffers = function (vehicleId, startTime, endTime, options = {}) {
+    const query = {
+        'offer.vehicleId': Array.isArray(vehicleId) ? { $in: vehicleId } : vehicleId,
+        status: WAITLIST_STATUS.OFFERED,
+        'offer.expiresAt': { $gt: new Date() },
+        'times.start': { $lt: endTime },
+        'times.end': { $gt: startTime }
+    };
+
+    if (options.excludeUserId) {
+        query.userId = { $ne: options.excludeUserId };
+    }
+
+    return this.find(query);
+};
+
+/**
+ * Instance method to get waitlist entry summary
+ * @function getSummary
+ * @returns {Object} Waitlist entry summary
+ */
+waitlistEntrySchema.methods.getSummary = function () {
+    return {
+        id: this._id.toString(),
+        userId: this.userId,
+        vehicleId: this.vehicleId,
+        capacityRequired: this.capacityRequired,
+        pincodes: this.pincodes,
+        times: this.times,
+        status: this.status,
+        offer: this.status === WAITLIST_STATUS.OFFERED ? this.offer : undefined,
+        bookingId: this.bookingId,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = { WaitlistEntry, WAITLIST_STATUS, OFFER_CLAIM_MINUTES };
@@ -0,0 +1,77 @@
+/**
+ * Booking Group Routes for FleetLink
+ * @fileoverview API routes for split shipments carried by several vehicles
+ */
+
+const express = require('express');
+const { authenticate } = require('../middlewares/auth');
+const {
+    planBookingGroup,
+    createBookingGroup,
+    getUserBookingGroups,
+    getBookingGroup,
+    cancelBookingGroup
+} = require('../controllers/bookingGroupController');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/booking-groups/plan
+ * @desc Propose vehicles whose combined capacity carries the load, without booking
+ * @access Private (User)
+ * @param {number} capacityRequired - Load of the whole shipment in kilograms
+ * @param {string} fromPincode - Starting location pincode (6 digits)
+ * @param {string} toPincode - Destination pincode (6 digits)
+ * @param {string} startTime - Shared start time (ISO string)
+ * @returns {Object} Proposed vehicles with rides and prices
+ */
+router.get('/plan', authenticate, planBookingGroup);
+
+/**
+ * @route POST /api/booking-groups
+ * @desc Book a split shipment on several vehicles; nothing is booked unless every vehicle is free
+ * @access Private (User)
+ * @param {number} capacityRequired - Load of the whole shipment in kilograms
+ * @param {string} fromPincode - Starting location pincode (6 digits)
+ * @param {string} toPincode - Destination pincode (6 digits)
+ * @param {string} startTime - Shared start time (ISO string)
+ * @param {Array<string>} [vehicleIds] - Vehicles to use; chosen automatically when omitted
+ * @returns {Object} Created group and its bookings
+ * @example
+ * POST /api/booking-groups
+ * {
+ *   "capacityRequired": 7000,
+ *   "fromPincode": "110001",
+ *   "toPincode": "400001",
+ *   "startTime": "2024-01-15T10:00:00.000Z"
+ * }
+ */
+router.post('/', authenticate, createBookingGroup);
+
+/**
+ * @route GET /api/booking-groups
+ * @desc Get the current user's split shipments
+ * @access Private (User)
+ * @returns {Array} Groups with their vehicles
+ */
+router.get('/', authenticate, getUserBookingGroups);
+
+/**
+ * @route GET /api/booking-groups/:id
+ * @desc Get a split shipment with its bookings
+ * @access Private (Group owner or Admin)
+ * @param {string} id - Group ID
+ * @returns {Object} Group and bookings
+ */
+router.get('/:id', authenticate, getBookingGroup);
+
+/**
+ * @route DELETE /api/booking-groups/:id
+ * @desc Cancel every booking of a split shipment; refused if any of them can no longer be cancelled
+ * @access Private (Group owner or Admin)
+ * @param {string} id - Group ID
+ * @returns {Object} Cancelled count and total fee
+ */
+router.delete('/:id', authenticate, cancelBookingGroup);
+
+module.exports = router;
@@ -8,12 +8,24 @@ const router = express.Router();
 const { authenticate, requireAdmin } = require('../middlewares/auth');
 const {
     createBooking,
+    getQuote,
     getUserBookings,
     cancelBooking,
+    getCancellationPreview,
+    rescheduleBooking,
     getAllBookings,
     getBookingStats,
-    completeBooking
+    dispatchBooking,
+    startTransit,
+    deliverBooking,
+    completeBooking,
+    markNoShow,
+    failBooking,
+    getBookingRequests,
+    approveBooking,
+    rejectBooking
 } = require('../controllers/bookingController');
+const { getFleetTimeline } = require('../controllers/calendarController');
 
 /**
  * @route POST /api/bookings
@@ -35,29 +47,82 @@ const {
  */
 router.post('/', authenticate, createBooking);
 
+/**
+ * @route GET /api/bookings/quote
+ * @desc Get an itemised price quote for a ride without booking it
+ * @access Public
+ * @param {string} startTime - Ride start time (ISO string)
+ * @param {string} [fromPincode] - Starting location pincode (6 digits)
+ * @param {string} [toPincode] - Destination pincode (6 digits)
+ * @param {number} [capacityRequired] - Capacity to price when no vehicle is given
+ * @param {string} [vehicleId] - Vehicle whose tariff and capacity are used
+ * @returns {Object} Quote with line items, subtotal, total and ride estimate
+ * @example
+ * GET /api/bookings/quote?fromPincode=110001&toPincode=400001&startTime=2024-01-15T10:00:00Z&vehicleId=60f7b3b3b3b3b3b3b3b3b3b3
+ */
+router.get('/quote', getQuote);
+
 /**
  * @route GET /api/bookings/my-bookings
  * @desc Get current user's bookings
  * @access Private (User)
- * @param {string} [status] - Filter by booking status (active, completed, cancelled)
+ * @param {string} [status] - Filter by booking status (pending, confirmed, dispatched, in_transit, delivered, completed, cancelled, rejected, no_show, failed)
  * @returns {Array} User's bookings with vehicle details
  * @example
  * GET /api/bookings/my-bookings
- * GET /api/bookings/my-bookings?status=active
+ * GET /api/bookings/my-bookings?status=confirmed
  */
 router.get('/my-bookings', authenticate, getUserBookings);
 
+/**
+ * @route GET /api/bookings/:id/cancellation
+ * @desc Preview the cancellation policy and the fee cancelling now would charge
+ * @access Private (User - Owner only)
+ * @param {string} id - Booking ID
+ * @returns {Object} Policy, whether cancelling is allowed and the fee
+ * @example
+ * GET /api/bookings/60f7b3b3b3b3b3b3b3b3b3b4/cancellation
+ */
+router.get('/:id/cancellation', authenticate, getCancellationPreview);
+
+/**
+ * @route GET /api/bookings/requests
+ * @desc Get pending booking requests for the current user's vehicles
+ * @access Private (Vehicle Owner)
+ * @returns {Array} Unexpired pending requests with customer details, soonest expiry first
+ * @example
+ * GET /api/bookings/requests
+ */
+router.get('/requests', authenticate, getBookingRequests);
+
 /**
  * @route DELETE /api/bookings/:id
- * @desc Cancel a booking
+ * @desc Cancel a booking, charging any fee due under the vehicle's cancellation policy
  * @access Private (User - Owner only)
  * @param {string} id - Booking ID
- * @returns {Object} Cancellation confirmation
+ * @returns {Object} Cancellation confirmation with the recorded fee
  * @example
  * DELETE /api/bookings/60f7b3b3b3b3b3b3b3b3b3b4
  */
 router.delete('/:id', authenticate, cancelBooking);
 
+/**
+ * @route PUT /api/bookings/:id
+ * @desc Reschedule a booking (new start time and/or pincodes)
+ * @access Private (Booking Owner or Admin)
+ * @param {string} id - Booking ID
+ * @param {string} [startTime] - New start time (ISO string)
+ * @param {string} [fromPincode] - New starting location pincode (6 digits)
+ * @param {string} [toPincode] - New destination pincode (6 digits)
+ * @returns {Object} Rescheduled booking with previous pincodes and times
+ * @example
+ * PUT /api/bookings/60f7b3b3b3b3b3b3b3b3b3b4
+ * {
+ *   "startTime": "2024-01-16T10:00:00.000Z"
+ * }
+ */
+router.put('/:id', authenticate, rescheduleBooking);
+
 /**
  * @route GET /api/bookings
  * @desc Get all bookings (Admin only)
@@ -67,7 +132,7 @@ router.delete('/:id', authenticate, cancelBooking);
  * @param {number} [limit=10] - Items per page
  * @returns {Object} All bookings with pagination
  * @example
- * GET /api/bookings?status=active&page=1&limit=10
+ * GET /api/bookings?status=confirmed&page=1&limit=10
  */
 router.get('/', authenticate, requireAdmin, getAllBookings);
 
@@ -81,9 +146,55 @@ router.get('/', authenticate, requireAdmin, getAllBookings);
  */
 router.get('/stats', authenticate, requireAdmin, getBookingStats);
 
+/**
+ * @route GET /api/bookings/timeline
+ * @desc Get the fleet timeline: one row per vehicle with its bookings and downtime (Admin only)
+ * @access Private (Admin)
+ * @param {string} [from] - Range start (ISO string), defaults to now
+ * @param {string} [to] - Range end (ISO string), defaults to 7 days after the start, at most 62 days
+ * @param {string} [status] - Comma-separated booking statuses, defaults to all but cancelled and rejected
+ * @param {string} [ownerId] - Only this owner's vehicles
+ * @param {number} [page=1] - Page of vehicle rows
+ * @param {number} [limit=25] - Vehicle rows per page, at most 100
+ * @returns {Object} Vehicle rows, owners for the filter and pagination
+ * @example
+ * GET /api/bookings/timeline?from=2024-01-15T00:00:00Z&to=2024-01-22T00:00:00Z&status=confirmed,dispatched
+ */
+router.get('/timeline', authenticate, requireAdmin, getFleetTimeline);
+
+/**
+ * @route PUT /api/bookings/:id/dispatch
+ * @desc Dispatch a confirmed booking (confirmed -> dispatched)
+ * @access Private (Vehicle Owner or Admin)
+ * @param {string} id - Booking ID
+ * @param {string} [note] - Optional note, e.g. driver details
+ * @returns {Object} Booking with its transition history
+ * @example
+ * PUT /api/bookings/507f1f77bcf86cd799439011/dispatch
+ */
+router.put('/:id/dispatch', authenticate, dispatchBooking);
+
+/**
+ * @route PUT /api/bookings/:id/in-transit
+ * @desc Mark a dispatched booking as in transit (dispatched -> in_transit)
+ * @access Private (Vehicle Owner or Admin)
+ * @param {string} id - Booking ID
+ * @returns {Object} Booking with its transition history
+ */
+router.put('/:id/in-transit', authenticate, startTransit);
+
+/**
+ * @route PUT /api/bookings/:id/deliver
+ * @desc Mark an in-transit booking as delivered (in_transit -> delivered)
+ * @access Private (Vehicle Owner or Admin)
+ * @param {string} id - Booking ID
+ * @returns {Object} Booking with its transition history
+ */
+router.put('/:id/deliver', authenticate, deliverBooking);
+
 /**
  * @route PUT /api/bookings/:id/complete
- * @desc Complete a booking
+ * @desc Complete a delivered booking (delivered -> completed)
  * @access Private (Vehicle Owner, Booking Owner, or Admin)
  * @param {string} id - Booking ID
  * @returns {Object} Completed booking details
@@ -96,10 +207,62 @@ router.get('/stats', authenticate, requireAdmin, getBookingStats);
  *   "booking": {
  *     "_id": "507f1f77bcf86cd799439011",
  *     "status": "completed",
- *     "completedAt": "2023-12-01T10:30:00.000Z"
+ *     "transitions": [{ "from": "delivered", "to": "completed", "at": "2023-12-01T10:30:00.000Z" }]
  *   }
  * }
  */
 router.put('/:id/complete', authenticate, completeBooking);
 
+/**
+ * @route PUT /api/bookings/:id/no-show
+ * @desc Mark a booking whose start time has passed as a no-show (confirmed or dispatched -> no_show)
+ * @access Private (Vehicle Owner or Admin)
+ * @param {string} id - Booking ID
+ * @param {string} [note] - Optional note
+ * @returns {Object} Booking with its transition history
+ */
+router.put('/:id/no-show', authenticate, markNoShow);
+
+/**
+ * @route PUT /api/bookings/:id/fail
+ * @desc Mark a dispatched or in-transit booking as failed
+ * @access Private (Vehicle Owner or Admin)
+ * @param {string} id - Booking ID
+ * @param {string} note - Why the delivery failed
+ * @returns {Object} Booking with its transition history
+ * @example
+ * PUT /api/bookings/507f1f77bcf86cd799439011/fail
+ * {
+ *   "note": "Vehicle broke down on NH48"
+ * }
+ */
+router.put('/:id/fail', authenticate, failBooking);
+
+/**
+ * @route PUT /api/bookings/:id/approve
+ * @desc Accept a pending booking request, making it confirmed
+ * @access Private (Vehicle Owner or Admin)
+ * @param {string} id - Booking ID
+ * @param {string} [reason] - Optional note for the customer
+ * @returns {Object} Approved booking
+ * @example
+ * PUT /api/bookings/507f1f77bcf86cd799439011/approve
+ */
+router.put('/:id/approve', authenticate, approveBooking);
+
+/**
+ * @route PUT /api/bookings/:id/reject
+ * @desc Decline a pending booking request, releasing the slot
+ * @access Private (Vehicle Owner or Admin)
+ * @param {string} id - Booking ID
+ * @param {string} reason - Why the request was declined
+ * @returns {Object} Rejected booking
+ * @example
+ * PUT /api/bookings/507f1f77bcf86cd799439011/reject
+ * {
+ *   "reason": "Vehicle reserved for a regular customer that day"
+ * }
+ */
+router.put('/:id/reject', authenticate, rejectBooking);
+
 module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * Booking Series Routes for FleetLink
+ * @fileoverview API routes for recurring booking series
+ */
+
+const express = require('express');
+const { authenticate } = require('../middlewares/auth');
+const {
+    previewBookingSeries,
+    createBookingSeries,
+    getUserBookingSeries,
+    getBookingSeries,
+    updateBookingSeries,
+    cancelBookingSeries
+} = require('../controllers/bookingSeriesController');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/booking-series/preview
+ * @desc Check every occurrence of a series for conflicts without booking
+ * @access Private (User)
+ * @param {string} vehicleId - Vehicle ID to book
+ * @param {string} fromPincode - Starting location pincode (6 digits)
+ * @param {string} toPincode - Destination pincode (6 digits)
+ * @param {string} startTime - Start of the first occurrence (ISO string)
+ * @param {Object} recurrence - { frequency, interval, byWeekday, count, until } or { rule }
+ * @returns {Object} Per-occurrence availability report
+ */
+router.post('/preview', authenticate, previewBookingSeries);
+
+/**
+ * @route POST /api/booking-series
+ * @desc Book a recurring series; refused with a per-occurrence report when any occurrence conflicts
+ * @access Private (User)
+ * @param {string} vehicleId - Vehicle ID to book
+ * @param {string} fromPincode - Starting location pincode (6 digits)
+ * @param {string} toPincode - Destination pincode (6 digits)
+ * @param {string} startTime - Start of the first occurrence (ISO string)
+ * @param {Object} recurrence - { frequency, interval, byWeekday, count, until } or { rule }
+ * @param {boolean} [skipUnavailable] - Book only the available occurrences
+ * @returns {Object} Created series and per-occurrence report
+ * @example
+ * POST /api/booking-series
+ * {
+ *   "vehicleId": "60f7b3b3b3b3b3b3b3b3b3b3",
+ *   "fromPincode": "110001",
+ *   "toPincode": "110025",
+ *   "startTime": "2024-01-15T02:30:00.000Z",
+ *   "recurrence": { "rule": "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=20" }
+ * }
+ */
+router.post('/', authenticate, createBookingSeries);
+
+/**
+ * @route GET /api/booking-series
+ * @desc Get the current user's booking series
+ * @access Private (User)
+ * @returns {Array} Series with upcoming occurrence counts
+ */
+router.get('/', authenticate, getUserBookingSeries);
+
+/**
+ * @route GET /api/booking-series/:id
+ * @desc Get a booking series with all of its occurrences
+ * @access Private (Series owner or Admin)
+ * @param {string} id - Series ID
+ * @returns {Object} Series and occurrences
+ */
+router.get('/:id', authenticate, getBookingSeries);
+
+/**
+ * @route PUT /api/booking-series/:id
+ * @desc Edit every upcoming occurrence; use PUT /api/bookings/:id for a single occurrence
+ * @access Private (Series owner or Admin)
+ * @param {string} id - Series ID
+ * @param {string} [startTime] - New start of the next occurrence; later ones move by the same amount
+ * @param {string} [fromPincode] - New starting location pincode
+ * @param {string} [toPincode] - New destination pincode
+ * @returns {Object} Updated series and per-occurrence report
+ */
+router.put('/:id', authenticate, updateBookingSeries);
+
+/**
+ * @route DELETE /api/booking-series/:id
+ * @desc Cancel every upcoming occurrence; use DELETE /api/bookings/:id for a single occurrence
+ * @access Private (Series owner or Admin)
+ * @param {string} id - Series ID
+ * @returns {Object} Cancelled count, total fee and occurrences kept by the cancellation policy
+ */
+router.delete('/:id', authenticate, cancelBookingSeries);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * Tariff Routes for FleetLink
+ * @fileoverview API routes for the default tariff and per-vehicle tariffs
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middlewares/auth');
+const {
+    getDefaultTariff,
+    updateDefaultTariff,
+    getVehicleTariff,
+    updateVehicleTariff,
+    deleteVehicleTariff
+} = require('../controllers/tariffController');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/tariffs/default
+ * @desc Get the default tariff
+ * @access Private (User)
+ * @returns {Object} Default tariff rates
+ * @example
+ * GET /api/tariffs/default
+ */
+router.get('/default', authenticate, getDefaultTariff);
+
+/**
+ * @route PUT /api/tariffs/default
+ * @desc Update the default tariff
+ * @access Private (Admin only)
+ * @param {number} [baseFare] - Flat fare per booking
+ * @param {number} [perHour] - Rate per hour of ride duration
+ * @param {number} [perKgCapacity] - Rate per kg of vehicle capacity
+ * @param {number} [perKm] - Rate per km when the distance is known
+ * @param {number} [nightSurchargePercent] - Surcharge for rides starting 22:00-06:00
+ * @param {number} [weekendSurchargePercent] - Surcharge for rides starting on Saturday or Sunday
+ * @returns {Object} Updated tariff
+ * @example
+ * PUT /api/tariffs/default
+ * { "perHour": 350, "nightSurchargePercent": 20 }
+ */
+router.put('/default', authenticate, requireAdmin, updateDefaultTariff);
+
+/**
+ * @route GET /api/tariffs/vehicles/:vehicleId
+ * @desc Get the tariff that prices a vehicle (its own, else the default)
+ * @access Private (User)
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Object} Tariff rates
+ * @example
+ * GET /api/tariffs/vehicles/60f7b3b3b3b3b3b3b3b3b3b3
+ */
+router.get('/vehicles/:vehicleId', authenticate, getVehicleTariff);
+
+/**
+ * @route PUT /api/tariffs/vehicles/:vehicleId
+ * @desc Set a vehicle's own tariff
+ * @access Private (Owner, Admin)
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Object} Updated tariff
+ * @example
+ * PUT /api/tariffs/vehicles/60f7b3b3b3b3b3b3b3b3b3b3
+ * { "baseFare": 800, "perKm": 15 }
+ */
+router.put('/vehicles/:vehicleId', authenticate, updateVehicleTariff);
+
+/**
+ * @route DELETE /api/tariffs/vehicles/:vehicleId
+ * @desc Remove a vehicle's own tariff so the default applies
+ * @access Private (Owner, Admin)
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Object} Success message
+ * @example
+ * DELETE /api/tariffs/vehicles/60f7b3b3b3b3b3b3b3b3b3b3
+ */
+router.delete('/vehicles/:vehicleId', authenticate, deleteVehicleTariff);
+
+module.exports = router;
@@ -16,6 +16,20 @@ const {
     getUserVehicles,
     deleteUserVehicle
 } = require('../controllers/vehicleController');
+const {
+    getVehicleDowntime,
+    addVehicleDowntime,
+    updateVehicleDowntime,
+    deleteVehicleDowntime
+} = require('../controllers/downtimeController');
+const {
+    getVehicleCompliance,
+    addComplianceDocument,
+    updateComplianceDocument,
+    deleteComplianceDocument,
+    downloadComplianceFile
+} = require('../controllers/complianceController');
+const { getVehicleCalendar } = require('../controllers/calendarController');
 
 const router = express.Router();
 
@@ -63,10 +77,18 @@ router.post('/', authenticate, addVehicle);
  * @desc    Get available vehicles with filtering
  * @access  Public
  * @query   {number} capacityRequired - Minimum capacity filter
+ * @query   {number} [maxCapacity] - Maximum capacity filter
+ * @query   {number} [minTyres] - Fewest tyres
+ * @query   {number} [maxTyres] - Most tyres
  * @query   {string} fromPincode - Starting location pincode (6 digits)
  * @query   {string} toPincode - Destination pincode (6 digits)
  * @query   {string} startTime - Start time (ISO string)
- * @returns {Object} success, vehicles, total, availableCount, estimatedRideDurationHours
+ * @query   {number} [page=1] - Page of available vehicles
+ * @query   {number} [limit=20] - Available vehicles per page, at most 100
+ * @query   {string} [sortBy=capacity] - capacity, name or owner
+ * @query   {string} [sortOrder=asc] - asc or desc
+ * @query   {boolean} [includeUnavailable=true] - false leaves unavailable vehicles out
+ * @returns {Object} success, vehicles, total, pagination, availableCount, estimatedRideDurationHours, estimatedDistanceKm
  * @example
  * // Request
  * GET /api/vehicles/available?capacityRequired=3000&fromPincode=110001&toPincode=400001&startTime=2024-01-15T10:00:00Z
@@ -83,6 +105,12 @@ router.post('/', authenticate, addVehicle);
  *         "capacityTons": "5.00",
  *         "tyres": 6,
  *         "status": "Active",
+ *         "ride": {
+ *           "durationHours": 23.5,
+ *           "distanceKm": 1166.3,
+ *           "strategy": "distance",
+ *           "endTime": "2024-01-16T09:30:00.000Z"
+ *         },
  *         "availability": {
  *           "isAvailable": true,
  *           "conflictingBookings": []
@@ -92,15 +120,25 @@ router.post('/', authenticate, addVehicle);
  *     "unavailable": []
  *   },
  *   "total": 1,
+ *   "pagination": {
+ *     "currentPage": 1,
+ *     "totalPages": 1,
+ *     "totalItems": 1,
+ *     "itemsPerPage": 20,
+ *     "hasNextPage": false,
+ *     "hasPrevPage": false
+ *   },
  *   "availableCount": 1,
  *   "unavailableCount": 0,
- *   "estimatedRideDurationHours": 2,
+ *   "estimatedRideDurationHours": 23.5,
+ *   "estimatedDistanceKm": 1166.3,
+ *   "durationStrategy": "distance",
  *   "searchCriteria": {
  *     "capacityRequired": 3000,
  *     "fromPincode": "110001",
  *     "toPincode": "400001",
  *     "startTime": "2024-01-15T10:00:00Z",
- *     "endTime": "2024-01-15T12:00:00Z"
+ *     "endTime": "2024-01-16T09:30:00.000Z"
  *   }
  * }
  */
@@ -243,6 +281,194 @@ router.get('/my-vehicles', authenticate, getUserVehicles);
  */
 router.delete('/my-vehicles/:id', authenticate, deleteUserVehicle);
 
+/**
+ * @route   GET /api/vehicles/:id/downtime
+ * @desc    Get downtime blocks for a vehicle
+ * @access  Private (Authenticated)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @query   {string} from - Only blocks ending after this time (ISO string)
+ * @returns {Object} success, downtime
+ * @example
+ * // Request
+ * GET /api/vehicles/60f7b3b3b3b3b3b3b3b3b3b3/downtime
+ *
+ * // Response
+ * {
+ *   "success": true,
+ *   "downtime": [
+ *     {
+ *       "id": "60f7b3b3b3b3b3b3b3b3b3c1",
+ *       "vehicleId": "60f7b3b3b3b3b3b3b3b3b3b3",
+ *       "times": { "start": "2024-01-20T00:00:00.000Z", "end": "2024-01-22T00:00:00.000Z" },
+ *       "reason": "Annual service"
+ *     }
+ *   ]
+ * }
+ */
+router.get('/:id/downtime', authenticate, getVehicleDowntime);
+
+/**
+ * @route   POST /api/vehicles/:id/downtime
+ * @desc    Take a vehicle out of service for a time range (Owner or Admin)
+ * @access  Private (Owner, Admin)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @param   {string} start - Block start (ISO string)
+ * @param   {string} end - Block end (ISO string)
+ * @param   {string} reason - Why the vehicle is out of service
+ * @returns {Object} success, message, downtime, warning
+ * @example
+ * // Request
+ * POST /api/vehicles/60f7b3b3b3b3b3b3b3b3b3b3/downtime
+ * Body: { "start": "2024-01-20T00:00:00Z", "end": "2024-01-22T00:00:00Z", "reason": "Annual service" }
+ *
+ * // Response (existing bookings are kept and reported)
+ * {
+ *   "success": true,
+ *   "message": "Downtime scheduled successfully",
+ *   "downtime": { ... },
+ *   "warning": {
+ *     "message": "1 existing booking(s) overlap this downtime and were not changed",
+ *     "collidingBookings": [{ "id": "...", "start": "...", "end": "..." }]
+ *   }
+ * }
+ */
+router.post('/:id/downtime', authenticate, addVehicleDowntime);
+
+/**
+ * @route   PUT /api/vehicles/:id/downtime/:downtimeId
+ * @desc    Update a downtime block (Owner or Admin)
+ * @access  Private (Owner, Admin)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @param   {string} downtimeId - Downtime ID
+ * @returns {Object} success, message, downtime, warning
+ */
+router.put('/:id/downtime/:downtimeId', authenticate, updateVehicleDowntime);
+
+/**
+ * @route   DELETE /api/vehicles/:id/downtime/:downtimeId
+ * @desc    Remove a downtime block (Owner or Admin)
+ * @access  Private (Owner, Admin)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @param   {string} downtimeId - Downtime ID
+ * @returns {Object} success, message
+ */
+router.delete('/:id/downtime/:downtimeId', authenticate, deleteVehicleDowntime);
+
+/**
+ * @route   GET /api/vehicles/:id/compliance
+ * @desc    Get compliance documents and current compliance status (Owner or Admin)
+ * @access  Private (Owner, Admin)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @returns {Object} success, documents, status
+ * @example
+ * // Request
+ * GET /api/vehicles/60f7b3b3b3b3b3b3b3b3b3b3/compliance
+ *
+ * // Response
+ * {
+ *   "success": true,
+ *   "documents": [
+ *     {
+ *       "id": "60f7b3b3b3b3b3b3b3b3b3d1",
+ *       "type": "insurance",
+ *       "documentNumber": "POL-123",
+ *       "expiresAt": "2025-03-31T00:00:00.000Z",
+ *       "file": { "originalName": "policy.pdf", "mimeType": "application/pdf", "sizeBytes": 48213 }
+ *     }
+ *   ],
+ *   "status": { "isCompliant": true, "reason": null, "expired": [], "missing": [] }
+ * }
+ */
+router.get('/:id/compliance', authenticate, getVehicleCompliance);
+
+/**
+ * @route   POST /api/vehicles/:id/compliance
+ * @desc    Add a compliance document with an optional uploaded copy (Owner or Admin)
+ * @access  Private (Owner, Admin)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @param   {string} type - registration, insurance, permit, fitness or puc
+ * @param   {string} documentNumber - Registration, policy or certificate number
+ * @param   {string} [issuedAt] - Issue date (ISO string)
+ * @param   {string} expiresAt - Expiry date (ISO string)
+ * @param   {Object} [file] - { name, mimeType, content } with base64 content; PDF, JPEG or PNG up to 5 MB
+ * @returns {Object} success, message, document, status
+ * @example
+ * // Request
+ * POST /api/vehicles/60f7b3b3b3b3b3b3b3b3b3b3/compliance
+ * Body: { "type": "insurance", "documentNumber": "POL-123", "expiresAt": "2025-03-31" }
+ */
+router.post('/:id/compliance', authenticate, addComplianceDocument);
+
+/**
+ * @route   GET /api/vehicles/:id/compliance/:documentId/file
+ * @desc    Download the uploaded copy of a compliance document (Owner or Admin)
+ * @access  Private (Owner, Admin)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @param   {string} documentId - Compliance document ID
+ * @returns {File} The stored PDF or image
+ */
+router.get('/:id/compliance/:documentId/file', authenticate, downloadComplianceFile);
+
+/**
+ * @route   PUT /api/vehicles/:id/compliance/:documentId
+ * @desc    Update a compliance document (Owner or Admin)
+ * @access  Private (Owner, Admin)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @param   {string} documentId - Compliance document ID
+ * @returns {Object} success, message, document, status
+ */
+router.put('/:id/compliance/:documentId', authenticate, updateComplianceDocument);
+
+/**
+ * @route   DELETE /api/vehicles/:id/compliance/:documentId
+ * @desc    Remove a compliance document and its uploaded copy (Owner or Admin)
+ * @access  Private (Owner, Admin)
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @param   {string} documentId - Compliance document ID
+ * @returns {Object} success, message
+ */
+router.delete('/:id/compliance/:documentId', authenticate, deleteComplianceDocument);
+
+/**
+ * @route   GET /api/vehicles/:id/calendar
+ * @desc    Get a vehicle's busy intervals and free gaps in a range
+ * @access  Private (Authenticated); booking and downtime details only for the owner or an admin
+ * @header  Authorization: Bearer <token>
+ * @param   {string} id - Vehicle ID
+ * @query   {string} [from] - Range start (ISO string), defaults to now
+ * @query   {string} [to] - Range end (ISO string), defaults to 7 days after from; at most 62 days
+ * @returns {Object} success, vehicle, range, busy, free
+ * @example
+ * // Request
+ * GET /api/vehicles/60f7b3b3b3b3b3b3b3b3b3b3/calendar?from=2024-01-15T00:00:00Z&to=2024-01-17T00:00:00Z
+ *
+ * // Response
+ * {
+ *   "success": true,
+ *   "vehicle": { "id": "60f7b3b3b3b3b3b3b3b3b3b3", "name": "Truck-001", "capacityKg": 5000, "turnaroundMinutes": 0 },
+ *   "range": { "from": "2024-01-15T00:00:00.000Z", "to": "2024-01-17T00:00:00.000Z" },
+ *   "busy": [
+ *     { "type": "booking", "start": "2024-01-15T10:00:00.000Z", "end": "2024-01-15T16:00:00.000Z" },
+ *     { "type": "downtime", "start": "2024-01-16T00:00:00.000Z", "end": "2024-01-16T12:00:00.000Z" }
+ *   ],
+ *   "free": [
+ *     { "start": "2024-01-15T00:00:00.000Z", "end": "2024-01-15T10:00:00.000Z", "durationHours": 10 },
+ *     { "start": "2024-01-15T16:00:00.000Z", "end": "2024-01-16T00:00:00.000Z", "durationHours": 8 },
+ *     { "start": "2024-01-16T12:00:00.000Z", "end": "2024-01-17T00:00:00.000Z", "durationHours": 12 }
+ *   ]
+ * }
+ */
+router.get('/:id/calendar', authenticate, getVehicleCalendar);
+
 /**
  * @route   GET /api/vehicles/:id
  * @desc    Get vehicle by ID
@@ -0,0 +1,54 @@
+/**
+ * Waitlist Routes for FleetLink
+ * @fileoverview API routes for waitlists on fully booked time slots
+ */
+
+const express = require('express');
+const { authenticate } = require('../middlewares/auth');
+const {
+    joinWaitlist,
+    getUserWaitlist,
+    leaveWaitlist
+} = require('../controllers/waitlistController');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/waitlist
+ * @desc Wait for a fully booked slot on a vehicle, or on any vehicle with enough capacity
+ * @access Private (User)
+ * @param {string} [vehicleId] - Vehicle to wait for
+ * @param {number} [capacityRequired] - Capacity any vehicle must offer when no vehicle is given
+ * @param {string} fromPincode - Starting location pincode (6 digits)
+ * @param {string} toPincode - Destination pincode (6 digits)
+ * @param {string} startTime - Requested start time (ISO string)
+ * @returns {Object} Created entry and its position in the queue
+ * @example
+ * POST /api/waitlist
+ * {
+ *   "vehicleId": "60f7b3b3b3b3b3b3b3b3b3b3",
+ *   "fromPincode": "110001",
+ *   "toPincode": "400001",
+ *   "startTime": "2024-01-15T10:00:00.000Z"
+ * }
+ */
+router.post('/', authenticate, joinWaitlist);
+
+/**
+ * @route GET /api/waitlist
+ * @desc Get the current user's waitlist entries, including open offers
+ * @access Private (User)
+ * @returns {Array} Waitlist entries, newest first
+ */
+router.get('/', authenticate, getUserWaitlist);
+
+/**
+ * @route DELETE /api/waitlist/:id
+ * @desc Leave the waitlist; an open offer passes to the next customer
+ * @access Private (Entry owner)
+ * @param {string} id - Waitlist entry ID
+ * @returns {Object} Success message
+ */
+router.delete('/:id', authenticate, leaveWaitlist);
+
+module.exports = router;
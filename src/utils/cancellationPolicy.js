@@ -0,0 +1,110 @@
+/**
+ * Cancellation Policy Utilities for FleetLink
+ * @fileoverview Evaluates a vehicle's cancellation policy for a booking at cancel time
+ */
+
+/**
+ * Policy used when a vehicle does not configure one: free cancellation until the ride starts
+ * @constant {Object}
+ */
+const DEFAULT_CANCELLATION_POLICY = Object.freeze({
+    freeCancellationHours: 0,
+    lateCancellationFeePercent: 0,
+    noCancellationHours: 0
+});
+
+/**
+ * Milliseconds per hour
+ * @constant {number}
+ */
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Round a money amount to two decimals
+ * @function roundMoney
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Fill missing policy fields with the defaults
+ * @function resolveCancellationPolicy
+ * @param {Object} [policy] - Vehicle cancellation policy
+ * @returns {Object} { freeCancellationHours, lateCancellationFeePercent, noCancellationHours }
+ */
+const resolveCancellationPolicy = (policy) => {
+    const resolved = { ...DEFAULT_CANCELLATION_POLICY };
+    if (!policy) {
+        return resolved;
+    }
+
+    for (const field of Object.keys(DEFAULT_CANCELLATION_POLICY)) {
+        if (typeof policy[field] === 'number') resolved[field] = policy[field];
+    }
+    return resolved;
+};
+
+/**
+ * Evaluate cancelling a booking under a cancellation policy
+ * @function evaluateCancellation
+ * @param {Object} [policy] - Vehicle cancellation policy
+ * @param {number} [policy.freeCancellationHours] - Cancelling at least this many hours before start is free
+ * @param {number} [policy.lateCancellationFeePercent] - Fee, as a percentage of the booking total, after the free window
+ * @param {number} [policy.noCancellationHours] - Cancelling is refused within this many hours of start
+ * @param {Object} booking - Booking with times.start and an optional price snapshot
+ * @param {Date} [now=new Date()] - Time of cancellation
+ * @returns {Object} { allowed, reason, policy, hoursBeforeStart, freeUntil, cutoffAt, feePercent, fee, currency }
+ * @example
+ * const policy = { freeCancellationHours: 24, lateCancellationFeePercent: 20, noCancellationHours: 2 };
+ * // Booking starting in 10 hours with a total of 5000
+ * evaluateCancellation(policy, booking);
+ * // Returns: { allowed: true, reason: null, feePercent: 20, fee: 1000, currency: 'INR', ... }
+ */
+const evaluateCancellation = (policy, booking, now = new Date()) => {
+    const resolved = resolveCancellationPolicy(policy);
+    const start = new Date(booking.times.start);
+    const hoursBeforeStart = (start.getTime() - now.getTime()) / HOUR_MS;
+    const price = booking.price || {};
+
+    const evaluation = {
+        allowed: true,
+        reason: null,
+        policy: resolved,
+        hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100,
+        freeUntil: new Date(start.getTime() - resolved.freeCancellationHours * HOUR_MS),
+        cutoffAt: new Date(start.getTime() - resolved.noCancellationHours * HOUR_MS),
+        feePercent: 0,
+        fee: 0,
+        currency: price.currency || null
+    };
+
+    if (hoursBeforeStart <= 0) {
+        return { ...evaluation, allowed: false, reason: 'Cannot cancel booking that has already started' };
+    }
+
+    if (hoursBeforeStart < resolved.noCancellationHours) {
+        return {
+            ...evaluation,
+            allowed: false,
+            reason: `Bookings cannot be cancelled within ${resolved.noCancellationHours} hours of the start time`
+        };
+    }
+
+    if (hoursBeforeStart < resolved.freeCancellationHours) {
+        const feePercent = resolved.lateCancellationFeePercent;
+        return {
+            ...evaluation,
+            feePercent,
+            fee: typeof price.total === 'number' ? roundMoney(price.total * feePercent / 100) : 0
+        };
+    }
+
+    return evaluation;
+};
+
+module.exports = {
+    DEFAULT_CANCELLATION_POLICY,
+    resolveCancellationPolicy,
+    evaluateCancellation
+};
@@ -0,0 +1,144 @@
+/**
+ * Cargo Manifest Utilities for FleetLink
+ * @fileoverview Goods categories, manifest validation and the categories a vehicle accepts
+ */
+
+/**
+ * Goods categories a booking's cargo can be classified as
+ * @readonly
+ * @enum {string}
+ */
+const GOODS_CATEGORIES = {
+    GENERAL: 'general',
+    FRAGILE: 'fragile',
+    PERISHABLE: 'perishable',
+    HAZARDOUS: 'hazardous'
+};
+
+/**
+ * Categories a vehicle accepts until its owner declares otherwise
+ * @constant {Array<string>}
+ */
+const DEFAULT_ACCEPTED_CATEGORIES = [GOODS_CATEGORIES.GENERAL];
+
+/**
+ * Most item lines a manifest may have
+ * @constant {number}
+ */
+const MAX_MANIFEST_ITEMS = 50;
+
+/**
+ * Round to two decimals, as totals are shown to customers
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check whether a value is a known goods category
+ * @function isGoodsCategory
+ * @param {*} category - Value to check
+ * @returns {boolean} True for one of GOODS_CATEGORIES
+ */
+const isGoodsCategory = (category) => Object.values(GOODS_CATEGORIES).includes(category);
+
+/**
+ * Validate and normalise a cargo manifest from a request
+ * @function normalizeManifest
+ * @param {*} cargo - Manifest as sent by the client: { category, items }
+ * @returns {Object} { cargo } with totals, or { error }; cargo is null when none was sent
+ * @description Weight, volume and declared value are given per item line, not per unit.
+ * A manifest without item lines only classifies the goods.
+ * @example
+ * normalizeManifest({
+ *     category: 'fragile',
+ *     items: [{ description: 'Glassware', quantity: 20, weightKg: 150, volumeM3: 1.2, declaredValue: 40000 }]
+ * });
+ * // Returns: { cargo: { category: 'fragile', items: [...], totalWeightKg: 150, totalVolumeM3: 1.2, declaredValue: 40000 } }
+ */
+const normalizeManifest = (cargo) => {
+    if (cargo === undefined || cargo === null) {
+        return { cargo: null };
+    }
+
+    if (typeof cargo !== 'object' || Array.isArray(cargo)) {
+        return { error: 'Cargo must be an object with a category and items' };
+    }
+
+    const category = cargo.category || GOODS_CATEGORIES.GENERAL;
+    if (!isGoodsCategory(category)) {
+        return { error: `Goods category must be one of: ${Object.values(GOODS_CATEGORIES).join(', ')}` };
+    }
+
+    const items = cargo.items === undefined || cargo.items === null ? [] : cargo.items;
+    if (!Array.isArray(items)) {
+        return { error: 'Cargo items must be an array' };
+    }
+
+    if (items.length > MAX_MANIFEST_ITEMS) {
+        return { error: `A manifest can have at most ${MAX_MANIFEST_ITEMS} items` };
+    }
+
+    const normalized = [];
+    for (const [index, item] of items.entries()) {
+        const label = `Item ${index + 1}`;
+
+        const description = item && typeof item.description === 'string' ? item.description.trim() : '';
+        if (!description) {
+            return { error: `${label}: description is required` };
+        }
+
+        const quantity = item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { error: `${label}: quantity must be a whole number of at least 1` };
+        }
+
+        const weightKg = Number(item.weightKg);
+        if (isNaN(weightKg) || weightKg <= 0) {
+            return { error: `${label}: weight must be a positive number` };
+        }
+
+        const volumeM3 = Number(item.volumeM3 || 0);
+        const declaredValue = Number(item.declaredValue || 0);
+        if (isNaN(volumeM3) || isNaN(declaredValue) || volumeM3 < 0 || declaredValue < 0) {
+            return { error: `${label}: volume and declared value cannot be negative` };
+        }
+
+        normalized.push({ description, quantity, weightKg, volumeM3, declaredValue });
+    }
+
+    const sum = (field) => round2(normalized.reduce((total, item) => total + item[field], 0));
+
+    return {
+        cargo: {
+            category,
+            items: normalized,
+            totalWeightKg: sum('weightKg'),
+            totalVolumeM3: sum('volumeM3'),
+            declaredValue: sum('declaredValue')
+        }
+    };
+};
+
+/**
+ * Check whether a vehicle accepts a goods category
+ * @function acceptsCategory
+ * @param {Object} vehicle - Vehicle with acceptedGoodsCategories
+ * @param {string} category - Goods category
+ * @returns {boolean} True when the vehicle may carry the goods
+ */
+const acceptsCategory = (vehicle, category) => {
+    const accepted = vehicle.acceptedGoodsCategories && vehicle.acceptedGoodsCategories.length > 0
+        ? vehicle.acceptedGoodsCategories
+        : DEFAULT_ACCEPTED_CATEGORIES;
+    return accepted.includes(category);
+};
+
+module.exports = {
+    GOODS_CATEGORIES,
+    DEFAULT_ACCEPTED_CATEGORIES,
+    MAX_MANIFEST_ITEMS,
+    isGoodsCategory,
+    normalizeManifest,
+    acceptsCategory
+};
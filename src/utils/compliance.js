@@ -0,0 +1,148 @@
+/**
+ * Compliance Utilities for FleetLink
+ * @fileoverview Vehicle compliance document types, validity checks and expiry warnings
+ */
+
+/**
+ * Compliance document types a vehicle can hold
+ * @readonly
+ * @enum {string}
+ */
+const DOCUMENT_TYPES = {
+    REGISTRATION: 'registration',
+    INSURANCE: 'insurance',
+    PERMIT: 'permit',
+    FITNESS: 'fitness',
+    PUC: 'puc'
+};
+
+/**
+ * Names shown to users for each document type
+ * @constant {Object<string, string>}
+ */
+const DOCUMENT_LABELS = {
+    [DOCUMENT_TYPES.REGISTRATION]: 'Registration certificate',
+    [DOCUMENT_TYPES.INSURANCE]: 'Insurance',
+    [DOCUMENT_TYPES.PERMIT]: 'Permit',
+    [DOCUMENT_TYPES.FITNESS]: 'Fitness certificate',
+    [DOCUMENT_TYPES.PUC]: 'PUC certificate'
+};
+
+/**
+ * Days before expiry at which owners are warned; 0 is the day the document expires
+ * @constant {Array<number>}
+ */
+const EXPIRY_WARNING_DAYS = [30, 7, 1, 0];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a value is a known document type
+ * @function isDocumentType
+ * @param {*} type - Value to check
+ * @returns {boolean} True for one of DOCUMENT_TYPES
+ */
+const isDocumentType = (type) => Object.values(DOCUMENT_TYPES).includes(type);
+
+/**
+ * Document types every vehicle must hold before it can be booked
+ * @function getRequiredDocumentTypes
+ * @returns {Array<string>} Types from COMPLIANCE_REQUIRED_DOCUMENTS, none when unset
+ * @description Documents that are on file are always checked for expiry; requiring
+ * types additionally excludes vehicles that have not uploaded them yet.
+ * @example
+ * // COMPLIANCE_REQUIRED_DOCUMENTS=insurance,fitness
+ * getRequiredDocumentTypes();
+ * // Returns: ['insurance', 'fitness']
+ */
+const getRequiredDocumentTypes = () => (process.env.COMPLIANCE_REQUIRED_DOCUMENTS || '')
+    .split(',')
+    .map(type => type.trim())
+    .filter(isDocumentType);
+
+/**
+ * Keep the latest-expiring document of each type; older ones have been renewed
+ * @function latestByType
+ * @param {Array<Object>} documents - Documents with type and expiresAt
+ * @returns {Map<string, Object>} Latest document per type
+ */
+const latestByType = (documents) => {
+    const latest = new Map();
+    for (const document of documents) {
+        const current = latest.get(document.type);
+        if (!current || new Date(document.expiresAt) > new Date(current.expiresAt)) {
+            latest.set(document.type, document);
+        }
+    }
+    return latest;
+};
+
+/**
+ * Check whether a vehicle's documents stay valid until a given time
+ * @function checkCompliance
+ * @param {Array<Object>} documents - The vehicle's documents with type and expiresAt
+ * @param {Date} until - Time the documents must cover, e.g. the end of a ride
+ * @param {Array<string>} [requiredTypes] - Types the vehicle must hold; defaults to getRequiredDocumentTypes()
+ * @returns {Object} { isCompliant, reason, expired: [{ type, expiresAt }], missing: [type] }
+ * @example
+ * checkCompliance([{ type: 'insurance', expiresAt: new Date('2024-01-20') }], new Date('2024-01-21T10:00:00Z'), []);
+ * // Returns: { isCompliant: false, reason: 'Insurance expires on 2024-01-20', expired: [...], missing: [] }
+ */
+const checkCompliance = (documents, until, requiredTypes = getRequiredDocumentTypes()) => {
+    const latest = latestByType(documents);
+    const untilTime = new Date(until).getTime();
+
+    const expired = [...latest.values()]
+        .filter(document => new Date(document.expiresAt).getTime() < untilTime)
+        .map(document => ({ type: document.type, expiresAt: new Date(document.expiresAt) }));
+    const missing = requiredTypes.filter(type => !latest.has(type));
+
+    let reason = null;
+    if (expired.length > 0) {
+        const [first] = expired;
+        reason = `${DOCUMENT_LABELS[first.type]} expires on ${first.expiresAt.toISOString().slice(0, 10)}`;
+    } else if (missing.length > 0) {
+        reason = `${DOCUMENT_LABELS[missing[0]]} is missing`;
+    }
+
+    return {
+        isCompliant: reason === null,
+        reason,
+        expired,
+        missing
+    };
+};
+
+/**
+ * Work out which expiry warning, if any, is due for a document
+ * @function getDueWarning
+ * @param {Object} document - Document with expiresAt and warningsSent
+ * @param {Date} now - Current time
+ * @returns {number|null} Warning threshold in days, or null when nothing new is due
+ * @description Only the most urgent threshold passed is sent, so a document added
+ * five days before expiry gets the 7-day warning and not the 30-day one as well.
+ * @example
+ * getDueWarning({ expiresAt: new Date('2024-01-20'), warningsSent: [30] }, new Date('2024-01-15'));
+ * // Returns: 7
+ */
+const getDueWarning = (document, now) => {
+    const daysLeft = (new Date(document.expiresAt).getTime() - new Date(now).getTime()) / DAY_MS;
+    const passed = EXPIRY_WARNING_DAYS.filter(days => daysLeft <= days);
+    if (passed.length === 0) {
+        return null;
+    }
+
+    const threshold = Math.min(...passed);
+    return (document.warningsSent || []).includes(threshold) ? null : threshold;
+};
+
+module.exports = {
+    DOCUMENT_TYPES,
+    DOCUMENT_LABELS,
+    EXPIRY_WARNING_DAYS,
+    isDocumentType,
+    getRequiredDocumentTypes,
+    latestByType,
+    checkCompliance,
+    getDueWarning
+};
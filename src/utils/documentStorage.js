@@ -0,0 +1,125 @@
+/**
+ * Document Storage Utilities for FleetLink
+ * @fileoverview Stores uploaded compliance files on the local disk
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File types accepted for compliance documents, with the extension they are stored under
+ * @constant {Object<string, string>}
+ */
+const ALLOWED_FILE_TYPES = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+};
+
+/**
+ * Largest file accepted, in bytes
+ * @constant {number}
+ */
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Directory uploaded files are kept in
+ * @function getUploadDir
+ * @returns {string} COMPLIANCE_UPLOAD_DIR, or uploads/compliance in the project root
+ */
+const getUploadDir = () => process.env.COMPLIANCE_UPLOAD_DIR
+    || path.join(__dirname, '..', '..', 'uploads', 'compliance');
+
+/**
+ * Decode a file sent in a JSON body
+ * @function decodeUpload
+ * @param {Object} file - { name, mimeType, content } with base64 content, optionally as a data URL
+ * @returns {Object} { upload: { buffer, originalName, mimeType } } or { error }
+ * @example
+ * decodeUpload({ name: 'insurance.pdf', mimeType: 'application/pdf', content: 'JVBERi0xLjQK...' });
+ * // Returns: { upload: { buffer: <Buffer>, originalName: 'insurance.pdf', mimeType: 'application/pdf' } }
+ */
+const decodeUpload = (file) => {
+    if (!file || typeof file !== 'object' || typeof file.content !== 'string' || !file.name) {
+        return { error: 'File must have a name, mimeType and base64 content' };
+    }
+
+    if (!ALLOWED_FILE_TYPES[file.mimeType]) {
+        return { error: 'File must be a PDF, JPEG or PNG' };
+    }
+
+    const buffer = Buffer.from(file.content.replace(/^data:[^;]+;base64,/, ''), 'base64');
+    if (buffer.length === 0) {
+        return { error: 'File is empty' };
+    }
+
+    if (buffer.length > MAX_FILE_BYTES) {
+        return { error: `File cannot exceed ${MAX_FILE_BYTES / (1024 * 1024)} MB` };
+    }
+
+    return {
+        upload: {
+            buffer,
+            originalName: path.basename(String(file.name)).slice(0, 200),
+            mimeType: file.mimeType
+        }
+    };
+};
+
+/**
+ * Write a decoded upload to the upload directory under a random name
+ * @async
+ * @function saveUpload
+ * @param {Object} upload - Result of decodeUpload
+ * @returns {Promise<Object>} File reference: { storedName, originalName, mimeType, sizeBytes }
+ */
+const saveUpload = async (upload) => {
+    const dir = getUploadDir();
+    const storedName = `${crypto.randomUUID()}${ALLOWED_FILE_TYPES[upload.mimeType]}`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, storedName), upload.buffer);
+
+    return {
+        storedName,
+        originalName: upload.originalName,
+        mimeType: upload.mimeType,
+        sizeBytes: upload.buffer.length
+    };
+};
+
+/**
+ * Path of a stored file on disk
+ * @function resolveStoredFile
+ * @param {string} storedName - Name returned by saveUpload
+ * @returns {string} Absolute path inside the upload directory
+ */
+const resolveStoredFile = (storedName) => path.resolve(getUploadDir(), path.basename(storedName));
+
+/**
+ * Delete a stored file, ignoring files that are already gone
+ * @async
+ * @function removeStoredFile
+ * @param {string} storedName - Name returned by saveUpload
+ * @returns {Promise<void>}
+ */
+const removeStoredFile = async (storedName) => {
+    try {
+        await fs.unlink(resolveStoredFile(storedName));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+};
+
+module.exports = {
+    ALLOWED_FILE_TYPES,
+    MAX_FILE_BYTES,
+    getUploadDir,
+    decodeUpload,
+    saveUpload,
+    resolveStoredFile,
+    removeStoredFile
+};
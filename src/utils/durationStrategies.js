@@ -0,0 +1,417 @@
+/**
+ * Ride Duration Strategy Registry for FleetLink
+ * @fileoverview Built-in ride duration strategies and the registry used to select between them
+ */
+
+const { lookupPincode, getPincodeDistanceKm } = require('./pincodeDirectory');
+const corridorRecords = require('../data/corridors.json');
+
+/**
+ * Ride duration strategy names
+ * @readonly
+ * @enum {string}
+ */
+const RIDE_DURATION_STRATEGY = {
+    LEGACY: 'legacy',
+    DISTANCE: 'distance',
+    CORRIDOR: 'corridor'
+};
+
+/**
+ * Average road speed used when no speed is configured, in km/h
+ * @constant {number}
+ */
+const DEFAULT_AVERAGE_SPEED_KMPH = 50;
+
+/**
+ * Minimum duration of any ride, in hours
+ * @constant {number}
+ */
+const MIN_RIDE_DURATION_HOURS = 1;
+
+/**
+ * Longest booking accepted, in hours; a week covers the longest distance estimate in the
+ * dataset (about 57 hours at 50 km/h) even at a much lower configured average speed
+ * @constant {number}
+ */
+const MAX_RIDE_DURATION_HOURS = 7 * 24;
+
+/**
+ * Validate a start/end pincode pair
+ * @function validatePincodePair
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Destination pincode
+ * @throws {Error} When a pincode is missing or not a 6-digit number
+ */
+const validatePincodePair = (startPincode, endPincode) => {
+    if (!startPincode || !endPincode) {
+        throw new Error('Both start and end pincodes are required');
+    }
+
+    const start = parseInt(startPincode, 10);
+    const end = parseInt(endPincode, 10);
+
+    if (isNaN(start) || isNaN(end) || startPincode.length !== 6 || endPincode.length !== 6) {
+        throw new Error('Pincodes must be 6-digit numbers');
+    }
+};
+
+/**
+ * Calculate ride duration using the legacy pincode difference formula
+ * @function calculateLegacyRideDuration
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Destination pincode
+ * @returns {number} Duration in hours
+ * @description Calculates ride duration as pincode difference % 24
+ * @example
+ * // Calculate duration between pincodes
+ * const duration = calculateLegacyRideDuration('110001', '400001');
+ * // Returns: 8 (hours)
+ *
+ * // Edge case: same pincode
+ * const duration = calculateLegacyRideDuration('110001', '110001');
+ * // Returns: 1 (hour, minimum)
+ */
+const calculateLegacyRideDuration = (startPincode, endPincode) => {
+    validatePincodePair(startPincode, endPincode);
+
+    // Calculate difference and apply modulo 24
+    const difference = Math.abs(parseInt(endPincode, 10) - parseInt(startPincode, 10));
+    const duration = difference % 24;
+
+    // Ensure minimum duration of 1 hour for same pincode bookings
+    return duration === 0 ? MIN_RIDE_DURATION_HOURS : duration;
+};
+
+/**
+ * Resolve the configured average speed
+ * @function getAverageSpeedKmph
+ * @param {number} [averageSpeedKmph] - Explicit speed override
+ * @returns {number} Average speed in km/h
+ * @throws {Error} When the resolved speed is not a positive number
+ */
+const getAverageSpeedKmph = (averageSpeedKmph) => {
+    const speed = averageSpeedKmph !== undefined
+        ? Number(averageSpeedKmph)
+        : Number(process.env.AVERAGE_SPEED_KMPH || DEFAULT_AVERAGE_SPEED_KMPH);
+
+    if (!Number.isFinite(speed) || speed <= 0) {
+        throw new Error('Average speed must be a positive number');
+    }
+
+    return speed;
+};
+
+/**
+ * Calculate ride duration from the great-circle distance between two pincodes
+ * @function calculateDistanceRideDuration
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Destination pincode
+ * @param {Object} [options] - Calculation options
+ * @param {number} [options.averageSpeedKmph] - Average speed, defaults to AVERAGE_SPEED_KMPH or 50
+ * @returns {Object} Distance in kilometres and duration in hours
+ * @description Divides the distance by the average speed and rounds up to the next quarter hour
+ * @example
+ * const ride = calculateDistanceRideDuration('110001', '400001');
+ * // Returns: { distanceKm: 1166.3, durationHours: 23.5 }
+ */
+const calculateDistanceRideDuration = (startPincode, endPincode, options = {}) => {
+    validatePincodePair(startPincode, endPincode);
+
+    const distanceKm = getPincodeDistanceKm(startPincode, endPincode);
+    const speed = getAverageSpeedKmph(options.averageSpeedKmph);
+
+    // Round up to the next quarter hour so end times stay on a readable grid
+    const durationHours = Math.ceil((distanceKm / speed) * 4) / 4;
+
+    return {
+        distanceKm,
+        durationHours: Math.max(durationHours, MIN_RIDE_DURATION_HOURS)
+    };
+};
+
+/**
+ * Length of the pincode prefix identifying a corridor endpoint (sorting district)
+ * @constant {number}
+ */
+const CORRIDOR_PREFIX_LENGTH = 3;
+
+/**
+ * Find the corridor connecting two pincodes in either direction
+ * @function findCorridor
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Destination pincode
+ * @returns {Object|null} Corridor record or null when none is configured
+ * @example
+ * const corridor = findCorridor('110001', '400001');
+ * // Returns: { from: '110', to: '400', distanceKm: 1420, durationHours: 28 }
+ */
+const findCorridor = (startPincode, endPincode) => {
+    const from = startPincode.slice(0, CORRIDOR_PREFIX_LENGTH);
+    const to = endPincode.slice(0, CORRIDOR_PREFIX_LENGTH);
+
+    return corridorRecords.find(corridor =>
+        (corridor.from === from && corridor.to === to) ||
+        (corridor.from === to && corridor.to === from)
+    ) || null;
+};
+
+/**
+ * Calculate ride duration from the corridor lookup table
+ * @function calculateCorridorRideDuration
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Destination pincode
+ * @param {Object} [options] - Calculation options, passed to the distance strategy on fallback
+ * @returns {Object} Distance in kilometres and duration in hours
+ * @description Uses the measured road distance and duration of a known corridor,
+ * falling back to the distance strategy for pincode pairs without one
+ * @example
+ * const ride = calculateCorridorRideDuration('110001', '400001');
+ * // Returns: { distanceKm: 1420, durationHours: 28 }
+ */
+const calculateCorridorRideDuration = (startPincode, endPincode, options = {}) => {
+    validatePincodePair(startPincode, endPincode);
+
+    const corridor = findCorridor(startPincode, endPincode);
+    if (!corridor) {
+        return calculateDistanceRideDuration(startPincode, endPincode, options);
+    }
+
+    return {
+        distanceKm: corridor.distanceKm,
+        durationHours: corridor.durationHours
+    };
+};
+
+/**
+ * Fall back to the legacy formula when a strategy cannot place the pincodes
+ * @function withLegacyFallback
+ * @param {Function} strategy - Strategy relying on the pincode reference dataset
+ * @returns {Function} Strategy answering with the legacy estimate, distance unknown, for any
+ * valid pincode outside the dataset; other errors are still thrown
+ * @example
+ * const distance = withLegacyFallback(calculateDistanceRideDuration);
+ * distance('100000', '400001');
+ * // Returns: { durationHours: 1, distanceKm: null, strategy: 'legacy' }
+ */
+const withLegacyFallback = (strategy) => (startPincode, endPincode, options) => {
+    validatePincodePair(startPincode, endPincode);
+
+    if (!lookupPincode(startPincode) || !lookupPincode(endPincode)) {
+        return {
+            durationHours: calculateLegacyRideDuration(startPincode, endPincode),
+            distanceKm: null,
+            strategy: RIDE_DURATION_STRATEGY.LEGACY
+        };
+    }
+
+    return strategy(startPincode, endPincode, options);
+};
+
+/**
+ * Registered strategies by name
+ * @type {Map<string, Function>}
+ */
+const strategies = new Map();
+
+/**
+ * Strategy names assigned to vehicle types at runtime
+ * @type {Map<string, string>}
+ */
+const vehicleTypeStrategies = new Map();
+
+/**
+ * Default strategy set at runtime, overriding RIDE_DURATION_STRATEGY
+ * @type {string|null}
+ */
+let defaultStrategyOverride = null;
+
+/**
+ * Register a ride duration strategy
+ * @function registerDurationStrategy
+ * @param {string} name - Strategy name
+ * @param {Function} strategy - Function of (startPincode, endPincode, options) returning { durationHours, distanceKm }
+ * @throws {Error} When the name or strategy is invalid
+ * @example
+ * // Deterministic strategy for tests
+ * registerDurationStrategy('fixed', () => ({ durationHours: 2, distanceKm: null }));
+ */
+const registerDurationStrategy = (name, strategy) => {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Strategy name is required');
+    }
+
+    if (typeof strategy !== 'function') {
+        throw new Error('Strategy must be a function');
+    }
+
+    strategies.set(name, strategy);
+};
+
+/**
+ * Remove a registered ride duration strategy
+ * @function unregisterDurationStrategy
+ * @param {string} name - Strategy name
+ * @returns {boolean} True if a strategy was removed
+ */
+const unregisterDurationStrategy = (name) => strategies.delete(name);
+
+/**
+ * List registered strategy names
+ * @function listDurationStrategies
+ * @returns {Array<string>} Strategy names
+ */
+const listDurationStrategies = () => Array.from(strategies.keys());
+
+/**
+ * Assign a strategy to a vehicle type
+ * @function setVehicleTypeStrategy
+ * @param {string} vehicleType - Vehicle type
+ * @param {string|null} name - Strategy name, or null to clear the assignment
+ * @example
+ * setVehicleTypeStrategy('reefer', 'corridor');
+ */
+const setVehicleTypeStrategy = (vehicleType, name) => {
+    if (name) {
+        vehicleTypeStrategies.set(vehicleType, name);
+    } else {
+        vehicleTypeStrategies.delete(vehicleType);
+    }
+};
+
+/**
+ * Set the default strategy, overriding RIDE_DURATION_STRATEGY
+ * @function setDefaultDurationStrategy
+ * @param {string|null} name - Strategy name, or null to fall back to configuration
+ */
+const setDefaultDurationStrategy = (name) => {
+    defaultStrategyOverride = name || null;
+};
+
+/**
+ * Parse RIDE_DURATION_STRATEGY_BY_VEHICLE_TYPE into a lookup
+ * @function getConfiguredVehicleTypeStrategies
+ * @returns {Object} Strategy names keyed by vehicle type
+ * @example
+ * // RIDE_DURATION_STRATEGY_BY_VEHICLE_TYPE=reefer:corridor,trailer:legacy
+ * getConfiguredVehicleTypeStrategies();
+ * // Returns: { reefer: 'corridor', trailer: 'legacy' }
+ */
+const getConfiguredVehicleTypeStrategies = () => {
+    const config = process.env.RIDE_DURATION_STRATEGY_BY_VEHICLE_TYPE || '';
+
+    return config.split(',').reduce((mapping, entry) => {
+        const [vehicleType, name] = entry.split(':').map(part => part && part.trim());
+        if (vehicleType && name) {
+            mapping[vehicleType] = name;
+        }
+        return mapping;
+    }, {});
+};
+
+/**
+ * Resolve which strategy applies to a ride
+ * @function resolveDurationStrategyName
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.strategy] - Explicit strategy name
+ * @param {string} [options.vehicleType] - Vehicle type of the booked vehicle
+ * @returns {string} Strategy name
+ * @description Explicit strategy, then vehicle type assignment (runtime, then configuration),
+ * then the default (runtime, then RIDE_DURATION_STRATEGY), then 'distance'
+ */
+const resolveDurationStrategyName = (options = {}) => {
+    if (options.strategy) {
+        return options.strategy;
+    }
+
+    if (options.vehicleType) {
+        const assigned = vehicleTypeStrategies.get(options.vehicleType) ||
+            getConfiguredVehicleTypeStrategies()[options.vehicleType];
+        if (assigned) {
+            return assigned;
+        }
+    }
+
+    return defaultStrategyOverride || process.env.RIDE_DURATION_STRATEGY || RIDE_DURATION_STRATEGY.DISTANCE;
+};
+
+/**
+ * Run the applicable strategy for a ride
+ * @function runDurationStrategy
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Destination pincode
+ * @param {Object} [options] - Selection options plus strategy-specific options
+ * @returns {Object} Duration in hours, distance in kilometres (null when unknown) and the strategy used;
+ * a strategy that answered with another's estimate names it in its result
+ * @throws {Error} When the strategy is unknown or returns an invalid duration
+ */
+const runDurationStrategy = (startPincode, endPincode, options = {}) => {
+    const name = resolveDurationStrategyName(options);
+    const strategy = strategies.get(name);
+
+    if (!strategy) {
+        throw new Error(`Unknown ride duration strategy: ${name}`);
+    }
+
+    const result = strategy(startPincode, endPincode, options) || {};
+
+    if (typeof result.durationHours !== 'number' || !Number.isFinite(result.durationHours) || result.durationHours <= 0) {
+        throw new Error(`Ride duration strategy "${name}" returned an invalid duration`);
+    }
+
+    return {
+        durationHours: result.durationHours,
+        distanceKm: typeof result.distanceKm === 'number' ? result.distanceKm : null,
+        strategy: typeof result.strategy === 'string' ? result.strategy : name
+    };
+};
+
+/**
+ * Restore the built-in strategies and clear runtime overrides
+ * @function resetDurationStrategies
+ * @description Intended for tests that inject their own strategies
+ */
+const resetDurationStrategies = () => {
+    strategies.clear();
+    vehicleTypeStrategies.clear();
+    defaultStrategyOverride = null;
+
+    // Any valid pincode can be booked; the dataset only covers part of the country
+    registerDurationStrategy(RIDE_DURATION_STRATEGY.DISTANCE, withLegacyFallback(calculateDistanceRideDuration));
+    registerDurationStrategy(RIDE_DURATION_STRATEGY.CORRIDOR, withLegacyFallback(calculateCorridorRideDuration));
+    registerDurationStrategy(RIDE_DURATION_STRATEGY.LEGACY, (startPincode, endPincode) => {
+        const durationHours = calculateLegacyRideDuration(startPincode, endPincode);
+
+        // Distance is informational only for the legacy formula
+        let distanceKm = null;
+        try {
+            distanceKm = getPincodeDistanceKm(startPincode, endPincode);
+        } catch (error) {
+            distanceKm = null;
+        }
+
+        return { durationHours, distanceKm };
+    });
+};
+
+resetDurationStrategies();
+
+module.exports = {
+    RIDE_DURATION_STRATEGY,
+    DEFAULT_AVERAGE_SPEED_KMPH,
+    MAX_RIDE_DURATION_HOURS,
+    validatePincodePair,
+    getAverageSpeedKmph,
+    calculateLegacyRideDuration,
+    calculateDistanceRideDuration,
+    calculateCorridorRideDuration,
+    findCorridor,
+    registerDurationStrategy,
+    unregisterDurationStrategy,
+    listDurationStrategies,
+    setVehicleTypeStrategy,
+    setDefaultDurationStrategy,
+    resolveDurationStrategyName,
+    runDurationStrategy,
+    resetDurationStrategies
+};
@@ -0,0 +1,104 @@
+/**
+ * Fare Calculation Utilities for FleetLink
+ * @fileoverview Itemised fares from a tariff and a ride estimate
+ */
+
+const { DEFAULT_TIMEZONE, getLocalTimeParts } = require('./operatingHours');
+
+/**
+ * Local hour at which night rates start
+ * @constant {number}
+ */
+const NIGHT_START_HOUR = 22;
+
+/**
+ * Local hour at which night rates end
+ * @constant {number}
+ */
+const NIGHT_END_HOUR = 6;
+
+/**
+ * Round an amount to two decimal places
+ * @function roundAmount
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check whether a ride starts during night hours
+ * @function isNightStart
+ * @param {Object} local - Local time parts from getLocalTimeParts
+ * @returns {boolean} True between NIGHT_START_HOUR and NIGHT_END_HOUR
+ */
+const isNightStart = (local) => {
+    const hour = Math.floor(local.minutes / 60);
+    return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+};
+
+/**
+ * Calculate an itemised fare for a ride
+ * @function calculateFare
+ * @param {Object} tariff - Tariff rates (a Tariff document or DEFAULT_TARIFF)
+ * @param {Object} ride - Ride details
+ * @param {number} ride.durationHours - Estimated ride duration
+ * @param {number|null} [ride.distanceKm] - Ride distance; the per-km line is skipped when unknown
+ * @param {number} [ride.capacityKg] - Capacity being hired
+ * @param {Date|string} ride.startTime - Ride start, used for night and weekend surcharges
+ * @param {string} [ride.timezone] - Time zone for surcharges (default Asia/Kolkata)
+ * @returns {Object} { currency, items, subtotal, total, tariffId }
+ * @description Charges apply in order: base fare, duration, capacity, distance, then
+ * percentage surcharges on the subtotal when the ride starts at night or on a weekend
+ * @example
+ * const fare = calculateFare(DEFAULT_TARIFF, {
+ *   durationHours: 23.5, distanceKm: 1166.3, capacityKg: 1000, startTime: '2024-01-15T10:00:00+05:30'
+ * });
+ * // Returns: { currency: 'INR', items: [...], subtotal: 22045.6, total: 22045.6, tariffId: null }
+ */
+const calculateFare = (tariff, ride) => {
+    const items = [];
+    const addItem = (code, label, quantity, rate) => {
+        items.push({ code, label, quantity, rate, amount: roundAmount(quantity * rate) });
+    };
+
+    addItem('base', 'Base fare', 1, tariff.baseFare);
+    addItem('duration', `Duration (${ride.durationHours} h)`, ride.durationHours, tariff.perHour);
+
+    if (ride.capacityKg) {
+        addItem('capacity', `Capacity (${ride.capacityKg} kg)`, ride.capacityKg, tariff.perKgCapacity);
+    }
+
+    if (ride.distanceKm !== null && ride.distanceKm !== undefined) {
+        addItem('distance', `Distance (${ride.distanceKm} km)`, ride.distanceKm, tariff.perKm);
+    }
+
+    const subtotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+    const local = getLocalTimeParts(new Date(ride.startTime), ride.timezone || DEFAULT_TIMEZONE);
+    const surcharges = [];
+    if (isNightStart(local) && tariff.nightSurchargePercent > 0) {
+        surcharges.push(['night', 'Night surcharge', tariff.nightSurchargePercent]);
+    }
+    if ((local.day === 0 || local.day === 6) && tariff.weekendSurchargePercent > 0) {
+        surcharges.push(['weekend', 'Weekend surcharge', tariff.weekendSurchargePercent]);
+    }
+    for (const [code, label, percent] of surcharges) {
+        addItem(code, `${label} (${percent}%)`, subtotal, percent / 100);
+    }
+
+    const total = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+    return {
+        currency: tariff.currency,
+        items,
+        subtotal,
+        total,
+        tariffId: tariff._id || null
+    };
+};
+
+module.exports = {
+    NIGHT_START_HOUR,
+    NIGHT_END_HOUR,
+    calculateFare
+};
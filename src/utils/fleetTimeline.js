@@ -0,0 +1,144 @@
+/**
+ * Fleet Timeline Utilities for FleetLink
+ * @fileoverview Filters and per-vehicle rows for the admin fleet timeline
+ */
+
+const { parseCalendarRange } = require('./vehicleCalendar');
+
+/**
+ * Vehicle rows per page when the request does not say
+ * @constant {number}
+ */
+const DEFAULT_TIMELINE_PAGE_SIZE = 25;
+
+/**
+ * Most vehicle rows a single page may hold
+ * @constant {number}
+ */
+const MAX_TIMELINE_PAGE_SIZE = 100;
+
+/**
+ * Validate the filters of a timeline request
+ * @function parseTimelineFilters
+ * @param {Object} query - Request query with optional from, to, status (comma-separated),
+ * ownerId, page and limit
+ * @param {Object} statusOptions - Booking statuses
+ * @param {Array<string>} statusOptions.allowed - Statuses the filter may name
+ * @param {Array<string>} statusOptions.defaults - Statuses drawn when the query gives none
+ * @param {Date} [now=new Date()] - Current time, the default range start
+ * @returns {Object} { filters: { from, to, statuses, ownerId, page, limit } } or { error }
+ * @example
+ * parseTimelineFilters(
+ *     { from: '2024-01-15T00:00:00Z', status: 'confirmed,dispatched' },
+ *     { allowed: Object.values(BOOKING_STATUS), defaults: SLOT_HOLDING_STATUSES }
+ * );
+ * // Returns: { filters: { from, to, statuses: ['confirmed', 'dispatched'], ownerId: null, page: 1, limit: 25 } }
+ */
+const parseTimelineFilters = (query, statusOptions, now = new Date()) => {
+    const range = parseCalendarRange(query.from, query.to, now);
+    if (range.error) {
+        return { error: range.error };
+    }
+
+    const statuses = query.status
+        ? [...new Set(String(query.status).split(',').map(status => status.trim()).filter(Boolean))]
+        : statusOptions.defaults;
+    if (statuses.length === 0 || statuses.some(status => !statusOptions.allowed.includes(status))) {
+        return { error: `Status must be one or more of: ${statusOptions.allowed.join(', ')}` };
+    }
+
+    const ownerId = query.ownerId || null;
+    if (ownerId && !/^[0-9a-fA-F]{24}$/.test(ownerId)) {
+        return { error: 'Invalid owner ID' };
+    }
+
+    const page = query.page !== undefined ? Number(query.page) : 1;
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'Page must be a positive whole number' };
+    }
+
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_TIMELINE_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TIMELINE_PAGE_SIZE) {
+        return { error: `Limit must be a whole number between 1 and ${MAX_TIMELINE_PAGE_SIZE}` };
+    }
+
+    return { filters: { from: range.from, to: range.to, statuses, ownerId, page, limit } };
+};
+
+/**
+ * Build one timeline row per vehicle with its bookings and downtime
+ * @function buildTimelineRows
+ * @param {Array<Object>} vehicles - Vehicles in row order, with createdBy populated with name
+ * @param {Array<Booking>} bookings - Bookings in the range, with userId populated with name and email
+ * @param {Array<Object>} downtime - Downtime blocks in the range
+ * @returns {Array<Object>} Rows { vehicle, bookings, downtime }, each list in start-time order;
+ * bookings carry canReschedule so the timeline only lets those be dragged
+ * @example
+ * buildTimelineRows(vehicles, bookings, downtime);
+ * // Returns: [{ vehicle: { id, name, capacityKg, owner }, bookings: [...], downtime: [...] }]
+ */
+const buildTimelineRows = (vehicles, bookings, downtime) => {
+    const rows = new Map(vehicles.map(vehicle => [
+        vehicle._id.toString(),
+        {
+            vehicle: {
+                id: vehicle._id.toString(),
+                name: vehicle.name,
+                capacityKg: vehicle.capacityKg,
+                vehicleType: vehicle.vehicleType,
+                owner: vehicle.createdBy && vehicle.createdBy._id
+                    ? { id: vehicle.createdBy._id.toString(), name: vehicle.createdBy.name }
+                    : null
+            },
+            bookings: [],
+            downtime: []
+        }
+    ]));
+
+    const vehicleKey = (vehicleId) => (vehicleId && vehicleId._id ? vehicleId._id : vehicleId).toString();
+
+    for (const booking of bookings) {
+        const row = rows.get(vehicleKey(booking.vehicleId));
+        if (row) {
+            row.bookings.push({
+                id: booking._id.toString(),
+                status: booking.status,
+                start: booking.times.start,
+                end: booking.times.end,
+                pincodes: booking.pincodes,
+                loadType: booking.loadType,
+                loadKg: booking.loadKg,
+                customer: booking.userId && booking.userId._id
+                    ? { id: booking.userId._id.toString(), name: booking.userId.name, email: booking.userId.email }
+                    : null,
+                canReschedule: booking.canBeRescheduled()
+            });
+        }
+    }
+
+    for (const block of downtime) {
+        const row = rows.get(vehicleKey(block.vehicleId));
+        if (row) {
+            row.downtime.push({
+                id: block._id.toString(),
+                start: block.times.start,
+                end: block.times.end,
+                reason: block.reason
+            });
+        }
+    }
+
+    const byStart = (a, b) => new Date(a.start) - new Date(b.start);
+    return [...rows.values()].map(row => ({
+        ...row,
+        bookings: row.bookings.sort(byStart),
+        downtime: row.downtime.sort(byStart)
+    }));
+};
+
+module.exports = {
+    DEFAULT_TIMELINE_PAGE_SIZE,
+    MAX_TIMELINE_PAGE_SIZE,
+    parseTimelineFilters,
+    buildTimelineRows
+};
@@ -0,0 +1,199 @@
+/**
+ * Operating Hours Utilities for FleetLink
+ * @fileoverview Checks rides against a vehicle's weekly operating windows and holiday exceptions
+ */
+
+/**
+ * Day names indexed like Date#getDay (0 = Sunday)
+ * @constant {Array<string>}
+ */
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Time zone used when a vehicle does not specify one
+ * @constant {string}
+ */
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Clock time format for window bounds; '24:00' closes a window at midnight
+ * @constant {RegExp}
+ */
+const CLOCK_TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * Holiday date format (local calendar date)
+ * @constant {RegExp}
+ */
+const HOLIDAY_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Upper bound on windows walked for a single ride, guarding against malformed schedules
+ * @constant {number}
+ */
+const MAX_WINDOWS_PER_RIDE = 64;
+
+/**
+ * Convert an 'HH:MM' clock time to minutes after midnight
+ * @function clockTimeToMinutes
+ * @param {string} clockTime - Clock time in 'HH:MM' format
+ * @returns {number} Minutes after midnight
+ * @example
+ * clockTimeToMinutes('06:30'); // Returns: 390
+ */
+const clockTimeToMinutes = (clockTime) => {
+    const [hours, minutes] = clockTime.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes after midnight as 'HH:MM'
+ * @function minutesToClockTime
+ * @param {number} totalMinutes - Minutes after midnight
+ * @returns {string} Clock time
+ */
+const minutesToClockTime = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Check whether a string names a time zone known to the runtime
+ * @function isValidTimeZone
+ * @param {string} timeZone - IANA time zone, e.g. 'Asia/Kolkata'
+ * @returns {boolean} True when the time zone can be used for formatting
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the local calendar date, weekday and clock time of an instant
+ * @function getLocalTimeParts
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { dateKey: 'YYYY-MM-DD', day: 0-6, minutes }
+ */
+const getLocalTimeParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    return {
+        dateKey: `${values.year}-${values.month}-${values.day}`,
+        day: weekdays.indexOf(values.weekday),
+        minutes: Number(values.hour) * 60 + Number(values.minute)
+    };
+};
+
+/**
+ * Check whether operating hours restrict bookings at all
+ * @function hasOperatingHours
+ * @param {Object} [operatingHours] - Vehicle operating hours
+ * @returns {boolean} True when weekly windows or holidays are configured
+ */
+const hasOperatingHours = (operatingHours) => {
+    if (!operatingHours) {
+        return false;
+    }
+
+    const weekly = operatingHours.weekly || [];
+    const holidays = operatingHours.holidays || [];
+    return weekly.length > 0 || holidays.length > 0;
+};
+
+/**
+ * Check that a ride runs entirely inside a vehicle's operating hours
+ * @function checkOperatingHours
+ * @param {Object} [operatingHours] - Vehicle operating hours
+ * @param {Array<Object>} [operatingHours.weekly] - Windows { day: 0-6, open: 'HH:MM', close: 'HH:MM' };
+ * days without a window are closed, and no windows at all means open around the clock
+ * @param {Array<Object>} [operatingHours.holidays] - Closed local dates { date: 'YYYY-MM-DD', reason }
+ * @param {string} [operatingHours.timezone] - IANA time zone of the windows (default Asia/Kolkata)
+ * @param {Date|string} startTime - Ride start
+ * @param {Date|string} endTime - Ride end
+ * @returns {Object} { isWithin: boolean, reason: string|null }
+ * @description Walks consecutive windows from the start of the ride, so a ride may cross
+ * midnight when one day's window closes at '24:00' and the next opens at '00:00'
+ * @example
+ * const hours = { weekly: [{ day: 1, open: '06:00', close: '22:00' }] };
+ * checkOperatingHours(hours, '2024-01-15T05:00:00+05:30', '2024-01-15T07:00:00+05:30');
+ * // Returns: { isWithin: false, reason: 'Outside operating hours on Monday at 05:00' }
+ */
+const checkOperatingHours = (operatingHours, startTime, endTime) => {
+    if (!hasOperatingHours(operatingHours)) {
+        return { isWithin: true, reason: null };
+    }
+
+    const timeZone = operatingHours.timezone || DEFAULT_TIMEZONE;
+    const weekly = operatingHours.weekly || [];
+    const holidays = operatingHours.holidays || [];
+    const end = new Date(endTime);
+    let cursor = new Date(startTime);
+
+    for (let walked = 0; walked < MAX_WINDOWS_PER_RIDE; walked++) {
+        const local = getLocalTimeParts(cursor, timeZone);
+
+        const holiday = holidays.find(entry => entry.date === local.dateKey);
+        if (holiday) {
+            const label = holiday.reason ? ` (${holiday.reason})` : '';
+            return { isWithin: false, reason: `Vehicle is not operating on ${local.dateKey}${label}` };
+        }
+
+        // No weekly windows means the vehicle runs around the clock outside holidays
+        const window = weekly.length === 0
+            ? { open: '00:00', close: '24:00' }
+            : weekly.find(entry =>
+                entry.day === local.day &&
+                clockTimeToMinutes(entry.open) <= local.minutes &&
+                local.minutes < clockTimeToMinutes(entry.close)
+            );
+
+        if (!window) {
+            return {
+                isWithin: false,
+                reason: `Outside operating hours on ${DAYS_OF_WEEK[local.day]} at ${minutesToClockTime(local.minutes)}`
+            };
+        }
+
+        const minuteStart = cursor.getTime() - (cursor.getTime() % (60 * 1000));
+        const windowEnd = new Date(
+            minuteStart + (clockTimeToMinutes(window.close) - local.minutes) * 60 * 1000
+        );
+        if (windowEnd >= end) {
+            return { isWithin: true, reason: null };
+        }
+
+        cursor = windowEnd;
+    }
+
+    return { isWithin: false, reason: 'Ride spans too many operating windows' };
+};
+
+module.exports = {
+    DAYS_OF_WEEK,
+    DEFAULT_TIMEZONE,
+    CLOCK_TIME_REGEX,
+    HOLIDAY_DATE_REGEX,
+    clockTimeToMinutes,
+    isValidTimeZone,
+    getLocalTimeParts,
+    hasOperatingHours,
+    checkOperatingHours
+};
@@ -0,0 +1,134 @@
+/**
+ * Pincode Directory for FleetLink
+ * @fileoverview Local pincode reference dataset lookup and great-circle distance helpers
+ */
+
+const pincodeRecords = require('../data/pincodes.json');
+
+/**
+ * Mean Earth radius in kilometres used for great-circle distances
+ * @constant {number}
+ */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Minimum number of leading digits two pincodes must share for a prefix match.
+ * The first three digits of an Indian pincode identify the sorting district.
+ * @constant {number}
+ */
+const MIN_PREFIX_MATCH_LENGTH = 3;
+
+/**
+ * Pincode records indexed by pincode for constant-time exact lookups
+ * @type {Map<string, Object>}
+ */
+const pincodeIndex = new Map(pincodeRecords.map(record => [record.pincode, record]));
+
+/**
+ * Look up a pincode in the reference dataset
+ * @function lookupPincode
+ * @param {string} pincode - 6-digit pincode
+ * @returns {Object|null} Location record or null when the pincode is unknown
+ * @description Returns the exact record when present, otherwise the record sharing the
+ * longest prefix (at least the sorting district) with the requested pincode
+ * @example
+ * // Exact match
+ * const location = lookupPincode('110001');
+ * // Returns: { pincode: '110001', district: 'New Delhi', state: 'Delhi', latitude: 28.6328, longitude: 77.2197, matchedBy: 'exact' }
+ *
+ * // Same sorting district
+ * const location = lookupPincode('110025');
+ * // Returns: { pincode: '110025', district: 'South Delhi', ..., matchedBy: 'prefix' }
+ */
+const lookupPincode = (pincode) => {
+    if (typeof pincode !== 'string' || !/^\d{6}$/.test(pincode)) {
+        return null;
+    }
+
+    const exact = pincodeIndex.get(pincode);
+    if (exact) {
+        return { ...exact, matchedBy: 'exact' };
+    }
+
+    for (let length = pincode.length - 1; length >= MIN_PREFIX_MATCH_LENGTH; length--) {
+        const prefix = pincode.slice(0, length);
+        const candidates = pincodeRecords.filter(record => record.pincode.startsWith(prefix));
+
+        if (candidates.length > 0) {
+            // Prefer the numerically closest pincode within the shared prefix
+            const target = parseInt(pincode, 10);
+            const closest = candidates.reduce((best, record) =>
+                Math.abs(parseInt(record.pincode, 10) - target) < Math.abs(parseInt(best.pincode, 10) - target)
+                    ? record
+                    : best
+            );
+
+            return { ...closest, pincode, matchedBy: 'prefix' };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Convert degrees to radians
+ * @function toRadians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Calculate the great-circle distance between two coordinates
+ * @function haversineDistanceKm
+ * @param {Object} from - Origin with latitude and longitude
+ * @param {Object} to - Destination with latitude and longitude
+ * @returns {number} Distance in kilometres
+ * @example
+ * const distance = haversineDistanceKm(
+ *   { latitude: 28.6328, longitude: 77.2197 },
+ *   { latitude: 18.9388, longitude: 72.8354 }
+ * );
+ * // Returns: ~1166
+ */
+const haversineDistanceKm = (from, to) => {
+    const deltaLat = toRadians(to.latitude - from.latitude);
+    const deltaLon = toRadians(to.longitude - from.longitude);
+
+    const a = Math.sin(deltaLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Calculate the great-circle distance between two pincodes
+ * @function getPincodeDistanceKm
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Destination pincode
+ * @returns {number} Distance in kilometres rounded to one decimal place
+ * @throws {Error} When either pincode is not covered by the reference dataset
+ * @example
+ * const distance = getPincodeDistanceKm('110001', '400001');
+ * // Returns: 1166.3
+ */
+const getPincodeDistanceKm = (startPincode, endPincode) => {
+    const from = lookupPincode(startPincode);
+    const to = lookupPincode(endPincode);
+
+    const unknown = [[startPincode, from], [endPincode, to]]
+        .filter(([, location]) => !location)
+        .map(([pincode]) => pincode);
+
+    if (unknown.length > 0) {
+        throw new Error(`Pincode not found in reference dataset: ${unknown.join(', ')}`);
+    }
+
+    return Math.round(haversineDistanceKm(from, to) * 10) / 10;
+};
+
+module.exports = {
+    lookupPincode,
+    haversineDistanceKm,
+    getPincodeDistanceKm
+};
@@ -0,0 +1,225 @@
+/**
+ * Recurrence Utilities for FleetLink
+ * @fileoverview Parses RRULE-style recurrence rules and expands them into occurrence start times
+ */
+
+const { DEFAULT_TIMEZONE, getLocalTimeParts } = require('./operatingHours');
+
+/**
+ * Supported recurrence frequencies
+ * @constant {Array<string>}
+ */
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * RRULE weekday codes indexed like Date#getDay (0 = Sunday)
+ * @constant {Array<string>}
+ */
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Most occurrences a single series may expand to
+ * @constant {number}
+ */
+const MAX_OCCURRENCES = 100;
+
+/**
+ * Furthest a series may run past its first occurrence, in days
+ * @constant {number}
+ */
+const MAX_SERIES_DAYS = 366;
+
+/**
+ * Milliseconds per day
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an RRULE-style string into recurrence fields
+ * @function parseRecurrenceRule
+ * @param {string} rule - e.g. 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE,FR;COUNT=12' or 'FREQ=DAILY;UNTIL=20240331'
+ * @returns {Object} { frequency, interval, byWeekday, count, until }
+ * @throws {Error} When the rule uses an unknown or malformed part
+ * @example
+ * parseRecurrenceRule('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=20');
+ * // Returns: { frequency: 'weekly', byWeekday: ['MO', 'TU', 'WE', 'TH', 'FR'], count: 20 }
+ */
+const parseRecurrenceRule = (rule) => {
+    const fields = {};
+
+    for (const part of rule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!value) {
+            throw new Error(`Invalid recurrence rule part: ${part}`);
+        }
+
+        switch (key.toUpperCase()) {
+            case 'FREQ':
+                fields.frequency = value.toLowerCase();
+                break;
+            case 'INTERVAL':
+                fields.interval = Number(value);
+                break;
+            case 'BYDAY':
+                fields.byWeekday = value.toUpperCase().split(',');
+                break;
+            case 'COUNT':
+                fields.count = Number(value);
+                break;
+            case 'UNTIL': {
+                const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+                if (!match) {
+                    throw new Error('Recurrence UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+                }
+                const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+                fields.until = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`;
+                break;
+            }
+            default:
+                throw new Error(`Unsupported recurrence rule part: ${key}`);
+        }
+    }
+
+    return fields;
+};
+
+/**
+ * Validate a recurrence given as fields or as an RRULE-style string
+ * @function normalizeRecurrence
+ * @param {Object} input - Recurrence request
+ * @param {string} [input.rule] - RRULE-style string; takes precedence over the other fields
+ * @param {string} [input.frequency] - 'daily' or 'weekly'
+ * @param {number} [input.interval=1] - Repeat every N days or weeks
+ * @param {Array<string>} [input.byWeekday] - Weekday codes (MO..SU) the series runs on
+ * @param {number} [input.count] - Number of occurrences
+ * @param {string|Date} [input.until] - Last day an occurrence may start
+ * @returns {Object} { frequency, interval, byWeekday, count, until, rule }
+ * @throws {Error} With a message suitable for a 400 response
+ * @example
+ * normalizeRecurrence({ frequency: 'daily', byWeekday: ['MO', 'TU', 'WE', 'TH', 'FR'], until: '2024-03-31' });
+ */
+const normalizeRecurrence = (input) => {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Recurrence is required');
+    }
+
+    const fields = typeof input.rule === 'string' && input.rule.trim()
+        ? parseRecurrenceRule(input.rule.trim())
+        : input;
+
+    const frequency = fields.frequency;
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        throw new Error(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = fields.interval === undefined ? 1 : fields.interval;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+        throw new Error('Recurrence interval must be a whole number between 1 and 52');
+    }
+
+    const byWeekday = fields.byWeekday || [];
+    if (!Array.isArray(byWeekday) || byWeekday.some(code => !WEEKDAY_CODES.includes(code))) {
+        throw new Error(`Recurrence weekdays must be codes from: ${WEEKDAY_CODES.join(', ')}`);
+    }
+
+    const hasCount = fields.count !== undefined && fields.count !== null;
+    const hasUntil = fields.until !== undefined && fields.until !== null && fields.until !== '';
+    if (!hasCount && !hasUntil) {
+        throw new Error('Recurrence needs an end date (until) or a number of occurrences (count)');
+    }
+
+    if (hasCount && (!Number.isInteger(fields.count) || fields.count < 1 || fields.count > MAX_OCCURRENCES)) {
+        throw new Error(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+
+    let until = null;
+    if (hasUntil) {
+        until = new Date(fields.until);
+        if (isNaN(until.getTime())) {
+            throw new Error('Invalid recurrence end date');
+        }
+        // A bare date ends the series at the end of that day
+        if (typeof fields.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(fields.until)) {
+            until = new Date(until.getTime() + DAY_MS - 1);
+        }
+    }
+
+    return {
+        frequency,
+        interval,
+        byWeekday: [...new Set(byWeekday)],
+        count: hasCount ? fields.count : null,
+        until,
+        rule: typeof input.rule === 'string' && input.rule.trim() ? input.rule.trim() : null
+    };
+};
+
+/**
+ * Expand a recurrence into occurrence start times
+ * @function expandRecurrence
+ * @param {Object} recurrence - Result of normalizeRecurrence
+ * @param {Date} firstStart - Start of the first occurrence; sets the time of day for all of them
+ * @param {string} [timeZone='Asia/Kolkata'] - Time zone for weekdays and the time of day
+ * @returns {Array<Date>} Occurrence start times in order
+ * @throws {Error} When the series would exceed MAX_OCCURRENCES or run past MAX_SERIES_DAYS
+ * @description Weekly series count weeks from Monday, as RRULE does by default. The first start
+ * is only an occurrence when it matches the weekdays. Every occurrence keeps the local time of day
+ * of the first start, also across daylight saving changes.
+ * @example
+ * // Every weekday at 08:00 for two weeks
+ * expandRecurrence(
+ *   { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'TU', 'WE', 'TH', 'FR'], count: 10 },
+ *   new Date('2024-01-15T02:30:00Z')
+ * );
+ */
+const expandRecurrence = (recurrence, firstStart, timeZone = DEFAULT_TIMEZONE) => {
+    const first = getLocalTimeParts(firstStart, timeZone);
+    const weekdays = recurrence.byWeekday.length > 0
+        ? recurrence.byWeekday.map(code => WEEKDAY_CODES.indexOf(code))
+        : (recurrence.frequency === 'weekly' ? [first.day] : null);
+    // Days from the Monday starting the first occurrence's week
+    const firstWeekOffset = (first.day + 6) % 7;
+
+    const occurrences = [];
+    for (let dayOffset = 0; dayOffset <= MAX_SERIES_DAYS; dayOffset++) {
+        let candidate = new Date(firstStart.getTime() + dayOffset * DAY_MS);
+        const local = getLocalTimeParts(candidate, timeZone);
+        // Keep the wall-clock time when the UTC offset changed since the first occurrence
+        if (local.minutes !== first.minutes) {
+            candidate = new Date(candidate.getTime() + (first.minutes - local.minutes) * 60 * 1000);
+        }
+
+        if (recurrence.until && candidate > recurrence.until) {
+            return occurrences;
+        }
+
+        const periodIndex = recurrence.frequency === 'daily'
+            ? dayOffset
+            : Math.floor((dayOffset + firstWeekOffset) / 7);
+        const inPeriod = periodIndex % recurrence.interval === 0;
+        const onWeekday = !weekdays || weekdays.includes(local.day);
+
+        if (inPeriod && onWeekday) {
+            if (occurrences.length === MAX_OCCURRENCES) {
+                throw new Error(`Recurrence cannot produce more than ${MAX_OCCURRENCES} occurrences`);
+            }
+            occurrences.push(candidate);
+            if (recurrence.count && occurrences.length === recurrence.count) {
+                return occurrences;
+            }
+        }
+    }
+
+    throw new Error(`Recurring series cannot run for more than ${MAX_SERIES_DAYS} days`);
+};
+
+module.exports = {
+    RECURRENCE_FREQUENCIES,
+    WEEKDAY_CODES,
+    MAX_OCCURRENCES,
+    MAX_SERIES_DAYS,
+    parseRecurrenceRule,
+    normalizeRecurrence,
+    expandRecurrence
+};
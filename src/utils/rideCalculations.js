@@ -3,43 +3,111 @@
  * @fileoverview Business logic for ride duration, time calculations, and overlap checking
  */
 
+const {
+    RIDE_DURATION_STRATEGY,
+    DEFAULT_AVERAGE_SPEED_KMPH,
+    MAX_RIDE_DURATION_HOURS,
+    calculateLegacyRideDuration,
+    calculateDistanceRideDuration,
+    getAverageSpeedKmph,
+    runDurationStrategy
+} = require('./durationStrategies');
+const { getPincodeDistanceKm } = require('./pincodeDirectory');
+const { checkOperatingHours } = require('./operatingHours');
+
 /**
- * Calculate ride duration based on pincode difference
- * @function calculateRideDuration
+ * Estimate a ride between two pincodes
+ * @function estimateRide
  * @param {string} startPincode - Starting pincode
  * @param {string} endPincode - Destination pincode
- * @returns {number} Duration in hours
- * @description Calculates ride duration as pincode difference % 24
+ * @param {Object} [options] - Estimation options
+ * @param {string} [options.strategy] - Registered strategy name, overrides every other selection
+ * @param {string} [options.vehicleType] - Vehicle type, used to pick a per-type strategy
+ * @param {number} [options.averageSpeedKmph] - Average speed for the distance strategy
+ * @returns {Object} Duration in hours, distance in kilometres (null when unknown) and the strategy used
+ * @throws {Error} When pincodes are invalid, unknown to the selected strategy, or the strategy is unknown
+ * @description Single entry point for ride estimates; strategies are selected through the
+ * registry in durationStrategies (explicit, per vehicle type, configured default, 'distance')
  * @example
- * // Calculate duration between pincodes
- * const duration = calculateRideDuration('110001', '400001');
- * // Returns: 2 (hours)
- * 
- * // Edge case: same pincode
- * const duration = calculateRideDuration('110001', '110001');
- * // Returns: 0 (hours)
+ * const ride = estimateRide('110001', '400001');
+ * // Returns: { durationHours: 23.5, distanceKm: 1166.3, strategy: 'distance' }
+ *
+ * const legacyRide = estimateRide('110001', '400001', { strategy: 'legacy' });
+ * // Returns: { durationHours: 8, distanceKm: 1166.3, strategy: 'legacy' }
  */
-const calculateRideDuration = (startPincode, endPincode) => {
-    // Validate inputs
-    if (!startPincode || !endPincode) {
-        throw new Error('Both start and end pincodes are required');
-    }
-
-    // Convert pincodes to numbers
-    const start = parseInt(startPincode, 10);
-    const end = parseInt(endPincode, 10);
+const estimateRide = (startPincode, endPincode, options = {}) => {
+    return runDurationStrategy(startPincode, endPincode, options);
+};
 
-    // Validate pincode format (6 digits)
-    if (isNaN(start) || isNaN(end) || startPincode.length !== 6 || endPincode.length !== 6) {
-        throw new Error('Pincodes must be 6-digit numbers');
+/**
+ * Estimate a route with intermediate stops leg by leg
+ * @function estimateRoute
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Final destination pincode
+ * @param {Array<Object>} [stops] - Ordered intermediate stops, each { pincode, dwellMinutes, ... }
+ * @param {Object} [options] - Same options as estimateRide, applied to every leg
+ * @returns {Object} { durationHours, distanceKm, strategy, legs, stops }
+ * @throws {Error} When any leg cannot be estimated
+ * @description Each leg is estimated with estimateRide and the dwell time at each stop is added
+ * between legs. Stops come back with arrivalOffsetHours and departureOffsetHours from the start;
+ * distanceKm is null when any leg's distance is unknown. Without stops this is estimateRide
+ * with a single leg.
+ * @example
+ * const route = estimateRoute('110001', '400001', [{ pincode: '302001', dwellMinutes: 30 }]);
+ * // Returns: { durationHours: 24.25, distanceKm: 1174.2, strategy: 'distance', legs: [...2 legs],
+ * //   stops: [{ pincode: '302001', dwellMinutes: 30, arrivalOffsetHours: 5, departureOffsetHours: 5.5 }] }
+ */
+const estimateRoute = (startPincode, endPincode, stops = [], options = {}) => {
+    const pincodes = [startPincode, ...stops.map(stop => stop.pincode), endPincode];
+    const legs = [];
+    const scheduledStops = [];
+    let offsetHours = 0;
+    let strategy = null;
+
+    for (let i = 0; i < pincodes.length - 1; i++) {
+        const leg = estimateRide(pincodes[i], pincodes[i + 1], options);
+        strategy = strategy || leg.strategy;
+        legs.push({ from: pincodes[i], to: pincodes[i + 1], durationHours: leg.durationHours, distanceKm: leg.distanceKm });
+        offsetHours += leg.durationHours;
+
+        if (i < stops.length) {
+            const dwellHours = (stops[i].dwellMinutes || 0) / 60;
+            scheduledStops.push({
+                ...stops[i],
+                arrivalOffsetHours: offsetHours,
+                departureOffsetHours: offsetHours + dwellHours
+            });
+            offsetHours += dwellHours;
+        }
     }
 
-    // Calculate difference and apply modulo 24
-    const difference = Math.abs(end - start);
-    const duration = difference % 24;
+    const distanceKm = legs.every(leg => leg.distanceKm !== null)
+        ? Math.round(legs.reduce((sum, leg) => sum + leg.distanceKm, 0) * 10) / 10
+        : null;
+
+    return {
+        durationHours: offsetHours,
+        distanceKm,
+        strategy,
+        legs,
+        stops: scheduledStops
+    };
+};
 
-    // Ensure minimum duration of 1 hour for same pincode bookings
-    return duration === 0 ? 1 : duration;
+/**
+ * Calculate ride duration between two pincodes
+ * @function calculateRideDuration
+ * @param {string} startPincode - Starting pincode
+ * @param {string} endPincode - Destination pincode
+ * @param {Object} [options] - Same options as estimateRide
+ * @returns {number} Duration in hours
+ * @description Uses the configured strategy; see estimateRide for distance details
+ * @example
+ * const duration = calculateRideDuration('110001', '400001');
+ * // Returns: 23.5 (hours)
+ */
+const calculateRideDuration = (startPincode, endPincode, options = {}) => {
+    return estimateRide(startPincode, endPincode, options).durationHours;
 };
 
 /**
@@ -142,14 +210,70 @@ const checkTimeOverlap = (start1, end1, start2, end2) => {
     return start1Date < end2Date && start2Date < end1Date;
 };
 
+/**
+ * Estimate the empty running time between two pincodes
+ * @function calculateRepositionHours
+ * @param {string} [fromPincode] - Where the vehicle finishes its previous ride
+ * @param {string} [toPincode] - Where the next ride starts
+ * @param {Object} [options] - Calculation options
+ * @param {number} [options.averageSpeedKmph] - Average speed, defaults to AVERAGE_SPEED_KMPH or 50
+ * @returns {number} Hours needed to drive between the pincodes, rounded up to the quarter hour
+ * @description Returns 0 when either pincode is missing, both are the same, or the
+ * reference dataset cannot place them
+ * @example
+ * const hours = calculateRepositionHours('400001', '110001');
+ * // Returns: 23.5
+ */
+const calculateRepositionHours = (fromPincode, toPincode, options = {}) => {
+    if (!fromPincode || !toPincode || fromPincode === toPincode) {
+        return 0;
+    }
+
+    let distanceKm;
+    try {
+        distanceKm = getPincodeDistanceKm(fromPincode, toPincode);
+    } catch (error) {
+        // Without coordinates only the turnaround buffer applies
+        return 0;
+    }
+
+    return Math.ceil((distanceKm / getAverageSpeedKmph(options.averageSpeedKmph)) * 4) / 4;
+};
+
+/**
+ * Calculate the gap a vehicle needs between two consecutive rides
+ * @function calculateTurnaroundMinutes
+ * @param {string} [fromPincode] - End pincode of the earlier ride
+ * @param {string} [toPincode] - Start pincode of the later ride
+ * @param {Object} [options] - Calculation options
+ * @param {number} [options.turnaroundMinutes] - Fixed buffer for unloading and checks
+ * @param {number} [options.averageSpeedKmph] - Average speed used for repositioning
+ * @returns {number} Required gap in minutes
+ * @example
+ * const gap = calculateTurnaroundMinutes('400001', '110001', { turnaroundMinutes: 60 });
+ * // Returns: 1470 (60 minutes buffer + 23.5 hours reposition)
+ */
+const calculateTurnaroundMinutes = (fromPincode, toPincode, options = {}) => {
+    const bufferMinutes = Number(options.turnaroundMinutes) || 0;
+    return bufferMinutes + calculateRepositionHours(fromPincode, toPincode, options) * 60;
+};
+
 /**
  * Check if a time range conflicts with existing bookings
  * @function checkBookingConflict
  * @param {Array} existingBookings - Array of existing booking objects
  * @param {Date|string} newStartTime - New booking start time
  * @param {Date|string} newEndTime - New booking end time
+ * @param {Array} [downtimeBlocks] - Vehicle downtime blocks, each with times.start and times.end
+ * @param {Object} [options] - Turnaround options
+ * @param {number} [options.turnaroundMinutes] - Vehicle buffer required between consecutive bookings
+ * @param {string} [options.fromPincode] - Start pincode of the new booking, for repositioning
+ * @param {string} [options.toPincode] - End pincode of the new booking, for repositioning
+ * @param {number} [options.averageSpeedKmph] - Average speed used for repositioning
  * @returns {Object} Conflict information
- * @description Checks if new booking time conflicts with existing bookings
+ * @description Checks if new booking time conflicts with existing bookings or downtime blocks.
+ * Bookings that do not overlap still conflict ('turnaround') when the gap between them is
+ * shorter than the turnaround buffer plus the time to drive from one ride's end to the other's start.
  * @example
  * // Check for conflicts
  * const existingBookings = [
@@ -161,14 +285,18 @@ const checkTimeOverlap = (start1, end1, start2, end2) => {
  *   '2024-01-15T11:00:00Z',
  *   '2024-01-15T13:00:00Z'
  * );
- * // Returns: { hasConflict: true, conflictingBookings: [...] }
+ * // Returns: { hasConflict: true, conflictingBookings: [...], conflictingDowntime: [] }
  */
-const checkBookingConflict = (existingBookings, newStartTime, newEndTime) => {
+const checkBookingConflict = (existingBookings, newStartTime, newEndTime, downtimeBlocks = [], options = {}) => {
     // Validate inputs
     if (!Array.isArray(existingBookings)) {
         throw new Error('Existing bookings must be an array');
     }
 
+    if (!Array.isArray(downtimeBlocks)) {
+        throw new Error('Downtime blocks must be an array');
+    }
+
     if (!newStartTime || !newEndTime) {
         throw new Error('New booking start and end times are required');
     }
@@ -197,6 +325,27 @@ const checkBookingConflict = (existingBookings, newStartTime, newEndTime) => {
                         newEndTime
                     )
                 });
+                continue;
+            }
+
+            // Non-overlapping bookings still need time to turn around and reposition
+            const pincodes = booking.pincodes || {};
+            const isBefore = new Date(booking.times.end) <= new Date(newStartTime);
+            const requiredGapMinutes = isBefore
+                ? calculateTurnaroundMinutes(pincodes.end, options.fromPincode, options)
+                : calculateTurnaroundMinutes(options.toPincode, pincodes.start, options);
+            const actualGapMinutes = isBefore
+                ? (new Date(newStartTime) - new Date(booking.times.end)) / (60 * 1000)
+                : (new Date(booking.times.start) - new Date(newEndTime)) / (60 * 1000);
+
+            if (actualGapMinutes < requiredGapMinutes) {
+                conflictingBookings.push({
+                    bookingId: booking._id || booking.id,
+                    startTime: booking.times.start,
+                    endTime: booking.times.end,
+                    conflictType: 'turnaround',
+                    requiredGapMinutes
+                });
             }
         } catch (error) {
             console.error('Error checking booking conflict:', error);
@@ -204,9 +353,28 @@ const checkBookingConflict = (existingBookings, newStartTime, newEndTime) => {
         }
     }
 
+    const conflictingDowntime = [];
+
+    // Downtime blocks the vehicle just like a booking does
+    for (const block of downtimeBlocks) {
+        try {
+            if (checkTimeOverlap(block.times.start, block.times.end, newStartTime, newEndTime)) {
+                conflictingDowntime.push({
+                    downtimeId: block._id || block.id,
+                    startTime: block.times.start,
+                    endTime: block.times.end,
+                    reason: block.reason
+                });
+            }
+        } catch (error) {
+            console.error('Error checking downtime conflict:', error);
+        }
+    }
+
     return {
-        hasConflict: conflictingBookings.length > 0,
-        conflictingBookings
+        hasConflict: conflictingBookings.length > 0 || conflictingDowntime.length > 0,
+        conflictingBookings,
+        conflictingDowntime
     };
 };
 
@@ -267,6 +435,8 @@ const getConflictType = (existingStart, existingEnd, newStart, newEnd) => {
  * @function validateBookingTimes
  * @param {Date|string} startTime - Booking start time
  * @param {Date|string} endTime - Booking end time
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.operatingHours] - Vehicle operating hours the ride must fall inside
  * @returns {Object} Validation result
  * @description Validates booking time parameters
  * @example
@@ -276,8 +446,12 @@ const getConflictType = (existingStart, existingEnd, newStart, newEnd) => {
  *   '2024-01-15T12:00:00Z'
  * );
  * // Returns: { isValid: true, errors: [] }
+ *
+ * // Validate against a vehicle's operating hours
+ * const validation = validateBookingTimes(start, end, { operatingHours: vehicle.operatingHours });
+ * // Returns: { isValid: false, errors: ['Outside operating hours on Monday at 22:00'] }
  */
-const validateBookingTimes = (startTime, endTime) => {
+const validateBookingTimes = (startTime, endTime, options = {}) => {
     const errors = [];
 
     // Check if times are provided
@@ -317,10 +491,18 @@ const validateBookingTimes = (startTime, endTime) => {
         errors.push('End time must be after start time');
     }
 
-    // Check if booking duration is reasonable (max 24 hours)
+    // Long-haul rides run past a day, so only rule out durations no estimate produces
     const durationHours = (end.getTime() - start.getTime()) / (1000 * 60 * 60);
-    if (durationHours > 24) {
-        errors.push('Booking duration cannot exceed 24 hours');
+    if (durationHours > MAX_RIDE_DURATION_HOURS) {
+        errors.push(`Booking duration cannot exceed ${MAX_RIDE_DURATION_HOURS} hours`);
+    }
+
+    // Check the ride stays inside the vehicle's operating windows
+    if (options.operatingHours && errors.length === 0) {
+        const operatingCheck = checkOperatingHours(options.operatingHours, start, end);
+        if (!operatingCheck.isWithin) {
+            errors.push(operatingCheck.reason);
+        }
     }
 
     return {
@@ -330,8 +512,16 @@ const validateBookingTimes = (startTime, endTime) => {
 };
 
 module.exports = {
+    RIDE_DURATION_STRATEGY,
+    DEFAULT_AVERAGE_SPEED_KMPH,
+    calculateLegacyRideDuration,
+    calculateDistanceRideDuration,
+    estimateRide,
+    estimateRoute,
     calculateRideDuration,
     calculateEndTime,
+    calculateRepositionHours,
+    calculateTurnaroundMinutes,
     checkTimeOverlap,
     checkBookingConflict,
     getConflictType,
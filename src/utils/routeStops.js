@@ -0,0 +1,116 @@
+/**
+ * Route Stop Utilities for FleetLink
+ * @fileoverview Validation of intermediate stops and the load carried between them
+ */
+
+/**
+ * Most intermediate stops a booking may have
+ * @constant {number}
+ */
+const MAX_STOPS = 10;
+
+/**
+ * Longest a vehicle may wait at a single stop, in minutes
+ * @constant {number}
+ */
+const MAX_DWELL_MINUTES = 720;
+
+/**
+ * Pincode format (6 digits)
+ * @constant {RegExp}
+ */
+const PINCODE_REGEX = /^\d{6}$/;
+
+/**
+ * Validate and normalise intermediate stops from a request
+ * @function normalizeStops
+ * @param {*} stops - Stops as sent by the client
+ * @returns {Object} { stops } with pickupKg, dropKg and dwellMinutes defaulted to 0, or { error }
+ * @example
+ * normalizeStops([{ pincode: '302001', dropKg: 200, dwellMinutes: 30 }]);
+ * // Returns: { stops: [{ pincode: '302001', pickupKg: 0, dropKg: 200, dwellMinutes: 30 }] }
+ */
+const normalizeStops = (stops) => {
+    if (stops === undefined || stops === null) {
+        return { stops: [] };
+    }
+
+    if (!Array.isArray(stops)) {
+        return { error: 'Stops must be an array' };
+    }
+
+    if (stops.length > MAX_STOPS) {
+        return { error: `A booking can have at most ${MAX_STOPS} stops` };
+    }
+
+    const normalized = [];
+    for (const [index, stop] of stops.entries()) {
+        const label = `Stop ${index + 1}`;
+
+        if (!stop || !PINCODE_REGEX.test(stop.pincode)) {
+            return { error: `${label}: pincode must be 6 digits` };
+        }
+
+        const pickupKg = Number(stop.pickupKg || 0);
+        const dropKg = Number(stop.dropKg || 0);
+        if (isNaN(pickupKg) || isNaN(dropKg) || pickupKg < 0 || dropKg < 0) {
+            return { error: `${label}: pickup and drop weights cannot be negative` };
+        }
+
+        const dwellMinutes = Number(stop.dwellMinutes || 0);
+        if (!Number.isInteger(dwellMinutes) || dwellMinutes < 0 || dwellMinutes > MAX_DWELL_MINUTES) {
+            return { error: `${label}: dwell time must be a whole number of minutes between 0 and ${MAX_DWELL_MINUTES}` };
+        }
+
+        normalized.push({ pincode: stop.pincode, pickupKg, dropKg, dwellMinutes });
+    }
+
+    return { stops: normalized };
+};
+
+/**
+ * Follow the load on board from the origin through every stop
+ * @function calculateLoadProfile
+ * @param {number} initialLoadKg - Load picked up at the origin
+ * @param {Array<Object>} stops - Normalised stops in order
+ * @returns {Object} { peakKg, finalKg } or { error } when a stop drops more than is on board
+ * @description Drops are unloaded before pickups are loaded at each stop.
+ * @example
+ * calculateLoadProfile(500, [{ pincode: '302001', dropKg: 200, pickupKg: 400 }]);
+ * // Returns: { peakKg: 700, finalKg: 700 }
+ */
+const calculateLoadProfile = (initialLoadKg, stops) => {
+    let onBoardKg = initialLoadKg || 0;
+    let peakKg = onBoardKg;
+
+    for (const [index, stop] of stops.entries()) {
+        if (stop.dropKg > onBoardKg) {
+            return { error: `Stop ${index + 1} drops ${stop.dropKg} kg but only ${onBoardKg} kg is on board` };
+        }
+        onBoardKg = onBoardKg - stop.dropKg + stop.pickupKg;
+        peakKg = Math.max(peakKg, onBoardKg);
+    }
+
+    return { peakKg, finalKg: onBoardKg };
+};
+
+/**
+ * Turn the stop offsets of an estimated route into scheduled times
+ * @function scheduleStops
+ * @param {Date} startTime - Departure from the origin
+ * @param {Array<Object>} routeStops - Stops from estimateRoute, with arrival and departure offsets
+ * @returns {Array<Object>} Stops with arrivalTime and departureTime instead of offsets
+ */
+const scheduleStops = (startTime, routeStops) => routeStops.map(({ arrivalOffsetHours, departureOffsetHours, ...stop }) => ({
+    ...stop,
+    arrivalTime: new Date(new Date(startTime).getTime() + arrivalOffsetHours * 60 * 60 * 1000),
+    departureTime: new Date(new Date(startTime).getTime() + departureOffsetHours * 60 * 60 * 1000)
+}));
+
+module.exports = {
+    MAX_STOPS,
+    MAX_DWELL_MINUTES,
+    normalizeStops,
+    calculateLoadProfile,
+    scheduleStops
+};
@@ -0,0 +1,193 @@
+/**
+ * Service Area Utilities for FleetLink
+ * @fileoverview Vehicle home base and service area validation and route checks
+ */
+
+const { lookupPincode, haversineDistanceKm } = require('./pincodeDirectory');
+
+/**
+ * Largest service radius around a home base, in kilometres
+ * @constant {number}
+ */
+const MAX_SERVICE_RADIUS_KM = 3000;
+
+/**
+ * Most prefixes or states a service area may list
+ * @constant {number}
+ */
+const MAX_SERVICE_AREA_ENTRIES = 50;
+
+/**
+ * Pincode prefix format: the first 1 to 6 digits
+ * @constant {RegExp}
+ */
+const PINCODE_PREFIX_REGEX = /^\d{1,6}$/;
+
+/**
+ * Check whether a vehicle restricts where it operates
+ * @function hasServiceArea
+ * @param {Object} serviceArea - Vehicle service area
+ * @returns {boolean} True when any prefix, state or radius is set
+ */
+const hasServiceArea = (serviceArea) => Boolean(serviceArea && (
+    (serviceArea.pincodePrefixes && serviceArea.pincodePrefixes.length > 0) ||
+    (serviceArea.states && serviceArea.states.length > 0) ||
+    serviceArea.radiusKm
+));
+
+/**
+ * Validate and normalise a service area from a request
+ * @function normalizeServiceArea
+ * @param {*} serviceArea - { pincodePrefixes, states, radiusKm } as sent by the client; null clears it
+ * @param {string} [homePincode] - Home base the radius is measured from
+ * @returns {Object} { serviceArea } or { error }
+ * @example
+ * normalizeServiceArea({ pincodePrefixes: ['110', '122'], states: ['Haryana'] });
+ * // Returns: { serviceArea: { pincodePrefixes: ['110', '122'], states: ['Haryana'], radiusKm: null } }
+ */
+const normalizeServiceArea = (serviceArea, homePincode) => {
+    if (serviceArea === undefined || serviceArea === null) {
+        return { serviceArea: { pincodePrefixes: [], states: [], radiusKm: null } };
+    }
+
+    if (typeof serviceArea !== 'object' || Array.isArray(serviceArea)) {
+        return { error: 'Service area must be an object with pincodePrefixes, states or radiusKm' };
+    }
+
+    const pincodePrefixes = serviceArea.pincodePrefixes || [];
+    const states = serviceArea.states || [];
+    if (!Array.isArray(pincodePrefixes) || !Array.isArray(states)) {
+        return { error: 'Service area pincodePrefixes and states must be arrays' };
+    }
+
+    if (pincodePrefixes.length > MAX_SERVICE_AREA_ENTRIES || states.length > MAX_SERVICE_AREA_ENTRIES) {
+        return { error: `A service area can list at most ${MAX_SERVICE_AREA_ENTRIES} prefixes and ${MAX_SERVICE_AREA_ENTRIES} states` };
+    }
+
+    const prefixes = pincodePrefixes.map(prefix => String(prefix).trim());
+    const invalidPrefix = prefixes.find(prefix => !PINCODE_PREFIX_REGEX.test(prefix));
+    if (invalidPrefix !== undefined) {
+        return { error: `Pincode prefix must be 1 to 6 digits: ${invalidPrefix}` };
+    }
+
+    const stateNames = states.map(state => (typeof state === 'string' ? state.trim() : ''));
+    if (stateNames.some(state => !state)) {
+        return { error: 'Service area states must be non-empty names' };
+    }
+
+    let radiusKm = null;
+    if (serviceArea.radiusKm !== undefined && serviceArea.radiusKm !== null && serviceArea.radiusKm !== '') {
+        radiusKm = Number(serviceArea.radiusKm);
+        if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_SERVICE_RADIUS_KM) {
+            return { error: `Service radius must be between 1 and ${MAX_SERVICE_RADIUS_KM} km` };
+        }
+
+        if (!homePincode) {
+            return { error: 'A service radius needs a home base pincode' };
+        }
+
+        if (!lookupPincode(homePincode)) {
+            return { error: `Home base pincode ${homePincode} is not in the pincode directory` };
+        }
+    }
+
+    return {
+        serviceArea: {
+            pincodePrefixes: [...new Set(prefixes)],
+            states: [...new Set(stateNames)],
+            radiusKm
+        }
+    };
+};
+
+/**
+ * Check whether a pincode lies in a service area
+ * @function isInServiceArea
+ * @param {string} pincode - 6-digit pincode
+ * @param {Object} serviceArea - { pincodePrefixes, states, radiusKm }
+ * @param {string} [homePincode] - Home base the radius is measured from
+ * @returns {boolean} True when the pincode matches a prefix, a state or falls within the radius
+ */
+const isInServiceArea = (pincode, serviceArea, homePincode) => {
+    if ((serviceArea.pincodePrefixes || []).some(prefix => pincode.startsWith(prefix))) {
+        return true;
+    }
+
+    const location = lookupPincode(pincode);
+    if (!location) {
+        return false;
+    }
+
+    const states = (serviceArea.states || []).map(state => state.toLowerCase());
+    if (states.includes(location.state.toLowerCase())) {
+        return true;
+    }
+
+    if (serviceArea.radiusKm && homePincode) {
+        const home = lookupPincode(homePincode);
+        return Boolean(home) && haversineDistanceKm(home, location) <= serviceArea.radiusKm;
+    }
+
+    return false;
+};
+
+/**
+ * Describe a service area for error messages
+ * @function describeServiceArea
+ * @param {Object} serviceArea - { pincodePrefixes, states, radiusKm }
+ * @param {string} [homePincode] - Home base the radius is measured from
+ * @returns {string} e.g. "pincodes starting 110 or 122; Haryana; within 150 km of 110001"
+ */
+const describeServiceArea = (serviceArea, homePincode) => {
+    const parts = [];
+    if (serviceArea.pincodePrefixes && serviceArea.pincodePrefixes.length > 0) {
+        parts.push(`pincodes starting ${serviceArea.pincodePrefixes.join(' or ')}`);
+    }
+    if (serviceArea.states && serviceArea.states.length > 0) {
+        parts.push(serviceArea.states.join(' or '));
+    }
+    if (serviceArea.radiusKm) {
+        parts.push(`within ${serviceArea.radiusKm} km of ${homePincode}`);
+    }
+    return parts.join('; ');
+};
+
+/**
+ * Check that every pincode of a trip lies in the vehicle's service area
+ * @function checkServiceArea
+ * @param {Object} vehicle - Vehicle with homePincode and serviceArea
+ * @param {Array<string>} pincodes - Pickup, stop and drop pincodes
+ * @returns {Object} { isWithin, reason, outsidePincodes }
+ * @example
+ * checkServiceArea({ serviceArea: { pincodePrefixes: ['110'] } }, ['110001', '400001']);
+ * // Returns: { isWithin: false, reason: "Pincode 400001 is outside this vehicle's service area (pincodes starting 110)", outsidePincodes: ['400001'] }
+ */
+const checkServiceArea = (vehicle, pincodes) => {
+    const { serviceArea, homePincode } = vehicle;
+    if (!hasServiceArea(serviceArea)) {
+        return { isWithin: true, reason: null, outsidePincodes: [] };
+    }
+
+    const outsidePincodes = [...new Set(pincodes)].filter(pincode => !isInServiceArea(pincode, serviceArea, homePincode));
+    if (outsidePincodes.length === 0) {
+        return { isWithin: true, reason: null, outsidePincodes };
+    }
+
+    const label = outsidePincodes.length === 1 ? 'Pincode' : 'Pincodes';
+    const verb = outsidePincodes.length === 1 ? 'is' : 'are';
+    return {
+        isWithin: false,
+        reason: `${label} ${outsidePincodes.join(', ')} ${verb} outside this vehicle's service area (${describeServiceArea(serviceArea, homePincode)})`,
+        outsidePincodes
+    };
+};
+
+module.exports = {
+    MAX_SERVICE_RADIUS_KM,
+    MAX_SERVICE_AREA_ENTRIES,
+    hasServiceArea,
+    normalizeServiceArea,
+    isInServiceArea,
+    describeServiceArea,
+    checkServiceArea
+};
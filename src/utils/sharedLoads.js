@@ -0,0 +1,75 @@
+/**
+ * Shared Load Utilities for FleetLink
+ * @fileoverview Part-truck bookings: which loads can ride together and how much capacity is left
+ */
+
+/**
+ * Booking load types
+ * @readonly
+ * @enum {string}
+ */
+const LOAD_TYPES = {
+    FULL: 'full',
+    SHARED: 'shared'
+};
+
+/**
+ * Check whether an existing booking is a shared load on the same trip
+ * @function isSameTrip
+ * @param {Object} booking - Existing booking with loadType, pincodes and times
+ * @param {Object} trip - Requested trip
+ * @param {string} trip.fromPincode - Start pincode
+ * @param {string} trip.toPincode - End pincode
+ * @param {Date} trip.startTime - Departure time
+ * @returns {boolean} True when the loads can travel together
+ * @description Loads share a vehicle only on the same corridor with the same departure, so the
+ * vehicle still drives a single trip. Everything else, including full bookings, blocks it.
+ */
+const isSameTrip = (booking, trip) => {
+    if (booking.loadType !== LOAD_TYPES.SHARED || !booking.pincodes || !booking.times) {
+        return false;
+    }
+
+    return booking.pincodes.start === trip.fromPincode &&
+        booking.pincodes.end === trip.toPincode &&
+        new Date(booking.times.start).getTime() === new Date(trip.startTime).getTime();
+};
+
+/**
+ * Separate the loads a shared booking can ride along with from the bookings that block the vehicle
+ * @function splitSharedLoads
+ * @param {Array<Object>} bookings - Bookings holding the vehicle around the trip
+ * @param {Object} trip - { fromPincode, toPincode, startTime }
+ * @returns {Object} { blocking, sharing, loadedKg }
+ * @example
+ * const { blocking, loadedKg } = splitSharedLoads(existingBookings, { fromPincode, toPincode, startTime });
+ * const conflictCheck = checkBookingConflict(blocking, startTime, endTime, downtime);
+ */
+const splitSharedLoads = (bookings, trip) => {
+    const blocking = [];
+    const sharing = [];
+
+    for (const booking of bookings) {
+        (isSameTrip(booking, trip) ? sharing : blocking).push(booking);
+    }
+
+    const loadedKg = sharing.reduce((sum, booking) => sum + (booking.loadKg || 0), 0);
+
+    return { blocking, sharing, loadedKg };
+};
+
+/**
+ * Capacity a vehicle has left for a shared load on a trip
+ * @function calculateRemainingCapacity
+ * @param {number} capacityKg - Vehicle capacity
+ * @param {number} loadedKg - Weight of the loads already booked on the trip
+ * @returns {number} Remaining capacity in kilograms, never below zero
+ */
+const calculateRemainingCapacity = (capacityKg, loadedKg) => Math.max(0, capacityKg - loadedKg);
+
+module.exports = {
+    LOAD_TYPES,
+    isSameTrip,
+    splitSharedLoads,
+    calculateRemainingCapacity
+};
@@ -0,0 +1,93 @@
+/**
+ * Shipment Splitting Utilities for FleetLink
+ * @fileoverview Chooses combinations of vehicles whose combined capacity carries a load
+ */
+
+/**
+ * Most vehicles a single shipment may be split across
+ * @constant {number}
+ */
+const MAX_VEHICLES_PER_GROUP = 5;
+
+/**
+ * Choose the vehicles to split a load across
+ * @function planSplitShipment
+ * @param {Array<Object>} vehicles - Available vehicles, each with an id and capacityKg
+ * @param {number} capacityRequired - Load to carry in kilograms
+ * @param {Object} [options] - Planning options
+ * @param {number} [options.maxVehicles=5] - Most vehicles the load may be split across
+ * @returns {Object|null} { vehicles, totalCapacityKg }, or null when no combination carries the load
+ * @description Prefers the fewest vehicles, then the least spare capacity among combinations of
+ * that size, so a 7,000 kg load goes on a 5,000 kg and a 2,000 kg truck rather than two 5,000 kg
+ * trucks. Ties keep the larger vehicles, then the earlier ones in the list. Vehicles are never split
+ * further, so a single vehicle that fits is always chosen over a combination.
+ *
+ * Runs a knapsack over (vehicle count, combined capacity) rather than trying every combination:
+ * only combined capacities below the load are kept, so the work grows with the number of vehicles
+ * times the distinct totals below the load, not exponentially with the fleet size. At most
+ * maxVehicles vehicles of each capacity are considered, since no plan can use more.
+ * @example
+ * planSplitShipment([
+ *   { id: 'a', capacityKg: 5000 },
+ *   { id: 'b', capacityKg: 5000 },
+ *   { id: 'c', capacityKg: 2000 }
+ * ], 7000);
+ * // Returns: { vehicles: [{ id: 'a', capacityKg: 5000 }, { id: 'c', capacityKg: 2000 }], totalCapacityKg: 7000 }
+ */
+const planSplitShipment = (vehicles, capacityRequired, options = {}) => {
+    const maxVehicles = options.maxVehicles || MAX_VEHICLES_PER_GROUP;
+
+    // Largest first, keeping list order among equal capacities and at most maxVehicles of each
+    const perCapacity = new Map();
+    const candidates = [...vehicles]
+        .sort((a, b) => b.capacityKg - a.capacityKg)
+        .filter(vehicle => {
+            const count = perCapacity.get(vehicle.capacityKg) || 0;
+            perCapacity.set(vehicle.capacityKg, count + 1);
+            return vehicle.capacityKg > 0 && count < maxVehicles;
+        });
+
+    // Visit smallest first; a later vehicle is then never smaller than any already in a partial
+    // plan, so overwriting an equal state keeps the plan with the larger (and earlier) vehicles
+    const order = [...candidates].reverse();
+
+    // partial[k] maps a combined capacity below the load to the last vehicle of a k-vehicle plan
+    const partial = [new Map([[0, null]])];
+    for (let k = 1; k <= maxVehicles; k++) {
+        partial.push(new Map());
+    }
+    // best[k] is the smallest k-vehicle plan that carries the load
+    const best = new Array(maxVehicles + 1).fill(null);
+
+    for (const vehicle of order) {
+        for (let k = maxVehicles - 1; k >= 0; k--) {
+            for (const [total, node] of partial[k]) {
+                const next = { vehicle, prev: node, total: total + vehicle.capacityKg };
+                if (next.total < capacityRequired) {
+                    partial[k + 1].set(next.total, next);
+                } else if (!best[k + 1] || next.total <= best[k + 1].total) {
+                    best[k + 1] = next;
+                }
+            }
+        }
+    }
+
+    const plan = best.find(Boolean);
+    if (!plan) {
+        return null;
+    }
+
+    const chosen = [];
+    for (let node = plan; node; node = node.prev) {
+        chosen.push(node.vehicle);
+    }
+    return {
+        vehicles: chosen.sort((a, b) => candidates.indexOf(a) - candidates.indexOf(b)),
+        totalCapacityKg: plan.total
+    };
+};
+
+module.exports = {
+    MAX_VEHICLES_PER_GROUP,
+    planSplitShipment
+};
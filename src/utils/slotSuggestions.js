@@ -0,0 +1,164 @@
+/**
+ * Slot Suggestion Utilities for FleetLink
+ * @fileoverview Finds the nearest start times around a requested one at which a vehicle is free
+ */
+
+const { calculateEndTime, checkBookingConflict } = require('./rideCalculations');
+const { checkOperatingHours } = require('./operatingHours');
+
+/**
+ * Spacing of suggested start times, in minutes
+ * @constant {number}
+ */
+const SUGGESTION_STEP_MINUTES = 15;
+
+/**
+ * How far before and after the requested start suggestions are searched, in hours
+ * @constant {number}
+ */
+const SUGGESTION_HORIZON_HOURS = 72;
+
+/**
+ * Step away from a requested start in both directions until a candidate start fits
+ * @function scanNearestStarts
+ * @param {Date} requestedStart - Start time that was not available
+ * @param {Function} fits - Called with a candidate start in milliseconds; returns a slot or null
+ * @param {Object} [options] - Search options, as for findNearestSlots
+ * @returns {Object} { earlier, later }, each the first slot fits returned in that direction, or null
+ */
+const scanNearestStarts = (requestedStart, fits, options = {}) => {
+    const now = options.now || new Date();
+    const stepMs = (options.stepMinutes || SUGGESTION_STEP_MINUTES) * 60 * 1000;
+    const horizonMs = (options.horizonHours || SUGGESTION_HORIZON_HOURS) * 60 * 60 * 1000;
+    const requestedMs = new Date(requestedStart).getTime();
+
+    let earlier = null;
+    const firstEarlier = Math.ceil(requestedMs / stepMs) * stepMs - stepMs;
+    for (let startMs = firstEarlier; startMs >= requestedMs - horizonMs && startMs > now.getTime(); startMs -= stepMs) {
+        earlier = fits(startMs);
+        if (earlier) break;
+    }
+
+    let later = null;
+    const firstLater = Math.floor(requestedMs / stepMs) * stepMs + stepMs;
+    for (let startMs = firstLater; startMs <= requestedMs + horizonMs; startMs += stepMs) {
+        later = fits(startMs);
+        if (later) break;
+    }
+
+    return { earlier, later };
+};
+
+/**
+ * Check whether a ride starting at a given time fits a vehicle's schedule
+ * @function fitSchedule
+ * @param {number} startMs - Candidate start in milliseconds
+ * @param {number} durationHours - Ride duration
+ * @param {Object} schedule - The vehicle's commitments, as for findNearestSlots
+ * @returns {Object|null} { startTime, endTime } when the ride fits, otherwise null
+ */
+const fitSchedule = (startMs, durationHours, schedule) => {
+    const start = new Date(startMs);
+    const end = calculateEndTime(start, durationHours);
+
+    if (!checkOperatingHours(schedule.operatingHours, start, end).isWithin) {
+        return null;
+    }
+
+    const conflictCheck = checkBookingConflict(schedule.bookings, start, end, schedule.downtime || [], {
+        turnaroundMinutes: schedule.turnaroundMinutes,
+        fromPincode: schedule.fromPincode,
+        toPincode: schedule.toPincode
+    });
+    return conflictCheck.hasConflict ? null : { startTime: start, endTime: end };
+};
+
+/**
+ * Find the nearest earlier and later start times at which a ride fits a vehicle's schedule
+ * @function findNearestSlots
+ * @param {Date} requestedStart - Start time that was not available
+ * @param {number} durationHours - Ride duration; every suggestion keeps it
+ * @param {Object} schedule - The vehicle's commitments around the requested start
+ * @param {Array<Object>} schedule.bookings - Bookings holding the vehicle, with times and pincodes
+ * @param {Array<Object>} [schedule.downtime] - Downtime blocks
+ * @param {Object} [schedule.operatingHours] - Vehicle operating hours
+ * @param {number} [schedule.turnaroundMinutes] - Vehicle turnaround time
+ * @param {string} [schedule.fromPincode] - Ride start pincode, for repositioning
+ * @param {string} [schedule.toPincode] - Ride end pincode, for repositioning
+ * @param {Object} [options] - Search options
+ * @param {Date} [options.now=new Date()] - Earlier suggestions must start after this
+ * @param {number} [options.stepMinutes=15] - Spacing of candidate start times
+ * @param {number} [options.horizonHours=72] - How far to look in each direction
+ * @returns {Object} { earlier, later }, each { startTime, endTime } or null when nothing fits
+ * @description Candidates are whole steps (quarter hours by default) stepping away from the
+ * requested start. Each is checked like a booking would be: operating hours, overlaps,
+ * turnaround and repositioning time, and downtime.
+ * @example
+ * const { earlier, later } = findNearestSlots(start, 2.5, {
+ *   bookings, downtime, operatingHours: vehicle.operatingHours,
+ *   turnaroundMinutes: vehicle.turnaroundMinutes, fromPincode, toPincode
+ * });
+ */
+const findNearestSlots = (requestedStart, durationHours, schedule, options = {}) =>
+    scanNearestStarts(requestedStart, (startMs) => fitSchedule(startMs, durationHours, schedule), options);
+
+/**
+ * Find the nearest earlier and later start times at which any of several vehicles is free
+ * @function findNearestFleetSlots
+ * @param {Date} requestedStart - Start time that was not available
+ * @param {Array<Object>} schedules - Per vehicle: { vehicleId, vehicleName, durationHours } and the
+ * schedule fields of findNearestSlots
+ * @param {Object} [options] - Search options, as for findNearestSlots
+ * @returns {Object} { earlier, later }, each { startTime, endTime, vehicleId, vehicleName } or null
+ * @description Gives the same answer as picking the nearest of every vehicle's findNearestSlots,
+ * earlier vehicles winning ties, but steps through the candidate times once and stops at the
+ * first that any vehicle fits, so a large fleet is not searched vehicle by vehicle.
+ * @example
+ * const { earlier, later } = findNearestFleetSlots(start, [
+ *   { vehicleId, vehicleName, durationHours: 2.5, bookings, downtime, operatingHours, turnaroundMinutes }
+ * ]);
+ */
+const findNearestFleetSlots = (requestedStart, schedules, options = {}) =>
+    scanNearestStarts(requestedStart, (startMs) => {
+        for (const schedule of schedules) {
+            const slot = fitSchedule(startMs, schedule.durationHours, schedule);
+            if (slot) {
+                return { ...slot, vehicleId: schedule.vehicleId, vehicleName: schedule.vehicleName };
+            }
+        }
+        return null;
+    }, options);
+
+/**
+ * Pick the suggestions nearest to the requested start across several vehicles
+ * @function pickNearestSuggestions
+ * @param {Array<Object>} vehicleSuggestions - { vehicleId, vehicleName, earlier, later } per vehicle
+ * @returns {Object} { earlier, later }, each { startTime, endTime, vehicleId, vehicleName } or null
+ * @example
+ * pickNearestSuggestions([
+ *   { vehicleId: 'a', vehicleName: 'Truck A', earlier: null, later: { startTime, endTime } }
+ * ]);
+ */
+const pickNearestSuggestions = (vehicleSuggestions) => {
+    let earlier = null;
+    let later = null;
+
+    for (const { vehicleId, vehicleName, earlier: vehicleEarlier, later: vehicleLater } of vehicleSuggestions) {
+        if (vehicleEarlier && (!earlier || vehicleEarlier.startTime > earlier.startTime)) {
+            earlier = { ...vehicleEarlier, vehicleId, vehicleName };
+        }
+        if (vehicleLater && (!later || vehicleLater.startTime < later.startTime)) {
+            later = { ...vehicleLater, vehicleId, vehicleName };
+        }
+    }
+
+    return { earlier, later };
+};
+
+module.exports = {
+    SUGGESTION_STEP_MINUTES,
+    SUGGESTION_HORIZON_HOURS,
+    findNearestSlots,
+    findNearestFleetSlots,
+    pickNearestSuggestions
+};
@@ -0,0 +1,126 @@
+/**
+ * Vehicle Calendar Utilities for FleetLink
+ * @fileoverview Busy intervals and free gaps in a vehicle's schedule
+ */
+
+/**
+ * Longest range a calendar request may cover, in days
+ * @constant {number}
+ */
+const MAX_CALENDAR_RANGE_DAYS = 62;
+
+/**
+ * Range returned when the request gives no end, in days
+ * @constant {number}
+ */
+const DEFAULT_CALENDAR_RANGE_DAYS = 7;
+
+/**
+ * Shortest free gap worth listing, in minutes
+ * @constant {number}
+ */
+const MIN_FREE_GAP_MINUTES = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Validate the range of a calendar request
+ * @function parseCalendarRange
+ * @param {string} [from] - Range start (ISO string), defaults to now
+ * @param {string} [to] - Range end (ISO string), defaults to 7 days after the start
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} { from, to } as Dates or { error }
+ * @example
+ * parseCalendarRange('2024-01-01T00:00:00Z', '2024-02-01T00:00:00Z');
+ * // Returns: { from: Date(2024-01-01), to: Date(2024-02-01) }
+ */
+const parseCalendarRange = (from, to, now = new Date()) => {
+    const start = from ? new Date(from) : now;
+    const end = to ? new Date(to) : new Date(start.getTime() + DEFAULT_CALENDAR_RANGE_DAYS * DAY_MS);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return { error: 'Invalid from or to date' };
+    }
+
+    if (end <= start) {
+        return { error: 'The calendar range must end after it starts' };
+    }
+
+    if (end - start > MAX_CALENDAR_RANGE_DAYS * DAY_MS) {
+        return { error: `The calendar range cannot exceed ${MAX_CALENDAR_RANGE_DAYS} days` };
+    }
+
+    return { from: start, to: end };
+};
+
+/**
+ * Find the free gaps between busy intervals in a range
+ * @function findFreeGaps
+ * @param {Array<Object>} busy - Intervals with start, end and type ('booking' or 'downtime')
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} [options] - Gap options
+ * @param {number} [options.turnaroundMinutes=0] - Buffer kept clear either side of each booking
+ * @param {Date} [options.now] - Gaps never start before this, so past time is not offered
+ * @param {number} [options.minGapMinutes=15] - Shorter gaps are left out
+ * @returns {Array<Object>} Gaps { start, end, durationHours } in time order
+ * @description Bookings are widened by the vehicle's turnaround buffer, downtime is not. Time to
+ * reposition between pincodes and operating hours are not known here, so a ride that fits a gap
+ * can still be refused when it is booked.
+ * @example
+ * findFreeGaps([{ type: 'booking', start, end }], from, to, { turnaroundMinutes: 30, now: new Date() });
+ * // Returns: [{ start, end, durationHours }, ...]
+ */
+const findFreeGaps = (busy, from, to, options = {}) => {
+    const bufferMs = (Number(options.turnaroundMinutes) || 0) * MINUTE_MS;
+    const minGapMs = (options.minGapMinutes !== undefined ? options.minGapMinutes : MIN_FREE_GAP_MINUTES) * MINUTE_MS;
+
+    const blocked = busy
+        .map(interval => {
+            const padding = interval.type === 'booking' ? bufferMs : 0;
+            return {
+                start: new Date(interval.start).getTime() - padding,
+                end: new Date(interval.end).getTime() + padding
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+
+    const gaps = [];
+    let cursor = Math.max(from.getTime(), options.now ? options.now.getTime() : -Infinity);
+    const rangeEnd = to.getTime();
+
+    const addGap = (start, end) => {
+        if (end - start >= minGapMs) {
+            gaps.push({
+                start: new Date(start),
+                end: new Date(end),
+                durationHours: Math.round(((end - start) / (60 * MINUTE_MS)) * 100) / 100
+            });
+        }
+    };
+
+    for (const interval of blocked) {
+        if (interval.start > cursor) {
+            addGap(cursor, Math.min(interval.start, rangeEnd));
+        }
+        cursor = Math.max(cursor, interval.end);
+        if (cursor >= rangeEnd) {
+            break;
+        }
+    }
+
+    if (cursor < rangeEnd) {
+        addGap(cursor, rangeEnd);
+    }
+
+    return gaps;
+};
+
+module.exports = {
+    MAX_CALENDAR_RANGE_DAYS,
+    DEFAULT_CALENDAR_RANGE_DAYS,
+    MIN_FREE_GAP_MINUTES,
+    parseCalendarRange,
+    findFreeGaps
+};
@@ -0,0 +1,212 @@
+/**
+ * Vehicle Search Utilities for FleetLink
+ * @fileoverview Paging, sorting and per-vehicle booking selection for the availability search
+ */
+
+/**
+ * Keys the availability search can be sorted by
+ * @readonly
+ * @enum {string}
+ */
+const SEARCH_SORT_KEYS = {
+    CAPACITY: 'capacity',
+    NAME: 'name',
+    OWNER: 'owner'
+};
+
+/**
+ * Vehicles per page when the request does not say
+ * @constant {number}
+ */
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+
+/**
+ * Most vehicles a single page may hold
+ * @constant {number}
+ */
+const MAX_SEARCH_PAGE_SIZE = 100;
+
+/**
+ * Collation for sorting vehicle names in the database without regard to case, as
+ * sortSearchResults does
+ * @constant {Object}
+ */
+const SEARCH_COLLATION = Object.freeze({ locale: 'en', strength: 2 });
+
+/**
+ * Validate the paging and sorting parameters of a search
+ * @function parseSearchPaging
+ * @param {Object} query - Request query with optional page, limit, sortBy, sortOrder and
+ * includeUnavailable ('true' or 'false', true unless given)
+ * @returns {Object} { paging: { page, limit, sortBy, sortOrder, includeUnavailable } } or { error }
+ * @example
+ * parseSearchPaging({ page: '2', limit: '10', sortBy: 'name', includeUnavailable: 'false' });
+ * // Returns: { paging: { page: 2, limit: 10, sortBy: 'name', sortOrder: 'asc', includeUnavailable: false } }
+ */
+const parseSearchPaging = (query) => {
+    const page = query.page !== undefined ? Number(query.page) : 1;
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'Page must be a positive whole number' };
+    }
+
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_SEARCH_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_PAGE_SIZE) {
+        return { error: `Limit must be a whole number between 1 and ${MAX_SEARCH_PAGE_SIZE}` };
+    }
+
+    const sortBy = query.sortBy || SEARCH_SORT_KEYS.CAPACITY;
+    if (!Object.values(SEARCH_SORT_KEYS).includes(sortBy)) {
+        return { error: `Sort key must be one of: ${Object.values(SEARCH_SORT_KEYS).join(', ')}` };
+    }
+
+    const sortOrder = query.sortOrder || 'asc';
+    if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+        return { error: 'Sort order must be asc or desc' };
+    }
+
+    const { includeUnavailable = 'true' } = query;
+    if (includeUnavailable !== 'true' && includeUnavailable !== 'false') {
+        return { error: 'includeUnavailable must be true or false' };
+    }
+
+    return { paging: { page, limit, sortBy, sortOrder, includeUnavailable: includeUnavailable === 'true' } };
+};
+
+/**
+ * Pick the bookings that decide whether a ride fits: those overlapping it, plus the last one
+ * ending before it and the first one starting after it, for turnaround time
+ * @function selectBookingsAround
+ * @param {Array<Object>} bookings - One vehicle's bookings sorted by start time
+ * @param {Date} startTime - Ride start
+ * @param {Date} endTime - Ride end
+ * @returns {Array<Object>} Previous, overlapping and next bookings, in that order
+ * @example
+ * const existingBookings = selectBookingsAround(bookingsByVehicle.get(vehicleId) || [], start, end);
+ */
+const selectBookingsAround = (bookings, startTime, endTime) => {
+    const startMs = new Date(startTime).getTime();
+    const endMs = new Date(endTime).getTime();
+
+    let previous = null;
+    let next = null;
+    const overlapping = [];
+
+    for (const booking of bookings) {
+        const bookingStart = new Date(booking.times.start).getTime();
+        const bookingEnd = new Date(booking.times.end).getTime();
+
+        if (bookingEnd <= startMs) {
+            if (!previous || bookingEnd > new Date(previous.times.end).getTime()) {
+                previous = booking;
+            }
+        } else if (bookingStart >= endMs) {
+            if (!next) {
+                next = booking;
+            }
+        } else {
+            overlapping.push(booking);
+        }
+    }
+
+    return [previous, ...overlapping, next].filter(Boolean);
+};
+
+/**
+ * Read the value a search result is sorted by
+ * @function getSortValue
+ * @param {Object} vehicle - Vehicle summary with a populated createdBy
+ * @param {string} sortBy - One of SEARCH_SORT_KEYS
+ * @returns {number|string} Capacity, or the lower-cased vehicle or owner name
+ */
+const getSortValue = (vehicle, sortBy) => {
+    if (sortBy === SEARCH_SORT_KEYS.CAPACITY) {
+        return vehicle.capacityKg;
+    }
+    if (sortBy === SEARCH_SORT_KEYS.OWNER) {
+        return ((vehicle.createdBy && vehicle.createdBy.name) || '').toLowerCase();
+    }
+    return (vehicle.name || '').toLowerCase();
+};
+
+/**
+ * Sort search results; ties fall back to the vehicle name so pages stay stable
+ * @function sortSearchResults
+ * @param {Array<Object>} vehicles - Vehicle summaries
+ * @param {string} sortBy - One of SEARCH_SORT_KEYS
+ * @param {string} [sortOrder='asc'] - 'asc' or 'desc'
+ * @returns {Array<Object>} A sorted copy
+ */
+const sortSearchResults = (vehicles, sortBy, sortOrder = 'asc') => {
+    const direction = sortOrder === 'desc' ? -1 : 1;
+
+    return [...vehicles].sort((a, b) => {
+        const valueA = getSortValue(a, sortBy);
+        const valueB = getSortValue(b, sortBy);
+        if (valueA < valueB) return -direction;
+        if (valueA > valueB) return direction;
+
+        const nameA = getSortValue(a, SEARCH_SORT_KEYS.NAME);
+        const nameB = getSortValue(b, SEARCH_SORT_KEYS.NAME);
+        if (nameA !== nameB) return nameA < nameB ? -1 : 1;
+        return String(a.id).localeCompare(String(b.id));
+    });
+};
+
+/**
+ * Build the database sort matching sortSearchResults, for sort keys that are vehicle fields
+ * @function getSearchSort
+ * @param {string} sortBy - One of SEARCH_SORT_KEYS
+ * @param {string} [sortOrder='asc'] - 'asc' or 'desc'
+ * @returns {Object|null} MongoDB sort to use with SEARCH_COLLATION, or null for the owner, which
+ * is only known once vehicles are populated
+ * @example
+ * getSearchSort('capacity', 'desc');
+ * // Returns: { capacityKg: -1, name: 1, _id: 1 }
+ */
+const getSearchSort = (sortBy, sortOrder = 'asc') => {
+    const direction = sortOrder === 'desc' ? -1 : 1;
+
+    if (sortBy === SEARCH_SORT_KEYS.CAPACITY) {
+        return { capacityKg: direction, name: 1, _id: 1 };
+    }
+    if (sortBy === SEARCH_SORT_KEYS.NAME) {
+        return { name: direction, _id: 1 };
+    }
+    return null;
+};
+
+/**
+ * Cut one page out of sorted results
+ * @function paginate
+ * @param {Array<Object>} items - Sorted results
+ * @param {number} page - 1-based page number
+ * @param {number} limit - Items per page
+ * @returns {Object} { items, pagination } with the same pagination fields as the vehicle list
+ */
+const paginate = (items, page, limit) => {
+    const totalPages = Math.ceil(items.length / limit);
+
+    return {
+        items: items.slice((page - 1) * limit, page * limit),
+        pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: items.length,
+            itemsPerPage: limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+        }
+    };
+};
+
+module.exports = {
+    SEARCH_SORT_KEYS,
+    DEFAULT_SEARCH_PAGE_SIZE,
+    MAX_SEARCH_PAGE_SIZE,
+    SEARCH_COLLATION,
+    parseSearchPaging,
+    selectBookingsAround,
+    sortSearchResults,
+    getSearchSort,
+    paginate
+};
@@ -0,0 +1,92 @@
+/**
+ * Vehicle Specification Utilities for FleetLink
+ * @fileoverview Vehicle types, body types, features and cargo bed volume
+ */
+
+/**
+ * Vehicle types; also the keys RIDE_DURATION_STRATEGY_BY_VEHICLE_TYPE assigns strategies to
+ * @readonly
+ * @enum {string}
+ */
+const VEHICLE_TYPES = {
+    MINI_TRUCK: 'mini_truck',
+    LCV: 'lcv',
+    TRAILER: 'trailer',
+    REEFER: 'reefer',
+    TANKER: 'tanker'
+};
+
+/**
+ * Cargo body types
+ * @readonly
+ * @enum {string}
+ */
+const BODY_TYPES = {
+    OPEN: 'open',
+    CLOSED: 'closed',
+    FLATBED: 'flatbed',
+    CONTAINER: 'container',
+    TANK: 'tank'
+};
+
+/**
+ * Optional vehicle features customers can search for
+ * @readonly
+ * @enum {string}
+ */
+const VEHICLE_FEATURES = {
+    TAIL_LIFT: 'tail_lift',
+    REFRIGERATION: 'refrigeration'
+};
+
+/**
+ * Calculate the volume of a cargo bed
+ * @function calculateBedVolume
+ * @param {Object} dimensions - Bed dimensions
+ * @param {number} dimensions.lengthM - Length in metres
+ * @param {number} dimensions.widthM - Width in metres
+ * @param {number} dimensions.heightM - Height in metres
+ * @returns {number|null} Volume in cubic metres, rounded to 2 decimals, or null when a dimension is missing
+ * @example
+ * calculateBedVolume({ lengthM: 4.3, widthM: 1.8, heightM: 1.8 });
+ * // Returns: 13.93
+ */
+const calculateBedVolume = (dimensions) => {
+    if (!dimensions) {
+        return null;
+    }
+
+    const { lengthM, widthM, heightM } = dimensions;
+    if (![lengthM, widthM, heightM].every(value => typeof value === 'number' && value > 0)) {
+        return null;
+    }
+
+    return Math.round(lengthM * widthM * heightM * 100) / 100;
+};
+
+/**
+ * Parse a comma-separated feature list from a query string
+ * @function parseFeatureList
+ * @param {string|Array<string>} value - e.g. 'tail_lift,refrigeration'
+ * @returns {Object} { features } or { error } naming the unknown feature
+ */
+const parseFeatureList = (value) => {
+    const features = (Array.isArray(value) ? value : String(value).split(','))
+        .map(feature => feature.trim())
+        .filter(Boolean);
+
+    const unknown = features.find(feature => !Object.values(VEHICLE_FEATURES).includes(feature));
+    if (unknown) {
+        return { error: `Unknown vehicle feature: ${unknown}` };
+    }
+
+    return { features };
+};
+
+module.exports = {
+    VEHICLE_TYPES,
+    BODY_TYPES,
+    VEHICLE_FEATURES,
+    calculateBedVolume,
+    parseFeatureList
+};
@@ -36,6 +36,13 @@ app.get('/health', (req, res) => {
 });
 const { Booking } = require('../src/models/Booking');
 const Vehicle = require('../src/models/Vehicle');
+const { Notification } = require('../src/models/Notification');
+const Downtime = require('../src/models/Downtime');
+const ComplianceDocument = require('../src/models/ComplianceDocument');
+const { Tariff, DEFAULT_TARIFF } = require('../src/models/Tariff');
+const { expirePendingBookings } = require('../src/controllers/bookingController');
+const { estimateRide, estimateRoute } = require('../src/utils/rideCalculations');
+const { registerDurationStrategy, setDefaultDurationStrategy, resetDurationStrategies } = require('../src/utils/durationStrategies');
 
 describe('Booking Controller', () => {
     let authToken;
@@ -76,7 +83,33 @@ describe('Booking Controller', () => {
             expect(response.body.booking.user).toBeDefined();
             expect(response.body.booking.pincodes.start).toBe(bookingData.fromPincode);
             expect(response.body.booking.pincodes.end).toBe(bookingData.toPincode);
-            expect(response.body.booking.status).toBe('active');
+            expect(response.body.booking.status).toBe('confirmed');
+        });
+
+        test('should store the agreed price snapshot on the booking', async () => {
+            await Tariff.create({ vehicleId: testVehicle._id, baseFare: 1000, perHour: 100, perKgCapacity: 0, perKm: 0 });
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '110025',
+                    startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+                })
+                .expect(201);
+
+            const { price } = response.body.booking;
+            const durationItem = price.items.find(item => item.code === 'duration');
+            expect(price.currency).toBe('INR');
+            expect(durationItem.amount).toBe(durationItem.quantity * 100);
+            expect(price.total).toBeGreaterThanOrEqual(1000 + durationItem.amount);
+
+            // Later tariff changes do not touch the stored price
+            await Tariff.updateOne({ vehicleId: testVehicle._id }, { baseFare: 5000 });
+            const stored = await Booking.findById(response.body.booking._id);
+            expect(stored.price.total).toBe(price.total);
         });
 
         test('should reject booking with missing required fields', async () => {
@@ -249,6 +282,372 @@ describe('Booking Controller', () => {
             expect(response.body.conflictDetails.conflictingBookings.length).toBeGreaterThan(0);
         });
 
+        test('should reject booking while the vehicle is in downtime', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+            await Downtime.create({
+                vehicleId: testVehicle._id,
+                times: {
+                    start: new Date(startTime.getTime() + 2 * 60 * 60 * 1000),
+                    end: new Date(startTime.getTime() + 6 * 60 * 60 * 1000)
+                },
+                reason: 'Annual service',
+                createdBy: testUser._id
+            });
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '400001',
+                    startTime: startTime.toISOString()
+                })
+                .expect(409);
+
+            expect(response.body.message).toBe('Vehicle is out of service for maintenance during the selected time slot');
+            expect(response.body.conflictDetails.conflictingBookings).toHaveLength(0);
+            expect(response.body.conflictDetails.conflictingDowntime[0].reason).toBe('Annual service');
+            expect(await Booking.countDocuments({ vehicleId: testVehicle._id })).toBe(0);
+        });
+
+        test('should reject booking outside the vehicle operating hours', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const holiday = startTime.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+            await Vehicle.findByIdAndUpdate(testVehicle._id, {
+                operatingHours: { holidays: [{ date: holiday, reason: 'Depot closed' }] }
+            });
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '110025',
+                    startTime: startTime.toISOString()
+                })
+                .expect(400);
+
+            expect(response.body.success).toBe(false);
+            expect(response.body.message).toBe(`Vehicle is not operating on ${holiday} (Depot closed)`);
+        });
+
+        test('should reject booking that leaves no time to turn around after the previous ride', async () => {
+            const previousEnd = new Date(Date.now() + 26 * 60 * 60 * 1000);
+            await Vehicle.findByIdAndUpdate(testVehicle._id, { turnaroundMinutes: 60 });
+            const previous = await global.testUtils.createTestBooking({
+                vehicleId: testVehicle._id,
+                pincodes: { start: '110001', end: '400001' },
+                times: { start: new Date(Date.now() + 24 * 60 * 60 * 1000), end: previousEnd }
+            });
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '400001',
+                    toPincode: '400050',
+                    startTime: new Date(previousEnd.getTime() + 30 * 60 * 1000).toISOString()
+                })
+                .expect(409);
+
+            expect(response.body.message).toBe('Vehicle needs more time to turn around and reposition between bookings for the selected time slot');
+            expect(response.body.conflictDetails.conflictingBookings[0]).toMatchObject({
+                id: previous._id.toString(),
+                conflictType: 'turnaround',
+                requiredGapMinutes: 60
+            });
+        });
+
+        test('should let shared loads share a trip up to the vehicle capacity', async () => {
+            const sharedBooking = (loadKg, overrides = {}) => ({
+                vehicleId: testVehicle._id.toString(),
+                fromPincode: '110001',
+                toPincode: '400001',
+                startTime: new Date(Math.ceil((Date.now() + 24 * 60 * 60 * 1000) / (60 * 60 * 1000)) * 60 * 60 * 1000).toISOString(),
+                loadType: 'shared',
+                loadKg,
+                ...overrides
+            });
+
+            const first = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send(sharedBooking(600))
+                .expect(201);
+
+            expect(first.body.booking.loadType).toBe('shared');
+            expect(first.body.booking.loadKg).toBe(600);
+
+            await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send(sharedBooking(400))
+                .expect(201);
+
+            const full = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send(sharedBooking(1))
+                .expect(409);
+
+            expect(full.body.message).toBe('Only 0 kg of capacity is left on this trip');
+            expect(full.body.remainingCapacityKg).toBe(0);
+        });
+
+        test('should not share a vehicle with full bookings or other trips', async () => {
+            const startTime = new Date(Math.ceil((Date.now() + 24 * 60 * 60 * 1000) / (60 * 60 * 1000)) * 60 * 60 * 1000);
+            await global.testUtils.createTestBooking({
+                vehicleId: testVehicle._id,
+                pincodes: { start: '110001', end: '400001' },
+                times: { start: startTime, end: new Date(startTime.getTime() + 24 * 60 * 60 * 1000) },
+                loadType: 'shared',
+                loadKg: 200
+            });
+
+            await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '400001',
+                    startTime: startTime.toISOString()
+                })
+                .expect(409);
+
+            await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '400050',
+                    startTime: startTime.toISOString(),
+                    loadType: 'shared',
+                    loadKg: 200
+                })
+                .expect(409);
+        });
+
+        test('should require a load weight within capacity for shared loads', async () => {
+            const bookingData = {
+                vehicleId: testVehicle._id.toString(),
+                fromPincode: '110001',
+                toPincode: '400001',
+                startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+                loadType: 'shared'
+            };
+
+            const missing = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send(bookingData)
+                .expect(400);
+
+            expect(missing.body.message).toBe('Load weight is required for shared loads');
+
+            const tooHeavy = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({ ...bookingData, loadKg: 1500 })
+                .expect(400);
+
+            expect(tooHeavy.body.message).toBe('Load exceeds the vehicle capacity of 1000 kg');
+        });
+
+        test('should book a route with stops and schedule each stop', async () => {
+            const startTime = new Date(Math.ceil((Date.now() + 24 * 60 * 60 * 1000) / (60 * 60 * 1000)) * 60 * 60 * 1000);
+            const route = estimateRoute('110001', '400001', [{ pincode: '302001', dwellMinutes: 45 }]);
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '400001',
+                    startTime: startTime.toISOString(),
+                    loadKg: 600,
+                    stops: [{ pincode: '302001', dropKg: 200, pickupKg: 300, dwellMinutes: 45 }]
+                })
+                .expect(201);
+
+            const { booking } = response.body;
+            expect(booking.estimatedRideDurationHours).toBe(route.durationHours);
+            expect(new Date(booking.times.end).getTime()).toBe(startTime.getTime() + route.durationHours * 60 * 60 * 1000);
+            expect(booking.stops).toHaveLength(1);
+            expect(new Date(booking.stops[0].arrivalTime).getTime())
+                .toBe(startTime.getTime() + route.legs[0].durationHours * 60 * 60 * 1000);
+            expect(booking.stops[0]).toMatchObject({ pincode: '302001', dropKg: 200, pickupKg: 300, dwellMinutes: 45 });
+
+            const notification = await Notification.findOne({ 'data.bookingId': booking._id });
+            expect(notification.message).toContain('via 302001');
+        });
+
+        test('should keep the load on board within capacity along the route', async () => {
+            const bookingData = {
+                vehicleId: testVehicle._id.toString(),
+                fromPincode: '110001',
+                toPincode: '400001',
+                startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+                loadKg: 600
+            };
+
+            const overCapacity = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({ ...bookingData, stops: [{ pincode: '302001', pickupKg: 500 }] })
+                .expect(400);
+
+            expect(overCapacity.body.message).toBe('Load on board reaches 1100 kg, above the vehicle capacity of 1000 kg');
+
+            const overDrop = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({ ...bookingData, stops: [{ pincode: '302001', dropKg: 700 }] })
+                .expect(400);
+
+            expect(overDrop.body.message).toBe('Stop 1 drops 700 kg but only 600 kg is on board');
+        });
+
+        test('should store the cargo manifest and take the load weight from it', async () => {
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '400001',
+                    startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+                    cargo: {
+                        category: 'general',
+                        items: [
+                            { description: 'Cartons', quantity: 40, weightKg: 400, volumeM3: 3, declaredValue: 25000 },
+                            { description: 'Pallets', quantity: 2, weightKg: 150 }
+                        ]
+                    }
+                })
+                .expect(201);
+
+            expect(response.body.booking.loadKg).toBe(550);
+            expect(response.body.booking.cargo).toMatchObject({
+                category: 'general',
+                totalWeightKg: 550,
+                totalVolumeM3: 3,
+                declaredValue: 25000
+            });
+            expect(response.body.booking.cargo.items).toHaveLength(2);
+        });
+
+        test('should reject cargo the vehicle does not accept or cannot carry', async () => {
+            const bookingData = {
+                vehicleId: testVehicle._id.toString(),
+                fromPincode: '110001',
+                toPincode: '400001',
+                startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+            };
+
+            const hazardous = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({ ...bookingData, cargo: { category: 'hazardous' } })
+                .expect(400);
+
+            expect(hazardous.body.message).toBe('This vehicle does not accept hazardous goods');
+
+            const heavy = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({ ...bookingData, cargo: { items: [{ description: 'Steel coils', weightKg: 1200 }] } })
+                .expect(400);
+
+            expect(heavy.body.message).toBe('Cargo weighs 1200 kg, above the vehicle capacity of 1000 kg');
+
+            const underDeclared = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({ ...bookingData, loadKg: 300, cargo: { items: [{ description: 'Cartons', weightKg: 400 }] } })
+                .expect(400);
+
+            expect(underDeclared.body.message).toBe('The manifest weighs 400 kg, more than the declared load of 300 kg');
+        });
+
+        test('should reject cargo larger than the vehicle volume', async () => {
+            await Vehicle.updateOne({ _id: testVehicle._id }, { volumeM3: 8 });
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '400001',
+                    startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+                    cargo: { items: [{ description: 'Foam panels', weightKg: 200, volumeM3: 9.5 }] }
+                })
+                .expect(400);
+
+            expect(response.body.message).toBe('Cargo takes 9.5 m³, more than the vehicle\'s 8 m³');
+        });
+
+        test('should reject vehicles whose documents expire before the ride ends', async () => {
+            const expiresAt = new Date(Date.now() + 25 * 60 * 60 * 1000);
+            await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'insurance',
+                documentNumber: 'POL-1',
+                expiresAt,
+                createdBy: testUser._id
+            });
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({
+                    vehicleId: testVehicle._id.toString(),
+                    fromPincode: '110001',
+                    toPincode: '400001',
+                    startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+                })
+                .expect(400);
+
+            expect(response.body.message)
+                .toBe(`Vehicle cannot be booked: Insurance expires on ${expiresAt.toISOString().slice(0, 10)}`);
+        });
+
+        test('should reject trips and stops outside the vehicle service area', async () => {
+            await Vehicle.updateOne({ _id: testVehicle._id }, {
+                homePincode: '110001',
+                serviceArea: { pincodePrefixes: ['110', '122'], states: [] }
+            });
+
+            const bookingData = {
+                vehicleId: testVehicle._id.toString(),
+                fromPincode: '110001',
+                toPincode: '122001',
+                startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+            };
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({ ...bookingData, stops: [{ pincode: '121001', pickupKg: 100 }] })
+                .expect(400);
+
+            expect(response.body.message)
+                .toBe('Pincode 121001 is outside this vehicle\'s service area (pincodes starting 110 or 122)');
+
+            await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send(bookingData)
+                .expect(201);
+        });
+
         test('should calculate ride duration and end time correctly', async () => {
             const bookingData = {
                 vehicleId: testVehicle._id.toString(),
@@ -265,15 +664,113 @@ describe('Booking Controller', () => {
 
             expect(response.body.success).toBe(true);
 
-            // Verify that end time was calculated correctly
-            // Duration should be |400001 - 110001| % 24 = 8 hours
+            // Verify that end time was calculated correctly from the ride estimate
+            const { durationHours, distanceKm } = estimateRide('110001', '400001');
             const startTime = new Date(bookingData.startTime);
-            const expectedEndTime = new Date(startTime.getTime() + 8 * 60 * 60 * 1000);
+            const expectedEndTime = new Date(startTime.getTime() + durationHours * 60 * 60 * 1000);
             const actualEndTime = new Date(response.body.booking.times.end);
 
             // Allow for small time differences due to processing
             const timeDifference = Math.abs(actualEndTime.getTime() - expectedEndTime.getTime());
             expect(timeDifference).toBeLessThan(1000); // Less than 1 second difference
+            expect(response.body.booking.distanceKm).toBe(distanceKm);
+            expect(response.body.booking.estimatedRideDurationHours).toBe(durationHours);
+        });
+
+        test('should compute end time through the configured duration strategy', async () => {
+            registerDurationStrategy('fixed-two-hours', () => ({ durationHours: 2, distanceKm: 10 }));
+            setDefaultDurationStrategy('fixed-two-hours');
+
+            try {
+                const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+                const response = await request(app)
+                    .post('/api/bookings')
+                    .set('Authorization', authToken)
+                    .send({
+                        vehicleId: testVehicle._id.toString(),
+                        fromPincode: '110001',
+                        toPincode: '400001',
+                        startTime: startTime.toISOString()
+                    })
+                    .expect(201);
+
+                const endTime = new Date(response.body.booking.times.end);
+                expect(endTime.getTime() - startTime.getTime()).toBe(2 * 60 * 60 * 1000);
+                expect(response.body.booking.distanceKm).toBe(10);
+            } finally {
+                resetDurationStrategies();
+            }
+        });
+
+        test('should book pincodes outside the reference dataset with the legacy estimate', async () => {
+            const bookingData = {
+                vehicleId: testVehicle._id.toString(),
+                fromPincode: '100000',
+                toPincode: '400001',
+                startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+            };
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send(bookingData)
+                .expect(201);
+
+            const { durationHours } = estimateRide('100000', '400001', { strategy: 'legacy' });
+            expect(response.body.booking.estimatedRideDurationHours).toBe(durationHours);
+            expect(response.body.booking.distanceKm).toBeFalsy();
+        });
+    });
+
+    describe('GET /api/bookings/quote', () => {
+        const startTime = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+        test('should quote with the default tariff and the required capacity', async () => {
+            const response = await request(app)
+                .get('/api/bookings/quote')
+                .query({ fromPincode: '110001', toPincode: '400001', capacityRequired: 1000, startTime: startTime() })
+                .expect(200);
+
+            const { quote } = response.body;
+            const ride = estimateRide('110001', '400001');
+            expect(quote.vehicleId).toBeNull();
+            expect(quote.ride.durationHours).toBe(ride.durationHours);
+            expect(quote.items.find(item => item.code === 'base').amount).toBe(DEFAULT_TARIFF.baseFare);
+            expect(quote.items.find(item => item.code === 'capacity').quantity).toBe(1000);
+            expect(quote.items.find(item => item.code === 'distance').quantity).toBe(ride.distanceKm);
+            expect(quote.total).toBeGreaterThanOrEqual(quote.subtotal);
+        });
+
+        test('should use the vehicle tariff and capacity when a vehicle is given', async () => {
+            await Tariff.create({ vehicleId: testVehicle._id, baseFare: 900 });
+
+            const response = await request(app)
+                .get('/api/bookings/quote')
+                .query({ fromPincode: '110001', toPincode: '110025', vehicleId: testVehicle._id.toString(), startTime: startTime() })
+                .expect(200);
+
+            expect(response.body.quote.vehicleId).toBe(testVehicle._id.toString());
+            expect(response.body.quote.items.find(item => item.code === 'base').amount).toBe(900);
+            expect(response.body.quote.items.find(item => item.code === 'capacity').quantity).toBe(testVehicle.capacityKg);
+        });
+
+        test('should validate inputs like the availability search', async () => {
+            const missingStart = await request(app)
+                .get('/api/bookings/quote')
+                .query({ fromPincode: '110001', toPincode: '400001' })
+                .expect(400);
+            expect(missingStart.body.message).toBe('Start time is required');
+
+            const badPincode = await request(app)
+                .get('/api/bookings/quote')
+                .query({ fromPincode: '1100', toPincode: '400001', startTime: startTime() })
+                .expect(400);
+            expect(badPincode.body.message).toBe('Pincodes must be 6 digits');
+
+            await request(app)
+                .get('/api/bookings/quote')
+                .query({ startTime: startTime(), vehicleId: '507f1f77bcf86cd799439011' })
+                .expect(404);
         });
     });
 
@@ -282,7 +779,7 @@ describe('Booking Controller', () => {
             // Create multiple bookings for the test user
             await global.testUtils.createTestBooking({
                 userId: testUser._id,
-                status: 'active'
+                status: 'confirmed'
             });
             await global.testUtils.createTestBooking({
                 userId: testUser._id,
@@ -317,7 +814,7 @@ describe('Booking Controller', () => {
             const response = await request(app)
                 .get('/api/bookings/my-bookings')
                 .set('Authorization', authToken)
-                .query({ status: 'active' })
+                .query({ status: 'confirmed' })
                 .expect(200);
 
             expect(response.body.success).toBe(true);
@@ -325,7 +822,7 @@ describe('Booking Controller', () => {
 
             // All returned bookings should be active
             response.body.bookings.forEach(booking => {
-                expect(booking.status).toBe('active');
+                expect(booking.status).toBe('confirmed');
             });
         });
 
@@ -352,7 +849,7 @@ describe('Booking Controller', () => {
             // Create a test booking
             testBooking = await global.testUtils.createTestBooking({
                 userId: testUser._id,
-                status: 'active',
+                status: 'confirmed',
                 times: {
                     start: new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
                     end: new Date(Date.now() + 26 * 60 * 60 * 1000)    // Tomorrow + 2 hours
@@ -374,6 +871,28 @@ describe('Booking Controller', () => {
             expect(cancelledBooking.status).toBe('cancelled');
         });
 
+        test('should not cancel a booking whose status changed since it was loaded', async () => {
+            const loaded = await Booking.findById(testBooking._id);
+
+            // The owner dispatches the booking between loading it and cancelling it
+            await Booking.updateOne({ _id: testBooking._id }, { status: 'dispatched' });
+            jest.spyOn(Booking, 'findById').mockResolvedValueOnce(loaded);
+
+            try {
+                const response = await request(app)
+                    .delete(`/api/bookings/${testBooking._id}`)
+                    .set('Authorization', authToken)
+                    .expect(409);
+
+                expect(response.body.message).toBe('Booking status changed in the meantime, please reload and try again');
+                const stored = await Booking.findById(testBooking._id);
+                expect(stored.status).toBe('dispatched');
+                expect(stored.cancellation.cancelledAt).toBeUndefined();
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
         test('should reject cancellation of non-existent booking', async () => {
             const nonExistentId = '507f1f77bcf86cd799439011';
 
@@ -390,7 +909,7 @@ describe('Booking Controller', () => {
             // Create a booking with future times first
             const startedBooking = await global.testUtils.createTestBooking({
                 userId: testUser._id,
-                status: 'active'
+                status: 'confirmed'
             });
 
             // Manually update the times to make it appear as if it has already started
@@ -439,12 +958,243 @@ describe('Booking Controller', () => {
             expect(response.body.success).toBe(false);
             expect(response.body.message).toBe('Booking cannot be cancelled. Current status: completed');
         });
+
+        test('should record the late cancellation fee from the vehicle policy', async () => {
+            await Vehicle.findByIdAndUpdate(testBooking.vehicleId, {
+                cancellationPolicy: { freeCancellationHours: 48, lateCancellationFeePercent: 20 }
+            });
+            testBooking.price = { currency: 'INR', subtotal: 5000, total: 5000 };
+            await testBooking.save();
+
+            const response = await request(app)
+                .delete(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(response.body.message).toBe('Booking cancelled with a fee of INR 1000');
+            expect(response.body.cancellation.feePercent).toBe(20);
+            expect(response.body.cancellation.fee).toBe(1000);
+
+            const cancelledBooking = await Booking.findById(testBooking._id);
+            expect(cancelledBooking.status).toBe('cancelled');
+            expect(cancelledBooking.cancellation.fee).toBe(1000);
+            expect(cancelledBooking.cancellation.cancelledBy.toString()).toBe(testUser._id.toString());
+        });
+
+        test('should reject cancellation inside the no-cancellation window', async () => {
+            await Vehicle.findByIdAndUpdate(testBooking.vehicleId, {
+                cancellationPolicy: { noCancellationHours: 48 }
+            });
+
+            const response = await request(app)
+                .delete(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .expect(400);
+
+            expect(response.body.message).toBe('Bookings cannot be cancelled within 48 hours of the start time');
+
+            const unchangedBooking = await Booking.findById(testBooking._id);
+            expect(unchangedBooking.status).toBe('confirmed');
+        });
+    });
+
+    describe('GET /api/bookings/:id/cancellation', () => {
+        test('should preview the fee without cancelling', async () => {
+            const booking = await global.testUtils.createTestBooking({
+                userId: testUser._id,
+                price: { currency: 'INR', subtotal: 2000, total: 2000 }
+            });
+            await Vehicle.findByIdAndUpdate(booking.vehicleId, {
+                cancellationPolicy: { freeCancellationHours: 72, lateCancellationFeePercent: 50, noCancellationHours: 2 }
+            });
+
+            const response = await request(app)
+                .get(`/api/bookings/${booking._id}/cancellation`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(response.body.cancellation.allowed).toBe(true);
+            expect(response.body.cancellation.policy).toEqual({
+                freeCancellationHours: 72,
+                lateCancellationFeePercent: 50,
+                noCancellationHours: 2
+            });
+            expect(response.body.cancellation.fee).toBe(1000);
+
+            const unchangedBooking = await Booking.findById(booking._id);
+            expect(unchangedBooking.status).toBe('confirmed');
+        });
+
+        test('should reject previews for other users\' bookings', async () => {
+            const booking = await global.testUtils.createTestBooking();
+
+            const response = await request(app)
+                .get(`/api/bookings/${booking._id}/cancellation`)
+                .set('Authorization', authToken)
+                .expect(403);
+
+            expect(response.body.message).toBe('Not authorized to cancel this booking');
+        });
+    });
+
+    describe('PUT /api/bookings/:id', () => {
+        let testBooking;
+        const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        beforeEach(async () => {
+            const start = tomorrow();
+            testBooking = await Booking.create({
+                vehicleId: testVehicle._id,
+                userId: testUser._id,
+                pincodes: { start: '110001', end: '110025' },
+                times: {
+                    start,
+                    end: new Date(start.getTime() + 60 * 60 * 1000)
+                },
+                status: 'confirmed'
+            });
+        });
+
+        test('should move the booking and recompute the end time', async () => {
+            const newStart = new Date(testBooking.times.start.getTime() + 48 * 60 * 60 * 1000);
+
+            const response = await request(app)
+                .put(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .send({ startTime: newStart.toISOString(), toPincode: '400001' })
+                .expect(200);
+
+            const { durationHours } = estimateRide('110001', '400001');
+            expect(response.body.success).toBe(true);
+            expect(response.body.message).toBe('Booking rescheduled successfully');
+            expect(response.body.booking.pincodes).toEqual({ start: '110001', end: '400001' });
+            expect(new Date(response.body.booking.times.start).getTime()).toBe(newStart.getTime());
+            expect(new Date(response.body.booking.times.end).getTime())
+                .toBe(newStart.getTime() + durationHours * 60 * 60 * 1000);
+            expect(response.body.booking.previous.pincodes.end).toBe('110025');
+
+            const updated = await Booking.findById(testBooking._id);
+            expect(updated.times.start.getTime()).toBe(newStart.getTime());
+        });
+
+        test('should not move a booking onto a vehicle deactivated while it was being rescheduled', async () => {
+            const newStart = new Date(testBooking.times.start.getTime() + 48 * 60 * 60 * 1000);
+            const loaded = await Vehicle.findById(testVehicle._id);
+
+            // The owner deactivates the vehicle after the reschedule has loaded it
+            await Vehicle.updateOne({ _id: testVehicle._id }, { isActive: false });
+            jest.spyOn(Vehicle, 'findById').mockResolvedValueOnce(loaded);
+
+            try {
+                const response = await request(app)
+                    .put(`/api/bookings/${testBooking._id}`)
+                    .set('Authorization', authToken)
+                    .send({ startTime: newStart.toISOString() })
+                    .expect(400);
+
+                expect(response.body.message).toBe('Vehicle is not available for booking');
+                const unchanged = await Booking.findById(testBooking._id);
+                expect(unchanged.times.start.getTime()).toBe(testBooking.times.start.getTime());
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        test('should not conflict with its own current slot', async () => {
+            const newStart = new Date(testBooking.times.start.getTime() + 30 * 60 * 1000);
+
+            await request(app)
+                .put(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .send({ startTime: newStart.toISOString() })
+                .expect(200);
+        });
+
+        test('should reject moving onto another booking and keep the original slot', async () => {
+            const otherStart = new Date(testBooking.times.start.getTime() + 72 * 60 * 60 * 1000);
+            await Booking.create({
+                vehicleId: testVehicle._id,
+                userId: testUser._id,
+                pincodes: { start: '110001', end: '110025' },
+                times: { start: otherStart, end: new Date(otherStart.getTime() + 2 * 60 * 60 * 1000) },
+                status: 'confirmed'
+            });
+
+            const response = await request(app)
+                .put(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .send({ startTime: new Date(otherStart.getTime() + 30 * 60 * 1000).toISOString() })
+                .expect(409);
+
+            expect(response.body.success).toBe(false);
+            expect(response.body.conflictDetails.conflictingBookings.length).toBe(1);
+
+            const unchanged = await Booking.findById(testBooking._id);
+            expect(unchanged.times.start.getTime()).toBe(testBooking.times.start.getTime());
+        });
+
+        test('should reject moving past the expiry of the vehicle\'s documents', async () => {
+            const expiresAt = new Date(testBooking.times.end.getTime() + 24 * 60 * 60 * 1000);
+            await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'permit',
+                documentNumber: 'PRM-1',
+                expiresAt,
+                createdBy: testUser._id
+            });
+
+            const response = await request(app)
+                .put(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .send({ startTime: new Date(testBooking.times.start.getTime() + 48 * 60 * 60 * 1000).toISOString() })
+                .expect(400);
+
+            expect(response.body.message)
+                .toBe(`Vehicle cannot be booked: Permit expires on ${expiresAt.toISOString().slice(0, 10)}`);
+            const unchanged = await Booking.findById(testBooking._id);
+            expect(unchanged.times.start.getTime()).toBe(testBooking.times.start.getTime());
+        });
+
+        test('should notify the vehicle owner', async () => {
+            await request(app)
+                .put(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .send({ startTime: new Date(testBooking.times.start.getTime() + 5 * 60 * 60 * 1000).toISOString() })
+                .expect(200);
+
+            const notification = await Notification.findOne({ userId: testVehicle.createdBy });
+            expect(notification.type).toBe('booking_rescheduled');
+            expect(notification.data.previous.pincodes.end).toBe('110025');
+        });
+
+        test('should reject requests without changes, past start times and other users', async () => {
+            await request(app)
+                .put(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .send({})
+                .expect(400);
+
+            await request(app)
+                .put(`/api/bookings/${testBooking._id}`)
+                .set('Authorization', authToken)
+                .send({ startTime: new Date(Date.now() - 60 * 60 * 1000).toISOString() })
+                .expect(400);
+
+            const otherBooking = await global.testUtils.createTestBooking();
+            const response = await request(app)
+                .put(`/api/bookings/${otherBooking._id}`)
+                .set('Authorization', authToken)
+                .send({ startTime: tomorrow().toISOString() })
+                .expect(403);
+
+            expect(response.body.message).toBe('Not authorized to reschedule this booking');
+        });
     });
 
     describe('GET /api/bookings (Admin)', () => {
         beforeEach(async () => {
             // Create multiple bookings
-            await global.testUtils.createTestBooking({ status: 'active' });
+            await global.testUtils.createTestBooking({ status: 'confirmed' });
             await global.testUtils.createTestBooking({ status: 'completed' });
             await global.testUtils.createTestBooking({ status: 'cancelled' });
         });
@@ -467,14 +1217,14 @@ describe('Booking Controller', () => {
             const response = await request(app)
                 .get('/api/bookings')
                 .set('Authorization', adminToken)
-                .query({ status: 'active' })
+                .query({ status: 'confirmed' })
                 .expect(200);
 
             expect(response.body.success).toBe(true);
 
             // All returned bookings should be active
             response.body.bookings.forEach(booking => {
-                expect(booking.status).toBe('active');
+                expect(booking.status).toBe('confirmed');
             });
         });
 
@@ -494,7 +1244,7 @@ describe('Booking Controller', () => {
     describe('GET /api/bookings/stats (Admin)', () => {
         beforeEach(async () => {
             // Create bookings with different statuses
-            await global.testUtils.createTestBooking({ status: 'active' });
+            await global.testUtils.createTestBooking({ status: 'confirmed' });
             await global.testUtils.createTestBooking({ status: 'completed' });
             await global.testUtils.createTestBooking({ status: 'cancelled' });
         });
@@ -508,11 +1258,453 @@ describe('Booking Controller', () => {
             expect(response.body.success).toBe(true);
             expect(response.body.stats).toBeDefined();
             expect(typeof response.body.stats.total).toBe('number');
-            expect(typeof response.body.stats.active).toBe('number');
+            expect(typeof response.body.stats.confirmed).toBe('number');
             expect(typeof response.body.stats.completed).toBe('number');
             expect(typeof response.body.stats.cancelled).toBe('number');
             expect(typeof response.body.stats.todayBookings).toBe('number');
             expect(typeof response.body.stats.thisWeekBookings).toBe('number');
         });
     });
+
+    describe('GET /api/bookings/timeline (Admin)', () => {
+        test('should return a row per vehicle with its bookings, downtime and owner', async () => {
+            const booking = await global.testUtils.createTestBooking({ vehicleId: testVehicle._id });
+            await global.testUtils.createTestBooking({ vehicleId: testVehicle._id, status: 'cancelled' });
+            await Downtime.create({
+                vehicleId: testVehicle._id,
+                times: {
+                    start: new Date(Date.now() + 48 * 60 * 60 * 1000),
+                    end: new Date(Date.now() + 50 * 60 * 60 * 1000)
+                },
+                reason: 'Service',
+                createdBy: testVehicle.createdBy
+            });
+
+            const response = await request(app)
+                .get('/api/bookings/timeline')
+                .set('Authorization', adminToken)
+                .query({ ownerId: testVehicle.createdBy.toString() })
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.rows.length).toBe(1);
+            const [row] = response.body.rows;
+            expect(row.vehicle.id).toBe(testVehicle._id.toString());
+            expect(row.vehicle.owner.name).toBe('Test User');
+            expect(row.bookings.length).toBe(1);
+            expect(row.bookings[0].id).toBe(booking._id.toString());
+            expect(row.bookings[0].canReschedule).toBe(true);
+            expect(row.downtime[0].reason).toBe('Service');
+            expect(response.body.owners.map(owner => owner.id)).toContain(testVehicle.createdBy.toString());
+            expect(response.body.pagination.totalItems).toBe(1);
+        });
+
+        test('should filter bookings by status', async () => {
+            await global.testUtils.createTestBooking({ vehicleId: testVehicle._id });
+            const cancelled = await global.testUtils.createTestBooking({ vehicleId: testVehicle._id, status: 'cancelled' });
+
+            const response = await request(app)
+                .get('/api/bookings/timeline')
+                .set('Authorization', adminToken)
+                .query({ ownerId: testVehicle.createdBy.toString(), status: 'cancelled' })
+                .expect(200);
+
+            expect(response.body.statuses).toEqual(['cancelled']);
+            expect(response.body.rows[0].bookings.map(item => item.id)).toEqual([cancelled._id.toString()]);
+            expect(response.body.rows[0].bookings[0].canReschedule).toBe(false);
+        });
+
+        test('should reject bad filters and non-admins', async () => {
+            const response = await request(app)
+                .get('/api/bookings/timeline')
+                .set('Authorization', adminToken)
+                .query({ status: 'lost' })
+                .expect(400);
+
+            expect(response.body.message).toMatch(/^Status must be one or more of/);
+
+            await request(app)
+                .get('/api/bookings/timeline')
+                .set('Authorization', authToken)
+                .expect(403);
+        });
+    });
+
+    describe('Booking approval workflow', () => {
+        let owner;
+        let ownerToken;
+        let approvalVehicle;
+
+        const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        const createPendingBooking = (overrides = {}) => global.testUtils.createTestBooking({
+            vehicleId: approvalVehicle._id,
+            userId: testUser._id,
+            status: 'pending',
+            approval: { expiresAt: new Date(Date.now() + 6 * 60 * 60 * 1000) },
+            ...overrides
+        });
+
+        beforeEach(async () => {
+            const jwt = require('jsonwebtoken');
+            owner = await global.testUtils.createTestUser();
+            ownerToken = `Bearer ${jwt.sign({ id: owner._id.toString(), email: owner.email, role: 'user' }, 'test-secret')}`;
+            approvalVehicle = await global.testUtils.createTestVehicle({
+                createdBy: owner._id,
+                requiresApproval: true,
+                approvalTimeoutHours: 6
+            });
+        });
+
+        test('should create a pending request that holds the slot and notifies the owner', async () => {
+            const startTime = tomorrow().toISOString();
+
+            const response = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', authToken)
+                .send({ vehicleId: approvalVehicle._id.toString(), fromPincode: '110001', toPincode: '110025', startTime })
+                .expect(201);
+
+            expect(response.body.message).toBe('Booking request sent to the vehicle owner for approval');
+            expect(response.body.booking.status).toBe('pending');
+            const expiresAt = new Date(response.body.booking.approval.expiresAt);
+            expect(Math.abs(expiresAt - Date.now() - 6 * 60 * 60 * 1000)).toBeLessThan(60 * 1000);
+
+            const notification = await Notification.findOne({ userId: owner._id });
+            expect(notification.type).toBe('booking_requested');
+
+            // A second request for the same slot is refused while the first is pending
+            await request(app)
+                .post('/api/bookings')
+                .set('Authorization', adminToken)
+                .send({ vehicleId: approvalVehicle._id.toString(), fromPincode: '110001', toPincode: '110025', startTime })
+                .expect(409);
+        });
+
+        test('should let the owner approve a request and notify the customer', async () => {
+            const booking = await createPendingBooking();
+
+            const response = await request(app)
+                .put(`/api/bookings/${booking._id}/approve`)
+                .set('Authorization', ownerToken)
+                .expect(200);
+
+            expect(response.body.booking.status).toBe('confirmed');
+            expect(response.body.booking.approval.decidedBy).toBe(owner._id.toString());
+
+            const notification = await Notification.findOne({ userId: testUser._id });
+            expect(notification.type).toBe('booking_approved');
+        });
+
+        test('should not approve a request answered since it was loaded', async () => {
+            const booking = await createPendingBooking();
+            const loaded = await Booking.findById(booking._id)
+                .populate('vehicleId', 'createdBy name')
+                .populate('userId', 'name email');
+
+            // Another answer lands between loading the request and approving it
+            await Booking.updateOne({ _id: booking._id }, { status: 'rejected' });
+            const staleQuery = {
+                populate: () => staleQuery,
+                then: (resolve, reject) => Promise.resolve(loaded).then(resolve, reject)
+            };
+            jest.spyOn(Booking, 'findById').mockReturnValueOnce(staleQuery);
+
+            try {
+                const response = await request(app)
+                    .put(`/api/bookings/${booking._id}/approve`)
+                    .set('Authorization', ownerToken)
+                    .expect(409);
+
+                expect(response.body.message).toBe('Booking request was answered or expired in the meantime');
+                expect((await Booking.findById(booking._id)).status).toBe('rejected');
+                expect(await Notification.countDocuments({ type: 'booking_approved' })).toBe(0);
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        test('should require a reason to reject and release the slot', async () => {
+            const booking = await createPendingBooking();
+
+            const missingReason = await request(app)
+                .put(`/api/bookings/${booking._id}/reject`)
+                .set('Authorization', ownerToken)
+                .send({})
+                .expect(400);
+            expect(missingReason.body.message).toBe('A reason is required to reject a booking');
+
+            await request(app)
+                .put(`/api/bookings/${booking._id}/reject`)
+                .set('Authorization', ownerToken)
+                .send({ reason: 'Vehicle reserved that day' })
+                .expect(200);
+
+            const rejected = await Booking.findById(booking._id);
+            expect(rejected.status).toBe('rejected');
+            expect(rejected.approval.reason).toBe('Vehicle reserved that day');
+
+            const notification = await Notification.findOne({ userId: testUser._id });
+            expect(notification.type).toBe('booking_rejected');
+            expect(notification.data.reason).toBe('Vehicle reserved that day');
+
+            const holding = await Booking.findActiveBookingsForVehicle(
+                approvalVehicle._id, booking.times.start, booking.times.end
+            );
+            expect(holding).toHaveLength(0);
+        });
+
+        test('should only let the vehicle owner answer requests', async () => {
+            const booking = await createPendingBooking();
+
+            const response = await request(app)
+                .put(`/api/bookings/${booking._id}/approve`)
+                .set('Authorization', authToken)
+                .expect(403);
+
+            expect(response.body.message).toBe('Only the vehicle owner can answer booking requests');
+        });
+
+        test('should list unexpired requests for the owner\'s vehicles', async () => {
+            const booking = await createPendingBooking();
+            await createPendingBooking({
+                times: {
+                    start: new Date(Date.now() + 48 * 60 * 60 * 1000),
+                    end: new Date(Date.now() + 50 * 60 * 60 * 1000)
+                },
+                approval: { expiresAt: new Date(Date.now() - 60 * 1000) }
+            });
+
+            const response = await request(app)
+                .get('/api/bookings/requests')
+                .set('Authorization', ownerToken)
+                .expect(200);
+
+            expect(response.body.bookings).toHaveLength(1);
+            expect(response.body.bookings[0]._id).toBe(booking._id.toString());
+        });
+
+        test('should expire unanswered requests and notify both parties', async () => {
+            const booking = await createPendingBooking({
+                approval: { expiresAt: new Date(Date.now() - 60 * 1000) }
+            });
+
+            // Expired requests stop holding the slot before the sweep runs
+            const holding = await Booking.findActiveBookingsForVehicle(
+                approvalVehicle._id, booking.times.start, booking.times.end
+            );
+            expect(holding).toHaveLength(0);
+
+            const expiredCount = await expirePendingBookings();
+            expect(expiredCount).toBe(1);
+
+            const expired = await Booking.findById(booking._id);
+            expect(expired.status).toBe('rejected');
+            expect(expired.approval.expired).toBe(true);
+
+            const notifications = await Notification.find({ type: 'booking_expired' });
+            expect(notifications.map(n => n.userId.toString()).sort()).toEqual(
+                [owner._id.toString(), testUser._id.toString()].sort()
+            );
+
+            await request(app)
+                .put(`/api/bookings/${booking._id}/approve`)
+                .set('Authorization', ownerToken)
+                .expect(400);
+        });
+    });
+
+    describe('Booking lifecycle', () => {
+        let owner;
+        let ownerToken;
+        let ownerVehicle;
+
+        const createOwnerBooking = (overrides = {}) => global.testUtils.createTestBooking({
+            vehicleId: ownerVehicle._id,
+            userId: testUser._id,
+            ...overrides
+        });
+
+        // Bookings cannot be created in the past, so move the start time back afterwards
+        const markStarted = (booking) => Booking.updateOne(
+            { _id: booking._id },
+            {
+                'times.start': new Date(Date.now() - 60 * 60 * 1000),
+                'times.end': new Date(Date.now() + 60 * 60 * 1000)
+            }
+        );
+
+        beforeEach(async () => {
+            const jwt = require('jsonwebtoken');
+            owner = await global.testUtils.createTestUser();
+            ownerToken = `Bearer ${jwt.sign({ id: owner._id.toString(), email: owner.email, role: 'user' }, 'test-secret')}`;
+            ownerVehicle = await global.testUtils.createTestVehicle({ createdBy: owner._id });
+        });
+
+        test('should move a booking through dispatch, transit and delivery and notify the customer', async () => {
+            const booking = await createOwnerBooking();
+
+            for (const [action, status] of [['dispatch', 'dispatched'], ['in-transit', 'in_transit'], ['deliver', 'delivered']]) {
+                const response = await request(app)
+                    .put(`/api/bookings/${booking._id}/${action}`)
+                    .set('Authorization', ownerToken)
+                    .expect(200);
+                expect(response.body.booking.status).toBe(status);
+            }
+
+            const delivered = await Booking.findById(booking._id);
+            expect(delivered.transitions.map(t => `${t.from}->${t.to}`)).toEqual([
+                'confirmed->dispatched',
+                'dispatched->in_transit',
+                'in_transit->delivered'
+            ]);
+            expect(delivered.transitions.every(t => t.by.toString() === owner._id.toString())).toBe(true);
+
+            const notifications = await Notification.find({ userId: testUser._id });
+            expect(notifications.map(n => n.type).sort()).toEqual(
+                ['booking_delivered', 'booking_dispatched', 'booking_in_transit']
+            );
+            expect(await Notification.countDocuments({ userId: owner._id })).toBe(0);
+        });
+
+        test('should not take a step when the status changed since the booking was loaded', async () => {
+            const booking = await createOwnerBooking();
+            const loaded = await Booking.findById(booking._id)
+                .populate('vehicleId', 'createdBy name')
+                .populate('userId', 'name email');
+
+            // The customer cancels between loading the booking and dispatching it
+            await Booking.updateOne({ _id: booking._id }, { status: 'cancelled' });
+            const staleQuery = {
+                populate: () => staleQuery,
+                then: (resolve, reject) => Promise.resolve(loaded).then(resolve, reject)
+            };
+            jest.spyOn(Booking, 'findById').mockReturnValueOnce(staleQuery);
+
+            try {
+                const response = await request(app)
+                    .put(`/api/bookings/${booking._id}/dispatch`)
+                    .set('Authorization', ownerToken)
+                    .expect(409);
+
+                expect(response.body.message).toBe('Booking status changed in the meantime, please reload and try again');
+                const stored = await Booking.findById(booking._id);
+                expect(stored.status).toBe('cancelled');
+                expect(stored.transitions).toHaveLength(0);
+                expect(await Notification.countDocuments({ type: 'booking_dispatched' })).toBe(0);
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        test('should not dispatch a vehicle whose documents expire before the ride ends', async () => {
+            const booking = await createOwnerBooking();
+            const expiresAt = new Date(booking.times.end.getTime() - 60 * 60 * 1000);
+            await ComplianceDocument.create({
+                vehicleId: ownerVehicle._id,
+                type: 'fitness',
+                documentNumber: 'FC-1',
+                expiresAt,
+                createdBy: owner._id
+            });
+
+            const response = await request(app)
+                .put(`/api/bookings/${booking._id}/dispatch`)
+                .set('Authorization', ownerToken)
+                .expect(400);
+
+            expect(response.body.message)
+                .toBe(`Vehicle cannot be dispatched: Fitness certificate expires on ${expiresAt.toISOString().slice(0, 10)}`);
+            expect((await Booking.findById(booking._id)).status).toBe('confirmed');
+        });
+
+        test('should refuse transitions the current status does not allow', async () => {
+            const booking = await createOwnerBooking();
+
+            const response = await request(app)
+                .put(`/api/bookings/${booking._id}/deliver`)
+                .set('Authorization', ownerToken)
+                .expect(400);
+
+            expect(response.body.message).toBe('Cannot change booking status from active to delivered');
+            expect((await Booking.findById(booking._id)).status).toBe('confirmed');
+        });
+
+        test('should let only the owner or an admin run the delivery but the customer complete it', async () => {
+            const booking = await createOwnerBooking();
+
+            const forbidden = await request(app)
+                .put(`/api/bookings/${booking._id}/dispatch`)
+                .set('Authorization', authToken)
+                .expect(403);
+            expect(forbidden.body.message).toBe('You are not authorized to update this booking');
+
+            const delivered = await createOwnerBooking({
+                status: 'delivered',
+                times: {
+                    start: new Date(Date.now() + 48 * 60 * 60 * 1000),
+                    end: new Date(Date.now() + 50 * 60 * 60 * 1000)
+                }
+            });
+            await markStarted(delivered);
+
+            const response = await request(app)
+                .put(`/api/bookings/${delivered._id}/complete`)
+                .set('Authorization', authToken)
+                .expect(200);
+            expect(response.body.booking.status).toBe('completed');
+
+            const notification = await Notification.findOne({ userId: owner._id });
+            expect(notification.type).toBe('booking_completed');
+        });
+
+        test('should only mark no-shows after the start time', async () => {
+            const booking = await createOwnerBooking();
+
+            const early = await request(app)
+                .put(`/api/bookings/${booking._id}/no-show`)
+                .set('Authorization', ownerToken)
+                .expect(400);
+            expect(early.body.message).toBe('Cannot mark booking as no_show before it has started');
+
+            await markStarted(booking);
+
+            const response = await request(app)
+                .put(`/api/bookings/${booking._id}/no-show`)
+                .set('Authorization', ownerToken)
+                .expect(200);
+            expect(response.body.booking.status).toBe('no_show');
+
+            // The slot is released once the booking is closed
+            const holding = await Booking.findActiveBookingsForVehicle(
+                ownerVehicle._id, new Date(Date.now() - 60 * 60 * 1000), new Date(Date.now() + 60 * 60 * 1000)
+            );
+            expect(holding).toHaveLength(0);
+        });
+
+        test('should require a note to mark a delivery as failed', async () => {
+            const booking = await createOwnerBooking({ status: 'dispatched' });
+
+            const missingNote = await request(app)
+                .put(`/api/bookings/${booking._id}/fail`)
+                .set('Authorization', adminToken)
+                .send({})
+                .expect(400);
+            expect(missingNote.body.message).toBe('A note is required to mark a booking as failed');
+
+            await request(app)
+                .put(`/api/bookings/${booking._id}/fail`)
+                .set('Authorization', adminToken)
+                .send({ note: 'Vehicle broke down' })
+                .expect(200);
+
+            const failed = await Booking.findById(booking._id);
+            expect(failed.status).toBe('failed');
+            expect(failed.transitions[0].note).toBe('Vehicle broke down');
+
+            const notification = await Notification.findOne({ userId: owner._id });
+            expect(notification.type).toBe('booking_failed');
+            expect(notification.data.reason).toBe('Vehicle broke down');
+        });
+    });
 });
@@ -0,0 +1,268 @@
+/**
+ * Booking Group Controller Unit Tests
+ * @fileoverview Tests for split shipments: planning, all-or-nothing booking and cancelling together
+ */
+
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const { mockAuth, mockRequireAdmin } = require('./mockAuth');
+
+// Create a test app instance
+const app = express();
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Mock the authentication middleware
+jest.mock('../src/middlewares/auth', () => ({
+    authenticate: mockAuth,
+    requireAdmin: mockRequireAdmin
+}));
+
+// Import routes
+const bookingRoutes = require('../src/routes/bookingRoutes');
+const bookingGroupRoutes = require('../src/routes/bookingGroupRoutes');
+
+// Use routes
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/booking-groups', bookingGroupRoutes);
+
+const { Booking } = require('../src/models/Booking');
+const { BookingGroup } = require('../src/models/BookingGroup');
+const Downtime = require('../src/models/Downtime');
+const ComplianceDocument = require('../src/models/ComplianceDocument');
+const { WaitlistEntry } = require('../src/models/WaitlistEntry');
+
+describe('Booking Group Controller', () => {
+    let user;
+    let authToken;
+    let largeTruck;
+    let mediumTruck;
+    let smallTruck;
+    let startTime;
+
+    const shipmentBody = (overrides = {}) => ({
+        capacityRequired: 7000,
+        fromPincode: '110001',
+        toPincode: '110025',
+        startTime: startTime.toISOString(),
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        user = await global.testUtils.createRealTestUser();
+        authToken = global.testUtils.getRealAuthToken();
+        largeTruck = await global.testUtils.createTestVehicle({ capacityKg: 5000 });
+        mediumTruck = await global.testUtils.createTestVehicle({ capacityKg: 4000 });
+        smallTruck = await global.testUtils.createTestVehicle({ capacityKg: 2000 });
+
+        // Two days from now at a whole hour, clear of the other tests' bookings
+        startTime = new Date(Math.ceil((Date.now() + 48 * 60 * 60 * 1000) / (60 * 60 * 1000)) * 60 * 60 * 1000);
+    });
+
+    describe('GET /api/booking-groups/plan', () => {
+        test('should propose the fewest vehicles with the least spare capacity', async () => {
+            const response = await request(app)
+                .get('/api/booking-groups/plan')
+                .query(shipmentBody())
+                .set('Authorization', authToken)
+                .expect(200);
+
+            const ids = response.body.plan.vehicles.map(vehicle => vehicle.id);
+            expect(ids).toEqual([largeTruck._id.toString(), smallTruck._id.toString()]);
+            expect(response.body.plan.totalCapacityKg).toBe(7000);
+            expect(response.body.plan.vehicles[0].price.total).toBeGreaterThan(0);
+            expect(await Booking.countDocuments({ groupId: { $exists: true } })).toBe(0);
+        });
+
+        test('should skip vehicles that are already booked', async () => {
+            await global.testUtils.createTestBooking({
+                vehicleId: smallTruck._id,
+                times: { start: startTime, end: new Date(startTime.getTime() + 60 * 60 * 1000) }
+            });
+
+            const response = await request(app)
+                .get('/api/booking-groups/plan')
+                .query(shipmentBody())
+                .set('Authorization', authToken)
+                .expect(200);
+
+            const ids = response.body.plan.vehicles.map(vehicle => vehicle.id);
+            expect(ids).toEqual([largeTruck._id.toString(), mediumTruck._id.toString()]);
+        });
+
+        test('should not count the customer\'s own waitlist offer against them', async () => {
+            await WaitlistEntry.create({
+                userId: user._id,
+                vehicleId: smallTruck._id,
+                pincodes: { start: '110001', end: '110025' },
+                times: { start: startTime, end: new Date(startTime.getTime() + 60 * 60 * 1000) },
+                status: 'offered',
+                offer: { vehicleId: smallTruck._id, offeredAt: new Date(), expiresAt: new Date(Date.now() + 30 * 60 * 1000) }
+            });
+
+            const response = await request(app)
+                .get('/api/booking-groups/plan')
+                .query(shipmentBody())
+                .set('Authorization', authToken)
+                .expect(200);
+
+            const ids = response.body.plan.vehicles.map(vehicle => vehicle.id);
+            expect(ids).toEqual([largeTruck._id.toString(), smallTruck._id.toString()]);
+        });
+
+        test('should skip vehicles whose documents expire before the ride ends', async () => {
+            await ComplianceDocument.create({
+                vehicleId: largeTruck._id,
+                type: 'insurance',
+                documentNumber: 'POL-1',
+                expiresAt: new Date(startTime.getTime() + 30 * 60 * 1000),
+                createdBy: largeTruck.createdBy
+            });
+
+            const response = await request(app)
+                .get('/api/booking-groups/plan')
+                .query(shipmentBody({ capacityRequired: 5000 }))
+                .set('Authorization', authToken)
+                .expect(200);
+
+            const ids = response.body.plan.vehicles.map(vehicle => vehicle.id);
+            expect(ids).toEqual([mediumTruck._id.toString(), smallTruck._id.toString()]);
+        });
+
+        test('should report when no combination carries the load', async () => {
+            const response = await request(app)
+                .get('/api/booking-groups/plan')
+                .query(shipmentBody({ capacityRequired: 50000 }))
+                .set('Authorization', authToken)
+                .expect(409);
+
+            expect(response.body.message).toBe('No combination of available vehicles can carry 50000 kg');
+        });
+
+        test('should load every candidate\'s schedule in one query per kind', async () => {
+            for (let i = 0; i < 5; i++) {
+                await global.testUtils.createTestVehicle({ capacityKg: 1000 });
+            }
+            const aggregateSpy = jest.spyOn(Booking, 'aggregate');
+            const bookingFindSpy = jest.spyOn(Booking, 'find');
+            const downtimeSpy = jest.spyOn(Downtime, 'find');
+            const offerSpy = jest.spyOn(WaitlistEntry, 'find');
+            const documentSpy = jest.spyOn(ComplianceDocument, 'find');
+
+            try {
+                await request(app)
+                    .get('/api/booking-groups/plan')
+                    .query(shipmentBody())
+                    .set('Authorization', authToken)
+                    .expect(200);
+
+                expect(aggregateSpy).toHaveBeenCalledTimes(1);
+                expect(bookingFindSpy).not.toHaveBeenCalled();
+                expect(downtimeSpy).toHaveBeenCalledTimes(1);
+                expect(offerSpy).toHaveBeenCalledTimes(1);
+                expect(documentSpy).toHaveBeenCalledTimes(1);
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+    });
+
+    describe('POST /api/booking-groups', () => {
+        test('should book every vehicle under one group', async () => {
+            const response = await request(app)
+                .post('/api/booking-groups')
+                .set('Authorization', authToken)
+                .send(shipmentBody())
+                .expect(201);
+
+            expect(response.body.message).toBe('Booked 2 vehicles for 7000 kg');
+            expect(response.body.bookings).toHaveLength(2);
+
+            const bookings = await Booking.find({ groupId: response.body.group.id });
+            expect(bookings).toHaveLength(2);
+            expect(bookings.every(booking => booking.times.start.getTime() === startTime.getTime())).toBe(true);
+        });
+
+        test('should book nothing when one chosen vehicle is taken', async () => {
+            await global.testUtils.createTestBooking({
+                vehicleId: smallTruck._id,
+                times: { start: startTime, end: new Date(startTime.getTime() + 60 * 60 * 1000) }
+            });
+
+            const response = await request(app)
+                .post('/api/booking-groups')
+                .set('Authorization', authToken)
+                .send(shipmentBody({ vehicleIds: [largeTruck._id.toString(), smallTruck._id.toString()] }))
+                .expect(409);
+
+            expect(response.body.vehicles.map(vehicle => vehicle.available)).toContain(false);
+            expect(await BookingGroup.countDocuments()).toBe(0);
+            expect(await Booking.countDocuments({ vehicleId: largeTruck._id })).toBe(0);
+        });
+
+        test('should reject chosen vehicles that cannot carry the load together', async () => {
+            const response = await request(app)
+                .post('/api/booking-groups')
+                .set('Authorization', authToken)
+                .send(shipmentBody({ vehicleIds: [mediumTruck._id.toString(), smallTruck._id.toString()] }))
+                .expect(400);
+
+            expect(response.body.message).toBe('The chosen vehicles cannot carry 7000 kg together');
+        });
+    });
+
+    describe('Cancelling a group', () => {
+        let group;
+        let bookings;
+
+        beforeEach(async () => {
+            const response = await request(app)
+                .post('/api/booking-groups')
+                .set('Authorization', authToken)
+                .send(shipmentBody())
+                .expect(201);
+
+            group = response.body.group;
+            bookings = response.body.bookings;
+        });
+
+        test('should cancel every booking of the group together', async () => {
+            const response = await request(app)
+                .delete(`/api/booking-groups/${group.id}`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(response.body.cancelledCount).toBe(2);
+            expect(await Booking.countDocuments({ groupId: group.id, status: 'cancelled' })).toBe(2);
+            expect((await BookingGroup.findById(group.id)).status).toBe('cancelled');
+        });
+
+        test('should not cancel or reschedule a single booking of the group', async () => {
+            const cancelResponse = await request(app)
+                .delete(`/api/bookings/${bookings[0].id}`)
+                .set('Authorization', authToken)
+                .expect(400);
+
+            expect(cancelResponse.body.message).toBe('This booking is part of a split shipment; cancel the whole group instead');
+
+            await request(app)
+                .put(`/api/bookings/${bookings[0].id}`)
+                .set('Authorization', authToken)
+                .send({ toPincode: '110030' })
+                .expect(400);
+        });
+
+        test('should only let the group owner cancel it', async () => {
+            const otherUser = await global.testUtils.createTestUser();
+            const jwt = require('jsonwebtoken');
+            const otherToken = `Bearer ${jwt.sign({ id: otherUser._id.toString(), email: otherUser.email, role: 'user' }, 'test-secret')}`;
+
+            await request(app)
+                .delete(`/api/booking-groups/${group.id}`)
+                .set('Authorization', otherToken)
+                .expect(403);
+        });
+    });
+});
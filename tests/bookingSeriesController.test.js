@@ -0,0 +1,360 @@
+/**
+ * Booking Series Controller Unit Tests
+ * @fileoverview Tests for recurring booking series: previews, creation, editing and cancellation
+ */
+
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const { mockAuth, mockRequireAdmin } = require('./mockAuth');
+
+// Create a test app instance
+const app = express();
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Mock the authentication middleware
+jest.mock('../src/middlewares/auth', () => ({
+    authenticate: mockAuth,
+    requireAdmin: mockRequireAdmin
+}));
+
+// Import routes
+const bookingRoutes = require('../src/routes/bookingRoutes');
+const bookingSeriesRoutes = require('../src/routes/bookingSeriesRoutes');
+
+// Use routes
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/booking-series', bookingSeriesRoutes);
+
+const { Booking } = require('../src/models/Booking');
+const { BookingSeries } = require('../src/models/BookingSeries');
+const { Notification } = require('../src/models/Notification');
+const ComplianceDocument = require('../src/models/ComplianceDocument');
+const { WaitlistEntry } = require('../src/models/WaitlistEntry');
+const Vehicle = require('../src/models/Vehicle');
+
+describe('Booking Series Controller', () => {
+    let authToken;
+    let testUser;
+    let testVehicle;
+    let firstStart;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const seriesBody = (overrides = {}) => ({
+        vehicleId: testVehicle._id.toString(),
+        fromPincode: '110001',
+        toPincode: '110025',
+        startTime: firstStart.toISOString(),
+        recurrence: { frequency: 'daily', count: 3 },
+        ...overrides
+    });
+
+    // Block the vehicle around the given occurrence of a daily series
+    const bookOccurrenceSlot = (index) => global.testUtils.createTestBooking({
+        vehicleId: testVehicle._id,
+        times: {
+            start: new Date(firstStart.getTime() + index * DAY_MS),
+            end: new Date(firstStart.getTime() + index * DAY_MS + 60 * 60 * 1000)
+        }
+    });
+
+    beforeEach(async () => {
+        testUser = await global.testUtils.createRealTestUser();
+        authToken = global.testUtils.getRealAuthToken();
+        testVehicle = await global.testUtils.createTestVehicle();
+
+        // Two days from now at a whole hour, clear of the other tests' bookings
+        firstStart = new Date(Math.ceil((Date.now() + 2 * DAY_MS) / (60 * 60 * 1000)) * 60 * 60 * 1000);
+    });
+
+    describe('POST /api/booking-series/preview', () => {
+        test('should report availability for every occurrence', async () => {
+            await bookOccurrenceSlot(1);
+
+            const response = await request(app)
+                .post('/api/booking-series/preview')
+                .set('Authorization', authToken)
+                .send(seriesBody())
+                .expect(200);
+
+            expect(response.body.availableCount).toBe(2);
+            expect(response.body.occurrences.map(o => o.available)).toEqual([true, false, true]);
+            expect(response.body.occurrences[1].reason).toBe('Vehicle is not available for this occurrence');
+            expect(response.body.occurrences[1].conflictDetails.conflictingBookings).toHaveLength(1);
+            expect(await Booking.countDocuments({ seriesId: { $exists: true } })).toBe(0);
+        });
+
+        test('should report occurrences that end after a vehicle document expires', async () => {
+            const expiresAt = new Date(firstStart.getTime() + DAY_MS + 30 * 60 * 1000);
+            await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'insurance',
+                documentNumber: 'POL-1',
+                expiresAt,
+                createdBy: testUser._id
+            });
+
+            const response = await request(app)
+                .post('/api/booking-series/preview')
+                .set('Authorization', authToken)
+                .send(seriesBody())
+                .expect(200);
+
+            expect(response.body.occurrences.map(o => o.available)).toEqual([true, false, false]);
+            expect(response.body.occurrences[1].reason)
+                .toBe(`Vehicle cannot be booked: Insurance expires on ${expiresAt.toISOString().slice(0, 10)}`);
+        });
+
+        test('should reject a recurrence without an end', async () => {
+            const response = await request(app)
+                .post('/api/booking-series/preview')
+                .set('Authorization', authToken)
+                .send(seriesBody({ recurrence: { frequency: 'weekly' } }))
+                .expect(400);
+
+            expect(response.body.message).toBe('Recurrence needs an end date (until) or a number of occurrences (count)');
+        });
+    });
+
+    describe('POST /api/booking-series', () => {
+        test('should book one booking per occurrence and notify the owner once', async () => {
+            const response = await request(app)
+                .post('/api/booking-series')
+                .set('Authorization', authToken)
+                .send(seriesBody({ recurrence: { rule: 'FREQ=DAILY;INTERVAL=2;COUNT=3' } }))
+                .expect(201);
+
+            expect(response.body.message).toBe('Booked 3 occurrences');
+            expect(response.body.series.occurrenceCount).toBe(3);
+            expect(response.body.series.recurrence.rule).toBe('FREQ=DAILY;INTERVAL=2;COUNT=3');
+
+            const bookings = await Booking.find({ seriesId: response.body.series.id }).sort({ 'times.start': 1 });
+            expect(bookings.map(b => b.occurrenceIndex)).toEqual([0, 1, 2]);
+            expect(bookings.map(b => b.times.start.getTime() - firstStart.getTime())).toEqual([0, 2 * DAY_MS, 4 * DAY_MS]);
+            expect(bookings.every(b => b.status === 'confirmed' && b.price.total > 0)).toBe(true);
+
+            const notifications = await Notification.find({ userId: testVehicle.createdBy });
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].type).toBe('booking_series_created');
+            expect(notifications[0].data.occurrences).toBe(3);
+        });
+
+        test('should refuse the whole series when an occurrence conflicts', async () => {
+            await bookOccurrenceSlot(2);
+
+            const response = await request(app)
+                .post('/api/booking-series')
+                .set('Authorization', authToken)
+                .send(seriesBody())
+                .expect(409);
+
+            expect(response.body.message).toBe('Some occurrences of the series are not available');
+            expect(response.body.occurrences[2].available).toBe(false);
+            expect(await BookingSeries.countDocuments()).toBe(0);
+            expect(await Booking.countDocuments({ seriesId: { $exists: true } })).toBe(0);
+        });
+
+        test('should book the available occurrences when asked to skip conflicts', async () => {
+            await bookOccurrenceSlot(0);
+
+            const response = await request(app)
+                .post('/api/booking-series')
+                .set('Authorization', authToken)
+                .send(seriesBody({ skipUnavailable: true }))
+                .expect(201);
+
+            expect(response.body.message).toBe('Booked 2 occurrences');
+            expect(response.body.occurrences.map(o => Boolean(o.bookingId))).toEqual([false, true, true]);
+        });
+
+        test('should remove the series and its occurrences when writing them fails', async () => {
+            // The first occurrence is written before the insert fails
+            jest.spyOn(Booking, 'insertMany').mockImplementationOnce(async (docs) => {
+                await Booking.create(docs[0]);
+                throw new Error('Write failed');
+            });
+
+            try {
+                await request(app)
+                    .post('/api/booking-series')
+                    .set('Authorization', authToken)
+                    .send(seriesBody())
+                    .expect(500);
+
+                expect(await BookingSeries.countDocuments()).toBe(0);
+                expect(await Booking.countDocuments({ seriesId: { $exists: true } })).toBe(0);
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        test('should not count the customer\'s own waitlist offer against an occurrence', async () => {
+            const start = new Date(firstStart.getTime() + DAY_MS);
+            await WaitlistEntry.create({
+                userId: testUser._id,
+                vehicleId: testVehicle._id,
+                pincodes: { start: '110001', end: '110025' },
+                times: { start, end: new Date(start.getTime() + 60 * 60 * 1000) },
+                status: 'offered',
+                offer: { vehicleId: testVehicle._id, offeredAt: new Date(), expiresAt: new Date(Date.now() + 30 * 60 * 1000) }
+            });
+
+            const response = await request(app)
+                .post('/api/booking-series')
+                .set('Authorization', authToken)
+                .send(seriesBody())
+                .expect(201);
+
+            expect(response.body.series.occurrenceCount).toBe(3);
+        });
+    });
+
+    describe('Managing a series', () => {
+        let seriesId;
+
+        beforeEach(async () => {
+            const response = await request(app)
+                .post('/api/booking-series')
+                .set('Authorization', authToken)
+                .send(seriesBody())
+                .expect(201);
+            seriesId = response.body.series.id;
+        });
+
+        test('should move every upcoming occurrence by the same amount', async () => {
+            const newStart = new Date(firstStart.getTime() + 2 * 60 * 60 * 1000);
+
+            const response = await request(app)
+                .put(`/api/booking-series/${seriesId}`)
+                .set('Authorization', authToken)
+                .send({ startTime: newStart.toISOString(), toPincode: '110020' })
+                .expect(200);
+
+            expect(response.body.message).toBe('Updated 3 occurrences');
+
+            const bookings = await Booking.find({ seriesId }).sort({ 'times.start': 1 });
+            expect(bookings.map(b => b.times.start.getTime() - newStart.getTime())).toEqual([0, DAY_MS, 2 * DAY_MS]);
+            expect(bookings.every(b => b.pincodes.end === '110020')).toBe(true);
+        });
+
+        test('should only move active occurrences', async () => {
+            const [dispatched] = await Booking.find({ seriesId }).sort({ 'times.start': 1 });
+            await Booking.updateOne({ _id: dispatched._id }, { status: 'dispatched' });
+            const newStart = new Date(firstStart.getTime() + DAY_MS + 2 * 60 * 60 * 1000);
+
+            const response = await request(app)
+                .put(`/api/booking-series/${seriesId}`)
+                .set('Authorization', authToken)
+                .send({ startTime: newStart.toISOString() })
+                .expect(200);
+
+            expect(response.body.message).toBe('Updated 2 occurrences');
+
+            const bookings = await Booking.find({ seriesId }).sort({ 'times.start': 1 });
+            expect(bookings[0].status).toBe('dispatched');
+            expect(bookings[0].times.start).toEqual(firstStart);
+            expect(bookings.slice(1).map(b => b.times.start.getTime() - newStart.getTime())).toEqual([0, DAY_MS]);
+        });
+
+        test('should leave the series unchanged when a moved occurrence would conflict', async () => {
+            const newStart = new Date(firstStart.getTime() + 3 * 60 * 60 * 1000);
+            await global.testUtils.createTestBooking({
+                vehicleId: testVehicle._id,
+                times: {
+                    start: new Date(newStart.getTime() + DAY_MS),
+                    end: new Date(newStart.getTime() + DAY_MS + 60 * 60 * 1000)
+                }
+            });
+
+            const response = await request(app)
+                .put(`/api/booking-series/${seriesId}`)
+                .set('Authorization', authToken)
+                .send({ startTime: newStart.toISOString() })
+                .expect(409);
+
+            expect(response.body.occurrences.map(o => o.available)).toEqual([true, false, true]);
+
+            const bookings = await Booking.find({ seriesId }).sort({ 'times.start': 1 });
+            expect(bookings[0].times.start).toEqual(firstStart);
+        });
+
+        test('should reject a new route outside the vehicle service area', async () => {
+            await Vehicle.updateOne({ _id: testVehicle._id }, {
+                homePincode: '110001',
+                serviceArea: { pincodePrefixes: ['110'], states: [] }
+            });
+
+            const response = await request(app)
+                .put(`/api/booking-series/${seriesId}`)
+                .set('Authorization', authToken)
+                .send({ toPincode: '400001' })
+                .expect(400);
+
+            expect(response.body.message)
+                .toBe('Pincode 400001 is outside this vehicle\'s service area (pincodes starting 110)');
+            expect((await BookingSeries.findById(seriesId)).pincodes.end).toBe('110025');
+        });
+
+        test('should not move occurrences past a vehicle document expiry', async () => {
+            await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'permit',
+                documentNumber: 'PRM-1',
+                expiresAt: new Date(firstStart.getTime() + 2 * DAY_MS + 2 * 60 * 60 * 1000),
+                createdBy: testUser._id
+            });
+
+            const response = await request(app)
+                .put(`/api/booking-series/${seriesId}`)
+                .set('Authorization', authToken)
+                .send({ startTime: new Date(firstStart.getTime() + 2 * 60 * 60 * 1000).toISOString() })
+                .expect(409);
+
+            expect(response.body.occurrences.map(o => o.available)).toEqual([true, true, false]);
+
+            const bookings = await Booking.find({ seriesId }).sort({ 'times.start': 1 });
+            expect(bookings[0].times.start).toEqual(firstStart);
+        });
+
+        test('should cancel one occurrence or the rest of the series', async () => {
+            const [first] = await Booking.find({ seriesId }).sort({ 'times.start': 1 });
+
+            await request(app)
+                .delete(`/api/bookings/${first._id}`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            const response = await request(app)
+                .delete(`/api/booking-series/${seriesId}`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(response.body.cancelledCount).toBe(2);
+            expect(response.body.kept).toEqual([]);
+            expect(await Booking.countDocuments({ seriesId, status: 'cancelled' })).toBe(3);
+            expect((await BookingSeries.findById(seriesId)).status).toBe('cancelled');
+
+            const occurrences = await request(app)
+                .get(`/api/booking-series/${seriesId}`)
+                .set('Authorization', authToken)
+                .expect(200);
+            expect(occurrences.body.occurrences).toHaveLength(3);
+        });
+
+        test('should only let the series owner manage it', async () => {
+            const jwt = require('jsonwebtoken');
+            const other = await global.testUtils.createTestUser();
+            const otherToken = `Bearer ${jwt.sign({ id: other._id.toString(), email: other.email, role: 'user' }, 'test-secret')}`;
+
+            const response = await request(app)
+                .delete(`/api/booking-series/${seriesId}`)
+                .set('Authorization', otherToken)
+                .expect(403);
+
+            expect(response.body.message).toBe('Not authorized to manage this booking series');
+        });
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Cancellation Policy Unit Tests
+ * @fileoverview Tests for free windows, late fees and no-cancellation windows
+ */
+
+const {
+    DEFAULT_CANCELLATION_POLICY,
+    resolveCancellationPolicy,
+    evaluateCancellation
+} = require('../src/utils/cancellationPolicy');
+
+describe('Cancellation Policy', () => {
+    const now = new Date('2024-01-15T00:00:00Z');
+    const policy = { freeCancellationHours: 24, lateCancellationFeePercent: 20, noCancellationHours: 2 };
+
+    const bookingStartingIn = (hours, total = 5000) => ({
+        times: { start: new Date(now.getTime() + hours * 60 * 60 * 1000) },
+        price: { currency: 'INR', total }
+    });
+
+    test('should fill missing fields with the default policy', () => {
+        expect(resolveCancellationPolicy(undefined)).toEqual(DEFAULT_CANCELLATION_POLICY);
+        expect(resolveCancellationPolicy({ lateCancellationFeePercent: 10 })).toEqual({
+            freeCancellationHours: 0,
+            lateCancellationFeePercent: 10,
+            noCancellationHours: 0
+        });
+    });
+
+    test('should cancel for free before the free window closes', () => {
+        const result = evaluateCancellation(policy, bookingStartingIn(30), now);
+
+        expect(result.allowed).toBe(true);
+        expect(result.fee).toBe(0);
+        expect(result.hoursBeforeStart).toBe(30);
+        expect(result.freeUntil).toEqual(new Date('2024-01-15T06:00:00Z'));
+    });
+
+    test('should charge the late fee as a percentage of the booking total', () => {
+        const result = evaluateCancellation(policy, bookingStartingIn(10, 1234.5), now);
+
+        expect(result.allowed).toBe(true);
+        expect(result.feePercent).toBe(20);
+        expect(result.fee).toBe(246.9);
+        expect(result.currency).toBe('INR');
+    });
+
+    test('should charge nothing for bookings without a price snapshot', () => {
+        const result = evaluateCancellation(policy, { times: { start: bookingStartingIn(10).times.start } }, now);
+
+        expect(result.allowed).toBe(true);
+        expect(result.feePercent).toBe(20);
+        expect(result.fee).toBe(0);
+    });
+
+    test('should refuse cancellation inside the no-cancellation window', () => {
+        const result = evaluateCancellation(policy, bookingStartingIn(1), now);
+
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toBe('Bookings cannot be cancelled within 2 hours of the start time');
+    });
+
+    test('should refuse cancellation once the booking has started', () => {
+        const result = evaluateCancellation(undefined, bookingStartingIn(-1), now);
+
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toBe('Cannot cancel booking that has already started');
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Cargo Manifest Unit Tests
+ * @fileoverview Tests for goods categories, manifest validation and totals
+ */
+
+const {
+    GOODS_CATEGORIES,
+    MAX_MANIFEST_ITEMS,
+    normalizeManifest,
+    acceptsCategory
+} = require('../src/utils/cargoManifest');
+
+describe('Cargo Manifest', () => {
+    describe('normalizeManifest', () => {
+        test('should total the weight, volume and declared value of the lines', () => {
+            const { cargo, error } = normalizeManifest({
+                category: GOODS_CATEGORIES.FRAGILE,
+                items: [
+                    { description: 'Glassware', quantity: 20, weightKg: 150, volumeM3: 1.2, declaredValue: 40000 },
+                    { description: ' Ceramic tiles ', weightKg: 420.5, volumeM3: 0.9 }
+                ]
+            });
+
+            expect(error).toBeUndefined();
+            expect(cargo.category).toBe('fragile');
+            expect(cargo.items[1]).toEqual({
+                description: 'Ceramic tiles',
+                quantity: 1,
+                weightKg: 420.5,
+                volumeM3: 0.9,
+                declaredValue: 0
+            });
+            expect(cargo.totalWeightKg).toBe(570.5);
+            expect(cargo.totalVolumeM3).toBe(2.1);
+            expect(cargo.declaredValue).toBe(40000);
+        });
+
+        test('should default to general goods and allow a manifest without lines', () => {
+            expect(normalizeManifest(undefined)).toEqual({ cargo: null });
+            expect(normalizeManifest({}).cargo).toEqual({
+                category: 'general',
+                items: [],
+                totalWeightKg: 0,
+                totalVolumeM3: 0,
+                declaredValue: 0
+            });
+        });
+
+        test('should reject unknown categories and invalid lines', () => {
+            expect(normalizeManifest({ category: 'livestock' }).error)
+                .toBe('Goods category must be one of: general, fragile, perishable, hazardous');
+            expect(normalizeManifest({ items: 'boxes' }).error).toBe('Cargo items must be an array');
+            expect(normalizeManifest({ items: [{ weightKg: 10 }] }).error).toBe('Item 1: description is required');
+            expect(normalizeManifest({ items: [{ description: 'Boxes', quantity: 1.5, weightKg: 10 }] }).error)
+                .toBe('Item 1: quantity must be a whole number of at least 1');
+            expect(normalizeManifest({ items: [{ description: 'Boxes', weightKg: 0 }] }).error)
+                .toBe('Item 1: weight must be a positive number');
+            expect(normalizeManifest({ items: [{ description: 'Boxes', weightKg: 10, declaredValue: -5 }] }).error)
+                .toBe('Item 1: volume and declared value cannot be negative');
+        });
+
+        test('should limit the number of lines', () => {
+            const items = Array.from({ length: MAX_MANIFEST_ITEMS + 1 }, () => ({ description: 'Box', weightKg: 1 }));
+            expect(normalizeManifest({ items }).error).toBe(`A manifest can have at most ${MAX_MANIFEST_ITEMS} items`);
+        });
+    });
+
+    describe('acceptsCategory', () => {
+        test('should follow the categories the vehicle declares', () => {
+            const vehicle = { acceptedGoodsCategories: ['general', 'perishable'] };
+            expect(acceptsCategory(vehicle, 'perishable')).toBe(true);
+            expect(acceptsCategory(vehicle, 'hazardous')).toBe(false);
+        });
+
+        test('should accept only general goods on vehicles that declare nothing', () => {
+            expect(acceptsCategory({}, 'general')).toBe(true);
+            expect(acceptsCategory({ acceptedGoodsCategories: [] }, 'fragile')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Compliance Unit Tests
+ * @fileoverview Tests for document validity checks, expiry warnings and upload decoding
+ */
+
+const { checkCompliance, getDueWarning, getRequiredDocumentTypes } = require('../src/utils/compliance');
+const { MAX_FILE_BYTES, decodeUpload } = require('../src/utils/documentStorage');
+
+describe('Compliance', () => {
+    const rideEnd = new Date('2024-01-21T10:00:00Z');
+
+    describe('checkCompliance', () => {
+        test('should require every document on file to cover the end of the ride', () => {
+            const documents = [
+                { type: 'insurance', expiresAt: new Date('2024-06-30T00:00:00Z') },
+                { type: 'fitness', expiresAt: new Date('2024-01-21T00:00:00Z') }
+            ];
+
+            expect(checkCompliance(documents, rideEnd, [])).toEqual({
+                isCompliant: false,
+                reason: 'Fitness certificate expires on 2024-01-21',
+                expired: [{ type: 'fitness', expiresAt: new Date('2024-01-21T00:00:00Z') }],
+                missing: []
+            });
+            expect(checkCompliance(documents, new Date('2024-01-20T10:00:00Z'), []).isCompliant).toBe(true);
+        });
+
+        test('should only look at the latest document of each type', () => {
+            const documents = [
+                { type: 'insurance', expiresAt: new Date('2024-01-01T00:00:00Z') },
+                { type: 'insurance', expiresAt: new Date('2025-01-01T00:00:00Z') }
+            ];
+
+            expect(checkCompliance(documents, rideEnd, []).isCompliant).toBe(true);
+        });
+
+        test('should report required documents that are missing', () => {
+            const documents = [{ type: 'insurance', expiresAt: new Date('2024-06-30T00:00:00Z') }];
+
+            expect(checkCompliance(documents, rideEnd, ['insurance', 'puc'])).toMatchObject({
+                isCompliant: false,
+                reason: 'PUC certificate is missing',
+                missing: ['puc']
+            });
+        });
+    });
+
+    describe('getRequiredDocumentTypes', () => {
+        afterEach(() => {
+            delete process.env.COMPLIANCE_REQUIRED_DOCUMENTS;
+        });
+
+        test('should read known types from the environment', () => {
+            expect(getRequiredDocumentTypes()).toEqual([]);
+
+            process.env.COMPLIANCE_REQUIRED_DOCUMENTS = 'insurance, fitness,logbook';
+            expect(getRequiredDocumentTypes()).toEqual(['insurance', 'fitness']);
+        });
+    });
+
+    describe('getDueWarning', () => {
+        const expiresAt = new Date('2024-02-01T00:00:00Z');
+
+        test('should send the most urgent threshold passed, once', () => {
+            expect(getDueWarning({ expiresAt, warningsSent: [] }, new Date('2023-12-01T00:00:00Z'))).toBeNull();
+            expect(getDueWarning({ expiresAt, warningsSent: [] }, new Date('2024-01-10T00:00:00Z'))).toBe(30);
+            expect(getDueWarning({ expiresAt, warningsSent: [] }, new Date('2024-01-28T00:00:00Z'))).toBe(7);
+            expect(getDueWarning({ expiresAt, warningsSent: [30, 7] }, new Date('2024-01-28T00:00:00Z'))).toBeNull();
+        });
+
+        test('should warn once more when the document expires', () => {
+            expect(getDueWarning({ expiresAt, warningsSent: [30, 7, 1] }, new Date('2024-02-03T00:00:00Z'))).toBe(0);
+            expect(getDueWarning({ expiresAt, warningsSent: [30, 7, 1, 0] }, new Date('2024-02-03T00:00:00Z'))).toBeNull();
+        });
+    });
+
+    describe('decodeUpload', () => {
+        test('should decode base64 content and data URLs', () => {
+            const content = Buffer.from('%PDF-1.4').toString('base64');
+
+            const { upload } = decodeUpload({ name: '../policy.pdf', mimeType: 'application/pdf', content });
+            expect(upload.buffer.toString()).toBe('%PDF-1.4');
+            expect(upload.originalName).toBe('policy.pdf');
+
+            const dataUrl = decodeUpload({ name: 'rc.png', mimeType: 'image/png', content: `data:image/png;base64,${content}` });
+            expect(dataUrl.upload.buffer.toString()).toBe('%PDF-1.4');
+        });
+
+        test('should reject unsupported, empty and oversized files', () => {
+            expect(decodeUpload({ name: 'a.txt', mimeType: 'text/plain', content: 'AAAA' }).error)
+                .toBe('File must be a PDF, JPEG or PNG');
+            expect(decodeUpload({ name: 'a.pdf', mimeType: 'application/pdf', content: '' }).error)
+                .toBe('File is empty');
+            expect(decodeUpload({ name: 'a.pdf', mimeType: 'application/pdf' }).error)
+                .toBe('File must have a name, mimeType and base64 content');
+
+            const content = Buffer.alloc(MAX_FILE_BYTES + 1).toString('base64');
+            expect(decodeUpload({ name: 'a.pdf', mimeType: 'application/pdf', content }).error)
+                .toBe('File cannot exceed 5 MB');
+        });
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Duration Strategy Registry Unit Tests
+ * @fileoverview Tests for built-in ride duration strategies and strategy selection
+ */
+
+const {
+    RIDE_DURATION_STRATEGY,
+    calculateCorridorRideDuration,
+    calculateDistanceRideDuration,
+    findCorridor,
+    registerDurationStrategy,
+    unregisterDurationStrategy,
+    listDurationStrategies,
+    setVehicleTypeStrategy,
+    setDefaultDurationStrategy,
+    resolveDurationStrategyName,
+    runDurationStrategy,
+    resetDurationStrategies
+} = require('../src/utils/durationStrategies');
+
+describe('Duration Strategies', () => {
+    const originalEnv = {
+        strategy: process.env.RIDE_DURATION_STRATEGY,
+        byVehicleType: process.env.RIDE_DURATION_STRATEGY_BY_VEHICLE_TYPE
+    };
+
+    const restoreEnv = (key, value) => {
+        if (value === undefined) {
+            delete process.env[key];
+        } else {
+            process.env[key] = value;
+        }
+    };
+
+    afterEach(() => {
+        resetDurationStrategies();
+        restoreEnv('RIDE_DURATION_STRATEGY', originalEnv.strategy);
+        restoreEnv('RIDE_DURATION_STRATEGY_BY_VEHICLE_TYPE', originalEnv.byVehicleType);
+    });
+
+    describe('built-in strategies', () => {
+        test('should register legacy, distance and corridor strategies', () => {
+            expect(listDurationStrategies().sort()).toEqual(
+                Object.values(RIDE_DURATION_STRATEGY).sort()
+            );
+        });
+
+        test('should find corridors in either direction by sorting district', () => {
+            expect(findCorridor('110025', '400050')).toMatchObject({ from: '110', to: '400' });
+            expect(findCorridor('400001', '110001')).toMatchObject({ from: '110', to: '400' });
+            expect(findCorridor('110001', '600001')).toBeNull();
+        });
+
+        test('should use corridor figures and fall back to distance without a corridor', () => {
+            expect(calculateCorridorRideDuration('110001', '400001')).toEqual({ distanceKm: 1420, durationHours: 28 });
+            expect(calculateCorridorRideDuration('110001', '600001')).toEqual(
+                calculateDistanceRideDuration('110001', '600001')
+            );
+        });
+    });
+
+    describe('pincodes outside the reference dataset', () => {
+        test('should fall back to the legacy estimate for valid pincodes the dataset cannot place', () => {
+            const expected = { durationHours: 1, distanceKm: null, strategy: RIDE_DURATION_STRATEGY.LEGACY };
+
+            expect(runDurationStrategy('100000', '400001', { strategy: RIDE_DURATION_STRATEGY.DISTANCE })).toEqual(expected);
+            expect(runDurationStrategy('400001', '100000', { strategy: RIDE_DURATION_STRATEGY.CORRIDOR })).toEqual(expected);
+            expect(runDurationStrategy('110001', '400001', { strategy: RIDE_DURATION_STRATEGY.DISTANCE }).distanceKm).toBe(1166.3);
+        });
+
+        test('should still reject malformed pincodes', () => {
+            expect(() => runDurationStrategy('10000', '400001')).toThrow('Pincodes must be 6-digit numbers');
+        });
+    });
+
+    describe('resolveDurationStrategyName', () => {
+        test('should default to distance', () => {
+            delete process.env.RIDE_DURATION_STRATEGY;
+            expect(resolveDurationStrategyName()).toBe(RIDE_DURATION_STRATEGY.DISTANCE);
+        });
+
+        test('should prefer explicit strategy, then vehicle type, then default', () => {
+            process.env.RIDE_DURATION_STRATEGY = 'legacy';
+            process.env.RIDE_DURATION_STRATEGY_BY_VEHICLE_TYPE = 'reefer:corridor, trailer:distance';
+
+            expect(resolveDurationStrategyName({ strategy: 'distance', vehicleType: 'reefer' })).toBe('distance');
+            expect(resolveDurationStrategyName({ vehicleType: 'reefer' })).toBe('corridor');
+            expect(resolveDurationStrategyName({ vehicleType: 'trailer' })).toBe('distance');
+            expect(resolveDurationStrategyName({ vehicleType: 'tanker' })).toBe('legacy');
+        });
+
+        test('should let runtime assignments override configuration', () => {
+            process.env.RIDE_DURATION_STRATEGY_BY_VEHICLE_TYPE = 'reefer:corridor';
+            setVehicleTypeStrategy('reefer', 'legacy');
+            setDefaultDurationStrategy('corridor');
+
+            expect(resolveDurationStrategyName({ vehicleType: 'reefer' })).toBe('legacy');
+            expect(resolveDurationStrategyName()).toBe('corridor');
+
+            setVehicleTypeStrategy('reefer', null);
+            expect(resolveDurationStrategyName({ vehicleType: 'reefer' })).toBe('corridor');
+        });
+    });
+
+    describe('runDurationStrategy', () => {
+        test('should run injected custom strategies', () => {
+            registerDurationStrategy('fixed', () => ({ durationHours: 2 }));
+
+            expect(runDurationStrategy('110001', '400001', { strategy: 'fixed' })).toEqual({
+                durationHours: 2,
+                distanceKm: null,
+                strategy: 'fixed'
+            });
+        });
+
+        test('should pass pincodes and options to the strategy', () => {
+            const strategy = jest.fn(() => ({ durationHours: 3, distanceKm: 42 }));
+            registerDurationStrategy('spy', strategy);
+
+            runDurationStrategy('110001', '400001', { strategy: 'spy', averageSpeedKmph: 60 });
+            expect(strategy).toHaveBeenCalledWith('110001', '400001', { strategy: 'spy', averageSpeedKmph: 60 });
+        });
+
+        test('should reject unknown strategies and invalid durations', () => {
+            registerDurationStrategy('broken', () => ({ durationHours: -1 }));
+
+            expect(() => runDurationStrategy('110001', '400001', { strategy: 'missing' })).toThrow('Unknown ride duration strategy: missing');
+            expect(() => runDurationStrategy('110001', '400001', { strategy: 'broken' })).toThrow('Ride duration strategy "broken" returned an invalid duration');
+        });
+
+        test('should validate registration and support removal', () => {
+            expect(() => registerDurationStrategy('', () => ({}))).toThrow('Strategy name is required');
+            expect(() => registerDurationStrategy('bad', 'not a function')).toThrow('Strategy must be a function');
+
+            registerDurationStrategy('temporary', () => ({ durationHours: 1 }));
+            expect(unregisterDurationStrategy('temporary')).toBe(true);
+            expect(listDurationStrategies()).not.toContain('temporary');
+        });
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Fare Calculator Unit Tests
+ * @fileoverview Tests for itemised fares, surcharges and missing distances
+ */
+
+const { calculateFare } = require('../src/utils/fareCalculator');
+const { DEFAULT_TARIFF } = require('../src/models/Tariff');
+
+describe('Fare Calculator', () => {
+    const tariff = {
+        currency: 'INR',
+        baseFare: 500,
+        perHour: 300,
+        perKgCapacity: 0.5,
+        perKm: 12,
+        nightSurchargePercent: 15,
+        weekendSurchargePercent: 10
+    };
+
+    // Monday 10:00 India time
+    const weekdayMorning = '2024-01-15T10:00:00+05:30';
+
+    test('should itemise base, duration, capacity and distance charges', () => {
+        const fare = calculateFare(tariff, {
+            durationHours: 23.5,
+            distanceKm: 1166.3,
+            capacityKg: 1000,
+            startTime: weekdayMorning
+        });
+
+        expect(fare.items.map(item => [item.code, item.amount])).toEqual([
+            ['base', 500],
+            ['duration', 7050],
+            ['capacity', 500],
+            ['distance', 13995.6]
+        ]);
+        expect(fare.subtotal).toBe(22045.6);
+        expect(fare.total).toBe(22045.6);
+        expect(fare.currency).toBe('INR');
+    });
+
+    test('should skip the distance line when the distance is unknown', () => {
+        const fare = calculateFare(tariff, { durationHours: 8, distanceKm: null, startTime: weekdayMorning });
+
+        expect(fare.items.map(item => item.code)).toEqual(['base', 'duration']);
+        expect(fare.total).toBe(2900);
+    });
+
+    test('should add night and weekend surcharges on the subtotal', () => {
+        // Saturday 23:00 India time
+        const fare = calculateFare(tariff, { durationHours: 2, distanceKm: null, startTime: '2024-01-13T23:00:00+05:30' });
+
+        expect(fare.subtotal).toBe(1100);
+        expect(fare.items.slice(-2).map(item => [item.code, item.amount])).toEqual([
+            ['night', 165],
+            ['weekend', 110]
+        ]);
+        expect(fare.total).toBe(1375);
+    });
+
+    test('should decide night hours in the given time zone', () => {
+        // 10:00 in India is 04:30 in UTC
+        const fare = calculateFare(tariff, { durationHours: 1, startTime: weekdayMorning, timezone: 'UTC' });
+        expect(fare.items.map(item => item.code)).toContain('night');
+    });
+
+    test('should price with the built-in default tariff', () => {
+        const fare = calculateFare(DEFAULT_TARIFF, { durationHours: 1, startTime: weekdayMorning });
+        expect(fare.total).toBe(DEFAULT_TARIFF.baseFare + DEFAULT_TARIFF.perHour);
+        expect(fare.tariffId).toBeNull();
+    });
+});
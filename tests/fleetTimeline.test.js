@@ -0,0 +1,95 @@
+/**
+ * Fleet Timeline Unit Tests
+ * @fileoverview Tests for timeline filter validation and per-vehicle rows
+ */
+
+const { parseTimelineFilters, buildTimelineRows } = require('../src/utils/fleetTimeline');
+
+describe('Fleet Timeline', () => {
+    const statusOptions = {
+        allowed: ['pending', 'active', 'completed', 'cancelled'],
+        defaults: ['pending', 'active', 'completed']
+    };
+    const at = (time) => new Date(`2024-01-15T${time}:00Z`);
+    const objectId = (suffix) => ({ toString: () => `65a0000000000000000000${suffix}` });
+
+    describe('parseTimelineFilters', () => {
+        test('should default to a week from now, the default statuses and the first page', () => {
+            const now = at('08:00');
+            expect(parseTimelineFilters({}, statusOptions, now)).toEqual({
+                filters: {
+                    from: now,
+                    to: new Date('2024-01-22T08:00:00Z'),
+                    statuses: ['pending', 'active', 'completed'],
+                    ownerId: null,
+                    page: 1,
+                    limit: 25
+                }
+            });
+        });
+
+        test('should read comma-separated statuses, owner and paging', () => {
+            const { filters } = parseTimelineFilters({
+                status: 'active, cancelled,active',
+                ownerId: '65a000000000000000000001',
+                page: '2',
+                limit: '10'
+            }, statusOptions);
+
+            expect(filters.statuses).toEqual(['active', 'cancelled']);
+            expect(filters.ownerId).toBe('65a000000000000000000001');
+            expect(filters.page).toBe(2);
+            expect(filters.limit).toBe(10);
+        });
+
+        test('should reject bad ranges, statuses, owners and paging', () => {
+            expect(parseTimelineFilters({ from: 'soon' }, statusOptions).error).toBe('Invalid from or to date');
+            expect(parseTimelineFilters({ status: 'active,lost' }, statusOptions).error)
+                .toBe('Status must be one or more of: pending, active, completed, cancelled');
+            expect(parseTimelineFilters({ ownerId: 'someone' }, statusOptions).error).toBe('Invalid owner ID');
+            expect(parseTimelineFilters({ page: '0' }, statusOptions).error).toBe('Page must be a positive whole number');
+            expect(parseTimelineFilters({ limit: '101' }, statusOptions).error)
+                .toBe('Limit must be a whole number between 1 and 100');
+        });
+    });
+
+    describe('buildTimelineRows', () => {
+        const vehicles = [
+            { _id: objectId('01'), name: 'Alpha', capacityKg: 1000, createdBy: { _id: objectId('09'), name: 'Owner' } },
+            { _id: objectId('02'), name: 'Bravo', capacityKg: 2000, createdBy: { _id: objectId('09'), name: 'Owner' } }
+        ];
+        const booking = (id, vehicleId, start, end, canMove) => ({
+            _id: objectId(id),
+            vehicleId,
+            status: 'active',
+            times: { start: at(start), end: at(end) },
+            pincodes: { start: '110001', end: '110025' },
+            userId: { _id: objectId('08'), name: 'Customer', email: 'customer@example.com' },
+            canBeRescheduled: () => canMove
+        });
+
+        test('should give every vehicle a row with its bookings and downtime in time order', () => {
+            const rows = buildTimelineRows(
+                vehicles,
+                [
+                    booking('11', vehicles[0]._id, '14:00', '15:00', true),
+                    booking('12', { _id: vehicles[0]._id, name: 'Alpha' }, '09:00', '10:00', false)
+                ],
+                [{ _id: objectId('21'), vehicleId: vehicles[0]._id, times: { start: at('11:00'), end: at('12:00') }, reason: 'Service' }]
+            );
+
+            expect(rows.map(row => row.vehicle.name)).toEqual(['Alpha', 'Bravo']);
+            expect(rows[0].vehicle.owner).toEqual({ id: '65a000000000000000000009', name: 'Owner' });
+            expect(rows[0].bookings.map(item => [item.id, item.canReschedule])).toEqual([
+                ['65a000000000000000000012', false],
+                ['65a000000000000000000011', true]
+            ]);
+            expect(rows[0].bookings[0].customer.name).toBe('Customer');
+            expect(rows[0].downtime).toEqual([
+                { id: '65a000000000000000000021', start: at('11:00'), end: at('12:00'), reason: 'Service' }
+            ]);
+            expect(rows[1].bookings).toEqual([]);
+            expect(rows[1].downtime).toEqual([]);
+        });
+    });
+});
@@ -86,7 +86,7 @@ describe('Integration Tests', () => {
                 .expect(201);
 
             expect(bookingResponse.body.success).toBe(true);
-            expect(bookingResponse.body.booking.status).toBe('active');
+            expect(bookingResponse.body.booking.status).toBe('confirmed');
 
             // Step 3: Verify vehicle is no longer available for overlapping time
             const searchAfterBooking = await request(app)
@@ -174,7 +174,7 @@ describe('Integration Tests', () => {
             expect(failedBookings.length).toBe(4);
 
             // Verify only one booking exists in database
-            const bookings = await Booking.find({ vehicleId: testVehicle._id, status: 'active' });
+            const bookings = await Booking.find({ vehicleId: testVehicle._id, status: 'confirmed' });
             expect(bookings.length).toBe(1);
         });
 
@@ -231,7 +231,7 @@ describe('Integration Tests', () => {
             await global.testUtils.createTestBooking({
                 vehicleId: testVehicle._id,
                 times: { start: startTime, end: endTime },
-                status: 'active'
+                status: 'confirmed'
             });
 
             // Try to create overlapping booking
@@ -254,6 +254,33 @@ describe('Integration Tests', () => {
             expect(response.body.conflictDetails.conflictingBookings.length).toBeGreaterThan(0);
         });
 
+        test('should let exactly one of many parallel bookings for the same slot win', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+            // Overlapping requests with slightly different start times
+            const responses = await Promise.all(
+                Array.from({ length: 8 }, (_, i) => request(app)
+                    .post('/api/bookings')
+                    .set('Authorization', authToken)
+                    .send({
+                        vehicleId: testVehicle._id.toString(),
+                        fromPincode: '110001',
+                        toPincode: '400001',
+                        startTime: new Date(startTime.getTime() + i * 60 * 1000).toISOString()
+                    }))
+            );
+
+            const statuses = responses.map(response => response.status);
+            expect(statuses.filter(status => status === 201)).toHaveLength(1);
+            expect(statuses.filter(status => status === 409)).toHaveLength(7);
+
+            const activeBookings = await Booking.countDocuments({
+                vehicleId: testVehicle._id,
+                status: 'confirmed'
+            });
+            expect(activeBookings).toBe(1);
+        });
+
         test('should handle vehicle deactivation correctly', async () => {
             const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
 
@@ -303,7 +330,7 @@ describe('Integration Tests', () => {
             // Create a booking with future times first for the test user
             const startedBooking = await global.testUtils.createTestBooking({
                 userId: testUser._id,
-                status: 'active'
+                status: 'confirmed'
             });
 
             // Manually update the times to make it appear as if it has already started
@@ -328,7 +355,7 @@ describe('Integration Tests', () => {
                     start: new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
                     end: new Date(Date.now() + 26 * 60 * 60 * 1000)    // Tomorrow + 2 hours
                 },
-                status: 'active'
+                status: 'confirmed'
             });
 
             // Should be able to cancel future booking
@@ -4,7 +4,8 @@
  */
 
 const Vehicle = require('../src/models/Vehicle');
-const { Booking, BOOKING_STATUS } = require('../src/models/Booking');
+const { Booking, BOOKING_STATUS, BookingTransitionError } = require('../src/models/Booking');
+const { VehicleLock } = require('../src/models/VehicleLock');
 
 describe('Models', () => {
     describe('Vehicle Model', () => {
@@ -192,7 +193,7 @@ describe('Models', () => {
                     start: new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
                     end: new Date(Date.now() + 26 * 60 * 60 * 1000)    // Tomorrow + 2 hours
                 },
-                status: BOOKING_STATUS.ACTIVE
+                status: BOOKING_STATUS.CONFIRMED
             };
 
             const booking = await Booking.create(bookingData);
@@ -203,7 +204,7 @@ describe('Models', () => {
             expect(booking.pincodes.end).toBe(bookingData.pincodes.end);
             expect(booking.times.start.getTime()).toBe(bookingData.times.start.getTime());
             expect(booking.times.end.getTime()).toBe(bookingData.times.end.getTime());
-            expect(booking.status).toBe(BOOKING_STATUS.ACTIVE);
+            expect(booking.status).toBe(BOOKING_STATUS.CONFIRMED);
             expect(booking.createdAt).toBeDefined();
             expect(booking.updatedAt).toBeDefined();
         });
@@ -312,11 +313,11 @@ describe('Models', () => {
         });
 
         test('should get status display correctly', async () => {
-            const activeBooking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.ACTIVE });
+            const confirmedBooking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.CONFIRMED });
             const completedBooking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.COMPLETED });
             const cancelledBooking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.CANCELLED });
 
-            expect(activeBooking.statusDisplay).toBe('Active');
+            expect(confirmedBooking.statusDisplay).toBe('Confirmed');
             expect(completedBooking.statusDisplay).toBe('Completed');
             expect(cancelledBooking.statusDisplay).toBe('Cancelled');
         });
@@ -330,7 +331,7 @@ describe('Models', () => {
             await global.testUtils.createTestBooking({
                 vehicleId: vehicle._id,
                 times: { start: startTime, end: endTime },
-                status: BOOKING_STATUS.ACTIVE
+                status: BOOKING_STATUS.CONFIRMED
             });
 
             // Create non-overlapping booking
@@ -340,7 +341,7 @@ describe('Models', () => {
                     start: new Date(Date.now() + 30 * 60 * 60 * 1000),
                     end: new Date(Date.now() + 32 * 60 * 60 * 1000)
                 },
-                status: BOOKING_STATUS.ACTIVE
+                status: BOOKING_STATUS.CONFIRMED
             });
 
             // Create inactive booking
@@ -354,41 +355,65 @@ describe('Models', () => {
 
             expect(activeBookings.length).toBe(1);
             expect(activeBookings[0].vehicleId.toString()).toBe(vehicle._id.toString());
-            expect(activeBookings[0].status).toBe(BOOKING_STATUS.ACTIVE);
+            expect(activeBookings[0].status).toBe(BOOKING_STATUS.CONFIRMED);
+        });
+
+        test('should leave out both a single excluded booking and a list of them', async () => {
+            const vehicle = await global.testUtils.createTestVehicle();
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const slot = (offsetHours) => ({
+                vehicleId: vehicle._id,
+                times: {
+                    start: new Date(startTime.getTime() + offsetHours * 60 * 60 * 1000),
+                    end: new Date(startTime.getTime() + (offsetHours + 1) * 60 * 60 * 1000)
+                }
+            });
+            const single = await global.testUtils.createTestBooking(slot(0));
+            const listed = await global.testUtils.createTestBooking(slot(2));
+            const kept = await global.testUtils.createTestBooking(slot(4));
+
+            const bookings = await Booking.findActiveBookingsForVehicle(
+                vehicle._id,
+                startTime,
+                new Date(startTime.getTime() + 6 * 60 * 60 * 1000),
+                { excludeBookingId: single._id, excludeBookingIds: [listed._id] }
+            );
+
+            expect(bookings.map(booking => booking._id.toString())).toEqual([kept._id.toString()]);
         });
 
         test('should find user bookings', async () => {
             const user = await global.testUtils.createTestUser();
 
             // Create bookings for the user
-            await global.testUtils.createTestBooking({ userId: user._id, status: BOOKING_STATUS.ACTIVE });
+            await global.testUtils.createTestBooking({ userId: user._id, status: BOOKING_STATUS.CONFIRMED });
             await global.testUtils.createTestBooking({ userId: user._id, status: BOOKING_STATUS.COMPLETED });
             await global.testUtils.createTestBooking({ userId: user._id, status: BOOKING_STATUS.CANCELLED });
 
             const allBookings = await Booking.findUserBookings(user._id);
-            const activeBookings = await Booking.findUserBookings(user._id, BOOKING_STATUS.ACTIVE);
+            const activeBookings = await Booking.findUserBookings(user._id, BOOKING_STATUS.CONFIRMED);
 
             expect(allBookings.length).toBe(3);
             expect(activeBookings.length).toBe(1);
-            expect(activeBookings[0].status).toBe(BOOKING_STATUS.ACTIVE);
+            expect(activeBookings[0].status).toBe(BOOKING_STATUS.CONFIRMED);
         });
 
         test('should get booking statistics', async () => {
             // Create bookings with different statuses
-            await global.testUtils.createTestBooking({ status: BOOKING_STATUS.ACTIVE });
+            await global.testUtils.createTestBooking({ status: BOOKING_STATUS.CONFIRMED });
             await global.testUtils.createTestBooking({ status: BOOKING_STATUS.COMPLETED });
             await global.testUtils.createTestBooking({ status: BOOKING_STATUS.CANCELLED });
 
             const stats = await Booking.getStats();
 
             expect(stats.total).toBe(3);
-            expect(stats.active).toBe(1);
+            expect(stats.confirmed).toBe(1);
             expect(stats.completed).toBe(1);
             expect(stats.cancelled).toBe(1);
         });
 
         test('should check if booking is active', async () => {
-            const activeBooking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.ACTIVE });
+            const activeBooking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.CONFIRMED });
             const completedBooking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.COMPLETED });
 
             expect(activeBooking.isActive()).toBe(true);
@@ -400,7 +425,7 @@ describe('Models', () => {
             const futureEnd = new Date(futureStart.getTime() + 2 * 60 * 60 * 1000); // +2 hours
 
             const futureBooking = await global.testUtils.createTestBooking({
-                status: BOOKING_STATUS.ACTIVE,
+                status: BOOKING_STATUS.CONFIRMED,
                 times: {
                     start: futureStart,
                     end: futureEnd
@@ -409,7 +434,7 @@ describe('Models', () => {
 
             // Create a past booking by directly setting the times after creation
             const pastBooking = await global.testUtils.createTestBooking({
-                status: BOOKING_STATUS.ACTIVE
+                status: BOOKING_STATUS.CONFIRMED
             });
             pastBooking.times.start = new Date(Date.now() - 2 * 60 * 60 * 1000); // 2 hours ago
             pastBooking.times.end = new Date(Date.now() + 2 * 60 * 60 * 1000);    // 2 hours from now
@@ -424,7 +449,7 @@ describe('Models', () => {
 
         test('should cancel booking', async () => {
             const booking = await global.testUtils.createTestBooking({
-                status: BOOKING_STATUS.ACTIVE,
+                status: BOOKING_STATUS.CONFIRMED,
                 times: {
                     start: new Date(Date.now() + 24 * 60 * 60 * 1000),
                     end: new Date(Date.now() + 26 * 60 * 60 * 1000)
@@ -437,13 +462,72 @@ describe('Models', () => {
         });
 
         test('should complete booking', async () => {
-            const booking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.ACTIVE });
+            const booking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.DELIVERED });
 
             const completedBooking = await booking.complete();
 
             expect(completedBooking.status).toBe(BOOKING_STATUS.COMPLETED);
         });
 
+        test('should only complete delivered bookings', async () => {
+            const booking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.CONFIRMED });
+
+            expect(() => booking.complete()).toThrow('Only delivered bookings can be completed');
+        });
+
+        test('should record each transition with its actor', async () => {
+            const user = await global.testUtils.createTestUser();
+            const booking = await global.testUtils.createTestBooking();
+
+            booking.transitionTo(BOOKING_STATUS.DISPATCHED, { by: user._id });
+            booking.transitionTo(BOOKING_STATUS.IN_TRANSIT, { by: user._id, note: 'Loaded at depot' });
+            await booking.save();
+
+            const saved = await Booking.findById(booking._id);
+            expect(saved.status).toBe(BOOKING_STATUS.IN_TRANSIT);
+            expect(saved.transitions).toHaveLength(2);
+            expect(saved.transitions[1].from).toBe(BOOKING_STATUS.DISPATCHED);
+            expect(saved.transitions[1].note).toBe('Loaded at depot');
+            expect(saved.transitions[1].by.toString()).toBe(user._id.toString());
+            expect(saved.transitions[1].at).toBeInstanceOf(Date);
+        });
+
+        test('should reject status changes outside the allowed transitions', async () => {
+            const booking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.COMPLETED });
+
+            expect(() => booking.transitionTo(BOOKING_STATUS.CONFIRMED)).toThrow(BookingTransitionError);
+
+            // Assigning the status directly is caught on save
+            const loaded = await Booking.findById(booking._id);
+            loaded.status = BOOKING_STATUS.CONFIRMED;
+            await expect(loaded.save()).rejects.toThrow('Cannot change booking status from completed to confirmed');
+        });
+
+        test('should rename bookings stored as active to confirmed', async () => {
+            const booking = await global.testUtils.createTestBooking({ status: BOOKING_STATUS.DISPATCHED });
+            await Booking.collection.updateOne({ _id: booking._id }, {
+                $set: {
+                    transitions: [
+                        { from: 'pending', to: 'active', at: new Date() },
+                        { from: 'active', to: 'dispatched', at: new Date() }
+                    ]
+                }
+            });
+            const legacy = await global.testUtils.createTestBooking();
+            await Booking.collection.updateOne({ _id: legacy._id }, { $set: { status: 'active' } });
+
+            expect(await Booking.migrateLegacyStatuses()).toBe(1);
+            expect(await Booking.migrateLegacyStatuses()).toBe(0);
+
+            expect((await Booking.findById(legacy._id)).status).toBe(BOOKING_STATUS.CONFIRMED);
+            const migrated = await Booking.findById(booking._id);
+            expect(migrated.status).toBe(BOOKING_STATUS.DISPATCHED);
+            expect(migrated.transitions.map(t => [t.from, t.to])).toEqual([
+                ['pending', 'confirmed'],
+                ['confirmed', 'dispatched']
+            ]);
+        });
+
         test('should get booking summary', async () => {
             const booking = await global.testUtils.createTestBooking();
             const summary = booking.getSummary();
@@ -460,4 +544,64 @@ describe('Models', () => {
             expect(summary.updatedAt).toBeDefined();
         });
     });
+
+    describe('VehicleLock Model', () => {
+        test('should hand the lock to one holder at a time', async () => {
+            const vehicle = await global.testUtils.createTestVehicle();
+
+            const token = await VehicleLock.tryAcquire(vehicle._id);
+            expect(token).toBeTruthy();
+            expect(await VehicleLock.tryAcquire(vehicle._id)).toBeNull();
+
+            await VehicleLock.release(vehicle._id, token);
+            expect(await VehicleLock.tryAcquire(vehicle._id)).toBeTruthy();
+        });
+
+        test('should take over expired locks', async () => {
+            const vehicle = await global.testUtils.createTestVehicle();
+            await VehicleLock.create({
+                vehicleId: vehicle._id,
+                token: 'stale',
+                lockedUntil: new Date(Date.now() - 1000)
+            });
+
+            expect(await VehicleLock.tryAcquire(vehicle._id)).toBeTruthy();
+        });
+
+        test('should renew a held lock and tell when it was taken over', async () => {
+            const vehicle = await global.testUtils.createTestVehicle();
+            const token = await VehicleLock.tryAcquire(vehicle._id);
+            await VehicleLock.updateOne({ vehicleId: vehicle._id }, { lockedUntil: new Date(Date.now() + 1000) });
+
+            expect(await VehicleLock.renew(vehicle._id, token)).toBe(true);
+            const renewed = await VehicleLock.findOne({ vehicleId: vehicle._id });
+            expect(renewed.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 30 * 1000);
+
+            // Another request takes the lock over once it has expired
+            await VehicleLock.updateOne({ vehicleId: vehicle._id }, { lockedUntil: new Date(Date.now() - 1000) });
+            expect(await VehicleLock.tryAcquire(vehicle._id)).toBeTruthy();
+            expect(await VehicleLock.renew(vehicle._id, token)).toBe(false);
+        });
+
+        test('should serialise withLock callers and release on error', async () => {
+            const vehicle = await global.testUtils.createTestVehicle();
+            const order = [];
+
+            await Promise.all([1, 2, 3].map(n => VehicleLock.withLock(vehicle._id, async () => {
+                order.push(`start-${n}`);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                order.push(`end-${n}`);
+            })));
+
+            // Every start is immediately followed by its own end
+            for (let i = 0; i < order.length; i += 2) {
+                expect(order[i].replace('start', 'end')).toBe(order[i + 1]);
+            }
+
+            await expect(VehicleLock.withLock(vehicle._id, async () => {
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+            expect(await VehicleLock.countDocuments({ vehicleId: vehicle._id })).toBe(0);
+        });
+    });
 });
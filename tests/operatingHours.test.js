@@ -0,0 +1,90 @@
+/**
+ * Operating Hours Unit Tests
+ * @fileoverview Tests for weekly operating windows and holiday exceptions
+ */
+
+const {
+    clockTimeToMinutes,
+    isValidTimeZone,
+    hasOperatingHours,
+    checkOperatingHours
+} = require('../src/utils/operatingHours');
+
+describe('Operating Hours', () => {
+    // Monday to Saturday, 06:00 to 22:00 India time
+    const weekdayHours = {
+        timezone: 'Asia/Kolkata',
+        weekly: [1, 2, 3, 4, 5, 6].map(day => ({ day, open: '06:00', close: '22:00' })),
+        holidays: [{ date: '2024-01-26', reason: 'Republic Day' }]
+    };
+
+    describe('helpers', () => {
+        test('should convert clock times to minutes', () => {
+            expect(clockTimeToMinutes('00:00')).toBe(0);
+            expect(clockTimeToMinutes('06:30')).toBe(390);
+            expect(clockTimeToMinutes('24:00')).toBe(1440);
+        });
+
+        test('should validate time zones', () => {
+            expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+            expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+        });
+
+        test('should treat missing or empty schedules as unrestricted', () => {
+            expect(hasOperatingHours(undefined)).toBe(false);
+            expect(hasOperatingHours({ weekly: [], holidays: [] })).toBe(false);
+            expect(hasOperatingHours(weekdayHours)).toBe(true);
+        });
+    });
+
+    describe('checkOperatingHours', () => {
+        test('should allow rides with no operating hours configured', () => {
+            expect(checkOperatingHours(null, '2024-01-15T02:00:00+05:30', '2024-01-15T04:00:00+05:30'))
+                .toEqual({ isWithin: true, reason: null });
+        });
+
+        test('should allow rides inside a window, including ending at closing time', () => {
+            expect(checkOperatingHours(weekdayHours, '2024-01-15T06:00:00+05:30', '2024-01-15T22:00:00+05:30').isWithin)
+                .toBe(true);
+        });
+
+        test('should reject rides starting before opening time', () => {
+            expect(checkOperatingHours(weekdayHours, '2024-01-15T05:00:00+05:30', '2024-01-15T07:00:00+05:30'))
+                .toEqual({ isWithin: false, reason: 'Outside operating hours on Monday at 05:00' });
+        });
+
+        test('should reject rides running past closing time', () => {
+            expect(checkOperatingHours(weekdayHours, '2024-01-15T20:00:00+05:30', '2024-01-15T23:00:00+05:30'))
+                .toEqual({ isWithin: false, reason: 'Outside operating hours on Monday at 22:00' });
+        });
+
+        test('should reject rides on days without a window', () => {
+            expect(checkOperatingHours(weekdayHours, '2024-01-14T10:00:00+05:30', '2024-01-14T12:00:00+05:30').reason)
+                .toBe('Outside operating hours on Sunday at 10:00');
+        });
+
+        test('should reject rides on holidays with the holiday reason', () => {
+            expect(checkOperatingHours(weekdayHours, '2024-01-26T10:00:00+05:30', '2024-01-26T12:00:00+05:30').reason)
+                .toBe('Vehicle is not operating on 2024-01-26 (Republic Day)');
+        });
+
+        test('should allow overnight rides across back-to-back windows', () => {
+            const allDay = { weekly: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '00:00', close: '24:00' })) };
+            expect(checkOperatingHours(allDay, '2024-01-15T20:00:00+05:30', '2024-01-17T10:00:00+05:30').isWithin)
+                .toBe(true);
+        });
+
+        test('should apply holidays to multi-day rides without weekly windows', () => {
+            const holidaysOnly = { holidays: [{ date: '2024-01-16' }] };
+            expect(checkOperatingHours(holidaysOnly, '2024-01-15T20:00:00+05:30', '2024-01-16T10:00:00+05:30').reason)
+                .toBe('Vehicle is not operating on 2024-01-16');
+        });
+
+        test('should evaluate windows in the vehicle time zone', () => {
+            const utcHours = { timezone: 'UTC', weekly: [{ day: 1, open: '06:00', close: '22:00' }] };
+            // 05:00 India time on Monday is still Sunday 23:30 in UTC
+            expect(checkOperatingHours(utcHours, '2024-01-15T05:00:00+05:30', '2024-01-15T07:00:00+05:30').reason)
+                .toBe('Outside operating hours on Sunday at 23:30');
+        });
+    });
+});
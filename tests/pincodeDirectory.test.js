@@ -0,0 +1,63 @@
+/**
+ * Pincode Directory Unit Tests
+ * @fileoverview Tests for the local pincode reference dataset and distance helpers
+ */
+
+const {
+    lookupPincode,
+    haversineDistanceKm,
+    getPincodeDistanceKm
+} = require('../src/utils/pincodeDirectory');
+
+describe('Pincode Directory', () => {
+    describe('lookupPincode', () => {
+        test('should return exact records with district and state', () => {
+            const location = lookupPincode('400001');
+            expect(location).toMatchObject({
+                pincode: '400001',
+                district: 'Mumbai',
+                state: 'Maharashtra',
+                matchedBy: 'exact'
+            });
+            expect(location.latitude).toBeCloseTo(18.94, 1);
+            expect(location.longitude).toBeCloseTo(72.84, 1);
+        });
+
+        test('should fall back to the closest pincode in the same sorting district', () => {
+            const location = lookupPincode('110025');
+            expect(location.pincode).toBe('110025');
+            expect(location.state).toBe('Delhi');
+            expect(location.matchedBy).toBe('prefix');
+        });
+
+        test('should return null for unknown or malformed pincodes', () => {
+            expect(lookupPincode('100000')).toBeNull();
+            expect(lookupPincode('11000')).toBeNull();
+            expect(lookupPincode(null)).toBeNull();
+        });
+    });
+
+    describe('haversineDistanceKm', () => {
+        test('should return zero for identical coordinates', () => {
+            const point = { latitude: 28.6328, longitude: 77.2197 };
+            expect(haversineDistanceKm(point, point)).toBe(0);
+        });
+
+        test('should be symmetric', () => {
+            const delhi = { latitude: 28.6328, longitude: 77.2197 };
+            const chennai = { latitude: 13.0827, longitude: 80.2707 };
+            expect(haversineDistanceKm(delhi, chennai)).toBeCloseTo(haversineDistanceKm(chennai, delhi), 6);
+        });
+    });
+
+    describe('getPincodeDistanceKm', () => {
+        test('should rank Delhi to Mumbai far above two Delhi pincodes', () => {
+            expect(getPincodeDistanceKm('110001', '400001')).toBeGreaterThan(1100);
+            expect(getPincodeDistanceKm('110001', '110025')).toBeLessThan(30);
+        });
+
+        test('should throw error listing pincodes outside the dataset', () => {
+            expect(() => getPincodeDistanceKm('100000', '999999')).toThrow('Pincode not found in reference dataset: 100000, 999999');
+        });
+    });
+});
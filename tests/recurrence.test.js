@@ -0,0 +1,107 @@
+/**
+ * Recurrence Unit Tests
+ * @fileoverview Tests for RRULE parsing, recurrence validation and occurrence expansion
+ */
+
+const {
+    MAX_OCCURRENCES,
+    parseRecurrenceRule,
+    normalizeRecurrence,
+    expandRecurrence
+} = require('../src/utils/recurrence');
+
+describe('Recurrence', () => {
+    // Monday 15 January 2024, 08:00 in Asia/Kolkata
+    const monday = new Date('2024-01-15T02:30:00Z');
+    const toIso = (dates) => dates.map(date => date.toISOString());
+
+    describe('parseRecurrenceRule', () => {
+        test('should parse frequency, interval, weekdays and count', () => {
+            expect(parseRecurrenceRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=6')).toEqual({
+                frequency: 'weekly',
+                interval: 2,
+                byWeekday: ['MO', 'FR'],
+                count: 6
+            });
+        });
+
+        test('should read UNTIL dates as the end of that day in UTC', () => {
+            expect(parseRecurrenceRule('FREQ=DAILY;UNTIL=20240131').until).toBe('2024-01-31T23:59:59Z');
+        });
+
+        test('should reject unsupported parts', () => {
+            expect(() => parseRecurrenceRule('FREQ=DAILY;BYMONTH=1;COUNT=2'))
+                .toThrow('Unsupported recurrence rule part: BYMONTH');
+        });
+    });
+
+    describe('normalizeRecurrence', () => {
+        test('should require an end date or a count', () => {
+            expect(() => normalizeRecurrence({ frequency: 'daily' }))
+                .toThrow('Recurrence needs an end date (until) or a number of occurrences (count)');
+        });
+
+        test('should validate frequency, weekdays and count', () => {
+            expect(() => normalizeRecurrence({ frequency: 'monthly', count: 2 }))
+                .toThrow('Recurrence frequency must be one of: daily, weekly');
+            expect(() => normalizeRecurrence({ frequency: 'weekly', byWeekday: ['XX'], count: 2 }))
+                .toThrow('Recurrence weekdays must be codes from');
+            expect(() => normalizeRecurrence({ frequency: 'daily', count: MAX_OCCURRENCES + 1 }))
+                .toThrow(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+        });
+    });
+
+    describe('expandRecurrence', () => {
+        test('should expand weekday series skipping weekends', () => {
+            const recurrence = normalizeRecurrence({ rule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=7' });
+
+            expect(toIso(expandRecurrence(recurrence, monday))).toEqual([
+                '2024-01-15T02:30:00.000Z',
+                '2024-01-16T02:30:00.000Z',
+                '2024-01-17T02:30:00.000Z',
+                '2024-01-18T02:30:00.000Z',
+                '2024-01-19T02:30:00.000Z',
+                '2024-01-22T02:30:00.000Z',
+                '2024-01-23T02:30:00.000Z'
+            ]);
+        });
+
+        test('should stop at the until date and honour the interval', () => {
+            const recurrence = normalizeRecurrence({ frequency: 'daily', interval: 2, until: '2024-01-20' });
+
+            expect(toIso(expandRecurrence(recurrence, monday))).toEqual([
+                '2024-01-15T02:30:00.000Z',
+                '2024-01-17T02:30:00.000Z',
+                '2024-01-19T02:30:00.000Z'
+            ]);
+        });
+
+        test('should repeat every other week on the first start weekday', () => {
+            const recurrence = normalizeRecurrence({ frequency: 'weekly', interval: 2, count: 3 });
+
+            expect(toIso(expandRecurrence(recurrence, monday))).toEqual([
+                '2024-01-15T02:30:00.000Z',
+                '2024-01-29T02:30:00.000Z',
+                '2024-02-12T02:30:00.000Z'
+            ]);
+        });
+
+        test('should keep the local time of day across daylight saving changes', () => {
+            const recurrence = normalizeRecurrence({ frequency: 'daily', count: 3 });
+
+            // 08:00 in New York; clocks go forward on 10 March 2024
+            expect(toIso(expandRecurrence(recurrence, new Date('2024-03-09T13:00:00Z'), 'America/New_York'))).toEqual([
+                '2024-03-09T13:00:00.000Z',
+                '2024-03-10T12:00:00.000Z',
+                '2024-03-11T12:00:00.000Z'
+            ]);
+        });
+
+        test('should refuse series with too many occurrences', () => {
+            const recurrence = normalizeRecurrence({ frequency: 'daily', until: '2024-12-31' });
+
+            expect(() => expandRecurrence(recurrence, monday))
+                .toThrow(`Recurrence cannot produce more than ${MAX_OCCURRENCES} occurrences`);
+        });
+    });
+});
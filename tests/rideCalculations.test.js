@@ -4,45 +4,157 @@
  */
 
 const {
+    RIDE_DURATION_STRATEGY,
+    calculateLegacyRideDuration,
+    calculateDistanceRideDuration,
+    estimateRide,
+    estimateRoute,
     calculateRideDuration,
     calculateEndTime,
+    calculateRepositionHours,
+    calculateTurnaroundMinutes,
     checkTimeOverlap,
     checkBookingConflict,
     getConflictType,
     validateBookingTimes
 } = require('../src/utils/rideCalculations');
+const { MAX_RIDE_DURATION_HOURS } = require('../src/utils/durationStrategies');
 
 describe('Ride Calculations', () => {
-    describe('calculateRideDuration', () => {
+    describe('calculateLegacyRideDuration', () => {
         test('should calculate duration correctly for different pincodes', () => {
-            expect(calculateRideDuration('110001', '400001')).toBe(8); // |400001 - 110001| % 24 = 8
-            expect(calculateRideDuration('400001', '110001')).toBe(8); // Same result (absolute difference)
-            expect(calculateRideDuration('100000', '200000')).toBe(16); // |200000 - 100000| % 24 = 16
+            expect(calculateLegacyRideDuration('110001', '400001')).toBe(8); // |400001 - 110001| % 24 = 8
+            expect(calculateLegacyRideDuration('400001', '110001')).toBe(8); // Same result (absolute difference)
+            expect(calculateLegacyRideDuration('100000', '200000')).toBe(16); // |200000 - 100000| % 24 = 16
         });
 
         test('should return 1 for same pincode (minimum duration)', () => {
-            expect(calculateRideDuration('110001', '110001')).toBe(1);
-            expect(calculateRideDuration('400001', '400001')).toBe(1);
+            expect(calculateLegacyRideDuration('110001', '110001')).toBe(1);
+            expect(calculateLegacyRideDuration('400001', '400001')).toBe(1);
         });
 
         test('should handle edge cases with modulo 24', () => {
-            expect(calculateRideDuration('100000', '100024')).toBe(1); // 24 % 24 = 0, but minimum is 1
-            expect(calculateRideDuration('100000', '100025')).toBe(1); // 25 % 24 = 1
-            expect(calculateRideDuration('100000', '100048')).toBe(1); // 48 % 24 = 0, but minimum is 1
+            expect(calculateLegacyRideDuration('100000', '100024')).toBe(1); // 24 % 24 = 0, but minimum is 1
+            expect(calculateLegacyRideDuration('100000', '100025')).toBe(1); // 25 % 24 = 1
+            expect(calculateLegacyRideDuration('100000', '100048')).toBe(1); // 48 % 24 = 0, but minimum is 1
         });
 
         test('should throw error for invalid inputs', () => {
-            expect(() => calculateRideDuration('', '400001')).toThrow('Both start and end pincodes are required');
-            expect(() => calculateRideDuration('110001', '')).toThrow('Both start and end pincodes are required');
-            expect(() => calculateRideDuration(null, '400001')).toThrow('Both start and end pincodes are required');
-            expect(() => calculateRideDuration('110001', null)).toThrow('Both start and end pincodes are required');
+            expect(() => calculateLegacyRideDuration('', '400001')).toThrow('Both start and end pincodes are required');
+            expect(() => calculateLegacyRideDuration('110001', '')).toThrow('Both start and end pincodes are required');
+            expect(() => calculateLegacyRideDuration(null, '400001')).toThrow('Both start and end pincodes are required');
+            expect(() => calculateLegacyRideDuration('110001', null)).toThrow('Both start and end pincodes are required');
         });
 
         test('should throw error for invalid pincode format', () => {
-            expect(() => calculateRideDuration('11000', '400001')).toThrow('Pincodes must be 6-digit numbers');
-            expect(() => calculateRideDuration('110001', '40000')).toThrow('Pincodes must be 6-digit numbers');
-            expect(() => calculateRideDuration('abc123', '400001')).toThrow('Pincodes must be 6-digit numbers');
-            expect(() => calculateRideDuration('110001', 'xyz789')).toThrow('Pincodes must be 6-digit numbers');
+            expect(() => calculateLegacyRideDuration('11000', '400001')).toThrow('Pincodes must be 6-digit numbers');
+            expect(() => calculateLegacyRideDuration('110001', '40000')).toThrow('Pincodes must be 6-digit numbers');
+            expect(() => calculateLegacyRideDuration('abc123', '400001')).toThrow('Pincodes must be 6-digit numbers');
+            expect(() => calculateLegacyRideDuration('110001', 'xyz789')).toThrow('Pincodes must be 6-digit numbers');
+        });
+    });
+
+    describe('calculateDistanceRideDuration', () => {
+        test('should derive duration from great-circle distance and average speed', () => {
+            const ride = calculateDistanceRideDuration('110001', '400001', { averageSpeedKmph: 50 });
+            expect(ride.distanceKm).toBeGreaterThan(1100);
+            expect(ride.distanceKm).toBeLessThan(1200);
+            expect(ride.durationHours).toBe(Math.ceil((ride.distanceKm / 50) * 4) / 4);
+        });
+
+        test('should make nearby pincodes faster than distant ones', () => {
+            const nearby = calculateDistanceRideDuration('110001', '110025');
+            const distant = calculateDistanceRideDuration('110001', '400001');
+            expect(nearby.durationHours).toBeLessThan(distant.durationHours);
+        });
+
+        test('should return minimum duration of 1 hour for same pincode', () => {
+            expect(calculateDistanceRideDuration('410504', '410504')).toEqual({ distanceKm: 0, durationHours: 1 });
+        });
+
+        test('should scale duration with the configured average speed', () => {
+            const slow = calculateDistanceRideDuration('110001', '400001', { averageSpeedKmph: 40 });
+            const fast = calculateDistanceRideDuration('110001', '400001', { averageSpeedKmph: 80 });
+            expect(slow.durationHours).toBeGreaterThan(fast.durationHours);
+        });
+
+        test('should throw error for unknown pincodes and invalid speed', () => {
+            expect(() => calculateDistanceRideDuration('100000', '400001')).toThrow('Pincode not found in reference dataset: 100000');
+            expect(() => calculateDistanceRideDuration('110001', '400001', { averageSpeedKmph: 0 })).toThrow('Average speed must be a positive number');
+        });
+    });
+
+    describe('estimateRide', () => {
+        const originalStrategy = process.env.RIDE_DURATION_STRATEGY;
+
+        afterEach(() => {
+            if (originalStrategy === undefined) {
+                delete process.env.RIDE_DURATION_STRATEGY;
+            } else {
+                process.env.RIDE_DURATION_STRATEGY = originalStrategy;
+            }
+        });
+
+        test('should use the distance strategy by default', () => {
+            delete process.env.RIDE_DURATION_STRATEGY;
+            const ride = estimateRide('110001', '400001');
+            expect(ride.strategy).toBe(RIDE_DURATION_STRATEGY.DISTANCE);
+            expect(ride.durationHours).toBe(calculateRideDuration('110001', '400001'));
+        });
+
+        test('should select the legacy strategy from options or configuration', () => {
+            expect(estimateRide('110001', '400001', { strategy: 'legacy' }).durationHours).toBe(8);
+
+            process.env.RIDE_DURATION_STRATEGY = 'legacy';
+            const ride = estimateRide('110001', '400001');
+            expect(ride.strategy).toBe(RIDE_DURATION_STRATEGY.LEGACY);
+            expect(ride.durationHours).toBe(8);
+            expect(ride.distanceKm).toBeGreaterThan(0);
+        });
+
+        test('should report null distance for legacy rides outside the dataset', () => {
+            expect(estimateRide('100000', '200000', { strategy: 'legacy' })).toEqual({
+                durationHours: 16,
+                distanceKm: null,
+                strategy: 'legacy'
+            });
+        });
+
+        test('should throw error for unknown strategy', () => {
+            expect(() => estimateRide('110001', '400001', { strategy: 'teleport' })).toThrow('Unknown ride duration strategy: teleport');
+        });
+    });
+
+    describe('estimateRoute', () => {
+        test('should add up legs and dwell times through the stops', () => {
+            const route = estimateRoute('110001', '400001', [{ pincode: '302001', dwellMinutes: 30 }]);
+            const firstLeg = estimateRide('110001', '302001');
+            const secondLeg = estimateRide('302001', '400001');
+
+            expect(route.legs).toEqual([
+                { from: '110001', to: '302001', durationHours: firstLeg.durationHours, distanceKm: firstLeg.distanceKm },
+                { from: '302001', to: '400001', durationHours: secondLeg.durationHours, distanceKm: secondLeg.distanceKm }
+            ]);
+            expect(route.durationHours).toBe(firstLeg.durationHours + 0.5 + secondLeg.durationHours);
+            expect(route.stops[0]).toMatchObject({
+                arrivalOffsetHours: firstLeg.durationHours,
+                departureOffsetHours: firstLeg.durationHours + 0.5
+            });
+            expect(route.strategy).toBe(RIDE_DURATION_STRATEGY.DISTANCE);
+        });
+
+        test('should match estimateRide without stops', () => {
+            const route = estimateRoute('110001', '400001');
+            const ride = estimateRide('110001', '400001');
+
+            expect(route).toMatchObject(ride);
+            expect(route.legs).toHaveLength(1);
+            expect(route.stops).toEqual([]);
+        });
+
+        test('should report null distance when a leg has no distance', () => {
+            const route = estimateRoute('110001', '200000', [{ pincode: '100000' }], { strategy: 'legacy' });
+            expect(route.distanceKm).toBeNull();
         });
     });
 
@@ -197,6 +309,96 @@ describe('Ride Calculations', () => {
                 .toThrow('Existing bookings must be an array');
             expect(() => checkBookingConflict([], null, '2024-01-15T12:00:00Z'))
                 .toThrow('New booking start and end times are required');
+            expect(() => checkBookingConflict([], '2024-01-15T10:00:00Z', '2024-01-15T12:00:00Z', 'not-array'))
+                .toThrow('Downtime blocks must be an array');
+        });
+
+        test('should treat downtime blocks as conflicts', () => {
+            const downtime = [
+                { _id: 'd1', times: { start: '2024-01-15T06:00:00Z', end: '2024-01-15T09:00:00Z' }, reason: 'Service' },
+                { _id: 'd2', times: { start: '2024-01-15T11:30:00Z', end: '2024-01-15T18:00:00Z' }, reason: 'Tyre change' }
+            ];
+            const result = checkBookingConflict([], '2024-01-15T10:00:00Z', '2024-01-15T12:00:00Z', downtime);
+            expect(result.hasConflict).toBe(true);
+            expect(result.conflictingBookings).toHaveLength(0);
+            expect(result.conflictingDowntime).toEqual([{
+                downtimeId: 'd2',
+                startTime: '2024-01-15T11:30:00Z',
+                endTime: '2024-01-15T18:00:00Z',
+                reason: 'Tyre change'
+            }]);
+        });
+
+        test('should allow bookings that end when downtime starts', () => {
+            const downtime = [{ _id: 'd1', times: { start: '2024-01-15T12:00:00Z', end: '2024-01-15T18:00:00Z' } }];
+            const result = checkBookingConflict([], '2024-01-15T10:00:00Z', '2024-01-15T12:00:00Z', downtime);
+            expect(result.hasConflict).toBe(false);
+            expect(result.conflictingDowntime).toHaveLength(0);
+        });
+
+        test('should require turnaround and reposition time between consecutive bookings', () => {
+            // Ends in Mumbai at 14:00; the next ride cannot start in Delhi at 14:00
+            const existingBookings = [{
+                _id: 'mumbai',
+                pincodes: { start: '110001', end: '400001' },
+                times: { start: new Date('2024-01-15T04:00:00Z'), end: new Date('2024-01-15T14:00:00Z') }
+            }];
+            const options = { turnaroundMinutes: 60, fromPincode: '110001', toPincode: '110025' };
+
+            const result = checkBookingConflict(
+                existingBookings,
+                '2024-01-15T14:00:00Z',
+                '2024-01-15T16:00:00Z',
+                [],
+                options
+            );
+            expect(result.hasConflict).toBe(true);
+            expect(result.conflictingBookings[0]).toMatchObject({ conflictType: 'turnaround', requiredGapMinutes: 1470 });
+
+            // Buffer plus 23.5 hours of repositioning later the vehicle is free again
+            const later = checkBookingConflict(
+                existingBookings,
+                '2024-01-16T14:30:00Z',
+                '2024-01-16T16:30:00Z',
+                [],
+                options
+            );
+            expect(later.hasConflict).toBe(false);
+        });
+
+        test('should apply turnaround before the next booking', () => {
+            const existingBookings = [{
+                _id: 'next',
+                pincodes: { start: '110001', end: '400001' },
+                times: { start: new Date('2024-01-15T12:30:00Z'), end: new Date('2024-01-15T14:00:00Z') }
+            }];
+
+            const result = checkBookingConflict(existingBookings, '2024-01-15T10:00:00Z', '2024-01-15T12:00:00Z', [], {
+                turnaroundMinutes: 45,
+                fromPincode: '110025',
+                toPincode: '110001'
+            });
+            expect(result.conflictingBookings[0].conflictType).toBe('turnaround');
+            expect(result.conflictingBookings[0].requiredGapMinutes).toBe(45);
+        });
+    });
+
+    describe('calculateRepositionHours', () => {
+        test('should estimate empty running time between pincodes', () => {
+            expect(calculateRepositionHours('400001', '110001')).toBe(23.5);
+            expect(calculateRepositionHours('400001', '110001', { averageSpeedKmph: 100 })).toBe(11.75);
+        });
+
+        test('should return zero when the geographic model cannot help', () => {
+            expect(calculateRepositionHours('110001', '110001')).toBe(0);
+            expect(calculateRepositionHours(undefined, '110001')).toBe(0);
+            expect(calculateRepositionHours('100000', '110001')).toBe(0);
+        });
+
+        test('should add the fixed buffer to repositioning', () => {
+            expect(calculateTurnaroundMinutes('400001', '110001', { turnaroundMinutes: 60 })).toBe(1470);
+            expect(calculateTurnaroundMinutes('110001', '110001', { turnaroundMinutes: 30 })).toBe(30);
+            expect(calculateTurnaroundMinutes('110001', '110001')).toBe(0);
         });
     });
 
@@ -294,22 +496,42 @@ describe('Ride Calculations', () => {
             expect(result.errors).toContain('End time must be after start time');
         });
 
-        test('should reject booking duration exceeding 24 hours', () => {
+        test('should accept long-haul rides the distance strategy estimates', () => {
             const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000); // Tomorrow
-            const endTime = new Date(startTime.getTime() + 25 * 60 * 60 * 1000); // +25 hours
+            const { durationHours } = estimateRide('110001', '600001', { strategy: 'distance' });
+            const endTime = calculateEndTime(startTime, durationHours);
+
+            expect(durationHours).toBeGreaterThan(24);
+            expect(validateBookingTimes(startTime.toISOString(), endTime.toISOString())).toEqual({ isValid: true, errors: [] });
+        });
+
+        test('should reject booking duration exceeding the longest ride', () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000); // Tomorrow
+            const endTime = new Date(startTime.getTime() + (MAX_RIDE_DURATION_HOURS + 1) * 60 * 60 * 1000);
 
             const result = validateBookingTimes(startTime.toISOString(), endTime.toISOString());
             expect(result.isValid).toBe(false);
-            expect(result.errors).toContain('Booking duration cannot exceed 24 hours');
+            expect(result.errors).toContain(`Booking duration cannot exceed ${MAX_RIDE_DURATION_HOURS} hours`);
         });
 
-        test('should accept maximum allowed duration (24 hours)', () => {
+        test('should accept maximum allowed duration', () => {
             const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000); // Tomorrow
-            const endTime = new Date(startTime.getTime() + 24 * 60 * 60 * 1000); // +24 hours
+            const endTime = new Date(startTime.getTime() + MAX_RIDE_DURATION_HOURS * 60 * 60 * 1000);
 
             const result = validateBookingTimes(startTime.toISOString(), endTime.toISOString());
             expect(result.isValid).toBe(true);
             expect(result.errors).toHaveLength(0);
         });
+
+        test('should reject rides outside the vehicle operating hours', () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000); // Tomorrow
+            const endTime = new Date(startTime.getTime() + 2 * 60 * 60 * 1000); // +2 hours
+            const holiday = startTime.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+            const operatingHours = { holidays: [{ date: holiday, reason: 'Depot closed' }] };
+
+            const result = validateBookingTimes(startTime.toISOString(), endTime.toISOString(), { operatingHours });
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toEqual([`Vehicle is not operating on ${holiday} (Depot closed)`]);
+        });
     });
 });
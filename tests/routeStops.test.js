@@ -0,0 +1,53 @@
+/**
+ * Route Stop Unit Tests
+ * @fileoverview Tests for validating intermediate stops and the load carried between them
+ */
+
+const { MAX_STOPS, normalizeStops, calculateLoadProfile, scheduleStops } = require('../src/utils/routeStops');
+
+describe('Route Stops', () => {
+    describe('normalizeStops', () => {
+        test('should default weights and dwell time to zero', () => {
+            expect(normalizeStops([{ pincode: '302001', dropKg: '200' }])).toEqual({
+                stops: [{ pincode: '302001', pickupKg: 0, dropKg: 200, dwellMinutes: 0 }]
+            });
+            expect(normalizeStops(undefined)).toEqual({ stops: [] });
+        });
+
+        test('should reject malformed stops', () => {
+            expect(normalizeStops('302001').error).toBe('Stops must be an array');
+            expect(normalizeStops([{ pincode: '3020' }]).error).toBe('Stop 1: pincode must be 6 digits');
+            expect(normalizeStops([{ pincode: '302001' }, { pincode: '302002', pickupKg: -5 }]).error)
+                .toBe('Stop 2: pickup and drop weights cannot be negative');
+            expect(normalizeStops([{ pincode: '302001', dwellMinutes: 12.5 }]).error)
+                .toBe('Stop 1: dwell time must be a whole number of minutes between 0 and 720');
+            expect(normalizeStops(Array(MAX_STOPS + 1).fill({ pincode: '302001' })).error)
+                .toBe(`A booking can have at most ${MAX_STOPS} stops`);
+        });
+    });
+
+    describe('calculateLoadProfile', () => {
+        test('should unload before loading at each stop', () => {
+            expect(calculateLoadProfile(500, [
+                { pincode: '302001', pickupKg: 400, dropKg: 500 },
+                { pincode: '380001', pickupKg: 300, dropKg: 0 }
+            ])).toEqual({ peakKg: 700, finalKg: 700 });
+        });
+
+        test('should reject dropping more than is on board', () => {
+            expect(calculateLoadProfile(0, [{ pincode: '302001', pickupKg: 0, dropKg: 100 }]).error)
+                .toBe('Stop 1 drops 100 kg but only 0 kg is on board');
+        });
+    });
+
+    describe('scheduleStops', () => {
+        test('should turn offsets into times', () => {
+            const start = new Date('2024-01-15T10:00:00Z');
+            expect(scheduleStops(start, [{ pincode: '302001', arrivalOffsetHours: 5, departureOffsetHours: 5.5 }])).toEqual([{
+                pincode: '302001',
+                arrivalTime: new Date('2024-01-15T15:00:00Z'),
+                departureTime: new Date('2024-01-15T15:30:00Z')
+            }]);
+        });
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Service Area Unit Tests
+ * @fileoverview Tests for service area validation and route checks against prefixes, states and radius
+ */
+
+const { normalizeServiceArea, checkServiceArea } = require('../src/utils/serviceArea');
+
+describe('Service Area', () => {
+    describe('normalizeServiceArea', () => {
+        test('should trim and de-duplicate prefixes and states', () => {
+            expect(normalizeServiceArea({ pincodePrefixes: ['110', ' 122', '110'], states: [' Haryana '] })).toEqual({
+                serviceArea: { pincodePrefixes: ['110', '122'], states: ['Haryana'], radiusKm: null }
+            });
+            expect(normalizeServiceArea(null).serviceArea).toEqual({ pincodePrefixes: [], states: [], radiusKm: null });
+        });
+
+        test('should reject malformed prefixes and states', () => {
+            expect(normalizeServiceArea({ pincodePrefixes: ['11A'] }).error).toBe('Pincode prefix must be 1 to 6 digits: 11A');
+            expect(normalizeServiceArea({ states: ['  '] }).error).toBe('Service area states must be non-empty names');
+            expect(normalizeServiceArea({ states: 'Delhi' }).error).toBe('Service area pincodePrefixes and states must be arrays');
+        });
+
+        test('should need a known home base for a radius', () => {
+            expect(normalizeServiceArea({ radiusKm: 150 }).error).toBe('A service radius needs a home base pincode');
+            expect(normalizeServiceArea({ radiusKm: 0 }, '110001').error).toBe('Service radius must be between 1 and 3000 km');
+            expect(normalizeServiceArea({ radiusKm: 150 }, '999999').error)
+                .toBe('Home base pincode 999999 is not in the pincode directory');
+            expect(normalizeServiceArea({ radiusKm: '150' }, '110001').serviceArea.radiusKm).toBe(150);
+        });
+    });
+
+    describe('checkServiceArea', () => {
+        test('should allow any trip when no service area is set', () => {
+            expect(checkServiceArea({}, ['110001', '400001']).isWithin).toBe(true);
+            expect(checkServiceArea({ serviceArea: { pincodePrefixes: [], states: [] } }, ['400001']).isWithin).toBe(true);
+        });
+
+        test('should match pincode prefixes and states', () => {
+            const vehicle = { serviceArea: { pincodePrefixes: ['110'], states: ['haryana'] } };
+
+            expect(checkServiceArea(vehicle, ['110001', '122001']).isWithin).toBe(true);
+            expect(checkServiceArea(vehicle, ['110001', '400001', '411001'])).toEqual({
+                isWithin: false,
+                reason: 'Pincodes 400001, 411001 are outside this vehicle\'s service area (pincodes starting 110; haryana)',
+                outsidePincodes: ['400001', '411001']
+            });
+        });
+
+        test('should measure the radius from the home base', () => {
+            const vehicle = { homePincode: '110001', serviceArea: { radiusKm: 50 } };
+
+            expect(checkServiceArea(vehicle, ['110025', '122001']).isWithin).toBe(true);
+            expect(checkServiceArea(vehicle, ['110001', '132001']).reason)
+                .toBe('Pincode 132001 is outside this vehicle\'s service area (within 50 km of 110001)');
+        });
+    });
+});
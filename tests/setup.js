@@ -149,7 +149,7 @@ global.testUtils = {
                 start: new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
                 end: new Date(Date.now() + 26 * 60 * 60 * 1000)    // Tomorrow + 2 hours
             },
-            status: 'active',
+            status: 'confirmed',
             ...bookingData
         };
         return await Booking.create(defaultBooking);
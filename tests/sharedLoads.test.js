@@ -0,0 +1,57 @@
+/**
+ * Shared Load Unit Tests
+ * @fileoverview Tests for matching part-truck loads to the same trip and remaining capacity
+ */
+
+const { LOAD_TYPES, isSameTrip, splitSharedLoads, calculateRemainingCapacity } = require('../src/utils/sharedLoads');
+
+describe('Shared Loads', () => {
+    const start = new Date('2024-01-15T10:00:00Z');
+    const trip = { fromPincode: '110001', toPincode: '400001', startTime: start };
+    const booking = (overrides = {}) => ({
+        loadType: LOAD_TYPES.SHARED,
+        loadKg: 300,
+        pincodes: { start: '110001', end: '400001' },
+        times: { start, end: new Date('2024-01-16T09:30:00Z') },
+        ...overrides
+    });
+
+    describe('isSameTrip', () => {
+        test('should match shared loads on the same corridor and departure', () => {
+            expect(isSameTrip(booking(), trip)).toBe(true);
+        });
+
+        test('should not match full loads, other corridors or other departures', () => {
+            expect(isSameTrip(booking({ loadType: LOAD_TYPES.FULL }), trip)).toBe(false);
+            expect(isSameTrip(booking({ pincodes: { start: '110001', end: '400002' } }), trip)).toBe(false);
+            expect(isSameTrip(booking({
+                times: { start: new Date('2024-01-15T10:15:00Z'), end: new Date('2024-01-16T09:45:00Z') }
+            }), trip)).toBe(false);
+        });
+
+        test('should treat bookings without a load type as full', () => {
+            expect(isSameTrip({ pincodes: trip, times: { start } }, trip)).toBe(false);
+        });
+    });
+
+    describe('splitSharedLoads', () => {
+        test('should sum the loads sharing the trip and keep the rest blocking', () => {
+            const fullBooking = booking({ loadType: LOAD_TYPES.FULL, loadKg: undefined });
+            const { blocking, sharing, loadedKg } = splitSharedLoads(
+                [booking(), booking({ loadKg: 450 }), fullBooking],
+                trip
+            );
+
+            expect(sharing).toHaveLength(2);
+            expect(blocking).toEqual([fullBooking]);
+            expect(loadedKg).toBe(750);
+        });
+    });
+
+    describe('calculateRemainingCapacity', () => {
+        test('should never go below zero', () => {
+            expect(calculateRemainingCapacity(1000, 750)).toBe(250);
+            expect(calculateRemainingCapacity(1000, 1200)).toBe(0);
+        });
+    });
+});
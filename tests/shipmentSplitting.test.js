@@ -0,0 +1,68 @@
+/**
+ * Shipment Splitting Unit Tests
+ * @fileoverview Tests for choosing vehicle combinations that carry a load together
+ */
+
+const { planSplitShipment } = require('../src/utils/shipmentSplitting');
+
+describe('Shipment Splitting', () => {
+    const truck = (id, capacityKg) => ({ id, capacityKg });
+    const ids = (plan) => plan.vehicles.map(vehicle => vehicle.id);
+
+    test('should use a single vehicle when one carries the load', () => {
+        const plan = planSplitShipment([truck('a', 5000), truck('b', 8000), truck('c', 2000)], 7000);
+
+        expect(ids(plan)).toEqual(['b']);
+        expect(plan.totalCapacityKg).toBe(8000);
+    });
+
+    test('should prefer the fewest vehicles, then the least spare capacity', () => {
+        const plan = planSplitShipment(
+            [truck('a', 5000), truck('b', 5000), truck('c', 2000), truck('d', 1000), truck('e', 1000)],
+            7000
+        );
+
+        expect(ids(plan)).toEqual(['a', 'c']);
+        expect(plan.totalCapacityKg).toBe(7000);
+    });
+
+    test('should add vehicles until the load fits', () => {
+        const plan = planSplitShipment([truck('a', 3000), truck('b', 3000), truck('c', 3000), truck('d', 500)], 8500);
+
+        expect(ids(plan)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should return null when no combination carries the load', () => {
+        expect(planSplitShipment([truck('a', 3000), truck('b', 2000)], 6000)).toBeNull();
+        expect(planSplitShipment([], 100)).toBeNull();
+    });
+
+    test('should respect the vehicle limit', () => {
+        const fleet = [truck('a', 1000), truck('b', 1000), truck('c', 1000)];
+
+        expect(planSplitShipment(fleet, 3000, { maxVehicles: 2 })).toBeNull();
+        expect(ids(planSplitShipment(fleet, 3000))).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should keep the larger vehicles when combinations tie', () => {
+        const plan = planSplitShipment([truck('a', 2000), truck('b', 3000), truck('c', 1000), truck('d', 4000)], 5000);
+
+        expect(ids(plan)).toEqual(['d', 'c']);
+    });
+
+    test('should plan quickly across a large fleet', () => {
+        const identical = Array.from({ length: 200 }, (_, index) => truck(`same-${index}`, 1000));
+        const mixed = Array.from({ length: 300 }, (_, index) => truck(`mixed-${index}`, 500 + (index % 97) * 50));
+
+        const started = Date.now();
+        const identicalPlan = planSplitShipment(identical, 4500);
+        const mixedPlan = planSplitShipment(mixed, 23990);
+        const elapsedMs = Date.now() - started;
+
+        expect(ids(identicalPlan)).toEqual(['same-0', 'same-1', 'same-2', 'same-3', 'same-4']);
+        expect(mixedPlan.vehicles.length).toBe(5);
+        expect(mixedPlan.totalCapacityKg).toBe(24000);
+        expect(planSplitShipment(identical, 5500)).toBeNull();
+        expect(elapsedMs).toBeLessThan(500);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Slot Suggestion Unit Tests
+ * @fileoverview Tests for finding the nearest free start times around an unavailable one
+ */
+
+const { findNearestSlots, findNearestFleetSlots, pickNearestSuggestions } = require('../src/utils/slotSuggestions');
+
+describe('Slot Suggestions', () => {
+    const now = new Date('2024-01-15T00:00:00Z');
+    const at = (time) => new Date(`2024-01-15T${time}:00Z`);
+    const booking = (start, end, pincodes = {}) => ({ times: { start: at(start), end: at(end) }, pincodes });
+
+    describe('findNearestSlots', () => {
+        test('should suggest the nearest start before and after a booking', () => {
+            const { earlier, later } = findNearestSlots(at('10:00'), 2, {
+                bookings: [booking('09:00', '12:00')]
+            }, { now });
+
+            expect(earlier).toEqual({ startTime: at('07:00'), endTime: at('09:00') });
+            expect(later).toEqual({ startTime: at('12:00'), endTime: at('14:00') });
+        });
+
+        test('should keep clear of turnaround time and downtime', () => {
+            const { earlier, later } = findNearestSlots(at('10:00'), 1, {
+                bookings: [booking('09:00', '12:00')],
+                downtime: [{ times: { start: at('12:00'), end: at('12:45') } }],
+                turnaroundMinutes: 30
+            }, { now });
+
+            expect(earlier.startTime).toEqual(at('07:30'));
+            expect(later.startTime).toEqual(at('12:45'));
+        });
+
+        test('should only suggest starts inside operating hours', () => {
+            const operatingHours = {
+                timezone: 'UTC',
+                weekly: [{ day: 1, open: '08:00', close: '18:00' }]
+            };
+
+            const { earlier, later } = findNearestSlots(at('09:00'), 2, {
+                bookings: [booking('08:30', '17:00')],
+                operatingHours
+            }, { now });
+
+            expect(earlier).toBeNull();
+            expect(later).toBeNull();
+        });
+
+        test('should not suggest earlier starts in the past', () => {
+            const { earlier } = findNearestSlots(at('02:00'), 1, {
+                bookings: [booking('01:00', '03:00')]
+            }, { now: at('00:10') });
+
+            expect(earlier).toBeNull();
+        });
+
+        test('should round suggestions to quarter hours', () => {
+            const { later } = findNearestSlots(at('10:07'), 1, {
+                bookings: [booking('10:00', '10:50')]
+            }, { now });
+
+            expect(later.startTime).toEqual(at('11:00'));
+        });
+    });
+
+    describe('pickNearestSuggestions', () => {
+        test('should pick the latest earlier and the earliest later start across vehicles', () => {
+            const result = pickNearestSuggestions([
+                {
+                    vehicleId: 'a',
+                    vehicleName: 'Truck A',
+                    earlier: { startTime: at('06:00'), endTime: at('08:00') },
+                    later: { startTime: at('15:00'), endTime: at('17:00') }
+                },
+                {
+                    vehicleId: 'b',
+                    vehicleName: 'Truck B',
+                    earlier: { startTime: at('07:00'), endTime: at('09:00') },
+                    later: null
+                }
+            ]);
+
+            expect(result.earlier).toEqual({ startTime: at('07:00'), endTime: at('09:00'), vehicleId: 'b', vehicleName: 'Truck B' });
+            expect(result.later.vehicleId).toBe('a');
+        });
+    });
+
+    describe('findNearestFleetSlots', () => {
+        const schedules = [
+            { vehicleId: 'a', vehicleName: 'Truck A', durationHours: 2, bookings: [booking('06:00', '14:00')] },
+            { vehicleId: 'b', vehicleName: 'Truck B', durationHours: 1, bookings: [booking('08:00', '11:00')] },
+            { vehicleId: 'c', vehicleName: 'Truck C', durationHours: 1, bookings: [booking('07:00', '11:00')] }
+        ];
+
+        test('should match the nearest of every vehicle\'s own suggestions', () => {
+            const perVehicle = pickNearestSuggestions(schedules.map(schedule => ({
+                vehicleId: schedule.vehicleId,
+                vehicleName: schedule.vehicleName,
+                ...findNearestSlots(at('10:00'), schedule.durationHours, schedule, { now })
+            })));
+
+            const fleet = findNearestFleetSlots(at('10:00'), schedules, { now });
+            expect(fleet).toEqual(perVehicle);
+            expect(fleet.earlier).toEqual({ startTime: at('07:00'), endTime: at('08:00'), vehicleId: 'b', vehicleName: 'Truck B' });
+            expect(fleet.later).toEqual({ startTime: at('11:00'), endTime: at('12:00'), vehicleId: 'b', vehicleName: 'Truck B' });
+        });
+
+        test('should find nothing for an empty fleet', () => {
+            expect(findNearestFleetSlots(at('10:00'), [], { now })).toEqual({ earlier: null, later: null });
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tariff Controller Unit Tests
+ * @fileoverview Tests for default and per-vehicle tariff management
+ */
+
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const { mockAuth, mockRequireAdmin } = require('./mockAuth');
+
+// Create a test app instance
+const app = express();
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Mock the authentication middleware
+jest.mock('../src/middlewares/auth', () => ({
+    authenticate: mockAuth,
+    requireAdmin: mockRequireAdmin
+}));
+
+// Import routes
+const tariffRoutes = require('../src/routes/tariffRoutes');
+
+// Use routes
+app.use('/api/tariffs', tariffRoutes);
+
+const { Tariff, DEFAULT_TARIFF } = require('../src/models/Tariff');
+
+describe('Tariff Controller', () => {
+    let authToken;
+    let adminToken;
+    let testUser;
+    let testVehicle;
+
+    beforeEach(async () => {
+        testUser = await global.testUtils.createRealTestUser();
+        authToken = global.testUtils.getRealAuthToken();
+        adminToken = global.testUtils.getAdminAuthToken();
+        testVehicle = await global.testUtils.createTestVehicle();
+    });
+
+    describe('Default tariff', () => {
+        test('should return built-in rates before an admin sets any', async () => {
+            const response = await request(app)
+                .get('/api/tariffs/default')
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(response.body.tariff).toMatchObject({ scope: 'default', ...DEFAULT_TARIFF });
+        });
+
+        test('should let admins update the default tariff', async () => {
+            const response = await request(app)
+                .put('/api/tariffs/default')
+                .set('Authorization', adminToken)
+                .send({ perHour: 350, nightSurchargePercent: 20 })
+                .expect(200);
+
+            expect(response.body.tariff.perHour).toBe(350);
+            expect(response.body.tariff.baseFare).toBe(DEFAULT_TARIFF.baseFare);
+            expect(await Tariff.countDocuments({ vehicleId: null })).toBe(1);
+        });
+
+        test('should reject non-admins and negative rates', async () => {
+            await request(app)
+                .put('/api/tariffs/default')
+                .set('Authorization', authToken)
+                .send({ perHour: 350 })
+                .expect(403);
+
+            const response = await request(app)
+                .put('/api/tariffs/default')
+                .set('Authorization', adminToken)
+                .send({ perHour: -1 })
+                .expect(400);
+
+            expect(response.body.errors).toContain('Hourly rate cannot be negative');
+        });
+    });
+
+    describe('Vehicle tariff', () => {
+        test('should let owners set and remove their vehicle tariff', async () => {
+            const ownVehicle = await global.testUtils.createTestVehicle({ createdBy: testUser._id });
+
+            const updateResponse = await request(app)
+                .put(`/api/tariffs/vehicles/${ownVehicle._id}`)
+                .set('Authorization', authToken)
+                .send({ baseFare: 800 })
+                .expect(200);
+
+            expect(updateResponse.body.tariff).toMatchObject({ scope: 'vehicle', baseFare: 800 });
+
+            await request(app)
+                .delete(`/api/tariffs/vehicles/${ownVehicle._id}`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            const getResponse = await request(app)
+                .get(`/api/tariffs/vehicles/${ownVehicle._id}`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(getResponse.body.tariff.scope).toBe('default');
+        });
+
+        test('should reject tariffs on vehicles owned by someone else', async () => {
+            const response = await request(app)
+                .put(`/api/tariffs/vehicles/${testVehicle._id}`)
+                .set('Authorization', authToken)
+                .send({ baseFare: 800 })
+                .expect(403);
+
+            expect(response.body.message).toBe('You can only set tariffs for your own vehicles');
+        });
+
+        test('should return 404 for unknown vehicles', async () => {
+            await request(app)
+                .get('/api/tariffs/vehicles/507f1f77bcf86cd799439011')
+                .set('Authorization', authToken)
+                .expect(404);
+        });
+    });
+});
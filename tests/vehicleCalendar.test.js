@@ -0,0 +1,70 @@
+/**
+ * Vehicle Calendar Unit Tests
+ * @fileoverview Tests for calendar range validation and free gaps between busy intervals
+ */
+
+const { parseCalendarRange, findFreeGaps } = require('../src/utils/vehicleCalendar');
+
+describe('Vehicle Calendar', () => {
+    const at = (time) => new Date(`2024-01-15T${time}:00Z`);
+
+    describe('parseCalendarRange', () => {
+        test('should default to a week from now', () => {
+            const now = at('08:00');
+            expect(parseCalendarRange(undefined, undefined, now)).toEqual({
+                from: now,
+                to: new Date('2024-01-22T08:00:00Z')
+            });
+        });
+
+        test('should reject invalid, reversed and overlong ranges', () => {
+            expect(parseCalendarRange('soon', undefined).error).toBe('Invalid from or to date');
+            expect(parseCalendarRange('2024-01-15T10:00:00Z', '2024-01-15T09:00:00Z').error)
+                .toBe('The calendar range must end after it starts');
+            expect(parseCalendarRange('2024-01-01T00:00:00Z', '2024-04-01T00:00:00Z').error)
+                .toBe('The calendar range cannot exceed 62 days');
+        });
+    });
+
+    describe('findFreeGaps', () => {
+        test('should return the time between busy intervals', () => {
+            const busy = [
+                { type: 'downtime', start: at('14:00'), end: at('16:00') },
+                { type: 'booking', start: at('09:00'), end: at('11:00') }
+            ];
+
+            expect(findFreeGaps(busy, at('08:00'), at('18:00'))).toEqual([
+                { start: at('08:00'), end: at('09:00'), durationHours: 1 },
+                { start: at('11:00'), end: at('14:00'), durationHours: 3 },
+                { start: at('16:00'), end: at('18:00'), durationHours: 2 }
+            ]);
+        });
+
+        test('should keep the turnaround buffer clear around bookings only', () => {
+            const busy = [
+                { type: 'booking', start: at('10:00'), end: at('11:00') },
+                { type: 'downtime', start: at('12:00'), end: at('13:00') }
+            ];
+
+            expect(findFreeGaps(busy, at('08:00'), at('14:00'), { turnaroundMinutes: 30 })).toEqual([
+                { start: at('08:00'), end: at('09:30'), durationHours: 1.5 },
+                { start: at('11:30'), end: at('12:00'), durationHours: 0.5 },
+                { start: at('13:00'), end: at('14:00'), durationHours: 1 }
+            ]);
+        });
+
+        test('should merge overlapping intervals and skip the past and short gaps', () => {
+            const busy = [
+                { type: 'booking', start: at('09:00'), end: at('12:00') },
+                { type: 'downtime', start: at('11:00'), end: at('13:00') },
+                { type: 'booking', start: at('13:10'), end: at('15:00') }
+            ];
+
+            expect(findFreeGaps(busy, at('06:00'), at('16:00'), { now: at('08:00') })).toEqual([
+                { start: at('08:00'), end: at('09:00'), durationHours: 1 },
+                { start: at('15:00'), end: at('16:00'), durationHours: 1 }
+            ]);
+            expect(findFreeGaps([], at('06:00'), at('08:00'), { now: at('09:00') })).toEqual([]);
+        });
+    });
+});
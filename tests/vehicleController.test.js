@@ -36,6 +36,11 @@ app.get('/health', (req, res) => {
 });
 const Vehicle = require('../src/models/Vehicle');
 const { Booking } = require('../src/models/Booking');
+const Downtime = require('../src/models/Downtime');
+const ComplianceDocument = require('../src/models/ComplianceDocument');
+const { Notification } = require('../src/models/Notification');
+const { sendComplianceExpiryWarnings } = require('../src/controllers/complianceController');
+const { setVehicleTypeStrategy, resetDurationStrategies } = require('../src/utils/durationStrategies');
 
 describe('Vehicle Controller', () => {
     let authToken;
@@ -78,6 +83,95 @@ describe('Vehicle Controller', () => {
             expect(response.body.vehicle.tyres).toBe(vehicleData.tyres);
         });
 
+        test('should store operating hours and reject malformed windows', async () => {
+            const operatingHours = {
+                weekly: [{ day: 1, open: '06:00', close: '22:00' }],
+                holidays: [{ date: '2024-01-26', reason: 'Republic Day' }]
+            };
+
+            const response = await request(app)
+                .post('/api/vehicles')
+                .set('Authorization', authToken)
+                .send({ name: 'Day Truck', capacityKg: 2000, tyres: 6, operatingHours })
+                .expect(201);
+
+            expect(response.body.vehicle.operatingHours).toMatchObject({ ...operatingHours, timezone: 'Asia/Kolkata' });
+
+            const invalidResponse = await request(app)
+                .post('/api/vehicles')
+                .set('Authorization', authToken)
+                .send({
+                    name: 'Night Truck',
+                    capacityKg: 2000,
+                    tyres: 6,
+                    operatingHours: { weekly: [{ day: 1, open: '22:00', close: '06:00' }] }
+                })
+                .expect(400);
+
+            expect(invalidResponse.body.errors).toContain('Operating window closing time must be after opening time');
+        });
+
+        test('should store the vehicle type, body, features and derive the bed volume', async () => {
+            const response = await request(app)
+                .post('/api/vehicles')
+                .set('Authorization', authToken)
+                .send({
+                    name: 'Cold Box',
+                    capacityKg: 2500,
+                    tyres: 6,
+                    vehicleType: 'reefer',
+                    bodyType: 'closed',
+                    bedDimensions: { lengthM: 4.3, widthM: 1.8, heightM: 1.8 },
+                    features: ['refrigeration', 'tail_lift']
+                })
+                .expect(201);
+
+            expect(response.body.vehicle).toMatchObject({
+                vehicleType: 'reefer',
+                bodyType: 'closed',
+                bedDimensions: { lengthM: 4.3, widthM: 1.8, heightM: 1.8 },
+                volumeM3: 13.93,
+                features: ['refrigeration', 'tail_lift']
+            });
+
+            const invalidResponse = await request(app)
+                .post('/api/vehicles')
+                .set('Authorization', authToken)
+                .send({ name: 'Flying Truck', capacityKg: 2500, tyres: 6, vehicleType: 'airship' })
+                .expect(400);
+
+            expect(invalidResponse.body.errors).toContain('Vehicle type must be one of: mini_truck, lcv, trailer, reefer, tanker');
+        });
+
+        test('should store the home base and service area', async () => {
+            const response = await request(app)
+                .post('/api/vehicles')
+                .set('Authorization', authToken)
+                .send({
+                    name: 'City Runner',
+                    capacityKg: 1500,
+                    tyres: 4,
+                    homePincode: '110001',
+                    serviceArea: { pincodePrefixes: ['110'], states: ['Haryana'], radiusKm: 150 }
+                })
+                .expect(201);
+
+            expect(response.body.vehicle.homePincode).toBe('110001');
+            expect(response.body.vehicle.serviceArea).toEqual({
+                pincodePrefixes: ['110'],
+                states: ['Haryana'],
+                radiusKm: 150
+            });
+
+            const noHomeResponse = await request(app)
+                .post('/api/vehicles')
+                .set('Authorization', authToken)
+                .send({ name: 'Wanderer', capacityKg: 1500, tyres: 4, serviceArea: { radiusKm: 150 } })
+                .expect(400);
+
+            expect(noHomeResponse.body.message).toBe('A service radius needs a home base pincode');
+        });
+
         test('should reject vehicle with missing required fields', async () => {
             const vehicleData = {
                 name: 'Test Truck'
@@ -191,6 +285,7 @@ describe('Vehicle Controller', () => {
             expect(response.body.availableCount).toBeGreaterThanOrEqual(0);
             expect(response.body.unavailableCount).toBeGreaterThanOrEqual(0);
             expect(response.body.estimatedRideDurationHours).toBeDefined();
+            expect(response.body.estimatedDistanceKm).toBeGreaterThan(0);
         });
 
         test('should filter vehicles by capacity requirement', async () => {
@@ -289,6 +384,292 @@ describe('Vehicle Controller', () => {
             expect(unavailableVehicle.availability.isAvailable).toBe(false);
             expect(unavailableVehicle.availability.conflictingBookings.length).toBeGreaterThan(0);
         });
+
+        test('should flag vehicles whose operating hours exclude the ride', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const holiday = startTime.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+            await Vehicle.findByIdAndUpdate(testVehicle._id, {
+                operatingHours: { holidays: [{ date: holiday, reason: 'Depot closed' }] }
+            });
+
+            const response = await request(app)
+                .get('/api/vehicles/available')
+                .query({
+                    capacityRequired: 500,
+                    fromPincode: '110001',
+                    toPincode: '110025',
+                    startTime: startTime.toISOString()
+                })
+                .expect(200);
+
+            const unavailableVehicle = response.body.vehicles.unavailable.find(
+                v => v.id === testVehicle._id.toString()
+            );
+            expect(unavailableVehicle).toBeDefined();
+            expect(unavailableVehicle.availability.conflictingBookings).toHaveLength(0);
+            expect(unavailableVehicle.availability.outsideOperatingHours)
+                .toBe(`Vehicle is not operating on ${holiday} (Depot closed)`);
+        });
+
+        test('should suggest the nearest free start times when no vehicle is available', async () => {
+            const largeTruck = await Vehicle.findOne({ name: 'Large Truck' });
+            const bookingStart = new Date(Math.ceil((Date.now() + 48 * 60 * 60 * 1000) / (60 * 60 * 1000)) * 60 * 60 * 1000);
+            const bookingEnd = new Date(bookingStart.getTime() + 3 * 60 * 60 * 1000);
+            await global.testUtils.createTestBooking({
+                vehicleId: largeTruck._id,
+                pincodes: { start: '110001', end: '110025' },
+                times: { start: bookingStart, end: bookingEnd }
+            });
+
+            const response = await request(app)
+                .get('/api/vehicles/available')
+                .query({
+                    capacityRequired: 5000,
+                    fromPincode: '110001',
+                    toPincode: '110025',
+                    startTime: new Date(bookingStart.getTime() + 60 * 60 * 1000).toISOString()
+                })
+                .expect(200);
+
+            expect(response.body.total).toBe(0);
+            const { suggestions } = response.body.vehicles.unavailable[0].availability;
+            expect(new Date(suggestions.earlier.endTime) <= bookingStart).toBe(true);
+            expect(new Date(suggestions.later.startTime) >= bookingEnd).toBe(true);
+
+            expect(response.body.suggestions.earlier).toEqual({ ...suggestions.earlier, vehicleId: largeTruck._id.toString(), vehicleName: 'Large Truck' });
+            expect(response.body.suggestions.later.startTime).toBe(suggestions.later.startTime);
+        });
+
+        test('should suggest times for the unavailable vehicles on the page and across the fleet', async () => {
+            const bookingStart = new Date(Math.ceil((Date.now() + 48 * 60 * 60 * 1000) / (60 * 60 * 1000)) * 60 * 60 * 1000);
+            const bookingEnd = new Date(bookingStart.getTime() + 3 * 60 * 60 * 1000);
+            for (const vehicle of await Vehicle.find({ name: /Truck$/ })) {
+                await global.testUtils.createTestBooking({
+                    vehicleId: vehicle._id,
+                    pincodes: { start: '110001', end: '110025' },
+                    times: { start: bookingStart, end: bookingEnd }
+                });
+            }
+
+            const search = (query) => request(app)
+                .get('/api/vehicles/available')
+                .query({
+                    fromPincode: '110001',
+                    toPincode: '110025',
+                    startTime: new Date(bookingStart.getTime() + 60 * 60 * 1000).toISOString(),
+                    ...query
+                })
+                .expect(200);
+
+            const paged = await search({ page: 2, limit: 1 });
+            expect(paged.body.unavailableCount).toBe(3);
+            expect(paged.body.vehicles.unavailable).toHaveLength(1);
+            expect(new Date(paged.body.vehicles.unavailable[0].availability.suggestions.later.startTime) >= bookingEnd).toBe(true);
+            expect(new Date(paged.body.suggestions.later.startTime) >= bookingEnd).toBe(true);
+
+            const countsOnly = await search({ includeUnavailable: 'false' });
+            expect(countsOnly.body.vehicles.unavailable).toEqual([]);
+            expect(countsOnly.body.suggestions.later.startTime).toBe(paged.body.suggestions.later.startTime);
+        });
+
+        test('should report the capacity shared loads leave on the same trip', async () => {
+            const mediumTruck = await Vehicle.findOne({ name: 'Medium Truck' });
+            const startTime = new Date(Math.ceil((Date.now() + 48 * 60 * 60 * 1000) / (60 * 60 * 1000)) * 60 * 60 * 1000);
+            await global.testUtils.createTestBooking({
+                vehicleId: mediumTruck._id,
+                pincodes: { start: '110001', end: '110025' },
+                times: { start: startTime, end: new Date(startTime.getTime() + 60 * 60 * 1000) },
+                loadType: 'shared',
+                loadKg: 2000
+            });
+
+            const search = (capacityRequired, loadType) => request(app)
+                .get('/api/vehicles/available')
+                .query({ capacityRequired, fromPincode: '110001', toPincode: '110025', startTime: startTime.toISOString(), loadType })
+                .expect(200);
+
+            // The remaining 1000 kg is exactly enough
+            const fits = await search(1000, 'shared');
+            const shared = fits.body.vehicles.available.find(v => v.name === 'Medium Truck');
+            expect(shared.availability.remainingCapacityKg).toBe(1000);
+            expect(shared.availability.sharedLoadKg).toBe(2000);
+
+            const tooMuch = await search(1500, 'shared');
+            const blocked = tooMuch.body.vehicles.unavailable.find(v => v.name === 'Medium Truck');
+            expect(blocked.availability.remainingCapacityKg).toBe(1000);
+            expect(blocked.availability.isAvailable).toBe(false);
+
+            // A full load needs the vehicle to itself, so the shared load blocks it
+            const full = await search(1000);
+            expect(full.body.searchCriteria.loadType).toBe('full');
+            const taken = full.body.vehicles.unavailable.find(v => v.name === 'Medium Truck');
+            expect(taken.availability.isAvailable).toBe(false);
+            expect(taken.availability.conflictingBookings).toHaveLength(1);
+        });
+
+        test('should reject an unknown load type', async () => {
+            const response = await request(app)
+                .get('/api/vehicles/available')
+                .query({ startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), loadType: 'half' })
+                .expect(400);
+
+            expect(response.body.message).toBe('Load type must be one of: full, shared');
+        });
+
+        test('should only return vehicles that accept the goods category', async () => {
+            await Vehicle.updateOne({ name: 'Medium Truck' }, { acceptedGoodsCategories: ['general', 'perishable'] });
+            // Vehicles stored before categories existed accept general goods
+            await Vehicle.collection.updateOne({ name: 'Small Truck' }, { $unset: { acceptedGoodsCategories: '' } });
+
+            const search = (goodsCategory) => request(app)
+                .get('/api/vehicles/available')
+                .query({ fromPincode: '110001', toPincode: '400001', startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), goodsCategory });
+
+            const perishable = await search('perishable').expect(200);
+            expect(perishable.body.vehicles.available.map(v => v.name)).toEqual(['Medium Truck']);
+            expect(perishable.body.searchCriteria.goodsCategory).toBe('perishable');
+
+            const general = await search('general').expect(200);
+            expect(general.body.vehicles.available.map(v => v.name).sort()).toEqual(['Large Truck', 'Medium Truck', 'Small Truck']);
+
+            const invalid = await search('livestock').expect(400);
+            expect(invalid.body.message).toBe('Goods category must be one of: general, fragile, perishable, hazardous');
+        });
+
+        test('should filter vehicles by type, minimum volume and features', async () => {
+            await Vehicle.updateOne({ name: 'Medium Truck' }, {
+                vehicleType: 'reefer',
+                volumeM3: 14,
+                features: ['refrigeration', 'tail_lift']
+            });
+            await Vehicle.updateOne({ name: 'Large Truck' }, { vehicleType: 'trailer', volumeM3: 40, features: ['tail_lift'] });
+
+            const search = (filters) => request(app)
+                .get('/api/vehicles/available')
+                .query({ startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), ...filters })
+                .expect(200);
+
+            const names = (response) => response.body.vehicles.available.map(v => v.name).sort();
+
+            expect(names(await search({ vehicleType: 'reefer' }))).toEqual(['Medium Truck']);
+            expect(names(await search({ minVolumeM3: 20 }))).toEqual(['Large Truck']);
+            expect(names(await search({ features: 'tail_lift' }))).toEqual(['Large Truck', 'Medium Truck']);
+            expect(names(await search({ features: 'tail_lift,refrigeration' }))).toEqual(['Medium Truck']);
+
+            const unknown = await request(app)
+                .get('/api/vehicles/available')
+                .query({ startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), features: 'crane' })
+                .expect(400);
+            expect(unknown.body.message).toBe('Unknown vehicle feature: crane');
+        });
+
+        test('should flag vehicles whose service area does not cover the trip', async () => {
+            await Vehicle.updateOne({ name: 'Medium Truck' }, {
+                homePincode: '110001',
+                serviceArea: { pincodePrefixes: [], states: ['Delhi', 'Haryana'] }
+            });
+
+            const search = (toPincode) => request(app)
+                .get('/api/vehicles/available')
+                .query({ fromPincode: '110001', toPincode, startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+                .expect(200);
+
+            const local = await search('122001');
+            expect(local.body.vehicles.available.map(v => v.name)).toContain('Medium Truck');
+
+            const outstation = await search('400001');
+            const outside = outstation.body.vehicles.unavailable.find(v => v.name === 'Medium Truck');
+            expect(outside.availability.outsideServiceArea)
+                .toBe('Pincode 400001 is outside this vehicle\'s service area (Delhi or Haryana)');
+            expect(outside.availability.suggestions).toBeUndefined();
+            expect(outstation.body.vehicles.available.map(v => v.name)).not.toContain('Medium Truck');
+        });
+
+        test('should sort and page available vehicles', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+            const search = (query) => request(app)
+                .get('/api/vehicles/available')
+                .query({ fromPincode: '110001', toPincode: '122001', startTime, ...query });
+
+            const byCapacity = await search({ sortOrder: 'desc', limit: 2 }).expect(200);
+            expect(byCapacity.body.vehicles.available.map(v => v.name)).toEqual(['Large Truck', 'Medium Truck']);
+            expect(byCapacity.body.total).toBe(4);
+            expect(byCapacity.body.pagination).toEqual({
+                currentPage: 1,
+                totalPages: 2,
+                totalItems: 4,
+                itemsPerPage: 2,
+                hasNextPage: true,
+                hasPrevPage: false
+            });
+
+            const byName = await search({ sortBy: 'name', page: 2, limit: 2 }).expect(200);
+            expect(byName.body.vehicles.available.map(v => v.name)).toEqual(['Small Truck', testVehicle.name]);
+
+            const owner = await global.testUtils.createTestUser({ name: 'Aarav Owner' });
+            await Vehicle.updateOne({ name: 'Large Truck' }, { createdBy: owner._id });
+            const byOwner = await search({ sortBy: 'owner' }).expect(200);
+            expect(byOwner.body.vehicles.available[0].name).toBe('Large Truck');
+        });
+
+        test('should leave out a vehicle whose type has a broken duration strategy', async () => {
+            await global.testUtils.createTestVehicle({ name: 'Cold Truck', capacityKg: 2000, vehicleType: 'reefer' });
+            setVehicleTypeStrategy('reefer', 'unregistered');
+
+            try {
+                const response = await request(app)
+                    .get('/api/vehicles/available')
+                    .query({ fromPincode: '110001', toPincode: '122001', startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+                    .expect(200);
+
+                const names = [...response.body.vehicles.available, ...response.body.vehicles.unavailable].map(v => v.name);
+                expect(names).toContain('Large Truck');
+                expect(names).not.toContain('Cold Truck');
+            } finally {
+                resetDurationStrategies();
+            }
+        });
+
+        test('should filter by maximum capacity and tyre count and leave out unavailable vehicles on request', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+            const search = (query) => request(app)
+                .get('/api/vehicles/available')
+                .query({ fromPincode: '110001', toPincode: '122001', startTime, ...query });
+
+            const midSize = await search({ capacityRequired: 1000, maxCapacity: 4000, minTyres: 6 }).expect(200);
+            expect(midSize.body.vehicles.available.map(v => v.name)).toEqual(['Medium Truck']);
+            expect(midSize.body.searchCriteria).toMatchObject({ maxCapacity: 4000, minTyres: 6, maxTyres: null });
+
+            const fewTyres = await search({ maxTyres: 4 }).expect(200);
+            expect(fewTyres.body.vehicles.available.map(v => v.name)).not.toContain('Large Truck');
+
+            const holiday = new Date(startTime).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+            await Vehicle.updateOne({ name: 'Small Truck' }, { operatingHours: { holidays: [{ date: holiday }] } });
+            const withoutUnavailable = await search({ includeUnavailable: 'false' }).expect(200);
+            expect(withoutUnavailable.body.vehicles.unavailable).toEqual([]);
+            expect(withoutUnavailable.body.unavailableCount).toBe(1);
+
+            const badRange = await search({ minTyres: 10, maxTyres: 6 }).expect(400);
+            expect(badRange.body.message).toBe('Tyre counts must be positive numbers with minTyres no more than maxTyres');
+            await search({ capacityRequired: 2000, maxCapacity: 1000 }).expect(400);
+        });
+
+        test('should reject unknown sort keys and page sizes', async () => {
+            const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+            const badSort = await request(app)
+                .get('/api/vehicles/available')
+                .query({ startTime, sortBy: 'tyres' })
+                .expect(400);
+            expect(badSort.body.message).toBe('Sort key must be one of: capacity, name, owner');
+
+            const badLimit = await request(app)
+                .get('/api/vehicles/available')
+                .query({ startTime, limit: 500 })
+                .expect(400);
+            expect(badLimit.body.message).toBe('Limit must be a whole number between 1 and 100');
+        });
+
     });
 
     describe('GET /api/vehicles', () => {
@@ -392,6 +773,37 @@ describe('Vehicle Controller', () => {
             expect(response.body.vehicle.capacityKg).toBe(updateData.capacityKg);
         });
 
+        test('should recompute the volume when the bed dimensions change', async () => {
+            const response = await request(app)
+                .put(`/api/vehicles/${testVehicle._id}`)
+                .set('Authorization', adminToken)
+                .send({ bodyType: 'container', bedDimensions: { lengthM: 6, widthM: 2.4, heightM: 2.5 } })
+                .expect(200);
+
+            expect(response.body.vehicle.bodyType).toBe('container');
+            expect(response.body.vehicle.volumeM3).toBe(36);
+        });
+
+        test('should measure a new service radius from the stored home base', async () => {
+            await Vehicle.updateOne({ _id: testVehicle._id }, { homePincode: '400001' });
+
+            const response = await request(app)
+                .put(`/api/vehicles/${testVehicle._id}`)
+                .set('Authorization', adminToken)
+                .send({ serviceArea: { radiusKm: 200 } })
+                .expect(200);
+
+            expect(response.body.vehicle.serviceArea.radiusKm).toBe(200);
+
+            const clearedResponse = await request(app)
+                .put(`/api/vehicles/${testVehicle._id}`)
+                .set('Authorization', adminToken)
+                .send({ homePincode: '' })
+                .expect(400);
+
+            expect(clearedResponse.body.message).toBe('A service radius needs a home base pincode');
+        });
+
         test('should reject update with invalid capacity', async () => {
             const updateData = {
                 capacityKg: 0 // Invalid capacity
@@ -442,7 +854,7 @@ describe('Vehicle Controller', () => {
             // Create an active booking for the test vehicle
             await global.testUtils.createTestBooking({
                 vehicleId: testVehicle._id,
-                status: 'active'
+                status: 'confirmed'
             });
 
             const response = await request(app)
@@ -467,6 +879,333 @@ describe('Vehicle Controller', () => {
         });
     });
 
+    describe('Vehicle downtime', () => {
+        const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+        test('should schedule downtime for an owned vehicle', async () => {
+            const ownVehicle = await global.testUtils.createTestVehicle({ createdBy: testUser._id });
+
+            const response = await request(app)
+                .post(`/api/vehicles/${ownVehicle._id}/downtime`)
+                .set('Authorization', authToken)
+                .send({
+                    start: hoursFromNow(24).toISOString(),
+                    end: hoursFromNow(48).toISOString(),
+                    reason: 'Annual service'
+                })
+                .expect(201);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.downtime.reason).toBe('Annual service');
+            expect(response.body.warning).toBeNull();
+
+            const listResponse = await request(app)
+                .get(`/api/vehicles/${ownVehicle._id}/downtime`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(listResponse.body.downtime).toHaveLength(1);
+        });
+
+        test('should reject downtime on vehicles owned by someone else', async () => {
+            const response = await request(app)
+                .post(`/api/vehicles/${testVehicle._id}/downtime`)
+                .set('Authorization', authToken)
+                .send({
+                    start: hoursFromNow(24).toISOString(),
+                    end: hoursFromNow(48).toISOString(),
+                    reason: 'Annual service'
+                })
+                .expect(403);
+
+            expect(response.body.message).toBe('You can only manage downtime for your own vehicles');
+        });
+
+        test('should reject downtime ending before it starts', async () => {
+            const response = await request(app)
+                .post(`/api/vehicles/${testVehicle._id}/downtime`)
+                .set('Authorization', adminToken)
+                .send({
+                    start: hoursFromNow(48).toISOString(),
+                    end: hoursFromNow(24).toISOString(),
+                    reason: 'Annual service'
+                })
+                .expect(400);
+
+            expect(response.body.message).toBe('End time must be after start time');
+        });
+
+        test('should warn about existing bookings without cancelling them', async () => {
+            const booking = await global.testUtils.createTestBooking({
+                vehicleId: testVehicle._id,
+                times: { start: hoursFromNow(30), end: hoursFromNow(32) }
+            });
+
+            const response = await request(app)
+                .post(`/api/vehicles/${testVehicle._id}/downtime`)
+                .set('Authorization', adminToken)
+                .send({
+                    start: hoursFromNow(24).toISOString(),
+                    end: hoursFromNow(48).toISOString(),
+                    reason: 'Brake replacement'
+                })
+                .expect(201);
+
+            expect(response.body.warning.collidingBookings).toHaveLength(1);
+            expect(response.body.warning.collidingBookings[0].id).toBe(booking._id.toString());
+
+            const unchanged = await Booking.findById(booking._id);
+            expect(unchanged.status).toBe('confirmed');
+        });
+
+        test('should update and delete downtime', async () => {
+            const downtime = await Downtime.create({
+                vehicleId: testVehicle._id,
+                times: { start: hoursFromNow(24), end: hoursFromNow(48) },
+                reason: 'Annual service',
+                createdBy: testUser._id
+            });
+
+            const updateResponse = await request(app)
+                .put(`/api/vehicles/${testVehicle._id}/downtime/${downtime._id}`)
+                .set('Authorization', adminToken)
+                .send({ end: hoursFromNow(72).toISOString(), reason: 'Engine overhaul' })
+                .expect(200);
+
+            expect(updateResponse.body.downtime.reason).toBe('Engine overhaul');
+            expect(new Date(updateResponse.body.downtime.times.end).getTime())
+                .toBeGreaterThan(hoursFromNow(71).getTime());
+
+            await request(app)
+                .delete(`/api/vehicles/${testVehicle._id}/downtime/${downtime._id}`)
+                .set('Authorization', adminToken)
+                .expect(200);
+
+            expect(await Downtime.findById(downtime._id)).toBeNull();
+        });
+
+        test('should list vehicles in downtime as unavailable in search', async () => {
+            await Downtime.create({
+                vehicleId: testVehicle._id,
+                times: { start: hoursFromNow(20), end: hoursFromNow(30) },
+                reason: 'Annual service',
+                createdBy: testUser._id
+            });
+
+            const response = await request(app)
+                .get('/api/vehicles/available')
+                .query({
+                    capacityRequired: 500,
+                    fromPincode: '110001',
+                    toPincode: '110025',
+                    startTime: hoursFromNow(24).toISOString()
+                })
+                .expect(200);
+
+            const unavailableVehicle = response.body.vehicles.unavailable.find(
+                v => v.id === testVehicle._id.toString()
+            );
+            expect(unavailableVehicle).toBeDefined();
+            expect(unavailableVehicle.availability.conflictingBookings).toHaveLength(0);
+            expect(unavailableVehicle.availability.conflictingDowntime[0].reason).toBe('Annual service');
+        });
+    });
+
+    describe('Vehicle calendar', () => {
+        const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+        test('should list busy intervals and the free gaps between them', async () => {
+            const ownVehicle = await global.testUtils.createTestVehicle({ createdBy: testUser._id, turnaroundMinutes: 30 });
+            const booking = await global.testUtils.createTestBooking({
+                vehicleId: ownVehicle._id,
+                times: { start: hoursFromNow(10), end: hoursFromNow(12) }
+            });
+            const downtime = await Downtime.create({
+                vehicleId: ownVehicle._id,
+                times: { start: hoursFromNow(20), end: hoursFromNow(22) },
+                reason: 'Tyre change',
+                createdBy: testUser._id
+            });
+
+            const from = hoursFromNow(1);
+            const to = hoursFromNow(24);
+            const response = await request(app)
+                .get(`/api/vehicles/${ownVehicle._id}/calendar`)
+                .query({ from: from.toISOString(), to: to.toISOString() })
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(response.body.busy).toEqual([
+                expect.objectContaining({ type: 'booking', id: booking._id.toString(), status: 'confirmed' }),
+                expect.objectContaining({ type: 'downtime', reason: 'Tyre change' })
+            ]);
+
+            // The 30 minute turnaround stays clear around the booking but not the downtime
+            const turnaroundMs = 30 * 60 * 1000;
+            expect(response.body.free.map(gap => [gap.start, gap.end])).toEqual([
+                [from, new Date(booking.times.start.getTime() - turnaroundMs)],
+                [new Date(booking.times.end.getTime() + turnaroundMs), downtime.times.start],
+                [downtime.times.end, to]
+            ].map(([start, end]) => [start.toISOString(), end.toISOString()]));
+        });
+
+        test('should hide booking details from other users and validate the range', async () => {
+            await global.testUtils.createTestBooking({
+                vehicleId: testVehicle._id,
+                times: { start: hoursFromNow(10), end: hoursFromNow(12) }
+            });
+
+            const response = await request(app)
+                .get(`/api/vehicles/${testVehicle._id}/calendar`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(response.body.busy).toHaveLength(1);
+            expect(Object.keys(response.body.busy[0]).sort()).toEqual(['end', 'start', 'type']);
+
+            const tooLong = await request(app)
+                .get(`/api/vehicles/${testVehicle._id}/calendar`)
+                .query({ from: hoursFromNow(0).toISOString(), to: hoursFromNow(24 * 90).toISOString() })
+                .set('Authorization', authToken)
+                .expect(400);
+            expect(tooLong.body.message).toBe('The calendar range cannot exceed 62 days');
+        });
+    });
+
+    describe('Vehicle compliance', () => {
+        const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+        beforeAll(() => {
+            process.env.COMPLIANCE_UPLOAD_DIR = require('path').join(require('os').tmpdir(), 'fleetlink-compliance-test');
+        });
+
+        test('should record a document with an uploaded copy and serve the file back', async () => {
+            const ownVehicle = await global.testUtils.createTestVehicle({ createdBy: testUser._id });
+            const content = Buffer.from('%PDF-1.4 policy').toString('base64');
+
+            const response = await request(app)
+                .post(`/api/vehicles/${ownVehicle._id}/compliance`)
+                .set('Authorization', authToken)
+                .send({
+                    type: 'insurance',
+                    documentNumber: 'pol-123',
+                    expiresAt: daysFromNow(200).toISOString(),
+                    file: { name: 'policy.pdf', mimeType: 'application/pdf', content }
+                })
+                .expect(201);
+
+            expect(response.body.document.documentNumber).toBe('POL-123');
+            expect(response.body.document.file).toEqual({
+                originalName: 'policy.pdf',
+                mimeType: 'application/pdf',
+                sizeBytes: 15
+            });
+            expect(response.body.status.isCompliant).toBe(true);
+
+            const fileResponse = await request(app)
+                .get(`/api/vehicles/${ownVehicle._id}/compliance/${response.body.document.id}/file`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(fileResponse.headers['content-disposition']).toContain('policy.pdf');
+
+            await request(app)
+                .delete(`/api/vehicles/${ownVehicle._id}/compliance/${response.body.document.id}`)
+                .set('Authorization', authToken)
+                .expect(200);
+
+            expect(await ComplianceDocument.countDocuments({ vehicleId: ownVehicle._id })).toBe(0);
+        });
+
+        test('should reject unknown types, unsupported files and other owners', async () => {
+            const typeResponse = await request(app)
+                .post(`/api/vehicles/${testVehicle._id}/compliance`)
+                .set('Authorization', adminToken)
+                .send({ type: 'pollution', documentNumber: 'X1', expiresAt: daysFromNow(30).toISOString() })
+                .expect(400);
+            expect(typeResponse.body.message)
+                .toBe('Document type must be one of: registration, insurance, permit, fitness, puc');
+
+            const fileResponse = await request(app)
+                .post(`/api/vehicles/${testVehicle._id}/compliance`)
+                .set('Authorization', adminToken)
+                .send({
+                    type: 'permit',
+                    documentNumber: 'X1',
+                    expiresAt: daysFromNow(30).toISOString(),
+                    file: { name: 'permit.docx', mimeType: 'application/msword', content: 'AAAA' }
+                })
+                .expect(400);
+            expect(fileResponse.body.message).toBe('File must be a PDF, JPEG or PNG');
+
+            const ownerResponse = await request(app)
+                .post(`/api/vehicles/${testVehicle._id}/compliance`)
+                .set('Authorization', authToken)
+                .send({ type: 'permit', documentNumber: 'X1', expiresAt: daysFromNow(30).toISOString() })
+                .expect(403);
+            expect(ownerResponse.body.message).toBe('You can only manage compliance documents for your own vehicles');
+        });
+
+        test('should leave vehicles with documents expiring before the ride ends out of search', async () => {
+            await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'fitness',
+                documentNumber: 'FC-1',
+                expiresAt: daysFromNow(1),
+                createdBy: testUser._id
+            });
+
+            const response = await request(app)
+                .get('/api/vehicles/available')
+                .query({
+                    capacityRequired: 500,
+                    fromPincode: '110001',
+                    toPincode: '110025',
+                    startTime: daysFromNow(2).toISOString()
+                })
+                .expect(200);
+
+            const ids = [...response.body.vehicles.available, ...response.body.vehicles.unavailable].map(v => v.id);
+            expect(ids).not.toContain(testVehicle._id.toString());
+            expect(response.body.nonCompliantCount).toBe(1);
+        });
+
+        test('should warn the owner once per threshold and skip renewed documents', async () => {
+            const expiring = await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'insurance',
+                documentNumber: 'POL-1',
+                expiresAt: daysFromNow(5),
+                createdBy: testUser._id
+            });
+            await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'puc',
+                documentNumber: 'PUC-1',
+                expiresAt: daysFromNow(3),
+                createdBy: testUser._id
+            });
+            await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'puc',
+                documentNumber: 'PUC-2',
+                expiresAt: daysFromNow(180),
+                createdBy: testUser._id
+            });
+
+            expect(await sendComplianceExpiryWarnings()).toBe(1);
+            expect(await sendComplianceExpiryWarnings()).toBe(0);
+
+            const notifications = await Notification.find({ userId: testVehicle.createdBy });
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].type).toBe('compliance_expiring');
+            expect(notifications[0].data.daysLeft).toBe(7);
+
+            const updated = await ComplianceDocument.findById(expiring._id);
+            expect([...updated.warningsSent].sort((a, b) => a - b)).toEqual([7, 30]);
+        });
+    });
+
     describe('GET /api/vehicles/stats', () => {
         test('should return vehicle statistics', async () => {
             const response = await request(app)
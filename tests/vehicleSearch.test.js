@@ -0,0 +1,105 @@
+/**
+ * Vehicle Search Unit Tests
+ * @fileoverview Tests for search paging, sorting and the bookings picked around a ride
+ */
+
+const {
+    parseSearchPaging,
+    selectBookingsAround,
+    sortSearchResults,
+    getSearchSort,
+    paginate
+} = require('../src/utils/vehicleSearch');
+
+describe('Vehicle Search', () => {
+    describe('parseSearchPaging', () => {
+        test('should default to the first page sorted by capacity', () => {
+            expect(parseSearchPaging({})).toEqual({
+                paging: { page: 1, limit: 20, sortBy: 'capacity', sortOrder: 'asc', includeUnavailable: true }
+            });
+            expect(parseSearchPaging({ page: '3', limit: '5', sortBy: 'owner', sortOrder: 'desc', includeUnavailable: 'false' }).paging)
+                .toEqual({ page: 3, limit: 5, sortBy: 'owner', sortOrder: 'desc', includeUnavailable: false });
+        });
+
+        test('should reject bad pages, limits and sort options', () => {
+            expect(parseSearchPaging({ page: '0' }).error).toBe('Page must be a positive whole number');
+            expect(parseSearchPaging({ limit: '1.5' }).error).toBe('Limit must be a whole number between 1 and 100');
+            expect(parseSearchPaging({ sortBy: 'tyres' }).error).toBe('Sort key must be one of: capacity, name, owner');
+            expect(parseSearchPaging({ sortOrder: 'up' }).error).toBe('Sort order must be asc or desc');
+            expect(parseSearchPaging({ includeUnavailable: 'yes' }).error).toBe('includeUnavailable must be true or false');
+        });
+    });
+
+    describe('selectBookingsAround', () => {
+        const booking = (id, start, end) => ({
+            _id: id,
+            times: { start: new Date(`2024-01-15T${start}:00Z`), end: new Date(`2024-01-15T${end}:00Z`) }
+        });
+
+        test('should keep the overlapping bookings and the nearest neighbour either side', () => {
+            const bookings = [
+                booking('early', '01:00', '02:00'),
+                booking('previous', '03:00', '09:00'),
+                booking('overlapping', '11:00', '13:00'),
+                booking('next', '14:00', '15:00'),
+                booking('late', '16:00', '17:00')
+            ];
+
+            const selected = selectBookingsAround(
+                bookings,
+                new Date('2024-01-15T10:00:00Z'),
+                new Date('2024-01-15T12:00:00Z')
+            );
+
+            expect(selected.map(b => b._id)).toEqual(['previous', 'overlapping', 'next']);
+        });
+
+        test('should pick the booking that ends last as the previous one', () => {
+            const bookings = [booking('long', '01:00', '09:30'), booking('short', '08:00', '09:00')];
+
+            const selected = selectBookingsAround(
+                bookings,
+                new Date('2024-01-15T10:00:00Z'),
+                new Date('2024-01-15T12:00:00Z')
+            );
+
+            expect(selected.map(b => b._id)).toEqual(['long']);
+        });
+    });
+
+    describe('sortSearchResults and paginate', () => {
+        const vehicles = [
+            { id: '1', name: 'Tata Ace', capacityKg: 750, createdBy: { name: 'Meera' } },
+            { id: '2', name: 'Ashok Leyland', capacityKg: 3000, createdBy: { name: 'arjun' } },
+            { id: '3', name: 'Eicher Pro', capacityKg: 750, createdBy: null }
+        ];
+
+        test('should sort by capacity, name or owner with the name breaking ties', () => {
+            expect(sortSearchResults(vehicles, 'capacity').map(v => v.id)).toEqual(['3', '1', '2']);
+            expect(sortSearchResults(vehicles, 'capacity', 'desc').map(v => v.id)).toEqual(['2', '3', '1']);
+            expect(sortSearchResults(vehicles, 'name').map(v => v.id)).toEqual(['2', '3', '1']);
+            expect(sortSearchResults(vehicles, 'owner').map(v => v.id)).toEqual(['3', '2', '1']);
+        });
+
+        test('should sort vehicle fields in the query and leave the owner to sortSearchResults', () => {
+            expect(getSearchSort('capacity')).toEqual({ capacityKg: 1, name: 1, _id: 1 });
+            expect(getSearchSort('capacity', 'desc')).toEqual({ capacityKg: -1, name: 1, _id: 1 });
+            expect(getSearchSort('name', 'desc')).toEqual({ name: -1, _id: 1 });
+            expect(getSearchSort('owner')).toBeNull();
+        });
+
+        test('should describe the page it returns', () => {
+            expect(paginate(vehicles, 2, 2)).toEqual({
+                items: [vehicles[2]],
+                pagination: {
+                    currentPage: 2,
+                    totalPages: 2,
+                    totalItems: 3,
+                    itemsPerPage: 2,
+                    hasNextPage: false,
+                    hasPrevPage: true
+                }
+            });
+        });
+    });
+});
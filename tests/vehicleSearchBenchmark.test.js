@@ -0,0 +1,118 @@
+/**
+ * Vehicle Search Benchmark Tests
+ * @fileoverview Seeds thousands of vehicles and bookings and checks that the availability search
+ * runs a fixed number of queries and stays fast
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { mockAuth, mockRequireAdmin } = require('./mockAuth');
+
+jest.mock('../src/middlewares/auth', () => ({
+    authenticate: mockAuth,
+    requireAdmin: mockRequireAdmin
+}));
+
+const vehicleRoutes = require('../src/routes/vehicleRoutes');
+const Vehicle = require('../src/models/Vehicle');
+const { Booking } = require('../src/models/Booking');
+
+const app = express();
+app.use(express.json());
+app.use('/api/vehicles', vehicleRoutes);
+
+const VEHICLE_COUNT = 3000;
+const BOOKINGS_PER_VEHICLE = 2;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Vehicle search benchmark', () => {
+    const startTime = new Date(Date.now() + 48 * HOUR_MS);
+    startTime.setUTCMinutes(0, 0, 0);
+
+    beforeEach(async () => {
+        const owner = await global.testUtils.createTestUser();
+        const customer = await global.testUtils.createTestUser();
+
+        const vehicles = await Vehicle.insertMany(Array.from({ length: VEHICLE_COUNT }, (_, index) => ({
+            name: `Fleet Truck ${String(index).padStart(4, '0')}`,
+            capacityKg: 500 + (index % 6) * 500,
+            tyres: 6,
+            createdBy: owner._id
+        })));
+
+        // Every third vehicle is busy at the searched time; every vehicle has a later booking too
+        const bookings = vehicles.flatMap((vehicle, index) => {
+            const busyStart = index % 3 === 0 ? startTime.getTime() : startTime.getTime() + 96 * HOUR_MS;
+            return Array.from({ length: BOOKINGS_PER_VEHICLE }, (_, slot) => ({
+                vehicleId: vehicle._id,
+                userId: customer._id,
+                pincodes: { start: '110001', end: '122001' },
+                times: {
+                    start: new Date(busyStart + slot * 24 * HOUR_MS),
+                    end: new Date(busyStart + slot * 24 * HOUR_MS + 2 * HOUR_MS)
+                },
+                status: 'confirmed'
+            }));
+        });
+        await Booking.insertMany(bookings);
+    }, 120000);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should resolve conflicts for the whole fleet in one booking query', async () => {
+        const aggregate = jest.spyOn(Booking, 'aggregate');
+        const find = jest.spyOn(Booking, 'find');
+        const findOne = jest.spyOn(Booking, 'findOne');
+
+        const started = Date.now();
+        const response = await request(app)
+            .get('/api/vehicles/available')
+            .query({
+                fromPincode: '110001',
+                toPincode: '122001',
+                startTime: startTime.toISOString(),
+                sortBy: 'name',
+                limit: 50
+            })
+            .expect(200);
+        const elapsedMs = Date.now() - started;
+
+        expect(aggregate).toHaveBeenCalledTimes(1);
+        expect(find).not.toHaveBeenCalled();
+        expect(findOne).not.toHaveBeenCalled();
+
+        expect(response.body.total).toBe(VEHICLE_COUNT - VEHICLE_COUNT / 3);
+        expect(response.body.unavailableCount).toBe(VEHICLE_COUNT / 3);
+        expect(response.body.vehicles.available).toHaveLength(50);
+        expect(response.body.vehicles.available[0].name).toBe('Fleet Truck 0001');
+        expect(response.body.pagination.totalPages).toBe(40);
+
+        expect(elapsedMs).toBeLessThan(20000);
+    }, 120000);
+
+    test('should page through the results without repeating vehicles', async () => {
+        const search = (page) => request(app)
+            .get('/api/vehicles/available')
+            .query({
+                fromPincode: '110001',
+                toPincode: '122001',
+                startTime: startTime.toISOString(),
+                capacityRequired: 2000,
+                page,
+                limit: 100
+            })
+            .expect(200);
+
+        const first = await search(1);
+        const second = await search(2);
+        const names = [...first.body.vehicles.available, ...second.body.vehicles.available].map(v => v.name);
+
+        // Half the fleet carries 2000 kg, and a third of that half is busy
+        expect(first.body.total).toBe(VEHICLE_COUNT / 3);
+        expect(second.body.pagination.hasPrevPage).toBe(true);
+        expect(names).toHaveLength(200);
+        expect(new Set(names).size).toBe(200);
+    }, 120000);
+});
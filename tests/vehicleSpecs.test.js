@@ -0,0 +1,34 @@
+/**
+ * Vehicle Specification Unit Tests
+ * @fileoverview Tests for cargo bed volume and feature list parsing
+ */
+
+const { VEHICLE_FEATURES, calculateBedVolume, parseFeatureList } = require('../src/utils/vehicleSpecs');
+
+describe('Vehicle Specifications', () => {
+    describe('calculateBedVolume', () => {
+        test('should multiply the bed dimensions', () => {
+            expect(calculateBedVolume({ lengthM: 4.3, widthM: 1.8, heightM: 1.8 })).toBe(13.93);
+            expect(calculateBedVolume({ lengthM: 2, widthM: 1.5, heightM: 1 })).toBe(3);
+        });
+
+        test('should return null for incomplete dimensions', () => {
+            expect(calculateBedVolume(undefined)).toBeNull();
+            expect(calculateBedVolume({ lengthM: 4.3, widthM: 1.8 })).toBeNull();
+            expect(calculateBedVolume({ lengthM: 4.3, widthM: 1.8, heightM: 0 })).toBeNull();
+        });
+    });
+
+    describe('parseFeatureList', () => {
+        test('should split comma-separated features', () => {
+            expect(parseFeatureList('tail_lift, refrigeration')).toEqual({
+                features: [VEHICLE_FEATURES.TAIL_LIFT, VEHICLE_FEATURES.REFRIGERATION]
+            });
+            expect(parseFeatureList(['tail_lift'])).toEqual({ features: ['tail_lift'] });
+        });
+
+        test('should name unknown features', () => {
+            expect(parseFeatureList('tail_lift,crane')).toEqual({ error: 'Unknown vehicle feature: crane' });
+        });
+    });
+});
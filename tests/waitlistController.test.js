@@ -0,0 +1,229 @@
+/**
+ * Waitlist Controller Unit Tests
+ * @fileoverview Tests for joining waitlists and offering freed slots to waiting customers
+ */
+
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const jwt = require('jsonwebtoken');
+const { mockAuth, mockRequireAdmin } = require('./mockAuth');
+
+// Create a test app instance
+const app = express();
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Mock the authentication middleware
+jest.mock('../src/middlewares/auth', () => ({
+    authenticate: mockAuth,
+    requireAdmin: mockRequireAdmin
+}));
+
+// Import routes
+const bookingRoutes = require('../src/routes/bookingRoutes');
+const waitlistRoutes = require('../src/routes/waitlistRoutes');
+
+// Use routes
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+
+const { WaitlistEntry } = require('../src/models/WaitlistEntry');
+const { Notification } = require('../src/models/Notification');
+const ComplianceDocument = require('../src/models/ComplianceDocument');
+const Vehicle = require('../src/models/Vehicle');
+const { expireWaitlistOffers } = require('../src/controllers/waitlistController');
+
+describe('Waitlist Controller', () => {
+    let authToken;
+    let testUser;
+    let testVehicle;
+    let testBooking;
+    let slotStart;
+
+    const tokenFor = (user) => `Bearer ${jwt.sign({ id: user._id.toString(), email: user.email, role: 'user' }, 'test-secret')}`;
+
+    const waitlistBody = (overrides = {}) => ({
+        vehicleId: testVehicle._id.toString(),
+        fromPincode: '110001',
+        toPincode: '110025',
+        startTime: slotStart.toISOString(),
+        ...overrides
+    });
+
+    // Another customer joining the waitlist for the booked slot
+    const joinAsNewCustomer = async (overrides = {}) => {
+        const customer = await global.testUtils.createTestUser();
+        const token = tokenFor(customer);
+        const response = await request(app)
+            .post('/api/waitlist')
+            .set('Authorization', token)
+            .send(waitlistBody(overrides))
+            .expect(201);
+        return { customer, token, entryId: response.body.entry.id, position: response.body.position };
+    };
+
+    const cancelTestBooking = () => request(app)
+        .delete(`/api/bookings/${testBooking._id}`)
+        .set('Authorization', authToken)
+        .expect(200);
+
+    beforeEach(async () => {
+        testUser = await global.testUtils.createRealTestUser();
+        authToken = global.testUtils.getRealAuthToken();
+        testVehicle = await global.testUtils.createTestVehicle({ capacityKg: 2000 });
+
+        slotStart = new Date(Math.ceil((Date.now() + 2 * 24 * 60 * 60 * 1000) / (60 * 60 * 1000)) * 60 * 60 * 1000);
+        testBooking = await global.testUtils.createTestBooking({
+            vehicleId: testVehicle._id,
+            userId: testUser._id,
+            pincodes: { start: '110001', end: '110025' },
+            times: { start: slotStart, end: new Date(slotStart.getTime() + 60 * 60 * 1000) }
+        });
+    });
+
+    describe('POST /api/waitlist', () => {
+        test('should queue customers in the order they joined', async () => {
+            const first = await joinAsNewCustomer();
+            const second = await joinAsNewCustomer();
+
+            expect(first.position).toBe(1);
+            expect(second.position).toBe(2);
+
+            const entry = await WaitlistEntry.findById(first.entryId);
+            expect(entry.status).toBe('waiting');
+            expect(entry.times.end.getTime() - slotStart.getTime()).toBe(60 * 60 * 1000);
+        });
+
+        test('should not add the same customer twice for a slot', async () => {
+            const { token } = await joinAsNewCustomer();
+
+            const response = await request(app)
+                .post('/api/waitlist')
+                .set('Authorization', token)
+                .send(waitlistBody())
+                .expect(409);
+
+            expect(response.body.message).toBe('You are already on the waitlist for this time slot');
+        });
+
+        test('should require a vehicle or a capacity', async () => {
+            const response = await request(app)
+                .post('/api/waitlist')
+                .set('Authorization', authToken)
+                .send(waitlistBody({ vehicleId: undefined }))
+                .expect(400);
+
+            expect(response.body.message).toBe('All fields are required: vehicleId or capacityRequired, fromPincode, toPincode, startTime');
+        });
+    });
+
+    describe('Offering freed slots', () => {
+        test('should offer a cancelled slot to the first waiting customer and hold it for them', async () => {
+            const first = await joinAsNewCustomer();
+            const second = await joinAsNewCustomer();
+
+            await cancelTestBooking();
+
+            const offered = await WaitlistEntry.findById(first.entryId);
+            expect(offered.status).toBe('offered');
+            expect(offered.offer.vehicleId.toString()).toBe(testVehicle._id.toString());
+            expect(offered.offer.expiresAt.getTime()).toBeGreaterThan(Date.now());
+            expect((await WaitlistEntry.findById(second.entryId)).status).toBe('waiting');
+
+            const notifications = await Notification.find({ userId: first.customer._id, type: 'waitlist_offered' });
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].data.waitlistEntryId.toString()).toBe(first.entryId);
+
+            // Other customers cannot take the held slot
+            await request(app)
+                .post('/api/bookings')
+                .set('Authorization', second.token)
+                .send(waitlistBody())
+                .expect(409);
+
+            // The offered customer claims it by booking
+            const booking = await request(app)
+                .post('/api/bookings')
+                .set('Authorization', first.token)
+                .send(waitlistBody())
+                .expect(201);
+
+            const claimed = await WaitlistEntry.findById(first.entryId);
+            expect(claimed.status).toBe('claimed');
+            expect(claimed.bookingId.toString()).toBe(booking.body.booking._id);
+        });
+
+        test('should offer the slot to a customer waiting for any vehicle with enough capacity', async () => {
+            const tooBig = await joinAsNewCustomer({ vehicleId: undefined, capacityRequired: 5000 });
+            const fits = await joinAsNewCustomer({ vehicleId: undefined, capacityRequired: 1500 });
+
+            await cancelTestBooking();
+
+            expect((await WaitlistEntry.findById(tooBig.entryId)).status).toBe('waiting');
+            const offered = await WaitlistEntry.findById(fits.entryId);
+            expect(offered.status).toBe('offered');
+            expect(offered.offer.vehicleId.toString()).toBe(testVehicle._id.toString());
+        });
+
+        test('should skip customers whose trip leaves the vehicle service area', async () => {
+            const outside = await joinAsNewCustomer({ vehicleId: undefined, capacityRequired: 1500, toPincode: '400001' });
+            const inside = await joinAsNewCustomer({ vehicleId: undefined, capacityRequired: 1500 });
+            await Vehicle.updateOne({ _id: testVehicle._id }, {
+                homePincode: '110001',
+                serviceArea: { pincodePrefixes: ['110'], states: [] }
+            });
+
+            await cancelTestBooking();
+
+            expect((await WaitlistEntry.findById(outside.entryId)).status).toBe('waiting');
+            expect((await WaitlistEntry.findById(inside.entryId)).status).toBe('offered');
+        });
+
+        test('should not offer a vehicle whose documents expire before the ride ends', async () => {
+            const first = await joinAsNewCustomer();
+            await ComplianceDocument.create({
+                vehicleId: testVehicle._id,
+                type: 'insurance',
+                documentNumber: 'POL-1',
+                expiresAt: new Date(slotStart.getTime() + 30 * 60 * 1000),
+                createdBy: testVehicle.createdBy
+            });
+
+            await cancelTestBooking();
+
+            expect((await WaitlistEntry.findById(first.entryId)).status).toBe('waiting');
+            expect(await Notification.countDocuments({ userId: first.customer._id, type: 'waitlist_offered' })).toBe(0);
+        });
+
+        test('should pass an unclaimed offer on to the next customer', async () => {
+            const first = await joinAsNewCustomer();
+            const second = await joinAsNewCustomer();
+
+            await cancelTestBooking();
+            await WaitlistEntry.updateOne({ _id: first.entryId }, { 'offer.expiresAt': new Date(Date.now() - 1000) });
+
+            const expired = await expireWaitlistOffers();
+
+            expect(expired).toBe(1);
+            expect((await WaitlistEntry.findById(first.entryId)).status).toBe('expired');
+            expect((await WaitlistEntry.findById(second.entryId)).status).toBe('offered');
+        });
+
+        test('should pass an offer on when the customer leaves the waitlist', async () => {
+            const first = await joinAsNewCustomer();
+            const second = await joinAsNewCustomer();
+
+            await cancelTestBooking();
+
+            await request(app)
+                .delete(`/api/waitlist/${first.entryId}`)
+                .set('Authorization', first.token)
+                .expect(200);
+
+            expect((await WaitlistEntry.findById(first.entryId)).status).toBe('cancelled');
+            expect((await WaitlistEntry.findById(second.entryId)).status).toBe('offered');
+        });
+    });
+});